@@ -1,16 +1,40 @@
 import { Component, useCallback, useEffect, useRef, useState } from 'react';
-import { BookOpen, Check, ClipboardCopy, FileText, Gavel, RefreshCw, Scale, Users } from 'lucide-react';
+import {
+  BookOpen,
+  Check,
+  ClipboardCopy,
+  Download,
+  FileText,
+  Gavel,
+  Handshake,
+  Megaphone,
+  Mic,
+  RefreshCw,
+  Scale,
+  Users,
+} from 'lucide-react';
 import ArgumentSection from './components/docket/ArgumentSection';
+import BenchRulingForm from './components/docket/BenchRulingForm';
+import BenchTrialSection from './components/docket/BenchTrialSection';
 import CaseHeader from './components/docket/CaseHeader';
+import JudicialReviewSection from './components/docket/JudicialReviewSection';
 import JurySection from './components/docket/JurySection';
 import MotionSection from './components/docket/MotionSection';
+import OpeningSection from './components/docket/OpeningSection';
+import PleaSection from './components/docket/PleaSection';
+import SentencingSection from './components/docket/SentencingSection';
+import StrikeReviewSection from './components/docket/StrikeReviewSection';
 import VerdictSection from './components/docket/VerdictSection';
+import WitnessSection from './components/docket/WitnessSection';
 import ActionFooter from './components/layout/ActionFooter';
 import DocketHeader from './components/layout/DocketHeader';
 import PaperContainer from './components/layout/PaperContainer';
 import PhaseSection from './components/layout/PhaseSection';
+import HandoffScreen from './components/screens/HandoffScreen';
 import InitializationScreen from './components/screens/InitializationScreen';
+import AppealScreen from './components/shell/AppealScreen';
 import MainMenu from './components/shell/MainMenu';
+import MigrationNotice from './components/shell/MigrationNotice';
 import PostRun from './components/shell/PostRun';
 import SetupHub from './components/shell/SetupHub';
 import DebugOverlay from './components/DebugOverlay';
@@ -18,10 +42,38 @@ import DebugToast from './components/ui/DebugToast';
 import ErrorBoundary from './components/ui/ErrorBoundary';
 import LoadingView from './components/ui/LoadingView';
 import ProfileDrawer from './components/profile/ProfileDrawer';
-import useGameState, { normalizeSanctionsState } from './hooks/useGameState';
-import { GAME_STATES } from './lib/constants';
+import useGameState from './hooks/useGameState';
+import { getOpposingRole, getRoleLabel } from './lib/civil';
+import { GAME_STATES, RUN_LOCK_TIMERS_MS } from './lib/constants';
 import { debugEnabled } from './lib/debugStore';
-import { loadPlayerProfile } from './lib/persistence';
+import { isTerminalDisposition } from './lib/disposition';
+import { DOCKET_EXPORT_LABELS, recordImportedDocket } from './lib/docketExport';
+import { getActiveSeat, getSeatCounselNotes } from './lib/hotSeat';
+import { isJudgeRole } from './lib/judgeMode';
+import { isBatsonWindowOpen } from './lib/juryChallenges';
+import {
+  STORAGE_CHANGE_KINDS,
+  acknowledgeMigrationFailure,
+  acquireRunLock,
+  createProfile,
+  deleteProfile,
+  duplicateProfile,
+  loadActiveRun,
+  loadMigrationFailures,
+  loadPlayerProfile,
+  loadProfileRegistry,
+  releaseRunLock,
+  renameProfile,
+  restoreMigrationBackup,
+  savePlayerProfile,
+  setActiveProfile,
+  subscribeToStorageChanges,
+} from './lib/persistence';
+import { PLEA_STATUSES, isPleaWindowOpen } from './lib/pleaBargain';
+import { normalizeSanctionsState } from './lib/sanctionsState';
+import { getSentencingRange } from './lib/sentencing';
+import { areOpeningsComplete, getOpeningOrder } from './lib/trialArguments';
+import { hasWitnesses, isExaminationComplete } from './lib/witnessExamination';
 
 /** @typedef {import('./lib/types').HistoryState} HistoryState */
 
@@ -35,6 +87,7 @@ const appShellState = Object.freeze({
   SetupHub: 'SetupHub',
   Run: 'Run',
   PostRun: 'PostRun',
+  Appeal: 'Appeal',
 });
 
 class DebugOverlayErrorBoundary extends Component {
@@ -62,10 +115,12 @@ class DebugOverlayErrorBoundary extends Component {
 const RunShell = ({
   startPayload,
   profile,
+  profileId,
   onExitToSetupHub,
   onShellEvent,
   onDebugData,
   onRunInitialized,
+  onRunLockLost,
 }) => {
   const layoutDebugLevel = (() => {
     if (typeof window === 'undefined') return 0;
@@ -78,13 +133,15 @@ const RunShell = ({
   const disableMainWrapper = layoutDebugLevel === 2;
   const disableStickyHeader = layoutDebugLevel === 3;
   const debugLogsEnabled = debugEnabled();
-  const [docketNumber] = useState(() => Math.floor(Math.random() * 90000) + 10000);
+  const [docketNumber] = useState(
+    () => startPayload?.resume?.docketNumber ?? Math.floor(Math.random() * 90000) + 10000
+  );
   const [isProfileOpen, setIsProfileOpen] = useState(false);
   const scrollRef = useRef(null);
   const didStartRef = useRef(false);
   const startPayloadRef = useRef(startPayload);
   const renderCountRef = useRef(0);
-  const gameStateData = useGameState({ onShellEvent });
+  const gameStateData = useGameState({ onShellEvent, docketNumber, profileId });
   const {
     gameState,
     config,
@@ -93,14 +150,36 @@ const RunShell = ({
     copied,
     debugBanner,
     generateCase,
+    requestPleaOffer,
+    proposePleaDeal,
+    acceptPleaDeal,
+    declinePleaDeal,
+    askVoirDire,
+    challengeForCause,
     submitStrikes,
+    raiseBatsonObjection,
+    closeJuryChallenges,
+    requestCounselStrikes,
+    seatJury,
     submitMotionStep,
     triggerAiMotionSubmission,
     requestMotionRuling,
+    ruleOnMotion,
+    submitOpening,
+    examineWitness,
+    restExamination,
+    raiseObjection,
     submitArgument,
+    requestClosings,
+    renderJudgment,
+    requestJudicialReview,
+    submitSentencingMemo,
     generateAutoSubmission,
     handleCopyFull,
+    exportDocket,
     resetGame,
+    resumeRun,
+    takeSeat,
     toggleStrikeSelection,
   } = gameStateData;
   /** @type {HistoryState} */
@@ -115,6 +194,10 @@ const RunShell = ({
   const beginRun = useCallback(async (payload) => {
     if (!payload || didStartRef.current) return;
     didStartRef.current = true;
+    if (payload.resume) {
+      resumeRun(payload.resume);
+      return;
+    }
     if (debugLogsEnabled) {
       console.count('RunShell generateCase');
       console.info('[RunShell] generateCase start', {
@@ -132,14 +215,33 @@ const RunShell = ({
       payload.role,
       payload.difficulty,
       payload.jurisdiction,
-      payload.courtType
+      payload.courtType,
+      payload.retrial ?? null,
+      payload.players ?? null
     );
-  }, [debugLogsEnabled, generateCase]);
+  }, [debugLogsEnabled, generateCase, resumeRun]);
 
   useEffect(() => {
     beginRun(startPayloadRef.current);
   }, [beginRun]);
 
+  // The shell took the run lock before mounting; keep it fresh until the run closes. A tab idle
+  // long enough for its lock to go stale may find another tab took it; the run then leaves this
+  // tab, whose autosave the other tab has resumed.
+  useEffect(() => {
+    const release = () => releaseRunLock(profileId);
+    acquireRunLock(profileId);
+    const intervalId = window.setInterval(() => {
+      if (!acquireRunLock(profileId)) onRunLockLost();
+    }, RUN_LOCK_TIMERS_MS.HEARTBEAT);
+    window.addEventListener('pagehide', release);
+    return () => {
+      window.clearInterval(intervalId);
+      window.removeEventListener('pagehide', release);
+      release();
+    };
+  }, [onRunLockLost, profileId]);
+
   useEffect(() => {
     renderCountRef.current += 1;
   });
@@ -195,6 +297,21 @@ const RunShell = ({
     if (scrollRef.current) scrollRef.current.scrollIntoView({ behavior: 'smooth' });
   }, [history, loadingMsg]);
 
+  const isPleaOpen = isPleaWindowOpen(history);
+  const isPleaDeal = history.plea?.status === PLEA_STATUSES.ACCEPTED;
+  const isPresiding = isJudgeRole(config.role);
+  const isBenchDismissal =
+    isPresiding &&
+    history.disposition?.source === 'motion' &&
+    isTerminalDisposition(history.disposition);
+  const isHotSeat = Boolean(config.players);
+  const isBatsonOpen = !isPresiding && !isHotSeat && isBatsonWindowOpen(history);
+  // Judge mode goes straight from the motion to closings, without openings.
+  const hasOpened = isPresiding || areOpeningsComplete(history);
+  const activeSeat = isHotSeat ? getActiveSeat(history) : null;
+  // Cover the docket until the next hot-seat player has the device.
+  const needsHandoff = Boolean(activeSeat && activeSeat !== config.role && !loadingMsg);
+
   useEffect(() => {
     if (!history.motion?.motionPhase || history.motion.motionPhase === 'motion_ruling_locked') return;
 
@@ -203,7 +320,9 @@ const RunShell = ({
     const isPlayerTurn = expectedRole === config.role;
     const missingText = isMotionStep ? !history.motion.motionText : !history.motion.rebuttalText;
 
-    if (!loadingMsg && !isPlayerTurn && missingText) {
+    // Opposing counsel holds its motion while the player is still weighing a plea or may still
+    // object to its strikes; in hot-seat mode the other player files it instead.
+    if (!loadingMsg && !isPlayerTurn && missingText && !isPleaOpen && !isBatsonOpen && !isHotSeat) {
       triggerAiMotionSubmission();
     }
 
@@ -222,6 +341,9 @@ const RunShell = ({
     history.motion?.motionText,
     history.motion?.rebuttalBy,
     history.motion?.rebuttalText,
+    isBatsonOpen,
+    isHotSeat,
+    isPleaOpen,
     loadingMsg,
     requestMotionRuling,
     triggerAiMotionSubmission,
@@ -253,6 +375,11 @@ const RunShell = ({
             Main Menu
           </button>
           <div className="flex gap-2">
+            {isHotSeat && !needsHandoff && (
+              <span className="self-center text-xs font-bold uppercase text-amber-400">
+                {config.players[config.role]} · {getRoleLabel(config.role)}
+              </span>
+            )}
             <button
               type="button"
               onClick={() => setIsProfileOpen(true)}
@@ -271,6 +398,23 @@ const RunShell = ({
               )}
               {copied ? 'COPIED' : 'COPY DOCKET'}
             </button>
+            <div
+              className="flex items-center gap-1 text-xs font-bold bg-slate-800 px-2 py-1 rounded border border-slate-700"
+              role="group"
+              aria-label="Export docket"
+            >
+              <Download className="w-4 h-4 text-slate-400" />
+              {Object.entries(DOCKET_EXPORT_LABELS).map(([format, label]) => (
+                <button
+                  key={format}
+                  type="button"
+                  onClick={() => exportDocket(format, docketNumber)}
+                  className="px-1 hover:text-amber-400 transition-colors"
+                >
+                  {label.toUpperCase()}
+                </button>
+              ))}
+            </div>
           </div>
         </div>
       </header>
@@ -278,7 +422,13 @@ const RunShell = ({
       {/* THE LIVING DOCKET */}
       <main className={mainWrapperClassName}>
         {/* Paper Container */}
-        {disablePaperContainer ? (
+        {needsHandoff ? (
+          <HandoffScreen
+            playerName={config.players[activeSeat]}
+            role={activeSeat}
+            onReady={takeSeat}
+          />
+        ) : disablePaperContainer ? (
           <>
             {/* Paper Header */}
             <DocketHeader
@@ -295,11 +445,43 @@ const RunShell = ({
 
             {/* 1. Case Info */}
             <PhaseSection title="Case Information" icon={BookOpen}>
-              <CaseHeader data={history.case} counselNotes={history.counselNotes} />
+              <CaseHeader
+                data={history.case}
+                counselNotes={getSeatCounselNotes(history, config.role)}
+                opposingPlayer={isHotSeat ? config.players[getOpposingRole(config.role)] : null}
+              />
             </PhaseSection>
 
+            {/* Plea Negotiations */}
+            {/* Open until a motion is filed; the record stays once an offer is made */}
+            {history.plea && (isPleaOpen || history.plea.offers.length > 0) && (
+              <PhaseSection title="Plea Negotiations" icon={Handshake}>
+                <PleaSection
+                  plea={history.plea}
+                  range={getSentencingRange(config.jurisdiction)}
+                  charge={history.case.charge}
+                  playerRole={config.role}
+                  isLoading={Boolean(loadingMsg)}
+                  onRequestOffer={() => requestPleaOffer()}
+                  onPropose={isPleaOpen ? proposePleaDeal : undefined}
+                  onAccept={() => acceptPleaDeal()}
+                  onDecline={declinePleaDeal}
+                />
+                {isPleaDeal && (
+                  <ActionFooter className="mt-12 justify-center pt-8 border-t border-slate-100">
+                    <button
+                      onClick={handleReset}
+                      className="text-slate-400 hover:text-slate-800 font-bold uppercase text-xs tracking-widest flex items-center justify-center gap-2 mx-auto"
+                    >
+                      <RefreshCw className="w-4 h-4" /> Start New Case
+                    </button>
+                  </ActionFooter>
+                )}
+              </PhaseSection>
+            )}
+
             {/* 2. Jury Section (If Applicable) */}
-            {!history.jury.skipped && (
+            {!history.jury.skipped && !isPleaDeal && (
               <PhaseSection title="Jury Selection" icon={Users}>
                 <JurySection
                   pool={history.jury.pool}
@@ -307,10 +489,30 @@ const RunShell = ({
                   myStrikes={history.jury.myStrikes || []}
                   opponentStrikes={history.jury.opponentStrikes || []}
                   judgeComment={history.jury.comment}
-                  onStrike={toggleStrikeSelection}
+                  onStrike={isPresiding ? undefined : toggleStrikeSelection}
                   playerRole={config.role}
+                  strikesByRole={history.jury.strikesByRole}
+                  isHotSeat={isHotSeat}
+                  questions={history.jury.questions ?? []}
+                  onAsk={askVoirDire}
+                  causeChallenges={history.jury.causeChallenges ?? []}
+                  onChallengeCause={isPresiding ? undefined : challengeForCause}
+                  batsonChallenges={history.jury.batsonChallenges ?? []}
+                  onBatson={isBatsonOpen ? raiseBatsonObjection : undefined}
+                  onCloseChallenges={closeJuryChallenges}
+                  isLoading={Boolean(loadingMsg)}
                 />
-                {!history.jury.locked && (
+                {!history.jury.locked && isPresiding && (
+                  <StrikeReviewSection
+                    pool={history.jury.pool}
+                    strikesByRole={history.jury.strikesByRole}
+                    strikeReasons={history.jury.strikeReasons}
+                    isLoading={Boolean(loadingMsg)}
+                    onRequestStrikes={() => requestCounselStrikes()}
+                    onSeat={seatJury}
+                  />
+                )}
+                {!history.jury.locked && !isPresiding && (
                   <ActionFooter>
                     <button
                       onClick={() => submitStrikes(history.jury.myStrikes)}
@@ -326,10 +528,12 @@ const RunShell = ({
 
             {/* 3. Motions Section */}
             {/* Appears if jury skipped OR jury locked */}
-            {(history.jury.skipped || history.jury.locked) && (
+            {(history.jury.skipped || history.jury.locked) && !isPleaDeal && (
               <PhaseSection title="Pre-Trial Motions" icon={FileText}>
                 <MotionSection
-                  isLocked={history.motion.locked}
+                  isLocked={
+                    history.motion.locked || (isPresiding && Boolean(history.motion.rebuttalText))
+                  }
                   motionPhase={history.motion.motionPhase}
                   motionText={history.motion.motionText}
                   motionBy={history.motion.motionBy}
@@ -339,31 +543,129 @@ const RunShell = ({
                   playerRole={config.role}
                   isLoading={Boolean(loadingMsg)}
                   onSubmitStep={submitMotionStep}
+                  objections={history.objections ?? []}
+                  onObject={history.trial?.locked || isPresiding ? undefined : raiseObjection}
                   onAutoGenerate={(mode) => generateAutoSubmission(mode, 'motion')}
                   showAutoGenerate={debugLogsEnabled}
                 />
+                {isPresiding && !history.motion.locked && history.motion.rebuttalText && (
+                  <BenchRulingForm
+                    evidence={history.case.evidence ?? []}
+                    isLoading={Boolean(loadingMsg)}
+                    onRule={ruleOnMotion}
+                  />
+                )}
+                {isBenchDismissal && (
+                  <>
+                    <JudicialReviewSection
+                      review={history.review}
+                      isLoading={Boolean(loadingMsg)}
+                      onRetry={() => requestJudicialReview()}
+                    />
+                    <ActionFooter className="mt-12 justify-center pt-8 border-t border-slate-100">
+                      <button
+                        onClick={handleReset}
+                        className="text-slate-400 hover:text-slate-800 font-bold uppercase text-xs tracking-widest flex items-center justify-center gap-2 mx-auto"
+                      >
+                        <RefreshCw className="w-4 h-4" /> Start New Case
+                      </button>
+                    </ActionFooter>
+                  </>
+                )}
               </PhaseSection>
             )}
 
-            {/* 4. Trial Section */}
-            {/* Appears if motion locked */}
-            {history.motion && history.motion.locked && (
-              <PhaseSection title="Trial Phase" icon={Gavel}>
-                <ArgumentSection
-                  isLocked={history.trial.locked}
-                  isJuryTrial={history.case.is_jury_trial}
-                  onSubmit={submitArgument}
-                  onAutoGenerate={(mode) => generateAutoSubmission(mode, 'argument')}
+            {/* 4. Opening Statements */}
+            {/* Appears once the motion is locked */}
+            {history.motion && history.motion.locked && !isPresiding && (
+              <PhaseSection title="Opening Statements" icon={Megaphone}>
+                <OpeningSection
+                  openings={history.trial?.openings}
+                  order={getOpeningOrder(history.case)}
+                  playerRole={config.role}
+                  isLoading={Boolean(loadingMsg)}
+                  onSubmit={submitOpening}
+                  onAutoGenerate={(mode) => generateAutoSubmission(mode, 'opening')}
                   showAutoGenerate={debugLogsEnabled}
-                  submittedText={history.trial.text}
                 />
               </PhaseSection>
             )}
 
-            {/* 5. Verdict Section */}
+            {/* 5. Witness Examination */}
+            {/* Appears once both sides have opened, if the case has witnesses */}
+            {history.motion &&
+              history.motion.locked &&
+              !isPresiding &&
+              hasOpened &&
+              hasWitnesses(history.case) && (
+                <PhaseSection title="Witness Examination" icon={Mic}>
+                  <WitnessSection
+                    witnesses={history.case.witnesses}
+                    transcript={history.examination?.transcript ?? []}
+                    isLocked={Boolean(history.examination?.locked)}
+                    isLoading={Boolean(loadingMsg)}
+                    onAsk={examineWitness}
+                    onRest={restExamination}
+                  />
+                </PhaseSection>
+              )}
+
+            {/* 6. Trial Section */}
+            {/* Appears once examination is rested (or skipped) */}
+            {history.motion &&
+              history.motion.locked &&
+              hasOpened &&
+              isExaminationComplete(history) &&
+              !isBenchDismissal && (
+                <PhaseSection title="Trial Phase" icon={Gavel}>
+                  {isPresiding ? (
+                    <BenchTrialSection
+                      closings={history.trial.closings}
+                      isLocked={history.trial.locked}
+                      isLoading={Boolean(loadingMsg)}
+                      onRequestClosings={() => requestClosings()}
+                      onRender={renderJudgment}
+                    />
+                  ) : (
+                    <ArgumentSection
+                      isLocked={history.trial.locked}
+                      isJuryTrial={history.case.is_jury_trial}
+                      onSubmit={submitArgument}
+                      onAutoGenerate={(mode) => generateAutoSubmission(mode, 'argument')}
+                      showAutoGenerate={debugLogsEnabled}
+                      submittedText={history.trial.text}
+                      closings={isHotSeat ? history.trial.closings : undefined}
+                      playerRole={config.role}
+                      opposingClosing={history.trial.opposingClosing}
+                      rebuttal={history.trial.rebuttal}
+                      isLoading={Boolean(loadingMsg)}
+                      objections={history.objections ?? []}
+                      onObject={history.trial.locked ? undefined : raiseObjection}
+                    />
+                  )}
+                </PhaseSection>
+              )}
+
+            {/* 7. Verdict Section */}
             {history.trial && history.trial.locked && (
               <PhaseSection title="Final Judgment" icon={Scale} className="border-none mb-0 pb-0">
-                <VerdictSection result={history.trial.verdict} />
+                <VerdictSection result={history.trial.verdict} jurors={history.jury?.pool} />
+                {isPresiding && (
+                  <JudicialReviewSection
+                    review={history.review}
+                    isLoading={Boolean(loadingMsg)}
+                    onRetry={() => requestJudicialReview()}
+                  />
+                )}
+                {history.sentencing && (
+                  <SentencingSection
+                    sentencing={history.sentencing}
+                    range={getSentencingRange(config.jurisdiction)}
+                    playerRole={config.role}
+                    isLoading={Boolean(loadingMsg)}
+                    onSubmit={submitSentencingMemo}
+                  />
+                )}
                 <ActionFooter className="mt-12 justify-center pt-8 border-t border-slate-100">
                   <button
                     onClick={handleReset}
@@ -402,11 +704,43 @@ const RunShell = ({
 
             {/* 1. Case Info */}
             <PhaseSection title="Case Information" icon={BookOpen}>
-              <CaseHeader data={history.case} counselNotes={history.counselNotes} />
+              <CaseHeader
+                data={history.case}
+                counselNotes={getSeatCounselNotes(history, config.role)}
+                opposingPlayer={isHotSeat ? config.players[getOpposingRole(config.role)] : null}
+              />
             </PhaseSection>
 
+            {/* Plea Negotiations */}
+            {/* Open until a motion is filed; the record stays once an offer is made */}
+            {history.plea && (isPleaOpen || history.plea.offers.length > 0) && (
+              <PhaseSection title="Plea Negotiations" icon={Handshake}>
+                <PleaSection
+                  plea={history.plea}
+                  range={getSentencingRange(config.jurisdiction)}
+                  charge={history.case.charge}
+                  playerRole={config.role}
+                  isLoading={Boolean(loadingMsg)}
+                  onRequestOffer={() => requestPleaOffer()}
+                  onPropose={isPleaOpen ? proposePleaDeal : undefined}
+                  onAccept={() => acceptPleaDeal()}
+                  onDecline={declinePleaDeal}
+                />
+                {isPleaDeal && (
+                  <ActionFooter className="mt-12 justify-center pt-8 border-t border-slate-100">
+                    <button
+                      onClick={handleReset}
+                      className="text-slate-400 hover:text-slate-800 font-bold uppercase text-xs tracking-widest flex items-center justify-center gap-2 mx-auto"
+                    >
+                      <RefreshCw className="w-4 h-4" /> Start New Case
+                    </button>
+                  </ActionFooter>
+                )}
+              </PhaseSection>
+            )}
+
             {/* 2. Jury Section (If Applicable) */}
-            {!history.jury.skipped && (
+            {!history.jury.skipped && !isPleaDeal && (
               <PhaseSection title="Jury Selection" icon={Users}>
                 <JurySection
                   pool={history.jury.pool}
@@ -414,10 +748,30 @@ const RunShell = ({
                   myStrikes={history.jury.myStrikes || []}
                   opponentStrikes={history.jury.opponentStrikes || []}
                   judgeComment={history.jury.comment}
-                  onStrike={toggleStrikeSelection}
+                  onStrike={isPresiding ? undefined : toggleStrikeSelection}
                   playerRole={config.role}
+                  strikesByRole={history.jury.strikesByRole}
+                  isHotSeat={isHotSeat}
+                  questions={history.jury.questions ?? []}
+                  onAsk={askVoirDire}
+                  causeChallenges={history.jury.causeChallenges ?? []}
+                  onChallengeCause={isPresiding ? undefined : challengeForCause}
+                  batsonChallenges={history.jury.batsonChallenges ?? []}
+                  onBatson={isBatsonOpen ? raiseBatsonObjection : undefined}
+                  onCloseChallenges={closeJuryChallenges}
+                  isLoading={Boolean(loadingMsg)}
                 />
-                {!history.jury.locked && (
+                {!history.jury.locked && isPresiding && (
+                  <StrikeReviewSection
+                    pool={history.jury.pool}
+                    strikesByRole={history.jury.strikesByRole}
+                    strikeReasons={history.jury.strikeReasons}
+                    isLoading={Boolean(loadingMsg)}
+                    onRequestStrikes={() => requestCounselStrikes()}
+                    onSeat={seatJury}
+                  />
+                )}
+                {!history.jury.locked && !isPresiding && (
                   <ActionFooter>
                     <button
                       onClick={() => submitStrikes(history.jury.myStrikes)}
@@ -433,10 +787,12 @@ const RunShell = ({
 
             {/* 3. Motions Section */}
             {/* Appears if jury skipped OR jury locked */}
-            {(history.jury.skipped || history.jury.locked) && (
+            {(history.jury.skipped || history.jury.locked) && !isPleaDeal && (
               <PhaseSection title="Pre-Trial Motions" icon={FileText}>
                 <MotionSection
-                  isLocked={history.motion.locked}
+                  isLocked={
+                    history.motion.locked || (isPresiding && Boolean(history.motion.rebuttalText))
+                  }
                   motionPhase={history.motion.motionPhase}
                   motionText={history.motion.motionText}
                   motionBy={history.motion.motionBy}
@@ -446,31 +802,129 @@ const RunShell = ({
                   playerRole={config.role}
                   isLoading={Boolean(loadingMsg)}
                   onSubmitStep={submitMotionStep}
+                  objections={history.objections ?? []}
+                  onObject={history.trial?.locked || isPresiding ? undefined : raiseObjection}
                   onAutoGenerate={(mode) => generateAutoSubmission(mode, 'motion')}
                   showAutoGenerate={debugLogsEnabled}
                 />
+                {isPresiding && !history.motion.locked && history.motion.rebuttalText && (
+                  <BenchRulingForm
+                    evidence={history.case.evidence ?? []}
+                    isLoading={Boolean(loadingMsg)}
+                    onRule={ruleOnMotion}
+                  />
+                )}
+                {isBenchDismissal && (
+                  <>
+                    <JudicialReviewSection
+                      review={history.review}
+                      isLoading={Boolean(loadingMsg)}
+                      onRetry={() => requestJudicialReview()}
+                    />
+                    <ActionFooter className="mt-12 justify-center pt-8 border-t border-slate-100">
+                      <button
+                        onClick={handleReset}
+                        className="text-slate-400 hover:text-slate-800 font-bold uppercase text-xs tracking-widest flex items-center justify-center gap-2 mx-auto"
+                      >
+                        <RefreshCw className="w-4 h-4" /> Start New Case
+                      </button>
+                    </ActionFooter>
+                  </>
+                )}
               </PhaseSection>
             )}
 
-            {/* 4. Trial Section */}
-            {/* Appears if motion locked */}
-            {history.motion && history.motion.locked && (
-              <PhaseSection title="Trial Phase" icon={Gavel}>
-                <ArgumentSection
-                  isLocked={history.trial.locked}
-                  isJuryTrial={history.case.is_jury_trial}
-                  onSubmit={submitArgument}
-                  onAutoGenerate={(mode) => generateAutoSubmission(mode, 'argument')}
+            {/* 4. Opening Statements */}
+            {/* Appears once the motion is locked */}
+            {history.motion && history.motion.locked && !isPresiding && (
+              <PhaseSection title="Opening Statements" icon={Megaphone}>
+                <OpeningSection
+                  openings={history.trial?.openings}
+                  order={getOpeningOrder(history.case)}
+                  playerRole={config.role}
+                  isLoading={Boolean(loadingMsg)}
+                  onSubmit={submitOpening}
+                  onAutoGenerate={(mode) => generateAutoSubmission(mode, 'opening')}
                   showAutoGenerate={debugLogsEnabled}
-                  submittedText={history.trial.text}
                 />
               </PhaseSection>
             )}
 
-            {/* 5. Verdict Section */}
+            {/* 5. Witness Examination */}
+            {/* Appears once both sides have opened, if the case has witnesses */}
+            {history.motion &&
+              history.motion.locked &&
+              !isPresiding &&
+              hasOpened &&
+              hasWitnesses(history.case) && (
+                <PhaseSection title="Witness Examination" icon={Mic}>
+                  <WitnessSection
+                    witnesses={history.case.witnesses}
+                    transcript={history.examination?.transcript ?? []}
+                    isLocked={Boolean(history.examination?.locked)}
+                    isLoading={Boolean(loadingMsg)}
+                    onAsk={examineWitness}
+                    onRest={restExamination}
+                  />
+                </PhaseSection>
+              )}
+
+            {/* 6. Trial Section */}
+            {/* Appears once examination is rested (or skipped) */}
+            {history.motion &&
+              history.motion.locked &&
+              hasOpened &&
+              isExaminationComplete(history) &&
+              !isBenchDismissal && (
+                <PhaseSection title="Trial Phase" icon={Gavel}>
+                  {isPresiding ? (
+                    <BenchTrialSection
+                      closings={history.trial.closings}
+                      isLocked={history.trial.locked}
+                      isLoading={Boolean(loadingMsg)}
+                      onRequestClosings={() => requestClosings()}
+                      onRender={renderJudgment}
+                    />
+                  ) : (
+                    <ArgumentSection
+                      isLocked={history.trial.locked}
+                      isJuryTrial={history.case.is_jury_trial}
+                      onSubmit={submitArgument}
+                      onAutoGenerate={(mode) => generateAutoSubmission(mode, 'argument')}
+                      showAutoGenerate={debugLogsEnabled}
+                      submittedText={history.trial.text}
+                      closings={isHotSeat ? history.trial.closings : undefined}
+                      playerRole={config.role}
+                      opposingClosing={history.trial.opposingClosing}
+                      rebuttal={history.trial.rebuttal}
+                      isLoading={Boolean(loadingMsg)}
+                      objections={history.objections ?? []}
+                      onObject={history.trial.locked ? undefined : raiseObjection}
+                    />
+                  )}
+                </PhaseSection>
+              )}
+
+            {/* 7. Verdict Section */}
             {history.trial && history.trial.locked && (
               <PhaseSection title="Final Judgment" icon={Scale} className="border-none mb-0 pb-0">
-                <VerdictSection result={history.trial.verdict} />
+                <VerdictSection result={history.trial.verdict} jurors={history.jury?.pool} />
+                {isPresiding && (
+                  <JudicialReviewSection
+                    review={history.review}
+                    isLoading={Boolean(loadingMsg)}
+                    onRetry={() => requestJudicialReview()}
+                  />
+                )}
+                {history.sentencing && (
+                  <SentencingSection
+                    sentencing={history.sentencing}
+                    range={getSentencingRange(config.jurisdiction)}
+                    playerRole={config.role}
+                    isLoading={Boolean(loadingMsg)}
+                    onSubmit={submitSentencingMemo}
+                  />
+                )}
                 <ActionFooter className="mt-12 justify-center pt-8 border-t border-slate-100">
                   <button
                     onClick={handleReset}
@@ -497,6 +951,7 @@ const RunShell = ({
       <DebugToast message={debugBanner} />
       <ProfileDrawer
         profile={profile}
+        profileId={profileId}
         isOpen={isProfileOpen}
         onClose={() => setIsProfileOpen(false)}
         showTrigger={false}
@@ -507,6 +962,17 @@ const RunShell = ({
   return runView;
 };
 
+const RUN_LOCKED_MESSAGE =
+  'A case for this profile is already open in another tab. Finish it there or close that tab.';
+
+const RUN_LOCK_LOST_MESSAGE =
+  'Another tab took over this case while this one was idle. Finish it there or close that tab.';
+
+const loadSanctionsSnapshot = (profileId) => {
+  const stored = loadPlayerProfile(profileId)?.sanctions ?? null;
+  return stored ? normalizeSanctionsState(stored, Date.now()) : null;
+};
+
 /**
  * Main Pocket Court application component.
  *
@@ -517,15 +983,18 @@ export default function PocketCourt() {
   const renderCountRef = useRef(0);
   const [shellState, setShellState] = useState(appShellState.MainMenu);
   const [setupError, setSetupError] = useState(null);
-  const [sanctionsSnapshot, setSanctionsSnapshot] = useState(() => {
-    const stored = loadPlayerProfile()?.sanctions ?? null;
-    return stored ? normalizeSanctionsState(stored, Date.now()) : null;
-  });
+  const [setupNotice, setSetupNotice] = useState(null);
+  const [profileId, setProfileId] = useState(() => loadProfileRegistry().activeProfileId);
+  const [sanctionsSnapshot, setSanctionsSnapshot] = useState(() =>
+    loadSanctionsSnapshot(profileId)
+  );
   const [startPayload, setStartPayload] = useState(null);
   const [runStartInProgress, setRunStartInProgress] = useState(false);
   const [runOutcome, setRunOutcome] = useState(null);
+  const [appealTarget, setAppealTarget] = useState(null);
   const [debugPayload, setDebugPayload] = useState(null);
   const [debugOverlayMounted, setDebugOverlayMounted] = useState(false);
+  const [, setProfileRevision] = useState(0);
   const skipNextRunEndedPostRunRef = useRef(false);
 
   const transitionShell = useCallback((nextState) => {
@@ -536,16 +1005,141 @@ export default function PocketCourt() {
     setShellState(nextState);
   }, []);
 
-  const profileSnapshot = loadPlayerProfile();
+  const profileSnapshot = loadPlayerProfile(profileId);
+  const activeRun = shellState === appShellState.Run ? null : loadActiveRun(profileId);
+  const isMenuShell =
+    shellState === appShellState.MainMenu || shellState === appShellState.SetupHub;
+  const migrationFailures = isMenuShell ? loadMigrationFailures() : [];
+  const profileRegistry = shellState === appShellState.MainMenu ? loadProfileRegistry() : null;
+
+  const switchProfile = (nextProfileId) => {
+    if (nextProfileId === profileId) return;
+    setProfileId(nextProfileId);
+    setSanctionsSnapshot(loadSanctionsSnapshot(nextProfileId));
+  };
+
+  // Each tab keeps its own profile; the registry's active profile only picks the one a new tab
+  // opens with.
+  const applyProfileRegistry = (registry, nextProfileId = profileId) => {
+    if (!registry) return false;
+    switchProfile(nextProfileId);
+    setProfileRevision((revision) => revision + 1);
+    return true;
+  };
+
+  const profileActions = {
+    onSelect: (id) => applyProfileRegistry(setActiveProfile(id), id),
+    onCreate: (name) => {
+      const registry = createProfile(name);
+      return applyProfileRegistry(registry, registry?.activeProfileId);
+    },
+    onRename: (id, name) => applyProfileRegistry(renameProfile(id, name)),
+    onDuplicate: (id) => applyProfileRegistry(duplicateProfile(id)),
+    onDelete: (id) => {
+      const registry = deleteProfile(id);
+      return applyProfileRegistry(
+        registry,
+        id === profileId ? registry?.profiles[0]?.id : profileId
+      );
+    },
+  };
+
+  // Another tab changed this browser's records: reload what the menus show. During a run,
+  // `useGameState` reconciles the sanctions itself.
+  useEffect(
+    () =>
+      subscribeToStorageChanges((change) => {
+        if (shellState !== appShellState.Run) {
+          const registry =
+            change.kind === STORAGE_CHANGE_KINDS.REGISTRY ? loadProfileRegistry() : null;
+          if (registry && !registry.profiles.some((slot) => slot.id === profileId)) {
+            // The profile was deleted in another tab.
+            setProfileId(registry.activeProfileId);
+            setSanctionsSnapshot(loadSanctionsSnapshot(registry.activeProfileId));
+          } else if (
+            change.kind === STORAGE_CHANGE_KINDS.PROFILE &&
+            change.profileId === profileId
+          ) {
+            setSanctionsSnapshot(loadSanctionsSnapshot(profileId));
+          }
+        }
+        setProfileRevision((revision) => revision + 1);
+      }),
+    [profileId, shellState]
+  );
+
+  // Claims the profile's run lock, or reports the tab that holds it.
+  const claimRun = () => {
+    const claimed = acquireRunLock(profileId);
+    setSetupNotice(claimed ? null : RUN_LOCKED_MESSAGE);
+    if (!claimed) transitionShell(appShellState.SetupHub);
+    return claimed;
+  };
+
+  const dismissMigrationFailure = (backupKey) => {
+    acknowledgeMigrationFailure(backupKey);
+    setSanctionsSnapshot(loadSanctionsSnapshot(profileId));
+    setProfileRevision((revision) => revision + 1);
+  };
+
+  const restoreMigrationFailure = (backupKey) => {
+    restoreMigrationBackup(backupKey);
+    setSanctionsSnapshot(loadSanctionsSnapshot(profileId));
+    setProfileRevision((revision) => revision + 1);
+  };
+
+  const handleStart = (role, difficulty, jurisdiction, courtType, players = null) => {
+    if (!claimRun()) return false;
+    skipNextRunEndedPostRunRef.current = false;
+    setSetupError(null);
+    setRunStartInProgress(true);
+    setStartPayload({ role, difficulty, jurisdiction, courtType, players });
+    transitionShell(appShellState.Run);
+    return true;
+  };
+
+  const restoreProfile = (profile) => {
+    setSanctionsSnapshot(profile.sanctions ?? null);
+    setProfileRevision((revision) => revision + 1);
+  };
+
+  const resumeCase = () => {
+    if (!activeRun || !claimRun()) return;
+    skipNextRunEndedPostRunRef.current = false;
+    setSetupError(null);
+    setRunStartInProgress(true);
+    setRunOutcome(null);
+    setStartPayload({ role: activeRun.config.role, resume: activeRun });
+    transitionShell(appShellState.Run);
+  };
+
+  const importDocket = (entry) => {
+    savePlayerProfile(recordImportedDocket(loadPlayerProfile(profileId), entry), profileId);
+    setProfileRevision((revision) => revision + 1);
+  };
+
+  const openAppeal = (caseId, returnState) => {
+    setAppealTarget({ caseId, returnState });
+    transitionShell(appShellState.Appeal);
+  };
 
-  const handleStart = (role, difficulty, jurisdiction, courtType) => {
+  const startRetrial = (payload) => {
+    setAppealTarget(null);
+    if (!claimRun()) return;
     skipNextRunEndedPostRunRef.current = false;
     setSetupError(null);
     setRunStartInProgress(true);
-    setStartPayload({ role, difficulty, jurisdiction, courtType });
+    setRunOutcome(null);
+    setStartPayload(payload);
     transitionShell(appShellState.Run);
   };
 
+  const closeAppeal = () => {
+    const returnState = appealTarget?.returnState ?? appShellState.SetupHub;
+    setAppealTarget(null);
+    transitionShell(returnState);
+  };
+
   const handleRunInitialized = useCallback(() => {
     setRunStartInProgress(false);
   }, []);
@@ -586,6 +1180,13 @@ export default function PocketCourt() {
     setRunOutcome(null);
     transitionShell(appShellState.SetupHub);
   }, [transitionShell]);
+  const handleRunLockLost = useCallback(() => {
+    setSetupNotice(RUN_LOCK_LOST_MESSAGE);
+    setRunStartInProgress(false);
+    setStartPayload(null);
+    setRunOutcome(null);
+    transitionShell(appShellState.SetupHub);
+  }, [transitionShell]);
   const startNewCase = useCallback(() => {
     skipNextRunEndedPostRunRef.current = false;
     setRunOutcome(null);
@@ -622,15 +1223,28 @@ export default function PocketCourt() {
   switch (shellState) {
     case appShellState.MainMenu:
       shellView = (
-        <MainMenu onPlay={() => transitionShell(appShellState.SetupHub)} />
+        <MainMenu
+          onPlay={() => transitionShell(appShellState.SetupHub)}
+          activeRun={activeRun}
+          onResume={resumeCase}
+          profiles={profileRegistry && { ...profileRegistry, activeProfileId: profileId }}
+          profileActions={profileActions}
+        />
       );
       break;
     case appShellState.SetupHub:
       shellView = (
         <SetupHub
           onStart={handleStart}
+          onAppeal={(caseId) => openAppeal(caseId, appShellState.SetupHub)}
+          onImportDocket={importDocket}
+          onProfileRestored={restoreProfile}
+          activeRun={activeRun}
+          onResume={resumeCase}
           error={setupError}
+          notice={setupNotice}
           profile={profileSnapshot}
+          profileId={profileId}
           isInitializing={runStartInProgress}
           initializingRole={startPayload?.role ?? null}
         />
@@ -644,6 +1258,21 @@ export default function PocketCourt() {
           profile={profileSnapshot}
           onNewCase={startNewCase}
           onMainMenu={returnToMenu}
+          onAppeal={(caseId) => openAppeal(caseId, appShellState.PostRun)}
+        />
+      );
+      break;
+    case appShellState.Appeal:
+      shellView = (
+        <AppealScreen
+          key={appealTarget?.caseId}
+          caseEntry={
+            profileSnapshot.caseHistory?.find((entry) => entry.id === appealTarget?.caseId) ??
+            null
+          }
+          profileId={profileId}
+          onRetrial={startRetrial}
+          onBack={closeAppeal}
         />
       );
       break;
@@ -653,10 +1282,12 @@ export default function PocketCourt() {
         <RunShell
           startPayload={startPayload}
           profile={profileSnapshot}
+          profileId={profileId}
           onExitToSetupHub={exitRunToSetupHub}
           onShellEvent={handleShellEvent}
           onDebugData={setDebugPayload}
           onRunInitialized={handleRunInitialized}
+          onRunLockLost={handleRunLockLost}
         />
       );
       break;
@@ -665,6 +1296,11 @@ export default function PocketCourt() {
   return (
     <ErrorBoundary>
       <>
+        <MigrationNotice
+          failures={migrationFailures}
+          onRestore={restoreMigrationFailure}
+          onDismiss={dismissMigrationFailure}
+        />
         {shellView}
         {import.meta.env.DEV && shellState === appShellState.Run && debugOverlayMounted && (
           <div className="fixed bottom-2 left-2 z-[90] rounded bg-slate-900/70 px-2 py-1 text-[10px] uppercase tracking-widest text-white shadow">
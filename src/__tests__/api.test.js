@@ -36,4 +36,14 @@ describe('fetchWithRetry', () => {
     await expect(promise).rejects.toThrow('boom');
     expect(fetchMock).toHaveBeenCalledTimes(1);
   });
+
+  it('does not retry client errors and exposes the status code', async () => {
+    const fetchMock = vi.fn().mockResolvedValue({ ok: false, status: 401 });
+    vi.stubGlobal('fetch', fetchMock);
+
+    const promise = fetchWithRetry('/endpoint', { method: 'GET' }, 2, 500);
+
+    await expect(promise).rejects.toMatchObject({ status: 401 });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
 });
@@ -2,7 +2,13 @@ import React from 'react';
 import { act, fireEvent, render, screen } from '@testing-library/react';
 import { beforeEach, describe, expect, it, vi } from 'vitest';
 import PocketCourt from '../App';
-import { SANCTION_STATES } from '../lib/constants';
+import {
+  PROFILE_STORAGE_KEY,
+  RUN_LOCK_STORAGE_KEY,
+  RUN_LOCK_TIMERS_MS,
+  SANCTION_STATES,
+} from '../lib/constants';
+import { loadActiveRun, loadProfileRegistry, saveActiveRun } from '../lib/persistence';
 import { __testables as gameStateTestables } from '../hooks/useGameState';
 
 globalThis.React = React;
@@ -15,6 +21,7 @@ vi.mock('../hooks/useGameState', async () => {
   const actual = await vi.importActual('../hooks/useGameState');
   const { GAME_STATES, SANCTION_STATES } = await vi.importActual('../lib/constants');
   let onShellEvent = null;
+  let lastOptions = null;
   const mockState = {
     gameState: GAME_STATES.PLAYING,
     config: {
@@ -90,6 +97,7 @@ vi.mock('../hooks/useGameState', async () => {
     generateAutoSubmission: vi.fn(),
     handleCopyFull: vi.fn(),
     resetGame: vi.fn(),
+    resumeRun: vi.fn(),
     toggleStrikeSelection: vi.fn(),
   };
 
@@ -103,10 +111,13 @@ vi.mock('../hooks/useGameState', async () => {
     ...actual,
     default: (options = {}) => {
       onShellEvent = options?.onShellEvent ?? null;
+      lastOptions = options;
       return mockState;
     },
     __testables: {
       emitShellEvent,
+      getOptions: () => lastOptions,
+      mockState,
     },
   };
 });
@@ -115,6 +126,8 @@ describe('App shell navigation', () => {
   beforeEach(() => {
     window.Element.prototype.scrollIntoView = vi.fn();
     window.HTMLElement.prototype.scrollIntoView = vi.fn();
+    window.localStorage.clear();
+    vi.clearAllMocks();
   });
 
   it('routes from main menu to setup, run, and post-run', async () => {
@@ -145,4 +158,148 @@ describe('App shell navigation', () => {
     expect(await screen.findByText('Outcome Summary')).toBeInTheDocument();
     expect(screen.getByRole('button', { name: /new case/i })).toBeInTheDocument();
   });
+
+  it('resumes the autosaved run from the main menu', () => {
+    saveActiveRun({
+      gameState: 'PLAYING',
+      history: { case: { title: 'Saved Case' } },
+      config: { role: 'prosecution' },
+      runMeta: { id: 'run-1', endedAt: null },
+      runStartSanctions: null,
+      docketNumber: 54321,
+      loadingMsg: null,
+      pendingRequest: null,
+    });
+    const save = loadActiveRun();
+    const { mockState } = gameStateTestables;
+
+    render(<PocketCourt />);
+
+    fireEvent.click(screen.getByRole('button', { name: /resume case.*saved case/i }));
+
+    expect(screen.getByText('COPY DOCKET')).toBeInTheDocument();
+    expect(mockState.resumeRun).toHaveBeenCalledWith(save);
+    expect(mockState.generateCase).not.toHaveBeenCalled();
+    expect(screen.getByText(/54321/)).toBeInTheDocument();
+  });
+
+  it('switches profiles from the main menu and runs the case under the chosen one', () => {
+    saveActiveRun({
+      gameState: 'PLAYING',
+      history: { case: { title: 'Saved Case' } },
+      config: { role: 'prosecution' },
+      runMeta: { id: 'run-1', endedAt: null },
+    });
+
+    render(<PocketCourt />);
+
+    expect(screen.getByRole('button', { name: /resume case/i })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Delete' })).toBeDisabled();
+
+    fireEvent.click(screen.getByRole('button', { name: 'New' }));
+    fireEvent.change(screen.getByLabelText('New profile name'), {
+      target: { value: 'Second Chair' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+    const { activeProfileId } = loadProfileRegistry();
+    expect(screen.getByLabelText(/profile/i)).toHaveDisplayValue('Second Chair');
+    expect(screen.queryByRole('button', { name: /resume case/i })).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Play' }));
+    fireEvent.click(screen.getByRole('button', { name: /defense/i }));
+
+    expect(gameStateTestables.getOptions().profileId).toBe(activeProfileId);
+    expect(activeProfileId).not.toBe('default');
+  });
+
+  it('will not start a case while another tab runs one for the same profile', () => {
+    const refreshedAt = new Date().toISOString();
+    window.localStorage.setItem(
+      RUN_LOCK_STORAGE_KEY,
+      JSON.stringify({ tabId: 'other-tab', acquiredAt: refreshedAt, refreshedAt })
+    );
+
+    render(<PocketCourt />);
+    fireEvent.click(screen.getByRole('button', { name: 'Play' }));
+    fireEvent.click(screen.getByRole('button', { name: /defense/i }));
+
+    expect(screen.getByText(/already open in another tab/i)).toBeInTheDocument();
+    expect(screen.queryByText('COPY DOCKET')).not.toBeInTheDocument();
+
+    window.localStorage.removeItem(RUN_LOCK_STORAGE_KEY);
+    fireEvent.click(screen.getByRole('button', { name: /defense/i }));
+
+    expect(screen.getByText('COPY DOCKET')).toBeInTheDocument();
+    expect(JSON.parse(window.localStorage.getItem(RUN_LOCK_STORAGE_KEY)).tabId).not.toBe(
+      'other-tab'
+    );
+  });
+
+  it('leaves the run when another tab takes over its stale lock', () => {
+    vi.useFakeTimers({ toFake: ['setInterval', 'clearInterval'] });
+    try {
+      render(<PocketCourt />);
+      fireEvent.click(screen.getByRole('button', { name: 'Play' }));
+      fireEvent.click(screen.getByRole('button', { name: /defense/i }));
+      expect(screen.getByText('COPY DOCKET')).toBeInTheDocument();
+
+      const refreshedAt = new Date().toISOString();
+      window.localStorage.setItem(
+        RUN_LOCK_STORAGE_KEY,
+        JSON.stringify({ tabId: 'other-tab', acquiredAt: refreshedAt, refreshedAt })
+      );
+      act(() => {
+        vi.advanceTimersByTime(RUN_LOCK_TIMERS_MS.HEARTBEAT);
+      });
+
+      expect(screen.getByText(/took over this case/i)).toBeInTheDocument();
+      expect(screen.queryByText('COPY DOCKET')).not.toBeInTheDocument();
+      expect(JSON.parse(window.localStorage.getItem(RUN_LOCK_STORAGE_KEY)).tabId).toBe(
+        'other-tab'
+      );
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('reports a saved profile that could not be migrated until the player starts over', () => {
+    window.localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify({ schemaVersion: 9 }));
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    render(<PocketCourt />);
+
+    expect(screen.getByText('Saved player profile not upgraded')).toBeInTheDocument();
+    expect(screen.getByText(`${PROFILE_STORAGE_KEY}.backup.v9`)).toBeInTheDocument();
+    expect(JSON.parse(window.localStorage.getItem(PROFILE_STORAGE_KEY)).schemaVersion).toBe(9);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Start Over' }));
+
+    expect(screen.queryByText('Saved player profile not upgraded')).not.toBeInTheDocument();
+    expect(JSON.parse(window.localStorage.getItem(PROFILE_STORAGE_KEY)).schemaVersion).toBe(1);
+  });
+
+  it('reports an unreadable saved profile with nothing to restore', () => {
+    window.localStorage.setItem(PROFILE_STORAGE_KEY, '{not-json}');
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    render(<PocketCourt />);
+
+    expect(screen.getByText('Saved player profile unreadable')).toBeInTheDocument();
+    expect(screen.getByText(`${PROFILE_STORAGE_KEY}.backup.unreadable`)).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Restore Backup' })).not.toBeInTheDocument();
+    expect(window.localStorage.getItem(PROFILE_STORAGE_KEY)).toBe('{not-json}');
+  });
+
+  it('restores a saved profile that could not be migrated from its backup', () => {
+    const backupKey = `${PROFILE_STORAGE_KEY}.backup.v9`;
+    window.localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify({ schemaVersion: 9 }));
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    render(<PocketCourt />);
+    fireEvent.click(screen.getByRole('button', { name: 'Restore Backup' }));
+
+    expect(JSON.parse(window.localStorage.getItem(PROFILE_STORAGE_KEY)).schemaVersion).toBe(9);
+    expect(screen.getByText(backupKey)).toBeInTheDocument();
+  });
 });
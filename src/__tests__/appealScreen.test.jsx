@@ -0,0 +1,104 @@
+import React from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import AppealScreen from '../components/shell/AppealScreen';
+import { requestLlmJson } from '../lib/llmClient';
+import { defaultPlayerProfile, loadPlayerProfile, savePlayerProfile } from '../lib/persistence';
+
+globalThis.React = React;
+
+vi.mock('../lib/llmClient', async () => {
+  const actual = await vi.importActual('../lib/llmClient');
+  return {
+    ...actual,
+    requestLlmJson: vi.fn(),
+  };
+});
+
+const caseEntry = {
+  id: 'case-1',
+  caseName: 'People v. Whitlock',
+  outcome: 'not_guilty',
+  playerRole: 'prosecution',
+  difficulty: 'normal',
+  jurisdiction: 'USA',
+  courtType: 'standard',
+  docketSnapshot: {
+    sections: {
+      case: { title: 'People v. Whitlock', charge: 'Theft', facts: [], evidence: ['Raincoat'] },
+      jury: { skipped: true },
+      motion: { ruling: { ruling: 'GRANTED', decision: { opinion: 'Suppressed.' } } },
+      trial: { verdict: { final_ruling: 'Not Guilty', judge_opinion: 'Not proven.' } },
+    },
+  },
+};
+
+describe('AppealScreen', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+    requestLlmJson.mockReset();
+    savePlayerProfile({ ...defaultPlayerProfile(), caseHistory: [caseEntry] });
+  });
+
+  it('files the brief, records the ruling, and starts a retrial on remand', async () => {
+    const payload = {
+      disposition: 'remanded',
+      errors_found: [{ issue: 'motion_ruling', finding: 'The raincoat was lawfully seized.' }],
+      opinion: 'The suppression order was error.',
+      remand_instructions: 'Admit the raincoat at retrial.',
+      docket_entry: 'Appeal: Remanded for a new trial.',
+    };
+    requestLlmJson.mockResolvedValue({ parsed: payload, rawText: JSON.stringify(payload) });
+    const onRetrial = vi.fn();
+
+    render(<AppealScreen caseEntry={caseEntry} onRetrial={onRetrial} onBack={vi.fn()} />);
+
+    expect(screen.getByText('Appeal by the Prosecution')).toBeInTheDocument();
+    fireEvent.click(screen.getByLabelText('Motion ruling'));
+    fireEvent.change(screen.getByLabelText('Appellate brief'), {
+      target: { value: 'The trial court misapplied the consent doctrine.' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'File Appeal' }));
+
+    expect(await screen.findByText('Remanded for a New Trial')).toBeInTheDocument();
+    expect(requestLlmJson.mock.calls[0][0].systemPrompt).toContain(
+      'Issues on Appeal: ["motion_ruling"]'
+    );
+    expect(loadPlayerProfile().caseHistory[0].appeal).toMatchObject({
+      appellant: 'prosecution',
+      issues: ['motion_ruling'],
+      ruling: { disposition: 'remanded', remandInstructions: 'Admit the raincoat at retrial.' },
+    });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Begin Retrial' }));
+    expect(onRetrial.mock.calls[0][0].retrial.caseData.appellate_ruling).toMatchObject({
+      disposition: 'remanded',
+      opinion: 'The suppression order was error.',
+    });
+  });
+
+  it('offers neither an appeal nor a retrial for an imported docket', () => {
+    const importedEntry = {
+      ...caseEntry,
+      imported: true,
+      appeal: {
+        filedAt: '2026-01-01T00:00:00.000Z',
+        appellant: 'prosecution',
+        issues: ['motion_ruling'],
+        brief: 'The trial court erred.',
+        ruling: {
+          disposition: 'remanded',
+          errorsFound: [],
+          opinion: 'The suppression order was error.',
+          remandInstructions: 'Admit the raincoat at retrial.',
+          docketEntry: 'Appeal: Remanded for a new trial.',
+        },
+      },
+    };
+
+    render(<AppealScreen caseEntry={importedEntry} onRetrial={vi.fn()} onBack={vi.fn()} />);
+
+    expect(screen.getByText('Remanded for a New Trial')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Begin Retrial' })).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, expect, it } from 'vitest';
+import {
+  buildAppealRecord,
+  buildRetrialPayload,
+  canAppeal,
+  getAppealableIssues,
+  getLosingSide,
+} from '../lib/appeals';
+import { LlmClientError, parseAppealResponse } from '../lib/llmClient';
+
+const buildCaseEntry = (overrides = {}) => ({
+  id: 'case-1',
+  caseName: 'People v. Whitlock',
+  outcome: 'guilty',
+  playerRole: 'defense',
+  difficulty: 'normal',
+  jurisdiction: 'USA',
+  courtType: 'standard',
+  docketSnapshot: {
+    sections: {
+      case: {
+        title: 'People v. Whitlock',
+        evidence: [
+          { id: 1, text: 'Photo of the garden bed', status: 'admissible' },
+          { id: 2, text: 'Green raincoat', status: 'suppressed' },
+        ],
+      },
+      jury: { skipped: true },
+      motion: {
+        motionBy: 'defense',
+        motionText: 'Suppress the raincoat.',
+        ruling: { ruling: 'DENIED', decision: { opinion: 'Lawfully seized.' } },
+      },
+      trial: { verdict: { final_ruling: 'Guilty', judge_opinion: 'Proven.' } },
+    },
+  },
+  ...overrides,
+});
+
+const buildAppealPayload = (overrides = {}) => ({
+  disposition: 'remanded',
+  errors_found: [{ issue: 'motion_ruling', finding: 'The seizure exceeded consent.' }],
+  opinion: 'Vacated and remanded.',
+  remand_instructions: 'Suppress the raincoat.',
+  docket_entry: 'Appeal: Remanded for a new trial.',
+  ...overrides,
+});
+
+describe('appeals', () => {
+  it('lets only the losing side appeal recorded rulings, once', () => {
+    expect(getLosingSide('guilty')).toBe('defense');
+    expect(getLosingSide('dismissed_with_prejudice')).toBe('prosecution');
+    expect(getLosingSide('mistrial_hung_jury')).toBeNull();
+    expect(getAppealableIssues(buildCaseEntry())).toEqual(['motion_ruling', 'verdict']);
+    expect(canAppeal(buildCaseEntry())).toBe(true);
+    expect(canAppeal(buildCaseEntry({ playerRole: 'prosecution' }))).toBe(false);
+    expect(canAppeal(buildCaseEntry({ playerRole: undefined }))).toBe(false);
+    expect(canAppeal(buildCaseEntry({ appeal: { ruling: buildAppealPayload() } }))).toBe(false);
+    expect(canAppeal(buildCaseEntry({ imported: true }))).toBe(false);
+  });
+
+  it('builds the appellate record and a retrial payload with the ruling attached', () => {
+    const entry = buildCaseEntry();
+    expect(buildAppealRecord(entry)).toMatchObject({
+      motion_ruling: { ruling: 'DENIED', opinion: 'Lawfully seized.' },
+      verdict: { finalRuling: 'Guilty' },
+    });
+
+    const payload = buildRetrialPayload({
+      ...entry,
+      appeal: {
+        ruling: {
+          disposition: 'remanded',
+          errorsFound: [{ issue: 'motion_ruling', finding: 'Error.' }],
+          opinion: 'Vacated.',
+          remandInstructions: 'Suppress the raincoat.',
+        },
+      },
+    });
+    expect(payload).toMatchObject({ role: 'defense', jurisdiction: 'USA' });
+    expect(payload.retrial.sourceCaseId).toBe('case-1');
+    expect(payload.retrial.caseData.evidence).toEqual(['Photo of the garden bed', 'Green raincoat']);
+    expect(payload.retrial.caseData.appellate_ruling).toEqual({
+      disposition: 'remanded',
+      opinion: 'Vacated.',
+      remand_instructions: 'Suppress the raincoat.',
+      errors_found: [{ issue: 'motion_ruling', finding: 'Error.' }],
+    });
+  });
+
+  it('rejects rulings on uncited issues and remands without instructions', () => {
+    expect(parseAppealResponse(buildAppealPayload(), ['motion_ruling']).disposition).toBe(
+      'remanded'
+    );
+    expect(() => parseAppealResponse(buildAppealPayload(), ['verdict'])).toThrow(LlmClientError);
+    expect(() =>
+      parseAppealResponse(buildAppealPayload({ remand_instructions: ' ' }), ['motion_ruling'])
+    ).toThrow(LlmClientError);
+    expect(() =>
+      parseAppealResponse(buildAppealPayload({ disposition: 'reversed', errors_found: [] }), [
+        'verdict',
+      ])
+    ).toThrow(LlmClientError);
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, expect, it, vi } from 'vitest';
+import { isQuotaError, openIndexedDbArchive } from '../lib/archiveStore';
+
+// Just enough of IndexedDB for the archive: requests and transactions settle asynchronously.
+const createFakeIndexedDb = ({ blocked = false, delayMs = 0 } = {}) => {
+  const stores = new Map();
+  const settle = (callback) => setTimeout(callback, 0);
+  const request = (compute) => {
+    const req = {};
+    settle(() => {
+      req.result = compute();
+      req.onsuccess?.();
+    });
+    return req;
+  };
+  const db = {
+    close: vi.fn(),
+    objectStoreNames: { contains: (name) => stores.has(name) },
+    createObjectStore: (name) => stores.set(name, new Map()),
+    transaction: () => {
+      const transaction = {
+        objectStore: (name) => {
+          const records = stores.get(name);
+          return {
+            put: (value, key) => request(() => records.set(key, structuredClone(value))),
+            delete: (key) => request(() => records.delete(key)),
+            get: (key) => request(() => records.get(key)),
+            getAll: () => request(() => [...records.values()]),
+            getAllKeys: () => request(() => [...records.keys()]),
+          };
+        },
+      };
+      settle(() => settle(() => transaction.oncomplete?.()));
+      return transaction;
+    },
+  };
+  return {
+    stores,
+    db,
+    open: () => {
+      const req = {};
+      if (blocked) {
+        settle(() => req.onblocked?.());
+        return req;
+      }
+      setTimeout(() => {
+        req.result = db;
+        if (!stores.size) req.onupgradeneeded?.();
+        req.onsuccess?.();
+      }, delayMs);
+      return req;
+    },
+  };
+};
+
+describe('docket archive store', () => {
+  it('is unavailable without IndexedDB', async () => {
+    await expect(openIndexedDbArchive(undefined)).resolves.toBeNull();
+  });
+
+  it('stores docket snapshots and run history across openings', async () => {
+    const factory = createFakeIndexedDb();
+    const archive = await openIndexedDbArchive(factory);
+
+    await archive.putSnapshots([
+      ['case-1', { sections: { case: { title: 'One' } } }],
+      ['case-2', { sections: { case: { title: 'Two' } } }],
+    ]);
+    await archive.putRuns('default', [{ id: 'run-1' }]);
+
+    const reopened = await openIndexedDbArchive(factory);
+    const { snapshots, runs } = await reopened.loadAll();
+    expect(reopened.name).toBe('indexeddb');
+    expect(snapshots.get('case-2')).toEqual({ sections: { case: { title: 'Two' } } });
+    expect(snapshots.size).toBe(2);
+    expect(runs.get('default')).toEqual([{ id: 'run-1' }]);
+  });
+
+  it('keeps run history per profile and deletes what a removed profile owned', async () => {
+    const factory = createFakeIndexedDb();
+    const archive = await openIndexedDbArchive(factory);
+
+    await archive.putSnapshots([
+      ['case-1', { sections: {} }],
+      ['case-2', { sections: {} }],
+    ]);
+    await archive.putRuns('default', [{ id: 'run-1' }]);
+    await archive.putRuns('profile-b', [{ id: 'run-2' }]);
+    expect((await archive.loadAll()).runs).toEqual(
+      new Map([
+        ['default', [{ id: 'run-1' }]],
+        ['profile-b', [{ id: 'run-2' }]],
+      ])
+    );
+
+    await archive.deleteRuns('profile-b');
+    await archive.deleteSnapshots(['case-2']);
+    const { snapshots, runs } = await archive.loadAll();
+    expect([...runs.keys()]).toEqual(['default']);
+    expect([...snapshots.keys()]).toEqual(['case-1']);
+  });
+
+  it('gives up when another tab blocks the upgrade', async () => {
+    await expect(openIndexedDbArchive(createFakeIndexedDb({ blocked: true }))).rejects.toThrow(
+      /blocked/
+    );
+  });
+
+  it('gives up on a slow open and closes the connection when it arrives', async () => {
+    const factory = createFakeIndexedDb({ delayMs: 20 });
+
+    await expect(openIndexedDbArchive(factory, { timeoutMs: 5 })).rejects.toThrow(/in time/);
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    expect(factory.db.close).toHaveBeenCalled();
+  });
+
+  it('closes its connection when another tab upgrades the database', async () => {
+    const factory = createFakeIndexedDb();
+    await openIndexedDbArchive(factory);
+
+    factory.db.onversionchange();
+
+    expect(factory.db.close).toHaveBeenCalled();
+  });
+
+  it('recognizes quota errors', () => {
+    expect(isQuotaError(new DOMException('full', 'QuotaExceededError'))).toBe(true);
+    expect(isQuotaError({ name: 'NS_ERROR_DOM_QUOTA_REACHED' })).toBe(true);
+    expect(isQuotaError(new Error('disk full'))).toBe(false);
+  });
+});
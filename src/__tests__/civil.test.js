@@ -0,0 +1,185 @@
+import { describe, expect, it } from 'vitest';
+import { canAppeal, getLosingSide } from '../lib/appeals';
+import {
+  formatDamages,
+  getCaseRoles,
+  getCounselTitle,
+  getOpposingRole,
+  isCivilCase,
+  isClaimantRole,
+} from '../lib/civil';
+import { CASE_TYPES, FINAL_DISPOSITIONS } from '../lib/constants';
+import { deriveDispositionFromVerdict } from '../lib/disposition';
+import { LlmClientError, parseCaseResponse, parseVerdictResponse } from '../lib/llmClient';
+import { getFinalVerdictPrompt, getJuryStrikePrompt } from '../lib/prompts';
+
+const civilCase = {
+  title: 'Pike v. Whitlock',
+  plaintiff: 'Harold Pike',
+  defendant: 'Dana Whitlock',
+  charge: 'Negligence',
+  damages_sought: 12500,
+  case_type: CASE_TYPES.CIVIL,
+  is_jury_trial: true,
+  facts: ['The fence collapsed.'],
+  judge: { name: 'Hon. Okafor', philosophy: 'Textualist', bias: 'None' },
+  jurors: [{ id: 1, name: 'J1', age: 40, job: 'Clerk', bias_hint: 'Careful' }],
+};
+
+const buildVerdict = (overrides = {}) => ({
+  jury_verdict: 'NA',
+  jury_reasoning: 'NA',
+  jury_score: 0,
+  judge_score: 70,
+  judge_opinion: 'The plaintiff carried the burden.',
+  final_ruling: 'The defendant is liable.',
+  damages_awarded: 9000,
+  is_jnov: false,
+  final_weighted_score: 66,
+  overflow_reason_code: null,
+  overflow_explanation: null,
+  achievement_title: null,
+  accountability: { sanction_recommended: false, severity: null, target: null, reason: null },
+  ...overrides,
+});
+
+// Live verdicts carry a structured disposition; `buildVerdict` alone stands in for a legacy one.
+const withDisposition = (disposition) => ({
+  disposition,
+  dismissal: { isDismissed: false, withPrejudice: false },
+});
+const forPlaintiff = withDisposition(FINAL_DISPOSITIONS.JUDGMENT_FOR_PLAINTIFF);
+
+describe('civil litigation', () => {
+  it('maps roles to sides of the caption', () => {
+    expect(getCaseRoles(true)).toEqual({ claimant: 'plaintiff', respondent: 'defendant' });
+    expect(getCaseRoles(false)).toEqual({ claimant: 'prosecution', respondent: 'defense' });
+    expect(getOpposingRole('plaintiff')).toBe('defendant');
+    expect(getCounselTitle('defendant')).toBe("Defendant's Counsel");
+    expect(isClaimantRole('plaintiff')).toBe(true);
+    expect(isClaimantRole('defendant')).toBe(false);
+    expect(isCivilCase(civilCase)).toBe(true);
+    expect(isCivilCase({ ...civilCase, case_type: undefined })).toBe(false);
+    expect(formatDamages(12500)).toBe('$12,500');
+  });
+
+  it('derives canonical civil judgments and records the damages award', () => {
+    const forPlaintiff = deriveDispositionFromVerdict(buildVerdict(), { isCivil: true });
+    expect(forPlaintiff.type).toBe(FINAL_DISPOSITIONS.JUDGMENT_FOR_PLAINTIFF);
+    expect(forPlaintiff.details).toContain('DAMAGES: $9,000');
+    expect(
+      deriveDispositionFromVerdict(
+        buildVerdict({ final_ruling: 'The defendant is not liable.', damages_awarded: 0 }),
+        { isCivil: true }
+      ).type
+    ).toBe(FINAL_DISPOSITIONS.JUDGMENT_FOR_DEFENDANT);
+    expect(
+      deriveDispositionFromVerdict(
+        buildVerdict({ final_ruling: 'Judgment entered for the defendant.' }),
+        { isCivil: true }
+      ).type
+    ).toBe(FINAL_DISPOSITIONS.JUDGMENT_FOR_DEFENDANT);
+    expect(
+      deriveDispositionFromVerdict(
+        buildVerdict({ final_ruling: 'Case dismissed with prejudice.' }),
+        { isCivil: true }
+      ).type
+    ).toBe(FINAL_DISPOSITIONS.DISMISSED_WITH_PREJUDICE);
+  });
+
+  it('requires civil case and verdict payloads to carry the plaintiff and damages', () => {
+    const casePayload = {
+      ...civilCase,
+      case_type: undefined,
+      evidence: ['Letter'],
+      opposing_statement: 'We will show the fence was sound.',
+    };
+    expect(parseCaseResponse(casePayload, { isCivil: true }).plaintiff).toBe('Harold Pike');
+    expect(() =>
+      parseCaseResponse({ ...casePayload, damages_sought: null }, { isCivil: true })
+    ).toThrow(LlmClientError);
+
+    expect(
+      parseVerdictResponse(buildVerdict(forPlaintiff), { isCivil: true }).damages_awarded
+    ).toBe(9000);
+    expect(() =>
+      parseVerdictResponse(buildVerdict({ ...forPlaintiff, damages_awarded: null }), {
+        isCivil: true,
+      })
+    ).toThrow(LlmClientError);
+    expect(() =>
+      parseVerdictResponse(
+        buildVerdict({
+          ...withDisposition(FINAL_DISPOSITIONS.JUDGMENT_FOR_DEFENDANT),
+          final_ruling: 'The defendant is not liable.',
+          damages_awarded: 500,
+        }),
+        { isCivil: true }
+      )
+    ).toThrow(LlmClientError);
+    expect(() =>
+      parseVerdictResponse(
+        buildVerdict({ ...withDisposition(FINAL_DISPOSITIONS.GUILTY), final_ruling: 'Guilty' }),
+        { isCivil: false }
+      )
+    ).toThrow(LlmClientError);
+  });
+
+  it('rejects criminal votes from a civil jury', () => {
+    const deliberation = [
+      { round: 1, votes: [{ juror_id: 1, vote: 'guilty', rationale: 'Convinced.' }] },
+    ];
+    const context = { isJuryTrial: true, isCivil: true, seatedJurorIds: [1] };
+    expect(() =>
+      parseVerdictResponse(
+        buildVerdict({ ...forPlaintiff, jury_verdict: 'Guilty', deliberation }),
+        context
+      )
+    ).toThrow(LlmClientError);
+
+    const parsed = parseVerdictResponse(
+      buildVerdict({
+        ...forPlaintiff,
+        jury_verdict: 'Liable',
+        deliberation: [
+          { round: 1, votes: [{ juror_id: 1, vote: 'liable', rationale: 'More likely.' }] },
+        ],
+      }),
+      context
+    );
+    expect(parsed.jury_verdict).toBe('Liable');
+  });
+
+  it('lets the losing civil party appeal', () => {
+    expect(getLosingSide(FINAL_DISPOSITIONS.JUDGMENT_FOR_PLAINTIFF, { isCivil: true })).toBe(
+      'defendant'
+    );
+    expect(getLosingSide(FINAL_DISPOSITIONS.DISMISSED, { isCivil: true })).toBe('plaintiff');
+    const entry = {
+      outcome: FINAL_DISPOSITIONS.JUDGMENT_FOR_DEFENDANT,
+      playerRole: 'plaintiff',
+      docketSnapshot: {
+        sections: { case: civilCase, trial: { verdict: buildVerdict() } },
+      },
+    };
+    expect(canAppeal(entry)).toBe(true);
+    expect(canAppeal({ ...entry, playerRole: 'defendant' })).toBe(false);
+  });
+
+  it('frames prompts around the civil claim and burden', () => {
+    const strikePrompt = getJuryStrikePrompt(civilCase, [1], 'plaintiff');
+    expect(strikePrompt).toContain("As AI Defendant's Counsel");
+    expect(strikePrompt).toContain('large damages awards');
+
+    const verdictPrompt = getFinalVerdictPrompt(
+      civilCase,
+      { ruling: 'DENIED', score: 50 },
+      civilCase.jurors,
+      'The defendant ignored two warnings.',
+      'normal'
+    );
+    expect(verdictPrompt).toContain('preponderance of the evidence');
+    expect(verdictPrompt).toContain('votes liable or not_liable');
+    expect(verdictPrompt).toContain('[plaintiff/defendant] misconduct');
+  });
+});
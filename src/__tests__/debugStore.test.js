@@ -3,6 +3,7 @@ import {
   __testables,
   getDebugState,
   logEvent,
+  recordRepairAttempt,
   setDebugFlag,
   setLastAction,
 } from '../lib/debugStore';
@@ -40,4 +41,12 @@ describe('debugStore', () => {
     const state = getDebugState();
     expect(state.flags.verboseLogging).toBe(true);
   });
+
+  it('keeps timestamped repair attempts', () => {
+    recordRepairAttempt({ responseLabel: 'motion', attempt: 1, maxAttempts: 3, outcome: 'retrying' });
+    const state = getDebugState();
+    expect(state.repairAttempts).toHaveLength(1);
+    expect(state.repairAttempts[0]).toMatchObject({ responseLabel: 'motion', outcome: 'retrying' });
+    expect(state.repairAttempts[0].timestamp).toEqual(expect.any(String));
+  });
 });
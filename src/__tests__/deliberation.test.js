@@ -0,0 +1,142 @@
+import { describe, expect, it } from 'vitest';
+import { FINAL_DISPOSITIONS } from '../lib/constants';
+import {
+  deriveJuryVerdict,
+  formatDeliberationTally,
+  getJurorVoteHistory,
+} from '../lib/deliberation';
+import { deriveDispositionFromVerdict } from '../lib/disposition';
+import { LlmClientError, parseVerdictResponse } from '../lib/llmClient';
+
+const buildRound = (round, votes) => ({
+  round,
+  votes: votes.map((vote, index) => ({
+    juror_id: index + 1,
+    vote,
+    rationale: `Juror ${index + 1} explains.`,
+  })),
+});
+
+const buildVerdict = (overrides = {}) => ({
+  jury_verdict: 'Guilty',
+  jury_reasoning: 'The panel deliberated.',
+  jury_score: 60,
+  judge_score: 70,
+  judge_opinion: 'The record supports the charge.',
+  final_ruling: 'Guilty',
+  disposition: FINAL_DISPOSITIONS.GUILTY,
+  dismissal: { isDismissed: false, withPrejudice: false },
+  is_jnov: false,
+  final_weighted_score: 66,
+  overflow_reason_code: null,
+  overflow_explanation: null,
+  achievement_title: null,
+  accountability: { sanction_recommended: false, severity: null, target: null, reason: null },
+  ...overrides,
+});
+
+describe('jury deliberation', () => {
+  it('decides the jury verdict from the final round and tracks flipped holdouts', () => {
+    const unanimous = [
+      buildRound(1, ['guilty', 'not_guilty']),
+      buildRound(2, ['guilty', 'guilty']),
+    ];
+    const split = [buildRound(1, ['guilty', 'not_guilty'])];
+
+    expect(deriveJuryVerdict(unanimous)).toBe('Guilty');
+    expect(deriveJuryVerdict(split)).toBe('Hung');
+    expect(deriveJuryVerdict(null)).toBeNull();
+    expect(formatDeliberationTally(split)).toBe('Guilty 1, Not Guilty 1 (Hung) after 1 round');
+    expect(getJurorVoteHistory(unanimous)).toEqual([
+      { jurorId: 1, votes: ['guilty', 'guilty'], rationale: 'Juror 1 explains.', flipped: false },
+      {
+        jurorId: 2,
+        votes: ['not_guilty', 'guilty'],
+        rationale: 'Juror 2 explains.',
+        flipped: true,
+      },
+    ]);
+  });
+
+  it('requires one vote per seated juror each round and derives jury_verdict from the tally', () => {
+    const context = { isJuryTrial: true, seatedJurorIds: [1, 2] };
+    const parsed = parseVerdictResponse(
+      buildVerdict({
+        final_ruling: 'Not Guilty',
+        disposition: FINAL_DISPOSITIONS.NOT_GUILTY,
+        deliberation: [buildRound(1, ['not_guilty', 'not_guilty'])],
+      }),
+      context
+    );
+
+    expect(parsed.jury_verdict).toBe('Not Guilty');
+    // Overflow is settled by the court's own scoring, not by the model's total.
+    expect(
+      parseVerdictResponse(
+        buildVerdict({ final_weighted_score: 112, deliberation: [buildRound(1, ['guilty', 'guilty'])] }),
+        context
+      ).final_weighted_score
+    ).toBe(112);
+    expect(() =>
+      parseVerdictResponse(
+        buildVerdict({ deliberation: [buildRound(1, ['guilty'])] }),
+        context
+      )
+    ).toThrow(LlmClientError);
+    expect(() =>
+      parseVerdictResponse(
+        buildVerdict({
+          deliberation: [1, 2, 3, 4].map((round) => buildRound(round, ['guilty', 'not_guilty'])),
+        }),
+        context
+      )
+    ).toThrow(LlmClientError);
+    expect(() =>
+      parseVerdictResponse(
+        buildVerdict({
+          final_ruling: 'Hung jury.',
+          disposition: FINAL_DISPOSITIONS.MISTRIAL_HUNG_JURY,
+          deliberation: [buildRound(1, ['guilty', 'guilty'])],
+        }),
+        context
+      )
+    ).toThrow(LlmClientError);
+  });
+
+  it('leaves ruling text that mentions a hung jury to the structured disposition', () => {
+    const parsed = parseVerdictResponse(
+      buildVerdict({
+        final_ruling: 'Guilty; a hung jury was avoided.',
+        deliberation: [buildRound(1, ['guilty', 'guilty'])],
+      }),
+      { isJuryTrial: true, seatedJurorIds: [1, 2] }
+    );
+
+    expect(parsed.jury_verdict).toBe('Guilty');
+    expect(parsed.disposition).toBe(FINAL_DISPOSITIONS.GUILTY);
+  });
+
+  it('derives hung-jury dispositions from the tally rather than the ruling text', () => {
+    const hung = deriveDispositionFromVerdict(
+      buildVerdict({
+        jury_verdict: 'Hung',
+        final_ruling: 'The court declares a mistrial.',
+        deliberation: [buildRound(1, ['guilty', 'not_guilty'])],
+      })
+    );
+
+    expect(hung).toMatchObject({
+      type: FINAL_DISPOSITIONS.MISTRIAL_HUNG_JURY,
+      summary: 'Mistrial (Hung Jury)',
+    });
+    expect(hung.details).toContain('JURY VOTE: Guilty 1, Not Guilty 1 (Hung) after 1 round');
+    expect(
+      deriveDispositionFromVerdict(
+        buildVerdict({
+          final_ruling: 'Hung jury; the defendant is found guilty.',
+          deliberation: [buildRound(1, ['guilty', 'guilty'])],
+        })
+      ).type
+    ).toBe(FINAL_DISPOSITIONS.GUILTY);
+  });
+});
@@ -1,5 +1,9 @@
-import { describe, expect, it } from 'vitest';
-import { deriveDispositionFromMotion, deriveDispositionFromVerdict } from '../lib/disposition';
+import { describe, expect, it, vi } from 'vitest';
+import {
+  deriveDispositionFromMotion,
+  deriveDispositionFromVerdict,
+  findDispositionTextConflict,
+} from '../lib/disposition';
 
 describe('deriveDispositionFromMotion', () => {
   it('returns null when a motion is partially granted with dismissal language', () => {
@@ -102,4 +106,34 @@ describe('deriveDispositionFromVerdict', () => {
       source: 'verdict',
     });
   });
+
+  it('prefers the structured disposition over the final ruling text without warning', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const verdict = {
+      final_ruling: 'Guilty on the charge of dismissing an officer.',
+      disposition: 'guilty',
+      dismissal: { isDismissed: false, withPrejudice: false },
+      jury_verdict: 'N/A',
+    };
+
+    expect(deriveDispositionFromVerdict(verdict)).toMatchObject({ type: 'guilty', source: 'verdict' });
+    expect(findDispositionTextConflict(verdict)).toBe('dismissed');
+    expect(findDispositionTextConflict({ ...verdict, final_ruling: 'Guilty.' })).toBeNull();
+    expect(warn).not.toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  it('takes dismissal prejudice from the structured dismissal flags', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const result = deriveDispositionFromVerdict({
+      final_ruling: 'The case is dismissed.',
+      disposition: 'dismissed',
+      dismissal: { isDismissed: true, withPrejudice: true },
+      jury_verdict: 'N/A',
+    });
+
+    expect(result).toMatchObject({ type: 'dismissed_with_prejudice', summary: 'The case is dismissed.' });
+    expect(warn).not.toHaveBeenCalled();
+    warn.mockRestore();
+  });
 });
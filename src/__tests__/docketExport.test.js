@@ -0,0 +1,140 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DOCKET_ARCHIVE_FORMAT,
+  DOCKET_EXPORT_FORMATS,
+  buildDocketExport,
+  formatDocketHtml,
+  formatDocketMarkdown,
+  formatDocketText,
+  parseDocketArchive,
+  recordImportedDocket,
+} from '../lib/docketExport';
+
+const buildRecord = (overrides = {}) => ({
+  case: {
+    title: 'State v. Doe',
+    defendant: 'Jordan Doe',
+    charge: 'Fraud',
+    judge: { name: 'Hon. Redwood' },
+    facts: ['The ledger was altered.'],
+    is_jury_trial: false,
+  },
+  jury: { skipped: true },
+  motion: {
+    motionText: '**Dismiss** the count.',
+    motionBy: 'defense',
+    rebuttalText: 'Deny it.',
+    rebuttalBy: 'prosecution',
+    ruling: { ruling: 'DENIED', outcome_text: 'Motion denied.' },
+  },
+  trial: { text: 'The ledger proves nothing <at all>.' },
+  disposition: { type: 'not_guilty', source: 'verdict', summary: 'Not guilty.' },
+  sanctions: [{ state: 'warned', docket_text: 'Counsel warned.' }],
+  counselNotes: '',
+  ...overrides,
+});
+
+const buildEntry = (overrides = {}) => ({
+  id: 'case-1',
+  caseName: 'State v. Doe',
+  outcome: 'not_guilty',
+  date: '2024-02-01T01:00:00.000Z',
+  playerRole: 'defense',
+  difficulty: 'normal',
+  jurisdiction: 'USA',
+  courtType: 'nightCourt',
+  finalSanctionsCount: 1,
+  docketSnapshot: { generatedAt: '2024-02-01T01:00:00.000Z', sections: buildRecord() },
+  sanctionsState: { state: 'warned', level: 1 },
+  ...overrides,
+});
+
+describe('docket export', () => {
+  it('formats the plain-text docket the clipboard copies', () => {
+    expect(formatDocketText(buildRecord(), { docketNumber: 12345 })).toBe(
+      [
+        'DOCKET: State v. Doe\nJUDGE: Hon. Redwood\nDOCKET #: 12345',
+        'FACTS:\nThe ledger was altered.',
+        'PRE-TRIAL MOTIONS:\nDefense Motion:\n"Dismiss the count."\n\nProsecution Rebuttal:\n"Deny it."\n\nRULING: DENIED - "Motion denied."',
+        'TRIAL ARGUMENT:\n"The ledger proves nothing <at all>."',
+        'FINAL DISPOSITION:\nOUTCOME: Not guilty.',
+        'SANCTIONS/STATUS FLAGS:\n- WARNED: Counsel warned.',
+      ].join('\n\n')
+    );
+  });
+
+  it('typesets Markdown and HTML filings with a caption and signature blocks', () => {
+    const meta = { docketNumber: 12345, jurisdiction: 'USA', courtType: 'nightCourt' };
+
+    const markdown = formatDocketMarkdown(buildRecord(), meta);
+    expect(markdown).toContain('# State v. Doe');
+    expect(markdown).toContain('**In the Night Court · USA**');
+    expect(markdown).toContain('The State  \nv.  \nJordan Doe, Defendant');
+    expect(markdown).toContain('Docket No. 12345  \nCharge: Fraud  \nBefore: Hon. Redwood');
+    expect(markdown).toContain('## PRE-TRIAL MOTIONS');
+    expect(markdown).toContain('/s/ Hon. Redwood  \nPresiding Judge');
+    expect(markdown).toContain('Defense Attorney');
+
+    const html = formatDocketHtml(buildRecord(), meta);
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(html).toContain('<p class="court">In the Night Court · USA</p>');
+    expect(html).toContain('<p>Docket No. 12345</p>');
+    expect(html).toContain('<h2>TRIAL ARGUMENT</h2>');
+    expect(html).toContain('&quot;The ledger proves nothing &lt;at all&gt;.&quot;');
+    expect(html).toContain('<p class="line">Hon. Redwood</p>\n<p>Presiding Judge</p>');
+    expect(html).toContain('<p>Prosecutor</p>');
+  });
+
+  it('round-trips a case through the JSON archive', () => {
+    const exported = buildDocketExport(
+      buildEntry({ docketNumber: 12345 }),
+      DOCKET_EXPORT_FORMATS.ARCHIVE
+    );
+
+    expect(exported).toMatchObject({
+      filename: 'pocketcourt-docket-12345-state-v-doe.json',
+      mimeType: 'application/json',
+    });
+    const archive = JSON.parse(exported.text);
+    expect(archive).toMatchObject({ format: DOCKET_ARCHIVE_FORMAT, version: 1, docketNumber: 12345 });
+    expect(archive.case).not.toHaveProperty('sanctionsState');
+
+    const imported = parseDocketArchive(exported.text);
+    expect(imported).toMatchObject({
+      caseName: 'State v. Doe',
+      outcome: 'not_guilty',
+      playerRole: 'defense',
+      courtType: 'nightCourt',
+      finalSanctionsCount: 1,
+      docketNumber: 12345,
+      sanctionsState: null,
+      imported: true,
+    });
+    expect(imported.id).not.toBe('case-1');
+    expect(imported.docketSnapshot).toEqual(buildEntry().docketSnapshot);
+  });
+
+  it('rejects files that are not docket archives', () => {
+    expect(parseDocketArchive('not json')).toBeNull();
+    expect(parseDocketArchive(JSON.stringify({ format: 'other', version: 1 }))).toBeNull();
+    expect(
+      parseDocketArchive(
+        JSON.stringify({ format: DOCKET_ARCHIVE_FORMAT, version: 2, docketSnapshot: {} })
+      )
+    ).toBeNull();
+    expect(
+      parseDocketArchive(
+        JSON.stringify({ format: DOCKET_ARCHIVE_FORMAT, version: 1, docketSnapshot: { sections: {} } })
+      )
+    ).toBeNull();
+  });
+
+  it('adds imported cases to the front of the case history', () => {
+    const caseHistory = Array.from({ length: 30 }, (_, index) => ({ id: `case-${index}` }));
+    const profile = recordImportedDocket({ caseHistory }, { id: 'imported' });
+
+    expect(profile.caseHistory).toHaveLength(31);
+    expect(profile.caseHistory[0].id).toBe('imported');
+    expect(profile.caseHistory[30].id).toBe('case-29');
+  });
+});
@@ -4,6 +4,7 @@ import { describe, expect, it, vi } from 'vitest';
 import ArgumentSection from '../components/docket/ArgumentSection';
 import CaseHeader from '../components/docket/CaseHeader';
 import MotionSection from '../components/docket/MotionSection';
+import OpeningSection from '../components/docket/OpeningSection';
 
 globalThis.React = React;
 
@@ -183,4 +184,56 @@ describe('docket section submitted text rendering', () => {
 
     expect(screen.getByText('The defense rests.')).toBeInTheDocument();
   });
+
+  it('asks for a rebuttal once opposing counsel has closed', () => {
+    const onSubmit = vi.fn();
+    render(
+      <ArgumentSection
+        isLocked={false}
+        isJuryTrial
+        onSubmit={onSubmit}
+        submittedText="The footage is ambiguous."
+        opposingClosing={{ text: 'The footage seals it.', submittedBy: 'prosecution' }}
+      />
+    );
+
+    expect(screen.getByText('The footage is ambiguous.')).toBeInTheDocument();
+    expect(screen.getByText('Prosecution Closing')).toBeInTheDocument();
+    expect(screen.getByText('The footage seals it.')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByPlaceholderText('Ladies and Gentlemen...'), {
+      target: { value: 'A shadow is not a person.' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'Deliver Rebuttal' }));
+
+    expect(onSubmit).toHaveBeenCalledWith('A shadow is not a person.');
+  });
+
+  it('shows delivered openings in order and hides the form once the player has opened', () => {
+    const { rerender } = render(
+      <OpeningSection
+        openings={{ prosecution: 'The State will prove theft.' }}
+        order={['prosecution', 'defense']}
+        playerRole="defense"
+        isLoading={false}
+        onSubmit={() => Promise.resolve(true)}
+      />
+    );
+
+    expect(screen.getByText('Prosecution Opening')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Deliver Opening' })).toBeDisabled();
+
+    rerender(
+      <OpeningSection
+        openings={{ prosecution: 'The State will prove theft.', defense: 'It will not.' }}
+        order={['prosecution', 'defense']}
+        playerRole="defense"
+        isLoading={false}
+        onSubmit={() => Promise.resolve(true)}
+      />
+    );
+
+    expect(screen.getByText('Defense Opening')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Deliver Opening' })).not.toBeInTheDocument();
+  });
 });
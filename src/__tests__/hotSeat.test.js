@@ -0,0 +1,144 @@
+import { describe, expect, it } from 'vitest';
+import {
+  buildHotSeatResult,
+  formatHotSeatResult,
+  getActiveSeat,
+  getSeatCounselNotes,
+  normalizeHotSeatPlayers,
+} from '../lib/hotSeat';
+import { getFinalVerdictPrompt } from '../lib/prompts';
+
+const caseData = {
+  title: 'State v. Hale',
+  defendant: 'Morgan Hale',
+  charge: 'Burglary',
+  is_jury_trial: true,
+  facts: ['A window was broken.'],
+  evidence: [{ id: 1, text: 'Fingerprint card', status: 'admissible' }],
+  judge: { name: 'Hon. Vale', philosophy: 'Textualist', bias: 'None' },
+  jurors: [{ id: 1, name: 'Ada', age: 40, job: 'Clerk', bias_hint: 'Careful' }],
+};
+
+const buildHistory = (overrides = {}) => ({
+  case: caseData,
+  jury: { pool: caseData.jurors, strikesByRole: {}, locked: false, skipped: false },
+  motion: null,
+  examination: { witnesses: [], restedBy: [], locked: true },
+  trial: null,
+  disposition: null,
+  ...overrides,
+});
+
+describe('hot seat', () => {
+  it('normalizes player names and falls back to numbered seats', () => {
+    expect(normalizeHotSeatPlayers({ defense: '  Ana  ', prosecution: '' })).toEqual({
+      defense: 'Ana',
+      prosecution: 'Player 2',
+    });
+    expect(normalizeHotSeatPlayers(null)).toEqual({
+      defense: 'Player 1',
+      prosecution: 'Player 2',
+    });
+    expect(normalizeHotSeatPlayers({ defense: 'x'.repeat(40) }).defense).toHaveLength(24);
+  });
+
+  it('passes the device through strikes, motion practice, openings, and closings', () => {
+    expect(getActiveSeat(buildHistory())).toBe('defense');
+    expect(
+      getActiveSeat(buildHistory({ jury: { strikesByRole: { defense: [1] }, locked: false } }))
+    ).toBe('prosecution');
+
+    const lockedJury = { strikesByRole: { defense: [1], prosecution: [] }, locked: true };
+    const motion = {
+      motionText: '',
+      motionBy: 'defense',
+      rebuttalText: '',
+      rebuttalBy: 'prosecution',
+      motionPhase: 'motion_submission',
+      locked: false,
+    };
+    expect(getActiveSeat(buildHistory({ jury: lockedJury, motion }))).toBe('defense');
+    expect(
+      getActiveSeat(buildHistory({ jury: lockedJury, motion: { ...motion, motionText: 'Move.' } }))
+    ).toBe('prosecution');
+    expect(
+      getActiveSeat(
+        buildHistory({
+          jury: lockedJury,
+          motion: { ...motion, motionText: 'Move.', rebuttalText: 'Oppose.' },
+        })
+      )
+    ).toBeNull();
+
+    const lockedMotion = { ...motion, motionPhase: 'motion_ruling_locked', locked: true };
+    const openingHistory = buildHistory({ jury: lockedJury, motion: lockedMotion });
+    expect(getActiveSeat(openingHistory)).toBe('prosecution');
+    expect(
+      getActiveSeat({ ...openingHistory, trial: { openings: { prosecution: 'It will show.' } } })
+    ).toBe('defense');
+
+    const openings = { prosecution: 'It will show.', defense: 'It will not.' };
+    const trialHistory = buildHistory({
+      jury: lockedJury,
+      motion: lockedMotion,
+      trial: { openings, closings: {}, locked: false },
+    });
+    expect(getActiveSeat(trialHistory)).toBe('prosecution');
+    expect(
+      getActiveSeat({ ...trialHistory, trial: { openings, closings: { prosecution: 'Guilty.' } } })
+    ).toBe('defense');
+    expect(
+      getActiveSeat({ ...trialHistory, trial: { openings, closings: {}, locked: true } })
+    ).toBeNull();
+    expect(
+      getActiveSeat({ ...trialHistory, disposition: { type: 'not_guilty', source: 'verdict' } })
+    ).toBeNull();
+  });
+
+  it('records both players and the winning seat', () => {
+    const players = { defense: 'Ana', prosecution: 'Ben' };
+    expect(buildHotSeatResult(null, { type: 'guilty' })).toEqual({});
+    expect(buildHotSeatResult(players, { type: 'guilty' })).toEqual({
+      players,
+      winner: 'prosecution',
+    });
+    const acquittal = buildHotSeatResult(players, { type: 'not_guilty' });
+    expect(acquittal.winner).toBe('defense');
+    expect(formatHotSeatResult(acquittal)).toEqual({
+      matchup: 'Ana (Defense) vs. Ben (Prosecution)',
+      winner: 'Ana (Defense)',
+    });
+    expect(
+      formatHotSeatResult(buildHotSeatResult(players, { type: 'mistrial_hung_jury' })).winner
+    ).toBe('No winner');
+    expect(formatHotSeatResult({ playerRole: 'defense' })).toBeNull();
+  });
+
+  it("keeps each seat's counsel notes private", () => {
+    const history = buildHistory({
+      counselNotes: 'Shared.',
+      counselNotesByRole: { defense: 'Attack the print.', prosecution: 'Lean on the print.' },
+    });
+    expect(getSeatCounselNotes(history, 'prosecution')).toBe('Lean on the print.');
+    expect(getSeatCounselNotes(buildHistory({ counselNotes: 'Shared.' }), 'defense')).toBe(
+      'Shared.'
+    );
+  });
+
+  it('sends both closings to the verdict prompt', () => {
+    const prompt = getFinalVerdictPrompt(
+      caseData,
+      'Denied.',
+      caseData.jurors,
+      'Ignored.',
+      'normal',
+      {},
+      {},
+      { closings: { prosecution: 'Guilty.', defense: 'Doubt.' } }
+    );
+    expect(prompt).toContain(
+      'Closing Arguments (compliant-only): {"prosecution":"Guilty.","defense":"Doubt."}'
+    );
+    expect(prompt).toContain('Both sides are argued by players.');
+  });
+});
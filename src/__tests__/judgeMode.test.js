@@ -0,0 +1,201 @@
+import { describe, expect, it } from 'vitest';
+import {
+  applyReviewScore,
+  applyReviewToVerdict,
+  buildBenchMotionRuling,
+  buildBenchVerdict,
+  buildJudicialReviewRecord,
+  buildStrikeRuling,
+  computeReviewScore,
+  getCounselStrikes,
+  getReviewIssues,
+  isJudgeRole,
+} from '../lib/judgeMode';
+import { LlmClientError, parseJudicialReviewResponse } from '../lib/llmClient';
+import { getJuryStrikePrompt } from '../lib/prompts';
+
+const caseData = {
+  title: 'State v. Hale',
+  defendant: 'Morgan Hale',
+  charge: 'Burglary',
+  is_jury_trial: true,
+  facts: ['A window was broken.'],
+  evidence: [
+    { id: 1, text: 'Fingerprint card', status: 'admissible' },
+    { id: 2, text: 'Warrantless search log', status: 'suppressed' },
+  ],
+  judge: { name: 'Hon. Vale', philosophy: 'Textualist', bias: 'None' },
+  jurors: [
+    { id: 1, name: 'Ada', age: 40, job: 'Clerk', bias_hint: 'Careful' },
+    { id: 2, name: 'Ben', age: 30, job: 'Chef', bias_hint: 'Trusting' },
+  ],
+};
+
+const buildReview = (overrides = {}) => ({
+  rulings: [
+    { issue: 'motion_ruling', score: 64.6, sound: true, critique: ' Sound suppression. ' },
+    { issue: 'verdict', score: 88, sound: true, critique: 'Well reasoned.' },
+  ],
+  final_weighted_score: 79,
+  overflow_reason_code: null,
+  overflow_explanation: null,
+  achievement_title: null,
+  opinion: ' Affirmed. ',
+  ...overrides,
+});
+
+describe('judge mode', () => {
+  it('lists counsel strikes and records disallowed strikes as court rulings', () => {
+    expect(isJudgeRole('judge')).toBe(true);
+    expect(isJudgeRole('defense')).toBe(false);
+    const jury = { strikesByRole: { prosecution: [2], defense: [1] } };
+    expect(getCounselStrikes(jury)).toEqual([
+      { jurorId: 1, struckBy: 'defense' },
+      { jurorId: 2, struckBy: 'prosecution' },
+    ]);
+    expect(getCounselStrikes(undefined)).toEqual([]);
+
+    const ruling = buildStrikeRuling(
+      caseData.jurors[1],
+      'prosecution',
+      'The reason applies to seated jurors too.',
+      '2026-01-01T00:00:00.000Z'
+    );
+    expect(ruling).toMatchObject({ jurorId: 2, objectedBy: 'judge', ruling: 'sustained' });
+    expect(ruling.docketEntry).toBe(
+      "The court disallows the prosecution's strike of Juror #2 (Ben); the juror is reseated."
+    );
+  });
+
+  it('builds bench rulings in the shape model rulings use', () => {
+    const motion = buildBenchMotionRuling({
+      ruling: 'PARTIALLY GRANTED',
+      opinion: 'The search log is suppressed.',
+      evidenceStatuses: { 1: 'admissible', 2: 'suppressed' },
+      dismissal: { isDismissed: false, withPrejudice: true },
+    });
+    expect(motion.decision).toMatchObject({
+      ruling: 'partially_granted',
+      dismissal: { isDismissed: false, withPrejudice: false },
+    });
+    expect(motion.score).toBeNull();
+    expect(motion.evidence_status_updates).toEqual([
+      { id: 1, status: 'admissible' },
+      { id: 2, status: 'suppressed' },
+    ]);
+    expect(motion.breakdown.docket_entries).toEqual(['Evidence #2 suppressed.']);
+
+    const dismissed = buildBenchMotionRuling({
+      ruling: 'GRANTED',
+      opinion: 'Dismissed.',
+      evidenceStatuses: {},
+      dismissal: { isDismissed: true, withPrejudice: true },
+    });
+    expect(dismissed.decision.ruling).toBe('dismissed');
+
+    const verdict = buildBenchVerdict({ finalRuling: 'Guilty', opinion: 'Proven.' });
+    expect(verdict).toMatchObject({ jury_verdict: 'N/A', final_weighted_score: null });
+    expect(applyReviewToVerdict(verdict, buildReview())).toMatchObject({
+      judge_score: 88,
+      final_weighted_score: 79,
+    });
+  });
+
+  it("sends the reviewer both sides' strikes and the evidence calls", () => {
+    const history = {
+      case: caseData,
+      jury: {
+        pool: caseData.jurors,
+        seatedIds: [1, 2],
+        myStrikes: [],
+        opponentStrikes: [],
+        strikesByRole: { defense: [3], prosecution: [2] },
+        strikeReasons: { defense: 'Bias.', prosecution: 'Chef.' },
+        batsonChallenges: [
+          buildStrikeRuling(caseData.jurors[1], 'prosecution', 'Pretext.', '2026-01-01T00:00:00Z'),
+        ],
+        locked: true,
+      },
+      motion: {
+        motionText: 'Suppress.',
+        rebuttalText: 'Oppose.',
+        ruling: buildBenchMotionRuling({
+          ruling: 'GRANTED',
+          opinion: 'Suppressed.',
+          evidenceStatuses: { 1: 'admissible', 2: 'suppressed' },
+          dismissal: { isDismissed: false, withPrejudice: false },
+        }),
+        locked: true,
+      },
+      trial: { closings: { prosecution: 'Guilty.', defense: 'Doubt.' }, locked: false },
+      disposition: null,
+    };
+    expect(getReviewIssues(history)).toEqual(['motion_ruling', 'jury_selection']);
+    const record = buildJudicialReviewRecord(history);
+    expect(record.motion_ruling.evidence[1]).toMatchObject({ id: 2, status: 'suppressed' });
+    expect(record.jury_selection.strikes).toEqual([
+      { side: 'defense', jurorIds: [3], reasons: 'Bias.' },
+      { side: 'prosecution', jurorIds: [2], reasons: 'Chef.' },
+    ]);
+    expect(record.jury_selection.disallowedStrikes[0].reason).toBe('Pretext.');
+    expect(record.jury_selection).not.toHaveProperty('playerStrikes');
+  });
+
+  it('requires the review to score each ruling exactly once', () => {
+    const issues = ['motion_ruling', 'verdict'];
+    const parsed = parseJudicialReviewResponse(buildReview(), issues);
+    expect(parsed.rulings[0]).toMatchObject({ score: 65, critique: 'Sound suppression.' });
+    expect(parsed.opinion).toBe('Affirmed.');
+
+    expect(() =>
+      parseJudicialReviewResponse(buildReview(), ['motion_ruling', 'jury_selection', 'verdict'])
+    ).toThrow(LlmClientError);
+    const repeated = buildReview();
+    repeated.rulings.push({ ...repeated.rulings[1] });
+    expect(() => parseJudicialReviewResponse(repeated, issues)).toThrow(LlmClientError);
+    const outOfRange = buildReview();
+    outOfRange.rulings[1].score = 140;
+    expect(() => parseJudicialReviewResponse(outOfRange, issues)).toThrow(LlmClientError);
+    expect(() =>
+      parseJudicialReviewResponse(buildReview({ final_weighted_score: 104 }), issues)
+    ).not.toThrow();
+  });
+
+  it('scores the review from the ruling scores and flags the reviewer\'s arithmetic', () => {
+    const review = buildReview({
+      rulings: [
+        { issue: 'motion_ruling', score: 60, sound: true, critique: 'Sound.' },
+        { issue: 'verdict', score: 90, sound: true, critique: 'Well reasoned.' },
+      ],
+      final_weighted_score: 104,
+      overflow_reason_code: 'LANDMARK',
+      overflow_explanation: 'A landmark opinion.',
+    });
+    const breakdown = computeReviewScore(review);
+
+    expect(breakdown.components.map(({ phase, weight }) => [phase, weight])).toEqual([
+      ['motion', 0.31],
+      ['judge', 0.69],
+    ]);
+    expect(breakdown).toMatchObject({ computed: 80.77, reported: 104, discrepancy: 23.23 });
+
+    const scored = applyReviewScore(review, breakdown);
+    expect(scored).toMatchObject({
+      final_weighted_score: 80.77,
+      overflow_reason_code: null,
+      overflow_explanation: null,
+    });
+    const verdict = buildBenchVerdict({ finalRuling: 'Guilty', opinion: 'Proven.' });
+    expect(applyReviewToVerdict(verdict, scored)).toMatchObject({
+      final_weighted_score: 80.77,
+      score_breakdown: breakdown,
+    });
+  });
+
+  it('asks each side to justify its strikes when the player presides', () => {
+    const prompt = getJuryStrikePrompt(caseData, [1], 'prosecution', [], { presiding: true });
+    expect(prompt).toContain('Opposing counsel (prosecution) struck IDs: [1]');
+    expect(prompt).toContain('the player presides and disallows pretextual strikes');
+    expect(getJuryStrikePrompt(caseData, [1], 'prosecution')).not.toContain('presides');
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, expect, it } from 'vitest';
+import {
+  EXCUSED_FOR_CAUSE,
+  buildChallengeDocketLines,
+  canChallengeForCause,
+  canRaiseBatson,
+  getExcusedJurorIds,
+  isBatsonWindowOpen,
+} from '../lib/juryChallenges';
+
+const pool = [
+  { id: 1, name: 'Alvin Reyes', status: 'eligible' },
+  { id: 2, name: 'Bea Lindqvist', status: EXCUSED_FOR_CAUSE },
+  { id: 3, name: 'Corey Tan', status: 'struck_by_opponent' },
+];
+
+describe('jury challenges', () => {
+  it('allows challenges for cause only against jurors still in the open pool', () => {
+    const jury = { pool, locked: false };
+
+    expect(getExcusedJurorIds(pool)).toEqual([2]);
+    expect(canChallengeForCause(jury, 1)).toBe(true);
+    expect(canChallengeForCause(jury, 2)).toBe(false);
+    expect(canChallengeForCause({ ...jury, locked: true }, 1)).toBe(false);
+  });
+
+  it('allows one Batson objection per opposing strike until a motion is filed', () => {
+    const history = {
+      jury: { pool, locked: true, opponentStrikes: [3], batsonChallenges: [] },
+      motion: {},
+    };
+
+    expect(canRaiseBatson(history, 3)).toBe(true);
+    expect(canRaiseBatson(history, 1)).toBe(false);
+    expect(
+      canRaiseBatson({ ...history, jury: { ...history.jury, batsonChallenges: [{ jurorId: 3 }] } }, 3)
+    ).toBe(false);
+    expect(canRaiseBatson({ ...history, motion: { motionText: 'Motion.' } }, 3)).toBe(false);
+  });
+
+  it('keeps the Batson window open for a claimant until the jury is accepted', () => {
+    const history = {
+      plea: null,
+      jury: { pool, locked: true, opponentStrikes: [3], batsonChallenges: [] },
+      motion: { motionBy: 'defendant', motionText: '' },
+    };
+
+    expect(isBatsonWindowOpen(history)).toBe(true);
+    expect(isBatsonWindowOpen({ ...history, jury: { ...history.jury, challengesClosed: true } })).toBe(
+      false
+    );
+    expect(
+      isBatsonWindowOpen({ ...history, jury: { ...history.jury, batsonChallenges: [{ jurorId: 3 }] } })
+    ).toBe(false);
+  });
+
+  it('formats challenge rulings for the copied docket', () => {
+    expect(
+      buildChallengeDocketLines({
+        causeChallenges: [
+          {
+            docketEntry: 'Challenge for cause to Juror #2: Granted.',
+            reason: 'Said she distrusts complainants.',
+            reasoning: 'She cannot be impartial.',
+          },
+        ],
+        batsonChallenges: [
+          {
+            docketEntry: 'Batson objection to the strike of Juror #3: Overruled.',
+            argument: 'No neutral reason given.',
+            reasoning: 'Counsel cited his ties to the defendant.',
+          },
+        ],
+      })
+    ).toEqual([
+      'Challenge for cause to Juror #2: Granted.\nReason: Said she distrusts complainants.\n' +
+        'Ruling: She cannot be impartial.',
+      'Batson objection to the strike of Juror #3: Overruled.\nObjection: No neutral reason given.\n' +
+        'Ruling: Counsel cited his ties to the defendant.',
+    ]);
+  });
+});
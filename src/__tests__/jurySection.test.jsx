@@ -1,5 +1,5 @@
 import React from 'react';
-import { fireEvent, render, screen } from '@testing-library/react';
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
 import { describe, expect, it, vi } from 'vitest';
 import JurySection from '../components/docket/JurySection';
 
@@ -40,4 +40,108 @@ describe('JurySection', () => {
       expect(onStrike.mock.calls[index][0]).toBe(juror.id);
     });
   });
+
+  it('asks voir dire questions and lists each juror answer', async () => {
+    const pool = [
+      {
+        id: 1,
+        name: 'Juror 1',
+        age: 40,
+        job: 'Nurse',
+        bias_hint: 'Works nights.',
+        status: 'eligible',
+        voir_dire: [{ questionId: 'q-1', question: 'Ever served before?', answer: 'Twice.' }],
+      },
+      { id: 2, name: 'Juror 2', age: 51, job: 'Baker', bias_hint: 'Early riser.', status: 'eligible' },
+    ];
+    const onAsk = vi.fn().mockResolvedValue(true);
+
+    render(
+      <JurySection
+        pool={pool}
+        opponentStrikes={[]}
+        onStrike={vi.fn()}
+        myStrikes={[]}
+        isLocked={false}
+        judgeComment=""
+        questions={[{ id: 'q-1', target: 1, question: 'Ever served before?' }]}
+        onAsk={onAsk}
+      />
+    );
+
+    expect(screen.getByText('Twice.')).toBeTruthy();
+    expect(screen.getByText('3 of 4 voir dire questions left.')).toBeTruthy();
+
+    fireEvent.change(screen.getByLabelText('Voir dire target'), { target: { value: '2' } });
+    fireEvent.change(screen.getByLabelText('Voir dire question'), {
+      target: { value: 'Do you know the defendant?' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'Ask' }));
+
+    expect(onAsk).toHaveBeenCalledWith(2, 'Do you know the defendant?');
+    await waitFor(() => {
+      expect(screen.getByLabelText('Voir dire question').value).toBe('');
+    });
+  });
+
+  it('objects to opposing strikes and lists challenge rulings once jury selection locks', () => {
+    const pool = [
+      { id: 1, name: 'Juror 1', job: 'Nurse', status: 'excused_for_cause' },
+      { id: 2, name: 'Juror 2', job: 'Baker', status: 'struck_by_opponent' },
+      { id: 3, name: 'Juror 3', job: 'Pilot', status: 'seated' },
+    ];
+    const onBatson = vi.fn().mockResolvedValue(true);
+
+    render(
+      <JurySection
+        pool={pool}
+        opponentStrikes={[2]}
+        onStrike={vi.fn()}
+        myStrikes={[]}
+        isLocked
+        judgeComment="Seated."
+        causeChallenges={[
+          {
+            id: 'cause-1',
+            jurorId: 1,
+            reason: 'Distrusts police.',
+            reasoning: 'Granted on her answers.',
+            docketEntry: 'Challenge for cause to Juror #1: Granted.',
+          },
+        ]}
+        onBatson={onBatson}
+      />
+    );
+
+    expect(screen.getByText('Excused (Cause)')).toBeTruthy();
+    expect(screen.getByText('Challenge for cause to Juror #1: Granted.')).toBeTruthy();
+    expect(screen.getByLabelText('Batson objection juror').value).toBe('2');
+
+    fireEvent.change(screen.getByLabelText('Batson objection reason'), {
+      target: { value: 'No neutral reason was given.' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'Object' }));
+
+    expect(onBatson).toHaveBeenCalledWith(2, 'No neutral reason was given.');
+  });
+
+  it('accepts the jury without objecting to opposing strikes', () => {
+    const onCloseChallenges = vi.fn();
+
+    render(
+      <JurySection
+        pool={[{ id: 2, name: 'Juror 2', job: 'Baker', status: 'struck_by_opponent' }]}
+        opponentStrikes={[2]}
+        myStrikes={[]}
+        isLocked
+        judgeComment="Seated."
+        onBatson={vi.fn()}
+        onCloseChallenges={onCloseChallenges}
+      />
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: 'Accept Jury' }));
+
+    expect(onCloseChallenges).toHaveBeenCalled();
+  });
 });
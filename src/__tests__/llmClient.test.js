@@ -1,16 +1,22 @@
 import { describe, expect, it, vi, beforeEach, afterEach } from 'vitest';
 import { fetchWithRetry } from '../lib/api';
-import { getActiveApiKey } from '../lib/runtimeConfig';
+import { getActiveApiKey, getActiveProvider } from '../lib/runtimeConfig';
 import {
   LlmClientError,
   getLlmClientErrorMessage,
   parseCaseResponse,
+  parseJuryResponse,
   requestLlmJson,
 } from '../lib/llmClient';
 
-vi.mock('../lib/runtimeConfig', () => ({
-  getActiveApiKey: vi.fn(() => 'test-key'),
-}));
+vi.mock('../lib/runtimeConfig', async () => {
+  const actual = await vi.importActual('../lib/runtimeConfig');
+  return {
+    ...actual,
+    getActiveApiKey: vi.fn(() => 'test-key'),
+    getActiveProvider: vi.fn(() => 'gemini'),
+  };
+});
 
 vi.mock('../lib/api', () => ({
   fetchWithRetry: vi.fn(),
@@ -20,6 +26,7 @@ describe('llm client wrappers', () => {
   beforeEach(() => {
     fetchWithRetry.mockReset();
     getActiveApiKey.mockReset().mockReturnValue('test-key');
+    getActiveProvider.mockReset().mockReturnValue('gemini');
   });
 
   afterEach(() => {
@@ -47,6 +54,114 @@ describe('llm client wrappers', () => {
     });
   });
 
+  it('routes requests through the active provider adapter', async () => {
+    getActiveProvider.mockReturnValue('anthropic');
+    fetchWithRetry.mockResolvedValue({
+      content: [{ type: 'text', text: '"decision":"ok"}' }],
+    });
+
+    const result = await requestLlmJson({
+      systemPrompt: 'System',
+      userPrompt: 'User',
+      responseLabel: 'case',
+    });
+
+    expect(fetchWithRetry).toHaveBeenCalledWith(
+      'https://api.anthropic.com/v1/messages',
+      expect.objectContaining({
+        headers: expect.objectContaining({ 'x-api-key': 'test-key' }),
+      })
+    );
+    expect(result.parsed).toEqual({ decision: 'ok' });
+  });
+
+  it('allows local providers to run without an API key', async () => {
+    getActiveProvider.mockReturnValue('local');
+    getActiveApiKey.mockReturnValue('');
+    fetchWithRetry.mockResolvedValue({
+      choices: [{ message: { content: '{"decision":"ok"}' } }],
+    });
+
+    const result = await requestLlmJson({
+      systemPrompt: 'System',
+      userPrompt: 'User',
+      responseLabel: 'case',
+    });
+
+    expect(result.parsed).toEqual({ decision: 'ok' });
+  });
+
+  it('maps rejected keys from the provider into configuration errors', async () => {
+    getActiveProvider.mockReturnValue('openai');
+    fetchWithRetry.mockRejectedValue(Object.assign(new Error('HTTP error! status: 401'), { status: 401 }));
+
+    await expect(
+      requestLlmJson({
+        systemPrompt: 'System',
+        userPrompt: 'User',
+        responseLabel: 'case',
+      })
+    ).rejects.toMatchObject({
+      code: 'CONFIG_MISSING',
+      userMessage: 'The OpenAI-compatible API key was rejected. Please check configuration.',
+    });
+  });
+
+  it('sends a repair request with the validation failure and returns the corrected payload', async () => {
+    const geminiText = (text) => ({ candidates: [{ content: { parts: [{ text }] } }] });
+    const invalid = '{"opponent_strikes":[1],"seated_juror_ids":[2]}';
+    const corrected = '{"opponent_strikes":[1],"seated_juror_ids":[2],"judge_comment":"Seated."}';
+    fetchWithRetry
+      .mockResolvedValueOnce(geminiText(invalid))
+      .mockResolvedValueOnce(geminiText(corrected));
+
+    const result = await requestLlmJson({
+      systemPrompt: 'System',
+      userPrompt: 'Strike',
+      responseLabel: 'jury',
+      validate: parseJuryResponse,
+    });
+
+    expect(fetchWithRetry).toHaveBeenCalledTimes(2);
+    const repairBody = JSON.parse(fetchWithRetry.mock.calls[1][1].body);
+    expect(repairBody.systemInstruction.parts[0].text).toBe('System');
+    expect(repairBody.contents[0].parts[0].text).toContain(
+      'Expected judge_comment to be a non-empty string.'
+    );
+    expect(repairBody.contents[0].parts[0].text).toContain(invalid);
+    expect(result).toEqual({ parsed: JSON.parse(corrected), rawText: corrected });
+  });
+
+  it('gives up after the repair budget and surfaces the last validation error', async () => {
+    fetchWithRetry.mockResolvedValue({
+      candidates: [{ content: { parts: [{ text: 'not json' }] } }],
+    });
+
+    await expect(
+      requestLlmJson({
+        systemPrompt: 'System',
+        userPrompt: 'User',
+        responseLabel: 'case',
+        maxRepairAttempts: 1,
+      })
+    ).rejects.toMatchObject({ code: 'INVALID_JSON' });
+    expect(fetchWithRetry).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not repair transport failures', async () => {
+    fetchWithRetry.mockRejectedValue(new Error('offline'));
+
+    await expect(
+      requestLlmJson({
+        systemPrompt: 'System',
+        userPrompt: 'User',
+        responseLabel: 'case',
+        validate: parseCaseResponse,
+      })
+    ).rejects.toMatchObject({ code: 'REQUEST_FAILED' });
+    expect(fetchWithRetry).toHaveBeenCalledTimes(1);
+  });
+
   it('prefers user-friendly messages from LlmClientError', () => {
     const error = new LlmClientError('Bad response', {
       userMessage: 'Try again later.',
@@ -0,0 +1,150 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import {
+  parseCaseResponse,
+  parseJuryResponse,
+  parseMotionResponse,
+  parseVerdictResponse,
+  requestLlmJson,
+} from '../lib/llmClient';
+import {
+  clearReplayFixture,
+  getRecordedFixture,
+  loadReplayFixture,
+  startFixtureRecording,
+  stopFixtureRecording,
+  takeReplayEntry,
+} from '../lib/llmFixtures';
+import { getFinalVerdictPrompt, getJuryStrikePrompt, getMotionPrompt } from '../lib/prompts';
+import { setActiveProvider } from '../lib/runtimeConfig';
+
+const buildFixture = (entries) => ({
+  version: 1,
+  recordedAt: '2024-01-01T00:00:00.000Z',
+  entries: entries.map(([responseLabel, rawText]) => ({
+    responseLabel,
+    systemPrompt: `${responseLabel} prompt`,
+    userPrompt: responseLabel,
+    rawText,
+  })),
+});
+
+describe('offline mock provider', () => {
+  beforeEach(() => {
+    setActiveProvider('mock');
+  });
+
+  afterEach(() => {
+    clearReplayFixture();
+    stopFixtureRecording();
+    setActiveProvider('gemini');
+    window.localStorage.clear();
+  });
+
+  it('serves canned responses that satisfy every phase parser', async () => {
+    const { parsed: casePayload } = await requestLlmJson({
+      systemPrompt: 'Generate a case',
+      userPrompt: 'Generate',
+      responseLabel: 'case',
+    });
+    const caseData = parseCaseResponse(casePayload);
+
+    const { parsed: juryPayload } = await requestLlmJson({
+      systemPrompt: getJuryStrikePrompt(caseData, [1, 2], 'defense'),
+      userPrompt: 'Strike',
+      responseLabel: 'jury',
+    });
+    const jury = parseJuryResponse(juryPayload);
+    expect(jury.opponent_strikes).toEqual([7, 8]);
+    expect(jury.seated_juror_ids).toEqual([3, 4, 5, 6]);
+
+    const { parsed: motionPayload } = await requestLlmJson({
+      systemPrompt: getMotionPrompt(caseData, 'Suppress', 'Oppose', 'normal', 'defense', 'prosecution', 'defense'),
+      userPrompt: 'Motion ruling',
+      responseLabel: 'motion',
+    });
+    const motion = parseMotionResponse(motionPayload);
+    expect(motion.decision.dismissal.isDismissed).toBe(false);
+
+    const seated = caseData.jurors.filter((juror) => jury.seated_juror_ids.includes(juror.id));
+    const { parsed: verdictPayload } = await requestLlmJson({
+      systemPrompt: getFinalVerdictPrompt(caseData, motion, seated, 'Closing', 'normal'),
+      userPrompt: 'Verdict',
+      responseLabel: 'verdict',
+    });
+    const verdict = parseVerdictResponse(verdictPayload, { isJuryTrial: true });
+    expect(['Guilty', 'Not Guilty']).toContain(verdict.final_ruling);
+  });
+
+  it('returns identical canned output for identical prompts', async () => {
+    const request = { systemPrompt: 'Phase: VERDICT. Type: BENCH.', userPrompt: 'Verdict', responseLabel: 'verdict' };
+    const first = await requestLlmJson(request);
+    const second = await requestLlmJson(request);
+
+    expect(first.rawText).toBe(second.rawText);
+    expect(first.parsed.jury_verdict).toBe('NA');
+  });
+
+  it('reports unsupported labels with a request failure', async () => {
+    await expect(
+      requestLlmJson({ systemPrompt: 'x', userPrompt: 'y', responseLabel: 'unknown' })
+    ).rejects.toMatchObject({ code: 'REQUEST_FAILED' });
+  });
+
+  it('replays a loaded fixture in recorded order', async () => {
+    loadReplayFixture(
+      buildFixture([
+        ['case', '{"title":"Recorded"}'],
+        ['jury', '{"judge_comment":"first"}'],
+        ['jury', '{"judge_comment":"second"}'],
+      ])
+    );
+
+    const caseResult = await requestLlmJson({ systemPrompt: 'case prompt', userPrompt: 'case', responseLabel: 'case' });
+    const firstJury = await requestLlmJson({ systemPrompt: 'jury prompt', userPrompt: 'jury', responseLabel: 'jury' });
+    const secondJury = await requestLlmJson({ systemPrompt: 'jury prompt', userPrompt: 'jury', responseLabel: 'jury' });
+
+    expect(caseResult.parsed.title).toBe('Recorded');
+    expect(firstJury.parsed.judge_comment).toBe('first');
+    expect(secondJury.parsed.judge_comment).toBe('second');
+    await expect(
+      requestLlmJson({ systemPrompt: 'jury prompt', userPrompt: 'jury', responseLabel: 'jury' })
+    ).rejects.toMatchObject({
+      userMessage: 'The replay fixture has no more recorded responses for this step.',
+    });
+  });
+
+  it('records responses when recording is enabled', async () => {
+    startFixtureRecording();
+    await requestLlmJson({ systemPrompt: 'Generate a case', userPrompt: 'Generate', responseLabel: 'case' });
+
+    const fixture = getRecordedFixture();
+    expect(fixture.version).toBe(1);
+    expect(fixture.entries).toHaveLength(1);
+    expect(fixture.entries[0]).toMatchObject({
+      responseLabel: 'case',
+      systemPrompt: 'Generate a case',
+      provider: 'mock',
+    });
+  });
+});
+
+describe('fixture replay cursor', () => {
+  afterEach(() => {
+    clearReplayFixture();
+  });
+
+  it('wraps to the first case when a new run starts after the fixture ends', () => {
+    loadReplayFixture(buildFixture([['case', '{}'], ['verdict', '{}']]));
+
+    expect(takeReplayEntry('case')).not.toBeNull();
+    expect(takeReplayEntry('verdict')).not.toBeNull();
+    expect(takeReplayEntry('verdict')).toBeNull();
+    expect(takeReplayEntry('case')).not.toBeNull();
+    expect(takeReplayEntry('verdict')).not.toBeNull();
+  });
+
+  it('rejects fixtures with an unknown version or no entries', () => {
+    expect(() => loadReplayFixture({ version: 99, entries: [] })).toThrow('Unsupported fixture');
+    expect(() => loadReplayFixture({ version: 1, entries: [] })).toThrow('no recorded responses');
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import { getProviderAdapter } from '../lib/llmProviders';
+
+const prompts = { systemPrompt: 'System', userPrompt: 'User', apiKey: 'key' };
+
+describe('llm provider adapters', () => {
+  it('requests JSON output from Gemini via the response MIME type', () => {
+    const { url, options } = getProviderAdapter('gemini').buildRequest(prompts);
+    const body = JSON.parse(options.body);
+
+    expect(url).toContain('generativelanguage.googleapis.com');
+    expect(url).toContain('?key=key');
+    expect(body.generationConfig).toEqual({ responseMimeType: 'application/json' });
+    expect(body.systemInstruction.parts[0].text).toBe('System');
+  });
+
+  it('builds OpenAI-compatible chat requests with JSON mode and base URL overrides', () => {
+    const { url, options } = getProviderAdapter('openai').buildRequest({
+      ...prompts,
+      baseUrl: 'https://proxy.example.com/v1/',
+      model: 'custom-model',
+    });
+    const body = JSON.parse(options.body);
+
+    expect(url).toBe('https://proxy.example.com/v1/chat/completions');
+    expect(options.headers.Authorization).toBe('Bearer key');
+    expect(body.model).toBe('custom-model');
+    expect(body.response_format).toEqual({ type: 'json_object' });
+    expect(body.messages[0]).toEqual({ role: 'system', content: 'System' });
+  });
+
+  it('prefills the Anthropic assistant turn and restores the brace on extraction', () => {
+    const adapter = getProviderAdapter('anthropic');
+    const { options } = adapter.buildRequest(prompts);
+    const body = JSON.parse(options.body);
+
+    expect(body.system).toBe('System');
+    expect(body.messages.at(-1)).toEqual({ role: 'assistant', content: '{' });
+    expect(adapter.extractText({ content: [{ type: 'text', text: '"a":1}' }] })).toBe('{"a":1}');
+    expect(adapter.extractText({ content: [] })).toBeUndefined();
+  });
+
+  it('omits auth headers for local servers and reports unreachable hosts', () => {
+    const adapter = getProviderAdapter('local');
+    const { url, options } = adapter.buildRequest({ ...prompts, apiKey: '' });
+
+    expect(url).toBe('http://localhost:11434/v1/chat/completions');
+    expect(options.headers.Authorization).toBeUndefined();
+    expect(adapter.mapError(new TypeError('Failed to fetch'))).toMatchObject({
+      code: 'REQUEST_FAILED',
+      userMessage: 'Could not reach the local model server. Is it running?',
+    });
+  });
+
+  it('maps rate limits and unknown providers consistently', () => {
+    expect(getProviderAdapter('anthropic').mapError({ status: 429 })).toMatchObject({
+      code: 'REQUEST_FAILED',
+    });
+    expect(getProviderAdapter('gemini').mapError({ status: 500 })).toBeNull();
+    expect(getProviderAdapter('unknown').id).toBe('gemini');
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import { RUN_HISTORY_MIGRATIONS, runMigrations } from '../lib/migrations';
+
+describe('schema migrations', () => {
+  const migrations = {
+    1: (record) => ({ ...record, steps: [...(record.steps ?? []), 'v2'] }),
+    2: (record) => ({ ...record, steps: [...record.steps, 'v3'] }),
+  };
+
+  it('chains steps from the stored version to the target version', () => {
+    expect(runMigrations({ schemaVersion: 1 }, migrations, 3)).toEqual({
+      value: { schemaVersion: 3, steps: ['v2', 'v3'] },
+      error: null,
+    });
+    expect(runMigrations({ schemaVersion: 2, steps: [] }, migrations, 3).value.steps).toEqual([
+      'v3',
+    ]);
+  });
+
+  it('reports records it cannot upgrade instead of resetting them', () => {
+    expect(runMigrations({ schemaVersion: 0 }, migrations, 3).error.message).toBe(
+      'No migration from schema v0 to v1.'
+    );
+    expect(runMigrations({ schemaVersion: 4 }, migrations, 3).error.message).toContain(
+      'newer than this version'
+    );
+    expect(runMigrations({}, migrations, 3).error.message).toBe(
+      'Stored data has no schema version.'
+    );
+    expect(
+      runMigrations(
+        { schemaVersion: 1 },
+        {
+          1: () => {
+            throw new Error('bad step');
+          },
+        },
+        2
+      )
+    ).toMatchObject({ value: null, error: { message: 'bad step' } });
+  });
+
+  it('adds sanctions deltas when upgrading v1 run history', () => {
+    const { value } = runMigrations(
+      { schemaVersion: 1, runs: [{ id: 'run-1' }] },
+      RUN_HISTORY_MIGRATIONS,
+      2
+    );
+
+    expect(value.schemaVersion).toBe(2);
+    expect(value.createdAt).toBeTruthy();
+    expect(value.runs).toEqual([{ id: 'run-1', sanctionDelta: null }]);
+  });
+});
@@ -0,0 +1,52 @@
+import React from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import { describe, expect, it, vi } from 'vitest';
+import ObjectionPanel from '../components/docket/ObjectionPanel';
+
+globalThis.React = React;
+
+describe('ObjectionPanel', () => {
+  it('objects to the highlighted passage on the chosen ground', async () => {
+    const onObject = vi.fn().mockResolvedValue(true);
+    const getSelection = vi
+      .spyOn(window, 'getSelection')
+      .mockReturnValue({ toString: () => ' the neighbor heard him confess ' });
+
+    render(
+      <ObjectionPanel source="rebuttal" objections={[]} isLoading={false} onObject={onObject}>
+        <p>Worse, the neighbor heard him confess.</p>
+      </ObjectionPanel>
+    );
+
+    fireEvent.mouseUp(screen.getByText('Worse, the neighbor heard him confess.'));
+    expect(screen.getByLabelText('Objected passage')).toHaveValue('the neighbor heard him confess');
+
+    fireEvent.change(screen.getByLabelText('Objection ground'), { target: { value: 'hearsay' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Object' }));
+
+    expect(onObject).toHaveBeenCalledWith('rebuttal', 'the neighbor heard him confess', 'hearsay');
+    expect(await screen.findByLabelText('Objected passage')).toHaveValue('');
+    getSelection.mockRestore();
+  });
+
+  it('shows rulings and hides controls once the objection limit is reached', () => {
+    const objections = [1, 2].map((index) => ({
+      id: `objection-${index}`,
+      source: 'motion',
+      passage: `Passage ${index}`,
+      ground: 'speculation',
+      ruling: index === 1 ? 'sustained' : 'overruled',
+      docketEntry: `Objection ${index} recorded.`,
+    }));
+
+    render(
+      <ObjectionPanel source="motion" objections={objections} isLoading={false} onObject={vi.fn()}>
+        <p>Motion text</p>
+      </ObjectionPanel>
+    );
+
+    expect(screen.getByText('Objection 1 recorded.')).toBeInTheDocument();
+    expect(screen.getByText('overruled')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Object' })).not.toBeInTheDocument();
+  });
+});
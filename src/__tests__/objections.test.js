@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import {
+  STRICKEN_PASSAGE_TEXT,
+  buildObjectionRecord,
+  getObjectableText,
+  isPassageInText,
+  redactSustainedObjections,
+} from '../lib/objections';
+
+const objections = [
+  {
+    id: 'objection-1',
+    source: 'motion',
+    passage: 'the neighbor heard him confess',
+    ground: 'hearsay',
+    ruling: 'sustained',
+  },
+  {
+    id: 'objection-2',
+    source: 'motion',
+    passage: 'He owns a raincoat.',
+    ground: 'relevance',
+    ruling: 'overruled',
+  },
+];
+
+describe('objections', () => {
+  it('locates highlighted passages across markdown emphasis', () => {
+    const text = 'Worse, *the neighbor* heard him\nconfess. He owns a raincoat.';
+
+    expect(isPassageInText(text, 'the neighbor heard him confess')).toBe(true);
+    expect(isPassageInText(text, 'the neighbor saw him')).toBe(false);
+    expect(isPassageInText(text, '   ')).toBe(false);
+  });
+
+  it('strikes only sustained passages for the matching source', () => {
+    const text = 'Worse, the neighbor heard him confess. He owns a raincoat.';
+
+    expect(redactSustainedObjections(text, objections, 'motion')).toBe(
+      `Worse, ${STRICKEN_PASSAGE_TEXT}. He owns a raincoat.`
+    );
+    expect(redactSustainedObjections(text, objections, 'rebuttal')).toBe(text);
+    expect(buildObjectionRecord(objections)).toEqual([
+      { source: 'motion', ground: 'Hearsay', ruling: 'sustained', passage: STRICKEN_PASSAGE_TEXT },
+      { source: 'motion', ground: 'Relevance', ruling: 'overruled', passage: 'He owns a raincoat.' },
+    ]);
+  });
+
+  it('only offers opposing submissions for objection', () => {
+    const history = {
+      motion: { motionText: 'Motion', motionBy: 'defense', rebuttalText: '', rebuttalBy: 'prosecution' },
+    };
+
+    expect(getObjectableText(history, 'motion', 'prosecution')).toBe('Motion');
+    expect(getObjectableText(history, 'motion', 'defense')).toBeNull();
+    expect(getObjectableText(history, 'rebuttal', 'defense')).toBeNull();
+    expect(getObjectableText(history, 'closing', 'defense')).toBeNull();
+  });
+});
@@ -1,22 +1,76 @@
 import { beforeEach, describe, expect, it, vi } from 'vitest';
 
 import {
+  ACTIVE_RUN_STORAGE_KEY,
+  __testables,
+  acknowledgeMigrationFailure,
+  clearActiveRun,
+  createProfile,
   defaultPlayerProfile,
   defaultRunHistory,
+  deleteProfile,
+  duplicateProfile,
+  getStorageStatus,
+  initStorage,
+  loadActiveRun,
+  loadMigrationFailures,
   loadPlayerProfile,
+  loadProfileRegistry,
   loadRunHistory,
+  acquireRunLock,
+  isRunLockedElsewhere,
+  releaseRunLock,
+  renameProfile,
+  restoreMigrationBackup,
+  saveActiveRun,
   savePlayerProfile,
   saveRunHistory,
+  setActiveProfile,
+  subscribeToStorageChanges,
   RUN_HISTORY_STORAGE_KEY,
+  RUN_LOCK_STORAGE_KEY,
 } from '../lib/persistence';
 
 const LEGACY_SANCTIONS_KEY = 'courtgame.sanctions.state';
 const PROFILE_KEY = 'pocketcourt.profile.v1';
 
+const createMemoryArchive = ({ snapshots = [], runs = null, failWith = null } = {}) => {
+  const stored = { snapshots: new Map(snapshots), runs: new Map(runs ? [['default', runs]] : []) };
+  const write = (apply) => (failWith ? Promise.reject(failWith) : Promise.resolve(apply()));
+  return {
+    stored,
+    name: 'memory',
+    loadAll: async () => ({ snapshots: new Map(stored.snapshots), runs: new Map(stored.runs) }),
+    putSnapshots: (entries) =>
+      write(() => entries.forEach(([id, snapshot]) => stored.snapshots.set(id, snapshot))),
+    deleteSnapshots: (ids) => write(() => ids.forEach((id) => stored.snapshots.delete(id))),
+    putRuns: (profileId, nextRuns) =>
+      write(() => {
+        stored.runs.set(profileId, nextRuns);
+      }),
+    deleteRuns: (profileId) =>
+      write(() => {
+        stored.runs.delete(profileId);
+      }),
+  };
+};
+
+const buildCase = (index) => ({
+  id: `case-${index}`,
+  caseName: `Case ${index}`,
+  docketSnapshot: { sections: { case: { title: `Case ${index}` } } },
+});
+
+const buildRun = (index) => ({
+  id: `run-${index}`,
+  startedAt: new Date(Date.UTC(2024, 0, 1, 0, index)).toISOString(),
+});
+
 describe('persistence helpers', () => {
   beforeEach(() => {
     window.localStorage.clear();
     vi.restoreAllMocks();
+    __testables.resetStorage();
   });
 
   it('builds default player profile metadata', () => {
@@ -128,6 +182,95 @@ describe('persistence helpers', () => {
     setItemSpy.mockRestore();
   });
 
+  it('backs up run history before migrating it', () => {
+    const legacyHistory = { schemaVersion: 1, runs: [{ id: 'run-legacy' }] };
+    window.localStorage.setItem(RUN_HISTORY_STORAGE_KEY, JSON.stringify(legacyHistory));
+
+    loadRunHistory();
+
+    const backup = JSON.parse(
+      window.localStorage.getItem(`${RUN_HISTORY_STORAGE_KEY}.backup.v1`)
+    );
+    expect(backup).toMatchObject({ fromVersion: 1, error: null, data: legacyHistory });
+    expect(loadMigrationFailures()).toEqual([]);
+  });
+
+  it('keeps a profile it cannot migrate in a backup and reports the failure', () => {
+    const futureProfile = {
+      schemaVersion: 9,
+      caseHistory: [{ id: 'case-1' }],
+      achievements: [{ id: 'legend' }],
+    };
+    window.localStorage.setItem(PROFILE_KEY, JSON.stringify(futureProfile));
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const loaded = loadPlayerProfile();
+
+    expect(warnSpy).toHaveBeenCalled();
+    expect(loaded.schemaVersion).toBe(1);
+    expect(loaded.caseHistory).toEqual([]);
+    expect(JSON.parse(window.localStorage.getItem(PROFILE_KEY))).toEqual(futureProfile);
+    const backupKey = `${PROFILE_KEY}.backup.v9`;
+    expect(JSON.parse(window.localStorage.getItem(backupKey)).data).toEqual(futureProfile);
+    expect(loadMigrationFailures()).toEqual([
+      expect.objectContaining({
+        backupKey,
+        label: 'player profile',
+        fromVersion: 9,
+        error: expect.stringContaining('newer than this version'),
+      }),
+    ]);
+
+    expect(acknowledgeMigrationFailure(backupKey)).toBe(true);
+
+    expect(loadMigrationFailures()).toEqual([]);
+    expect(JSON.parse(window.localStorage.getItem(backupKey)).data).toEqual(futureProfile);
+    expect(JSON.parse(window.localStorage.getItem(PROFILE_KEY)).schemaVersion).toBe(1);
+  });
+
+  it('keeps an active sanction and saves nothing over a profile it cannot migrate', () => {
+    const sanctions = { state: 'suspended', level: 3, suspendedUntil: '2999-01-01T00:00:00.000Z' };
+    const futureProfile = { schemaVersion: 9, sanctions, caseHistory: [{ id: 'case-1' }] };
+    window.localStorage.setItem(PROFILE_KEY, JSON.stringify(futureProfile));
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const loaded = loadPlayerProfile();
+
+    expect(loaded.sanctions).toEqual(sanctions);
+    expect(savePlayerProfile({ ...loaded, sanctions: null })).toBeNull();
+    expect(JSON.parse(window.localStorage.getItem(PROFILE_KEY))).toEqual(futureProfile);
+
+    acknowledgeMigrationFailure(`${PROFILE_KEY}.backup.v9`);
+
+    expect(loadPlayerProfile().sanctions).toEqual(sanctions);
+  });
+
+  it('puts a backed-up profile back under its key when restored', () => {
+    const futureProfile = { schemaVersion: 9, caseHistory: [{ id: 'case-1' }] };
+    const backupKey = `${PROFILE_KEY}.backup.v9`;
+    window.localStorage.setItem(PROFILE_KEY, JSON.stringify(futureProfile));
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    loadPlayerProfile();
+    acknowledgeMigrationFailure(backupKey);
+
+    expect(restoreMigrationBackup(backupKey)).toBe(true);
+
+    expect(JSON.parse(window.localStorage.getItem(PROFILE_KEY))).toEqual(futureProfile);
+    expect(window.localStorage.getItem(backupKey)).toBeNull();
+  });
+
+  it('leaves a profile it cannot migrate in place when the backup fails', () => {
+    const futureProfile = { schemaVersion: 9, caseHistory: [{ id: 'case-1' }] };
+    window.localStorage.setItem(PROFILE_KEY, JSON.stringify(futureProfile));
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new Error('disk full');
+    });
+
+    expect(loadPlayerProfile().schemaVersion).toBe(1);
+    expect(JSON.parse(window.localStorage.getItem(PROFILE_KEY))).toEqual(futureProfile);
+  });
+
   it('migrates legacy sanctions into the profile when v1 is absent', () => {
     const legacySanctions = { state: 'warning', level: 1 };
     window.localStorage.setItem(LEGACY_SANCTIONS_KEY, JSON.stringify(legacySanctions));
@@ -141,7 +284,8 @@ describe('persistence helpers', () => {
     });
   });
 
-  it('resets corrupted profiles and logs a warning', () => {
+  it('backs up a corrupted profile and saves nothing over it until the player starts over', () => {
+    const backupKey = `${PROFILE_KEY}.backup.unreadable`;
     window.localStorage.setItem(PROFILE_KEY, '{not-json}');
     const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
 
@@ -149,9 +293,21 @@ describe('persistence helpers', () => {
 
     expect(warnSpy).toHaveBeenCalled();
     expect(loaded.schemaVersion).toBe(1);
+    expect(JSON.parse(window.localStorage.getItem(backupKey)).raw).toBe('{not-json}');
+    expect(savePlayerProfile(loaded)).toBeNull();
+    expect(window.localStorage.getItem(PROFILE_KEY)).toBe('{not-json}');
+    expect(loadMigrationFailures()).toEqual([
+      expect.objectContaining({ backupKey, label: 'player profile', unreadable: true }),
+    ]);
+
+    expect(acknowledgeMigrationFailure(backupKey)).toBe(true);
+
+    expect(JSON.parse(window.localStorage.getItem(PROFILE_KEY)).schemaVersion).toBe(1);
+    expect(JSON.parse(window.localStorage.getItem(backupKey)).raw).toBe('{not-json}');
+    expect(loadMigrationFailures()).toEqual([]);
   });
 
-  it('resets profile schema mismatches and logs a warning', () => {
+  it('loads a fresh profile over a schema mismatch and logs a warning', () => {
     window.localStorage.setItem(PROFILE_KEY, JSON.stringify({ schemaVersion: 0 }));
     const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
 
@@ -160,4 +316,358 @@ describe('persistence helpers', () => {
     expect(warnSpy).toHaveBeenCalled();
     expect(loaded.schemaVersion).toBe(1);
   });
+
+  it('roundtrips and clears the active run', () => {
+    const run = {
+      gameState: 'PLAYING',
+      history: { case: { title: 'State v. Doe' } },
+      config: { role: 'defense' },
+      runMeta: { id: 'run-1', endedAt: null },
+      pendingRequest: { action: 'submitOpening', args: ['The evidence will show.'] },
+    };
+
+    const saved = saveActiveRun(run);
+
+    expect(saved).toMatchObject({ ...run, schemaVersion: 1 });
+    expect(saved.savedAt).toBeTruthy();
+    expect(loadActiveRun()).toEqual(saved);
+
+    clearActiveRun();
+
+    expect(loadActiveRun()).toBeNull();
+  });
+
+  it('discards an unreadable active run and logs a warning', () => {
+    window.localStorage.setItem(ACTIVE_RUN_STORAGE_KEY, JSON.stringify({ schemaVersion: 1 }));
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(loadActiveRun()).toBeNull();
+    expect(warnSpy).toHaveBeenCalled();
+    expect(window.localStorage.getItem(ACTIVE_RUN_STORAGE_KEY)).toBeNull();
+  });
+
+  it('caps history kept in local storage when the archive is unavailable', async () => {
+    await expect(initStorage(async () => null)).resolves.toEqual({
+      backend: 'localStorage',
+      quotaExceeded: false,
+      archiveWriteFailed: false,
+    });
+
+    savePlayerProfile({ caseHistory: Array.from({ length: 35 }, (_, index) => buildCase(index)) });
+    saveRunHistory({ runs: Array.from({ length: 25 }, (_, index) => buildRun(index)) });
+
+    expect(loadPlayerProfile().caseHistory).toHaveLength(30);
+    expect(loadRunHistory().runs).toHaveLength(20);
+    expect(loadRunHistory().runs[0].id).toBe('run-5');
+  });
+
+  it('falls back to local storage when the archive cannot open', async () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(
+      initStorage(async () => {
+        throw new Error('Docket archive is blocked by another open tab.');
+      })
+    ).resolves.toEqual({ backend: 'localStorage', quotaExceeded: false, archiveWriteFailed: false });
+
+    expect(warnSpy).toHaveBeenCalled();
+    savePlayerProfile({ caseHistory: [buildCase(1)] });
+    expect(loadPlayerProfile().caseHistory[0].docketSnapshot).toEqual(buildCase(1).docketSnapshot);
+  });
+
+  it('moves docket snapshots and run history into the archive on first load', async () => {
+    savePlayerProfile({ caseHistory: [buildCase(1), buildCase(2)] });
+    saveRunHistory({ runs: [buildRun(2)] });
+    const archive = createMemoryArchive({ runs: [buildRun(1)] });
+
+    await expect(initStorage(async () => archive)).resolves.toEqual({
+      backend: 'memory',
+      quotaExceeded: false,
+      archiveWriteFailed: false,
+    });
+
+    expect(archive.stored.snapshots.get('case-2')).toEqual(buildCase(2).docketSnapshot);
+    expect(archive.stored.runs.get('default').map((run) => run.id)).toEqual(['run-1', 'run-2']);
+    const index = JSON.parse(window.localStorage.getItem(PROFILE_KEY));
+    expect(index.caseHistory[0]).toEqual({ id: 'case-1', caseName: 'Case 1' });
+    expect(loadPlayerProfile().caseHistory[1]).toEqual(buildCase(2));
+    expect(loadRunHistory().runs).toHaveLength(2);
+  });
+
+  it('keeps every case and run once the archive is open, with a small local index', async () => {
+    const archive = createMemoryArchive();
+    await initStorage(async () => archive);
+
+    savePlayerProfile({ caseHistory: Array.from({ length: 40 }, (_, index) => buildCase(index)) });
+    saveRunHistory({ runs: Array.from({ length: 30 }, (_, index) => buildRun(index)) });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(archive.stored.snapshots.size).toBe(40);
+    expect(loadPlayerProfile().caseHistory).toHaveLength(40);
+    expect(loadPlayerProfile().caseHistory[39]).toEqual(buildCase(39));
+    expect(loadRunHistory().runs).toHaveLength(30);
+    expect(JSON.parse(window.localStorage.getItem(RUN_HISTORY_STORAGE_KEY)).runs).toHaveLength(20);
+    expect(window.localStorage.getItem(PROFILE_KEY)).not.toContain('docketSnapshot');
+  });
+
+  it('reports a full archive and keeps its dockets for the session', async () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const archive = createMemoryArchive();
+    await initStorage(async () => archive);
+    archive.putSnapshots = () => Promise.reject(new DOMException('full', 'QuotaExceededError'));
+
+    savePlayerProfile({ caseHistory: [buildCase(1)] });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(getStorageStatus().quotaExceeded).toBe(true);
+    expect(warnSpy).toHaveBeenCalled();
+    expect(loadPlayerProfile().caseHistory[0]).toEqual(buildCase(1));
+  });
+
+  it('keeps dockets in local storage until the archive write succeeds', async () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const archive = createMemoryArchive();
+    await initStorage(async () => archive);
+    const putSnapshots = archive.putSnapshots;
+    archive.putSnapshots = () => Promise.reject(new Error('IndexedDB write failed'));
+
+    savePlayerProfile({ caseHistory: [buildCase(1)] });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(getStorageStatus().archiveWriteFailed).toBe(true);
+    expect(warnSpy).toHaveBeenCalledWith('Failed to write the docket archive.', expect.any(Error));
+    expect(JSON.parse(window.localStorage.getItem(PROFILE_KEY)).caseHistory[0]).toEqual(
+      buildCase(1)
+    );
+
+    archive.putSnapshots = putSnapshots;
+    savePlayerProfile(loadPlayerProfile());
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(archive.stored.snapshots.get('case-1')).toEqual(buildCase(1).docketSnapshot);
+    expect(JSON.parse(window.localStorage.getItem(PROFILE_KEY)).caseHistory[0]).toEqual({
+      id: 'case-1',
+      caseName: 'Case 1',
+    });
+  });
+
+  it('drops the oldest docket snapshots when local storage is full', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const originalSetItem = Storage.prototype.setItem;
+    vi.spyOn(Storage.prototype, 'setItem').mockImplementation(function setItem(key, value) {
+      if (value.split('"sections"').length > 2) {
+        throw new DOMException('full', 'QuotaExceededError');
+      }
+      return originalSetItem.call(this, key, value);
+    });
+
+    const saved = savePlayerProfile({ caseHistory: [buildCase(1), buildCase(2), buildCase(3)] });
+
+    expect(saved.caseHistory.map((entry) => Boolean(entry.docketSnapshot))).toEqual([
+      true,
+      false,
+      false,
+    ]);
+    expect(loadPlayerProfile().caseHistory).toHaveLength(3);
+    expect(getStorageStatus().quotaExceeded).toBe(true);
+  });
+
+  it('starts the profile list with the original profile and keeps each profile apart', () => {
+    savePlayerProfile({ stats: { runsCompleted: 4 } });
+
+    const registry = loadProfileRegistry();
+    expect(registry.activeProfileId).toBe('default');
+    expect(registry.profiles.map((slot) => slot.name)).toEqual(['Player 1']);
+
+    const created = createProfile('  Second Chair  ');
+    const secondId = created.activeProfileId;
+    expect(created.profiles[1]).toMatchObject({ id: secondId, name: 'Second Chair' });
+    expect(loadPlayerProfile(secondId).stats.runsCompleted).toBe(0);
+    saveActiveRun({ history: {}, config: { role: 'defense' } }, secondId);
+    expect(loadActiveRun()).toBeNull();
+    expect(loadActiveRun(secondId).config.role).toBe('defense');
+    expect(loadPlayerProfile().stats.runsCompleted).toBe(4);
+
+    expect(renameProfile(secondId, 'Co-Counsel').profiles[1].name).toBe('Co-Counsel');
+    expect(renameProfile(secondId, '   ')).toBeNull();
+    expect(setActiveProfile('default').activeProfileId).toBe('default');
+    expect(setActiveProfile('missing')).toBeNull();
+    expect(createProfile('')).toBeNull();
+  });
+
+  it('duplicates a profile with its bar record but not its autosaved run', () => {
+    const sanctions = { state: 'suspended', expiresAt: '2099-01-01T00:00:00.000Z' };
+    savePlayerProfile({ sanctions, caseHistory: [buildCase(1)] });
+    saveRunHistory({ runs: [buildRun(1)] });
+    saveActiveRun({ history: {}, config: { role: 'defense' } });
+
+    const registry = duplicateProfile('default');
+    const copy = registry.profiles[1];
+
+    expect(copy.name).toBe('Player 1 (copy)');
+    expect(registry.activeProfileId).toBe('default');
+    expect(loadPlayerProfile(copy.id).sanctions).toEqual(sanctions);
+    expect(loadPlayerProfile(copy.id).caseHistory).toEqual([buildCase(1)]);
+    expect(loadRunHistory(copy.id).runs).toEqual([buildRun(1)]);
+    expect(loadActiveRun(copy.id)).toBeNull();
+  });
+
+  it('deletes a profile and its records but never the last one', () => {
+    const secondId = createProfile('Second Chair').activeProfileId;
+    savePlayerProfile({ caseHistory: [buildCase(1)] }, secondId);
+    saveActiveRun({ history: {}, config: { role: 'defense' } }, secondId);
+
+    const registry = deleteProfile(secondId);
+
+    expect(registry.activeProfileId).toBe('default');
+    expect(registry.profiles.map((slot) => slot.id)).toEqual(['default']);
+    expect(window.localStorage.getItem(`${PROFILE_KEY}:${secondId}`)).toBeNull();
+    expect(window.localStorage.getItem(`${ACTIVE_RUN_STORAGE_KEY}:${secondId}`)).toBeNull();
+    expect(deleteProfile('default')).toBeNull();
+  });
+
+  it('removes only the archived records no other profile still uses', async () => {
+    const archive = createMemoryArchive();
+    await initStorage(async () => archive);
+    savePlayerProfile({ caseHistory: [buildCase(1)] });
+    const copyId = duplicateProfile('default').profiles[1].id;
+    savePlayerProfile({ caseHistory: [buildCase(1), buildCase(2)] }, copyId);
+    saveRunHistory({ runs: [buildRun(2)] }, copyId);
+    await Promise.resolve();
+    expect(archive.stored.runs.get(copyId)).toEqual([buildRun(2)]);
+
+    deleteProfile(copyId);
+    await Promise.resolve();
+
+    expect([...archive.stored.snapshots.keys()]).toEqual(['case-1']);
+    expect(archive.stored.runs.has(copyId)).toBe(false);
+    expect(loadPlayerProfile().caseHistory).toEqual([buildCase(1)]);
+  });
+
+  it('never lets a stale save lower a sanction another tab stored', () => {
+    const warned = {
+      state: 'warned',
+      level: 1,
+      startedAt: '2024-01-01T00:00:00.000Z',
+      lastMisconductAt: '2024-01-01T00:00:00.000Z',
+    };
+    const sanctioned = {
+      state: 'sanctioned',
+      level: 2,
+      startedAt: '2024-01-01T00:05:00.000Z',
+      lastMisconductAt: '2024-01-01T00:05:00.000Z',
+    };
+    savePlayerProfile({ sanctions: sanctioned, pdStatus: null });
+
+    const saved = savePlayerProfile({ sanctions: warned, stats: { runsCompleted: 3 } });
+
+    expect(saved.sanctions).toEqual(sanctioned);
+    expect(saved.stats.runsCompleted).toBe(3);
+    expect(loadPlayerProfile().sanctions).toEqual(sanctioned);
+  });
+
+  it('merges the cases, achievements, and stats a stale save never saw', () => {
+    const firstCase = { id: 'case-1', date: '2024-01-01T00:00:00.000Z' };
+    const otherTabCase = { id: 'case-2', date: '2024-01-02T00:00:00.000Z' };
+    const staleTabCase = { id: 'case-3', date: '2024-01-03T00:00:00.000Z' };
+    const achievement = (title) => ({ title, awardedAt: '2024-01-02T00:00:00.000Z' });
+    const base = savePlayerProfile({
+      stats: { runsCompleted: 1, verdictsFinalized: 1, sanctionsIncurred: 0 },
+      achievements: [],
+      caseHistory: [firstCase],
+    });
+    savePlayerProfile({
+      ...base,
+      stats: { runsCompleted: 2, verdictsFinalized: 2, sanctionsIncurred: 0 },
+      achievements: [achievement('Other Tab')],
+      caseHistory: [otherTabCase, firstCase],
+    });
+
+    const saved = savePlayerProfile({
+      ...base,
+      stats: { runsCompleted: 2, verdictsFinalized: 1, sanctionsIncurred: 1 },
+      achievements: [achievement('Stale Tab')],
+      caseHistory: [staleTabCase, firstCase],
+    });
+
+    expect(saved.stats).toEqual({ runsCompleted: 2, verdictsFinalized: 2, sanctionsIncurred: 1 });
+    expect(saved.achievements.map((entry) => entry.title)).toEqual(['Stale Tab', 'Other Tab']);
+    expect(saved.caseHistory.map((entry) => entry.id)).toEqual(['case-3', 'case-2', 'case-1']);
+    expect(loadPlayerProfile()).toEqual(saved);
+  });
+
+  it('drops the stored records when a save replaces the profile', () => {
+    savePlayerProfile({ stats: { runsCompleted: 5 }, caseHistory: [buildCase(1)] });
+
+    const saved = savePlayerProfile(
+      { stats: { runsCompleted: 1 }, caseHistory: [] },
+      undefined,
+      { replace: true }
+    );
+
+    expect(saved.stats.runsCompleted).toBe(1);
+    expect(loadPlayerProfile().caseHistory).toEqual([]);
+  });
+
+  it('locks a profile to one running tab until the lock is released or goes stale', () => {
+    const otherTabLock = (refreshedAt) =>
+      window.localStorage.setItem(
+        RUN_LOCK_STORAGE_KEY,
+        JSON.stringify({ tabId: 'other-tab', acquiredAt: refreshedAt, refreshedAt })
+      );
+
+    otherTabLock(new Date().toISOString());
+    expect(isRunLockedElsewhere()).toBe(true);
+    expect(acquireRunLock()).toBe(false);
+    expect(acquireRunLock(createProfile('Second Chair').activeProfileId)).toBe(true);
+    expect(duplicateProfile('default')).not.toBeNull();
+    expect(deleteProfile('default')).toBeNull();
+
+    otherTabLock(new Date(Date.now() - 3 * 60 * 1000).toISOString());
+    expect(acquireRunLock()).toBe(true);
+    expect(JSON.parse(window.localStorage.getItem(RUN_LOCK_STORAGE_KEY)).tabId).toBe(
+      __testables.TAB_ID
+    );
+
+    releaseRunLock();
+    expect(window.localStorage.getItem(RUN_LOCK_STORAGE_KEY)).toBeNull();
+  });
+
+  it('reports changes from other tabs and catches up on their archived runs', async () => {
+    const archive = createMemoryArchive({ runs: [buildRun(1)] });
+    await initStorage(async () => archive);
+    const listener = vi.fn();
+    const unsubscribe = subscribeToStorageChanges(listener);
+    const secondId = createProfile('Second Chair').activeProfileId;
+
+    const otherTabIndex = { ...defaultRunHistory(), runs: [buildRun(1), buildRun(2)] };
+    window.dispatchEvent(
+      new StorageEvent('storage', {
+        key: RUN_HISTORY_STORAGE_KEY,
+        newValue: JSON.stringify(otherTabIndex),
+        storageArea: window.localStorage,
+      })
+    );
+    window.dispatchEvent(
+      new StorageEvent('storage', {
+        key: `${PROFILE_KEY}:${secondId}`,
+        storageArea: window.localStorage,
+      })
+    );
+    window.dispatchEvent(
+      new StorageEvent('storage', { key: `${PROFILE_KEY}.backup.v0`, storageArea: window.localStorage })
+    );
+
+    expect(loadRunHistory().runs).toEqual([buildRun(1), buildRun(2)]);
+    expect(listener.mock.calls.map(([change]) => change)).toEqual([
+      { kind: 'runHistory', profileId: 'default' },
+      { kind: 'profile', profileId: secondId },
+    ]);
+
+    unsubscribe();
+    window.dispatchEvent(
+      new StorageEvent('storage', { key: PROFILE_KEY, storageArea: window.localStorage })
+    );
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
 });
@@ -0,0 +1,122 @@
+import { describe, expect, it } from 'vitest';
+import { LlmClientError, parsePleaResponse } from '../lib/llmClient';
+import {
+  MAX_PLEA_ROUNDS,
+  buildPleaDocketLines,
+  canAcceptPleaOffer,
+  canDefenseCounter,
+  canProsecutionOffer,
+  createPleaState,
+  getPleaScore,
+  isPleaWindowOpen,
+} from '../lib/pleaBargain';
+
+const range = { unit: 'months', min: 0, max: 120 };
+
+const buildOffer = (round, offeredBy, term) => ({
+  id: `plea-${round}-${offeredBy}`,
+  round,
+  offeredBy,
+  charge: 'Trespass',
+  term,
+  unit: 'months',
+  message: '',
+  docketEntry: '',
+  timestamp: '2026-01-01T00:00:00.000Z',
+});
+
+const buildPleaPayload = (overrides = {}) => ({
+  action: 'offer',
+  charge: ' Trespass ',
+  term: 30.4,
+  message: ' Final answer. ',
+  docket_entry: ' Plea offer: guilty to Trespass, 30 months. ',
+  ...overrides,
+});
+
+describe('plea bargaining', () => {
+  it('alternates turns and caps the prosecution at its final round', () => {
+    const plea = createPleaState();
+    expect(canProsecutionOffer(plea)).toBe(true);
+    expect(canDefenseCounter(plea)).toBe(false);
+
+    plea.offers.push(buildOffer(1, 'prosecution', 90));
+    expect(canProsecutionOffer(plea)).toBe(false);
+    expect(canDefenseCounter(plea)).toBe(true);
+    expect(canAcceptPleaOffer(plea, 'defense')).toBe(true);
+    expect(canAcceptPleaOffer(plea, 'prosecution')).toBe(false);
+
+    plea.clientRejections.push({ offerId: 'plea-1-prosecution', statement: 'No.' });
+    expect(canAcceptPleaOffer(plea, 'defense')).toBe(false);
+
+    for (let round = 1; round < MAX_PLEA_ROUNDS; round += 1) {
+      plea.offers.push(buildOffer(round, 'defense', 20));
+      plea.offers.push(buildOffer(round + 1, 'prosecution', 60));
+    }
+    plea.offers.push(buildOffer(MAX_PLEA_ROUNDS, 'defense', 30));
+    expect(canProsecutionOffer(plea)).toBe(false);
+    expect(canAcceptPleaOffer(plea, 'prosecution')).toBe(true);
+  });
+
+  it('closes the window once a motion is filed or negotiations end', () => {
+    const history = { plea: createPleaState(), disposition: null, motion: null };
+    expect(isPleaWindowOpen(history)).toBe(true);
+    expect(isPleaWindowOpen({ ...history, motion: { motionText: 'Dismiss.' } })).toBe(false);
+    expect(isPleaWindowOpen({ ...history, plea: { ...history.plea, status: 'rejected' } })).toBe(
+      false
+    );
+    expect(isPleaWindowOpen({ disposition: null })).toBe(false);
+  });
+
+  it('scores deals on where the term falls in the range for each side', () => {
+    expect(getPleaScore('defense', 0, range)).toBe(80);
+    expect(getPleaScore('defense', 120, range)).toBe(20);
+    expect(getPleaScore('prosecution', 90, range)).toBe(65);
+    expect(getPleaScore('defense', 5, { min: 5, max: 5 })).toBe(50);
+  });
+
+  it('formats offers, client refusals, and the closing entry for the docket', () => {
+    const plea = {
+      ...createPleaState(),
+      offers: [{ ...buildOffer(1, 'prosecution', 60), message: 'Take it.' }],
+      clientRejections: [
+        { offerId: null, charge: 'Trespass', term: 40, unit: 'months', statement: 'Never.' },
+      ],
+      status: 'rejected',
+      docketEntry: 'Plea negotiations ended by the defense; the case proceeds to trial.',
+    };
+
+    expect(buildPleaDocketLines(plea)).toEqual([
+      'Round 1 Prosecution offer: Guilty to Trespass, 60 months - "Take it."',
+      'Client refused: Guilty to Trespass, 40 months - "Never."',
+      'Plea negotiations ended by the defense; the case proceeds to trial.',
+    ]);
+    expect(buildPleaDocketLines(undefined)).toEqual([]);
+  });
+
+  it('rejects plea answers made out of turn or outside the sentencing range', () => {
+    expect(parsePleaResponse(buildPleaPayload(), { range, canOffer: true })).toMatchObject({
+      charge: 'Trespass',
+      term: 30,
+      message: 'Final answer.',
+      docket_entry: 'Plea offer: guilty to Trespass, 30 months.',
+    });
+    expect(() =>
+      parsePleaResponse(buildPleaPayload({ action: 'accept' }), {
+        range,
+        canOffer: true,
+        mustOffer: true,
+      })
+    ).toThrow(LlmClientError);
+    expect(() => parsePleaResponse(buildPleaPayload(), { range, canOffer: false })).toThrow(
+      LlmClientError
+    );
+    expect(() =>
+      parsePleaResponse(buildPleaPayload({ term: 200 }), { range, canOffer: true })
+    ).toThrow(LlmClientError);
+    expect(
+      parsePleaResponse(buildPleaPayload({ action: 'reject', term: 0 }), { range, canOffer: false })
+        .action
+    ).toBe('reject');
+  });
+});
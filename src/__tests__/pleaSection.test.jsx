@@ -0,0 +1,109 @@
+import React from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import { describe, expect, it, vi } from 'vitest';
+import PleaSection from '../components/docket/PleaSection';
+import { createPleaState } from '../lib/pleaBargain';
+
+globalThis.React = React;
+
+const range = { unit: 'months', min: 0, max: 120 };
+
+const prosecutionOffer = {
+  id: 'plea-1',
+  round: 1,
+  offeredBy: 'prosecution',
+  charge: 'Burglary',
+  term: 60,
+  unit: 'months',
+  message: 'Take it or leave it.',
+  docketEntry: 'Plea offer: guilty to Burglary, 60 months.',
+  timestamp: '2026-01-01T00:00:00.000Z',
+};
+
+describe('PleaSection', () => {
+  it('lets the defense request an opening offer or go to trial', () => {
+    const onRequestOffer = vi.fn();
+    const onDecline = vi.fn();
+
+    render(
+      <PleaSection
+        plea={createPleaState()}
+        range={range}
+        charge="Burglary"
+        playerRole="defense"
+        onRequestOffer={onRequestOffer}
+        onPropose={vi.fn()}
+        onAccept={vi.fn()}
+        onDecline={onDecline}
+      />
+    );
+
+    expect(screen.queryByRole('button', { name: 'Counter' })).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Accept Deal' })).not.toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Request Offer' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Go to Trial' }));
+    expect(onRequestOffer).toHaveBeenCalledTimes(1);
+    expect(onDecline).toHaveBeenCalledTimes(1);
+  });
+
+  it('submits a counter-offer against the prosecution offer', async () => {
+    const onPropose = vi.fn().mockResolvedValue(true);
+
+    render(
+      <PleaSection
+        plea={{ ...createPleaState(), offers: [prosecutionOffer] }}
+        range={range}
+        charge="Burglary"
+        playerRole="defense"
+        onPropose={onPropose}
+        onAccept={vi.fn()}
+        onDecline={vi.fn()}
+      />
+    );
+
+    expect(screen.getByText('Guilty to Burglary, 60 months')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Accept Deal' })).toBeEnabled();
+    const counter = screen.getByRole('button', { name: 'Counter' });
+    expect(counter).toBeDisabled();
+
+    fireEvent.change(screen.getByLabelText('Plea charge'), { target: { value: 'Trespass' } });
+    fireEvent.change(screen.getByLabelText('Plea term'), { target: { value: '24' } });
+    fireEvent.change(screen.getByLabelText('Plea message'), { target: { value: 'First offense.' } });
+    fireEvent.click(counter);
+
+    expect(onPropose).toHaveBeenCalledWith({
+      charge: 'Trespass',
+      term: 24,
+      message: 'First offense.',
+    });
+    expect(await screen.findByLabelText('Plea term')).toHaveValue(null);
+  });
+
+  it('renders a closed negotiation read-only with the client refusals and plea score', () => {
+    render(
+      <PleaSection
+        plea={{
+          ...createPleaState(),
+          offers: [prosecutionOffer],
+          clientRejections: [
+            {
+              offerId: null,
+              charge: 'Trespass',
+              term: 90,
+              unit: 'months',
+              statement: 'I will not plead.',
+            },
+          ],
+          status: 'accepted',
+          acceptedOfferId: 'plea-1',
+          docketEntry: 'Plea deal entered: guilty to Burglary, 60 months.',
+          score: 50,
+        }}
+      />
+    );
+
+    expect(screen.getByText('Your client refused 90 months: "I will not plead."')).toBeInTheDocument();
+    expect(screen.getByText('Plea score 50/100')).toBeInTheDocument();
+    expect(screen.queryByRole('button')).not.toBeInTheDocument();
+  });
+});
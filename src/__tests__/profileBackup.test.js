@@ -0,0 +1,155 @@
+import { describe, expect, it } from 'vitest';
+import { SANCTION_STATES } from '../lib/constants';
+import {
+  PROFILE_BACKUP_FORMAT,
+  PROFILE_BACKUP_MODES,
+  applyProfileBackup,
+  buildProfileBackup,
+  buildProfileBackupExport,
+  parseProfileBackup,
+  summarizeProfileBackup,
+} from '../lib/profileBackup';
+
+const sanctioned = {
+  state: SANCTION_STATES.SANCTIONED,
+  level: 2,
+  expiresAt: '2030-01-01T00:00:00.000Z',
+};
+
+const buildStored = ({ cases = [], runs = [], sanctions = null, stats = {} } = {}) => ({
+  profile: {
+    schemaVersion: 1,
+    sanctions,
+    pdStatus: null,
+    reinstatement: null,
+    stats: { runsCompleted: 0, verdictsFinalized: 0, sanctionsIncurred: 0, ...stats },
+    achievements: [],
+    caseHistory: cases.map((id, index) => ({
+      id,
+      caseName: id,
+      date: `2024-01-0${index + 1}T00:00:00.000Z`,
+      docketSnapshot: { sections: { case: { title: id } } },
+    })),
+  },
+  runHistory: {
+    schemaVersion: 2,
+    // Runs start in id order: run-a first.
+    runs: runs.map((id) => ({
+      id,
+      startedAt: `2024-01-01T00:0${id.charCodeAt(id.length - 1) - 97}:00.000Z`,
+    })),
+  },
+});
+
+const roundTrip = (stored) =>
+  parseProfileBackup(
+    buildProfileBackupExport(buildProfileBackup(stored, '2024-03-01T00:00:00.000Z')).text
+  );
+
+describe('profile backups', () => {
+  it('round-trips the profile, run history, and docket snapshots through one file', () => {
+    const stored = buildStored({ cases: ['case-a'], runs: ['run-a'] });
+    const exported = buildProfileBackupExport(buildProfileBackup(stored, '2024-03-01T00:00:00.000Z'));
+
+    expect(exported.filename).toBe('pocketcourt-profile-2024-03-01.json');
+    expect(JSON.parse(exported.text)).toMatchObject({ format: PROFILE_BACKUP_FORMAT, version: 1 });
+    expect(roundTrip(stored)).toMatchObject({
+      profile: { caseHistory: stored.profile.caseHistory },
+      runHistory: { runs: stored.runHistory.runs },
+    });
+  });
+
+  it('rejects files that are not readable backups and upgrades old run history', () => {
+    expect(parseProfileBackup('not json')).toBeNull();
+    expect(parseProfileBackup(JSON.stringify({ format: 'pocket-court-docket', version: 1 }))).toBeNull();
+    const backup = buildProfileBackup(buildStored());
+    expect(parseProfileBackup(JSON.stringify({ ...backup, profile: { schemaVersion: 9 } }))).toBeNull();
+
+    const parsed = parseProfileBackup(
+      JSON.stringify({ ...backup, runHistory: { schemaVersion: 1, runs: [{ id: 'run-old' }] } })
+    );
+    expect(parsed.runHistory).toMatchObject({
+      schemaVersion: 2,
+      runs: [{ id: 'run-old', sanctionDelta: null }],
+    });
+  });
+
+  it('summarizes what a merge would add and which sanctions state is kept', () => {
+    const current = buildStored({ cases: ['case-a'], runs: ['run-a'], sanctions: sanctioned });
+    const backup = roundTrip(buildStored({ cases: ['case-a', 'case-b'], runs: ['run-a', 'run-b'] }));
+
+    expect(summarizeProfileBackup(current, backup)).toMatchObject({
+      cases: { current: 1, incoming: 2, added: 1 },
+      runs: { current: 1, incoming: 2, added: 1 },
+      achievements: { current: 0, incoming: 0, added: 0 },
+      sanctions: { current: sanctioned, incoming: null, kept: sanctioned },
+    });
+  });
+
+  it('merges new records into the current profile and keeps the higher stats', () => {
+    const current = buildStored({ cases: ['case-a'], runs: ['run-b'], stats: { runsCompleted: 4 } });
+    const backup = roundTrip(
+      buildStored({
+        cases: ['case-a', 'case-b'],
+        runs: ['run-a'],
+        stats: { runsCompleted: 2, verdictsFinalized: 3 },
+      })
+    );
+
+    const { profile, runHistory } = applyProfileBackup(current, backup, PROFILE_BACKUP_MODES.MERGE);
+
+    expect(profile.caseHistory.map((entry) => entry.id)).toEqual(['case-b', 'case-a']);
+    expect(runHistory.runs.map((run) => run.id)).toEqual(['run-a', 'run-b']);
+    expect(profile.stats).toMatchObject({ runsCompleted: 4, verdictsFinalized: 3 });
+  });
+
+  it('never lifts a sanction, even when replacing the profile', () => {
+    const current = buildStored({ cases: ['case-a'], sanctions: sanctioned });
+    const backup = roundTrip(
+      buildStored({ cases: ['case-b'], sanctions: { state: SANCTION_STATES.CLEAN, level: 0 } })
+    );
+
+    const replaced = applyProfileBackup(current, backup, PROFILE_BACKUP_MODES.REPLACE);
+
+    expect(replaced.profile.caseHistory.map((entry) => entry.id)).toEqual(['case-b']);
+    expect(replaced.profile.sanctions).toMatchObject(sanctioned);
+
+    const stricter = { ...sanctioned, state: SANCTION_STATES.PUBLIC_DEFENDER, level: 3 };
+    const merged = applyProfileBackup(
+      buildStored({ sanctions: sanctioned }),
+      roundTrip(buildStored({ sanctions: stricter })),
+      PROFILE_BACKUP_MODES.MERGE
+    );
+    expect(merged.profile.sanctions).toMatchObject(stricter);
+  });
+
+  it('compares sanctions as they stand now, so an expired term does not outrank a clean backup', () => {
+    const nowMs = Date.parse('2024-06-01T00:00:00.000Z');
+    const expired = {
+      state: SANCTION_STATES.SANCTIONED,
+      level: 2,
+      startedAt: '2024-01-01T00:00:00.000Z',
+      expiresAt: '2024-01-01T00:05:00.000Z',
+      lastMisconductAt: '2024-01-01T00:00:00.000Z',
+    };
+    const current = buildStored({ sanctions: expired });
+    const backup = parseProfileBackup(
+      buildProfileBackupExport(
+        buildProfileBackup(buildStored({ sanctions: { state: SANCTION_STATES.CLEAN, level: 0 } }))
+      ).text,
+      nowMs
+    );
+
+    expect(backup.profile.sanctions).toMatchObject({
+      state: SANCTION_STATES.CLEAN,
+      recidivismCount: 0,
+    });
+    expect(summarizeProfileBackup(current, backup, nowMs).sanctions).toMatchObject({
+      current: { state: SANCTION_STATES.CLEAN },
+      kept: { state: SANCTION_STATES.CLEAN },
+    });
+    expect(
+      applyProfileBackup(current, backup, PROFILE_BACKUP_MODES.REPLACE, nowMs).profile.sanctions
+    ).toMatchObject({ state: SANCTION_STATES.CLEAN });
+  });
+});
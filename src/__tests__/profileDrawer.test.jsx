@@ -1,15 +1,51 @@
 import React from 'react';
 import { fireEvent, render, screen } from '@testing-library/react';
-import { describe, expect, it, beforeEach } from 'vitest';
+import { describe, expect, it, beforeEach, vi } from 'vitest';
 import ProfileDrawer from '../components/profile/ProfileDrawer';
-import { saveRunHistory } from '../lib/persistence';
+import { buildDocketExport } from '../lib/docketExport';
+import { downloadTextFile } from '../lib/download';
+import { loadPlayerProfile, savePlayerProfile, saveRunHistory } from '../lib/persistence';
+import { buildProfileBackup, buildProfileBackupExport } from '../lib/profileBackup';
 import { SANCTION_STATES } from '../lib/constants';
 
 globalThis.React = React;
 
+vi.mock('../lib/download', () => ({
+  downloadTextFile: vi.fn(() => true),
+}));
+
+const pastCaseEntry = {
+  id: 'case-1',
+  caseName: 'People v. Lane',
+  outcome: 'not_guilty',
+  date: '2024-02-01T01:00:00.000Z',
+  playerRole: 'defense',
+  jurisdiction: 'USA',
+  courtType: 'standard',
+  finalSanctionsCount: 0,
+  docketSnapshot: {
+    sections: {
+      case: {
+        title: 'People v. Lane',
+        defendant: 'Sam Lane',
+        charge: 'Trespass',
+        judge: { name: 'Hon. Slate' },
+        facts: ['Fence was down.'],
+        evidence: [],
+        opposing_counsel: {},
+        is_jury_trial: false,
+      },
+      jury: { skipped: true },
+      disposition: { type: 'not_guilty', summary: 'Not guilty.' },
+      sanctions: [],
+    },
+  },
+};
+
 describe('ProfileDrawer', () => {
   beforeEach(() => {
     window.localStorage.clear();
+    downloadTextFile.mockClear();
   });
 
   it('renders bar status, stats, and last run outcome when available', () => {
@@ -172,4 +208,90 @@ describe('ProfileDrawer', () => {
     expect(screen.getByText(/Case: People v\. Lane/i)).toBeInTheDocument();
     expect(screen.queryByText(/Case: State v\. Pending/i)).not.toBeInTheDocument();
   });
+
+  it('exports a past case and imports a docket archive', async () => {
+    const onImportDocket = vi.fn();
+    render(
+      <ProfileDrawer
+        profile={{ caseHistory: [pastCaseEntry] }}
+        onImportDocket={onImportDocket}
+      />
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: /open profile drawer/i }));
+    fireEvent.click(screen.getByRole('button', { name: 'HTML' }));
+
+    const [filename, html, mimeType] = downloadTextFile.mock.calls[0];
+    expect(filename).toBe('pocketcourt-docket-people-v-lane.html');
+    expect(mimeType).toBe('text/html');
+    expect(html).toContain('Sam Lane, Defendant');
+
+    const archive = buildDocketExport(pastCaseEntry, 'archive').text;
+    fireEvent.change(screen.getByLabelText(/import docket/i), {
+      target: { files: [{ name: 'docket.json', text: async () => archive }] },
+    });
+
+    expect(await screen.findByText('Imported People v. Lane.')).toBeInTheDocument();
+    expect(onImportDocket).toHaveBeenCalledWith(
+      expect.objectContaining({ caseName: 'People v. Lane', imported: true })
+    );
+
+    fireEvent.change(screen.getByLabelText(/import docket/i), {
+      target: { files: [{ name: 'notes.json', text: async () => '{}' }] },
+    });
+
+    expect(
+      await screen.findByText('That file is not a Pocket Court docket archive.')
+    ).toBeInTheDocument();
+    expect(onImportDocket).toHaveBeenCalledTimes(1);
+  });
+
+  it('exports the profile and merges an imported backup without lifting a suspension', async () => {
+    const expiresAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const suspended = {
+      state: SANCTION_STATES.SANCTIONED,
+      level: 2,
+      startedAt: new Date().toISOString(),
+      expiresAt,
+      lastMisconductAt: new Date().toISOString(),
+      recidivismCount: 1,
+      recentlyReinstatedUntil: null,
+    };
+    savePlayerProfile({ sanctions: suspended, achievements: [], caseHistory: [] });
+    const onProfileRestored = vi.fn();
+    render(<ProfileDrawer profile={loadPlayerProfile()} onProfileRestored={onProfileRestored} />);
+
+    fireEvent.click(screen.getByRole('button', { name: /open profile drawer/i }));
+    fireEvent.click(screen.getByRole('button', { name: 'Export Profile' }));
+
+    const [filename, text] = downloadTextFile.mock.calls[0];
+    expect(filename).toMatch(/^pocketcourt-profile-\d{4}-\d{2}-\d{2}\.json$/);
+    expect(JSON.parse(text).profile.sanctions).toEqual(suspended);
+
+    const backup = buildProfileBackupExport(
+      buildProfileBackup({
+        profile: {
+          schemaVersion: 1,
+          sanctions: { state: SANCTION_STATES.CLEAN, level: 0 },
+          achievements: [],
+          caseHistory: [pastCaseEntry],
+        },
+        runHistory: { schemaVersion: 2, runs: [] },
+      })
+    ).text;
+    fireEvent.change(screen.getByLabelText(/import backup/i), {
+      target: { files: [{ name: 'profile.json', text: async () => backup }] },
+    });
+
+    expect(await screen.findByText(/either way you keep/i)).toBeInTheDocument();
+    expect(screen.getByRole('row', { name: /cases/i })).toHaveTextContent('Cases011');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Merge' }));
+
+    expect(await screen.findByText('Profile merged: 1 saved cases.')).toBeInTheDocument();
+    const saved = loadPlayerProfile();
+    expect(saved.caseHistory.map((entry) => entry.id)).toEqual(['case-1']);
+    expect(saved.sanctions).toMatchObject({ state: SANCTION_STATES.SANCTIONED, expiresAt });
+    expect(onProfileRestored).toHaveBeenCalledWith(expect.objectContaining({ sanctions: saved.sanctions }));
+  });
 });
@@ -0,0 +1,86 @@
+import { describe, expect, it } from 'vitest';
+import { SANCTION_STATES } from '../lib/constants';
+import {
+  isSanctionsSuccessor,
+  reconcileProfileSanctions,
+  reconcileSanctions,
+} from '../lib/profileSync';
+import { normalizeSanctionsState } from '../lib/sanctionsState';
+
+const warned = {
+  state: SANCTION_STATES.WARNED,
+  level: 1,
+  startedAt: '2024-01-01T00:00:00.000Z',
+  expiresAt: '2024-01-01T00:15:00.000Z',
+  lastMisconductAt: '2024-01-01T00:00:00.000Z',
+};
+
+// Recorded by another tab after `warned`.
+const sanctioned = {
+  state: SANCTION_STATES.SANCTIONED,
+  level: 2,
+  startedAt: '2024-01-01T00:05:00.000Z',
+  expiresAt: '2024-01-01T00:10:00.000Z',
+  lastMisconductAt: '2024-01-01T00:05:00.000Z',
+};
+
+const clearedAt = (startedAt, lastMisconductAt) => ({
+  state: SANCTION_STATES.CLEAN,
+  level: 0,
+  startedAt,
+  expiresAt: null,
+  lastMisconductAt,
+});
+
+describe('profile sync conflict rules', () => {
+  it('keeps a sanction over a lighter state that never saw it', () => {
+    // The stale tab's warning expires after the other tab recorded the sanction.
+    const staleExpiry = clearedAt('2024-01-01T00:16:00.000Z', warned.lastMisconductAt);
+
+    expect(isSanctionsSuccessor(staleExpiry, sanctioned)).toBe(false);
+    expect(reconcileSanctions(sanctioned, staleExpiry)).toBe(sanctioned);
+    expect(reconcileSanctions(sanctioned, warned)).toBe(sanctioned);
+    expect(reconcileSanctions(sanctioned, null)).toBe(sanctioned);
+  });
+
+  it('keeps a sanction over a later, lighter misconduct recorded by a tab that never saw it', () => {
+    const staleWarning = {
+      ...warned,
+      startedAt: '2024-01-01T00:20:00.000Z',
+      expiresAt: '2024-01-01T00:35:00.000Z',
+      lastMisconductAt: '2024-01-01T00:20:00.000Z',
+    };
+
+    expect(isSanctionsSuccessor(staleWarning, sanctioned)).toBe(false);
+    expect(reconcileSanctions(sanctioned, staleWarning)).toBe(sanctioned);
+    // The tab holding the stale warning adopts the sanction when it hears about it.
+    expect(reconcileSanctions(staleWarning, sanctioned)).toBe(sanctioned);
+  });
+
+  it('lets a state derived from the stored one lower it', () => {
+    const acquitted = clearedAt('2024-01-01T00:07:00.000Z', sanctioned.lastMisconductAt);
+    const expired = normalizeSanctionsState(sanctioned, Date.parse('2024-01-01T00:11:00.000Z'));
+
+    expect(reconcileSanctions(sanctioned, acquitted)).toBe(acquitted);
+    expect(expired.state).toBe(SANCTION_STATES.CLEAN);
+    expect(reconcileSanctions(sanctioned, expired)).toBe(expired);
+    expect(reconcileSanctions(warned, sanctioned)).toBe(sanctioned);
+    expect(reconcileSanctions(null, warned)).toBe(warned);
+  });
+
+  it('keeps the public defender and reinstatement snapshots with the sanctions they belong to', () => {
+    const stored = {
+      sanctions: sanctioned,
+      pdStatus: { startedAt: sanctioned.startedAt },
+      reinstatement: null,
+    };
+    const incoming = { sanctions: warned, pdStatus: null, reinstatement: null, stats: { runs: 2 } };
+
+    expect(reconcileProfileSanctions(stored, incoming)).toEqual({
+      ...incoming,
+      sanctions: sanctioned,
+      pdStatus: stored.pdStatus,
+    });
+    expect(reconcileProfileSanctions(null, incoming)).toBe(incoming);
+  });
+});
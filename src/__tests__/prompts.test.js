@@ -122,6 +122,7 @@ describe('prompt builders', () => {
     expect(verdictPrompt).toContain('Jury: []');
     expect(verdictPrompt).toContain('Motion Result: DENIED (42)');
     expect(verdictPrompt).toContain('"accountability"');
+    expect(verdictPrompt).toContain('Witness Testimony: none taken.');
   });
 
   it('builds opposing counsel prompts for both motion and rebuttal phases', () => {
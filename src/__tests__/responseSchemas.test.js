@@ -0,0 +1,98 @@
+import { describe, expect, it } from 'vitest';
+import { LlmClientError, parseMotionResponse } from '../lib/llmClient';
+import { getProviderAdapter } from '../lib/llmProviders';
+import {
+  RESPONSE_SCHEMAS,
+  renderResponseTemplate,
+  toProviderSchema,
+} from '../lib/responseSchemas';
+
+const buildMotionPayload = (issueOverrides = {}) => ({
+  ruling: 'DENIED',
+  decision: {
+    ruling: 'denied',
+    dismissal: { isDismissed: false, withPrejudice: false },
+    opinion: 'Denied',
+  },
+  outcome_text: 'Denied',
+  score: 50,
+  evidence_status_updates: [],
+  accountability: { sanction_recommended: false, severity: null, target: null, reason: null },
+  breakdown: {
+    issues: [
+      {
+        id: 'issue-1',
+        label: 'Threshold issue',
+        disposition: 'DENIED',
+        reasoning: 'The motion does not satisfy the required legal threshold.',
+        affectedEvidenceIds: [],
+        ...issueOverrides,
+      },
+    ],
+    docket_entries: ['The court issues a preliminary ruling on the motion.'],
+  },
+});
+
+describe('response schemas', () => {
+  it('renders prompt templates from the schema examples', () => {
+    const template = renderResponseTemplate(RESPONSE_SCHEMAS.case);
+
+    expect(template).toContain('"title": "Case Name"');
+    expect(template).toContain('"is_jury_trial": boolean');
+    expect(template).toContain('"facts": ["Fact 1", "Fact 2", "Fact 3"]');
+    expect(renderResponseTemplate(RESPONSE_SCHEMAS.jury)).toContain('"opponent_strikes": [id1, id2]');
+    expect(renderResponseTemplate(RESPONSE_SCHEMAS.motion)).toContain(
+      '"disposition": "GRANTED" | "DENIED" | "PARTIALLY GRANTED"'
+    );
+  });
+
+  it('converts schemas to the provider subset without local-only keys', () => {
+    const providerSchema = toProviderSchema(RESPONSE_SCHEMAS.verdict);
+
+    expect(providerSchema.type).toBe('OBJECT');
+    expect(providerSchema.required).toEqual([
+      'final_ruling',
+      'disposition',
+      'dismissal',
+      'final_weighted_score',
+      'judge_opinion',
+    ]);
+    expect(providerSchema.properties.jury_verdict).toEqual({ type: 'STRING', nullable: true });
+    expect(providerSchema.properties.accountability.properties.severity.enum).toContain('warning');
+    expect(JSON.stringify(providerSchema)).not.toMatch(/example|allowEmpty|userMessage/);
+    expect(toProviderSchema(RESPONSE_SCHEMAS.case).properties.evidence.items).toEqual({
+      type: 'STRING',
+    });
+  });
+
+  it('sends the schema for the response label with Gemini requests', () => {
+    const { options } = getProviderAdapter('gemini').buildRequest({
+      systemPrompt: 'System',
+      userPrompt: 'User',
+      apiKey: 'key',
+      responseSchema: RESPONSE_SCHEMAS.case,
+    });
+    const body = JSON.parse(options.body);
+
+    expect(body.generationConfig.responseMimeType).toBe('application/json');
+    expect(body.generationConfig.responseSchema.properties.title).toEqual({ type: 'STRING' });
+  });
+
+  it('reports the exact path of invalid nested fields', () => {
+    expect(parseMotionResponse(buildMotionPayload()).breakdown.issues).toHaveLength(1);
+
+    let caught;
+    try {
+      parseMotionResponse(buildMotionPayload({ label: '' }));
+    } catch (error) {
+      caught = error;
+    }
+
+    expect(caught).toBeInstanceOf(LlmClientError);
+    expect(caught.code).toBe('INVALID_RESPONSE');
+    expect(caught.message).toBe('Expected breakdown.issues[0].label to be a non-empty string.');
+    expect(() => parseMotionResponse(buildMotionPayload({ disposition: 'MAYBE' }))).toThrow(
+      'Expected breakdown.issues[0].disposition to be one of GRANTED, DENIED, PARTIALLY GRANTED.'
+    );
+  });
+});
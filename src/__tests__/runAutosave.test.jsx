@@ -0,0 +1,59 @@
+import React from 'react';
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import PocketCourt from '../App';
+import { requestLlmJson } from '../lib/llmClient';
+import { loadActiveRun } from '../lib/persistence';
+import { setActiveProvider } from '../lib/runtimeConfig';
+
+globalThis.React = React;
+
+vi.mock('../components/DebugOverlay', () => ({
+  default: () => null,
+}));
+
+vi.mock('../lib/llmClient', async () => {
+  const actual = await vi.importActual('../lib/llmClient');
+  return {
+    ...actual,
+    requestLlmJson: vi.fn(actual.requestLlmJson),
+  };
+});
+
+// Plays the offline mock provider through the real shell, hook, and docket components.
+describe('run autosave through the docket', () => {
+  beforeEach(() => {
+    window.Element.prototype.scrollIntoView = vi.fn();
+    window.HTMLElement.prototype.scrollIntoView = vi.fn();
+    window.localStorage.clear();
+    setActiveProvider('mock');
+  });
+
+  afterEach(() => {
+    setActiveProvider('gemini');
+    window.localStorage.clear();
+  });
+
+  it('autosaves a request made from a docket button and re-issues it on resume', async () => {
+    const firstSession = render(<PocketCourt />);
+    fireEvent.click(screen.getByRole('button', { name: 'Play' }));
+    fireEvent.click(screen.getByRole('button', { name: /defense/i }));
+    const requestOffer = await screen.findByRole('button', { name: 'Request Offer' });
+
+    requestLlmJson.mockImplementationOnce(() => new Promise(() => {}));
+    await act(async () => {
+      fireEvent.click(requestOffer);
+    });
+
+    expect(loadActiveRun().pendingRequest).toEqual({ action: 'requestPleaOffer', args: [] });
+
+    firstSession.unmount();
+    requestLlmJson.mockClear();
+    render(<PocketCourt />);
+    fireEvent.click(screen.getByRole('button', { name: /resume case/i }));
+
+    expect(await screen.findByText(/take a plea at the middle of the range/)).toBeInTheDocument();
+    expect(requestLlmJson).toHaveBeenCalledWith(expect.objectContaining({ responseLabel: 'plea' }));
+    expect(loadActiveRun().pendingRequest).toBeNull();
+  });
+});
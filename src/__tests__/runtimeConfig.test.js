@@ -1,21 +1,28 @@
 import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
 import {
   getActiveApiKey,
+  getActiveProvider,
   getApiKeyStorageKey,
+  getProviderSettings,
+  loadStoredApiKey,
+  loadStoredProvider,
   persistApiKey,
+  setActiveProvider,
   setRuntimeApiKey,
 } from '../lib/runtimeConfig';
 
 describe('runtime config', () => {
   beforeEach(() => {
     window.localStorage.clear();
+    setActiveProvider('gemini');
     setRuntimeApiKey('');
   });
 
   afterEach(() => {
     vi.unstubAllEnvs();
+    ['gemini', 'openai', 'anthropic', 'local'].forEach((provider) => setRuntimeApiKey('', provider));
+    setActiveProvider('gemini');
     window.localStorage.clear();
-    setRuntimeApiKey('');
   });
 
   it('uses the runtime key over the environment key', () => {
@@ -34,4 +41,41 @@ describe('runtime config', () => {
     persistApiKey('stored-key', false);
     expect(window.localStorage.getItem(storageKey)).toBeNull();
   });
+
+  it('keeps the legacy Gemini storage key and namespaces other providers', () => {
+    expect(getApiKeyStorageKey('gemini')).toBe('pocketcourt.geminiKey');
+    expect(getApiKeyStorageKey('anthropic')).toBe('pocketcourt.anthropicKey');
+  });
+
+  it('stores and resolves keys per provider', () => {
+    persistApiKey('gemini-key', true, 'gemini');
+    persistApiKey('openai-key', true, 'openai');
+    setRuntimeApiKey('', 'gemini');
+    setRuntimeApiKey('', 'openai');
+
+    expect(loadStoredApiKey('openai')).toBe('openai-key');
+    expect(getActiveApiKey('openai')).toBe('openai-key');
+    expect(getActiveApiKey('gemini')).toBe('');
+
+    setActiveProvider('openai');
+    expect(getActiveApiKey()).toBe('openai-key');
+  });
+
+  it('reads provider-specific environment variables', () => {
+    vi.stubEnv('VITE_ANTHROPIC_API_KEY', 'anthropic-env');
+    vi.stubEnv('VITE_LOCAL_LLM_BASE_URL', 'http://127.0.0.1:8080/v1');
+
+    expect(getActiveApiKey('anthropic')).toBe('anthropic-env');
+    expect(getProviderSettings('local')).toEqual({ baseUrl: 'http://127.0.0.1:8080/v1', model: '' });
+  });
+
+  it('remembers the selected provider and ignores unknown ids', () => {
+    setActiveProvider('anthropic');
+    setActiveProvider('gemini');
+    window.localStorage.setItem('pocketcourt.aiProvider', 'anthropic');
+
+    expect(loadStoredProvider()).toBe('anthropic');
+    expect(setActiveProvider('made-up')).toBe('gemini');
+    expect(getActiveProvider()).toBe('gemini');
+  });
 });
@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest';
+import { applyVerdictScore, computeVerdictScore, isLegendaryScore } from '../lib/scoring';
+
+const buildVerdict = (overrides = {}) => ({
+  judge_score: 80,
+  jury_score: 60,
+  final_weighted_score: 70,
+  overflow_reason_code: null,
+  overflow_explanation: null,
+  ...overrides,
+});
+
+describe('verdict scoring', () => {
+  it('weighs the motion, judge, and jury scores in a jury trial', () => {
+    const breakdown = computeVerdictScore({
+      motionScore: 50,
+      verdict: buildVerdict(),
+      isJuryTrial: true,
+    });
+
+    expect(breakdown.components).toEqual([
+      { phase: 'motion', score: 50, weight: 0.2, points: 10 },
+      { phase: 'judge', score: 80, weight: 0.45, points: 36 },
+      { phase: 'jury', score: 60, weight: 0.35, points: 21 },
+    ]);
+    expect(breakdown.computed).toBe(67);
+    expect(breakdown.reported).toBe(70);
+    expect(breakdown.discrepancy).toBe(3);
+  });
+
+  it('spreads the jury weight over the rest in a bench trial', () => {
+    const breakdown = computeVerdictScore({
+      motionScore: 65,
+      verdict: buildVerdict({ judge_score: 65, jury_score: 0, final_weighted_score: 65.4 }),
+      isJuryTrial: false,
+    });
+
+    expect(breakdown.components.map((component) => component.phase)).toEqual(['motion', 'judge']);
+    expect(breakdown.computed).toBe(65);
+    expect(breakdown.discrepancy).toBeNull();
+  });
+
+  it('caps phase scores at 100 unless the verdict explains the overflow', () => {
+    const unexplained = buildVerdict({ judge_score: 130, jury_score: 100, final_weighted_score: 110 });
+    const capped = computeVerdictScore({ motionScore: 140, verdict: unexplained, isJuryTrial: true });
+
+    expect(capped.computed).toBe(100);
+    expect(applyVerdictScore(unexplained, capped)).toMatchObject({
+      final_weighted_score: 100,
+      overflow_reason_code: null,
+    });
+
+    const explained = {
+      ...unexplained,
+      overflow_reason_code: 'LEGENDARY_ARGUMENT',
+      overflow_explanation: 'The closing moved the whole panel.',
+    };
+    const overflow = computeVerdictScore({ motionScore: 100, verdict: explained, isJuryTrial: true });
+
+    expect(overflow.components[1]).toMatchObject({ phase: 'judge', score: 120 });
+    expect(overflow.computed).toBe(109);
+    expect(applyVerdictScore(explained, overflow)).toMatchObject({
+      final_weighted_score: 109,
+      overflow_reason_code: 'LEGENDARY_ARGUMENT',
+      score_breakdown: overflow,
+    });
+    expect(isLegendaryScore(overflow.computed)).toBe(true);
+    expect(isLegendaryScore(99.5)).toBe(false);
+    expect(isLegendaryScore(capped.computed)).toBe(false);
+  });
+
+  it('drops an overflow claim the phase scores do not support', () => {
+    const verdict = buildVerdict({
+      final_weighted_score: 105,
+      overflow_reason_code: 'LEGENDARY_ARGUMENT',
+      overflow_explanation: 'Claimed brilliance.',
+    });
+    const breakdown = computeVerdictScore({ motionScore: 90, verdict, isJuryTrial: true });
+
+    expect(applyVerdictScore(verdict, breakdown)).toMatchObject({
+      final_weighted_score: 75,
+      overflow_reason_code: null,
+      overflow_explanation: null,
+    });
+    expect(breakdown.discrepancy).toBe(30);
+  });
+});
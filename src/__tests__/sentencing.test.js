@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest';
+import { LlmClientError, parseSentenceResponse } from '../lib/llmClient';
+import {
+  MAX_SENTENCING_ADJUSTMENT,
+  buildSentenceRecord,
+  getSentencingRange,
+  getSentencingScoreAdjustment,
+  requiresSentencing,
+} from '../lib/sentencing';
+
+const sentencePayload = (term) => ({
+  term,
+  sentence_text: `The defendant is sentenced to ${term} months.`,
+  reasoning: 'Reasoning.',
+  docket_entry: `Sentence imposed: ${term} months.`,
+});
+
+describe('sentencing', () => {
+  it('uses jurisdiction ranges and falls back to the USA range', () => {
+    expect(getSentencingRange('Municipal Night Court')).toMatchObject({
+      unit: 'hours of community service',
+      max: 200,
+    });
+    expect(getSentencingRange('Atlantis')).toEqual(getSentencingRange('USA'));
+  });
+
+  it('only sends guilty verdicts to sentencing', () => {
+    expect(requiresSentencing({ type: 'guilty', source: 'verdict' })).toBe(true);
+    expect(requiresSentencing({ type: 'not_guilty', source: 'verdict' })).toBe(false);
+    expect(requiresSentencing(null)).toBe(false);
+  });
+
+  it('rewards the defense for lenient sentences and the prosecution for harsh ones', () => {
+    const range = { min: 0, max: 120 };
+
+    expect(getSentencingScoreAdjustment('defense', 0, range)).toBe(MAX_SENTENCING_ADJUSTMENT);
+    expect(getSentencingScoreAdjustment('defense', 120, range)).toBe(-MAX_SENTENCING_ADJUSTMENT);
+    expect(getSentencingScoreAdjustment('prosecution', 120, range)).toBe(MAX_SENTENCING_ADJUSTMENT);
+    expect(getSentencingScoreAdjustment('prosecution', 60, range)).toBe(0);
+  });
+
+  it('builds a sentence record with the adjusted score', () => {
+    const range = getSentencingRange('Canada');
+
+    expect(
+      buildSentenceRecord(sentencePayload(84), { range, playerRole: 'prosecution', baseScore: 70 })
+    ).toMatchObject({
+      term: 84,
+      unit: 'months',
+      range: { min: 0, max: 96 },
+      scoreAdjustment: 11,
+      adjustedScore: 81,
+      salvaged: false,
+    });
+  });
+
+  it('rejects sentences outside the permitted range', () => {
+    expect(parseSentenceResponse(sentencePayload(11.6), { min: 0, max: 120 }).term).toBe(12);
+    expect(() => parseSentenceResponse(sentencePayload(130), { min: 0, max: 120 })).toThrow(
+      LlmClientError
+    );
+  });
+});
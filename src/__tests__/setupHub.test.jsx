@@ -1,8 +1,10 @@
 import React from 'react';
-import { fireEvent, render, screen } from '@testing-library/react';
+import { act, fireEvent, render, screen } from '@testing-library/react';
 import { describe, expect, it, vi } from 'vitest';
 import SetupHub from '../components/shell/SetupHub';
 import { COURT_TYPES, SANCTION_STATES } from '../lib/constants';
+import { getRecordedFixture, recordFixtureEntry } from '../lib/llmFixtures';
+import { getActiveProvider, setActiveProvider } from '../lib/runtimeConfig';
 
 globalThis.React = React;
 
@@ -56,6 +58,87 @@ describe('SetupHub', () => {
     expect(onStart).toHaveBeenCalledTimes(1);
   });
 
+  it('switches the sides to plaintiff and defendant for a civil case', () => {
+    const onStart = vi.fn();
+
+    render(
+      <SetupHub
+        onStart={onStart}
+        error={null}
+        profile={null}
+        isInitializing={false}
+        initializingRole={null}
+      />
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: 'Civil' }));
+    expect(screen.queryByRole('button', { name: /prosecution/i })).not.toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: /plaintiff/i }));
+
+    expect(onStart).toHaveBeenCalledWith(
+      'plaintiff',
+      expect.any(String),
+      expect.any(String),
+      expect.any(String)
+    );
+  });
+
+  it('starts a judge-mode run from the bench button for criminal cases only', () => {
+    const onStart = vi.fn();
+
+    render(
+      <SetupHub
+        onStart={onStart}
+        error={null}
+        profile={null}
+        isInitializing={false}
+        initializingRole={null}
+      />
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: /preside as judge/i }));
+    expect(onStart).toHaveBeenCalledWith(
+      'judge',
+      expect.any(String),
+      expect.any(String),
+      expect.any(String)
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: 'Civil' }));
+    expect(screen.queryByRole('button', { name: /preside as judge/i })).not.toBeInTheDocument();
+  });
+
+  it('starts a hot-seat run with both player names for criminal cases only', () => {
+    const onStart = vi.fn();
+
+    render(
+      <SetupHub
+        onStart={onStart}
+        error={null}
+        profile={null}
+        isInitializing={false}
+        initializingRole={null}
+      />
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: /two players/i }));
+    fireEvent.change(screen.getByLabelText('Defense player name'), { target: { value: 'Ana' } });
+    fireEvent.change(screen.getByLabelText('Prosecution player name'), {
+      target: { value: 'Ben' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'Start Hot Seat' }));
+    expect(onStart).toHaveBeenCalledWith(
+      'defense',
+      expect.any(String),
+      expect.any(String),
+      expect.any(String),
+      { defense: 'Ana', prosecution: 'Ben' }
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: 'Civil' }));
+    expect(screen.queryByRole('button', { name: /two players/i })).not.toBeInTheDocument();
+  });
+
   it('blocks start during reinstatement grace and shows the timer', () => {
     vi.useFakeTimers();
     vi.setSystemTime(new Date('2024-01-01T00:00:00.000Z'));
@@ -202,4 +285,83 @@ describe('SetupHub', () => {
     expect(screen.getByRole('button', { name: /standard/i })).toBeInTheDocument();
     expect(screen.queryByRole('button', { name: /supreme court/i })).not.toBeInTheDocument();
   });
+
+  it('switches providers and loads the key remembered for each one', () => {
+    window.localStorage.setItem('pocketcourt.anthropicKey', 'anthropic-key');
+
+    render(
+      <SetupHub
+        onStart={vi.fn()}
+        error={null}
+        profile={null}
+        isInitializing={false}
+        initializingRole={null}
+      />
+    );
+
+    fireEvent.change(screen.getByLabelText('AI provider'), { target: { value: 'anthropic' } });
+
+    expect(getActiveProvider()).toBe('anthropic');
+    expect(screen.getByPlaceholderText('Paste your key')).toHaveValue('anthropic-key');
+    expect(screen.getByLabelText('Remember on this device')).toBeChecked();
+
+    fireEvent.change(screen.getByLabelText('AI provider'), { target: { value: 'local' } });
+    expect(screen.getByPlaceholderText('Optional for local servers')).toHaveValue('');
+
+    setActiveProvider('gemini');
+    window.localStorage.clear();
+  });
+
+  it('hides the key field for the offline mock and offers fixture replay', () => {
+    render(
+      <SetupHub
+        onStart={vi.fn()}
+        error={null}
+        profile={null}
+        isInitializing={false}
+        initializingRole={null}
+      />
+    );
+
+    expect(screen.getByLabelText('Record responses to a fixture')).not.toBeChecked();
+
+    fireEvent.change(screen.getByLabelText('AI provider'), { target: { value: 'mock' } });
+
+    expect(screen.queryByPlaceholderText('Paste your key')).not.toBeInTheDocument();
+    expect(screen.getByLabelText('Load replay fixture')).toBeInTheDocument();
+    expect(screen.getByText(/Serving canned responses/)).toBeInTheDocument();
+
+    setActiveProvider('gemini');
+    window.localStorage.clear();
+  });
+
+  it('offers the recorded fixture as soon as a response is captured and after recording stops', () => {
+    render(
+      <SetupHub
+        onStart={vi.fn()}
+        error={null}
+        profile={null}
+        isInitializing={false}
+        initializingRole={null}
+      />
+    );
+
+    fireEvent.click(screen.getByLabelText('Record responses to a fixture'));
+    expect(screen.queryByRole('button', { name: /Download/ })).not.toBeInTheDocument();
+
+    act(() => {
+      recordFixtureEntry({
+        responseLabel: 'case',
+        systemPrompt: 'Generate a case',
+        userPrompt: 'Generate',
+        rawText: '{}',
+      });
+    });
+    expect(screen.getByRole('button', { name: 'Download (1)' })).toBeInTheDocument();
+
+    fireEvent.click(screen.getByLabelText('Record responses to a fixture'));
+    expect(screen.getByLabelText('Record responses to a fixture')).not.toBeChecked();
+    expect(screen.getByRole('button', { name: 'Download (1)' })).toBeInTheDocument();
+    expect(getRecordedFixture().entries).toHaveLength(1);
+  });
 });
@@ -1,8 +1,11 @@
 import { act, renderHook } from '@testing-library/react';
 import { describe, expect, it, vi, beforeEach } from 'vitest';
 import useGameState, { __testables } from '../hooks/useGameState';
+import { buildRetrialPayload, canAppeal } from '../lib/appeals';
 import { copyToClipboard } from '../lib/clipboard';
 import { getDebugState, __testables as debugTestables } from '../lib/debugStore';
+import { parseDocketArchive } from '../lib/docketExport';
+import { downloadTextFile } from '../lib/download';
 import {
   CASE_TYPES,
   COURT_TYPES,
@@ -17,12 +20,22 @@ import {
   PROFILE_STORAGE_KEY,
 } from '../lib/constants';
 import { requestLlmJson } from '../lib/llmClient';
-import { defaultPlayerProfile, loadPlayerProfile, loadRunHistory } from '../lib/persistence';
+import {
+  defaultPlayerProfile,
+  loadActiveRun,
+  loadPlayerProfile,
+  loadRunHistory,
+  savePlayerProfile,
+} from '../lib/persistence';
 
 vi.mock('../lib/clipboard', () => ({
   copyToClipboard: vi.fn(),
 }));
 
+vi.mock('../lib/download', () => ({
+  downloadTextFile: vi.fn(() => true),
+}));
+
 vi.mock('../lib/llmClient', async () => {
   const actual = await vi.importActual('../lib/llmClient');
   return {
@@ -82,6 +95,7 @@ const baseAccountability = {
   target: null,
   reason: null,
 };
+const noDismissal = { isDismissed: false, withPrejudice: false };
 const buildVerdict = (overrides = {}) => ({
   jury_verdict: 'N/A',
   jury_reasoning: '',
@@ -89,6 +103,8 @@ const buildVerdict = (overrides = {}) => ({
   judge_score: 0,
   judge_opinion: 'Bench decision.',
   final_ruling: 'Not Guilty',
+  disposition: FINAL_DISPOSITIONS.NOT_GUILTY,
+  dismissal: noDismissal,
   is_jnov: false,
   final_weighted_score: 80,
   overflow_reason_code: null,
@@ -131,12 +147,24 @@ const buildLlmResponse = (payload, rawText = JSON.stringify(payload)) => ({
   parsed: payload,
   rawText,
 });
+const opposingClosingResponse = buildLlmResponse({
+  text: 'The record leaves no room for the other side.',
+});
+const closeTrial = async (result, closing, rebuttal = 'Rebuttal.') => {
+  await act(async () => {
+    await result.current.submitArgument(closing);
+  });
+  await act(async () => {
+    await result.current.submitArgument(rebuttal);
+  });
+};
 
 describe('useGameState transitions', () => {
   beforeEach(() => {
     requestLlmJson.mockReset();
     copyToClipboard.mockReset();
     copyToClipboard.mockResolvedValue(true);
+    downloadTextFile.mockClear();
     window.localStorage.clear();
     debugTestables.resetDebugState();
   });
@@ -312,6 +340,59 @@ describe('useGameState transitions', () => {
     expect(result.current.config.caseType).toBe(CASE_TYPES.PUBLIC_DEFENDER);
   });
 
+  it('reads and writes only the profile it is given', async () => {
+    const nowMs = Date.now();
+    const storedState = {
+      ...__testables.buildDefaultSanctionsState(nowMs),
+      state: SANCTION_STATES.SANCTIONED,
+      level: 2,
+    };
+    savePlayerProfile({ ...defaultPlayerProfile(), sanctions: storedState }, 'profile-b');
+
+    requestLlmJson.mockResolvedValueOnce(buildLlmResponse(benchCasePayload));
+
+    const { result } = renderHook(() => useGameState({ profileId: 'profile-b' }));
+
+    await act(async () => {
+      await result.current.generateCase('prosecution', 'normal', JURISDICTIONS.USA, COURT_TYPES.STANDARD);
+    });
+
+    expect(result.current.config.caseType).toBe(CASE_TYPES.PUBLIC_DEFENDER);
+    expect(loadRunHistory('profile-b').runs).toHaveLength(1);
+    expect(loadActiveRun('profile-b')).not.toBeNull();
+    expect(loadPlayerProfile('profile-b').sanctions.level).toBe(2);
+    expect(loadRunHistory().runs).toHaveLength(0);
+    expect(loadActiveRun()).toBeNull();
+    expect(loadPlayerProfile().sanctions).toBeNull();
+  });
+
+  it('adopts a sanction another tab records for the same profile', () => {
+    const { result } = renderHook(() => useGameState());
+    expect(result.current.sanctionsState.state).toBe(SANCTION_STATES.CLEAN);
+
+    const nowMs = Date.now();
+    const otherTabState = {
+      ...__testables.buildDefaultSanctionsState(nowMs),
+      state: SANCTION_STATES.SANCTIONED,
+      level: 2,
+      startedAt: new Date(nowMs + 1000).toISOString(),
+      expiresAt: new Date(nowMs + SANCTIONS_TIMERS_MS.SANCTION_DURATION).toISOString(),
+      lastMisconductAt: new Date(nowMs + 1000).toISOString(),
+    };
+    window.localStorage.setItem(
+      PROFILE_STORAGE_KEY,
+      JSON.stringify({ ...defaultPlayerProfile(), sanctions: otherTabState })
+    );
+    act(() => {
+      window.dispatchEvent(
+        new StorageEvent('storage', { key: PROFILE_STORAGE_KEY, storageArea: window.localStorage })
+      );
+    });
+
+    expect(result.current.sanctionsState.state).toBe(SANCTION_STATES.SANCTIONED);
+    expect(loadPlayerProfile().sanctions.state).toBe(SANCTION_STATES.SANCTIONED);
+  });
+
   it('clears sanctions after winning in public defender mode', async () => {
     const nowMs = Date.now();
     const storedState = {
@@ -340,9 +421,12 @@ describe('useGameState transitions', () => {
           })
         )
       )
+      .mockResolvedValueOnce(opposingClosingResponse)
       .mockResolvedValueOnce(
         buildLlmResponse({
           final_ruling: 'Not Guilty',
+          disposition: FINAL_DISPOSITIONS.NOT_GUILTY,
+          dismissal: noDismissal,
           final_weighted_score: 77,
           judge_opinion: 'Bench decision',
           accountability: baseAccountability,
@@ -386,9 +470,7 @@ describe('useGameState transitions', () => {
       await result.current.requestMotionRuling();
     });
 
-    await act(async () => {
-      await result.current.submitArgument('Closing');
-    });
+    await closeTrial(result, 'Closing');
 
     expect(result.current.sanctionsState.state).toBe(SANCTION_STATES.CLEAN);
     expect(result.current.sanctionsState.level).toBe(0);
@@ -422,9 +504,12 @@ describe('useGameState transitions', () => {
           })
         )
       )
+      .mockResolvedValueOnce(opposingClosingResponse)
       .mockResolvedValueOnce(
         buildLlmResponse({
           final_ruling: 'Guilty',
+          disposition: FINAL_DISPOSITIONS.GUILTY,
+          dismissal: noDismissal,
           final_weighted_score: 44,
           judge_opinion: 'Bench decision',
           accountability: baseAccountability,
@@ -449,9 +534,7 @@ describe('useGameState transitions', () => {
       await result.current.requestMotionRuling();
     });
 
-    await act(async () => {
-      await result.current.submitArgument('Closing');
-    });
+    await closeTrial(result, 'Closing');
 
     expect(result.current.sanctionsState.state).toBe(
       SANCTION_STATES.PUBLIC_DEFENDER
@@ -472,9 +555,12 @@ describe('useGameState transitions', () => {
           })
         )
       )
+      .mockResolvedValueOnce(opposingClosingResponse)
       .mockResolvedValueOnce(
         buildLlmResponse({
           final_ruling: 'Acquitted',
+          disposition: FINAL_DISPOSITIONS.NOT_GUILTY,
+          dismissal: noDismissal,
           final_weighted_score: 77,
           judge_opinion: 'Bench decision',
           accountability: baseAccountability,
@@ -501,11 +587,9 @@ describe('useGameState transitions', () => {
       await result.current.requestMotionRuling();
     });
 
-    await act(async () => {
-      await result.current.submitArgument('Closing');
-    });
+    await closeTrial(result, 'Closing');
 
-    const verdictCall = requestLlmJson.mock.calls[3][0];
+    const verdictCall = requestLlmJson.mock.calls[4][0];
     expect(verdictCall.systemPrompt).toContain('Jury: []');
     expect(verdictCall.systemPrompt).toContain('Camera footage');
     expect(verdictCall.systemPrompt).not.toContain('Hidden memo');
@@ -613,6 +697,64 @@ describe('useGameState transitions', () => {
     expect(result.current.history.motion.rebuttalText).toBe('Our rebuttal');
   });
 
+  it('autosaves the run and re-issues the request in flight when it is resumed', async () => {
+    requestLlmJson
+      .mockResolvedValueOnce(buildLlmResponse(benchCasePayload))
+      .mockReturnValueOnce(new Promise(() => {}));
+
+    const first = renderHook(() => useGameState({ docketNumber: 12345 }));
+
+    await act(async () => {
+      await first.result.current.generateCase(
+        'prosecution',
+        'normal',
+        JURISDICTIONS.USA,
+        COURT_TYPES.STANDARD
+      );
+    });
+
+    expect(loadActiveRun()).toMatchObject({
+      gameState: GAME_STATES.PLAYING,
+      history: { case: { title: 'Bench Trial' } },
+      config: { role: 'prosecution' },
+      docketNumber: 12345,
+      pendingRequest: null,
+    });
+
+    act(() => {
+      first.result.current.triggerAiMotionSubmission();
+    });
+
+    const save = loadActiveRun();
+    expect(save.pendingRequest).toEqual({ action: 'triggerAiMotionSubmission', args: [] });
+    expect(save.loadingMsg).toBeTruthy();
+    expect(save.history.motion.motionText).toBe('');
+    first.unmount();
+
+    requestLlmJson.mockResolvedValueOnce(buildLlmResponse({ text: 'AI drafted motion.' }));
+    const resumed = renderHook(() => useGameState({ docketNumber: 12345 }));
+
+    await act(async () => {
+      resumed.result.current.resumeRun(save);
+    });
+
+    expect(requestLlmJson).toHaveBeenCalledTimes(3);
+    expect(resumed.result.current.gameState).toBe(GAME_STATES.PLAYING);
+    expect(resumed.result.current.config.role).toBe('prosecution');
+    expect(resumed.result.current.history.motion.motionText).toBe('AI drafted motion.');
+    expect(resumed.result.current.loadingMsg).toBeNull();
+    expect(loadActiveRun()).toMatchObject({
+      pendingRequest: null,
+      history: { motion: { motionPhase: 'rebuttal_submission' } },
+    });
+
+    act(() => {
+      resumed.result.current.resetGame();
+    });
+
+    expect(loadActiveRun()).toBeNull();
+  });
+
   it('locks the motion phase after a ruling is issued', async () => {
     requestLlmJson
       .mockResolvedValueOnce(buildLlmResponse(benchCasePayload))
@@ -810,13 +952,18 @@ describe('useGameState transitions', () => {
       .mockResolvedValueOnce(
         buildLlmResponse(
           buildMotionRuling({
+            score: 99,
             evidence_status_updates: [{ id: 1, status: 'admissible' }],
           })
         )
       )
+      .mockResolvedValueOnce(opposingClosingResponse)
       .mockResolvedValueOnce(
         buildLlmResponse({
           final_ruling: 'Not Guilty',
+          disposition: FINAL_DISPOSITIONS.NOT_GUILTY,
+          dismissal: noDismissal,
+          judge_score: 99,
           final_weighted_score: 99,
           judge_opinion: 'Bench decision',
           achievement_title: 'Order of Operations',
@@ -842,9 +989,7 @@ describe('useGameState transitions', () => {
       await result.current.requestMotionRuling();
     });
 
-    await act(async () => {
-      await result.current.submitArgument('Closing');
-    });
+    await closeTrial(result, 'Closing');
 
     const profile = loadPlayerProfile();
     const runHistory = loadRunHistory();
@@ -875,7 +1020,7 @@ describe('useGameState transitions', () => {
     expect(runHistory.runs[0].endedAt).toBeTruthy();
   });
 
-  it('rejects non-terminal verdict text and does not finalize run history or stats', async () => {
+  it('rejects a verdict without a disposition and does not finalize run history or stats', async () => {
     requestLlmJson
       .mockResolvedValueOnce(buildLlmResponse(benchCasePayload))
       .mockResolvedValueOnce(buildLlmResponse({ text: 'Opposing response.' }))
@@ -886,10 +1031,13 @@ describe('useGameState transitions', () => {
           })
         )
       )
+      .mockResolvedValueOnce(opposingClosingResponse)
       .mockResolvedValueOnce(
         buildLlmResponse(
           buildVerdict({
             final_ruling: 'Proceed to post-trial briefing.',
+            disposition: undefined,
+            dismissal: undefined,
             final_weighted_score: 70,
             jury_reasoning: 'N/A',
           })
@@ -923,9 +1071,7 @@ describe('useGameState transitions', () => {
       await result.current.requestMotionRuling();
     });
 
-    await act(async () => {
-      await result.current.submitArgument('Closing one');
-    });
+    await closeTrial(result, 'Closing one');
 
     const profileAfterFirstVerdict = loadPlayerProfile();
     const runHistoryAfterFirstVerdict = loadRunHistory();
@@ -933,9 +1079,7 @@ describe('useGameState transitions', () => {
     expect(result.current.history.disposition).toBeNull();
     expect(result.current.history.trial.locked).toBe(false);
     expect(result.current.runOutcome).toBeNull();
-    expect(result.current.error).toBe(
-      'Verdict rejected because final ruling must resolve to a terminal disposition.'
-    );
+    expect(result.current.error).toBe('The AI returned an incomplete verdict. Please try again.');
     expect(profileAfterFirstVerdict.stats).toEqual({
       runsCompleted: 0,
       verdictsFinalized: 0,
@@ -946,7 +1090,7 @@ describe('useGameState transitions', () => {
     expect(runHistoryAfterFirstVerdict.runs[0].outcome).toBeNull();
 
     await act(async () => {
-      await result.current.submitArgument('Closing two');
+      await result.current.submitArgument('Rebuttal two');
     });
 
     const profileAfterSecondVerdict = loadPlayerProfile();
@@ -980,6 +1124,7 @@ describe('useGameState transitions', () => {
           })
         )
       )
+      .mockResolvedValueOnce(opposingClosingResponse)
       .mockResolvedValueOnce(
         buildLlmResponse(buildVerdict({ accountability, jury_reasoning: 'N/A' }))
       );
@@ -1002,9 +1147,7 @@ describe('useGameState transitions', () => {
       await result.current.requestMotionRuling();
     });
 
-    await act(async () => {
-      await result.current.submitArgument('Closing');
-    });
+    await closeTrial(result, 'Closing');
 
     expect(result.current.history.sanctions).toHaveLength(1);
     expect(result.current.history.sanctions[0].accountability).toMatchObject(accountability);
@@ -1269,6 +1412,179 @@ describe('useGameState transitions', () => {
     expect(strikeCall.systemPrompt).toContain('Player (defense) struck IDs: [2]');
   });
 
+  it('records voir dire answers on the jurors and shows them to the opponent strike prompt', async () => {
+    requestLlmJson
+      .mockResolvedValueOnce(buildLlmResponse(juryCasePayload))
+      .mockResolvedValueOnce(
+        buildLlmResponse({
+          answers: [
+            { juror_id: 1, answer: 'Big companies always cut corners.' },
+            { juror_id: 2, answer: 'I go where the data goes.' },
+            { juror_id: 3, answer: 'Rules exist for a reason.' },
+          ],
+        })
+      )
+      .mockResolvedValueOnce(
+        buildLlmResponse({ answers: [{ juror_id: 2, answer: '  Experts are usually right.  ' }] })
+      )
+      .mockResolvedValueOnce(
+        buildLlmResponse({
+          opponent_strikes: [3],
+          seated_juror_ids: [2],
+          judge_comment: 'Seated.',
+        })
+      );
+
+    const { result } = renderHook(() => useGameState());
+
+    await act(async () => {
+      await result.current.generateCase('defense', 'normal', JURISDICTIONS.USA, COURT_TYPES.STANDARD);
+    });
+
+    await act(async () => {
+      await result.current.askVoirDire('panel', 'How do you feel about big companies?');
+    });
+    await act(async () => {
+      await result.current.askVoirDire(2, 'Do you trust expert witnesses?');
+    });
+
+    expect(requestLlmJson.mock.calls[1][0]).toMatchObject({ responseLabel: 'voir_dire' });
+    expect(requestLlmJson.mock.calls[2][0].systemPrompt).toContain('I go where the data goes.');
+    expect(result.current.history.jury.questions).toEqual([
+      expect.objectContaining({ target: 'panel', askedBy: 'defense' }),
+      expect.objectContaining({ target: 2, question: 'Do you trust expert witnesses?' }),
+    ]);
+    const juror = result.current.history.jury.pool.find((entry) => entry.id === 2);
+    expect(juror.voir_dire.map((entry) => entry.answer)).toEqual([
+      'I go where the data goes.',
+      'Experts are usually right.',
+    ]);
+    expect(result.current.history.case.jurors[1].voir_dire).toEqual(juror.voir_dire);
+
+    await act(async () => {
+      await result.current.submitStrikes([1]);
+    });
+
+    const strikePrompt = requestLlmJson.mock.calls[3][0].systemPrompt;
+    expect(strikePrompt).toContain('Voir Dire Answers: [');
+    expect(strikePrompt).toContain('Experts are usually right.');
+    expect(result.current.history.jury.pool[1].voir_dire).toHaveLength(2);
+
+    await act(async () => {
+      await result.current.askVoirDire('panel', 'Any last thoughts?');
+    });
+
+    expect(requestLlmJson).toHaveBeenCalledTimes(4);
+  });
+
+  it('excuses jurors for cause and reseats a juror after a sustained Batson objection', async () => {
+    requestLlmJson
+      .mockResolvedValueOnce(buildLlmResponse(juryCasePayload))
+      .mockResolvedValueOnce(
+        buildLlmResponse({
+          ruling: 'granted',
+          reasoning: 'She cannot set aside her views on safety rules.',
+          docket_entry: 'Challenge for cause to Juror #3: Granted.',
+        })
+      )
+      .mockResolvedValueOnce(
+        buildLlmResponse({
+          opponent_strikes: [2],
+          opponent_reasoning: 'Gut feeling.',
+          seated_juror_ids: [],
+          judge_comment: 'Seated.',
+        })
+      )
+      .mockResolvedValueOnce(
+        buildLlmResponse({
+          ruling: 'sustained',
+          reasoning: 'Counsel gave no reason specific to this juror.',
+          docket_entry: 'Batson objection to the strike of Juror #2: Sustained.',
+        })
+      );
+
+    const { result } = renderHook(() => useGameState());
+
+    await act(async () => {
+      await result.current.generateCase('defense', 'normal', JURISDICTIONS.USA, COURT_TYPES.STANDARD);
+    });
+
+    await act(async () => {
+      await result.current.challengeForCause(3, 'Her safety views will decide the case.');
+    });
+
+    expect(requestLlmJson.mock.calls[1][0]).toMatchObject({ responseLabel: 'cause_challenge' });
+    expect(result.current.history.jury.pool[2]).toMatchObject({
+      status: 'excused_for_cause',
+      status_history: ['eligible', 'excused_for_cause'],
+    });
+
+    act(() => {
+      result.current.toggleStrikeSelection(3);
+    });
+    expect(result.current.history.jury.myStrikes).toEqual([]);
+
+    await act(async () => {
+      await result.current.submitStrikes([1]);
+    });
+
+    const strikePrompt = requestLlmJson.mock.calls[2][0].systemPrompt;
+    expect(strikePrompt).toContain('Excused for cause (not in the pool): [3]');
+    expect(strikePrompt).not.toContain('"name":"J3"');
+    expect(result.current.history.jury.pool[2].status).toBe('excused_for_cause');
+    expect(result.current.history.jury.opponentReasoning).toBe('Gut feeling.');
+
+    await act(async () => {
+      await result.current.raiseBatsonObjection(2, 'The strike has no neutral explanation.');
+    });
+
+    expect(requestLlmJson.mock.calls[3][0].systemPrompt).toContain(
+      'stated reasons for its strikes: "Gut feeling."'
+    );
+    expect(result.current.history.jury.pool[1]).toMatchObject({
+      status: 'seated',
+      status_history: ['eligible', 'struck_by_opponent', 'seated'],
+    });
+    expect(result.current.history.jury.opponentStrikes).toEqual([]);
+    expect(result.current.history.jury.seatedIds).toEqual([2]);
+
+    await act(async () => {
+      await result.current.handleCopyFull();
+    });
+
+    const docket = copyToClipboard.mock.calls[0][0];
+    expect(docket).toContain('Excused for Cause: J3 (#3)');
+    expect(docket).toContain('Challenge for cause to Juror #3: Granted.');
+    expect(docket).toContain('Batson objection to the strike of Juror #2: Sustained.');
+  });
+
+  it('caps voir dire questions', async () => {
+    requestLlmJson.mockResolvedValueOnce(buildLlmResponse(juryCasePayload));
+
+    const { result } = renderHook(() => useGameState());
+
+    await act(async () => {
+      await result.current.generateCase('defense', 'normal', JURISDICTIONS.USA, COURT_TYPES.STANDARD);
+    });
+
+    act(() => {
+      result.current.history.jury.questions = Array.from({ length: 4 }, (_, index) => ({
+        id: `q-${index}`,
+        target: 'panel',
+        question: 'Asked.',
+      }));
+    });
+
+    let didRecord = true;
+    await act(async () => {
+      didRecord = await result.current.askVoirDire(1, 'One more?');
+    });
+
+    expect(didRecord).toBe(false);
+    expect(result.current.error).toBe('The court has already allowed 4 voir dire questions.');
+    expect(requestLlmJson).toHaveBeenCalledTimes(1);
+  });
+
   it('stores canonical juror ids and preserves them through submission', async () => {
     const nonCanonicalPayload = {
       ...juryCasePayload,
@@ -1484,9 +1800,12 @@ describe('useGameState transitions', () => {
           })
         )
       )
+      .mockResolvedValueOnce(opposingClosingResponse)
       .mockResolvedValueOnce(
         buildLlmResponse({
           final_ruling: 'Acquitted',
+          disposition: FINAL_DISPOSITIONS.NOT_GUILTY,
+          dismissal: noDismissal,
           final_weighted_score: 77,
           judge_opinion: 'Bench decision',
           accountability: baseAccountability,
@@ -1513,9 +1832,7 @@ describe('useGameState transitions', () => {
 
     const motionNote = result.current.history.counselNotes;
 
-    await act(async () => {
-      await result.current.submitArgument('Closing');
-    });
+    await closeTrial(result, 'Closing');
 
     expect(result.current.history.counselNotes).not.toBe(motionNote);
     expect(result.current.history.counselNotes).toContain('verdict');
@@ -1535,9 +1852,12 @@ describe('useGameState transitions', () => {
           })
         )
       )
+      .mockResolvedValueOnce(opposingClosingResponse)
       .mockResolvedValueOnce(
         buildLlmResponse({
           final_ruling: 'Guilty based on Evidence 2',
+          disposition: FINAL_DISPOSITIONS.GUILTY,
+          dismissal: noDismissal,
           final_weighted_score: 60,
           judge_opinion: 'Evidence 2 controls this outcome.',
           accountability: baseAccountability,
@@ -1562,9 +1882,7 @@ describe('useGameState transitions', () => {
       await result.current.requestMotionRuling();
     });
 
-    await act(async () => {
-      await result.current.submitArgument('Closing argument');
-    });
+    await closeTrial(result, 'Closing argument');
 
     expect(result.current.history.trial.verdict).toBeUndefined();
     expect(result.current.history.trial.rejectedVerdicts).toHaveLength(1);
@@ -1644,6 +1962,7 @@ describe('useGameState transitions', () => {
         text: 'Closing argument.',
         verdict: buildVerdict({
           final_ruling: 'Guilty',
+          disposition: FINAL_DISPOSITIONS.GUILTY,
           final_weighted_score: 95,
           achievement_title: 'The Blender and the Pigeon Conspiracy',
         }),
@@ -1705,7 +2024,7 @@ describe('useGameState transitions', () => {
       result.current.history.trial = {
         locked: true,
         text: 'Argument that should not appear.',
-        verdict: buildVerdict({ final_ruling: 'Mistrial' }),
+        verdict: buildVerdict({ final_ruling: 'Mistrial', disposition: FINAL_DISPOSITIONS.MISTRIAL_CONDUCT }),
       };
     });
 
@@ -1900,9 +2219,12 @@ describe('useGameState transitions', () => {
           })
         )
       )
+      .mockResolvedValueOnce(opposingClosingResponse)
       .mockResolvedValueOnce(
         buildLlmResponse({
           final_ruling: 'Not Guilty',
+          disposition: FINAL_DISPOSITIONS.NOT_GUILTY,
+          dismissal: noDismissal,
           final_weighted_score: 77,
           judge_opinion: 'Bench decision',
           accountability: baseAccountability,
@@ -1933,19 +2255,33 @@ describe('useGameState transitions', () => {
 
     expect(result.current.history.disposition).toBeNull();
 
-    await act(async () => {
-      await result.current.submitArgument('Closing argument.');
-    });
+    await closeTrial(result, 'Closing argument.');
 
-    expect(requestLlmJson).toHaveBeenCalledTimes(3);
+    expect(requestLlmJson).toHaveBeenCalledTimes(4);
     expect(result.current.error).toBeNull();
   });
 
 
-  it('stores a terminal case docket snapshot in player profile history', async () => {
+  it('records witness testimony and weighs it in the verdict prompt after resting', async () => {
     requestLlmJson
-      .mockResolvedValueOnce(buildLlmResponse(benchCasePayload))
-      .mockResolvedValueOnce(buildLlmResponse(buildVerdict({ jury_reasoning: 'N/A' })));
+      .mockResolvedValueOnce(
+        buildLlmResponse({
+          ...benchCasePayload,
+          witnesses: [{ name: 'Dana Reyes', role: 'Security guard', statement: 'I saw the van.' }],
+        })
+      )
+      .mockResolvedValueOnce(buildLlmResponse({ answer: '  The van was blue.  ' }))
+      .mockResolvedValueOnce(opposingClosingResponse)
+      .mockResolvedValueOnce(
+        buildLlmResponse({
+          final_ruling: 'Not Guilty',
+          disposition: FINAL_DISPOSITIONS.NOT_GUILTY,
+          dismissal: noDismissal,
+          final_weighted_score: 70,
+          judge_opinion: 'Bench decision',
+          accountability: baseAccountability,
+        })
+      );
 
     const { result } = renderHook(() => useGameState());
 
@@ -1955,55 +2291,552 @@ describe('useGameState transitions', () => {
 
     act(() => {
       result.current.history.motion = {
-        motionText: 'Motion text.',
-        motionBy: 'defense',
-        rebuttalText: 'Rebuttal text.',
-        rebuttalBy: 'prosecution',
-        ruling: {
-          ruling: 'DENIED',
-          outcome_text: 'Denied.',
-          score: 45,
-          evidence_status_updates: [],
-          breakdown: buildMotionBreakdown(),
-        },
+        ...result.current.history.motion,
+        ruling: buildMotionRuling(),
         motionPhase: 'motion_ruling_locked',
         locked: true,
       };
     });
 
     await act(async () => {
-      await result.current.submitArgument('Closing statement.');
+      await result.current.examineWitness(1, 'cross', 'What color was the van?');
     });
 
-    const profile = loadPlayerProfile();
-    expect(profile.caseHistory).toHaveLength(1);
-    const savedCase = profile.caseHistory[0];
-    expect(savedCase.caseName).toBe('Bench Trial');
-    expect(savedCase.outcome).toBe(FINAL_DISPOSITIONS.NOT_GUILTY);
-    expect(savedCase.finalSanctionsCount).toBe(0);
-    expect(savedCase.docketSnapshot.sections.case.title).toBe('Bench Trial');
-    expect(savedCase.docketSnapshot.sections.trial.text).toBe('Closing statement.');
-    expect(savedCase.docketSnapshot.sections.trial.verdict.final_ruling).toBe('Not Guilty');
-  });
+    expect(requestLlmJson.mock.calls[1][0]).toMatchObject({ responseLabel: 'witness' });
+    expect(requestLlmJson.mock.calls[1][0].systemPrompt).toContain('CROSS-EXAMINATION');
+    expect(result.current.history.examination.transcript).toEqual([
+      expect.objectContaining({
+        witnessNumber: 1,
+        type: 'cross',
+        askedBy: 'defense',
+        question: 'What color was the van?',
+        answer: 'The van was blue.',
+      }),
+    ]);
 
-  it('emits RUN_ENDED with outcome payload after a final verdict', async () => {
-    requestLlmJson
-      .mockResolvedValueOnce(buildLlmResponse(benchCasePayload))
-      .mockResolvedValueOnce(buildLlmResponse(buildVerdict({ jury_reasoning: 'N/A' })));
+    await act(async () => {
+      await result.current.submitArgument('Closing argument.');
+    });
 
-    const onShellEvent = vi.fn();
-    const { result } = renderHook(() => useGameState({ onShellEvent }));
+    expect(result.current.error).toBe('Rest witness examination before closing arguments.');
+    expect(requestLlmJson).toHaveBeenCalledTimes(2);
+
+    act(() => {
+      result.current.restExamination();
+    });
+
+    await closeTrial(result, 'Witness #1 testimony proves reasonable doubt.');
+
+    const verdictPrompt = requestLlmJson.mock.calls[3][0].systemPrompt;
+    expect(verdictPrompt).toContain('"citation":"Witness #1 testimony"');
+    expect(verdictPrompt).toContain('The van was blue.');
+    expect(result.current.history.trial.verdict.final_ruling).toBe('Not Guilty');
 
     await act(async () => {
-      await result.current.generateCase('defense', 'normal', JURISDICTIONS.USA, COURT_TYPES.STANDARD);
+      await result.current.handleCopyFull();
     });
 
-    act(() => {
-      result.current.history.motion = {
-        motionText: 'Motion text.',
-        motionBy: 'defense',
-        rebuttalText: 'Rebuttal text.',
-        rebuttalBy: 'prosecution',
+    expect(copyToClipboard.mock.calls[0][0]).toContain(
+      'WITNESS TESTIMONY:\nWitness #1 testimony (Dana Reyes, Security guard):\n[CROSS] Q: What color was the van?\nA: The van was blue.'
+    );
+  });
+
+  it('strikes passages from sustained objections before the verdict prompt', async () => {
+    requestLlmJson
+      .mockResolvedValueOnce(buildLlmResponse(benchCasePayload))
+      .mockResolvedValueOnce(
+        buildLlmResponse({
+          ruling: 'sustained',
+          reasoning: ' An out-of-court statement offered for its truth. ',
+          docket_entry: 'Objection (Hearsay) to the rebuttal: Sustained.',
+        })
+      )
+      .mockResolvedValueOnce(opposingClosingResponse)
+      .mockResolvedValueOnce(buildLlmResponse(buildVerdict({ jury_reasoning: 'N/A' })));
+
+    const { result } = renderHook(() => useGameState());
+
+    await act(async () => {
+      await result.current.generateCase('defense', 'normal', JURISDICTIONS.USA, COURT_TYPES.STANDARD);
+    });
+
+    act(() => {
+      result.current.history.motion = {
+        ...result.current.history.motion,
+        motionText: 'The defense moves to suppress the raincoat.',
+        motionBy: 'defense',
+        rebuttalText: 'The defendant **confessed to his cellmate**. The search was lawful.',
+        rebuttalBy: 'prosecution',
+        ruling: buildMotionRuling(),
+        motionPhase: 'motion_ruling_locked',
+        locked: true,
+      };
+    });
+
+    await act(async () => {
+      await result.current.raiseObjection('motion', 'suppress the raincoat', 'relevance');
+    });
+
+    expect(result.current.error).toBe('There is no opposing submission to object to.');
+
+    await act(async () => {
+      await result.current.raiseObjection('rebuttal', 'confessed to his cellmate', 'hearsay');
+    });
+
+    expect(requestLlmJson.mock.calls[1][0]).toMatchObject({ responseLabel: 'objection' });
+    expect(requestLlmJson.mock.calls[1][0].systemPrompt).toContain('Ground: Hearsay.');
+    expect(result.current.history.objections).toEqual([
+      expect.objectContaining({
+        source: 'rebuttal',
+        ground: 'hearsay',
+        raisedBy: 'defense',
+        ruling: 'sustained',
+        reasoning: 'An out-of-court statement offered for its truth.',
+        docketEntry: 'Objection (Hearsay) to the rebuttal: Sustained.',
+      }),
+    ]);
+
+    await closeTrial(result, 'The search exceeded its scope.');
+
+    const verdictPrompt = requestLlmJson.mock.calls[3][0].systemPrompt;
+    expect(verdictPrompt).toContain('The defendant **[stricken: objection sustained]**. The search');
+    expect(verdictPrompt).toContain('"ground":"Hearsay","ruling":"sustained"');
+    expect(verdictPrompt).not.toContain('cellmate');
+
+    await act(async () => {
+      await result.current.handleCopyFull();
+    });
+
+    expect(copyToClipboard.mock.calls[0][0]).toContain(
+      'OBJECTIONS:\nObjection (Hearsay) to the rebuttal: Sustained.\nPassage: "confessed to his cellmate"'
+    );
+  });
+
+  it('opens, closes against opposing counsel, and gives the player the last word', async () => {
+    requestLlmJson
+      .mockResolvedValueOnce(buildLlmResponse(benchCasePayload))
+      .mockResolvedValueOnce(buildLlmResponse({ text: 'The State will prove a deliberate theft.' }))
+      .mockResolvedValueOnce(
+        buildLlmResponse({
+          text: 'The defendant **fled the scene at midnight**. The footage seals it.',
+        })
+      )
+      .mockResolvedValueOnce(
+        buildLlmResponse({
+          ruling: 'sustained',
+          reasoning: 'Nothing in the record places the defendant at the scene.',
+          docket_entry: 'Objection (Speculation) to the closing: Sustained.',
+        })
+      )
+      .mockResolvedValueOnce(buildLlmResponse(buildVerdict({ jury_reasoning: 'N/A' })));
+
+    const { result } = renderHook(() => useGameState());
+
+    await act(async () => {
+      await result.current.generateCase('defense', 'normal', JURISDICTIONS.USA, COURT_TYPES.STANDARD);
+    });
+
+    let opened = true;
+    await act(async () => {
+      opened = await result.current.submitOpening('The evidence will show nothing.');
+    });
+    expect(opened).toBe(false);
+    expect(requestLlmJson).toHaveBeenCalledTimes(1);
+
+    act(() => {
+      result.current.history.motion = {
+        ...result.current.history.motion,
+        ruling: buildMotionRuling(),
+        motionPhase: 'motion_ruling_locked',
+        locked: true,
+      };
+    });
+
+    await act(async () => {
+      await result.current.submitOpening('The evidence will show nothing.');
+    });
+
+    expect(requestLlmJson.mock.calls[1][0]).toMatchObject({ responseLabel: 'opening' });
+    expect(requestLlmJson.mock.calls[1][0].systemPrompt).toContain('Phase: OPENING STATEMENT');
+    expect(result.current.history.trial.openings).toEqual({
+      prosecution: 'The State will prove a deliberate theft.',
+      defense: 'The evidence will show nothing.',
+    });
+
+    await act(async () => {
+      await result.current.submitArgument('The footage is ambiguous.');
+    });
+
+    expect(requestLlmJson.mock.calls[2][0].systemPrompt).toContain(
+      'Opposing Closing: "The footage is ambiguous."'
+    );
+    expect(result.current.history.trial).toMatchObject({
+      text: 'The footage is ambiguous.',
+      opposingClosing: {
+        text: 'The defendant **fled the scene at midnight**. The footage seals it.',
+        submittedBy: 'prosecution',
+      },
+      locked: false,
+    });
+
+    await act(async () => {
+      await result.current.raiseObjection('closing', 'fled the scene at midnight', 'speculation');
+    });
+    await act(async () => {
+      await result.current.submitArgument('The footage shows a shadow, not my client.');
+    });
+
+    const verdictPrompt = requestLlmJson.mock.calls[4][0].systemPrompt;
+    expect(verdictPrompt).toContain('Opening Statements (compliant-only)');
+    expect(verdictPrompt).toContain('Argument (compliant-only): "The footage is ambiguous."');
+    expect(verdictPrompt).toContain(
+      'Opposing Closing (Prosecutor, stricken passages removed): "The defendant **[stricken: objection sustained]**.'
+    );
+    expect(verdictPrompt).toContain(
+      'Rebuttal (compliant-only): "The footage shows a shadow, not my client."'
+    );
+    expect(result.current.history.trial).toMatchObject({
+      text: 'The footage is ambiguous.',
+      rebuttal: 'The footage shows a shadow, not my client.',
+      locked: true,
+    });
+
+    await act(async () => {
+      await result.current.handleCopyFull();
+    });
+
+    const docket = copyToClipboard.mock.calls[0][0];
+    expect(docket).toContain(
+      'OPENING STATEMENTS:\nProsecution Opening:\n"The State will prove a deliberate theft."'
+    );
+    expect(docket).toContain('Rebuttal:\n"The footage shows a shadow, not my client."');
+  });
+
+  it('scores the verdict from the phase scores and flags the model arithmetic', async () => {
+    requestLlmJson
+      .mockResolvedValueOnce(buildLlmResponse(benchCasePayload))
+      .mockResolvedValueOnce(opposingClosingResponse)
+      .mockResolvedValueOnce(
+        buildLlmResponse(
+          buildVerdict({ jury_reasoning: 'N/A', judge_score: 78, final_weighted_score: 92 })
+        )
+      );
+
+    const { result } = renderHook(() => useGameState());
+
+    await act(async () => {
+      await result.current.generateCase('defense', 'normal', JURISDICTIONS.USA, COURT_TYPES.STANDARD);
+    });
+
+    act(() => {
+      result.current.history.motion = {
+        ...result.current.history.motion,
+        ruling: buildMotionRuling({ score: 52 }),
+        motionPhase: 'motion_ruling_locked',
+        locked: true,
+      };
+    });
+
+    await closeTrial(result, 'Closing statement.');
+
+    expect(result.current.history.trial.verdict).toMatchObject({
+      final_weighted_score: 70,
+      score_breakdown: {
+        components: [
+          { phase: 'motion', score: 52, weight: 0.31, points: 16 },
+          { phase: 'judge', score: 78, weight: 0.69, points: 54 },
+        ],
+        computed: 70,
+        reported: 92,
+        discrepancy: 22,
+      },
+    });
+    expect(loadRunHistory().runs.at(-1).score).toBe(70);
+
+    await act(async () => {
+      await result.current.handleCopyFull();
+    });
+
+    const docket = copyToClipboard.mock.calls[0][0];
+    expect(docket).toContain('BASE SCORE: 70/100');
+    expect(docket).toContain('BREAKDOWN: Pre-Trial Motion 52 x 31% + Judge 78 x 69%');
+    expect(docket).toContain('MODEL REPORTED: 92 (recomputed by the court)');
+  });
+
+  it('stores a terminal case docket snapshot in player profile history', async () => {
+    requestLlmJson
+      .mockResolvedValueOnce(buildLlmResponse(benchCasePayload))
+      .mockResolvedValueOnce(opposingClosingResponse)
+      .mockResolvedValueOnce(buildLlmResponse(buildVerdict({ jury_reasoning: 'N/A' })));
+
+    const { result } = renderHook(() => useGameState());
+
+    await act(async () => {
+      await result.current.generateCase('defense', 'normal', JURISDICTIONS.USA, COURT_TYPES.STANDARD);
+    });
+
+    act(() => {
+      result.current.history.motion = {
+        motionText: 'Motion text.',
+        motionBy: 'defense',
+        rebuttalText: 'Rebuttal text.',
+        rebuttalBy: 'prosecution',
+        ruling: {
+          ruling: 'DENIED',
+          outcome_text: 'Denied.',
+          score: 45,
+          evidence_status_updates: [],
+          breakdown: buildMotionBreakdown(),
+        },
+        motionPhase: 'motion_ruling_locked',
+        locked: true,
+      };
+    });
+
+    await closeTrial(result, 'Closing statement.');
+
+    const profile = loadPlayerProfile();
+    expect(profile.caseHistory).toHaveLength(1);
+    const savedCase = profile.caseHistory[0];
+    expect(savedCase.caseName).toBe('Bench Trial');
+    expect(savedCase.outcome).toBe(FINAL_DISPOSITIONS.NOT_GUILTY);
+    expect(savedCase.finalSanctionsCount).toBe(0);
+    expect(savedCase.docketSnapshot.sections.case.title).toBe('Bench Trial');
+    expect(savedCase.docketSnapshot.sections.trial.text).toBe('Closing statement.');
+    expect(savedCase.docketSnapshot.sections.trial.verdict.final_ruling).toBe('Not Guilty');
+  });
+
+  it('emits RUN_ENDED with outcome payload after a final verdict', async () => {
+    requestLlmJson
+      .mockResolvedValueOnce(buildLlmResponse(benchCasePayload))
+      .mockResolvedValueOnce(opposingClosingResponse)
+      .mockResolvedValueOnce(buildLlmResponse(buildVerdict({ jury_reasoning: 'N/A' })));
+
+    const onShellEvent = vi.fn();
+    const { result } = renderHook(() => useGameState({ onShellEvent }));
+
+    await act(async () => {
+      await result.current.generateCase('defense', 'normal', JURISDICTIONS.USA, COURT_TYPES.STANDARD);
+    });
+
+    act(() => {
+      result.current.history.motion = {
+        motionText: 'Motion text.',
+        motionBy: 'defense',
+        rebuttalText: 'Rebuttal text.',
+        rebuttalBy: 'prosecution',
+        ruling: {
+          ruling: 'DENIED',
+          outcome_text: 'Denied.',
+          score: 45,
+          evidence_status_updates: [],
+          breakdown: buildMotionBreakdown(),
+        },
+        motionPhase: 'motion_ruling_locked',
+        locked: true,
+      };
+    });
+
+    await closeTrial(result, 'Closing statement.');
+
+    const runEndedEvent = onShellEvent.mock.calls
+      .map(([event]) => event)
+      .find((event) => event.type === 'RUN_ENDED');
+
+    expect(runEndedEvent).toEqual(
+      expect.objectContaining({
+        type: 'RUN_ENDED',
+        payload: expect.objectContaining({
+          disposition: expect.objectContaining({
+            type: FINAL_DISPOSITIONS.NOT_GUILTY,
+          }),
+          sanctions: expect.objectContaining({
+            before: expect.objectContaining({ state: SANCTION_STATES.CLEAN }),
+            after: expect.objectContaining({ state: SANCTION_STATES.CLEAN }),
+          }),
+        }),
+      })
+    );
+    expect(result.current.runOutcome.disposition.type).toBe(FINAL_DISPOSITIONS.NOT_GUILTY);
+    expect(result.current.gameState).toBe(GAME_STATES.PLAYING);
+  });
+
+  it('negotiates a plea deal that ends the run with its own score', async () => {
+    requestLlmJson
+      .mockResolvedValueOnce(buildLlmResponse({ ...benchCasePayload, charge: 'Burglary' }))
+      .mockResolvedValueOnce(
+        buildLlmResponse({
+          action: 'offer',
+          charge: 'Burglary',
+          term: 60,
+          message: 'Take it or leave it.',
+          docket_entry: 'Plea offer: guilty to Burglary, 60 months.',
+        })
+      )
+      .mockResolvedValueOnce(
+        buildLlmResponse({
+          action: 'accept',
+          charge: 'Trespass',
+          term: 30,
+          message: 'Fine.',
+          docket_entry: 'Plea offer accepted: guilty to Trespass, 30 months.',
+        })
+      );
+
+    const onShellEvent = vi.fn();
+    const { result } = renderHook(() => useGameState({ onShellEvent }));
+
+    await act(async () => {
+      await result.current.generateCase('defense', 'normal', JURISDICTIONS.USA, COURT_TYPES.STANDARD);
+    });
+    await act(async () => {
+      await result.current.requestPleaOffer();
+    });
+
+    expect(requestLlmJson.mock.calls[1][0]).toMatchObject({ responseLabel: 'plea' });
+    expect(requestLlmJson.mock.calls[1][0].systemPrompt).toContain(
+      'The defense asks for an opening offer.'
+    );
+    expect(result.current.history.plea.offers[0]).toMatchObject({
+      round: 1,
+      offeredBy: 'prosecution',
+      term: 60,
+      unit: 'months',
+    });
+
+    await act(async () => {
+      await result.current.proposePleaDeal({ charge: 'Trespass', term: 30, message: 'First offense.' });
+    });
+
+    expect(requestLlmJson.mock.calls[2][0].systemPrompt).toContain('"term":30');
+    expect(result.current.history.plea).toMatchObject({ status: 'accepted', score: 65 });
+    expect(result.current.history.disposition).toMatchObject({
+      type: FINAL_DISPOSITIONS.PLEA_DEAL,
+      source: 'plea',
+      summary: 'Plea Deal',
+    });
+    const runEndedEvent = onShellEvent.mock.calls
+      .map(([event]) => event)
+      .find((event) => event.type === 'RUN_ENDED');
+    expect(runEndedEvent.payload.disposition.type).toBe(FINAL_DISPOSITIONS.PLEA_DEAL);
+    expect(loadRunHistory().runs.at(-1)).toMatchObject({ outcome: 'plea_deal', score: 65 });
+
+    await act(async () => {
+      await result.current.handleCopyFull();
+    });
+    expect(copyToClipboard.mock.calls[0][0]).toContain(
+      'PLEA NEGOTIATIONS:\nRound 1 Prosecution offer: Guilty to Burglary, 60 months - "Take it or leave it."'
+    );
+  });
+
+  it('lets a hostile public defender client refuse a recommended deal', async () => {
+    const nowMs = Date.now();
+    window.localStorage.setItem(
+      PROFILE_STORAGE_KEY,
+      JSON.stringify({
+        ...defaultPlayerProfile(),
+        sanctions: {
+          ...__testables.buildDefaultSanctionsState(nowMs),
+          state: SANCTION_STATES.PUBLIC_DEFENDER,
+          level: 3,
+          startedAt: new Date(nowMs).toISOString(),
+          expiresAt: new Date(nowMs + 60 * 60 * 1000).toISOString(),
+          recentlyReinstatedUntil: null,
+        },
+      })
+    );
+    requestLlmJson
+      .mockResolvedValueOnce(buildLlmResponse(benchCasePayload))
+      .mockResolvedValueOnce(
+        buildLlmResponse({
+          action: 'offer',
+          charge: 'Petty theft',
+          term: 12,
+          message: 'A gift.',
+          docket_entry: 'Plea offer: guilty to Petty theft, 12 months.',
+        })
+      )
+      .mockResolvedValueOnce(
+        buildLlmResponse({ decision: 'reject', statement: ' I am not pleading to anything. ' })
+      );
+
+    const { result } = renderHook(() => useGameState());
+
+    await act(async () => {
+      await result.current.generateCase('defense', 'normal', JURISDICTIONS.USA, COURT_TYPES.STANDARD);
+    });
+    await act(async () => {
+      await result.current.requestPleaOffer();
+    });
+
+    let accepted;
+    await act(async () => {
+      accepted = await result.current.acceptPleaDeal();
+    });
+
+    expect(accepted).toBe(false);
+    expect(requestLlmJson.mock.calls[2][0]).toMatchObject({ responseLabel: 'plea_client' });
+    expect(result.current.history.plea.status).toBe('open');
+    expect(result.current.history.plea.clientRejections).toEqual([
+      expect.objectContaining({ term: 12, statement: 'I am not pleading to anything.' }),
+    ]);
+    expect(result.current.history.disposition).toBeNull();
+
+    await act(async () => {
+      accepted = await result.current.acceptPleaDeal();
+    });
+    expect(accepted).toBe(false);
+    expect(requestLlmJson).toHaveBeenCalledTimes(3);
+
+    act(() => {
+      result.current.declinePleaDeal();
+    });
+    expect(result.current.history.plea.status).toBe('rejected');
+  });
+
+  it('runs a civil suit to a judgment for the plaintiff with a damages award', async () => {
+    requestLlmJson
+      .mockResolvedValueOnce(
+        buildLlmResponse({ ...benchCasePayload, plaintiff: 'Pat Lee', damages_sought: 20000 })
+      )
+      .mockResolvedValueOnce(opposingClosingResponse)
+      .mockResolvedValueOnce(
+        buildLlmResponse(
+          buildVerdict({
+            jury_reasoning: 'N/A',
+            final_ruling: 'The defendant is liable.',
+            disposition: FINAL_DISPOSITIONS.JUDGMENT_FOR_PLAINTIFF,
+            damages_awarded: 15000,
+          })
+        )
+      );
+
+    const onShellEvent = vi.fn();
+    const { result } = renderHook(() => useGameState({ onShellEvent }));
+
+    await act(async () => {
+      await result.current.generateCase(
+        'plaintiff',
+        'normal',
+        JURISDICTIONS.USA,
+        COURT_TYPES.STANDARD
+      );
+    });
+
+    expect(requestLlmJson.mock.calls[0][0].systemPrompt).toContain('CIVIL CASE CONSTRAINTS');
+    expect(result.current.config.caseType).toBe(CASE_TYPES.CIVIL);
+    expect(result.current.history.case.case_type).toBe(CASE_TYPES.CIVIL);
+    expect(result.current.history.plea).toBeNull();
+    expect(result.current.history.motion).toMatchObject({
+      motionBy: 'defendant',
+      rebuttalBy: 'plaintiff',
+    });
+
+    act(() => {
+      result.current.history.motion = {
+        ...result.current.history.motion,
+        motionText: 'Motion text.',
+        rebuttalText: 'Rebuttal text.',
         ruling: {
           ruling: 'DENIED',
           outcome_text: 'Denied.',
@@ -2016,39 +2849,581 @@ describe('useGameState transitions', () => {
       };
     });
 
+    await closeTrial(result, 'Closing statement.');
+
+    expect(requestLlmJson.mock.calls[2][0].systemPrompt).toContain(
+      'preponderance of the evidence'
+    );
+    expect(result.current.history.disposition).toMatchObject({
+      type: FINAL_DISPOSITIONS.JUDGMENT_FOR_PLAINTIFF,
+    });
+    expect(result.current.history.disposition.details).toContain('DAMAGES: $15,000');
+    expect(result.current.history.sentencing).toBeUndefined();
+    const runEnded = onShellEvent.mock.calls
+      .map(([event]) => event)
+      .find((event) => event.type === 'RUN_ENDED');
+    expect(runEnded.payload.damages).toBe(15000);
+    expect(loadRunHistory().runs.at(-1)).toMatchObject({
+      caseType: CASE_TYPES.CIVIL,
+      playerRole: 'plaintiff',
+      outcome: FINAL_DISPOSITIONS.JUDGMENT_FOR_PLAINTIFF,
+      damages: 15000,
+    });
+    const [savedCase] = loadPlayerProfile().caseHistory;
+    expect(savedCase).toMatchObject({ caseType: CASE_TYPES.CIVIL, playerRole: 'plaintiff' });
+    expect(canAppeal(savedCase)).toBe(false);
+  });
+
+  it('runs judge mode from counsel strikes through appellate review of the rulings', async () => {
+    requestLlmJson
+      .mockResolvedValueOnce(buildLlmResponse(juryCasePayload))
+      .mockResolvedValueOnce(
+        buildLlmResponse({
+          opponent_strikes: [1],
+          seated_juror_ids: [2, 3],
+          judge_comment: 'N/A',
+          opponent_reasoning: 'Juror 1 distrusts corporations.',
+        })
+      )
+      .mockResolvedValueOnce(
+        buildLlmResponse({
+          opponent_strikes: [2],
+          seated_juror_ids: [3],
+          judge_comment: 'N/A',
+          opponent_reasoning: 'Juror 2 is an engineer.',
+        })
+      )
+      .mockResolvedValueOnce(buildLlmResponse({ text: 'The defense moves to suppress.' }))
+      .mockResolvedValueOnce(buildLlmResponse({ text: 'The waiver was lawfully obtained.' }))
+      .mockResolvedValueOnce(buildLlmResponse({ text: 'The waiver proves the case.' }))
+      .mockResolvedValueOnce(buildLlmResponse({ text: 'The waiver proves nothing.' }))
+      .mockResolvedValueOnce(
+        buildLlmResponse({
+          rulings: [
+            { issue: 'jury_selection', score: 80, sound: true, critique: 'Careful strike review.' },
+            { issue: 'motion_ruling', score: 70, sound: true, critique: 'Adequate findings.' },
+            { issue: 'verdict', score: 90, sound: true, critique: 'Well reasoned.' },
+          ],
+          final_weighted_score: 90,
+          overflow_reason_code: null,
+          overflow_explanation: null,
+          achievement_title: null,
+          opinion: 'Affirmed in all respects.',
+        })
+      );
+
+    const onShellEvent = vi.fn();
+    const { result } = renderHook(() => useGameState({ onShellEvent }));
+
+    await act(async () => {
+      await result.current.generateCase('judge', 'normal', JURISDICTIONS.USA, COURT_TYPES.STANDARD);
+    });
+
+    expect(requestLlmJson.mock.calls[0][0].systemPrompt).toContain('JUDGE MODE CONSTRAINTS');
+    expect(result.current.history.plea).toBeNull();
+    expect(result.current.history.examination.locked).toBe(true);
+
+    await act(async () => {
+      await result.current.requestCounselStrikes();
+    });
+
+    expect(requestLlmJson.mock.calls[2][0].systemPrompt).toContain(
+      'Opposing counsel (defense) struck IDs: [1]'
+    );
+    expect(result.current.history.jury.strikesByRole).toEqual({ defense: [1], prosecution: [2] });
+
+    act(() => {
+      expect(result.current.seatJury([{ jurorId: 2, reason: 'Pretextual.' }])).toBe(true);
+    });
+
+    expect(result.current.history.jury).toMatchObject({
+      locked: true,
+      opponentStrikes: [1],
+      seatedIds: [2, 3],
+    });
+    expect(result.current.history.jury.batsonChallenges[0].docketEntry).toContain(
+      "The court disallows the prosecution's strike of Juror #2"
+    );
+
+    await act(async () => {
+      await result.current.triggerAiMotionSubmission();
+    });
+    await act(async () => {
+      await result.current.triggerAiMotionSubmission();
+    });
+    await act(async () => {
+      await result.current.ruleOnMotion({
+        ruling: 'DENIED',
+        opinion: 'The waiver was voluntary.',
+        evidenceStatuses: {},
+      });
+    });
+
+    expect(result.current.history.motion).toMatchObject({ locked: true, ruling: { score: null } });
+    expect(result.current.history.case.evidence[0].status).toBe('admissible');
+
+    await act(async () => {
+      await result.current.requestClosings();
+    });
+    expect(result.current.history.trial.closings).toEqual({
+      prosecution: 'The waiver proves the case.',
+      defense: 'The waiver proves nothing.',
+    });
+
+    await act(async () => {
+      await result.current.renderJudgment({
+        finalRuling: 'Not Guilty',
+        opinion: 'The state did not carry its burden.',
+      });
+    });
+
+    expect(requestLlmJson.mock.calls[7][0].systemPrompt).toContain(
+      'Issues to Score: ["motion_ruling","jury_selection","verdict"]'
+    );
+    expect(result.current.history.disposition.type).toBe(FINAL_DISPOSITIONS.NOT_GUILTY);
+    expect(result.current.history.review.opinion).toBe('Affirmed in all respects.');
+    expect(result.current.history.trial.verdict).toMatchObject({
+      final_ruling: 'Not Guilty',
+      judge_score: 90,
+      final_weighted_score: 82.5,
+    });
+    expect(result.current.history.review.score_breakdown).toMatchObject({
+      computed: 82.5,
+      reported: 90,
+      discrepancy: 7.5,
+    });
+    const runEnded = onShellEvent.mock.calls
+      .map(([event]) => event)
+      .find((event) => event.type === 'RUN_ENDED');
+    expect(runEnded).toBeDefined();
+    expect(loadRunHistory().runs.at(-1)).toMatchObject({ playerRole: 'judge', score: 82.5 });
+  });
+
+  it('runs a hot-seat case with both seats played locally and records the winner', async () => {
+    requestLlmJson
+      .mockResolvedValueOnce(buildLlmResponse(juryCasePayload))
+      .mockResolvedValueOnce(buildLlmResponse(buildMotionRuling()))
+      .mockResolvedValueOnce(
+        buildLlmResponse(
+          buildVerdict({
+            jury_verdict: 'Not Guilty',
+            jury_reasoning: 'Reasonable doubt.',
+            final_ruling: 'Not Guilty',
+            final_weighted_score: 70,
+            deliberation: [
+              {
+                round: 1,
+                votes: [{ juror_id: 3, vote: 'not_guilty', rationale: 'The waiver proves nothing.' }],
+              },
+            ],
+          })
+        )
+      );
+
+    const { result } = renderHook(() => useGameState());
+
+    await act(async () => {
+      await result.current.generateCase(
+        'defense',
+        'normal',
+        JURISDICTIONS.USA,
+        COURT_TYPES.STANDARD,
+        null,
+        { defense: 'Ana', prosecution: '' }
+      );
+    });
+
+    expect(requestLlmJson.mock.calls[0][0].systemPrompt).toContain('TWO-PLAYER CONSTRAINTS');
+    expect(result.current.config.players).toEqual({ defense: 'Ana', prosecution: 'Player 2' });
+    expect(result.current.history.plea).toBeNull();
+
+    await act(async () => {
+      await result.current.submitStrikes([1]);
+    });
+    expect(result.current.history.jury.locked).toBe(false);
+    expect(result.current.history.jury.myStrikes).toEqual([]);
+
+    act(() => {
+      result.current.takeSeat();
+    });
+    expect(result.current.config.role).toBe('prosecution');
+
+    await act(async () => {
+      await result.current.submitStrikes([2]);
+    });
+    expect(result.current.history.jury).toMatchObject({
+      locked: true,
+      opponentStrikes: [1, 2],
+      seatedIds: [3],
+      strikesByRole: { defense: [1], prosecution: [2] },
+    });
+    expect(requestLlmJson).toHaveBeenCalledTimes(1);
+
+    act(() => {
+      result.current.takeSeat();
+    });
+    await act(async () => {
+      await result.current.submitMotionStep('Suppress the waiver.');
+    });
+    await act(async () => {
+      await result.current.triggerAiMotionSubmission();
+    });
+    expect(requestLlmJson).toHaveBeenCalledTimes(1);
+
+    act(() => {
+      result.current.takeSeat();
+    });
+    expect(result.current.config.role).toBe('prosecution');
+    await act(async () => {
+      await result.current.submitMotionStep('The waiver was voluntary.');
+    });
+    await act(async () => {
+      await result.current.requestMotionRuling();
+    });
+    expect(result.current.history.motion.locked).toBe(true);
+
+    await act(async () => {
+      await result.current.submitOpening('The evidence will show a knowing waiver.');
+    });
+    act(() => {
+      result.current.takeSeat();
+    });
+    expect(result.current.config.role).toBe('defense');
+    await act(async () => {
+      await result.current.submitOpening('The evidence will show a frightened defendant.');
+    });
+    expect(result.current.history.trial.openings).toEqual({
+      prosecution: 'The evidence will show a knowing waiver.',
+      defense: 'The evidence will show a frightened defendant.',
+    });
+    expect(requestLlmJson).toHaveBeenCalledTimes(2);
+
+    act(() => {
+      result.current.takeSeat();
+    });
+    expect(result.current.config.role).toBe('prosecution');
+    await act(async () => {
+      await result.current.submitArgument('The waiver proves the case.');
+    });
+    expect(requestLlmJson).toHaveBeenCalledTimes(2);
+    expect(result.current.history.trial.closings).toEqual({
+      prosecution: 'The waiver proves the case.',
+    });
+
+    act(() => {
+      result.current.takeSeat();
+    });
+    expect(result.current.config.role).toBe('defense');
+    await act(async () => {
+      await result.current.submitArgument('The waiver proves nothing.');
+    });
+
+    expect(requestLlmJson.mock.calls[2][0].systemPrompt).toContain(
+      'Closing Arguments (compliant-only)'
+    );
+    expect(requestLlmJson.mock.calls[2][0].systemPrompt).toContain(
+      'Opening Statements (compliant-only)'
+    );
+    expect(result.current.history.disposition.type).toBe(FINAL_DISPOSITIONS.NOT_GUILTY);
+    expect(result.current.history.counselNotesByRole).toEqual({
+      defense: expect.any(String),
+      prosecution: expect.any(String),
+    });
+    expect(loadRunHistory().runs.at(-1)).toMatchObject({
+      playerRole: null,
+      players: { defense: 'Ana', prosecution: 'Player 2' },
+      winner: 'defense',
+    });
+  });
+
+  it('logs once when verdict text disagrees with its structured disposition', async () => {
+    requestLlmJson
+      .mockResolvedValueOnce(buildLlmResponse(benchCasePayload))
+      .mockResolvedValueOnce(opposingClosingResponse)
+      .mockResolvedValueOnce(
+        buildLlmResponse(
+          buildVerdict({
+            jury_reasoning: 'N/A',
+            final_ruling: 'Guilty on the charge of dismissing an officer.',
+            disposition: FINAL_DISPOSITIONS.GUILTY,
+          })
+        )
+      );
+
+    const { result } = renderHook(() => useGameState());
+
+    await act(async () => {
+      await result.current.generateCase('defense', 'normal', JURISDICTIONS.USA, COURT_TYPES.STANDARD);
+    });
+
+    act(() => {
+      result.current.history.motion = {
+        ...result.current.history.motion,
+        ruling: buildMotionRuling({ score: 40 }),
+        motionPhase: 'motion_ruling_locked',
+        locked: true,
+      };
+    });
+
+    await closeTrial(result, 'Closing statement.');
+
+    expect(result.current.history.disposition.type).toBe(FINAL_DISPOSITIONS.GUILTY);
+    const conflictEvents = getDebugState()
+      .events.map((event) => event.message)
+      .filter((message) => message.includes('disagrees with its final ruling text'));
+    expect(conflictEvents).toEqual([
+      'Verdict disposition "guilty" disagrees with its final ruling text ("dismissed"); using the structured disposition.',
+    ]);
+  });
+
+  it('keeps a guilty verdict left before sentencing when a new case is started', async () => {
+    requestLlmJson
+      .mockResolvedValueOnce(buildLlmResponse(benchCasePayload))
+      .mockResolvedValueOnce(opposingClosingResponse)
+      .mockResolvedValueOnce(
+        buildLlmResponse(
+          buildVerdict({
+            jury_reasoning: 'N/A',
+            final_ruling: 'Guilty',
+            disposition: FINAL_DISPOSITIONS.GUILTY,
+            judge_score: 40,
+            final_weighted_score: 40,
+          })
+        )
+      );
+
+    const onShellEvent = vi.fn();
+    const { result } = renderHook(() => useGameState({ onShellEvent }));
+
     await act(async () => {
-      await result.current.submitArgument('Closing statement.');
+      await result.current.generateCase('defense', 'normal', JURISDICTIONS.USA, COURT_TYPES.STANDARD);
     });
 
-    const runEndedEvent = onShellEvent.mock.calls
+    act(() => {
+      result.current.history.motion = {
+        ...result.current.history.motion,
+        ruling: buildMotionRuling({ score: 40 }),
+        motionPhase: 'motion_ruling_locked',
+        locked: true,
+      };
+    });
+
+    await closeTrial(result, 'Closing statement.');
+
+    act(() => {
+      result.current.resetGame();
+    });
+
+    const runEndedEvents = onShellEvent.mock.calls
       .map(([event]) => event)
-      .find((event) => event.type === 'RUN_ENDED');
+      .filter((event) => event.type === 'RUN_ENDED');
+    expect(runEndedEvents).toHaveLength(1);
+    expect(runEndedEvents[0].payload.caseHistoryId).toEqual(expect.any(String));
+    expect(loadRunHistory().runs[0]).toMatchObject({
+      outcome: FINAL_DISPOSITIONS.GUILTY,
+      score: 40,
+      sentence: null,
+    });
+    expect(loadPlayerProfile().caseHistory[0].outcome).toBe(FINAL_DISPOSITIONS.GUILTY);
+  });
 
-    expect(runEndedEvent).toEqual(
+  it('holds a sentencing hearing after a guilty verdict before ending the run', async () => {
+    requestLlmJson
+      .mockResolvedValueOnce(buildLlmResponse(benchCasePayload))
+      .mockResolvedValueOnce(opposingClosingResponse)
+      .mockResolvedValueOnce(
+        buildLlmResponse(
+          buildVerdict({
+            jury_reasoning: 'N/A',
+            final_ruling: 'Guilty',
+            disposition: FINAL_DISPOSITIONS.GUILTY,
+            judge_score: 40,
+            final_weighted_score: 40,
+          })
+        )
+      )
+      .mockResolvedValueOnce(buildLlmResponse({ text: 'The State asks for 60 months.' }))
+      .mockResolvedValueOnce(
+        buildLlmResponse({
+          term: 12,
+          sentence_text: 'Twelve months, suspended.',
+          reasoning: 'No prior record.',
+          docket_entry: 'Sentence imposed: 12 months.',
+        })
+      );
+
+    const onShellEvent = vi.fn();
+    const { result } = renderHook(() => useGameState({ onShellEvent }));
+
+    await act(async () => {
+      await result.current.generateCase('defense', 'normal', JURISDICTIONS.USA, COURT_TYPES.STANDARD);
+    });
+
+    act(() => {
+      result.current.history.motion = {
+        ...result.current.history.motion,
+        ruling: buildMotionRuling({ score: 40 }),
+        motionPhase: 'motion_ruling_locked',
+        locked: true,
+      };
+    });
+
+    await closeTrial(result, 'Closing statement.');
+
+    const findRunEnded = () =>
+      onShellEvent.mock.calls.map(([event]) => event).find((event) => event.type === 'RUN_ENDED');
+    expect(result.current.history.disposition.type).toBe(FINAL_DISPOSITIONS.GUILTY);
+    expect(result.current.history.sentencing).toEqual(
+      expect.objectContaining({ sentence: null, locked: false })
+    );
+    expect(findRunEnded()).toBeUndefined();
+
+    await act(async () => {
+      await result.current.submitSentencingMemo('First offense; the defense asks for probation.');
+    });
+
+    expect(requestLlmJson.mock.calls[3][0]).toMatchObject({ responseLabel: 'sentencing_memo' });
+    const sentencingPrompt = requestLlmJson.mock.calls[4][0].systemPrompt;
+    expect(sentencingPrompt).toContain('Sentencing Range: 0-120 months.');
+    expect(sentencingPrompt).toContain(
+      'Defense Sentencing Memorandum: "First offense; the defense asks for probation."'
+    );
+    expect(sentencingPrompt).toContain(
+      'Prosecution Sentencing Memorandum: "The State asks for 60 months."'
+    );
+    expect(result.current.history.sentencing.sentence).toEqual(
       expect.objectContaining({
-        type: 'RUN_ENDED',
-        payload: expect.objectContaining({
-          disposition: expect.objectContaining({
-            type: FINAL_DISPOSITIONS.NOT_GUILTY,
-          }),
-          sanctions: expect.objectContaining({
-            before: expect.objectContaining({ state: SANCTION_STATES.CLEAN }),
-            after: expect.objectContaining({ state: SANCTION_STATES.CLEAN }),
-          }),
-        }),
+        term: 12,
+        unit: 'months',
+        scoreAdjustment: 12,
+        adjustedScore: 52,
+        salvaged: true,
       })
     );
-    expect(result.current.runOutcome.disposition.type).toBe(FINAL_DISPOSITIONS.NOT_GUILTY);
-    expect(result.current.gameState).toBe(GAME_STATES.PLAYING);
+    expect(findRunEnded().payload.sentence).toEqual(
+      expect.objectContaining({ term: 12, adjustedScore: 52 })
+    );
+    expect(loadRunHistory().runs[0]).toMatchObject({
+      outcome: FINAL_DISPOSITIONS.GUILTY,
+      score: 52,
+      sentence: { term: 12, unit: 'months', scoreAdjustment: 12 },
+    });
+
+    await act(async () => {
+      await result.current.handleCopyFull();
+    });
+
+    expect(copyToClipboard.mock.calls[0][0]).toContain(
+      'SENTENCE:\nSentence imposed: 12 months.\nTERM: 12 months (range 0-120)'
+    );
+    expect(copyToClipboard.mock.calls[0][0]).toContain(
+      'SENTENCING ADJUSTMENT: +12 (ADJUSTED SCORE: 52)'
+    );
+  });
+
+  it('saves appealable case history and retries a remanded case without regenerating it', async () => {
+    requestLlmJson
+      .mockResolvedValueOnce(buildLlmResponse(benchCasePayload))
+      .mockResolvedValueOnce(opposingClosingResponse)
+      .mockResolvedValueOnce(
+        buildLlmResponse(buildVerdict({ jury_reasoning: 'N/A', final_ruling: 'Not Guilty' }))
+      );
+
+    const onShellEvent = vi.fn();
+    const { result } = renderHook(() => useGameState({ onShellEvent }));
+
+    await act(async () => {
+      await result.current.generateCase(
+        'prosecution',
+        'normal',
+        JURISDICTIONS.CANADA,
+        COURT_TYPES.STANDARD
+      );
+    });
+
+    act(() => {
+      result.current.history.case.evidence[1].status = 'suppressed';
+      result.current.history.motion = {
+        ...result.current.history.motion,
+        ruling: buildMotionRuling(),
+        motionPhase: 'motion_ruling_locked',
+        locked: true,
+      };
+    });
+
+    await closeTrial(result, 'Closing statement.');
+
+    const runEnded = onShellEvent.mock.calls
+      .map(([event]) => event)
+      .find((event) => event.type === 'RUN_ENDED');
+    const savedCase = loadPlayerProfile().caseHistory[0];
+    expect(runEnded.payload.caseHistoryId).toBe(savedCase.id);
+    expect(savedCase).toMatchObject({
+      outcome: FINAL_DISPOSITIONS.NOT_GUILTY,
+      playerRole: 'prosecution',
+      jurisdiction: JURISDICTIONS.CANADA,
+      difficulty: 'normal',
+      retrialOf: null,
+    });
+    expect(canAppeal(savedCase)).toBe(true);
+
+    const retrialPayload = buildRetrialPayload({
+      ...savedCase,
+      appeal: {
+        ruling: {
+          disposition: 'remanded',
+          errorsFound: [{ issue: 'motion_ruling', finding: 'The memo was wrongly admitted.' }],
+          opinion: 'The judgment is vacated.',
+          remandInstructions: 'Reconsider the memo.',
+          docketEntry: 'Appeal: Remanded for a new trial.',
+        },
+      },
+    });
+
+    await act(async () => {
+      await result.current.generateCase(
+        retrialPayload.role,
+        retrialPayload.difficulty,
+        retrialPayload.jurisdiction,
+        retrialPayload.courtType,
+        retrialPayload.retrial
+      );
+    });
+
+    expect(requestLlmJson).toHaveBeenCalledTimes(3);
+    expect(result.current.config).toMatchObject({
+      role: 'prosecution',
+      jurisdiction: JURISDICTIONS.CANADA,
+    });
+    expect(result.current.history.case.title).toBe(benchCasePayload.title);
+    expect(result.current.history.case.evidence.map((item) => item.status)).toEqual([
+      'admissible',
+      'admissible',
+    ]);
+    expect(result.current.history.case.appellate_ruling).toMatchObject({
+      disposition: 'remanded',
+      remand_instructions: 'Reconsider the memo.',
+    });
+    expect(result.current.history.motion.ruling).toBeNull();
+
+    await act(async () => {
+      await result.current.handleCopyFull();
+    });
+
+    expect(copyToClipboard.mock.calls[0][0]).toContain(
+      'ON REMAND: REMANDED\nThe judgment is vacated.\nInstructions: Reconsider the memo.'
+    );
   });
 
   it('ends the run on a mistrial verdict and blocks further submissions', async () => {
     requestLlmJson
       .mockResolvedValueOnce(buildLlmResponse(benchCasePayload))
+      .mockResolvedValueOnce(opposingClosingResponse)
       .mockResolvedValueOnce(
         buildLlmResponse(
           buildVerdict({
             final_ruling: 'Mistrial declared.',
+            disposition: FINAL_DISPOSITIONS.MISTRIAL_CONDUCT,
             final_weighted_score: 0,
             judge_opinion: 'The court declares a mistrial.',
             jury_reasoning: 'N/A',
@@ -2081,9 +3456,7 @@ describe('useGameState transitions', () => {
       };
     });
 
-    await act(async () => {
-      await result.current.submitArgument('Closing statement.');
-    });
+    await closeTrial(result, 'Closing statement.');
 
     const runEndedEvent = onShellEvent.mock.calls
       .map(([event]) => event)
@@ -2105,7 +3478,86 @@ describe('useGameState transitions', () => {
     });
 
     expect(result.current.error).toBe('This case has already reached a terminal disposition.');
-    expect(requestLlmJson).toHaveBeenCalledTimes(2);
+    expect(requestLlmJson).toHaveBeenCalledTimes(3);
+  });
+
+  it('derives a hung-jury mistrial from a split deliberation tally', async () => {
+    const buildRound = (round, secondVote) => ({
+      round,
+      votes: [
+        { juror_id: 1, vote: 'guilty', rationale: ' The footage settles it. ' },
+        { juror_id: 2, vote: secondVote, rationale: 'The expert never placed him there.' },
+      ],
+    });
+    requestLlmJson
+      .mockResolvedValueOnce(buildLlmResponse(juryCasePayload))
+      .mockResolvedValueOnce(
+        buildLlmResponse({
+          opponent_strikes: [3],
+          seated_juror_ids: [1, 2],
+          judge_comment: 'Seated.',
+        })
+      )
+      .mockResolvedValueOnce(opposingClosingResponse)
+      .mockResolvedValueOnce(
+        buildLlmResponse(
+          buildVerdict({
+            jury_verdict: 'Guilty',
+            jury_reasoning: 'The panel could not agree.',
+            jury_score: 40,
+            final_ruling: 'The jury is deadlocked and the court declares a mistrial.',
+            disposition: FINAL_DISPOSITIONS.MISTRIAL_HUNG_JURY,
+            deliberation: [
+              buildRound(1, 'not_guilty'),
+              buildRound(2, 'not_guilty'),
+              buildRound(3, 'not_guilty'),
+            ],
+          })
+        )
+      );
+
+    const onShellEvent = vi.fn();
+    const { result } = renderHook(() => useGameState({ onShellEvent }));
+
+    await act(async () => {
+      await result.current.generateCase('defense', 'normal', JURISDICTIONS.USA, COURT_TYPES.STANDARD);
+    });
+    await act(async () => {
+      await result.current.submitStrikes([]);
+    });
+
+    act(() => {
+      result.current.history.motion = {
+        motionText: 'Motion text.',
+        motionBy: 'defense',
+        rebuttalText: 'Rebuttal text.',
+        rebuttalBy: 'prosecution',
+        ruling: buildMotionRuling(),
+        motionPhase: 'motion_ruling_locked',
+        locked: true,
+      };
+    });
+
+    await closeTrial(result, 'Closing statement.');
+
+    expect(requestLlmJson.mock.calls[3][0].systemPrompt).toContain('holdouts may flip');
+    const verdict = result.current.history.trial.verdict;
+    expect(verdict.jury_verdict).toBe('Hung');
+    expect(verdict.deliberation[0].votes[0].rationale).toBe('The footage settles it.');
+    expect(result.current.history.disposition).toMatchObject({
+      type: FINAL_DISPOSITIONS.MISTRIAL_HUNG_JURY,
+      summary: 'Mistrial (Hung Jury)',
+    });
+
+    await act(async () => {
+      await result.current.handleCopyFull();
+    });
+
+    const docket = copyToClipboard.mock.calls[0][0];
+    expect(docket).toContain('JURY VOTE: Guilty 1, Not Guilty 1 (Hung) after 3 rounds');
+    expect(docket).toContain(
+      'J2 (#2): Not Guilty -> Not Guilty -> Not Guilty - "The expert never placed him there."'
+    );
   });
 
   it('blocks verdict submissions once a terminal disposition is set', async () => {
@@ -2176,6 +3628,38 @@ describe('useGameState transitions', () => {
     expect(copiedText).not.toContain('...');
   });
 
+  it('exports the live docket as an HTML filing and a re-importable archive', async () => {
+    requestLlmJson.mockResolvedValueOnce(buildLlmResponse(benchCasePayload));
+
+    const { result } = renderHook(() => useGameState());
+
+    await act(async () => {
+      await result.current.generateCase('defense', 'normal', JURISDICTIONS.USA, COURT_TYPES.STANDARD);
+    });
+
+    act(() => {
+      expect(result.current.exportDocket('html', 12345)).toBe(true);
+      expect(result.current.exportDocket('archive', 12345)).toBe(true);
+    });
+
+    const [filename, html, mimeType] = downloadTextFile.mock.calls[0];
+    expect(filename).toBe('pocketcourt-docket-12345-bench-trial.html');
+    expect(mimeType).toBe('text/html');
+    expect(html).toContain('<p class="court">In the Trial Court · USA</p>');
+    expect(html).toContain('<p>Docket No. 12345</p>');
+    expect(html).toContain('<p class="line">Hon. River</p>');
+
+    const imported = parseDocketArchive(downloadTextFile.mock.calls[1][1]);
+    expect(imported).toMatchObject({
+      caseName: 'Bench Trial',
+      outcome: null,
+      playerRole: 'defense',
+      docketNumber: 12345,
+      imported: true,
+    });
+    expect(imported.docketSnapshot.sections.case.title).toBe('Bench Trial');
+  });
+
   it('strips markdown from motion and trial text when copying full docket', async () => {
     requestLlmJson.mockResolvedValueOnce(buildLlmResponse(benchCasePayload));
 
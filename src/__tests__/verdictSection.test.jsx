@@ -31,4 +31,74 @@ describe('VerdictSection', () => {
     expect(judgeCard).toHaveClass('rounded-lg');
     expect(juryCard).toHaveClass('rounded-lg');
   });
+
+  it('shows each juror\'s votes by round and reveals their hidden biases', () => {
+    const result = {
+      final_weighted_score: 70,
+      final_ruling: 'Guilty',
+      judge_opinion: 'Bench opinion.',
+      jury_verdict: 'Guilty',
+      jury_reasoning: 'Unanimous after a second round.',
+      deliberation: [
+        {
+          round: 1,
+          votes: [
+            { juror_id: 1, vote: 'guilty', rationale: 'The gnome was on his porch.' },
+            { juror_id: 2, vote: 'not_guilty', rationale: 'Not yet.' },
+          ],
+        },
+        {
+          round: 2,
+          votes: [
+            { juror_id: 1, vote: 'guilty', rationale: 'The gnome was on his porch.' },
+            { juror_id: 2, vote: 'guilty', rationale: 'The receipt convinced me.' },
+          ],
+        },
+      ],
+    };
+    const jurors = [
+      { id: 1, name: 'Alvin Reyes', hidden_bias: 'Has had his own lawn ornaments stolen.' },
+      { id: 2, name: 'Bea Lindqvist', hidden_bias: 'Believes most disputes are exaggerated.' },
+    ];
+
+    render(<VerdictSection result={result} jurors={jurors} />);
+
+    expect(screen.getByText('Guilty 2, Not Guilty 0 (Guilty) after 2 rounds')).toBeInTheDocument();
+    expect(screen.getByText('Round 2')).toBeInTheDocument();
+    expect(
+      screen.getByText('Hidden bias: Has had his own lawn ornaments stolen.')
+    ).toBeInTheDocument();
+    expect(screen.getByText('“The receipt convinced me.”')).toBeInTheDocument();
+    expect(screen.getAllByText('Flipped')).toHaveLength(1);
+  });
+
+  it('shows how each phase contributed to a score the court recomputed', () => {
+    const result = {
+      final_weighted_score: 67,
+      final_ruling: 'Not Guilty',
+      judge_opinion: 'Bench opinion.',
+      jury_verdict: 'Not Guilty',
+      jury_reasoning: 'Reasonable doubt.',
+      score_breakdown: {
+        components: [
+          { phase: 'motion', score: 50, weight: 0.2, points: 10 },
+          { phase: 'judge', score: 80, weight: 0.45, points: 36 },
+          { phase: 'jury', score: 60, weight: 0.35, points: 21 },
+        ],
+        computed: 67,
+        reported: 88,
+        discrepancy: 21,
+      },
+    };
+
+    render(<VerdictSection result={result} />);
+
+    expect(screen.getByText('67')).toBeInTheDocument();
+    expect(screen.getByText('Judge 80 × 45% = 36')).toBeInTheDocument();
+    expect(screen.getByText('Jury 60 × 35% = 21')).toBeInTheDocument();
+    expect(
+      screen.getByText("The model reported 88; the court's computation stands.")
+    ).toBeInTheDocument();
+    expect(screen.queryByText('Legendary Outcome')).not.toBeInTheDocument();
+  });
 });
@@ -0,0 +1,68 @@
+import { describe, expect, it } from 'vitest';
+import { LlmClientError, parseVoirDireResponse } from '../lib/llmClient';
+import {
+  VOIR_DIRE_PANEL,
+  buildVoirDireRecord,
+  getVoirDireTargets,
+  getVoirDireTranscript,
+  recordVoirDireAnswers,
+} from '../lib/voirDire';
+
+const pool = [
+  { id: 1, name: 'Alvin Reyes', job: 'Postal carrier', status: 'eligible' },
+  { id: 2, name: 'Bea Lindqvist', job: 'Retired librarian', status: 'eligible' },
+];
+
+describe('voir dire', () => {
+  it('resolves a single juror or the whole panel as the question target', () => {
+    expect(getVoirDireTargets(pool, VOIR_DIRE_PANEL)).toEqual(pool);
+    expect(getVoirDireTargets(pool, '2')).toEqual([pool[1]]);
+    expect(getVoirDireTargets(pool, 9)).toEqual([]);
+  });
+
+  it('records answers on each questioned juror and rebuilds the transcript', () => {
+    const question = { id: 'q-1', target: VOIR_DIRE_PANEL, question: 'Ever had anything stolen?' };
+    const jurors = recordVoirDireAnswers(pool, question, [
+      { juror_id: 1, answer: 'Once, from my own front yard.' },
+    ]);
+
+    expect(jurors[0].voir_dire).toEqual([
+      {
+        questionId: 'q-1',
+        question: 'Ever had anything stolen?',
+        answer: 'Once, from my own front yard.',
+      },
+    ]);
+    expect(jurors[1]).toBe(pool[1]);
+    expect(getVoirDireTranscript([question], jurors)[0].answers).toEqual([
+      { jurorId: 1, name: 'Alvin Reyes', answer: 'Once, from my own front yard.' },
+    ]);
+    expect(buildVoirDireRecord(jurors)).toEqual([
+      {
+        id: 1,
+        name: 'Alvin Reyes',
+        answers: [{ question: 'Ever had anything stolen?', answer: 'Once, from my own front yard.' }],
+      },
+    ]);
+  });
+
+  it('requires exactly one answer from every questioned juror', () => {
+    const parsed = parseVoirDireResponse(
+      {
+        answers: [
+          { juror_id: 2, answer: ' Most disputes are overblown. ' },
+          { juror_id: 1, answer: 'I walk that street daily.' },
+        ],
+      },
+      [1, 2]
+    );
+
+    expect(parsed.answers).toEqual([
+      { juror_id: 1, answer: 'I walk that street daily.' },
+      { juror_id: 2, answer: 'Most disputes are overblown.' },
+    ]);
+    expect(() =>
+      parseVoirDireResponse({ answers: [{ juror_id: 3, answer: 'Who, me?' }] }, [1])
+    ).toThrow(LlmClientError);
+  });
+});
@@ -0,0 +1,65 @@
+import React from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import { describe, expect, it, vi } from 'vitest';
+import WitnessSection from '../components/docket/WitnessSection';
+
+globalThis.React = React;
+
+const witnesses = [
+  { name: 'Dana Reyes', role: 'Security guard', statement: 'I saw the van.' },
+  { name: 'Sam Ortiz', role: 'Driver', statement: 'I was home.' },
+];
+
+describe('WitnessSection', () => {
+  it('asks the selected witness a cross-examination question', async () => {
+    const onAsk = vi.fn().mockResolvedValue(true);
+    render(
+      <WitnessSection
+        witnesses={witnesses}
+        transcript={[]}
+        isLocked={false}
+        isLoading={false}
+        onAsk={onAsk}
+        onRest={vi.fn()}
+      />
+    );
+
+    fireEvent.change(screen.getByLabelText('Witness'), { target: { value: '2' } });
+    fireEvent.click(screen.getByRole('button', { name: 'cross' }));
+    fireEvent.change(screen.getByLabelText('Question for the witness'), {
+      target: { value: 'Where were you?' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'Ask Witness' }));
+
+    expect(onAsk).toHaveBeenCalledWith(2, 'cross', 'Where were you?');
+    expect(await screen.findByLabelText('Question for the witness')).toHaveValue('');
+  });
+
+  it('shows the citable transcript once examination is rested', () => {
+    render(
+      <WitnessSection
+        witnesses={witnesses}
+        transcript={[
+          {
+            id: 't-1',
+            witnessNumber: 1,
+            type: 'direct',
+            askedBy: 'defense',
+            question: 'What did you see?',
+            answer: 'A blue van.',
+            timestamp: '2024-01-01T00:00:00.000Z',
+          },
+        ]}
+        isLocked
+        isLoading={false}
+        onAsk={vi.fn()}
+        onRest={vi.fn()}
+      />
+    );
+
+    expect(screen.getByText(/Witness #1 testimony · Dana Reyes/)).toBeInTheDocument();
+    expect(screen.getByText('A blue van.')).toBeInTheDocument();
+    expect(screen.getByText('Not called.')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Ask Witness' })).not.toBeInTheDocument();
+  });
+});
@@ -8,6 +8,7 @@ import {
 
 const fallbackDebugState = Object.freeze({
   events: [],
+  repairAttempts: [],
   lastAction: null,
   flags: {
     bypassJuryLlm: false,
@@ -212,6 +213,28 @@ export default function DebugOverlay({
             )}
           </div>
 
+          <div>
+            <div className="font-semibold text-slate-700">LLM Repair Attempts</div>
+            <ul className="mt-1 space-y-1">
+              {debugState.repairAttempts.length === 0 ? (
+                <li className="text-slate-500">—</li>
+              ) : (
+                debugState.repairAttempts.map((entry) => (
+                  <li
+                    key={`${entry.timestamp}-${entry.responseLabel}-${entry.attempt}`}
+                    className="border-b border-slate-100 pb-1"
+                  >
+                    <div className="text-[10px] text-slate-500">
+                      {entry.responseLabel} {entry.attempt}/{entry.maxAttempts} ·{' '}
+                      {formatText(entry.outcome)}
+                    </div>
+                    <div>{formatText(entry.failure)}</div>
+                  </li>
+                ))
+              )}
+            </ul>
+          </div>
+
           <div>
             <div className="font-semibold text-slate-700">Dev Toggles</div>
             <label className="mt-2 flex items-center gap-2">
@@ -1,10 +1,37 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { Gavel as GavelIcon } from 'lucide-react';
 import ActionFooter from '../layout/ActionFooter';
 import ExpandableMarkdown from '../shared/ExpandableMarkdown';
+import ObjectionPanel from './ObjectionPanel';
+import { getRoleLabel } from '../../lib/civil';
+import { HOT_SEAT_TRIAL_ORDER } from '../../lib/hotSeat';
+import { getObjectionsForSource } from '../../lib/objections';
+
+/** @typedef {import('../../lib/types').ObjectionEntry} ObjectionEntry */
 
 /**
- * Collects the closing argument and displays it once the trial phase is locked.
+ * Renders one closing argument under its heading.
+ *
+ * @param {object} props - Component props.
+ * @param {string} props.title - Heading for the closing.
+ * @param {string} props.text - Closing argument text.
+ * @returns {JSX.Element} The closing argument block.
+ */
+const ClosingText = ({ title, text }) => (
+  <div className="mb-4 last:mb-0">
+    <h4 className="text-xs font-bold text-slate-400 uppercase mb-1">{title}</h4>
+    <ExpandableMarkdown
+      text={text}
+      previewLines={4}
+      className="font-serif text-slate-800 whitespace-pre-wrap"
+    />
+  </div>
+);
+
+/**
+ * Collects the closing argument, then the rebuttal once opposing counsel has answered it, and
+ * displays the exchange once the trial phase is locked. In hot-seat mode the defense reads the
+ * prosecution's closing before answering, and both show once locked.
  *
  * @param {object} props - Component props.
  * @param {(text: string) => void} props.onSubmit - Callback to submit the argument text.
@@ -13,6 +40,16 @@ import ExpandableMarkdown from '../shared/ExpandableMarkdown';
  * @param {boolean} props.isLocked - Whether the trial phase is finalized.
  * @param {boolean} props.isJuryTrial - Whether the case is a jury trial.
  * @param {string} props.submittedText - Closing argument stored in the docket history.
+ * @param {Partial<Record<import('../../lib/types').PlayerRole, string>>} [props.closings] - Each
+ * seat's closing in hot-seat mode.
+ * @param {import('../../lib/types').PlayerRole} [props.playerRole] - Seat currently arguing.
+ * @param {{text: string, submittedBy: import('../../lib/types').PlayerRole}} [props.opposingClosing]
+ * - Opposing counsel's closing, once delivered.
+ * @param {string} [props.rebuttal] - The player's rebuttal stored in the docket history.
+ * @param {boolean} [props.isLoading] - Whether a request is in flight.
+ * @param {ObjectionEntry[]} [props.objections] - Objections raised during the case.
+ * @param {(source: string, passage: string, ground: string) => Promise<boolean>} [props.onObject] -
+ * Callback to object to the opposing closing; omit to hide objection controls.
  * @returns {JSX.Element} The argument section UI.
  */
 const ArgumentSection = ({
@@ -22,8 +59,53 @@ const ArgumentSection = ({
   isLocked,
   isJuryTrial,
   submittedText = '',
+  closings,
+  playerRole,
+  opposingClosing,
+  rebuttal = '',
+  isLoading = false,
+  objections = [],
+  onObject,
 }) => {
   const [text, setText] = useState('');
+  const closingRoles = HOT_SEAT_TRIAL_ORDER.filter((role) => closings?.[role]);
+  const isRebuttal = Boolean(opposingClosing?.text);
+
+  const renderExchange = () => (
+    <>
+      <ClosingText title="Closing Argument" text={submittedText} />
+      <div className="mb-4 last:mb-0">
+        <h4 className="text-xs font-bold text-slate-400 uppercase mb-1">
+          {getRoleLabel(opposingClosing.submittedBy)} Closing
+        </h4>
+        {onObject ? (
+          <ObjectionPanel
+            source="closing"
+            objections={getObjectionsForSource(objections, 'closing')}
+            isLoading={isLoading}
+            onObject={onObject}
+          >
+            <ExpandableMarkdown
+              text={opposingClosing.text}
+              previewLines={4}
+              className="font-serif text-slate-800 whitespace-pre-wrap"
+            />
+          </ObjectionPanel>
+        ) : (
+          <ExpandableMarkdown
+            text={opposingClosing.text}
+            previewLines={4}
+            className="font-serif text-slate-800 whitespace-pre-wrap"
+          />
+        )}
+      </div>
+    </>
+  );
+
+  useEffect(() => {
+    // eslint-disable-next-line react-hooks/set-state-in-effect
+    setText('');
+  }, [isRebuttal]);
 
   const handleAutoGenerate = async (mode) => {
     if (!onAutoGenerate) return;
@@ -36,20 +118,36 @@ const ArgumentSection = ({
   if (isLocked) {
     return (
       <div className="bg-white p-6 rounded-lg border border-slate-200 animate-in fade-in">
-        <h4 className="text-xs font-bold text-slate-400 uppercase mb-1">Closing Argument</h4>
-        <ExpandableMarkdown
-          text={submittedText}
-          previewLines={4}
-          className="font-serif text-slate-800 whitespace-pre-wrap"
-        />
+        {closings ? (
+          closingRoles.map((role) => (
+            <ClosingText key={role} title={`${getRoleLabel(role)} Closing`} text={closings[role]} />
+          ))
+        ) : isRebuttal ? (
+          <>
+            {renderExchange()}
+            {rebuttal && <ClosingText title="Rebuttal" text={rebuttal} />}
+          </>
+        ) : (
+          <ClosingText title="Closing Argument" text={submittedText} />
+        )}
       </div>
     );
   }
 
   return (
     <div className="bg-white p-6 rounded-lg border border-slate-200 shadow-sm animate-in fade-in slide-in-from-bottom-4">
+      {closingRoles
+        .filter((role) => role !== playerRole)
+        .map((role) => (
+          <ClosingText key={role} title={`${getRoleLabel(role)} Closing`} text={closings[role]} />
+        ))}
+      {isRebuttal && renderExchange()}
       <p className="text-sm text-slate-600 mb-3">
-        {isJuryTrial ? 'Address the Jury (Facts) and Judge (Law).' : 'Address the Judge (Law & Facts).'}
+        {isRebuttal
+          ? 'Answer the opposing closing. Your rebuttal is the last word before the verdict.'
+          : isJuryTrial
+          ? 'Address the Jury (Facts) and Judge (Law).'
+          : 'Address the Judge (Law & Facts).'}
       </p>
       <textarea
         className="w-full h-48 p-4 border border-slate-300 rounded font-serif text-lg text-slate-800 mb-4 focus:ring-2 focus:ring-amber-500 outline-none"
@@ -81,7 +179,7 @@ const ArgumentSection = ({
           disabled={!text.trim()}
           className="bg-amber-500 text-white px-8 py-3 rounded font-bold hover:bg-amber-600 flex items-center gap-2"
         >
-          Rest Case <GavelIcon className="w-4 h-4" />
+          {isRebuttal ? 'Deliver Rebuttal' : 'Rest Case'} <GavelIcon className="w-4 h-4" />
         </button>
       </ActionFooter>
     </div>
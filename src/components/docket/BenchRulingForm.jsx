@@ -0,0 +1,128 @@
+import { useState } from 'react';
+import ActionFooter from '../layout/ActionFooter';
+
+/** @typedef {import('../../lib/types').EvidenceItem} EvidenceItem */
+
+const RULING_OPTIONS = ['GRANTED', 'DENIED', 'PARTIALLY GRANTED'];
+
+/**
+ * Lets the presiding player rule on the pre-trial motion: the disposition, an admissibility call
+ * on each evidence item, whether the case is dismissed, and a written opinion.
+ *
+ * @param {object} props - Component props.
+ * @param {EvidenceItem[]} props.evidence - Evidence items to rule on.
+ * @param {boolean} props.isLoading - Whether a request is in flight.
+ * @param {(ruling: {
+ *   ruling: string,
+ *   opinion: string,
+ *   evidenceStatuses: Record<number, import('../../lib/types').EvidenceStatus>,
+ *   dismissal: {isDismissed: boolean, withPrejudice: boolean},
+ * }) => unknown} props.onRule - Callback to enter the ruling.
+ * @returns {JSX.Element} The bench ruling form.
+ */
+const BenchRulingForm = ({ evidence, isLoading, onRule }) => {
+  const [ruling, setRuling] = useState('DENIED');
+  const [suppressedIds, setSuppressedIds] = useState([]);
+  const [isDismissed, setIsDismissed] = useState(false);
+  const [withPrejudice, setWithPrejudice] = useState(false);
+  const [opinion, setOpinion] = useState('');
+  const canDismiss = ruling === 'GRANTED';
+
+  const toggleSuppressed = (id) =>
+    setSuppressedIds((prev) =>
+      prev.includes(id) ? prev.filter((entry) => entry !== id) : [...prev, id]
+    );
+
+  const handleSubmit = () =>
+    onRule({
+      ruling,
+      opinion,
+      evidenceStatuses: Object.fromEntries(
+        evidence.map((item) => [
+          item.id,
+          suppressedIds.includes(item.id) ? 'suppressed' : 'admissible',
+        ])
+      ),
+      dismissal: { isDismissed: canDismiss && isDismissed, withPrejudice },
+    });
+
+  return (
+    <div className="mt-4 bg-white p-6 rounded-lg border border-slate-200 shadow-sm">
+      <p className="text-sm text-slate-600 mb-4">
+        Rule on the motion. Your ruling is reviewed for legal soundness once the case closes.
+      </p>
+      <label className="block text-xs font-bold text-slate-400 uppercase mb-1" htmlFor="bench-ruling">
+        Ruling
+      </label>
+      <select
+        id="bench-ruling"
+        value={ruling}
+        onChange={(event) => setRuling(event.target.value)}
+        className="border border-slate-300 rounded px-3 py-2 text-sm mb-4"
+      >
+        {RULING_OPTIONS.map((option) => (
+          <option key={option} value={option}>
+            {option}
+          </option>
+        ))}
+      </select>
+      <h4 className="text-xs font-bold text-slate-400 uppercase mb-1">Evidence</h4>
+      <ul className="space-y-1 mb-4">
+        {evidence.map((item) => (
+          <li key={item.id} className="text-sm text-slate-700">
+            <label className="flex items-start gap-2">
+              <input
+                type="checkbox"
+                checked={suppressedIds.includes(item.id)}
+                onChange={() => toggleSuppressed(item.id)}
+                className="mt-1"
+              />
+              <span>
+                Suppress #{item.id}: {item.text}
+              </span>
+            </label>
+          </li>
+        ))}
+      </ul>
+      <div className="flex flex-wrap gap-4 mb-4 text-sm text-slate-700">
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={canDismiss && isDismissed}
+            disabled={!canDismiss}
+            onChange={(event) => setIsDismissed(event.target.checked)}
+          />
+          Dismiss the case
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={withPrejudice}
+            disabled={!canDismiss || !isDismissed}
+            onChange={(event) => setWithPrejudice(event.target.checked)}
+          />
+          With prejudice
+        </label>
+      </div>
+      <textarea
+        aria-label="Opinion"
+        className="w-full h-32 p-4 border border-slate-300 rounded mb-2 font-serif text-slate-800 focus:ring-2 focus:ring-indigo-500 outline-none"
+        placeholder="The court finds..."
+        value={opinion}
+        onChange={(event) => setOpinion(event.target.value)}
+      />
+      <ActionFooter>
+        <button
+          type="button"
+          onClick={handleSubmit}
+          disabled={!opinion.trim() || isLoading}
+          className="bg-indigo-600 text-white font-bold py-2 px-6 rounded hover:bg-indigo-700 disabled:opacity-50"
+        >
+          Enter Ruling
+        </button>
+      </ActionFooter>
+    </div>
+  );
+};
+
+export default BenchRulingForm;
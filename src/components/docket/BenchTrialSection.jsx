@@ -0,0 +1,102 @@
+import { useState } from 'react';
+import { Gavel as GavelIcon } from 'lucide-react';
+import ActionFooter from '../layout/ActionFooter';
+import ExpandableMarkdown from '../shared/ExpandableMarkdown';
+import { getRoleLabel } from '../../lib/civil';
+import { PLAYER_ROLES } from '../../lib/constants';
+import { BENCH_VERDICTS } from '../../lib/judgeMode';
+
+const CLOSING_ORDER = [PLAYER_ROLES.PROSECUTION, PLAYER_ROLES.DEFENSE];
+
+/**
+ * In judge mode, hears both sides' closing arguments and collects the player's judgment and
+ * written opinion.
+ *
+ * @param {object} props - Component props.
+ * @param {{prosecution: string, defense: string} | undefined} props.closings - Counsel's closing
+ * arguments, once heard.
+ * @param {boolean} props.isLocked - Whether judgment has been entered.
+ * @param {boolean} props.isLoading - Whether a request is in flight.
+ * @param {() => Promise<boolean>} props.onRequestClosings - Callback to hear closing arguments.
+ * @param {(judgment: {finalRuling: string, opinion: string}) => unknown} props.onRender -
+ * Callback to enter judgment.
+ * @returns {JSX.Element} The bench trial UI.
+ */
+const BenchTrialSection = ({ closings, isLocked, isLoading, onRequestClosings, onRender }) => {
+  const [finalRuling, setFinalRuling] = useState(BENCH_VERDICTS[0]);
+  const [opinion, setOpinion] = useState('');
+
+  if (!closings) {
+    return (
+      <div className="bg-white p-6 rounded-lg border border-slate-200 shadow-sm animate-in fade-in">
+        <p className="text-sm text-slate-600 mb-3">
+          Counsel are ready to close. The prosecution argues first; the defense answers.
+        </p>
+        <ActionFooter>
+          <button
+            type="button"
+            onClick={onRequestClosings}
+            disabled={isLoading}
+            className="bg-amber-500 text-white font-bold py-2 px-6 rounded hover:bg-amber-600 disabled:opacity-50"
+          >
+            Hear Closing Arguments
+          </button>
+        </ActionFooter>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white p-6 rounded-lg border border-slate-200 shadow-sm animate-in fade-in">
+      {CLOSING_ORDER.map((role) => (
+        <div key={role} className="mb-4">
+          <h4 className="text-xs font-bold text-slate-400 uppercase mb-1">
+            {getRoleLabel(role)} Closing
+          </h4>
+          <ExpandableMarkdown
+            text={closings[role]}
+            previewLines={4}
+            className="font-serif text-slate-800 whitespace-pre-wrap"
+          />
+        </div>
+      ))}
+      {!isLocked && (
+        <>
+          <div className="flex gap-4 mb-3 text-sm text-slate-700">
+            {BENCH_VERDICTS.map((option) => (
+              <label key={option} className="flex items-center gap-2">
+                <input
+                  type="radio"
+                  name="bench-verdict"
+                  value={option}
+                  checked={finalRuling === option}
+                  onChange={() => setFinalRuling(option)}
+                />
+                {option}
+              </label>
+            ))}
+          </div>
+          <textarea
+            aria-label="Opinion"
+            className="w-full h-40 p-4 border border-slate-300 rounded font-serif text-slate-800 mb-2 focus:ring-2 focus:ring-amber-500 outline-none"
+            placeholder="Having heard the evidence and argument, the court finds..."
+            value={opinion}
+            onChange={(event) => setOpinion(event.target.value)}
+          />
+          <ActionFooter>
+            <button
+              type="button"
+              onClick={() => onRender({ finalRuling, opinion })}
+              disabled={!opinion.trim() || isLoading}
+              className="bg-slate-900 text-white font-bold py-2 px-6 rounded hover:bg-slate-800 disabled:opacity-50 flex items-center gap-2"
+            >
+              <GavelIcon className="w-4 h-4" /> Enter Judgment
+            </button>
+          </ActionFooter>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BenchTrialSection;
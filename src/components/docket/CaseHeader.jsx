@@ -1,56 +1,92 @@
+import { formatDamages, isCivilCase } from '../../lib/civil';
+
 /** @typedef {import('../../lib/types').CaseData} CaseData */
 
 /**
- * Summarizes the headline case details, including judge, facts, and opposing counsel profile.
+ * Summarizes the headline case details, including judge, facts, witnesses, opposing counsel
+ * profile, and the appellate ruling on retrials. Civil cases show the plaintiff, the claim, and the
+ * damages sought. In hot-seat mode the other player stands in for the opposing counsel profile.
  *
  * @param {object} props - Component props.
  * @param {CaseData} props.data - Case data object containing defendant, charge, judge, and facts.
  * @param {string} [props.counselNotes] - Counsel notes captured during play.
+ * @param {string | null} [props.opposingPlayer] - Name of the player arguing the other side in
+ * hot-seat mode.
  * @returns {JSX.Element} The case header section.
  */
-const CaseHeader = ({ data, counselNotes }) => {
+const CaseHeader = ({ data, counselNotes, opposingPlayer = null }) => {
   const opposingCounsel = data.opposing_counsel ?? {};
   const ageRange = opposingCounsel.age_range?.trim();
   const resolvedCounselNotes = counselNotes?.trim() || 'No counsel notes yet.';
   const evidenceItems = data.evidence ?? [];
+  const witnesses = data.witnesses ?? [];
+  const appellateRuling = data.appellate_ruling;
+  const isCivil = isCivilCase(data);
 
   return (
     <div className="grid grid-cols-1 md:grid-cols-2 gap-6 bg-slate-50 p-6 rounded-lg border border-slate-200 font-serif">
       <div className="space-y-4">
+        {isCivil && (
+          <div>
+            <h3 className="text-xs font-bold text-slate-400 uppercase">Plaintiff</h3>
+            <p className="text-xl font-bold text-slate-800">{data.plaintiff}</p>
+          </div>
+        )}
         <div>
           <h3 className="text-xs font-bold text-slate-400 uppercase">Defendant</h3>
           <p className="text-xl font-bold text-slate-800">{data.defendant}</p>
         </div>
         <div>
-          <h3 className="text-xs font-bold text-slate-400 uppercase">Charge</h3>
+          <h3 className="text-xs font-bold text-slate-400 uppercase">{isCivil ? 'Claim' : 'Charge'}</h3>
           <p className="text-lg font-bold text-red-700">{data.charge}</p>
+          {isCivil && typeof data.damages_sought === 'number' && (
+            <p className="text-sm text-slate-500">
+              Damages sought: {formatDamages(data.damages_sought)}
+            </p>
+          )}
         </div>
         <div>
           <h3 className="text-xs font-bold text-slate-400 uppercase">Judge</h3>
           <p className="text-md font-bold text-slate-700">{data.judge.name}</p>
           <p className="text-sm italic text-slate-500">{data.judge.bias}</p>
         </div>
-        <div className="bg-white p-3 rounded border border-slate-200 text-sm text-slate-600 space-y-2">
-          <div>
-            <span className="block text-xs font-bold text-slate-400 uppercase">Opposing Counsel</span>
-            <p className="text-base font-semibold text-slate-700">
-              {opposingCounsel.name || 'Unnamed counsel'}
-            </p>
-            {ageRange ? <p className="text-xs text-slate-500">{ageRange}</p> : null}
-          </div>
-          <div>
-            <p className="text-xs font-bold text-slate-400 uppercase">Bio</p>
-            <p>{opposingCounsel.bio || 'No profile available yet.'}</p>
+        {appellateRuling ? (
+          <div className="bg-amber-50 p-3 rounded border border-amber-200 text-sm text-slate-700 space-y-1">
+            <p className="text-xs font-bold text-amber-700 uppercase">On Remand</p>
+            <p>{appellateRuling.opinion}</p>
+            {appellateRuling.remand_instructions ? (
+              <p className="text-xs italic text-slate-500">{appellateRuling.remand_instructions}</p>
+            ) : null}
           </div>
-          <div>
-            <p className="text-xs font-bold text-slate-400 uppercase">Style Tells</p>
-            <p>{opposingCounsel.style_tells || 'Not provided.'}</p>
+        ) : null}
+        {opposingPlayer ? (
+          <div className="bg-white p-3 rounded border border-slate-200 text-sm text-slate-600">
+            <span className="block text-xs font-bold text-slate-400 uppercase">Opposing Counsel</span>
+            <p className="text-base font-semibold text-slate-700">{opposingPlayer}</p>
           </div>
-          <div>
-            <p className="text-xs font-bold text-slate-400 uppercase">Current Posture</p>
-            <p>{opposingCounsel.current_posture || 'Not provided.'}</p>
+        ) : (
+          <div className="bg-white p-3 rounded border border-slate-200 text-sm text-slate-600 space-y-2">
+            <div>
+              <span className="block text-xs font-bold text-slate-400 uppercase">Opposing Counsel</span>
+              <p className="text-base font-semibold text-slate-700">
+                {opposingCounsel.name || 'Unnamed counsel'}
+              </p>
+              {ageRange ? <p className="text-xs text-slate-500">{ageRange}</p> : null}
+            </div>
+            <div>
+              <p className="text-xs font-bold text-slate-400 uppercase">Bio</p>
+              <p>{opposingCounsel.bio || 'No profile available yet.'}</p>
+            </div>
+            <div>
+              <p className="text-xs font-bold text-slate-400 uppercase">Style Tells</p>
+              <p>{opposingCounsel.style_tells || 'Not provided.'}</p>
+            </div>
+            <div>
+              <p className="text-xs font-bold text-slate-400 uppercase">Current Posture</p>
+              <p>{opposingCounsel.current_posture || 'Not provided.'}</p>
+            </div>
           </div>
-        </div>
+        )}
       </div>
       <div className="space-y-4 text-sm text-slate-700">
         <div>
@@ -80,6 +116,24 @@ const CaseHeader = ({ data, counselNotes }) => {
             })}
           </ul>
         </div>
+        {witnesses.length > 0 && (
+          <div>
+            <h3 className="text-xs font-bold text-slate-400 uppercase mb-1">Witnesses</h3>
+            <ul className="space-y-1">
+              {witnesses.map((witness, i) => (
+                <li key={i}>
+                  <span className="font-semibold">
+                    #{i + 1} {witness.name}
+                  </span>
+                  {witness.role ? <span className="text-slate-500"> ({witness.role})</span> : null}
+                  {witness.statement ? (
+                    <p className="text-xs italic text-slate-500">{witness.statement}</p>
+                  ) : null}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
         <div className="bg-white p-3 rounded border border-slate-200 text-sm text-slate-600 space-y-1">
           <p className="text-xs font-bold text-slate-400 uppercase">Counsel Notes</p>
           <p className="text-slate-700">{resolvedCounselNotes}</p>
@@ -0,0 +1,80 @@
+import ResultCard from '../shared/ResultCard';
+import {
+  JURY_VOTES,
+  JURY_VOTE_LABELS,
+  formatDeliberationTally,
+  getJurorVoteHistory,
+} from '../../lib/deliberation';
+
+/** @typedef {import('../../lib/types').DeliberationRound} DeliberationRound */
+/** @typedef {import('../../lib/types').Juror} Juror */
+
+/**
+ * Shows how each seated juror voted in every deliberation round, with the hidden bias that drove
+ * the vote revealed now that the trial is over.
+ *
+ * @param {object} props - Component props.
+ * @param {DeliberationRound[]} props.deliberation - Deliberation rounds in order.
+ * @param {Juror[]} [props.jurors] - Juror pool, used to name jurors and reveal their biases.
+ * @returns {JSX.Element | null} The deliberation tally, or null without a recorded vote.
+ */
+const DeliberationTally = ({ deliberation, jurors = [] }) => {
+  const tally = formatDeliberationTally(deliberation);
+  if (!tally) return null;
+  const history = getJurorVoteHistory(deliberation);
+
+  return (
+    <ResultCard title="Jury Deliberation" className="mt-6 text-left">
+      <p className="text-sm font-bold text-slate-700 mb-3">{tally}</p>
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-slate-400 uppercase">
+            <th className="text-left font-bold pb-1">Juror</th>
+            {deliberation.map((round) => (
+              <th key={round.round} className="text-center font-bold pb-1">
+                Round {round.round}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {history.map((entry) => {
+            const juror = jurors.find((candidate) => candidate.id === entry.jurorId);
+            return (
+              <tr key={entry.jurorId} className="border-t border-slate-100 align-top">
+                <td className="py-2 pr-2">
+                  <span className="font-bold text-slate-700">
+                    {juror?.name ?? `Juror #${entry.jurorId}`}
+                  </span>
+                  {entry.flipped && (
+                    <span className="ml-2 text-[10px] font-bold uppercase text-amber-600">
+                      Flipped
+                    </span>
+                  )}
+                  {juror?.hidden_bias && (
+                    <p className="text-slate-500">Hidden bias: {juror.hidden_bias}</p>
+                  )}
+                  <p className="font-serif italic text-slate-600">“{entry.rationale}”</p>
+                </td>
+                {entry.votes.map((vote, index) => (
+                  <td
+                    key={deliberation[index].round}
+                    className={`py-2 text-center font-bold uppercase ${
+                      vote === JURY_VOTES.GUILTY || vote === JURY_VOTES.LIABLE
+                        ? 'text-red-700'
+                        : 'text-green-700'
+                    }`}
+                  >
+                    {JURY_VOTE_LABELS[vote] ?? '—'}
+                  </td>
+                ))}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </ResultCard>
+  );
+};
+
+export default DeliberationTally;
@@ -0,0 +1,62 @@
+import ActionFooter from '../layout/ActionFooter';
+import ExpandableText from '../shared/ExpandableText';
+import ResultCard from '../shared/ResultCard';
+import { getAppealIssueLabel } from '../../lib/appeals';
+
+/** @typedef {import('../../lib/types').JudicialReview} JudicialReview */
+
+/**
+ * Shows the appellate review of the player's rulings in judge mode, or a retry control when the
+ * review request failed.
+ *
+ * @param {object} props - Component props.
+ * @param {JudicialReview | null | undefined} props.review - Appellate review, once returned.
+ * @param {boolean} props.isLoading - Whether the review is in flight.
+ * @param {() => unknown} props.onRetry - Callback to request the review again.
+ * @returns {JSX.Element} The judicial review UI.
+ */
+const JudicialReviewSection = ({ review, isLoading, onRetry }) => {
+  if (!review) {
+    return (
+      <div className="mt-4 bg-white p-6 rounded-lg border border-slate-200 shadow-sm">
+        <p className="text-sm text-slate-600">
+          Your rulings go to the Supreme Court for review once the case closes.
+        </p>
+        <ActionFooter>
+          <button
+            type="button"
+            onClick={onRetry}
+            disabled={isLoading}
+            className="bg-indigo-600 text-white font-bold py-2 px-6 rounded hover:bg-indigo-700 disabled:opacity-50"
+          >
+            Request Review
+          </button>
+        </ActionFooter>
+      </div>
+    );
+  }
+
+  return (
+    <ResultCard title="Appellate Review" className="mt-4">
+      <ul className="space-y-3 mb-4">
+        {review.rulings.map((entry) => (
+          <li key={entry.issue} className="text-sm">
+            <div className="flex items-center justify-between gap-2">
+              <span className="font-bold text-slate-700">{getAppealIssueLabel(entry.issue)}</span>
+              <span className={entry.sound ? 'text-green-700 font-bold' : 'text-red-700 font-bold'}>
+                {entry.sound ? 'Sound' : 'Error'} · {entry.score}/100
+              </span>
+            </div>
+            <p className="text-slate-600">{entry.critique}</p>
+          </li>
+        ))}
+      </ul>
+      <ExpandableText
+        text={review.opinion}
+        className="font-serif text-slate-700 text-sm break-words before:content-['“'] before:mr-1 after:content-['”'] after:ml-1"
+      />
+    </ResultCard>
+  );
+};
+
+export default JudicialReviewSection;
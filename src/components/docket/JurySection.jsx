@@ -1,16 +1,155 @@
+import { useState } from 'react';
+import { getOpposingRole, getRoleLabel } from '../../lib/civil';
+import { COUNSEL_STRIKE_ORDER, isJudgeRole } from '../../lib/judgeMode';
+import { EXCUSED_FOR_CAUSE } from '../../lib/juryChallenges';
+import {
+  MAX_VOIR_DIRE_QUESTIONS,
+  VOIR_DIRE_PANEL,
+  getVoirDireTranscript,
+} from '../../lib/voirDire';
+
 /** @typedef {import('../../lib/types').Juror} Juror */
+/** @typedef {import('../../lib/types').VoirDireQuestion} VoirDireQuestion */
+/** @typedef {import('../../lib/types').CauseChallenge} CauseChallenge */
+/** @typedef {import('../../lib/types').BatsonChallenge} BatsonChallenge */
+
+/**
+ * Lists voir dire questions with each questioned juror's answer.
+ *
+ * @param {object} props - Component props.
+ * @param {VoirDireQuestion[]} props.questions - Questions in the order asked.
+ * @param {Juror[]} props.pool - Jurors carrying their recorded answers.
+ * @returns {JSX.Element} The voir dire transcript.
+ */
+const VoirDireTranscript = ({ questions, pool }) => (
+  <ol className="space-y-3">
+    {getVoirDireTranscript(questions, pool).map((entry) => (
+      <li key={entry.id} className="border-l-2 border-slate-200 pl-3 text-sm font-serif text-slate-700">
+        <p>
+          <span className="font-semibold">Q:</span> {entry.question}
+        </p>
+        {entry.answers.map((answer) => (
+          <p key={answer.jurorId} className="italic">
+            <span className="font-semibold not-italic">{answer.name}:</span> {answer.answer}
+          </p>
+        ))}
+      </li>
+    ))}
+  </ol>
+);
+
+/**
+ * Lists the judge's rulings on jury challenges as docket entries.
+ *
+ * @param {object} props - Component props.
+ * @param {string} props.title - Section heading.
+ * @param {(CauseChallenge | BatsonChallenge)[]} props.entries - Rulings in order.
+ * @returns {JSX.Element} The ruling list.
+ */
+const ChallengeRulings = ({ title, entries }) => (
+  <div className="mt-4 pt-4 border-t border-slate-100">
+    <h4 className="text-xs font-bold text-slate-400 uppercase mb-2">{title}</h4>
+    <ul className="space-y-2">
+      {entries.map((entry) => (
+        <li key={entry.id} className="text-sm text-slate-700">
+          <p className="font-semibold">{entry.docketEntry}</p>
+          <p className="text-xs text-slate-500 italic">
+            "{entry.reason ?? entry.argument}" {entry.reasoning}
+          </p>
+        </li>
+      ))}
+    </ul>
+  </div>
+);
 
 /**
- * Manages jury selection presentation for voir dire and displays seated jurors when locked.
+ * Juror picker with a stated reason, used for challenges for cause and Batson objections.
+ *
+ * @param {object} props - Component props.
+ * @param {string} props.label - Accessible label prefix for the controls.
+ * @param {Juror[]} props.jurors - Jurors who may be challenged.
+ * @param {string} props.placeholder - Placeholder for the reason input.
+ * @param {string} props.buttonLabel - Submit button label.
+ * @param {boolean} props.isLoading - Whether a ruling is in flight.
+ * @param {(jurorId: number, reason: string) => Promise<boolean>} props.onSubmit - Callback to
+ * file the challenge.
+ * @returns {JSX.Element} The challenge form.
+ */
+const ChallengeForm = ({ label, jurors, placeholder, buttonLabel, isLoading, onSubmit }) => {
+  const [jurorId, setJurorId] = useState(null);
+  const [reason, setReason] = useState('');
+  const selectedId = jurors.some((j) => j.id === jurorId) ? jurorId : (jurors[0]?.id ?? null);
+
+  const handleSubmit = async () => {
+    if (await onSubmit(selectedId, reason)) {
+      setReason('');
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap gap-2">
+      <select
+        aria-label={`${label} juror`}
+        value={selectedId ?? ''}
+        onChange={(event) => setJurorId(Number(event.target.value))}
+        disabled={jurors.length === 0}
+        className="min-w-[12rem] border border-slate-300 rounded px-2 py-2 text-sm text-slate-700"
+      >
+        {jurors.map((j) => (
+          <option key={j.id} value={j.id}>
+            Juror #{j.id}: {j.name}
+          </option>
+        ))}
+      </select>
+      <input
+        type="text"
+        aria-label={`${label} reason`}
+        placeholder={placeholder}
+        value={reason}
+        onChange={(event) => setReason(event.target.value)}
+        className="flex-1 min-w-[12rem] border border-slate-300 rounded px-3 py-2 text-sm font-serif text-slate-800 focus:ring-2 focus:ring-indigo-500 outline-none"
+      />
+      <button
+        type="button"
+        onClick={handleSubmit}
+        disabled={selectedId === null || !reason.trim() || isLoading}
+        className="bg-slate-700 text-white px-4 py-2 rounded font-bold text-sm hover:bg-slate-800 disabled:opacity-50"
+      >
+        {buttonLabel}
+      </button>
+    </div>
+  );
+};
+
+/**
+ * Manages jury selection presentation for voir dire and displays seated jurors when locked. A
+ * presiding player questions the panel but strikes no one; counsel's strikes are ruled on
+ * separately. In hot-seat mode each seat strikes in turn without seeing the other's picks.
  *
  * @param {object} props - Component props.
  * @param {Juror[]} props.pool - Full juror pool.
  * @param {number[]} props.opponentStrikes - Opposing counsel strike IDs.
- * @param {(id: number) => void} props.onStrike - Callback to strike/unstrike a juror.
+ * @param {(id: number) => void} [props.onStrike] - Callback to strike/unstrike a juror; strike
+ * buttons are disabled when omitted.
  * @param {number[]} props.myStrikes - Player strike IDs.
  * @param {boolean} props.isLocked - Whether jury selection is finalized.
  * @param {string} props.judgeComment - Judge comment after selection.
- * @param {'defense' | 'prosecution'} props.playerRole - Player role for labeling.
+ * @param {import('../../lib/types').PlayerRole} props.playerRole - Player role for labeling.
+ * @param {Record<string, number[]>} [props.strikesByRole] - Each side's strikes in judge and
+ * hot-seat modes.
+ * @param {boolean} [props.isHotSeat] - Whether two players share the device.
+ * @param {VoirDireQuestion[]} [props.questions] - Voir dire questions asked so far.
+ * @param {(target: number | 'panel', question: string) => Promise<boolean>} [props.onAsk] -
+ * Callback to question a juror or the panel; questioning is hidden when omitted.
+ * @param {CauseChallenge[]} [props.causeChallenges] - Challenges for cause ruled on so far.
+ * @param {(jurorId: number, reason: string) => Promise<boolean>} [props.onChallengeCause] -
+ * Callback to challenge a juror for cause; hidden when omitted.
+ * @param {BatsonChallenge[]} [props.batsonChallenges] - Objections to opposing strikes so far.
+ * @param {(jurorId: number, argument: string) => Promise<boolean>} [props.onBatson] - Callback
+ * to object to an opposing strike; hidden when omitted.
+ * @param {() => void} [props.onCloseChallenges] - Callback to accept the jury without further
+ * objections, offered alongside `onBatson`.
+ * @param {boolean} [props.isLoading] - Whether an answer or ruling is in flight.
  * @returns {JSX.Element} The jury selection UI.
  */
 const JurySection = ({
@@ -21,31 +160,63 @@ const JurySection = ({
   isLocked,
   judgeComment,
   playerRole,
+  strikesByRole,
+  isHotSeat = false,
+  questions = [],
+  onAsk,
+  causeChallenges = [],
+  onChallengeCause,
+  batsonChallenges = [],
+  onBatson,
+  onCloseChallenges,
+  isLoading = false,
 }) => {
-  const isDefense = playerRole !== 'prosecution';
-  const myStrikeLabel = isDefense ? 'Defense Strikes' : 'Prosecution Strikes';
-  const opponentStrikeLabel = isDefense ? 'Prosecution Strikes' : 'Defense Strikes';
+  const [target, setTarget] = useState(VOIR_DIRE_PANEL);
+  const [question, setQuestion] = useState('');
+  const isPresiding = isJudgeRole(playerRole);
+  const questionsLeft = Math.max(0, MAX_VOIR_DIRE_QUESTIONS - questions.length);
+  const challengeableJurors = pool.filter((j) => j.status !== EXCUSED_FOR_CAUSE);
+  const batsonJurors = pool.filter(
+    (j) =>
+      (opponentStrikes ?? []).includes(j.id) &&
+      !batsonChallenges.some((challenge) => challenge.jurorId === j.id)
+  );
+  const myStrikeLabel = `${getRoleLabel(playerRole)} Strikes`;
+  const opponentStrikeLabel = `${getRoleLabel(getOpposingRole(playerRole))} Strikes`;
   const statusLabels = {
     eligible: 'Eligible',
+    excused_for_cause: 'Excused (Cause)',
     struck_by_player: 'Struck (You)',
-    struck_by_opponent: 'Struck (Opponent)',
+    struck_by_opponent: isPresiding ? 'Struck (Counsel)' : 'Struck (Opponent)',
     seated: 'Seated',
   };
 
   const statusStyles = {
     eligible: 'bg-slate-100 text-slate-500',
+    excused_for_cause: 'bg-amber-100 text-amber-700',
     struck_by_player: 'bg-red-100 text-red-700',
     struck_by_opponent: 'bg-indigo-100 text-indigo-700',
     seated: 'bg-emerald-100 text-emerald-700',
   };
 
-  const renderStatusBadge = (status) => (
+  // Hot-seat strikes are labeled by the side that made them.
+  const getStatusLabel = (juror) => {
+    const struckBy =
+      isHotSeat && juror.status === 'struck_by_opponent'
+        ? COUNSEL_STRIKE_ORDER.find((role) => strikesByRole?.[role]?.includes(juror.id))
+        : null;
+    return struckBy
+      ? `Struck (${getRoleLabel(struckBy)})`
+      : statusLabels[juror.status] || statusLabels.eligible;
+  };
+
+  const renderStatusBadge = (juror) => (
     <span
       className={`text-[10px] font-bold uppercase tracking-wide px-2 py-0.5 rounded-full ${
-        statusStyles[status] || statusStyles.eligible
+        statusStyles[juror.status] || statusStyles.eligible
       }`}
     >
-      {statusLabels[status] || statusLabels.eligible}
+      {getStatusLabel(juror)}
     </span>
   );
 
@@ -65,16 +236,67 @@ const JurySection = ({
           {pool.map((j) => (
             <div key={j.id} className="bg-slate-50 border border-slate-200 p-3 rounded text-center">
               <div className="flex items-center justify-center mb-2">
-                {renderStatusBadge(j.status)}
+                {renderStatusBadge(j)}
               </div>
               <div className="font-bold text-slate-800">{j.name}</div>
               <div className="text-xs text-slate-500 uppercase">{j.job}</div>
             </div>
           ))}
         </div>
+        {questions.length > 0 && (
+          <div className="mt-4 pt-4 border-t border-slate-100">
+            <h4 className="text-xs font-bold text-slate-400 uppercase mb-2">Voir Dire</h4>
+            <VoirDireTranscript questions={questions} pool={pool} />
+          </div>
+        )}
+        {causeChallenges.length > 0 && (
+          <ChallengeRulings title="Challenges for Cause" entries={causeChallenges} />
+        )}
+        {batsonChallenges.length > 0 && (
+          <ChallengeRulings
+            title={isPresiding ? 'Disallowed Strikes' : 'Batson Objections'}
+            entries={batsonChallenges}
+          />
+        )}
+        {onBatson && batsonJurors.length > 0 && (
+          <div className="mt-4 pt-4 border-t border-slate-100">
+            <p className="text-xs text-slate-500 mb-2">
+              Object to an opposing strike as discriminatory. The judge weighs counsel's stated
+              reasons and may reseat the juror.
+            </p>
+            <ChallengeForm
+              label="Batson objection"
+              jurors={batsonJurors}
+              placeholder="Counsel struck the only juror who..."
+              buttonLabel="Object"
+              isLoading={isLoading}
+              onSubmit={onBatson}
+            />
+            {onCloseChallenges && (
+              <button
+                type="button"
+                onClick={onCloseChallenges}
+                disabled={isLoading}
+                className="mt-3 text-xs font-bold uppercase tracking-widest text-slate-400 hover:text-slate-700 disabled:opacity-50"
+              >
+                Accept Jury
+              </button>
+            )}
+          </div>
+        )}
         <div className="mt-4 pt-4 border-t border-slate-100 text-xs text-slate-400 flex gap-4">
-          <span>{myStrikeLabel}: {myStrikes.length}</span>
-          <span>{opponentStrikeLabel}: {opponentStrikes.length}</span>
+          {isPresiding || isHotSeat ? (
+            COUNSEL_STRIKE_ORDER.map((role) => (
+              <span key={role}>
+                {getRoleLabel(role)} Strikes: {strikesByRole?.[role]?.length ?? 0}
+              </span>
+            ))
+          ) : (
+            <>
+              <span>{myStrikeLabel}: {myStrikes.length}</span>
+              <span>{opponentStrikeLabel}: {opponentStrikes.length}</span>
+            </>
+          )}
         </div>
       </div>
     );
@@ -82,13 +304,27 @@ const JurySection = ({
 
   return (
     <div className="bg-white p-6 rounded-lg border border-slate-200 shadow-sm animate-in fade-in slide-in-from-bottom-4">
-      <p className="text-sm text-slate-600 mb-4">
-        Select <strong>2 jurors</strong> to strike from the pool. Opposing counsel will do the same.
-      </p>
+      {isPresiding ? (
+        <p className="text-sm text-slate-600 mb-4">
+          Question the panel or a single juror, then call on counsel for their strikes.
+        </p>
+      ) : isHotSeat ? (
+        <p className="text-sm text-slate-600 mb-4">
+          {onAsk ? 'Question the panel or a single juror, then select ' : 'Select '}
+          <strong>2 jurors</strong> to strike from the pool. Your opponent strikes separately and
+          sees your picks only once the panel is seated.
+        </p>
+      ) : (
+        <p className="text-sm text-slate-600 mb-4">
+          {onAsk ? 'Question the panel or a single juror, then select ' : 'Select '}
+          <strong>2 jurors</strong> to strike from the pool. Opposing counsel will do the same.
+        </p>
+      )}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-3 mb-6">
         {pool.map((j) => (
           <button
             key={j.id}
+            disabled={j.status === EXCUSED_FOR_CAUSE || !onStrike}
             onClick={() => {
               console.debug('JurySection strike click', {
                 id: j.id,
@@ -100,7 +336,7 @@ const JurySection = ({
             className={`p-3 rounded border-2 text-left transition-all ${
               myStrikes.includes(j.id)
                 ? 'border-red-500 bg-red-50 relative'
-                : 'border-slate-200 hover:border-amber-400'
+                : 'border-slate-200 hover:border-amber-400 disabled:opacity-50 disabled:hover:border-slate-200'
             }`}
           >
             {myStrikes.includes(j.id) && (
@@ -108,7 +344,7 @@ const JurySection = ({
                 X
               </div>
             )}
-            <div className="mb-2">{renderStatusBadge(j.status)}</div>
+            <div className="mb-2">{renderStatusBadge(j)}</div>
             <div className="font-bold text-slate-800 text-sm truncate">{j.name}</div>
             <div className="text-xs text-slate-500 uppercase font-bold mb-1 truncate">
               {j.job}, {j.age}
@@ -117,6 +353,78 @@ const JurySection = ({
           </button>
         ))}
       </div>
+      {questions.length > 0 && (
+        <div className="mb-4">
+          <VoirDireTranscript questions={questions} pool={pool} />
+        </div>
+      )}
+      {onAsk && (
+        <div className="border-t border-slate-100 pt-4">
+          <div className="flex flex-wrap gap-2 mb-2">
+            <select
+              aria-label="Voir dire target"
+              value={target}
+              onChange={(event) =>
+                setTarget(
+                  event.target.value === VOIR_DIRE_PANEL
+                    ? VOIR_DIRE_PANEL
+                    : Number(event.target.value)
+                )
+              }
+              className="min-w-[12rem] border border-slate-300 rounded px-2 py-2 text-sm text-slate-700"
+            >
+              <option value={VOIR_DIRE_PANEL}>Entire panel</option>
+              {pool.map((j) => (
+                <option key={j.id} value={j.id}>
+                  Juror #{j.id}: {j.name}
+                </option>
+              ))}
+            </select>
+            <input
+              type="text"
+              aria-label="Voir dire question"
+              placeholder="Have you ever been the victim of a theft?"
+              value={question}
+              onChange={(event) => setQuestion(event.target.value)}
+              className="flex-1 min-w-[12rem] border border-slate-300 rounded px-3 py-2 text-sm font-serif text-slate-800 focus:ring-2 focus:ring-indigo-500 outline-none"
+            />
+            <button
+              type="button"
+              onClick={async () => {
+                if (await onAsk(target, question)) {
+                  setQuestion('');
+                }
+              }}
+              disabled={!question.trim() || questionsLeft === 0 || isLoading}
+              className="bg-indigo-600 text-white px-4 py-2 rounded font-bold text-sm hover:bg-indigo-700 disabled:opacity-50"
+            >
+              Ask
+            </button>
+          </div>
+          <p className="text-xs text-slate-400">
+            {questionsLeft} of {MAX_VOIR_DIRE_QUESTIONS} voir dire questions left.
+          </p>
+        </div>
+      )}
+      {causeChallenges.length > 0 && (
+        <ChallengeRulings title="Challenges for Cause" entries={causeChallenges} />
+      )}
+      {onChallengeCause && (
+        <div className="border-t border-slate-100 pt-4 mt-4">
+          <p className="text-xs text-slate-500 mb-2">
+            Challenge a juror for cause. There is no limit, but the judge needs a reason grounded
+            in the record.
+          </p>
+          <ChallengeForm
+            label="Challenge for cause"
+            jurors={challengeableJurors}
+            placeholder="Said under questioning that..."
+            buttonLabel="Challenge"
+            isLoading={isLoading}
+            onSubmit={onChallengeCause}
+          />
+        </div>
+      )}
     </div>
   );
 };
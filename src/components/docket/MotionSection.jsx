@@ -2,8 +2,15 @@ import { useEffect, useState } from 'react';
 import ActionFooter from '../layout/ActionFooter';
 import ExpandableMarkdown from '../shared/ExpandableMarkdown';
 import ResultCard from '../shared/ResultCard';
+import ObjectionPanel from './ObjectionPanel';
+import { getRoleLabel } from '../../lib/civil';
+import { getObjectionsForSource } from '../../lib/objections';
 
 /** @typedef {import('../../lib/types').MotionResult} MotionResult */
+/** @typedef {import('../../lib/types').ObjectionEntry} ObjectionEntry */
+
+const QUOTED_TEXT_CLASS =
+  "font-serif text-slate-700 italic before:content-['“'] before:mr-1 after:content-['”'] after:ml-1";
 
 /**
  * Collects and displays the pre-trial motion exchange and the judge's ruling.
@@ -16,11 +23,14 @@ import ResultCard from '../shared/ResultCard';
  * @param {boolean} props.isLocked - Whether the motion phase is finalized.
  * @param {string} props.motionPhase - Current motion exchange phase.
  * @param {string} props.motionText - Motion text stored in the docket history.
- * @param {'defense' | 'prosecution'} props.motionBy - Role that filed the motion.
+ * @param {import('../../lib/types').PlayerRole} props.motionBy - Role that filed the motion.
  * @param {string} props.rebuttalText - Rebuttal text stored in the docket history.
- * @param {'defense' | 'prosecution'} props.rebuttalBy - Role that filed the rebuttal.
- * @param {'defense' | 'prosecution'} props.playerRole - The current player's role.
+ * @param {import('../../lib/types').PlayerRole} props.rebuttalBy - Role that filed the rebuttal.
+ * @param {import('../../lib/types').PlayerRole} props.playerRole - The current player's role.
  * @param {boolean} props.isLoading - Whether a motion-related request is in flight.
+ * @param {ObjectionEntry[]} [props.objections] - Objections raised during the case.
+ * @param {(source: string, passage: string, ground: string) => Promise<boolean>} [props.onObject] -
+ * Callback to object to the opposing motion or rebuttal; omit to hide objection controls.
  * @returns {JSX.Element} The motion section UI.
  */
 const MotionSection = ({
@@ -36,6 +46,8 @@ const MotionSection = ({
   rebuttalBy,
   playerRole,
   isLoading,
+  objections = [],
+  onObject,
 }) => {
   const [text, setText] = useState('');
   const isMotionStep = motionPhase === 'motion_submission';
@@ -43,16 +55,27 @@ const MotionSection = ({
   const isPhaseLocked = isLocked || hasRuling;
   const expectedRole = isMotionStep ? motionBy : rebuttalBy;
   const isPlayerTurn = expectedRole === playerRole;
-  const roleLabel = (role) => (role === 'defense' ? 'Defense' : 'Prosecution');
   const submissionLabel = isMotionStep ? 'Motion' : 'Rebuttal';
-  const playerSubmissionLabel = `${roleLabel(playerRole)} ${submissionLabel}`;
+  const playerSubmissionLabel = `${getRoleLabel(playerRole)} ${submissionLabel}`;
+  const playerSide = getRoleLabel(playerRole).toLowerCase();
   const playerPlaceholder = isMotionStep
-    ? playerRole === 'defense'
-      ? 'Your Honor, the defense moves to...'
-      : 'Your Honor, the prosecution moves to...'
-    : playerRole === 'defense'
-      ? 'The defense rebuts the motion by...'
-      : 'The prosecution rebuts the motion by...';
+    ? `Your Honor, the ${playerSide} moves to...`
+    : `The ${playerSide} rebuts the motion by...`;
+
+  const renderSubmission = (source, submissionText, submittedBy) => {
+    const quoted = <ExpandableMarkdown text={submissionText} className={QUOTED_TEXT_CLASS} />;
+    if (!onObject || submittedBy === playerRole) return quoted;
+    return (
+      <ObjectionPanel
+        source={source}
+        objections={getObjectionsForSource(objections, source)}
+        isLoading={isLoading}
+        onObject={onObject}
+      >
+        {quoted}
+      </ObjectionPanel>
+    );
+  };
 
   const handleAutoGenerate = async (mode) => {
     if (!onAutoGenerate) return;
@@ -72,19 +95,13 @@ const MotionSection = ({
       <div className="bg-white p-6 rounded-lg border border-slate-200 flex flex-col md:flex-row gap-6 animate-in fade-in">
         <div className="flex-1">
           <h4 className="text-xs font-bold text-slate-400 uppercase mb-1">
-            {roleLabel(motionBy)} Motion
+            {getRoleLabel(motionBy)} Motion
           </h4>
-          <ExpandableMarkdown
-            text={motionText}
-            className="font-serif text-slate-700 italic before:content-['“'] before:mr-1 after:content-['”'] after:ml-1"
-          />
+          {renderSubmission('motion', motionText, motionBy)}
           <h4 className="text-xs font-bold text-slate-400 uppercase mb-1 mt-4">
-            {roleLabel(rebuttalBy)} Rebuttal
+            {getRoleLabel(rebuttalBy)} Rebuttal
           </h4>
-          <ExpandableMarkdown
-            text={rebuttalText}
-            className="font-serif text-slate-700 italic before:content-['“'] before:mr-1 after:content-['”'] after:ml-1"
-          />
+          {renderSubmission('rebuttal', rebuttalText, rebuttalBy)}
         </div>
         <ResultCard title="Judge's Ruling" className="w-full md:w-1/3 bg-slate-50 relative overflow-hidden">
           {hasRuling ? (
@@ -123,26 +140,20 @@ const MotionSection = ({
       <div className="space-y-4 mb-4">
         <div>
           <h4 className="text-xs font-bold text-slate-400 uppercase mb-1">
-            {roleLabel(motionBy)} Motion
+            {getRoleLabel(motionBy)} Motion
           </h4>
           {motionText ? (
-            <ExpandableMarkdown
-              text={motionText}
-              className="font-serif text-slate-700 italic before:content-['“'] before:mr-1 after:content-['”'] after:ml-1"
-            />
+            renderSubmission('motion', motionText, motionBy)
           ) : (
             <p className="text-xs text-slate-400 italic">Pending submission.</p>
           )}
         </div>
         <div>
           <h4 className="text-xs font-bold text-slate-400 uppercase mb-1">
-            {roleLabel(rebuttalBy)} Rebuttal
+            {getRoleLabel(rebuttalBy)} Rebuttal
           </h4>
           {rebuttalText ? (
-            <ExpandableMarkdown
-              text={rebuttalText}
-              className="font-serif text-slate-700 italic before:content-['“'] before:mr-1 after:content-['”'] after:ml-1"
-            />
+            renderSubmission('rebuttal', rebuttalText, rebuttalBy)
           ) : (
             <p className="text-xs text-slate-400 italic">Pending submission.</p>
           )}
@@ -184,8 +195,8 @@ const MotionSection = ({
               className="bg-indigo-600 text-white px-6 py-2 rounded font-bold text-sm hover:bg-indigo-700"
             >
               {isMotionStep
-                ? `File ${roleLabel(playerRole)} Motion`
-                : `File ${roleLabel(playerRole)} Rebuttal`}
+                ? `File ${getRoleLabel(playerRole)} Motion`
+                : `File ${getRoleLabel(playerRole)} Rebuttal`}
             </button>
           </ActionFooter>
         </>
@@ -193,7 +204,7 @@ const MotionSection = ({
         <div className="text-sm text-slate-500 italic">
           {isLoading
             ? 'Opposing counsel is drafting...'
-            : `Awaiting ${roleLabel(expectedRole)} submission.`}
+            : `Awaiting ${getRoleLabel(expectedRole)} submission.`}
         </div>
       )}
     </div>
@@ -0,0 +1,99 @@
+import { useState } from 'react';
+import {
+  MAX_OBJECTIONS_PER_SUBMISSION,
+  OBJECTION_GROUNDS,
+  OBJECTION_RULINGS,
+  getObjectionGroundLabel,
+} from '../../lib/objections';
+
+/** @typedef {import('../../lib/types').ObjectionEntry} ObjectionEntry */
+
+/**
+ * Wraps an opposing submission so the player can highlight a passage and object to it.
+ *
+ * @param {object} props - Component props.
+ * @param {'motion' | 'rebuttal' | 'closing'} props.source - Submission being shown.
+ * @param {ObjectionEntry[]} props.objections - Objections already raised against it.
+ * @param {boolean} props.isLoading - Whether a request is in flight.
+ * @param {(source: string, passage: string, ground: string) => Promise<boolean>} props.onObject -
+ * Callback to raise an objection.
+ * @param {JSX.Element} props.children - Rendered submission text.
+ * @returns {JSX.Element} The submission with objection controls and rulings.
+ */
+const ObjectionPanel = ({ source, objections = [], isLoading, onObject, children }) => {
+  const [passage, setPassage] = useState('');
+  const [ground, setGround] = useState(OBJECTION_GROUNDS[0].value);
+  const objectionsLeft = Math.max(0, MAX_OBJECTIONS_PER_SUBMISSION - objections.length);
+
+  const captureSelection = () => {
+    const selected = window.getSelection?.()?.toString().trim();
+    if (selected) {
+      setPassage(selected);
+    }
+  };
+
+  const handleObject = async () => {
+    const didRecord = await onObject(source, passage, ground);
+    if (didRecord) {
+      setPassage('');
+    }
+  };
+
+  return (
+    <div>
+      <div onMouseUp={captureSelection}>{children}</div>
+      {objections.length > 0 && (
+        <ul className="mt-2 space-y-1">
+          {objections.map((entry) => (
+            <li key={entry.id} className="text-xs text-slate-600">
+              <span
+                className={`mr-1 font-bold uppercase ${
+                  entry.ruling === OBJECTION_RULINGS.SUSTAINED ? 'text-green-700' : 'text-red-700'
+                }`}
+              >
+                {entry.ruling}
+              </span>
+              {entry.docketEntry}
+              <span className="block italic text-slate-400">
+                {getObjectionGroundLabel(entry.ground)}: “{entry.passage}”
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+      {objectionsLeft > 0 && (
+        <div className="mt-2 flex flex-wrap items-center gap-2">
+          <input
+            aria-label="Objected passage"
+            className="flex-1 min-w-[12rem] border border-slate-300 rounded px-2 py-1 text-xs font-serif text-slate-700"
+            placeholder="Highlight a passage above to object"
+            value={passage}
+            onChange={(event) => setPassage(event.target.value)}
+          />
+          <select
+            aria-label="Objection ground"
+            value={ground}
+            onChange={(event) => setGround(event.target.value)}
+            className="border border-slate-300 rounded px-2 py-1 text-xs text-slate-700"
+          >
+            {OBJECTION_GROUNDS.map((entry) => (
+              <option key={entry.value} value={entry.value}>
+                {entry.label}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={handleObject}
+            disabled={!passage.trim() || isLoading}
+            className="bg-red-700 text-white px-3 py-1 rounded font-bold text-xs uppercase hover:bg-red-800 disabled:opacity-50"
+          >
+            Object
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ObjectionPanel;
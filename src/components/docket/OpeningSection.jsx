@@ -0,0 +1,100 @@
+import { useState } from 'react';
+import ActionFooter from '../layout/ActionFooter';
+import ExpandableMarkdown from '../shared/ExpandableMarkdown';
+import { getRoleLabel } from '../../lib/civil';
+
+/**
+ * Collects the player's opening statement and shows both sides' openings in speaking order.
+ *
+ * @param {object} props - Component props.
+ * @param {Record<string, string>} [props.openings] - Openings delivered so far, keyed by role.
+ * @param {import('../../lib/types').PlayerRole[]} props.order - Roles in speaking order.
+ * @param {import('../../lib/types').PlayerRole} props.playerRole - The current player's role.
+ * @param {boolean} props.isLoading - Whether a request is in flight.
+ * @param {(text: string) => Promise<boolean>} props.onSubmit - Callback to deliver the opening.
+ * @param {(mode: 'legit' | 'absurd') => Promise<string>} [props.onAutoGenerate] - Callback to auto-generate text.
+ * @param {boolean} [props.showAutoGenerate] - Whether auto-generation controls should render.
+ * @returns {JSX.Element} The opening statements UI.
+ */
+const OpeningSection = ({
+  openings = {},
+  order,
+  playerRole,
+  isLoading,
+  onSubmit,
+  onAutoGenerate,
+  showAutoGenerate = false,
+}) => {
+  const [text, setText] = useState('');
+  const deliveredRoles = order.filter((role) => openings[role]);
+  const hasOpened = Boolean(openings[playerRole]);
+
+  const handleAutoGenerate = async (mode) => {
+    if (!onAutoGenerate) return;
+    const generated = await onAutoGenerate(mode);
+    if (generated) {
+      setText(generated);
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg border border-slate-200 shadow-sm animate-in fade-in">
+      {deliveredRoles.map((role) => (
+        <div key={role} className="mb-4 last:mb-0">
+          <h4 className="text-xs font-bold text-slate-400 uppercase mb-1">
+            {getRoleLabel(role)} Opening
+          </h4>
+          <ExpandableMarkdown
+            text={openings[role]}
+            previewLines={4}
+            className="font-serif text-slate-800 whitespace-pre-wrap"
+          />
+        </div>
+      ))}
+      {!hasOpened && (
+        <>
+          <p className="text-sm text-slate-600 mb-3">
+            Tell the court what the evidence will show. Openings preview the case; save argument
+            for closing.
+          </p>
+          <textarea
+            className="w-full h-32 p-3 border border-slate-300 rounded font-serif text-slate-800 mb-3 focus:ring-2 focus:ring-amber-500 outline-none"
+            placeholder="The evidence will show..."
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+          />
+          <ActionFooter>
+            {showAutoGenerate && onAutoGenerate && (
+              <>
+                <button
+                  type="button"
+                  onClick={() => handleAutoGenerate('legit')}
+                  className="bg-slate-200 text-slate-700 px-4 py-2 rounded font-bold text-sm hover:bg-slate-300"
+                >
+                  Auto (Legit)
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleAutoGenerate('absurd')}
+                  className="bg-fuchsia-600 text-white px-4 py-2 rounded font-bold text-sm hover:bg-fuchsia-700"
+                >
+                  Auto (Absurd)
+                </button>
+              </>
+            )}
+            <button
+              type="button"
+              onClick={() => onSubmit(text)}
+              disabled={!text.trim() || isLoading}
+              className="bg-amber-500 text-white px-6 py-2 rounded font-bold text-sm hover:bg-amber-600 disabled:opacity-50"
+            >
+              Deliver Opening
+            </button>
+          </ActionFooter>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default OpeningSection;
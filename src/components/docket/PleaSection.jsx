@@ -0,0 +1,184 @@
+import { useState } from 'react';
+import ActionFooter from '../layout/ActionFooter';
+import {
+  MAX_PLEA_ROUNDS,
+  PLEA_STATUSES,
+  canAcceptPleaOffer,
+  canDefenseCounter,
+  canProsecutionOffer,
+  getLatestPleaOffer,
+  getPleaRound,
+} from '../../lib/pleaBargain';
+
+/** @typedef {import('../../lib/types').PleaState} PleaState */
+
+/**
+ * Shows the plea negotiation record and, while negotiations are open, lets the player request,
+ * make, accept, or walk away from an offer.
+ *
+ * @param {object} props - Component props.
+ * @param {PleaState} props.plea - Plea negotiation state.
+ * @param {{unit: string, min: number, max: number}} [props.range] - Sentencing range for the
+ * terms; needed only while negotiations are open.
+ * @param {string} [props.charge] - Charge on the docket, used to prefill offers.
+ * @param {'defense' | 'prosecution'} [props.playerRole] - The current player's role.
+ * @param {boolean} [props.isLoading] - Whether a negotiation request is in flight.
+ * @param {() => Promise<boolean>} [props.onRequestOffer] - Ask the prosecution to open.
+ * @param {(terms: {charge: string, term: number, message: string}) => Promise<boolean>}
+ * [props.onPropose] - Make an offer or counter-offer; controls are hidden when omitted.
+ * @param {() => Promise<boolean>} [props.onAccept] - Accept the offer on the table.
+ * @param {() => boolean} [props.onDecline] - Walk away and go to trial.
+ * @returns {JSX.Element} The plea negotiation UI.
+ */
+const PleaSection = ({
+  plea,
+  range,
+  charge = '',
+  playerRole,
+  isLoading = false,
+  onRequestOffer,
+  onPropose,
+  onAccept,
+  onDecline,
+}) => {
+  const latest = getLatestPleaOffer(plea);
+  const [pleaCharge, setPleaCharge] = useState(charge);
+  const [term, setTerm] = useState('');
+  const [message, setMessage] = useState('');
+  const isOpen = plea.status === PLEA_STATUSES.OPEN && Boolean(onPropose);
+  const canPropose =
+    playerRole === 'prosecution' ? canProsecutionOffer(plea) : canDefenseCounter(plea);
+
+  const handlePropose = async () => {
+    if (await onPropose({ charge: pleaCharge, term: Number(term), message })) {
+      setTerm('');
+      setMessage('');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {plea.offers.length > 0 && (
+        <ol className="space-y-2">
+          {plea.offers.map((offer) => (
+            <li
+              key={offer.id}
+              className="border-l-2 border-slate-200 pl-3 text-sm font-serif text-slate-700"
+            >
+              <p className="font-sans text-xs font-bold uppercase text-slate-400">
+                Round {offer.round} ·{' '}
+                {offer.offeredBy === 'prosecution' ? 'Prosecution offer' : 'Defense counter'}
+              </p>
+              <p className="font-semibold">
+                Guilty to {offer.charge}, {offer.term} {offer.unit}
+              </p>
+              {offer.message && <p className="italic">{offer.message}</p>}
+            </li>
+          ))}
+        </ol>
+      )}
+      {(plea.clientRejections ?? []).map((rejection) => (
+        <p
+          key={`${rejection.offerId ?? 'counter'}-${rejection.term}-${rejection.charge}`}
+          className="text-sm text-red-700"
+        >
+          Your client refused {rejection.term} {rejection.unit}: "{rejection.statement}"
+        </p>
+      ))}
+      {plea.status !== PLEA_STATUSES.OPEN && plea.docketEntry && (
+        <p className="text-sm font-bold text-slate-700">
+          {plea.docketEntry}
+          {plea.status === PLEA_STATUSES.ACCEPTED && typeof plea.score === 'number' && (
+            <span className="ml-2 text-xs uppercase text-slate-500">
+              Plea score {plea.score}/100
+            </span>
+          )}
+        </p>
+      )}
+
+      {isOpen && (
+        <div className="bg-white p-4 rounded-lg border border-slate-200 shadow-sm">
+          <p className="text-sm text-slate-600 mb-3">
+            Plea negotiations stay open until a motion is filed. Terms must fall within{' '}
+            <strong>
+              {range.min}-{range.max} {range.unit}
+            </strong>
+            ; the prosecution gets {MAX_PLEA_ROUNDS} offers ({getPleaRound(plea)} made so far).
+          </p>
+          {canPropose && (
+            <div className="flex flex-wrap gap-2 mb-3">
+              <input
+                type="text"
+                aria-label="Plea charge"
+                value={pleaCharge}
+                onChange={(event) => setPleaCharge(event.target.value)}
+                className="flex-1 min-w-[12rem] border border-slate-300 rounded px-3 py-2 text-sm font-serif text-slate-800 focus:ring-2 focus:ring-indigo-500 outline-none"
+              />
+              <input
+                type="number"
+                aria-label="Plea term"
+                min={range.min}
+                max={range.max}
+                value={term}
+                onChange={(event) => setTerm(event.target.value)}
+                className="w-28 border border-slate-300 rounded px-3 py-2 text-sm text-slate-800 focus:ring-2 focus:ring-indigo-500 outline-none"
+              />
+              <input
+                type="text"
+                aria-label="Plea message"
+                placeholder="Note to opposing counsel"
+                value={message}
+                onChange={(event) => setMessage(event.target.value)}
+                className="flex-1 min-w-[12rem] border border-slate-300 rounded px-3 py-2 text-sm font-serif text-slate-800 focus:ring-2 focus:ring-indigo-500 outline-none"
+              />
+            </div>
+          )}
+          <ActionFooter className="gap-2">
+            {playerRole === 'defense' && !latest && onRequestOffer && (
+              <button
+                type="button"
+                onClick={onRequestOffer}
+                disabled={isLoading}
+                className="bg-slate-700 text-white px-4 py-2 rounded font-bold text-sm hover:bg-slate-800 disabled:opacity-50"
+              >
+                Request Offer
+              </button>
+            )}
+            {canPropose && (
+              <button
+                type="button"
+                onClick={handlePropose}
+                disabled={!pleaCharge.trim() || term === '' || isLoading}
+                className="bg-slate-700 text-white px-4 py-2 rounded font-bold text-sm hover:bg-slate-800 disabled:opacity-50"
+              >
+                {playerRole === 'prosecution' ? 'Offer' : 'Counter'}
+              </button>
+            )}
+            {canAcceptPleaOffer(plea, playerRole) && onAccept && (
+              <button
+                type="button"
+                onClick={onAccept}
+                disabled={isLoading}
+                className="bg-indigo-600 text-white px-4 py-2 rounded font-bold text-sm hover:bg-indigo-700 disabled:opacity-50"
+              >
+                Accept Deal
+              </button>
+            )}
+            {onDecline && (
+              <button
+                type="button"
+                onClick={onDecline}
+                disabled={isLoading}
+                className="text-slate-500 px-4 py-2 rounded font-bold text-sm hover:text-slate-800 disabled:opacity-50"
+              >
+                Go to Trial
+              </button>
+            )}
+          </ActionFooter>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PleaSection;
@@ -0,0 +1,51 @@
+import { SCORE_PHASE_LABELS } from '../../lib/scoring';
+
+/** @typedef {import('../../lib/types').ScoreBreakdown} ScoreBreakdown */
+
+const PHASE_COLORS = Object.freeze({
+  motion: 'bg-sky-500',
+  judge: 'bg-amber-500',
+  jury: 'bg-emerald-500',
+});
+
+/**
+ * Shows how each phase contributed to the weighted verdict score, and notes when the court's
+ * computation overrode the score the model reported.
+ *
+ * @param {object} props - Component props.
+ * @param {ScoreBreakdown} props.breakdown - Score computed by the court.
+ * @returns {JSX.Element} The score breakdown bar.
+ */
+const ScoreBreakdownBar = ({ breakdown }) => {
+  const scale = Math.max(100, breakdown.computed);
+
+  return (
+    <div className="mb-6 text-left" aria-label="Score breakdown">
+      <div className="flex h-3 w-full rounded-full bg-slate-200 overflow-hidden">
+        {breakdown.components.map(({ phase, points }) => (
+          <div
+            key={phase}
+            className={PHASE_COLORS[phase]}
+            style={{ width: `${(points / scale) * 100}%` }}
+          />
+        ))}
+      </div>
+      <ul className="mt-2 flex flex-wrap justify-center gap-x-4 gap-y-1 text-xs text-slate-600">
+        {breakdown.components.map(({ phase, score, weight, points }) => (
+          <li key={phase} className="flex items-center gap-1">
+            <span className={`inline-block w-2 h-2 rounded-full ${PHASE_COLORS[phase]}`} />
+            {SCORE_PHASE_LABELS[phase]} {score} × {Math.round(weight * 100)}% ={' '}
+            {Math.round(points)}
+          </li>
+        ))}
+      </ul>
+      {breakdown.discrepancy !== null && (
+        <p className="mt-2 text-center text-xs italic text-slate-500">
+          The model reported {breakdown.reported}; the court&apos;s computation stands.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ScoreBreakdownBar;
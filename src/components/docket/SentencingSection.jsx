@@ -0,0 +1,94 @@
+import { useState } from 'react';
+import ActionFooter from '../layout/ActionFooter';
+import ExpandableMarkdown from '../shared/ExpandableMarkdown';
+import ResultCard from '../shared/ResultCard';
+import { formatSentenceTerm } from '../../lib/sentencing';
+
+/** @typedef {import('../../lib/types').SentencingState} SentencingState */
+
+/**
+ * Collects the player's sentencing memorandum and shows the sentence once pronounced.
+ *
+ * @param {object} props - Component props.
+ * @param {SentencingState} props.sentencing - Sentencing hearing state.
+ * @param {{unit: string, min: number, max: number, guidance: string}} props.range - Sentencing
+ * range for the jurisdiction.
+ * @param {'defense' | 'prosecution'} props.playerRole - The current player's role.
+ * @param {boolean} props.isLoading - Whether a sentencing request is in flight.
+ * @param {(text: string) => Promise<boolean>} props.onSubmit - Callback to file the memorandum.
+ * @returns {JSX.Element} The sentencing section UI.
+ */
+const SentencingSection = ({ sentencing, range, playerRole, isLoading, onSubmit }) => {
+  const [text, setText] = useState('');
+  const rangeLabel = `${range.min}-${range.max} ${range.unit}`;
+  const sentence = sentencing.sentence;
+
+  if (sentencing.locked && sentence) {
+    const sign = sentence.scoreAdjustment > 0 ? '+' : '';
+    return (
+      <div className="mt-8 bg-white p-6 rounded-lg border border-slate-200 flex flex-col md:flex-row gap-6 animate-in fade-in">
+        <div className="flex-1 space-y-4">
+          <div>
+            <h4 className="text-xs font-bold text-slate-400 uppercase mb-1">
+              {playerRole === 'defense' ? 'Defense' : 'Prosecution'} Sentencing Memorandum
+            </h4>
+            <ExpandableMarkdown text={sentencing.playerMemo} className="font-serif text-slate-700" />
+          </div>
+          <div>
+            <h4 className="text-xs font-bold text-slate-400 uppercase mb-1">
+              {playerRole === 'defense' ? 'Prosecution' : 'Defense'} Sentencing Memorandum
+            </h4>
+            <ExpandableMarkdown text={sentencing.opposingMemo} className="font-serif text-slate-700" />
+          </div>
+        </div>
+        <ResultCard title="Sentence" className="w-full md:w-1/3 bg-slate-50">
+          <p className="text-2xl font-black text-slate-800">{formatSentenceTerm(sentence)}</p>
+          <p className="text-xs text-slate-400 mb-3">Range {rangeLabel}</p>
+          <p className="text-sm font-serif text-slate-700 mb-2">{sentence.text}</p>
+          <p className="text-xs text-slate-500 italic mb-3">{sentence.reasoning}</p>
+          <p className="text-xs font-bold uppercase text-slate-600">
+            Sentencing adjustment {sign}
+            {sentence.scoreAdjustment} · Adjusted score {Math.round(sentence.adjustedScore ?? 0)}
+          </p>
+          {sentence.salvaged && (
+            <p className="mt-1 text-xs font-bold uppercase text-green-700">
+              Loss salvaged by a lenient sentence
+            </p>
+          )}
+        </ResultCard>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mt-8 bg-white p-6 rounded-lg border border-slate-200 shadow-sm animate-in fade-in slide-in-from-bottom-4">
+      <p className="text-sm text-slate-600 mb-1">
+        Sentencing hearing. The court may impose <strong>{rangeLabel}</strong>.
+      </p>
+      <p className="text-xs text-slate-400 mb-3">{range.guidance}</p>
+      <textarea
+        aria-label="Sentencing memorandum"
+        className="w-full h-32 p-3 border border-slate-300 rounded font-serif text-slate-800 mb-3 focus:ring-2 focus:ring-indigo-500 outline-none"
+        placeholder={
+          playerRole === 'defense'
+            ? 'The defense asks the court for leniency because...'
+            : 'The State asks the court to impose...'
+        }
+        value={text}
+        onChange={(event) => setText(event.target.value)}
+      />
+      <ActionFooter>
+        <button
+          type="button"
+          onClick={() => onSubmit(text)}
+          disabled={!text.trim() || isLoading}
+          className="bg-indigo-600 text-white px-6 py-2 rounded font-bold text-sm hover:bg-indigo-700 disabled:opacity-50"
+        >
+          File Sentencing Memorandum
+        </button>
+      </ActionFooter>
+    </div>
+  );
+};
+
+export default SentencingSection;
@@ -0,0 +1,119 @@
+import { useState } from 'react';
+import ActionFooter from '../layout/ActionFooter';
+import { getRoleLabel } from '../../lib/civil';
+import { COUNSEL_STRIKE_ORDER } from '../../lib/judgeMode';
+
+/** @typedef {import('../../lib/types').Juror} Juror */
+
+/**
+ * In judge mode, calls on AI counsel to strike jurors and lets the player disallow strikes, with
+ * a reason, before seating the jury.
+ *
+ * @param {object} props - Component props.
+ * @param {Juror[]} props.pool - Full juror pool.
+ * @param {Record<string, number[]> | undefined} props.strikesByRole - Each side's strikes, once
+ * counsel have struck.
+ * @param {Record<string, string | null>} [props.strikeReasons] - Reasons each side gave.
+ * @param {boolean} props.isLoading - Whether counsel are striking.
+ * @param {() => Promise<boolean>} props.onRequestStrikes - Callback to call for counsel's strikes.
+ * @param {(disallowed: {jurorId: number, reason: string}[]) => boolean} props.onSeat - Callback
+ * to rule on the strikes and seat the jury.
+ * @returns {JSX.Element} The strike review UI.
+ */
+const StrikeReviewSection = ({
+  pool,
+  strikesByRole,
+  strikeReasons = {},
+  isLoading,
+  onRequestStrikes,
+  onSeat,
+}) => {
+  const [reasons, setReasons] = useState({});
+
+  if (!strikesByRole) {
+    return (
+      <ActionFooter>
+        <button
+          type="button"
+          onClick={onRequestStrikes}
+          disabled={isLoading}
+          className="bg-amber-500 text-white font-bold py-2 px-6 rounded hover:bg-amber-600 disabled:opacity-50"
+        >
+          Call for Strikes
+        </button>
+      </ActionFooter>
+    );
+  }
+
+  const disallowed = Object.entries(reasons)
+    .filter(([, reason]) => reason !== null)
+    .map(([jurorId, reason]) => ({ jurorId: Number(jurorId), reason }));
+  const hasMissingReason = disallowed.some((entry) => !entry.reason.trim());
+
+  return (
+    <div className="mt-4 bg-white p-6 rounded-lg border border-slate-200 shadow-sm">
+      <p className="text-sm text-slate-600 mb-4">
+        Review counsel's strikes. Disallow a strike you find pretextual; the juror is reseated.
+      </p>
+      <div className="space-y-4">
+        {COUNSEL_STRIKE_ORDER.map((role) => (
+          <div key={role}>
+            <h4 className="text-xs font-bold text-slate-400 uppercase mb-1">
+              {getRoleLabel(role)} Strikes
+            </h4>
+            {strikeReasons[role] && (
+              <p className="text-xs text-slate-500 italic mb-2">"{strikeReasons[role]}"</p>
+            )}
+            <ul className="space-y-2">
+              {(strikesByRole[role] ?? []).map((jurorId) => {
+                const juror = pool.find((entry) => entry.id === jurorId);
+                const isDisallowed = typeof reasons[jurorId] === 'string';
+                return (
+                  <li key={jurorId} className="flex flex-wrap items-center gap-2 text-sm">
+                    <label className="flex items-center gap-2 min-w-[12rem] text-slate-700">
+                      <input
+                        type="checkbox"
+                        checked={isDisallowed}
+                        onChange={() =>
+                          setReasons((prev) => ({
+                            ...prev,
+                            [jurorId]: isDisallowed ? null : '',
+                          }))
+                        }
+                      />
+                      Disallow Juror #{jurorId}: {juror?.name ?? 'Unknown'}
+                    </label>
+                    {isDisallowed && (
+                      <input
+                        type="text"
+                        aria-label={`Reason to disallow juror ${jurorId}`}
+                        placeholder="The stated reason applies equally to seated jurors..."
+                        value={reasons[jurorId]}
+                        onChange={(event) =>
+                          setReasons((prev) => ({ ...prev, [jurorId]: event.target.value }))
+                        }
+                        className="flex-1 min-w-[12rem] border border-slate-300 rounded px-3 py-2 text-sm font-serif text-slate-800 focus:ring-2 focus:ring-indigo-500 outline-none"
+                      />
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        ))}
+      </div>
+      <ActionFooter>
+        <button
+          type="button"
+          onClick={() => onSeat(disallowed)}
+          disabled={hasMissingReason || isLoading}
+          className="bg-amber-500 text-white font-bold py-2 px-6 rounded hover:bg-amber-600 disabled:opacity-50"
+        >
+          Seat the Jury
+        </button>
+      </ActionFooter>
+    </div>
+  );
+};
+
+export default StrikeReviewSection;
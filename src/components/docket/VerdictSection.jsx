@@ -1,24 +1,32 @@
 import { Trophy } from 'lucide-react';
 import ExpandableText from '../shared/ExpandableText';
 import ResultCard from '../shared/ResultCard';
+import { formatDamages } from '../../lib/civil';
+import { isLegendaryScore } from '../../lib/scoring';
+import DeliberationTally from './DeliberationTally';
+import ScoreBreakdownBar from './ScoreBreakdownBar';
 
 /** @typedef {import('../../lib/types').VerdictResult} VerdictResult */
+/** @typedef {import('../../lib/types').Juror} Juror */
 
 /**
- * Presents the final verdict, scores, and judge/jury reasoning once the trial concludes.
+ * Presents the final verdict, scores, and judge/jury reasoning once the trial concludes, with the
+ * damages award in civil cases. A verdict entered from the bench has no score until it is reviewed.
+ * Scores the court computed show how each phase contributed.
  *
  * @param {object} props - Component props.
  * @param {VerdictResult} props.result - Final verdict payload with scores and reasoning.
+ * @param {Juror[]} [props.jurors] - Juror pool, used to reveal biases in the deliberation tally.
  * @returns {JSX.Element} The verdict presentation.
  */
-const VerdictSection = ({ result }) => {
+const VerdictSection = ({ result, jurors }) => {
+  const isScored = typeof result.final_weighted_score === 'number';
   const roundedScore = Math.round(result.final_weighted_score);
   const baseScore = Math.min(100, Math.max(0, roundedScore));
-  const hasOverflow = result.final_weighted_score > 100;
-  const isLegendary = result.final_weighted_score >= 100;
+  const isLegendary = isLegendaryScore(result.final_weighted_score);
+  const ruling = result.final_ruling.toLowerCase();
   const isGuilty =
-    result.final_ruling.toLowerCase().includes('guilty') &&
-    !result.final_ruling.toLowerCase().includes('not');
+    (ruling.includes('guilty') || ruling.includes('liable')) && !ruling.includes('not');
 
   return (
     <div
@@ -37,11 +45,23 @@ const VerdictSection = ({ result }) => {
       >
         {result.final_ruling}
       </h2>
-      <div className="text-6xl font-black text-slate-800 mb-6">
-        {baseScore}
-        <span className="text-lg text-slate-400 font-normal">/100</span>
-      </div>
-      {hasOverflow && (
+      {isScored ? (
+        <div className="text-6xl font-black text-slate-800 mb-6">
+          {baseScore}
+          <span className="text-lg text-slate-400 font-normal">/100</span>
+        </div>
+      ) : (
+        <div className="mb-6 text-sm italic text-slate-500">Awaiting appellate review.</div>
+      )}
+      {isScored && result.score_breakdown && (
+        <ScoreBreakdownBar breakdown={result.score_breakdown} />
+      )}
+      {typeof result.damages_awarded === 'number' && (
+        <div className="mb-6 text-sm font-bold uppercase tracking-wide text-slate-600">
+          Damages awarded: {formatDamages(result.damages_awarded)}
+        </div>
+      )}
+      {isLegendary && (
         <div className="mb-6 text-xs uppercase tracking-wide text-amber-700 font-semibold">
           Overflow {roundedScore}/100 · {result.overflow_reason_code}: {result.overflow_explanation}
         </div>
@@ -69,6 +89,9 @@ const VerdictSection = ({ result }) => {
           </ResultCard>
         )}
       </div>
+      {result.deliberation?.length > 0 && (
+        <DeliberationTally deliberation={result.deliberation} jurors={jurors} />
+      )}
     </div>
   );
 };
@@ -0,0 +1,162 @@
+import { useState } from 'react';
+import ActionFooter from '../layout/ActionFooter';
+import {
+  EXAMINATION_TYPES,
+  MAX_QUESTIONS_PER_WITNESS,
+  formatTestimonyCitation,
+  getWitnessTranscript,
+} from '../../lib/witnessExamination';
+
+/** @typedef {import('../../lib/types').TestimonyEntry} TestimonyEntry */
+
+/**
+ * Lists one witness's testimony in docket order.
+ *
+ * @param {object} props - Component props.
+ * @param {TestimonyEntry[]} props.entries - Transcript entries for the witness.
+ * @returns {JSX.Element} The witness transcript.
+ */
+const WitnessTranscript = ({ entries }) => (
+  <ol className="mt-2 space-y-2">
+    {entries.map((entry) => (
+      <li key={entry.id} className="text-sm font-serif text-slate-700">
+        <p>
+          <span className="mr-1 text-[10px] font-bold uppercase text-slate-400">{entry.type}</span>
+          <span className="font-semibold">Q:</span> {entry.question}
+        </p>
+        <p className="italic">
+          <span className="font-semibold not-italic">A:</span> {entry.answer}
+        </p>
+      </li>
+    ))}
+  </ol>
+);
+
+/**
+ * Calls witnesses for direct or cross examination and shows the testimony transcript.
+ *
+ * @param {object} props - Component props.
+ * @param {{name: string, role: string, statement: string}[]} props.witnesses - Witness roster.
+ * @param {TestimonyEntry[]} props.transcript - Testimony recorded so far.
+ * @param {boolean} props.isLocked - Whether examination has been rested.
+ * @param {boolean} props.isLoading - Whether a witness answer is in flight.
+ * @param {(witnessNumber: number, type: 'direct' | 'cross', question: string) => Promise<boolean>} props.onAsk - Callback to ask a question.
+ * @param {() => void} props.onRest - Callback to rest examination and move to closing.
+ * @returns {JSX.Element} The witness examination section UI.
+ */
+const WitnessSection = ({ witnesses, transcript = [], isLocked, isLoading, onAsk, onRest }) => {
+  const [witnessNumber, setWitnessNumber] = useState(1);
+  const [examinationType, setExaminationType] = useState(EXAMINATION_TYPES.DIRECT);
+  const [question, setQuestion] = useState('');
+  const activeWitness = witnesses[witnessNumber - 1];
+  const questionsAsked = getWitnessTranscript(transcript, witnessNumber).length;
+  const questionsLeft = Math.max(0, MAX_QUESTIONS_PER_WITNESS - questionsAsked);
+
+  const handleAsk = async () => {
+    const didRecord = await onAsk(witnessNumber, examinationType, question);
+    if (didRecord) {
+      setQuestion('');
+    }
+  };
+
+  const testimonyList = (
+    <div className="space-y-4">
+      {witnesses.map((witness, index) => {
+        const entries = getWitnessTranscript(transcript, index + 1);
+        return (
+          <div key={`${witness.name}-${index}`} className="border-l-2 border-slate-200 pl-3">
+            <h4 className="text-xs font-bold text-slate-400 uppercase">
+              {formatTestimonyCitation(index + 1)} · {witness.name} ({witness.role})
+            </h4>
+            {entries.length ? (
+              <WitnessTranscript entries={entries} />
+            ) : (
+              <p className="text-xs text-slate-400 italic mt-1">Not called.</p>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+
+  if (isLocked) {
+    return (
+      <div className="bg-white p-6 rounded-lg border border-slate-200 animate-in fade-in">
+        {testimonyList}
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white p-6 rounded-lg border border-slate-200 shadow-sm animate-in fade-in slide-in-from-bottom-4">
+      <p className="text-sm text-slate-600 mb-3">
+        Call witnesses and examine them. Cite answers later as <strong>Witness #N testimony</strong>.
+      </p>
+      <div className="mb-4">{testimonyList}</div>
+      <div className="flex flex-wrap gap-2 mb-3">
+        <select
+          aria-label="Witness"
+          value={witnessNumber}
+          onChange={(event) => setWitnessNumber(Number(event.target.value))}
+          className="flex-1 min-w-[12rem] border border-slate-300 rounded px-2 py-2 text-sm text-slate-700"
+        >
+          {witnesses.map((witness, index) => (
+            <option key={`${witness.name}-${index}`} value={index + 1}>
+              Witness #{index + 1}: {witness.name}
+            </option>
+          ))}
+        </select>
+        <div className="flex rounded border border-slate-300 overflow-hidden text-xs font-bold uppercase">
+          {Object.values(EXAMINATION_TYPES).map((type) => (
+            <button
+              key={type}
+              type="button"
+              aria-pressed={examinationType === type}
+              onClick={() => setExaminationType(type)}
+              className={`px-3 py-2 ${
+                examinationType === type
+                  ? 'bg-indigo-600 text-white'
+                  : 'bg-white text-slate-500 hover:bg-slate-100'
+              }`}
+            >
+              {type}
+            </button>
+          ))}
+        </div>
+      </div>
+      {activeWitness?.statement && (
+        <p className="text-xs text-slate-500 italic mb-2">Statement: {activeWitness.statement}</p>
+      )}
+      <textarea
+        aria-label="Question for the witness"
+        className="w-full h-24 p-3 border border-slate-300 rounded font-serif text-slate-800 mb-1 focus:ring-2 focus:ring-indigo-500 outline-none"
+        placeholder="Where were you on the night in question?"
+        value={question}
+        onChange={(event) => setQuestion(event.target.value)}
+      />
+      <p className="text-xs text-slate-400 mb-3">
+        {questionsLeft} of {MAX_QUESTIONS_PER_WITNESS} questions left for this witness.
+      </p>
+      <ActionFooter>
+        <button
+          type="button"
+          onClick={onRest}
+          disabled={isLoading}
+          className="bg-slate-200 text-slate-700 px-4 py-2 rounded font-bold text-sm hover:bg-slate-300"
+        >
+          Rest Examination
+        </button>
+        <button
+          type="button"
+          onClick={handleAsk}
+          disabled={!question.trim() || questionsLeft === 0 || isLoading}
+          className="bg-indigo-600 text-white px-6 py-2 rounded font-bold text-sm hover:bg-indigo-700 disabled:opacity-50"
+        >
+          Ask Witness
+        </button>
+      </ActionFooter>
+    </div>
+  );
+};
+
+export default WitnessSection;
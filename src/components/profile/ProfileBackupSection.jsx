@@ -0,0 +1,127 @@
+import useProfileBackup from '../../hooks/useProfileBackup';
+import { buildBarStatus } from '../../lib/barStatus';
+import { PROFILE_BACKUP_MODES } from '../../lib/profileBackup';
+
+const describeSanctions = (sanctions) =>
+  sanctions ? buildBarStatus({ sanctions }).label : 'No record';
+
+const SUMMARY_ROWS = Object.freeze([
+  { key: 'cases', label: 'Cases' },
+  { key: 'achievements', label: 'Achievements' },
+  { key: 'runs', label: 'Runs' },
+]);
+
+/**
+ * Profile drawer section for exporting the whole profile to a backup file and importing one.
+ * An imported backup is summarized against the current profile before it is merged or replaces it.
+ *
+ * @param {object} props - Component props.
+ * @param {string} props.profileId - Profile to export and restore into.
+ * @param {(profile: import('../../lib/types').PlayerProfile) => void} props.onRestored - Called
+ * with the saved profile after a backup is applied.
+ * @returns {JSX.Element} The backup section.
+ */
+const ProfileBackupSection = ({ profileId, onRestored }) => {
+  const { staged, message, exportProfile, readBackup, applyBackup, cancel } = useProfileBackup(
+    profileId,
+    onRestored
+  );
+  const summary = staged?.summary;
+
+  const handleImportFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    readBackup(await file.text());
+  };
+
+  return (
+    <section className="rounded-xl border border-slate-200 bg-white p-4">
+      <div className="flex items-center justify-between gap-3">
+        <p className="text-[10px] font-bold uppercase tracking-widest text-slate-400">Backup</p>
+        <div className="flex items-center gap-3">
+          <button
+            type="button"
+            onClick={exportProfile}
+            className="rounded-lg border border-slate-200 bg-white px-3 py-1 text-[11px] font-bold uppercase tracking-widest text-slate-600 transition hover:border-slate-300 hover:text-slate-800"
+          >
+            Export Profile
+          </button>
+          <label className="cursor-pointer rounded-lg border border-slate-200 bg-white px-3 py-1 text-[11px] font-bold uppercase tracking-widest text-slate-600 transition hover:border-slate-300 hover:text-slate-800">
+            Import Backup
+            <input
+              type="file"
+              accept=".json,application/json"
+              className="sr-only"
+              onChange={handleImportFile}
+            />
+          </label>
+        </div>
+      </div>
+      <p className="mt-2 text-xs text-slate-500">
+        One file with your profile, run history, and every saved docket.
+      </p>
+      {message && <p className="mt-2 text-xs text-slate-500">{message}</p>}
+      {summary && (
+        <div className="mt-3 rounded-lg border border-amber-200 bg-amber-50 p-3 text-xs text-slate-700">
+          <p className="font-semibold text-slate-800">
+            Backup
+            {summary.exportedAt ? ` from ${new Date(summary.exportedAt).toLocaleString()}` : ''}
+          </p>
+          <table className="mt-2 w-full text-left">
+            <thead>
+              <tr className="text-[10px] uppercase tracking-widest text-slate-400">
+                <th className="font-bold" scope="col" />
+                <th className="font-bold" scope="col">Current</th>
+                <th className="font-bold" scope="col">Backup</th>
+                <th className="font-bold" scope="col">New</th>
+              </tr>
+            </thead>
+            <tbody>
+              {SUMMARY_ROWS.map(({ key, label }) => (
+                <tr key={key}>
+                  <th className="font-semibold text-slate-500" scope="row">
+                    {label}
+                  </th>
+                  <td>{summary[key].current}</td>
+                  <td>{summary[key].incoming}</td>
+                  <td>{summary[key].added}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="mt-2">
+            Sanctions: {describeSanctions(summary.sanctions.current)} now,{' '}
+            {describeSanctions(summary.sanctions.incoming)} in the backup. Either way you keep{' '}
+            <span className="font-semibold">{describeSanctions(summary.sanctions.kept)}</span>.
+          </p>
+          <div className="mt-3 flex flex-wrap gap-2">
+            <button
+              type="button"
+              onClick={() => applyBackup(PROFILE_BACKUP_MODES.MERGE)}
+              className="rounded-lg bg-amber-500 px-3 py-1 text-[11px] font-bold uppercase tracking-widest text-white hover:bg-amber-600"
+            >
+              Merge
+            </button>
+            <button
+              type="button"
+              onClick={() => applyBackup(PROFILE_BACKUP_MODES.REPLACE)}
+              className="rounded-lg border border-red-200 bg-white px-3 py-1 text-[11px] font-bold uppercase tracking-widest text-red-600 hover:border-red-300"
+            >
+              Replace
+            </button>
+            <button
+              type="button"
+              onClick={cancel}
+              className="rounded-lg border border-slate-200 bg-white px-3 py-1 text-[11px] font-bold uppercase tracking-widest text-slate-600 hover:border-slate-300"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default ProfileBackupSection;
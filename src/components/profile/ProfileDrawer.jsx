@@ -4,9 +4,20 @@ import ArgumentSection from '../docket/ArgumentSection';
 import CaseHeader from '../docket/CaseHeader';
 import JurySection from '../docket/JurySection';
 import MotionSection from '../docket/MotionSection';
+import PleaSection from '../docket/PleaSection';
 import VerdictSection from '../docket/VerdictSection';
+import ProfileBackupSection from './ProfileBackupSection';
+import { canAppeal } from '../../lib/appeals';
 import { buildBarStatus } from '../../lib/barStatus';
-import { loadRunHistory } from '../../lib/persistence';
+import {
+  DOCKET_EXPORT_LABELS,
+  buildDocketExport,
+  parseDocketArchive,
+} from '../../lib/docketExport';
+import { DEFAULT_PROFILE_ID } from '../../lib/constants';
+import { downloadTextFile } from '../../lib/download';
+import { formatHotSeatResult } from '../../lib/hotSeat';
+import { getStorageStatus, loadRunHistory } from '../../lib/persistence';
 
 const formatTokenLabel = (token) => {
   if (!token) return null;
@@ -41,6 +52,7 @@ const PastCaseSnapshot = ({ docketSnapshot }) => {
   return (
     <div className="mt-3 origin-top scale-[0.95] space-y-3 rounded-lg border border-slate-200 bg-slate-50 p-3">
       <CaseHeader data={sections.case} counselNotes={sections.counselNotes} />
+      {sections.plea?.offers?.length > 0 && <PleaSection plea={sections.plea} />}
       {sections.jury && !sections.jury.skipped && (
         <JurySection
           pool={sections.jury.pool ?? []}
@@ -50,6 +62,9 @@ const PastCaseSnapshot = ({ docketSnapshot }) => {
           judgeComment={sections.jury.comment ?? ''}
           playerRole={sections.motion?.motionBy ?? 'defense'}
           onStrike={() => {}}
+          questions={sections.jury.questions ?? []}
+          causeChallenges={sections.jury.causeChallenges ?? []}
+          batsonChallenges={sections.jury.batsonChallenges ?? []}
         />
       )}
       {sections.motion && (
@@ -74,7 +89,9 @@ const PastCaseSnapshot = ({ docketSnapshot }) => {
           onSubmit={() => {}}
         />
       )}
-      {sections.trial?.verdict && <VerdictSection result={sections.trial.verdict} />}
+      {sections.trial?.verdict && (
+        <VerdictSection result={sections.trial.verdict} jurors={sections.jury?.pool} />
+      )}
       {Array.isArray(sections.sanctions) && sections.sanctions.length > 0 && (
         <div className="rounded-lg border border-slate-200 bg-white p-3 text-xs text-slate-600">
           <p className="text-[10px] font-bold uppercase tracking-widest text-slate-400">Sanctions</p>
@@ -91,15 +108,26 @@ const PastCaseSnapshot = ({ docketSnapshot }) => {
   );
 };
 
+const exportPastCase = (pastCase, format) => {
+  const exported = buildDocketExport(pastCase, format);
+  if (!exported) return false;
+  return downloadTextFile(exported.filename, exported.text, exported.mimeType);
+};
+
 const ProfileDrawer = ({
   profile,
+  profileId = DEFAULT_PROFILE_ID,
   isOpen: isOpenProp,
   onOpen,
   onClose,
+  onAppeal,
+  onImportDocket,
+  onProfileRestored,
   showTrigger = true,
 }) => {
   const [isOpenInternal, setIsOpenInternal] = useState(false);
   const [expandedCaseId, setExpandedCaseId] = useState(null);
+  const [importMessage, setImportMessage] = useState(null);
   const isControlled = typeof isOpenProp === 'boolean';
   const isOpen = isControlled ? isOpenProp : isOpenInternal;
   const barStatus = useMemo(
@@ -138,9 +166,9 @@ const ProfileDrawer = ({
 
   const lastRun = useMemo(() => {
     if (!isOpen) return null;
-    const history = loadRunHistory();
+    const history = loadRunHistory(profileId);
     return getLastCompletedRun(history?.runs ?? []);
-  }, [isOpen]);
+  }, [isOpen, profileId]);
   const lastRunSummary = useMemo(() => {
     if (!lastRun?.sanctionDelta) return null;
     const before = lastRun.sanctionDelta.before
@@ -152,6 +180,20 @@ const ProfileDrawer = ({
     if (!before && !after) return null;
     return `${before ?? 'No record'} → ${after ?? 'No record'}`;
   }, [lastRun]);
+  const lastRunHotSeat = formatHotSeatResult(lastRun);
+
+  const handleImportFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    const entry = parseDocketArchive(await file.text());
+    if (!entry) {
+      setImportMessage('That file is not a Pocket Court docket archive.');
+      return;
+    }
+    onImportDocket(entry);
+    setImportMessage(`Imported ${entry.caseName}.`);
+  };
 
   useEffect(() => {
     if (!isOpen) return undefined;
@@ -272,6 +314,14 @@ const ProfileDrawer = ({
                       {lastRun.judgeName && (
                         <p className="text-xs text-slate-500">Judge: {lastRun.judgeName}</p>
                       )}
+                      {lastRunHotSeat && (
+                        <>
+                          <p className="text-xs text-slate-500">
+                            Players: {lastRunHotSeat.matchup}
+                          </p>
+                          <p className="text-xs text-slate-500">Winner: {lastRunHotSeat.winner}</p>
+                        </>
+                      )}
                       {(lastRun.playerRole ||
                         lastRun.jurisdiction ||
                         lastRun.courtType ||
@@ -315,8 +365,35 @@ const ProfileDrawer = ({
                     <p className="text-[10px] font-bold uppercase tracking-widest text-slate-400">
                       Past Cases
                     </p>
-                    <span className="text-xs font-semibold text-slate-500">{caseHistory.length} saved</span>
+                    <div className="flex items-center gap-3">
+                      {onImportDocket && (
+                        <label className="cursor-pointer rounded-lg border border-slate-200 bg-white px-3 py-1 text-[11px] font-bold uppercase tracking-widest text-slate-600 transition hover:border-slate-300 hover:text-slate-800">
+                          Import Docket
+                          <input
+                            type="file"
+                            accept=".json,application/json"
+                            className="sr-only"
+                            onChange={handleImportFile}
+                          />
+                        </label>
+                      )}
+                      <span className="text-xs font-semibold text-slate-500">{caseHistory.length} saved</span>
+                    </div>
                   </div>
+                  {importMessage && <p className="mt-2 text-xs text-slate-500">{importMessage}</p>}
+                  {getStorageStatus().quotaExceeded ? (
+                    <p className="mt-2 text-xs text-amber-700">
+                      Browser storage is full. New dockets may be kept only until the tab closes,
+                      and the oldest may lose their full record.
+                    </p>
+                  ) : (
+                    getStorageStatus().archiveWriteFailed && (
+                      <p className="mt-2 text-xs text-amber-700">
+                        The docket archive could not be saved. Dockets stay in browser storage, where
+                        the oldest may lose their full record if it fills up.
+                      </p>
+                    )
+                  )}
                   {caseHistory.length > 0 ? (
                     <div className="mt-3 space-y-2">
                       {caseHistory.map((pastCase) => {
@@ -337,14 +414,55 @@ const ProfileDrawer = ({
                                 <p className="text-xs text-slate-500">
                                   {formatOutcomeLabel(pastCase.outcome)} · {formatTimestamp(pastCase.date)}
                                 </p>
+                                {pastCase.players && (
+                                  <p className="text-xs text-slate-500">
+                                    Winner: {formatHotSeatResult(pastCase).winner}
+                                  </p>
+                                )}
                                 <p className="text-xs text-slate-500">
                                   Sanctions: {pastCase.finalSanctionsCount ?? 0}
+                                  {pastCase.imported && ' · Imported'}
                                 </p>
                               </div>
                               <ChevronDown
                                 className={`h-4 w-4 text-slate-500 transition ${isExpanded ? 'rotate-180' : ''}`}
                               />
                             </button>
+                            {pastCase.appeal && (
+                              <p className="mt-1 text-xs font-semibold text-slate-600">
+                                Appeal: {formatTokenLabel(pastCase.appeal.ruling?.disposition)}
+                              </p>
+                            )}
+                            {onAppeal && (canAppeal(pastCase) || pastCase.appeal) && (
+                              <button
+                                type="button"
+                                onClick={() => onAppeal(pastCase.id)}
+                                className="mt-2 rounded-lg border border-slate-200 bg-white px-3 py-1 text-[11px] font-bold uppercase tracking-widest text-slate-600 transition hover:border-slate-300 hover:text-slate-800"
+                              >
+                                {pastCase.appeal ? 'View Appeal' : 'Appeal'}
+                              </button>
+                            )}
+                            {pastCase.docketSnapshot?.sections?.case && (
+                              <div
+                                className="mt-2 flex flex-wrap items-center gap-2"
+                                role="group"
+                                aria-label={`Export ${pastCase.caseName ?? 'case'}`}
+                              >
+                                <span className="text-[10px] font-bold uppercase tracking-widest text-slate-400">
+                                  Export
+                                </span>
+                                {Object.entries(DOCKET_EXPORT_LABELS).map(([format, label]) => (
+                                  <button
+                                    key={format}
+                                    type="button"
+                                    onClick={() => exportPastCase(pastCase, format)}
+                                    className="rounded-lg border border-slate-200 bg-white px-2 py-1 text-[11px] font-bold uppercase tracking-widest text-slate-600 transition hover:border-slate-300 hover:text-slate-800"
+                                  >
+                                    {label}
+                                  </button>
+                                ))}
+                              </div>
+                            )}
                             {isExpanded && <PastCaseSnapshot docketSnapshot={pastCase.docketSnapshot} />}
                           </div>
                         );
@@ -354,6 +472,8 @@ const ProfileDrawer = ({
                     <p className="mt-3 text-xs text-slate-500">No past cases saved yet.</p>
                   )}
                 </section>
+
+                {onProfileRestored && <ProfileBackupSection profileId={profileId} onRestored={onProfileRestored} />}
               </div>
 
               <div className="border-t border-slate-100 px-5 py-4">
@@ -0,0 +1,33 @@
+import { Users } from 'lucide-react';
+import { getRoleLabel } from '../../lib/civil';
+
+/**
+ * Covers the docket between hot-seat turns so the next player takes the device without seeing
+ * the other seat's strikes, drafts, or counsel notes.
+ *
+ * @param {object} props - Component props.
+ * @param {string} props.playerName - Name of the player whose turn it is.
+ * @param {import('../../lib/types').PlayerRole} props.role - Seat whose turn it is.
+ * @param {() => void} props.onReady - Callback once the player has the device.
+ * @returns {JSX.Element} The handoff screen.
+ */
+const HandoffScreen = ({ playerName, role, onReady }) => (
+  <div className="flex flex-col items-center justify-center min-h-[60vh] text-center p-8 animate-in fade-in">
+    <Users className="w-16 h-16 text-amber-500 mb-6" />
+    <h2 className="text-2xl font-black text-slate-800 mb-2 uppercase tracking-tighter">
+      Pass the Device
+    </h2>
+    <p className="text-slate-600 mb-8">
+      Hand the device to <strong>{playerName}</strong> for the {getRoleLabel(role)}.
+    </p>
+    <button
+      type="button"
+      onClick={onReady}
+      className="bg-amber-500 text-white font-bold py-3 px-8 rounded-xl hover:bg-amber-600 transition-transform active:scale-95"
+    >
+      I'm {playerName}, show my docket
+    </button>
+  </div>
+);
+
+export default HandoffScreen;
@@ -25,7 +25,8 @@ const STEPS = [
  * Displays a themed loading sequence while the game generates a new case.
  *
  * @param {object} props - Component props.
- * @param {string} props.role - The selected player role (defense/prosecution).
+ * @param {string} props.role - The selected player role (defense/prosecution,
+ * plaintiff/defendant, or judge).
  * @returns {JSX.Element} The initialization screen.
  */
 const InitializationScreen = ({ role }) => {
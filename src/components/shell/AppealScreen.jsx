@@ -0,0 +1,152 @@
+import { useState } from 'react';
+import { ArrowLeft, Gavel, RefreshCw } from 'lucide-react';
+import useAppeal from '../../hooks/useAppeal';
+import {
+  APPEAL_OUTCOMES,
+  buildRetrialPayload,
+  getAppealIssueLabel,
+  getAppealableIssues,
+  getEntryLosingSide,
+} from '../../lib/appeals';
+import { getRoleLabel } from '../../lib/civil';
+import ResultCard from '../shared/ResultCard';
+
+const DISPOSITION_LABELS = Object.freeze({
+  [APPEAL_OUTCOMES.AFFIRMED]: 'Affirmed',
+  [APPEAL_OUTCOMES.REVERSED]: 'Reversed',
+  [APPEAL_OUTCOMES.REMANDED]: 'Remanded for a New Trial',
+});
+
+/**
+ * Appeal screen for a saved case: the losing side cites errors in the record and files a brief,
+ * and the Supreme Court panel's ruling is shown, with a retrial on remand.
+ *
+ * @param {object} props - Component props.
+ * @param {import('../../lib/types').CaseHistoryEntry | null} props.caseEntry - Saved case being
+ * appealed.
+ * @param {string} props.profileId - Profile that owns the case.
+ * @param {(payload: object) => void} props.onRetrial - Handler to start the retrial run.
+ * @param {() => void} props.onBack - Handler to leave the appeal screen.
+ * @returns {JSX.Element} Appeal screen layout.
+ */
+const AppealScreen = ({ caseEntry, profileId, onRetrial, onBack }) => {
+  const { appeal, canFile, isLoading, error, fileAppeal } = useAppeal(caseEntry, profileId);
+  const [brief, setBrief] = useState('');
+  const [issues, setIssues] = useState([]);
+  const availableIssues = getAppealableIssues(caseEntry);
+  const appellant = getEntryLosingSide(caseEntry);
+  const ruling = appeal?.ruling ?? null;
+
+  const toggleIssue = (issue) => {
+    setIssues((prev) =>
+      prev.includes(issue) ? prev.filter((value) => value !== issue) : [...prev, issue]
+    );
+  };
+
+  return (
+    <div className="flex flex-col items-center min-h-[80vh] p-6 animate-in fade-in duration-500">
+      <p className="text-xs font-bold uppercase tracking-widest text-slate-400">
+        In the Supreme Court
+      </p>
+      <h1 className="text-3xl md:text-4xl font-black text-slate-800 mb-2 tracking-tighter text-center break-words">
+        {caseEntry?.caseName ?? 'Unknown case'}
+      </h1>
+      {appellant && (
+        <p className="text-slate-500 mb-8 text-sm font-medium">
+          Appeal by the {getRoleLabel(appellant)}
+        </p>
+      )}
+      <div className="w-full max-w-2xl space-y-6 text-left">
+        {ruling ? (
+          <ResultCard title="Appellate Ruling" className="rounded-xl p-6 space-y-3">
+            <p className="text-2xl font-black text-slate-800">
+              {DISPOSITION_LABELS[ruling.disposition] ?? ruling.disposition}
+            </p>
+            <p className="text-sm font-serif text-slate-700">{ruling.opinion}</p>
+            {ruling.errorsFound.length > 0 && (
+              <ul className="space-y-1 text-sm text-slate-600">
+                {ruling.errorsFound.map((finding) => (
+                  <li key={finding.issue}>
+                    <span className="font-semibold">{getAppealIssueLabel(finding.issue)}:</span>{' '}
+                    {finding.finding}
+                  </li>
+                ))}
+              </ul>
+            )}
+            {ruling.remandInstructions && (
+              <p className="text-xs text-slate-500 italic">
+                On remand: {ruling.remandInstructions}
+              </p>
+            )}
+            <p className="text-xs font-bold uppercase text-slate-500">{ruling.docketEntry}</p>
+          </ResultCard>
+        ) : canFile ? (
+          <ResultCard title="Appellate Brief" className="rounded-xl p-6 space-y-4">
+            <fieldset>
+              <legend className="text-xs font-semibold text-slate-500 mb-2">
+                Errors assigned for review
+              </legend>
+              <div className="flex flex-wrap gap-4">
+                {availableIssues.map((issue) => (
+                  <label key={issue} className="flex items-center gap-2 text-sm text-slate-700">
+                    <input
+                      type="checkbox"
+                      checked={issues.includes(issue)}
+                      onChange={() => toggleIssue(issue)}
+                      disabled={isLoading}
+                    />
+                    {getAppealIssueLabel(issue)}
+                  </label>
+                ))}
+              </div>
+            </fieldset>
+            <textarea
+              aria-label="Appellate brief"
+              className="w-full h-40 p-3 border border-slate-300 rounded font-serif text-slate-800 focus:ring-2 focus:ring-indigo-500 outline-none"
+              placeholder="The trial court erred when..."
+              value={brief}
+              onChange={(event) => setBrief(event.target.value)}
+              disabled={isLoading}
+            />
+            {error && <p className="text-sm font-semibold text-red-600">{error}</p>}
+            <button
+              type="button"
+              onClick={() => fileAppeal(brief, issues)}
+              disabled={isLoading || !brief.trim() || issues.length === 0}
+              className="w-full rounded-lg bg-indigo-600 px-6 py-2 text-sm font-bold text-white hover:bg-indigo-700 disabled:opacity-50 flex items-center justify-center gap-2"
+            >
+              <Gavel className="w-4 h-4" />
+              {isLoading ? 'The panel is deliberating...' : 'File Appeal'}
+            </button>
+          </ResultCard>
+        ) : (
+          <ResultCard className="rounded-xl p-6">
+            <p className="text-sm text-slate-600">
+              Only the losing side of a recorded verdict or dismissal may appeal, once per case.
+            </p>
+          </ResultCard>
+        )}
+      </div>
+      <div className="flex w-full max-w-sm flex-col gap-4 mt-10">
+        {ruling?.disposition === APPEAL_OUTCOMES.REMANDED && !caseEntry.imported && (
+          <button
+            type="button"
+            onClick={() => onRetrial(buildRetrialPayload({ ...caseEntry, appeal }))}
+            className="rounded-xl bg-amber-500 px-6 py-3 text-sm font-bold uppercase tracking-wide text-white shadow-md transition-transform hover:bg-amber-600 active:scale-95 flex items-center justify-center gap-2"
+          >
+            <RefreshCw className="w-4 h-4" /> Begin Retrial
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={onBack}
+          className="rounded-xl border-2 border-slate-200 bg-white px-6 py-3 text-sm font-bold uppercase tracking-wide text-slate-600 flex items-center justify-center gap-2"
+        >
+          <ArrowLeft className="w-4 h-4" /> Back
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AppealScreen;
@@ -0,0 +1,117 @@
+import React, { useState, useSyncExternalStore } from 'react';
+import { downloadTextFile } from '../../lib/download';
+import {
+  clearReplayFixture,
+  getRecordedEntryCount,
+  getRecordedFixture,
+  hasReplayFixture,
+  isFixtureRecording,
+  loadReplayFixture,
+  startFixtureRecording,
+  stopFixtureRecording,
+  subscribeToFixtureRecording,
+} from '../../lib/llmFixtures';
+
+/**
+ * Record/replay controls for LLM fixtures.
+ *
+ * Live providers can record every response to a downloadable fixture; the offline mock provider
+ * can load such a fixture and replay it instead of serving canned responses.
+ *
+ * @param {object} props - Component props.
+ * @param {string} props.provider - Active AI provider id.
+ * @returns {JSX.Element} Fixture controls.
+ */
+const FixtureControls = ({ provider }) => {
+  const isRecording = useSyncExternalStore(subscribeToFixtureRecording, isFixtureRecording);
+  const recordedCount = useSyncExternalStore(subscribeToFixtureRecording, getRecordedEntryCount);
+  const [replayStatus, setReplayStatus] = useState(() =>
+    hasReplayFixture() ? 'Replaying a loaded fixture.' : null
+  );
+  const [fixtureError, setFixtureError] = useState(null);
+
+  const handleRecordToggle = (checked) => {
+    if (checked) {
+      startFixtureRecording();
+    } else {
+      stopFixtureRecording();
+    }
+  };
+
+  const handleDownload = () => {
+    const fixture = getRecordedFixture();
+    if (!fixture) return;
+    const stamp = fixture.recordedAt.replace(/[:.]/g, '-');
+    downloadTextFile(`pocketcourt-fixture-${stamp}.json`, JSON.stringify(fixture, null, 2));
+  };
+
+  const handleFixtureFile = async (file) => {
+    if (!file) return;
+    try {
+      const count = loadReplayFixture(JSON.parse(await file.text()));
+      setReplayStatus(`Replaying ${count} recorded responses from ${file.name}.`);
+      setFixtureError(null);
+    } catch (error) {
+      setFixtureError(error instanceof SyntaxError ? 'Fixture file is not valid JSON.' : error.message);
+    }
+  };
+
+  const handleClearReplay = () => {
+    clearReplayFixture();
+    setReplayStatus(null);
+  };
+
+  if (provider === 'mock') {
+    return (
+      <div className="space-y-2 text-left">
+        <p className="text-xs text-slate-400">
+          Offline mock: no network or key needed. {replayStatus ?? 'Serving canned responses.'}
+        </p>
+        <div className="flex items-center gap-2">
+          <input
+            type="file"
+            accept="application/json,.json"
+            aria-label="Load replay fixture"
+            onChange={(event) => handleFixtureFile(event.target.files?.[0])}
+            className="flex-1 text-xs text-slate-500 file:mr-2 file:rounded-lg file:border file:border-slate-200 file:bg-white file:px-3 file:py-1 file:text-xs file:font-bold file:uppercase file:text-slate-500"
+          />
+          {replayStatus && (
+            <button
+              type="button"
+              onClick={handleClearReplay}
+              className="rounded-lg border border-slate-200 bg-white px-3 py-1 text-xs font-bold uppercase tracking-wide text-slate-500 transition-colors hover:border-slate-300 hover:text-slate-700"
+            >
+              Clear
+            </button>
+          )}
+        </div>
+        {fixtureError && <p className="text-xs font-semibold text-red-600">{fixtureError}</p>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex items-center justify-between gap-2">
+      <label className="flex items-center gap-2 text-xs font-semibold text-slate-500">
+        <input
+          type="checkbox"
+          checked={isRecording}
+          onChange={(event) => handleRecordToggle(event.target.checked)}
+          className="h-4 w-4 rounded border-slate-300 text-amber-500 focus:ring-amber-400"
+        />
+        Record responses to a fixture
+      </label>
+      {recordedCount > 0 && (
+        <button
+          type="button"
+          onClick={handleDownload}
+          className="rounded-lg border border-slate-200 bg-white px-3 py-1 text-xs font-bold uppercase tracking-wide text-slate-500 transition-colors hover:border-slate-300 hover:text-slate-700"
+        >
+          Download ({recordedCount})
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default FixtureControls;
@@ -1,11 +1,19 @@
 import { useEffect, useMemo, useState } from 'react';
 import { Scale } from 'lucide-react';
+import ProfilePicker from './ProfilePicker';
+import ResumeCaseButton from './ResumeCaseButton';
 
 /**
  * Main menu shell for routing into setup.
  *
  * @param {object} props - Component props.
  * @param {() => void} props.onPlay - Handler for transitioning to setup.
+ * @param {import('../../lib/types').ActiveRunSave | null} [props.activeRun] - Autosaved run that
+ * can be resumed.
+ * @param {() => void} [props.onResume] - Handler that resumes the autosaved run.
+ * @param {import('../../lib/types').ProfileRegistry | null} [props.profiles] - Saved profiles and
+ * the active one, for the profile picker.
+ * @param {object} [props.profileActions] - Profile picker handlers; see `ProfilePicker`.
  * @returns {JSX.Element} The main menu layout.
  */
 const TAGLINES = [
@@ -15,7 +23,7 @@ const TAGLINES = [
   'Strategy, rhetoric, and a skeptical bench.',
 ];
 
-const MainMenu = ({ onPlay }) => {
+const MainMenu = ({ onPlay, activeRun = null, onResume, profiles = null, profileActions }) => {
   const taglines = useMemo(() => TAGLINES, []);
   const [taglineIndex, setTaglineIndex] = useState(() =>
     Math.floor(Math.random() * taglines.length)
@@ -41,6 +49,8 @@ const MainMenu = ({ onPlay }) => {
         {taglines[taglineIndex]}
       </p>
       <div className="flex w-full max-w-sm flex-col gap-4">
+        {profiles && profileActions && <ProfilePicker registry={profiles} {...profileActions} />}
+        {activeRun && onResume && <ResumeCaseButton activeRun={activeRun} onResume={onResume} />}
         <button
           type="button"
           onClick={onPlay}
@@ -0,0 +1,57 @@
+/**
+ * Reports saved data that could not be upgraded to the current schema, or could not be read at
+ * all. The old data is left in place and kept in a backup key; until the player restores it or
+ * starts over, nothing is saved over it. Unreadable data has nothing to restore.
+ *
+ * @param {object} props - Component props.
+ * @param {import('../../lib/types').MigrationFailure[]} props.failures - Unacknowledged failures.
+ * @param {(backupKey: string) => void} props.onRestore - Handler that puts the backup back.
+ * @param {(backupKey: string) => void} props.onDismiss - Handler that starts the record over.
+ * @returns {JSX.Element | null} The migration notice, or null when nothing failed.
+ */
+const MigrationNotice = ({ failures, onRestore, onDismiss }) => {
+  if (!failures.length) return null;
+
+  return (
+    <div className="mx-auto mt-4 w-full max-w-md space-y-2 px-6" role="alert">
+      {failures.map((failure) => (
+        <div
+          key={failure.backupKey}
+          className="rounded-xl border border-amber-200 bg-amber-50 p-4 text-left text-sm text-amber-800 shadow-sm"
+        >
+          <p className="text-xs font-bold uppercase tracking-widest text-amber-600">
+            Saved {failure.label} {failure.unreadable ? 'unreadable' : 'not upgraded'}
+          </p>
+          <p className="mt-2">{failure.error}</p>
+          <p className="mt-2 text-amber-700">
+            Your old {failure.label} is untouched and backed up under{' '}
+            <code className="font-semibold">{failure.backupKey}</code>.{' '}
+            {failure.unreadable
+              ? 'Progress is not saved to it until you start over.'
+              : 'Progress is not saved to it until you restore the backup or start over. Starting over keeps any active sanction.'}
+          </p>
+          <div className="mt-3 flex gap-4">
+            {!failure.unreadable && (
+              <button
+                type="button"
+                onClick={() => onRestore(failure.backupKey)}
+                className="text-xs font-bold uppercase tracking-widest text-amber-700 hover:text-amber-900"
+              >
+                Restore Backup
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={() => onDismiss(failure.backupKey)}
+              className="text-xs font-bold uppercase tracking-widest text-amber-700 hover:text-amber-900"
+            >
+              Start Over
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default MigrationNotice;
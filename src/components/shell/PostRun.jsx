@@ -1,7 +1,10 @@
 import React from 'react';
-import { Home, RefreshCw } from 'lucide-react';
+import { Gavel, Home, RefreshCw } from 'lucide-react';
+import { canAppeal } from '../../lib/appeals';
 import { buildBarStatus } from '../../lib/barStatus';
+import { formatDamages } from '../../lib/civil';
 import { SANCTION_STATES } from '../../lib/constants';
+import { formatHotSeatResult } from '../../lib/hotSeat';
 import ResultCard from '../shared/ResultCard';
 
 const buildSnapshotRows = (snapshot, profile) => {
@@ -72,15 +75,23 @@ const buildStatusItems = (before, after) => {
  * Post-run summary screen for outcomes and status changes.
  *
  * @param {object} props - Component props.
- * @param {object | null} props.outcome - Terminal run outcome payload.
+ * @param {object | null} props.outcome - Terminal run outcome payload, including the sentence
+ * when the case went to sentencing, the damages awarded in a civil judgment, both players and the
+ * winning seat in hot-seat mode, and the `caseHistoryId` of the saved docket.
  * @param {object | null} props.sanctionsState - Current sanctions state.
  * @param {import('../../lib/types').PlayerProfile | null} props.profile - Persisted player profile snapshot.
  * @param {() => void} props.onNewCase - Handler to start a new case.
  * @param {() => void} props.onMainMenu - Handler to return to the main menu.
+ * @param {(caseId: string) => void} [props.onAppeal] - Handler to appeal the saved docket.
  * @returns {JSX.Element} Post-run summary layout.
  */
-const PostRun = ({ outcome, sanctionsState, profile, onNewCase, onMainMenu }) => {
+const PostRun = ({ outcome, sanctionsState, profile, onNewCase, onMainMenu, onAppeal }) => {
   const disposition = outcome?.disposition ?? null;
+  const savedCase =
+    profile?.caseHistory?.find((entry) => entry.id === outcome?.caseHistoryId) ?? null;
+  const sentence = outcome?.sentence ?? null;
+  const damages = typeof outcome?.damages === 'number' ? outcome.damages : null;
+  const hotSeat = formatHotSeatResult(outcome);
   const sanctionsBefore = outcome?.sanctions?.before ?? null;
   const sanctionsAfter = outcome?.sanctions?.after ?? profile?.sanctions ?? sanctionsState ?? null;
   const beforeRows = buildSnapshotRows(sanctionsBefore, null);
@@ -108,6 +119,31 @@ const PostRun = ({ outcome, sanctionsState, profile, onNewCase, onMainMenu }) =>
               {disposition.details}
             </pre>
             )}
+          {hotSeat && (
+            <div className="text-sm text-slate-600">
+              <p>Players: {hotSeat.matchup}</p>
+              <p className="font-semibold text-slate-700">Winner: {hotSeat.winner}</p>
+            </div>
+          )}
+          {damages !== null && (
+            <p className="text-sm font-semibold text-slate-700">
+              Damages awarded: {formatDamages(damages)}
+            </p>
+          )}
+          {sentence && (
+            <div className="text-sm text-slate-600">
+              <p className="font-semibold text-slate-700">
+                Sentence: {sentence.term} {sentence.unit}
+              </p>
+              <p>
+                Sentencing adjustment {sentence.scoreAdjustment > 0 ? '+' : ''}
+                {sentence.scoreAdjustment}
+                {typeof sentence.adjustedScore === 'number' &&
+                  ` · Adjusted score ${Math.round(sentence.adjustedScore)}`}
+                {sentence.salvaged && ' · Loss salvaged by a lenient sentence'}
+              </p>
+            </div>
+          )}
         </ResultCard>
         <ResultCard title="Run Impact" className="rounded-xl p-6 space-y-4">
           <div className="grid gap-4 md:grid-cols-2">
@@ -151,6 +187,15 @@ const PostRun = ({ outcome, sanctionsState, profile, onNewCase, onMainMenu }) =>
         </ResultCard>
       </div>
       <div className="flex w-full max-w-sm flex-col gap-4 mt-10">
+        {onAppeal && canAppeal(savedCase) && (
+          <button
+            type="button"
+            onClick={() => onAppeal(savedCase.id)}
+            className="rounded-xl border-2 border-indigo-200 bg-indigo-50 px-6 py-3 text-sm font-bold uppercase tracking-wide text-indigo-700 flex items-center justify-center gap-2"
+          >
+            <Gavel className="w-4 h-4" /> File Appeal
+          </button>
+        )}
         <button
           type="button"
           onClick={onNewCase}
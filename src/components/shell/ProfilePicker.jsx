@@ -0,0 +1,154 @@
+import { useState } from 'react';
+import { UserCircle } from 'lucide-react';
+import { PROFILE_NAME_MAX_LENGTH } from '../../lib/constants';
+
+const ACTION_BUTTON_CLASS =
+  'text-[11px] font-bold uppercase tracking-widest text-slate-500 transition hover:text-slate-800 disabled:cursor-not-allowed disabled:text-slate-300';
+
+/**
+ * Profile picker for the main menu. Each profile keeps its own bar record, stats, achievements,
+ * and run history; the picker switches between them and creates, renames, duplicates, or deletes
+ * them.
+ *
+ * @param {object} props - Component props.
+ * @param {import('../../lib/types').ProfileRegistry} props.registry - Saved profiles and the active one.
+ * @param {(profileId: string) => boolean} props.onSelect - Handler that switches profiles.
+ * @param {(name: string) => boolean} props.onCreate - Handler that creates and switches to a profile.
+ * @param {(profileId: string, name: string) => boolean} props.onRename - Handler that renames a profile.
+ * @param {(profileId: string) => boolean} props.onDuplicate - Handler that copies a profile.
+ * @param {(profileId: string) => boolean} props.onDelete - Handler that deletes a profile.
+ * @returns {JSX.Element} The profile picker.
+ */
+const ProfilePicker = ({ registry, onSelect, onCreate, onRename, onDuplicate, onDelete }) => {
+  // null, 'create', 'rename', or 'delete'
+  const [mode, setMode] = useState(null);
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+  const activeProfile =
+    registry.profiles.find((slot) => slot.id === registry.activeProfileId) ?? registry.profiles[0];
+  const canDelete = registry.profiles.length > 1;
+
+  const openMode = (nextMode) => {
+    setMode(nextMode);
+    setName(nextMode === 'rename' ? activeProfile.name : '');
+    setError(null);
+  };
+
+  const closeMode = () => {
+    setMode(null);
+    setError(null);
+  };
+
+  const finish = (saved, failure) => {
+    if (saved) {
+      closeMode();
+    } else {
+      setError(failure);
+    }
+  };
+
+  const handleSubmitName = (event) => {
+    event.preventDefault();
+    if (!name.trim()) {
+      setError('Enter a profile name.');
+      return;
+    }
+    finish(
+      mode === 'create' ? onCreate(name) : onRename(activeProfile.id, name),
+      'The profile could not be saved.'
+    );
+  };
+
+  return (
+    <section className="w-full rounded-xl border-2 border-slate-200 bg-white p-4 text-left">
+      <label
+        htmlFor="profile-picker"
+        className="flex items-center gap-2 text-[10px] font-bold uppercase tracking-widest text-slate-400"
+      >
+        <UserCircle className="h-4 w-4" /> Profile
+      </label>
+      <select
+        id="profile-picker"
+        value={activeProfile.id}
+        onChange={(event) => {
+          closeMode();
+          onSelect(event.target.value);
+        }}
+        className="mt-2 w-full rounded-lg border border-slate-200 bg-white px-3 py-2 text-sm font-semibold text-slate-800"
+      >
+        {registry.profiles.map((slot) => (
+          <option key={slot.id} value={slot.id}>
+            {slot.name}
+          </option>
+        ))}
+      </select>
+
+      {mode === 'create' || mode === 'rename' ? (
+        <form onSubmit={handleSubmitName} className="mt-3 flex items-center gap-2">
+          <input
+            type="text"
+            aria-label={mode === 'create' ? 'New profile name' : 'Profile name'}
+            value={name}
+            maxLength={PROFILE_NAME_MAX_LENGTH}
+            onChange={(event) => setName(event.target.value)}
+            className="min-w-0 flex-1 rounded-lg border border-slate-200 px-3 py-1.5 text-sm text-slate-800"
+          />
+          <button type="submit" className={ACTION_BUTTON_CLASS}>
+            Save
+          </button>
+          <button type="button" onClick={closeMode} className={ACTION_BUTTON_CLASS}>
+            Cancel
+          </button>
+        </form>
+      ) : mode === 'delete' ? (
+        <div className="mt-3 rounded-lg border border-red-200 bg-red-50 p-3 text-xs text-red-700">
+          <p>
+            Delete <span className="font-semibold">{activeProfile.name}</span>? Its bar record,
+            cases, and run history are removed from this browser.
+          </p>
+          <div className="mt-2 flex gap-4">
+            <button
+              type="button"
+              onClick={() => finish(onDelete(activeProfile.id), 'The profile could not be deleted.')}
+              className="text-[11px] font-bold uppercase tracking-widest text-red-600 hover:text-red-800"
+            >
+              Delete Profile
+            </button>
+            <button type="button" onClick={closeMode} className={ACTION_BUTTON_CLASS}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="mt-3 flex flex-wrap gap-4">
+          <button type="button" onClick={() => openMode('create')} className={ACTION_BUTTON_CLASS}>
+            New
+          </button>
+          <button type="button" onClick={() => openMode('rename')} className={ACTION_BUTTON_CLASS}>
+            Rename
+          </button>
+          <button
+            type="button"
+            onClick={() =>
+              finish(onDuplicate(activeProfile.id), 'The profile could not be duplicated.')
+            }
+            className={ACTION_BUTTON_CLASS}
+          >
+            Duplicate
+          </button>
+          <button
+            type="button"
+            onClick={() => openMode('delete')}
+            disabled={!canDelete}
+            className={ACTION_BUTTON_CLASS}
+          >
+            Delete
+          </button>
+        </div>
+      )}
+      {error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+    </section>
+  );
+};
+
+export default ProfilePicker;
@@ -0,0 +1,34 @@
+import { RotateCcw } from 'lucide-react';
+import { getRoleLabel } from '../../lib/civil';
+
+/**
+ * Button that resumes the autosaved run, labelled with the case it restores.
+ *
+ * @param {object} props - Component props.
+ * @param {import('../../lib/types').ActiveRunSave} props.activeRun - Autosaved run to resume.
+ * @param {() => void} props.onResume - Handler that restores the run.
+ * @param {string} [props.className] - Extra classes for layout.
+ * @returns {JSX.Element} The resume button.
+ */
+const ResumeCaseButton = ({ activeRun, onResume, className = '' }) => {
+  const caseTitle = activeRun.history?.case?.title ?? 'Case being filed';
+  const seat = activeRun.config?.players ? 'Hot seat' : getRoleLabel(activeRun.config?.role);
+
+  return (
+    <button
+      type="button"
+      onClick={onResume}
+      className={`flex items-center gap-3 rounded-xl bg-slate-800 px-6 py-3 text-left text-white shadow-md transition-transform hover:bg-slate-700 active:scale-95 ${className}`}
+    >
+      <RotateCcw className="h-5 w-5 shrink-0 text-amber-400" />
+      <span className="min-w-0">
+        <span className="block text-sm font-bold uppercase tracking-wide">Resume Case</span>
+        <span className="block truncate text-xs text-slate-300">
+          {caseTitle} · {seat}
+        </span>
+      </span>
+    </button>
+  );
+};
+
+export default ResumeCaseButton;
@@ -1,45 +1,94 @@
 import React, { useEffect, useRef, useState } from 'react';
-import { Gavel, Shield } from 'lucide-react';
+import { Gavel, Scale, Shield, Users } from 'lucide-react';
 import {
+  CASE_TYPE_OPTIONS,
   COURT_TYPE_OPTIONS,
   DEFAULT_GAME_CONFIG,
   DIFFICULTY_OPTIONS,
   JURISDICTION_OPTIONS,
 } from '../../lib/config';
 import { buildBarStatus } from '../../lib/barStatus';
-import { COURT_TYPES, SANCTION_LEVELS, SANCTION_STATES } from '../../lib/constants';
+import { getRoleLabel } from '../../lib/civil';
+import {
+  CASE_TYPES,
+  COURT_TYPES,
+  PLAYER_ROLES,
+  SANCTION_LEVELS,
+  SANCTION_STATES,
+} from '../../lib/constants';
 import { debugEnabled } from '../../lib/debugStore';
-import { AI_PROVIDERS, loadStoredApiKey, persistApiKey } from '../../lib/runtimeConfig';
+import { HOT_SEAT_ROLES } from '../../lib/hotSeat';
+import {
+  AI_PROVIDERS,
+  getProviderOption,
+  getRuntimeApiKey,
+  loadStoredApiKey,
+  loadStoredProvider,
+  persistApiKey,
+  setActiveProvider,
+} from '../../lib/runtimeConfig';
 import ProfileDrawer from '../profile/ProfileDrawer';
+import FixtureControls from './FixtureControls';
 import InitializationScreen from '../screens/InitializationScreen';
+import ResumeCaseButton from './ResumeCaseButton';
 
 /**
- * Setup hub for selecting a game mode, jurisdiction, and side.
+ * Setup hub for selecting a game mode, jurisdiction, case type, and side. Civil cases are started
+ * with the plaintiff or defendant role. Criminal cases can also be started for two players sharing
+ * the device, with a name for each seat.
  *
  * @param {object} props - Component props.
- * @param {(role: string, difficulty: string, jurisdiction: string, courtType: string) => void} props.onStart - Callback to start the game.
+ * @param {(role: string, difficulty: string, jurisdiction: string, courtType: string, players?: import('../../lib/types').HotSeatPlayers | null) => boolean | void} props.onStart - Callback to start the game; returns false when the case cannot start.
+ * @param {(caseId: string) => void} [props.onAppeal] - Callback to open the appeal screen for a
+ * past case from the profile drawer.
+ * @param {(entry: import('../../lib/types').CaseHistoryEntry) => void} [props.onImportDocket] -
+ * Callback to save a case imported from a docket archive.
+ * @param {(profile: import('../../lib/types').PlayerProfile) => void} [props.onProfileRestored] -
+ * Callback after a profile backup is merged or replaces the profile.
+ * @param {import('../../lib/types').ActiveRunSave | null} [props.activeRun] - Autosaved run that
+ * can be resumed instead of starting a new case.
+ * @param {() => void} [props.onResume] - Callback to resume the autosaved run.
  * @param {string | null} props.error - Error message to display when startup fails.
+ * @param {string | null} [props.notice] - Why the last start was refused, e.g. a case open in
+ * another tab.
  * @param {import('../../lib/types').PlayerProfile | null} props.profile - Persisted player profile snapshot.
+ * @param {string} [props.profileId] - Active profile, whose run history the profile drawer shows.
  * @param {boolean} props.isInitializing - Whether setup is starting a run.
  * @param {string | null} props.initializingRole - Role to display while initializing.
  * @returns {JSX.Element} The setup hub layout.
  */
 const SetupHub = ({
   onStart,
+  onAppeal,
+  onImportDocket,
+  onProfileRestored,
+  activeRun = null,
+  onResume,
   error,
+  notice = null,
   profile,
+  profileId,
   isInitializing,
   initializingRole,
 }) => {
   const [difficulty, setDifficulty] = useState(DEFAULT_GAME_CONFIG.difficulty);
   const [jurisdiction, setJurisdiction] = useState(DEFAULT_GAME_CONFIG.jurisdiction);
   const [courtType, setCourtType] = useState(DEFAULT_GAME_CONFIG.courtType);
-  const storedApiKey = loadStoredApiKey();
-  const [provider, setProvider] = useState(AI_PROVIDERS[0]?.value ?? 'gemini');
-  const [apiKey, setApiKey] = useState(storedApiKey ?? '');
+  const [caseType, setCaseType] = useState(DEFAULT_GAME_CONFIG.caseType);
+  const [provider, setProvider] = useState(() => loadStoredProvider());
+  const [apiKey, setApiKey] = useState(
+    () => loadStoredApiKey(provider) || getRuntimeApiKey(provider)
+  );
   const [showApiKey, setShowApiKey] = useState(false);
-  const [rememberKey, setRememberKey] = useState(Boolean(storedApiKey));
+  const [rememberKey, setRememberKey] = useState(() => Boolean(loadStoredApiKey(provider)));
+  const providerOption = getProviderOption(provider);
+  const isOfflineProvider = provider === 'mock';
   const [isProfileOpen, setIsProfileOpen] = useState(false);
+  const [isHotSeatOpen, setIsHotSeatOpen] = useState(false);
+  const [playerNames, setPlayerNames] = useState({
+    [PLAYER_ROLES.DEFENSE]: '',
+    [PLAYER_ROLES.PROSECUTION]: '',
+  });
   const startGateRef = useRef(false);
   const barStatus = buildBarStatus({
     sanctions: profile?.sanctions ?? null,
@@ -59,6 +108,11 @@ const SetupHub = ({
         (option) =>
           !(sanctionsTier >= warningTier && option.value === COURT_TYPES.SUPREME_COURT)
       );
+  const effectiveCaseType = isPublicDefenderMode ? CASE_TYPES.PUBLIC_DEFENDER : caseType;
+  const caseTypeOptions = isPublicDefenderMode
+    ? CASE_TYPE_OPTIONS.filter((option) => option.value === CASE_TYPES.PUBLIC_DEFENDER)
+    : CASE_TYPE_OPTIONS.filter((option) => option.value !== CASE_TYPES.PUBLIC_DEFENDER);
+  const isCivil = effectiveCaseType === CASE_TYPES.CIVIL;
   const hasSanctionsSnapshot = Boolean(profile?.sanctions);
   const sanctionsLabel = hasSanctionsSnapshot
     ? `Tier ${barStatus.level ?? 'unknown'} — ${barStatus.label}`
@@ -73,8 +127,16 @@ const SetupHub = ({
   const defenseDisabled = isInitializing || startBlocked;
 
   useEffect(() => {
-    persistApiKey(apiKey, rememberKey);
-  }, [apiKey, rememberKey]);
+    persistApiKey(apiKey, rememberKey, provider);
+  }, [apiKey, rememberKey, provider]);
+
+  const handleProviderChange = (nextProvider) => {
+    const activeProvider = setActiveProvider(nextProvider);
+    const nextStoredKey = loadStoredApiKey(activeProvider);
+    setProvider(activeProvider);
+    setApiKey(nextStoredKey || getRuntimeApiKey(activeProvider));
+    setRememberKey(Boolean(nextStoredKey));
+  };
 
   useEffect(() => {
     if (!isInitializing) {
@@ -82,7 +144,7 @@ const SetupHub = ({
     }
   }, [isInitializing]);
 
-  const handleStart = (role) => {
+  const handleStart = (role, players = null) => {
     if (startGateRef.current || isInitializing || startBlocked) return;
     startGateRef.current = true;
     const effectiveRole = isPublicDefenderMode ? 'defense' : role;
@@ -96,10 +158,20 @@ const SetupHub = ({
           difficulty,
           jurisdiction,
           courtType: effectiveCourtType,
+          caseType: effectiveCaseType,
         },
       });
     }
-    onStart(effectiveRole, difficulty, jurisdiction, effectiveCourtType);
+    const started = onStart(
+      effectiveRole,
+      difficulty,
+      jurisdiction,
+      effectiveCourtType,
+      ...(players ? [players] : [])
+    );
+    if (started === false) {
+      startGateRef.current = false;
+    }
   };
 
   if (isInitializing) {
@@ -114,10 +186,24 @@ const SetupHub = ({
           <p className="mt-2">{error}</p>
           <p className="mt-2 text-red-600">
             Hint: check your <code className="font-semibold">.env</code> for{' '}
-            <code className="font-semibold">VITE_GEMINI_API_KEY</code>.
+            <code className="font-semibold">{`${providerOption.envPrefix}_API_KEY`}</code>.
           </p>
         </div>
       )}
+      {notice && (
+        <div
+          className="w-full max-w-md mb-8 rounded-xl border border-amber-200 bg-amber-50 p-4 text-left text-sm text-amber-800 shadow-sm"
+          role="status"
+        >
+          {notice}
+        </div>
+      )}
+      {activeRun && onResume && (
+        <div className="w-full max-w-md mb-8">
+          <ResumeCaseButton activeRun={activeRun} onResume={onResume} className="w-full" />
+          <p className="mt-2 text-xs text-slate-500">Starting a new case discards the saved one.</p>
+        </div>
+      )}
       <button
         type="button"
         onClick={() => setIsProfileOpen(true)}
@@ -175,8 +261,9 @@ const SetupHub = ({
                   Provider
                 </label>
                 <select
+                  aria-label="AI provider"
                   value={provider}
-                  onChange={(event) => setProvider(event.target.value)}
+                  onChange={(event) => handleProviderChange(event.target.value)}
                   className="w-full rounded-lg border border-slate-200 bg-slate-50 px-3 py-2 text-sm font-semibold text-slate-700 focus:border-amber-400 focus:outline-none"
                 >
                   {AI_PROVIDERS.map((option) => (
@@ -186,40 +273,52 @@ const SetupHub = ({
                   ))}
                 </select>
               </div>
-              <div>
-                <label className="text-xs font-bold text-slate-400 uppercase tracking-widest mb-2 block">
-                  API Key
-                </label>
-                <div className="flex items-center gap-2">
-                  <input
-                    type={showApiKey ? 'text' : 'password'}
-                    value={apiKey}
-                    onChange={(event) => setApiKey(event.target.value)}
-                    placeholder="Paste your key"
-                    className="flex-1 rounded-lg border border-slate-200 bg-slate-50 px-3 py-2 text-sm font-semibold text-slate-700 focus:border-amber-400 focus:outline-none"
-                  />
-                  <button
-                    type="button"
-                    onClick={() => setShowApiKey((prev) => !prev)}
-                    className="rounded-lg border border-slate-200 bg-white px-3 py-2 text-xs font-bold uppercase tracking-wide text-slate-500 transition-colors hover:border-slate-300 hover:text-slate-700"
-                  >
-                    {showApiKey ? 'Hide' : 'Show'}
-                  </button>
-                </div>
-                <p className="mt-2 text-xs text-slate-400">
-                  If you enable remember, the key is stored in this browser. Browser apps cannot
-                  fully secure keys—BYOK is recommended for personal use only.
-                </p>
-              </div>
-              <label className="flex items-center gap-2 text-xs font-semibold text-slate-500">
-                <input
-                  type="checkbox"
-                  checked={rememberKey}
-                  onChange={(event) => setRememberKey(event.target.checked)}
-                  className="h-4 w-4 rounded border-slate-300 text-amber-500 focus:ring-amber-400"
-                />
-                Remember on this device
-              </label>
+              {!isOfflineProvider && (
+                <>
+                  <div>
+                    <label className="text-xs font-bold text-slate-400 uppercase tracking-widest mb-2 block">
+                      API Key
+                    </label>
+                    <div className="flex items-center gap-2">
+                      <input
+                        type={showApiKey ? 'text' : 'password'}
+                        value={apiKey}
+                        onChange={(event) => setApiKey(event.target.value)}
+                        placeholder={providerOption.requiresApiKey ? 'Paste your key' : 'Optional for local servers'}
+                        className="flex-1 rounded-lg border border-slate-200 bg-slate-50 px-3 py-2 text-sm font-semibold text-slate-700 focus:border-amber-400 focus:outline-none"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => setShowApiKey((prev) => !prev)}
+                        className="rounded-lg border border-slate-200 bg-white px-3 py-2 text-xs font-bold uppercase tracking-wide text-slate-500 transition-colors hover:border-slate-300 hover:text-slate-700"
+                      >
+                        {showApiKey ? 'Hide' : 'Show'}
+                      </button>
+                    </div>
+                    {!providerOption.requiresApiKey && (
+                      <p className="mt-2 text-xs text-slate-400">
+                        Local servers usually run without a key. Set{' '}
+                        <code className="font-semibold">{`${providerOption.envPrefix}_BASE_URL`}</code> to
+                        point at a non-default host.
+                      </p>
+                    )}
+                    <p className="mt-2 text-xs text-slate-400">
+                      If you enable remember, the key is stored in this browser. Browser apps cannot
+                      fully secure keys—BYOK is recommended for personal use only.
+                    </p>
+                  </div>
+                  <label className="flex items-center gap-2 text-xs font-semibold text-slate-500">
+                    <input
+                      type="checkbox"
+                      checked={rememberKey}
+                      onChange={(event) => setRememberKey(event.target.checked)}
+                      className="h-4 w-4 rounded border-slate-300 text-amber-500 focus:ring-amber-400"
+                    />
+                    Remember on this device
+                  </label>
+                </>
+              )}
+              <FixtureControls key={provider} provider={provider} />
             </div>
           </div>
         </div>
@@ -264,6 +363,27 @@ const SetupHub = ({
               ))}
             </div>
           </div>
+          <div>
+            <label className="text-xs font-bold text-slate-400 uppercase tracking-widest mb-2 block">
+              Case Type
+            </label>
+            <div className="grid grid-cols-2 gap-2">
+              {caseTypeOptions.map((option) => (
+                <button
+                  key={option.value}
+                  onClick={() => setCaseType(option.value)}
+                  disabled={isPublicDefenderMode}
+                  className={`p-2 rounded-lg text-sm font-bold transition-all border-2 ${
+                    effectiveCaseType === option.value
+                      ? 'bg-slate-800 text-white border-slate-800'
+                      : 'bg-slate-50 text-slate-500 border-transparent hover:border-slate-200'
+                  } ${isPublicDefenderMode ? 'cursor-not-allowed opacity-60' : ''}`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
           <div>
             <label className="text-xs font-bold text-slate-400 uppercase tracking-widest mb-2 block">
               Court Type
@@ -289,28 +409,86 @@ const SetupHub = ({
       </div>
       <div className="grid grid-cols-1 md:grid-cols-2 gap-4 w-full max-w-md">
         <button
-          onClick={() => handleStart('prosecution')}
+          onClick={() => handleStart(isCivil ? PLAYER_ROLES.PLAINTIFF : PLAYER_ROLES.PROSECUTION)}
           disabled={prosecutionDisabled}
           className={`p-4 bg-red-100 hover:bg-red-200 border-2 border-red-300 rounded-xl font-bold text-red-900 flex items-center justify-center gap-2 transition-transform active:scale-95 ${
             prosecutionDisabled ? 'cursor-not-allowed opacity-60' : ''
           }`}
         >
-          <Gavel className="w-5 h-5" /> PROSECUTION
+          <Gavel className="w-5 h-5" /> {isCivil ? 'PLAINTIFF' : 'PROSECUTION'}
         </button>
         <button
-          onClick={() => handleStart('defense')}
+          onClick={() => handleStart(isCivil ? PLAYER_ROLES.DEFENDANT : PLAYER_ROLES.DEFENSE)}
           disabled={defenseDisabled}
           className={`p-4 bg-blue-100 hover:bg-blue-200 border-2 border-blue-300 rounded-xl font-bold text-blue-900 flex items-center justify-center gap-2 transition-transform active:scale-95 ${
             defenseDisabled ? 'cursor-not-allowed opacity-60' : ''
           }`}
         >
-          <Shield className="w-5 h-5" /> {isPublicDefenderMode ? 'PUBLIC DEFENDER' : 'DEFENSE'}
+          <Shield className="w-5 h-5" />{' '}
+          {isPublicDefenderMode ? 'PUBLIC DEFENDER' : isCivil ? 'DEFENDANT' : 'DEFENSE'}
         </button>
+        {!isCivil && (
+          <button
+            onClick={() => handleStart(PLAYER_ROLES.JUDGE)}
+            disabled={prosecutionDisabled}
+            className={`md:col-span-2 p-4 bg-amber-100 hover:bg-amber-200 border-2 border-amber-300 rounded-xl font-bold text-amber-900 flex items-center justify-center gap-2 transition-transform active:scale-95 ${
+              prosecutionDisabled ? 'cursor-not-allowed opacity-60' : ''
+            }`}
+          >
+            <Scale className="w-5 h-5" /> PRESIDE AS JUDGE
+          </button>
+        )}
+        {!isCivil && (
+          <div className="md:col-span-2 space-y-3">
+            <button
+              type="button"
+              onClick={() => setIsHotSeatOpen((prev) => !prev)}
+              disabled={prosecutionDisabled}
+              aria-expanded={isHotSeatOpen}
+              className={`w-full p-4 bg-slate-100 hover:bg-slate-200 border-2 border-slate-300 rounded-xl font-bold text-slate-800 flex items-center justify-center gap-2 transition-transform active:scale-95 ${
+                prosecutionDisabled ? 'cursor-not-allowed opacity-60' : ''
+              }`}
+            >
+              <Users className="w-5 h-5" /> TWO PLAYERS (HOT SEAT)
+            </button>
+            {isHotSeatOpen && !prosecutionDisabled && (
+              <div className="bg-white p-4 rounded-xl border border-slate-200 shadow-sm space-y-3 text-left">
+                {HOT_SEAT_ROLES.map((role) => (
+                  <input
+                    key={role}
+                    type="text"
+                    aria-label={`${getRoleLabel(role)} player name`}
+                    placeholder={`${getRoleLabel(role)} player`}
+                    value={playerNames[role]}
+                    onChange={(event) =>
+                      setPlayerNames((prev) => ({ ...prev, [role]: event.target.value }))
+                    }
+                    className="w-full rounded-lg border border-slate-200 bg-slate-50 px-3 py-2 text-sm font-semibold text-slate-700 focus:border-amber-400 focus:outline-none"
+                  />
+                ))}
+                <p className="text-xs text-slate-400">
+                  Share one device and pass it between turns. The AI only judges and deliberates.
+                </p>
+                <button
+                  type="button"
+                  onClick={() => handleStart(PLAYER_ROLES.DEFENSE, playerNames)}
+                  className="w-full rounded-lg bg-amber-500 px-4 py-2 text-sm font-bold uppercase tracking-wide text-white hover:bg-amber-600"
+                >
+                  Start Hot Seat
+                </button>
+              </div>
+            )}
+          </div>
+        )}
       </div>
       <ProfileDrawer
         profile={profile}
+        profileId={profileId}
         isOpen={isProfileOpen}
         onClose={() => setIsProfileOpen(false)}
+        onAppeal={onAppeal}
+        onImportDocket={onImportDocket}
+        onProfileRestored={onProfileRestored}
         showTrigger={false}
       />
     </div>
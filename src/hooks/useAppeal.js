@@ -0,0 +1,100 @@
+import { useState } from 'react';
+import {
+  buildAppealRecord,
+  buildAppellateRuling,
+  canAppeal,
+  getEntryLosingSide,
+  recordAppeal,
+} from '../lib/appeals';
+import { getLlmClientErrorMessage, parseAppealResponse, requestLlmJson } from '../lib/llmClient';
+import { loadPlayerProfile, savePlayerProfile } from '../lib/persistence';
+import { getAppealPrompt } from '../lib/prompts';
+
+/** @typedef {import('../lib/types').AppealRecord} AppealRecord */
+/** @typedef {import('../lib/types').CaseHistoryEntry} CaseHistoryEntry */
+
+/**
+ * Appeal state for one saved case: files the brief with the Supreme Court panel and stores the
+ * ruling on the case history entry.
+ *
+ * @param {CaseHistoryEntry | null} caseEntry - Saved case being appealed.
+ * @param {string} profileId - Profile that owns the case.
+ * @returns {{
+ *   appeal: AppealRecord | null,
+ *   canFile: boolean,
+ *   isLoading: boolean,
+ *   error: string | null,
+ *   fileAppeal: (brief: string, issues: string[]) => Promise<boolean>
+ * }} Appeal state and actions.
+ */
+const useAppeal = (caseEntry, profileId) => {
+  const [appeal, setAppeal] = useState(caseEntry?.appeal ?? null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const canFile = !appeal && canAppeal(caseEntry);
+
+  /**
+   * File the appellate brief and record the panel's ruling.
+   *
+   * @param {string} brief - Appellate brief text.
+   * @param {string[]} issues - Issues the brief assigns as error.
+   * @returns {Promise<boolean>} Resolves with true once the ruling is recorded.
+   */
+  const fileAppeal = async (brief, issues) => {
+    const trimmedBrief = brief?.trim() ?? '';
+    if (!canFile) {
+      setError('This case cannot be appealed.');
+      return false;
+    }
+    if (!Array.isArray(issues) || issues.length === 0) {
+      setError('Cite at least one error for the panel to review.');
+      return false;
+    }
+    if (!trimmedBrief) {
+      setError('Write an appellate brief before filing.');
+      return false;
+    }
+    setError(null);
+    setIsLoading(true);
+    try {
+      const appellant = getEntryLosingSide(caseEntry);
+      const { parsed } = await requestLlmJson({
+        userPrompt: 'Appeal',
+        systemPrompt: getAppealPrompt({
+          caseData: caseEntry.docketSnapshot.sections.case,
+          record: buildAppealRecord(caseEntry),
+          appellant,
+          brief: trimmedBrief,
+          issues,
+          jurisdiction: caseEntry.jurisdiction,
+          difficulty: caseEntry.difficulty,
+        }),
+        responseLabel: 'appeal',
+        validate: (payload) => parseAppealResponse(payload, issues),
+      });
+      const nextAppeal = {
+        filedAt: new Date().toISOString(),
+        appellant,
+        issues: [...issues],
+        brief: trimmedBrief,
+        ruling: buildAppellateRuling(parseAppealResponse(parsed, issues)),
+      };
+      savePlayerProfile(
+        recordAppeal(loadPlayerProfile(profileId), caseEntry.id, nextAppeal),
+        profileId
+      );
+      setAppeal(nextAppeal);
+      return true;
+    } catch (err) {
+      console.error(err);
+      setError(getLlmClientErrorMessage(err, 'The appeal could not be filed. Please try again.'));
+      return false;
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return { appeal, canFile, isLoading, error, fileAppeal };
+};
+
+export default useAppeal;
@@ -1,9 +1,18 @@
 import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  getCaseRoles,
+  getCounselTitle,
+  getOpposingRole,
+  isCivilCase,
+  isCivilRole,
+  isClaimantRole,
+} from '../lib/civil';
 import { copyToClipboard } from '../lib/clipboard';
 import { DEFAULT_GAME_CONFIG, normalizeCourtType, normalizeDifficulty } from '../lib/config';
 import {
   CASE_TYPES,
   COURT_TYPES,
+  DEFAULT_PROFILE_ID,
   GAME_STATES,
   JURISDICTIONS,
   SANCTION_ENTRY_STATES,
@@ -14,11 +23,13 @@ import {
   SANCTION_VISIBILITY,
   normalizeCaseType,
   normalizeJurisdiction,
-  normalizeSanctionState,
 } from '../lib/constants';
+import { buildDocketExport, buildDocketSnapshot, formatDocketText } from '../lib/docketExport';
+import { downloadTextFile } from '../lib/download';
 import {
   deriveDispositionFromMotion,
   deriveDispositionFromVerdict,
+  findDispositionTextConflict,
   guardDisposition,
   isMeritReleaseDisposition,
   isTerminalDisposition,
@@ -26,33 +37,143 @@ import {
 import {
   getLlmClientErrorMessage,
   LlmClientError,
+  parseBatsonResponse,
   parseCaseResponse,
+  parseCauseChallengeResponse,
+  parseClosingResponse,
+  parseJudicialReviewResponse,
   parseJuryResponse,
   parseMotionResponse,
   parseMotionTextResponse,
+  parseObjectionResponse,
+  parseOpeningResponse,
+  parsePleaClientResponse,
+  parsePleaResponse,
+  parseSentenceResponse,
+  parseSentencingMemoResponse,
   parseVerdictResponse,
+  parseVoirDireResponse,
+  parseWitnessResponse,
   requestLlmJson,
 } from '../lib/llmClient';
 import {
+  clearActiveRun,
   loadPlayerProfile,
   loadRunHistory,
+  saveActiveRun,
   savePlayerProfile,
   saveRunHistory,
+  STORAGE_CHANGE_KINDS,
+  subscribeToStorageChanges,
 } from '../lib/persistence';
+import { reconcileSanctions } from '../lib/profileSync';
+import {
+  buildDefaultSanctionsState,
+  buildSanctionsState,
+  getStateExpiryMs,
+  normalizeSanctionsState,
+  toTimestampMs,
+} from '../lib/sanctionsState';
 import {
   getAutoSubmissionPrompt,
+  getBatsonPrompt,
+  getCauseChallengePrompt,
+  getClosingArgumentPrompt,
   getFinalVerdictPrompt,
   getGeneratorPrompt,
+  getJudicialReviewPrompt,
   getJuryStrikePrompt,
   getMotionPrompt,
+  getObjectionRulingPrompt,
+  getOpeningStatementPrompt,
   getOpposingCounselPrompt,
+  getPleaClientPrompt,
+  getPleaPrompt,
+  getSentencingMemoPrompt,
+  getSentencingPrompt,
+  getVoirDirePrompt,
+  getWitnessExaminationPrompt,
 } from '../lib/prompts';
+import {
+  BATSON_RULINGS,
+  CAUSE_RULINGS,
+  EXCUSED_FOR_CAUSE,
+  canChallengeForCause,
+  canRaiseBatson,
+  getExcusedJurorIds,
+} from '../lib/juryChallenges';
+import {
+  BENCH_VERDICTS,
+  COUNSEL_STRIKE_ORDER,
+  applyReviewScore,
+  applyReviewToVerdict,
+  buildBenchMotionRuling,
+  buildBenchVerdict,
+  buildJudicialReviewRecord,
+  buildStrikeRuling,
+  computeReviewScore,
+  getCounselStrikes,
+  getReviewIssues,
+  isJudgeRole,
+} from '../lib/judgeMode';
+import {
+  HOT_SEAT_ROLES,
+  HOT_SEAT_TRIAL_ORDER,
+  buildHotSeatResult,
+  getActiveSeat,
+  normalizeHotSeatPlayers,
+} from '../lib/hotSeat';
 import {
   canonicalizeJurorPool,
   normalizeJurorId,
   normalizeStrikeIds,
   validateStrikeIds,
 } from '../lib/juryIds';
+import {
+  EXAMINATION_TYPES,
+  MAX_QUESTIONS_PER_WITNESS,
+  buildTestimonyRecord,
+  createExaminationState,
+  getWitnessTranscript,
+  isExaminationComplete,
+} from '../lib/witnessExamination';
+import { isRebuttalStage } from '../lib/trialArguments';
+import {
+  MAX_OBJECTIONS_PER_SUBMISSION,
+  OBJECTION_GROUNDS,
+  buildObjectionRecord,
+  getObjectableText,
+  getObjectionGroundLabel,
+  getObjectionsForSource,
+  isPassageInText,
+  redactSustainedObjections,
+} from '../lib/objections';
+import {
+  PLEA_STATUSES,
+  buildPleaDisposition,
+  canAcceptPleaOffer,
+  canDefenseCounter,
+  canProsecutionOffer,
+  createPleaState,
+  getLatestPleaOffer,
+  getPleaRound,
+  getPleaScore,
+  isPleaWindowOpen,
+} from '../lib/pleaBargain';
+import { applyVerdictScore, computeVerdictScore } from '../lib/scoring';
+import {
+  buildSentenceRecord,
+  createSentencingState,
+  getSentencingRange,
+  isSentencingPending,
+  requiresSentencing,
+} from '../lib/sentencing';
+import {
+  MAX_VOIR_DIRE_QUESTIONS,
+  VOIR_DIRE_PANEL,
+  getVoirDireTargets,
+  recordVoirDireAnswers,
+} from '../lib/voirDire';
 import {
   debugEnabled,
   getDebugState,
@@ -81,35 +202,9 @@ const normalizeReferenceEntity = (entity) => {
   return 'rulings';
 };
 
-const stripMarkdown = (text = '') => {
-  if (!text) return '';
-  let output = text.replace(/\r\n/g, '\n');
-
-  output = output.replace(/```[\s\S]*?```/g, (block) =>
-    block.replace(/```[^\n]*\n?/g, '').replace(/```/g, '')
-  );
-  output = output.replace(/`([^`]+)`/g, '$1');
-  output = output.replace(/!\[([^\]]*)\]\([^)]+\)/g, '$1');
-  output = output.replace(/\[([^\]]+)\]\([^)]+\)/g, '$1');
-  output = output.replace(/^\s{0,3}>\s?/gm, '');
-  output = output.replace(/^\s{0,3}#{1,6}\s+/gm, '');
-  output = output.replace(/^\s*([-*+])\s+/gm, '');
-  output = output.replace(/^\s*\d+\.\s+/gm, '');
-  output = output.replace(/(\*\*|__)(.*?)\1/g, '$2');
-  output = output.replace(/(\*|_)(.*?)\1/g, '$2');
-  output = output.replace(/~~(.*?)~~/g, '$1');
-
-  return output;
-};
-
-// Real-time windows to allow recidivism escalation and cooldown resets across sessions.
+// Real-time window to allow recidivism escalation across sessions.
 const RECIDIVISM_WINDOW_MS = SANCTIONS_TIMERS_MS.RECIDIVISM_WINDOW;
-const COOLDOWN_RESET_MS = SANCTIONS_TIMERS_MS.COOLDOWN_RESET;
-const WARNING_DURATION_MS = SANCTIONS_TIMERS_MS.WARNING_DURATION;
 const SANCTION_DURATION_MS = SANCTIONS_TIMERS_MS.SANCTION_DURATION;
-const PUBLIC_DEFENDER_DURATION_MS = SANCTIONS_TIMERS_MS.PUBLIC_DEFENDER_DURATION;
-const REINSTATEMENT_GRACE_MS = SANCTIONS_TIMERS_MS.REINSTATEMENT_GRACE;
-const RUN_HISTORY_LIMIT = 20;
 
 const NON_TRIGGER_PATTERNS = [
   /losing on the merits/i,
@@ -125,42 +220,26 @@ const MISCONDUCT_PATTERNS = {
   procedural: /\bprocedural\b/i,
 };
 
-const capRunHistoryEntries = (runs) => runs.slice(-RUN_HISTORY_LIMIT);
-
 /**
  * Build the initial motion exchange state for the pre-trial phase.
  *
- * The exchange always follows defense motion -> prosecution rebuttal -> judge ruling.
- * Player role only determines whether the player or AI submits each step.
+ * The exchange always follows defense motion -> prosecution rebuttal -> judge ruling; in civil
+ * cases the defendant moves and the plaintiff rebuts. Player role only determines whether the
+ * player or AI submits each step.
  *
+ * @param {boolean} [isCivil] - Whether the case is a civil suit.
  * @returns {HistoryState['motion']} Initialized motion state payload.
  */
-const createMotionState = () => ({
+const createMotionState = (isCivil = false) => ({
   motionText: '',
-  motionBy: 'defense',
+  motionBy: getCaseRoles(isCivil).respondent,
   rebuttalText: '',
-  rebuttalBy: 'prosecution',
+  rebuttalBy: getCaseRoles(isCivil).claimant,
   ruling: null,
   motionPhase: 'motion_submission',
   locked: false,
 });
 
-const toTimestampMs = (isoString) => {
-  if (!isoString) return null;
-  const parsed = Date.parse(isoString);
-  return Number.isNaN(parsed) ? null : parsed;
-};
-
-const buildDefaultSanctionsState = (nowMs = Date.now()) => ({
-  state: SANCTION_STATES.CLEAN,
-  level: SANCTION_LEVELS[SANCTION_STATES.CLEAN],
-  startedAt: new Date(nowMs).toISOString(),
-  expiresAt: null,
-  lastMisconductAt: null,
-  recidivismCount: 0,
-  recentlyReinstatedUntil: null,
-});
-
 const buildPdStatusSnapshot = (sanctionsState) => {
   if (!sanctionsState || sanctionsState.state !== SANCTION_STATES.PUBLIC_DEFENDER) return null;
   return {
@@ -174,10 +253,10 @@ const buildReinstatementSnapshot = (sanctionsState) => {
   return { until: sanctionsState.recentlyReinstatedUntil };
 };
 
-const updatePlayerProfile = (updater) => {
-  const currentProfile = loadPlayerProfile();
+const updatePlayerProfile = (profileId, updater) => {
+  const currentProfile = loadPlayerProfile(profileId);
   const nextProfile = updater(currentProfile);
-  return savePlayerProfile(nextProfile);
+  return savePlayerProfile(nextProfile, profileId);
 };
 
 const buildDefaultStats = () => ({
@@ -229,7 +308,7 @@ const buildDismissalConsequenceEntry = (ruling, motionBy) => {
   if (!dismissal || dismissal.isDismissed !== true) return null;
   if (!dismissal.withPrejudice) return null;
 
-  const target = motionBy === 'defense' ? 'defense' : 'prosecution';
+  const target = motionBy === 'defense' || isCivilRole(motionBy) ? motionBy : 'prosecution';
 
   return {
     id: `sanction-${Date.now()}-${Math.random().toString(16).slice(2)}`,
@@ -244,8 +323,8 @@ const buildDismissalConsequenceEntry = (ruling, motionBy) => {
 const buildSanctionEntryFromOutcome = ({ accountability, ruling = null, motionBy = null } = {}) =>
   buildAccountabilityEntry(accountability) ?? buildDismissalConsequenceEntry(ruling, motionBy);
 
-const persistSanctionsState = (state) => {
-  updatePlayerProfile((profile) => ({
+const persistSanctionsState = (profileId, state) => {
+  updatePlayerProfile(profileId, (profile) => ({
     ...profile,
     sanctions: state,
     pdStatus: buildPdStatusSnapshot(state),
@@ -253,6 +332,8 @@ const persistSanctionsState = (state) => {
   }));
 };
 
+const EMPTY_HISTORY = Object.freeze({ counselNotes: '', disposition: null });
+
 const buildSanctionEntryKey = (entry) => {
   if (!entry || typeof entry !== 'object') return null;
   if (entry.id) return `id:${entry.id}`;
@@ -374,32 +455,6 @@ const isSanctionsStateEqual = (left, right) => {
   );
 };
 
-const getStateExpiryMs = (state, nowMs) => {
-  if (state === SANCTION_STATES.WARNED) return nowMs + WARNING_DURATION_MS;
-  if (state === SANCTION_STATES.SANCTIONED) return nowMs + SANCTION_DURATION_MS;
-  if (state === SANCTION_STATES.PUBLIC_DEFENDER) return nowMs + PUBLIC_DEFENDER_DURATION_MS;
-  if (state === SANCTION_STATES.RECENTLY_REINSTATED) return nowMs + REINSTATEMENT_GRACE_MS;
-  return null;
-};
-
-const buildSanctionsState = (state, nowMs, overrides = {}) => {
-  const normalizedState = normalizeSanctionState(state);
-  return {
-    ...overrides,
-    state: normalizedState,
-    level: SANCTION_LEVELS[normalizedState] ?? 0,
-    startedAt: new Date(nowMs).toISOString(),
-    expiresAt:
-      normalizedState === SANCTION_STATES.CLEAN
-        ? null
-        : new Date(getStateExpiryMs(normalizedState, nowMs)).toISOString(),
-    recentlyReinstatedUntil:
-      normalizedState === SANCTION_STATES.RECENTLY_REINSTATED
-        ? new Date(nowMs + REINSTATEMENT_GRACE_MS).toISOString()
-        : null,
-  };
-};
-
 const cloneSanctionsSnapshot = (state) => (state ? { ...state } : null);
 const buildSanctionsDelta = (before, after) => ({
   before: cloneSanctionsSnapshot(before),
@@ -412,54 +467,6 @@ const buildVisibilityContext = (sanctionsState, nowMs = Date.now()) => {
   return { recentlyReinstatedUntil: sanctionsState.recentlyReinstatedUntil };
 };
 
-export const normalizeSanctionsState = (state, nowMs) => {
-  if (!state) return buildDefaultSanctionsState(nowMs);
-
-  const hydratedState = {
-    ...buildDefaultSanctionsState(nowMs),
-    ...state,
-  };
-  hydratedState.state = normalizeSanctionState(hydratedState.state);
-
-  const expiresAtMs = toTimestampMs(hydratedState.expiresAt);
-  const reinstatedUntilMs = toTimestampMs(hydratedState.recentlyReinstatedUntil);
-  const lastMisconductMs = toTimestampMs(hydratedState.lastMisconductAt);
-  const shouldResetCooldown =
-    lastMisconductMs !== null && nowMs - lastMisconductMs > COOLDOWN_RESET_MS;
-
-  if (
-    hydratedState.state === SANCTION_STATES.RECENTLY_REINSTATED &&
-    reinstatedUntilMs &&
-    nowMs >= reinstatedUntilMs
-  ) {
-    return buildSanctionsState(SANCTION_STATES.CLEAN, nowMs, {
-      lastMisconductAt: hydratedState.lastMisconductAt,
-      recidivismCount: 0,
-    });
-  }
-
-  if (
-    (hydratedState.state === SANCTION_STATES.WARNED ||
-      hydratedState.state === SANCTION_STATES.SANCTIONED) &&
-    expiresAtMs &&
-    nowMs >= expiresAtMs
-  ) {
-    return buildSanctionsState(SANCTION_STATES.CLEAN, nowMs, {
-      lastMisconductAt: hydratedState.lastMisconductAt,
-      recidivismCount: 0,
-    });
-  }
-
-  if (shouldResetCooldown) {
-    return {
-      ...hydratedState,
-      recidivismCount: 0,
-    };
-  }
-
-  return hydratedState;
-};
-
 const buildSanctionPromptContext = (sanctionsState, overrides = {}) => ({
   state: sanctionsState?.state,
   caseType: overrides.caseType,
@@ -718,6 +725,34 @@ const redactInvalidReferences = (text, validation) => {
   }, text);
 };
 
+const redactOffDocketReferences = (text, docketRegistry) =>
+  redactInvalidReferences(text, validateSubmissionReferences(text, docketRegistry));
+
+const buildStrickenSubmissions = (historyState) => {
+  const docketRegistry = buildDocketRegistry(historyState);
+  return [
+    {
+      source: 'motion',
+      text: historyState.motion?.motionText,
+      submittedBy: historyState.motion?.motionBy,
+    },
+    {
+      source: 'rebuttal',
+      text: historyState.motion?.rebuttalText,
+      submittedBy: historyState.motion?.rebuttalBy,
+    },
+  ]
+    .filter((submission) => submission.text)
+    .map((submission) => ({
+      ...submission,
+      text: redactSustainedObjections(
+        redactOffDocketReferences(submission.text, docketRegistry),
+        historyState.objections,
+        submission.source
+      ),
+    }));
+};
+
 const summarizeNonCompliance = (validation) => {
   const missingCount =
     validation.references.facts.missing.length +
@@ -801,6 +836,9 @@ const buildDocketPromptCase = (caseData, options = {}) => {
     title: caseData.title,
     defendant: caseData.defendant,
     charge: caseData.charge,
+    case_type: caseData.case_type,
+    plaintiff: caseData.plaintiff,
+    damages_sought: caseData.damages_sought,
     is_jury_trial: caseData.is_jury_trial,
     judge: caseData.judge,
     jurors: caseData.jurors,
@@ -808,6 +846,7 @@ const buildDocketPromptCase = (caseData, options = {}) => {
     witnesses: caseData.witnesses,
     evidence,
     opposing_counsel: caseData.opposing_counsel,
+    appellate_ruling: caseData.appellate_ruling,
   };
 };
 
@@ -956,6 +995,36 @@ const applyMotionRulingDiff = (historyState, ruling) => {
   };
 };
 
+/**
+ * Parse a jury strike response and reject juror IDs outside the docket.
+ *
+ * Used as the self-repair validator for jury requests, so the model gets a chance to correct
+ * unknown IDs before the player sees an error.
+ *
+ * @param {object} payload - Parsed JSON payload.
+ * @param {number[]} docketJurorIds - Canonical juror IDs from the docket, less any excused for
+ * cause.
+ * @returns {object} Validated jury response.
+ */
+const validateJuryStrikeResponse = (payload, docketJurorIds) => {
+  const data = parseJuryResponse(payload);
+  const invalidIds = [
+    ...validateStrikeIds(data.opponent_strikes, docketJurorIds).invalidIds,
+    ...validateStrikeIds(data.seated_juror_ids, docketJurorIds).invalidIds,
+  ];
+  if (invalidIds.length) {
+    throw new LlmClientError(
+      `Jury strikes referenced juror ids outside the docket: ${invalidIds.join(', ')}.`,
+      {
+        code: 'INVALID_RESPONSE',
+        userMessage: 'Strike results referenced jurors outside the docket. Please retry.',
+        context: { invalidIds, docketJurorIds },
+      }
+    );
+  }
+  return data;
+};
+
 const buildInitialJurorPool = (jurors) =>
   jurors.map((juror) => {
     const baseStatus = juror.status ?? 'eligible';
@@ -981,36 +1050,76 @@ const updateJurorStatus = (juror, nextStatus) => {
 const createRunId = () =>
   `run-${Date.now()}-${Math.random().toString(16).slice(2)}`;
 
+/**
+ * Derive the disposition a verdict enters. Ruling text that reads as a different outcome is logged;
+ * the structured disposition still decides.
+ *
+ * @param {VerdictResult} verdict - Verdict with a structured disposition.
+ * @param {{isCivil?: boolean}} [options] - Case options.
+ * @returns {import('../lib/types').DispositionRecord | null} Disposition, if the verdict reaches one.
+ */
+const deriveVerdictDisposition = (verdict, options) => {
+  const conflictingText = findDispositionTextConflict(verdict, options);
+  if (conflictingText) {
+    logEvent(
+      `Verdict disposition "${verdict.disposition}" disagrees with its final ruling text ("${conflictingText}"); using the structured disposition.`
+    );
+  }
+  return deriveDispositionFromVerdict(verdict, options);
+};
+
 /**
  * Manage the Pocket Court game state and actions in one place.
  *
  * @param {object} [options] - Optional shell callbacks.
  * @param {(event: {type: string, message?: string, payload?: object}) => void} [options.onShellEvent]
+ * @param {number | null} [options.docketNumber] - Docket number saved with the autosaved run.
+ * @param {string} [options.profileId] - Profile whose bar record, history, and autosave the run
+ * reads and writes.
  * @returns {{
  *   gameState: string,
  *   history: HistoryState,
- *   config: {difficulty: string, jurisdiction: string, courtType: string, role: string, caseType: string},
+ *   config: {difficulty: string, jurisdiction: string, courtType: string, role: string, caseType: string, players: import('../lib/types').HotSeatPlayers | null},
  *   loadingMsg: string | null,
  *   error: string | null,
  *   copied: boolean,
  *   runOutcome: {
  *     disposition: import('../lib/types').DispositionRecord | null,
+ *     sentence: import('../lib/types').SentenceRecord | null,
  *     sanctions: { before: import('../lib/types').PlayerSanctionsState | null, after: import('../lib/types').PlayerSanctionsState | null },
  *   } | null,
- *   generateCase: (role: string, difficulty: string, jurisdiction: string, courtType: string) => Promise<boolean>,
+ *   generateCase: (role: string, difficulty: string, jurisdiction: string, courtType: string, retrial?: object | null, players?: Partial<import('../lib/types').HotSeatPlayers> | null) => Promise<boolean>,
+ *   askVoirDire: (target: number | 'panel', question: string) => Promise<boolean>,
+ *   challengeForCause: (jurorId: number, reason: string) => Promise<boolean>,
  *   submitStrikes: (strikes: number[]) => Promise<void>,
+ *   raiseBatsonObjection: (jurorId: number, argument: string) => Promise<boolean>,
+ *   closeJuryChallenges: () => void,
+ *   requestCounselStrikes: () => Promise<boolean>,
+ *   seatJury: (disallowed?: {jurorId: number, reason: string}[]) => boolean,
  *   submitMotionStep: (text: string) => Promise<void>,
  *   triggerAiMotionSubmission: () => Promise<void>,
  *   requestMotionRuling: () => Promise<void>,
+ *   ruleOnMotion: (ruling: {ruling: string, opinion: string, evidenceStatuses?: Record<number, string>, dismissal?: {isDismissed: boolean, withPrejudice: boolean}}) => Promise<boolean>,
+ *   submitOpening: (text: string) => Promise<boolean>,
+ *   examineWitness: (witnessNumber: number, examinationType: 'direct' | 'cross', question: string) => Promise<boolean>,
+ *   restExamination: () => void,
+ *   raiseObjection: (source: 'motion' | 'rebuttal' | 'closing', passage: string, ground: string) => Promise<boolean>,
  *   submitArgument: (text: string) => Promise<void>,
- *   generateAutoSubmission: (mode: 'legit' | 'absurd', stage: 'motion' | 'argument') => Promise<string>,
+ *   requestClosings: () => Promise<boolean>,
+ *   renderJudgment: (judgment: {finalRuling: string, opinion: string}) => Promise<boolean>,
+ *   requestJudicialReview: () => Promise<boolean>,
+ *   submitSentencingMemo: (text: string) => Promise<boolean>,
+ *   generateAutoSubmission: (mode: 'legit' | 'absurd', stage: 'motion' | 'opening' | 'argument') => Promise<string>,
  *   handleCopyFull: (docketNumber?: number) => Promise<void>,
+ *   exportDocket: (format: string, docketNumber?: number) => boolean,
  *   resetGame: () => void,
+ *   resumeRun: (save: import('../lib/types').ActiveRunSave) => void,
+ *   takeSeat: () => void,
  *   toggleStrikeSelection: (id: number) => void,
  * }} Game state values and action handlers.
  */
 const useGameState = (options = {}) => {
-  const { onShellEvent } = options;
+  const { onShellEvent, docketNumber = null, profileId = DEFAULT_PROFILE_ID } = options;
   const [gameState, setGameState] = useState(GAME_STATES.START);
   const [loadingMsg, setLoadingMsg] = useState(null);
   const [history, setHistory] = useState(
@@ -1024,7 +1133,7 @@ const useGameState = (options = {}) => {
   const runStartSanctionsRef = useRef(null);
   const countedSanctionsRef = useRef(new Set());
   const [sanctionsState, setSanctionsState] = useState(() => {
-    const storedState = loadPlayerProfile()?.sanctions ?? null;
+    const storedState = loadPlayerProfile(profileId)?.sanctions ?? null;
     return normalizeSanctionsState(
       storedState ?? buildDefaultSanctionsState(),
       Date.now()
@@ -1032,9 +1141,12 @@ const useGameState = (options = {}) => {
   });
   const [runMeta, setRunMeta] = useState(null);
   const [runOutcome, setRunOutcome] = useState(null);
+  const [pendingRequest, setPendingRequest] = useState(null);
+  const [resumeRequest, setResumeRequest] = useState(null);
+  const resumableActionsRef = useRef({});
+  const reissuedRequestRef = useRef(null);
 
   useEffect(() => {
-    // eslint-disable-next-line react-hooks/set-state-in-effect
     setSanctionsState((prev) => deriveSanctionsState(prev, history.sanctions ?? []));
   }, [history.sanctions]);
 
@@ -1045,7 +1157,7 @@ const useGameState = (options = {}) => {
       countedSanctionsRef.current
     );
     if (newSanctionsCount > 0) {
-      updatePlayerProfile((profile) => {
+      updatePlayerProfile(profileId, (profile) => {
         const stats = profile.stats ?? buildDefaultStats();
         return {
           ...profile,
@@ -1056,7 +1168,7 @@ const useGameState = (options = {}) => {
         };
       });
     }
-  }, [history.sanctions]);
+  }, [history.sanctions, profileId]);
 
   const emitShellEvent = useCallback(
     (event) => {
@@ -1068,8 +1180,10 @@ const useGameState = (options = {}) => {
   );
 
   const buildRunOutcome = useCallback(
-    (disposition, sanctionsAfter) => ({
+    (disposition, sanctionsAfter, sentence = null, damages = null) => ({
       disposition: disposition ?? null,
+      sentence,
+      damages,
       sanctions: {
         before: runStartSanctionsRef.current ?? cloneSanctionsSnapshot(sanctionsState),
         after: cloneSanctionsSnapshot(sanctionsAfter),
@@ -1079,13 +1193,28 @@ const useGameState = (options = {}) => {
   );
 
   useEffect(() => {
-    persistSanctionsState(sanctionsState);
+    persistSanctionsState(profileId, sanctionsState);
     emitShellEvent({ type: 'sanctions_sync', payload: sanctionsState });
-  }, [emitShellEvent, sanctionsState]);
+  }, [emitShellEvent, profileId, sanctionsState]);
+
+  // Adopt sanctions another tab saved for this profile, unless they are stale and lighter.
+  useEffect(
+    () =>
+      subscribeToStorageChanges((change) => {
+        if (change.kind !== STORAGE_CHANGE_KINDS.PROFILE || change.profileId !== profileId) return;
+        const storedState = loadPlayerProfile(profileId)?.sanctions;
+        if (!storedState) return;
+        setSanctionsState((prev) => {
+          const next = reconcileSanctions(prev, normalizeSanctionsState(storedState, Date.now()));
+          return isSanctionsStateEqual(prev, next) ? prev : next;
+        });
+      }),
+    [profileId]
+  );
 
   const appendAchievement = (title) => {
     if (!title) return;
-    updatePlayerProfile((profile) => {
+    updatePlayerProfile(profileId, (profile) => {
       const achievements = Array.isArray(profile.achievements) ? profile.achievements : [];
       return {
         ...profile,
@@ -1102,7 +1231,7 @@ const useGameState = (options = {}) => {
   };
 
   const updateRunStats = (hasVerdict) => {
-    updatePlayerProfile((profile) => {
+    updatePlayerProfile(profileId, (profile) => {
       const stats = profile.stats ?? buildDefaultStats();
       return {
         ...profile,
@@ -1117,40 +1246,55 @@ const useGameState = (options = {}) => {
 
   const appendCaseHistoryEntry = useCallback(
     ({ disposition, endedAt, sanctionsAfter, docketSnapshot }) => {
-      if (!isTerminalDisposition(disposition)) return;
+      if (!isTerminalDisposition(disposition)) return null;
       const finalSanctionsCount = Array.isArray(docketSnapshot?.sections?.sanctions)
         ? docketSnapshot.sections.sanctions.length
         : 0;
-      updatePlayerProfile((profile) => {
+      const caseId = `case-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+      updatePlayerProfile(profileId, (profile) => {
         const existingHistory = Array.isArray(profile.caseHistory) ? profile.caseHistory : [];
         const nextEntry = {
-          id: `case-${Date.now()}-${Math.random().toString(16).slice(2)}`,
+          id: caseId,
           caseName: history.case?.title ?? runMeta?.caseTitle ?? 'Untitled case',
           outcome: disposition?.type ?? null,
           date: endedAt,
+          playerRole: runMeta?.players ? null : runMeta?.playerRole ?? config.role,
+          ...buildHotSeatResult(runMeta?.players, disposition),
+          difficulty: runMeta?.difficulty ?? config.difficulty,
+          jurisdiction: runMeta?.jurisdiction ?? config.jurisdiction,
+          courtType: runMeta?.courtType ?? config.courtType,
+          caseType: runMeta?.caseType ?? config.caseType,
+          retrialOf: runMeta?.retrialOf ?? null,
           finalSanctionsCount,
           docketSnapshot,
           sanctionsState: cloneSanctionsSnapshot(sanctionsAfter),
         };
         return {
           ...profile,
-          caseHistory: [nextEntry, ...existingHistory].slice(0, 30),
+          caseHistory: [nextEntry, ...existingHistory],
         };
       });
+      return caseId;
     },
-    [history.case?.title, runMeta?.caseTitle]
+    [config, history.case?.title, profileId, runMeta]
   );
 
-  const recordRunHistoryEntry = useCallback((entry) => {
-    const historySnapshot = loadRunHistory();
-    const runs = historySnapshot.runs ?? [];
-    saveRunHistory({
-      ...historySnapshot,
-      runs: capRunHistoryEntries([...runs, entry]),
-    });
-  }, []);
+  const recordRunHistoryEntry = useCallback(
+    (entry) => {
+      const historySnapshot = loadRunHistory(profileId);
+      const runs = historySnapshot.runs ?? [];
+      saveRunHistory(
+        {
+          ...historySnapshot,
+          runs: [...runs, entry],
+        },
+        profileId
+      );
+    },
+    [profileId]
+  );
 
-  const finalizeRunHistoryEntry = (verdict, disposition, achievementId) => {
+  const finalizeRunHistoryEntry = (verdict, disposition, achievementId, sentence, score) => {
     if (!runMeta || runMeta.endedAt) return;
     const endedAt = new Date().toISOString();
     const runId = runMeta.id ?? createRunId();
@@ -1163,7 +1307,8 @@ const useGameState = (options = {}) => {
       jurisdiction: runMeta.jurisdiction ?? config.jurisdiction,
       difficulty: runMeta.difficulty ?? config.difficulty,
       courtType: runMeta.courtType ?? config.courtType,
-      playerRole: runMeta.playerRole ?? config.role,
+      caseType: runMeta.caseType ?? config.caseType,
+      playerRole: runMeta.players ? null : runMeta.playerRole ?? config.role,
       caseTitle: runMeta.caseTitle ?? history.case?.title ?? null,
       judgeName: runMeta.judgeName ?? history.case?.judge?.name ?? null,
     };
@@ -1171,21 +1316,31 @@ const useGameState = (options = {}) => {
       ...baseEntry,
       endedAt,
       outcome: disposition?.type ?? null,
+      ...buildHotSeatResult(runMeta.players, disposition),
       score:
-        typeof verdict?.final_weighted_score === 'number' ? verdict.final_weighted_score : null,
+        score ??
+        sentence?.adjustedScore ??
+        (typeof verdict?.final_weighted_score === 'number' ? verdict.final_weighted_score : null),
       achievementId: achievementId ?? null,
+      damages: typeof verdict?.damages_awarded === 'number' ? verdict.damages_awarded : null,
+      sentence: sentence
+        ? { term: sentence.term, unit: sentence.unit, scoreAdjustment: sentence.scoreAdjustment }
+        : null,
       sanctionDelta,
     };
-    const historySnapshot = loadRunHistory();
+    const historySnapshot = loadRunHistory(profileId);
     const runs = historySnapshot.runs ?? [];
     const hasExisting = runs.some((run) => run.id === runId);
     const updatedRuns = hasExisting
       ? runs.map((run) => (run.id === runId ? { ...run, ...entry } : run))
       : [...runs, entry];
-    saveRunHistory({
-      ...historySnapshot,
-      runs: capRunHistoryEntries(updatedRuns),
-    });
+    saveRunHistory(
+      {
+        ...historySnapshot,
+        runs: updatedRuns,
+      },
+      profileId
+    );
     updateRunStats(Boolean(verdict));
     setRunMeta({ ...runMeta, endedAt });
   };
@@ -1194,6 +1349,8 @@ const useGameState = (options = {}) => {
     verdict = null,
     disposition,
     achievementId = null,
+    sentence = null,
+    score = null,
     nextHistory,
     sanctionsAfter,
     endedAt,
@@ -1201,14 +1358,23 @@ const useGameState = (options = {}) => {
     if (!isTerminalDisposition(disposition)) return;
     const resolvedEndedAt = endedAt ?? new Date().toISOString();
     const resolvedSanctionsState = sanctionsAfter ?? sanctionsState;
-    finalizeRunHistoryEntry(verdict, disposition, achievementId);
-    appendCaseHistoryEntry({
+    finalizeRunHistoryEntry(verdict, disposition, achievementId, sentence, score);
+    const caseHistoryId = appendCaseHistoryEntry({
       disposition,
       endedAt: resolvedEndedAt,
       sanctionsAfter: resolvedSanctionsState,
       docketSnapshot: buildDocketSnapshot(nextHistory),
     });
-    const outcomePayload = buildRunOutcome(disposition, resolvedSanctionsState);
+    const outcomePayload = {
+      ...buildRunOutcome(
+        disposition,
+        resolvedSanctionsState,
+        sentence,
+        typeof verdict?.damages_awarded === 'number' ? verdict.damages_awarded : null
+      ),
+      ...buildHotSeatResult(runMeta?.players, disposition),
+      caseHistoryId,
+    };
     setRunOutcome(outcomePayload);
     emitShellEvent({ type: 'RUN_ENDED', payload: outcomePayload });
   };
@@ -1255,15 +1421,62 @@ const useGameState = (options = {}) => {
   }, []);
 
   /**
-   * End the current run and surface the outcome to the app shell.
+   * End the current run and surface the outcome to the app shell. A case left at a terminal
+   * disposition before it was completed, such as one still awaiting sentence or judicial review,
+   * is completed as it stands so its verdict and history are kept.
    */
   const resetGame = () => {
-    const outcomePayload =
-      runOutcome ?? buildRunOutcome(history.disposition ?? null, sanctionsState);
-    emitShellEvent({ type: 'RUN_ENDED', payload: outcomePayload });
+    if (!runOutcome && isTerminalDisposition(history.disposition)) {
+      const verdict = history.trial?.verdict ?? null;
+      completeRun({
+        verdict,
+        disposition: history.disposition,
+        achievementId: verdict?.achievement_title ?? null,
+        nextHistory: history,
+      });
+    } else {
+      const outcomePayload =
+        runOutcome ?? buildRunOutcome(history.disposition ?? null, sanctionsState);
+      emitShellEvent({ type: 'RUN_ENDED', payload: outcomePayload });
+    }
+    clearActiveRun(profileId);
     resetRunState();
   };
 
+  /**
+   * Restore an autosaved run exactly as it was saved. A request that was in flight when the save
+   * was written is issued again once the restored docket renders.
+   *
+   * @param {import('../lib/types').ActiveRunSave} save - Autosaved run from `loadActiveRun`.
+   */
+  const resumeRun = useCallback(
+    (save) => {
+      resetRunState();
+      runStartSanctionsRef.current = save.runStartSanctions ?? null;
+      // Sanctions already on the restored docket were counted before the save.
+      countedSanctionsRef.current = new Set(
+        (save.history.sanctions ?? []).map(buildSanctionEntryKey).filter(Boolean)
+      );
+      setConfig(save.config);
+      setHistory(save.history);
+      setRunMeta(save.runMeta ?? null);
+      setGameState(save.gameState);
+      setLoadingMsg(save.pendingRequest ? save.loadingMsg ?? null : null);
+      setResumeRequest(save.pendingRequest ?? null);
+    },
+    [resetRunState]
+  );
+
+  /**
+   * In hot-seat mode, hand the docket to the seat whose turn it is.
+   */
+  const takeSeat = () => {
+    const seat = config.players ? getActiveSeat(history) : null;
+    if (!seat) return;
+    setError(null);
+    setConfig((prev) => ({ ...prev, role: seat }));
+  };
+
   /**
    * Toggle a jury strike selection, enforcing the 2-strike limit.
    *
@@ -1289,6 +1502,10 @@ const useGameState = (options = {}) => {
         logEvent('Jury strike selection ignored (invalid id).', { verbose: true });
         return prev;
       }
+      if (getExcusedJurorIds(prev.jury.pool).includes(normalizedId)) {
+        logEvent('Jury strike selection ignored (juror excused for cause).', { verbose: true });
+        return prev;
+      }
       if (current.includes(normalizedId)) {
         const updated = current.filter((x) => x !== normalizedId);
         logEvent(`Jury strike selection updated: [${updated.join(', ')}]`);
@@ -1304,13 +1521,24 @@ const useGameState = (options = {}) => {
   /**
    * Generate a new case and initialize the living docket.
    *
-   * @param {string} role - Player role (defense or prosecution).
+   * @param {string} role - Player role: defense, prosecution, plaintiff, defendant, or judge.
    * @param {string} difficulty - Difficulty setting.
    * @param {string} jurisdiction - Selected jurisdiction.
    * @param {string} courtType - Selected court type.
+   * @param {{sourceCaseId: string, caseData: CaseData} | null} [retrial] - Remanded case to
+   * retry instead of generating a new one.
+   * @param {Partial<import('../lib/types').HotSeatPlayers> | null} [players] - Player names for a
+   * hot-seat criminal case; the defense takes the first turn.
    * @returns {Promise<boolean>} Resolves with true when the case is generated successfully.
    */
-  const generateCase = useCallback(async (role, difficulty, jurisdiction, courtType) => {
+  const generateCase = useCallback(async (
+    role,
+    difficulty,
+    jurisdiction,
+    courtType,
+    retrial,
+    players
+  ) => {
     resetRunState();
     setGameState(GAME_STATES.INITIALIZING);
     const normalizedDifficulty = normalizeDifficulty(difficulty);
@@ -1325,40 +1553,53 @@ const useGameState = (options = {}) => {
         ? COURT_TYPES.NIGHT_COURT
         : null;
     const lockedJurisdiction = resolvedJurisdiction;
+    const isCivil = !isPublicDefenderMode && isCivilRole(role);
+    const isJudge = !isPublicDefenderMode && isJudgeRole(role);
+    const hotSeatPlayers =
+      players && !isPublicDefenderMode && !isCivil && !isJudge
+        ? normalizeHotSeatPlayers(players)
+        : null;
     const lockedCaseType = isPublicDefenderMode
       ? CASE_TYPES.PUBLIC_DEFENDER
+      : isCivil
+      ? CASE_TYPES.CIVIL
       : resolvedCaseType;
     const lockedCourtType = isPublicDefenderMode
       ? COURT_TYPES.NIGHT_COURT
       : legacyNightCourt ?? resolvedCourtType;
-    const lockedRole = isPublicDefenderMode ? 'defense' : role;
+    const lockedRole = isPublicDefenderMode || hotSeatPlayers ? 'defense' : role;
     setConfig({
       role: lockedRole,
       difficulty: normalizedDifficulty,
       jurisdiction: lockedJurisdiction,
       courtType: lockedCourtType,
       caseType: lockedCaseType,
+      players: hotSeatPlayers,
     });
 
     try {
-      const { parsed } = await requestLlmJson({
-        userPrompt: 'Generate',
-        systemPrompt: getGeneratorPrompt(
-          normalizedDifficulty,
-          lockedJurisdiction,
-          lockedCourtType,
-          lockedRole,
-          {
-            ...buildSanctionPromptContext(sanctionsState, {
-              caseType: lockedCaseType,
+      const { parsed } = retrial
+        ? { parsed: retrial.caseData }
+        : await requestLlmJson({
+            userPrompt: 'Generate',
+            systemPrompt: getGeneratorPrompt(
+              normalizedDifficulty,
               lockedJurisdiction,
-            }),
-          }
-        ),
-        responseLabel: 'case',
-      });
+              lockedCourtType,
+              lockedRole,
+              {
+                ...buildSanctionPromptContext(sanctionsState, {
+                  caseType: lockedCaseType,
+                  lockedJurisdiction,
+                }),
+                isHotSeat: Boolean(hotSeatPlayers),
+              }
+            ),
+            responseLabel: 'case',
+            validate: (payload) => parseCaseResponse(payload, { isCivil }),
+          });
       /** @type {CaseData} */
-      const data = parseCaseResponse(parsed);
+      const data = parseCaseResponse(parsed, { isCivil });
 
       const canonicalJurors = data.is_jury_trial
         ? canonicalizeJurorPool(data.jurors ?? [])
@@ -1371,11 +1612,22 @@ const useGameState = (options = {}) => {
       runStartSanctionsRef.current = cloneSanctionsSnapshot(sanctionsState);
       setRunOutcome(null);
       setHistory({
-        case: { ...data, evidence: evidenceDocket, jurors: canonicalJurors },
+        case: {
+          ...data,
+          ...(isCivil ? { case_type: CASE_TYPES.CIVIL } : {}),
+          evidence: evidenceDocket,
+          jurors: canonicalJurors,
+        },
         jury: data.is_jury_trial
           ? { pool: juryPool, myStrikes: [], locked: false, invalidStrike: false }
           : { skipped: true },
-        motion: data.is_jury_trial ? { locked: false } : createMotionState(),
+        motion: data.is_jury_trial ? { locked: false } : createMotionState(isCivil),
+        plea: isCivil || isJudge || hotSeatPlayers ? null : createPleaState(),
+        // Judge mode has no witness examination: counsel go straight from the motion to closings.
+        examination: isJudge
+          ? { ...createExaminationState(), locked: true }
+          : createExaminationState(),
+        objections: [],
         counselNotes: '',
         disposition: null,
         trial: { locked: false, rejectedVerdicts: [] },
@@ -1389,7 +1641,9 @@ const useGameState = (options = {}) => {
         jurisdiction: lockedJurisdiction,
         difficulty: normalizedDifficulty,
         courtType: lockedCourtType,
-        playerRole: lockedRole,
+        caseType: lockedCaseType,
+        playerRole: hotSeatPlayers ? null : lockedRole,
+        ...(hotSeatPlayers ? { players: hotSeatPlayers, winner: null } : {}),
         caseTitle: data.title,
         judgeName: data.judge?.name ?? null,
         outcome: null,
@@ -1400,12 +1654,15 @@ const useGameState = (options = {}) => {
       setRunMeta({
         id: runId,
         startedAt,
-        playerRole: lockedRole,
+        playerRole: hotSeatPlayers ? null : lockedRole,
+        players: hotSeatPlayers,
         difficulty: normalizedDifficulty,
         jurisdiction: lockedJurisdiction,
         courtType: lockedCourtType,
+        caseType: lockedCaseType,
         caseTitle: data.title,
         judgeName: data.judge?.name ?? null,
+        retrialOf: retrial?.sourceCaseId ?? null,
       });
 
       setGameState(GAME_STATES.PLAYING);
@@ -1413,125 +1670,594 @@ const useGameState = (options = {}) => {
     } catch (err) {
       console.error(err);
       const message = getLlmClientErrorMessage(err, 'Docket creation failed. Please try again.');
+      clearActiveRun(profileId);
       setError(message);
       emitShellEvent({ type: 'start_failed', message });
       return false;
     }
-  }, [emitShellEvent, recordRunHistoryEntry, resetRunState, sanctionsState]);
+  }, [emitShellEvent, profileId, recordRunHistoryEntry, resetRunState, sanctionsState]);
 
   /**
-   * Submit jury strikes and lock in the seated jurors.
+   * In Public Defender mode, ask the hostile client whether they will take the terms the player
+   * recommends. Other players' clients defer to counsel.
    *
-   * @param {number[]} strikes - Juror IDs selected for strikes.
-   * @returns {Promise<void>} Resolves once strikes are processed.
+   * @param {{charge: string, term: number}} terms - Terms counsel recommends.
+   * @returns {Promise<{decision: 'accept' | 'reject', statement: string}>} Client's decision.
    */
-  const submitStrikes = async (strikes) => {
-    const startedAt = new Date().toISOString();
-    const startedAtMs = Date.parse(startedAt);
-    setError(null);
-    setLoadingMsg('Judge is ruling on strikes...');
-    const canonicalStrikes = normalizeStrikeIds(strikes);
-    const hasInvalidStrikeIds =
-      Array.isArray(strikes) && canonicalStrikes.length !== strikes.length;
-    setLastAction({
-      name: 'submitJuryStrikes',
-      startedAt,
-      endedAt: null,
-      durationMs: null,
-      payload: { selectedJurorIds: canonicalStrikes },
-      result: null,
-      rejectReason: null,
-      rawModelText: null,
-      parsed: null,
-    });
-    logEvent(`Jury strikes submit attempt: [${canonicalStrikes.join(', ')}]`);
-
-    if (debugEnabled()) {
-      const poolIds = getCanonicalJurorIds(history.jury?.pool ?? []);
-      const docketIds = getCanonicalJurorIds(history.case?.jurors ?? []);
-      const strikeTypes = Array.isArray(strikes) ? strikes.map((id) => typeof id) : [];
-      const normalizationMap = {
-        stringToNumber: {},
-        numberToString: {},
-      };
-      [...(Array.isArray(strikes) ? strikes : []), ...poolIds, ...docketIds].forEach((id) => {
-        if (typeof id === 'string') {
-          const numeric = Number(id);
-          if (!Number.isNaN(numeric)) {
-            normalizationMap.stringToNumber[id] = numeric;
-          }
-        } else if (typeof id === 'number' && !Number.isNaN(id)) {
-          normalizationMap.numberToString[id] = String(id);
-        }
-      });
-      console.debug('submitStrikes pre-validation', {
-        strikes,
-        normalizedStrikes: canonicalStrikes,
-        strikeTypes,
-        poolIds,
-        docketIds,
-        normalizationMap,
-      });
+  const consultPleaClient = async (terms) => {
+    if (config.role !== 'defense' || config.caseType !== CASE_TYPES.PUBLIC_DEFENDER) {
+      return { decision: 'accept', statement: '' };
     }
+    const range = getSentencingRange(config.jurisdiction);
+    setLoadingMsg('Your client is reviewing the terms...');
+    const { parsed } = await requestLlmJson({
+      userPrompt: 'Client decision',
+      systemPrompt: getPleaClientPrompt({
+        caseData: history.case,
+        offer: { ...terms, unit: range.unit },
+        range,
+      }),
+      responseLabel: 'plea_client',
+      validate: parsePleaClientResponse,
+    });
+    return parsePleaClientResponse(parsed);
+  };
 
-    const finalizeAction = (details) => {
-      const endedAt = new Date().toISOString();
-      setLastAction({
-        endedAt,
-        durationMs: Date.parse(endedAt) - startedAtMs,
-        ...details,
-      });
+  /**
+   * Record an accepted plea deal as the case's terminal disposition and end the run.
+   *
+   * @param {import('../lib/types').PleaState} plea - Negotiation state including the offer.
+   * @param {import('../lib/types').PleaOffer} offer - Accepted offer.
+   * @param {string} docketEntry - Docket entry recording the deal.
+   */
+  const finalizePleaDeal = (plea, offer, docketEntry) => {
+    const score = getPleaScore(config.role, offer.term, getSentencingRange(config.jurisdiction));
+    const disposition = buildPleaDisposition(offer, docketEntry);
+    const nextHistory = {
+      ...history,
+      plea: {
+        ...plea,
+        status: PLEA_STATUSES.ACCEPTED,
+        acceptedOfferId: offer.id,
+        docketEntry,
+        score,
+      },
+      disposition,
     };
+    setHistory(nextHistory);
+    logEvent(`Plea deal accepted (${offer.term} ${offer.unit}).`);
+    completeRun({ disposition, score, nextHistory });
+  };
 
-    if (!history.jury || history.jury.locked || history.jury.skipped) {
-      finalizeAction({ result: 'noop', rejectReason: 'jury_unavailable' });
-      logEvent('Jury strikes submit ignored (jury unavailable).');
-      showDebugBanner('jury_unavailable');
-      setLoadingMsg(null);
-      return;
+  /**
+   * Send the plea negotiation to opposing counsel and record its answer: a new offer, an
+   * acceptance of the latest offer (ending the case), or a rejection (ending negotiations).
+   *
+   * @param {import('../lib/types').PleaState} plea - Negotiation state to answer.
+   * @param {{mustOffer?: boolean}} [options] - Whether only an opening offer will do.
+   * @returns {Promise<boolean>} Resolves with true when the answer was recorded.
+   */
+  const requestPleaAnswer = async (plea, { mustOffer = false } = {}) => {
+    const opponentRole = config.role === 'defense' ? 'prosecution' : 'defense';
+    const range = getSentencingRange(config.jurisdiction);
+    const canOffer =
+      opponentRole === 'prosecution' ? canProsecutionOffer(plea) : canDefenseCounter(plea);
+    setLoadingMsg('Opposing counsel is weighing the plea...');
+    const { parsed } = await requestLlmJson({
+      userPrompt: 'Plea negotiation',
+      systemPrompt: getPleaPrompt({
+        caseData: buildDocketPromptCase(history.case, { evidenceMode: 'admissible' }),
+        offers: plea.offers,
+        role: opponentRole,
+        range,
+        canOffer,
+        mustOffer,
+        difficulty: config.difficulty,
+      }),
+      responseLabel: 'plea',
+      validate: (payload) => parsePleaResponse(payload, { range, canOffer, mustOffer }),
+    });
+    const data = parsePleaResponse(parsed, { range, canOffer, mustOffer });
+    if (data.action === 'accept') {
+      finalizePleaDeal(plea, getLatestPleaOffer(plea), data.docket_entry);
+    } else if (data.action === 'reject') {
+      setHistory((prev) => ({
+        ...prev,
+        plea: { ...plea, status: PLEA_STATUSES.REJECTED, docketEntry: data.docket_entry },
+      }));
+      logEvent('Plea negotiations rejected by opposing counsel.');
+    } else {
+      const round = opponentRole === 'prosecution' ? getPleaRound(plea) + 1 : getPleaRound(plea);
+      const timestamp = new Date().toISOString();
+      const offer = {
+        id: `plea-${plea.offers.length + 1}-${Date.parse(timestamp)}`,
+        round,
+        offeredBy: opponentRole,
+        charge: data.charge,
+        term: data.term,
+        unit: range.unit,
+        message: data.message,
+        docketEntry: data.docket_entry,
+        timestamp,
+      };
+      setHistory((prev) => ({ ...prev, plea: { ...plea, offers: [...plea.offers, offer] } }));
+      logEvent(`Plea offer received (round ${round}).`);
     }
+    setLoadingMsg(null);
+    return true;
+  };
 
-    if (!Array.isArray(strikes) || hasInvalidStrikeIds) {
-      finalizeAction({ result: 'rejected', rejectReason: 'invalid_selection' });
-      logEvent('Jury strikes rejected: invalid_selection.');
-      showDebugBanner('invalid_selection');
-      setError('Selected juror IDs are invalid. Please reselect from the current pool.');
+  /**
+   * Ask the prosecution for its opening plea offer. Only defense players ask; prosecutors open
+   * with `proposePleaDeal`.
+   *
+   * @returns {Promise<boolean>} Resolves with true when the offer is on the table.
+   */
+  const requestPleaOffer = async () => {
+    const plea = history.plea;
+    if (config.role !== 'defense' || !isPleaWindowOpen(history) || plea.offers.length) {
+      return false;
+    }
+    setError(null);
+    try {
+      return await requestPleaAnswer(plea, { mustOffer: true });
+    } catch (err) {
+      console.error(err);
+      setError(getLlmClientErrorMessage(err, 'The prosecution did not make an offer.'));
       setLoadingMsg(null);
-      return;
+      return false;
     }
+  };
 
-    const poolJurorIds = new Set(getCanonicalJurorIds(history.jury.pool ?? []));
-    const docketJurorIds = new Set(getCanonicalJurorIds(history.case?.jurors ?? []));
-    const allowedJurorIds = poolJurorIds.size ? poolJurorIds : docketJurorIds;
-    const strikeValidation = validateStrikeIds(canonicalStrikes, [...allowedJurorIds]);
+  /**
+   * Make a plea offer (prosecution) or counter-offer (defense) and get opposing counsel's answer.
+   * A Public Defender's client must approve the terms before they are put to the prosecution.
+   *
+   * @param {{charge: string, term: number | string, message?: string}} terms - Proposed terms.
+   * @returns {Promise<boolean>} Resolves with true when the offer was made and answered.
+   */
+  const proposePleaDeal = async ({ charge, term, message }) => {
+    const plea = history.plea;
+    if (!isPleaWindowOpen(history)) return false;
+    const isOurTurn =
+      config.role === 'prosecution' ? canProsecutionOffer(plea) : canDefenseCounter(plea);
+    if (!isOurTurn) return false;
+    const range = getSentencingRange(config.jurisdiction);
+    const trimmedCharge = charge?.trim() ?? '';
+    const numericTerm = Number(term);
+    if (!trimmedCharge || !Number.isInteger(numericTerm)) return false;
+    if (numericTerm < range.min || numericTerm > range.max) {
+      setError(`Plea terms must fall within ${range.min}-${range.max} ${range.unit}.`);
+      return false;
+    }
 
-    if (!strikeValidation.ok) {
-      finalizeAction({ result: 'rejected', rejectReason: 'invalid_selection' });
-      logEvent('Jury strikes rejected: invalid_selection.');
-      showDebugBanner('invalid_selection');
-      setError('Selected juror IDs are invalid. Please reselect from the current pool.');
+    setError(null);
+    try {
+      const client = await consultPleaClient({ charge: trimmedCharge, term: numericTerm });
+      if (client.decision === 'reject') {
+        setHistory((prev) => ({
+          ...prev,
+          plea: {
+            ...plea,
+            clientRejections: [
+              ...plea.clientRejections,
+              {
+                offerId: null,
+                charge: trimmedCharge,
+                term: numericTerm,
+                unit: range.unit,
+                statement: client.statement,
+              },
+            ],
+          },
+        }));
+        logEvent('Client refused to authorize the counter-offer.');
+        setLoadingMsg(null);
+        return false;
+      }
+      const timestamp = new Date().toISOString();
+      const offer = {
+        id: `plea-${plea.offers.length + 1}-${Date.parse(timestamp)}`,
+        round: config.role === 'prosecution' ? getPleaRound(plea) + 1 : getPleaRound(plea),
+        offeredBy: config.role,
+        charge: trimmedCharge,
+        term: numericTerm,
+        unit: range.unit,
+        message: message?.trim() ?? '',
+        docketEntry: `Plea ${
+          config.role === 'prosecution' ? 'offer' : 'counter-offer'
+        }: guilty to ${trimmedCharge}, ${numericTerm} ${range.unit}.`,
+        timestamp,
+      };
+      const nextPlea = { ...plea, offers: [...plea.offers, offer] };
+      setHistory((prev) => ({ ...prev, plea: nextPlea }));
+      return await requestPleaAnswer(nextPlea);
+    } catch (err) {
+      console.error(err);
+      setError(getLlmClientErrorMessage(err, 'Plea negotiation failed.'));
       setLoadingMsg(null);
-      return;
+      return false;
     }
+  };
 
-    if (canonicalStrikes.length !== 2) {
-      logEvent('Jury strikes submitted with a non-standard selection count.', {
-        verbose: true,
-      });
-    }
+  /**
+   * Accept the offer on the table, ending the case with a plea deal. A Public Defender's client
+   * may refuse, leaving the player to counter or go to trial.
+   *
+   * @returns {Promise<boolean>} Resolves with true when the deal was entered.
+   */
+  const acceptPleaDeal = async () => {
+    const plea = history.plea;
+    if (!isPleaWindowOpen(history) || !canAcceptPleaOffer(plea, config.role)) return false;
+    const offer = getLatestPleaOffer(plea);
 
+    setError(null);
     try {
-      let data = null;
-      const debugFlags = getDebugState().flags;
-      if (debugEnabled() && debugFlags.bypassJuryLlm) {
-        const poolIds = getCanonicalJurorIds(history.jury.pool ?? []);
-        const seatedIds = poolIds.filter((id) => !canonicalStrikes.includes(id));
-        data = {
-          opponent_strikes: [],
-          seated_juror_ids: seatedIds,
-          judge_comment: 'Bypass LLM enabled: auto-approving strikes.',
-        };
-        logEvent('Bypass LLM enabled: auto-approving jury strikes.');
+      const client = await consultPleaClient(offer);
+      setLoadingMsg(null);
+      if (client.decision === 'reject') {
+        setHistory((prev) => ({
+          ...prev,
+          plea: {
+            ...plea,
+            clientRejections: [
+              ...plea.clientRejections,
+              {
+                offerId: offer.id,
+                charge: offer.charge,
+                term: offer.term,
+                unit: offer.unit,
+                statement: client.statement,
+              },
+            ],
+          },
+        }));
+        logEvent('Client refused the plea deal.');
+        return false;
+      }
+      finalizePleaDeal(
+        plea,
+        offer,
+        `Plea deal entered: guilty to ${offer.charge}, ${offer.term} ${offer.unit}.`
+      );
+      return true;
+    } catch (err) {
+      console.error(err);
+      setError(getLlmClientErrorMessage(err, 'Your client could not be reached.'));
+      setLoadingMsg(null);
+      return false;
+    }
+  };
+
+  /**
+   * Walk away from plea negotiations; the case proceeds to trial.
+   *
+   * @returns {boolean} True when negotiations were closed.
+   */
+  const declinePleaDeal = () => {
+    if (!isPleaWindowOpen(history)) return false;
+    setHistory((prev) => ({
+      ...prev,
+      plea: {
+        ...prev.plea,
+        status: PLEA_STATUSES.REJECTED,
+        docketEntry: `Plea negotiations ended by the ${config.role}; the case proceeds to trial.`,
+      },
+    }));
+    logEvent('Plea negotiations declined.');
+    return true;
+  };
+
+  /**
+   * Put one voir dire question to a juror or the whole panel and record each answer on the
+   * questioned juror's docket entry.
+   *
+   * @param {number | 'panel'} target - Juror ID, or `panel` to question every juror.
+   * @param {string} question - Question text.
+   * @returns {Promise<boolean>} Resolves with true when the answers were recorded.
+   */
+  const askVoirDire = async (target, question) => {
+    const trimmedQuestion = question?.trim() ?? '';
+    if (!history.jury || history.jury.skipped || history.jury.locked) return false;
+    const jurors = getVoirDireTargets(history.jury.pool, target);
+    if (!trimmedQuestion || jurors.length === 0) return false;
+    const askedCount = history.jury.questions?.length ?? 0;
+    if (askedCount >= MAX_VOIR_DIRE_QUESTIONS) {
+      setError(`The court has already allowed ${MAX_VOIR_DIRE_QUESTIONS} voir dire questions.`);
+      return false;
+    }
+
+    const isPanel = target === VOIR_DIRE_PANEL;
+    const jurorIds = jurors.map((juror) => juror.id);
+    setError(null);
+    setLoadingMsg(isPanel ? 'The panel is answering...' : `${jurors[0].name} is answering...`);
+    try {
+      logEvent(`Voir dire question started (${isPanel ? 'panel' : `juror ${jurorIds[0]}`}).`);
+      const { parsed } = await requestLlmJson({
+        userPrompt: 'Answer',
+        systemPrompt: getVoirDirePrompt({
+          caseData: buildDocketPromptCase(history.case),
+          jurors,
+          question: trimmedQuestion,
+          askerRole: config.role,
+          difficulty: config.difficulty,
+        }),
+        responseLabel: 'voir_dire',
+        validate: (payload) => parseVoirDireResponse(payload, jurorIds),
+      });
+      const data = parseVoirDireResponse(parsed, jurorIds);
+      const timestamp = new Date().toISOString();
+      const entry = {
+        id: `voir-dire-${askedCount + 1}-${Date.parse(timestamp)}`,
+        target: isPanel ? VOIR_DIRE_PANEL : jurorIds[0],
+        askedBy: config.role,
+        question: trimmedQuestion,
+        timestamp,
+      };
+
+      setHistory((prev) => ({
+        ...prev,
+        case: {
+          ...prev.case,
+          jurors: recordVoirDireAnswers(prev.case?.jurors, entry, data.answers),
+        },
+        jury: {
+          ...prev.jury,
+          pool: recordVoirDireAnswers(prev.jury?.pool, entry, data.answers),
+          questions: [...(prev.jury?.questions ?? []), entry],
+        },
+      }));
+      logEvent('Voir dire answers recorded.');
+      setLoadingMsg(null);
+      return true;
+    } catch (err) {
+      console.error(err);
+      setError(getLlmClientErrorMessage(err, 'The jurors could not answer.'));
+      setLoadingMsg(null);
+      return false;
+    }
+  };
+
+  /**
+   * Challenge a juror for cause. A granted challenge excuses the juror before strikes; either way
+   * the ruling goes on the docket.
+   *
+   * @param {number} jurorId - Juror being challenged.
+   * @param {string} reason - Stated reason for the challenge.
+   * @returns {Promise<boolean>} Resolves with true when the ruling was recorded.
+   */
+  const challengeForCause = async (jurorId, reason) => {
+    const trimmedReason = reason?.trim() ?? '';
+    const normalizedId = normalizeJurorId(jurorId);
+    if (!canChallengeForCause(history.jury, normalizedId)) return false;
+    if (!trimmedReason) {
+      setError('State a reason for the challenge.');
+      return false;
+    }
+    const juror = history.jury.pool.find((entry) => entry.id === normalizedId);
+
+    setError(null);
+    setLoadingMsg('The judge is ruling on the challenge...');
+    try {
+      const { parsed } = await requestLlmJson({
+        userPrompt: 'Rule',
+        systemPrompt: getCauseChallengePrompt({
+          caseData: buildDocketPromptCase(history.case),
+          juror,
+          reason: trimmedReason,
+          challengerRole: config.role,
+          difficulty: config.difficulty,
+        }),
+        responseLabel: 'cause_challenge',
+        validate: parseCauseChallengeResponse,
+      });
+      const data = parseCauseChallengeResponse(parsed);
+      const timestamp = new Date().toISOString();
+      const isGranted = data.ruling === CAUSE_RULINGS.GRANTED;
+      logEvent(`Challenge for cause to juror ${normalizedId}: ${data.ruling}.`);
+
+      setHistory((prev) => ({
+        ...prev,
+        jury: {
+          ...prev.jury,
+          pool: isGranted
+            ? prev.jury.pool.map((entry) =>
+                entry.id === normalizedId ? updateJurorStatus(entry, EXCUSED_FOR_CAUSE) : entry
+              )
+            : prev.jury.pool,
+          myStrikes: isGranted
+            ? (prev.jury.myStrikes ?? []).filter((id) => id !== normalizedId)
+            : prev.jury.myStrikes,
+          causeChallenges: [
+            ...(prev.jury.causeChallenges ?? []),
+            {
+              id: `cause-${normalizedId}-${Date.parse(timestamp)}`,
+              jurorId: normalizedId,
+              challengedBy: config.role,
+              reason: trimmedReason,
+              ruling: data.ruling,
+              reasoning: data.reasoning,
+              docketEntry: data.docket_entry,
+              timestamp,
+            },
+          ],
+        },
+      }));
+      setLoadingMsg(null);
+      return true;
+    } catch (err) {
+      console.error(err);
+      setError(getLlmClientErrorMessage(err, 'The judge could not rule on the challenge.'));
+      setLoadingMsg(null);
+      return false;
+    }
+  };
+
+  /**
+   * In hot-seat mode, record one seat's strikes out of the other's sight. Once both seats have
+   * struck, the rest of the panel is seated without a model call.
+   *
+   * @param {number[]} strikes - Validated juror IDs the active seat strikes.
+   */
+  const recordHotSeatStrikes = (strikes) => {
+    setHistory((prev) => {
+      const strikesByRole = { ...prev.jury.strikesByRole, [config.role]: strikes };
+      if (!HOT_SEAT_ROLES.every((role) => strikesByRole[role])) {
+        return { ...prev, jury: { ...prev.jury, myStrikes: [], strikesByRole } };
+      }
+      const struckIds = [...new Set(HOT_SEAT_ROLES.flatMap((role) => strikesByRole[role]))];
+      const pool = prev.jury.pool.map((juror) => {
+        if (juror.status === EXCUSED_FOR_CAUSE) return juror;
+        return updateJurorStatus(
+          juror,
+          struckIds.includes(juror.id) ? 'struck_by_opponent' : 'seated'
+        );
+      });
+      const seatedJurors = pool.filter((juror) => juror.status === 'seated');
+      return {
+        ...prev,
+        jury: {
+          ...prev.jury,
+          pool,
+          myStrikes: [],
+          opponentStrikes: struckIds,
+          strikesByRole,
+          seatedIds: seatedJurors.map((juror) => juror.id),
+          comment: 'Both sides have exercised their strikes. The panel is seated.',
+          invalidStrike: false,
+          locked: true,
+        },
+        motion: createMotionState(false),
+        ...buildCounselNotesUpdate((role) => deriveJuryCounselNotes(seatedJurors, role)),
+      };
+    });
+  };
+
+  /**
+   * Submit jury strikes and lock in the seated jurors. In hot-seat mode the strikes are held until
+   * the other seat has struck too.
+   *
+   * @param {number[]} strikes - Juror IDs selected for strikes.
+   * @returns {Promise<void>} Resolves once strikes are processed.
+   */
+  const submitStrikes = async (strikes) => {
+    const startedAt = new Date().toISOString();
+    const startedAtMs = Date.parse(startedAt);
+    setError(null);
+    setLoadingMsg('Judge is ruling on strikes...');
+    const canonicalStrikes = normalizeStrikeIds(strikes);
+    const hasInvalidStrikeIds =
+      Array.isArray(strikes) && canonicalStrikes.length !== strikes.length;
+    setLastAction({
+      name: 'submitJuryStrikes',
+      startedAt,
+      endedAt: null,
+      durationMs: null,
+      payload: { selectedJurorIds: canonicalStrikes },
+      result: null,
+      rejectReason: null,
+      rawModelText: null,
+      parsed: null,
+    });
+    logEvent(`Jury strikes submit attempt: [${canonicalStrikes.join(', ')}]`);
+
+    if (debugEnabled()) {
+      const poolIds = getCanonicalJurorIds(history.jury?.pool ?? []);
+      const docketIds = getCanonicalJurorIds(history.case?.jurors ?? []);
+      const strikeTypes = Array.isArray(strikes) ? strikes.map((id) => typeof id) : [];
+      const normalizationMap = {
+        stringToNumber: {},
+        numberToString: {},
+      };
+      [...(Array.isArray(strikes) ? strikes : []), ...poolIds, ...docketIds].forEach((id) => {
+        if (typeof id === 'string') {
+          const numeric = Number(id);
+          if (!Number.isNaN(numeric)) {
+            normalizationMap.stringToNumber[id] = numeric;
+          }
+        } else if (typeof id === 'number' && !Number.isNaN(id)) {
+          normalizationMap.numberToString[id] = String(id);
+        }
+      });
+      console.debug('submitStrikes pre-validation', {
+        strikes,
+        normalizedStrikes: canonicalStrikes,
+        strikeTypes,
+        poolIds,
+        docketIds,
+        normalizationMap,
+      });
+    }
+
+    const finalizeAction = (details) => {
+      const endedAt = new Date().toISOString();
+      setLastAction({
+        endedAt,
+        durationMs: Date.parse(endedAt) - startedAtMs,
+        ...details,
+      });
+    };
+
+    if (!history.jury || history.jury.locked || history.jury.skipped) {
+      finalizeAction({ result: 'noop', rejectReason: 'jury_unavailable' });
+      logEvent('Jury strikes submit ignored (jury unavailable).');
+      showDebugBanner('jury_unavailable');
+      setLoadingMsg(null);
+      return;
+    }
+
+    if (!Array.isArray(strikes) || hasInvalidStrikeIds) {
+      finalizeAction({ result: 'rejected', rejectReason: 'invalid_selection' });
+      logEvent('Jury strikes rejected: invalid_selection.');
+      showDebugBanner('invalid_selection');
+      setError('Selected juror IDs are invalid. Please reselect from the current pool.');
+      setLoadingMsg(null);
+      return;
+    }
+
+    // Jurors excused for cause have left the pool: they can be neither struck nor seated.
+    const excusedIds = getExcusedJurorIds(history.jury.pool);
+    const isAvailable = (id) => !excusedIds.includes(id);
+    const poolJurorIds = new Set(getCanonicalJurorIds(history.jury.pool ?? []).filter(isAvailable));
+    const availableDocketIds = getCanonicalJurorIds(history.case?.jurors ?? []).filter(isAvailable);
+    const allowedJurorIds = poolJurorIds.size ? poolJurorIds : new Set(availableDocketIds);
+    const strikeValidation = validateStrikeIds(canonicalStrikes, [...allowedJurorIds]);
+
+    if (!strikeValidation.ok) {
+      finalizeAction({ result: 'rejected', rejectReason: 'invalid_selection' });
+      logEvent('Jury strikes rejected: invalid_selection.');
+      showDebugBanner('invalid_selection');
+      setError('Selected juror IDs are invalid. Please reselect from the current pool.');
+      setLoadingMsg(null);
+      return;
+    }
+
+    if (canonicalStrikes.length !== 2) {
+      logEvent('Jury strikes submitted with a non-standard selection count.', {
+        verbose: true,
+      });
+    }
+
+    if (config.players) {
+      recordHotSeatStrikes(canonicalStrikes);
+      finalizeAction({ result: 'success' });
+      logEvent(`Jury strikes recorded for the ${config.role}.`);
+      setLoadingMsg(null);
+      return;
+    }
+
+    try {
+      let data = null;
+      const debugFlags = getDebugState().flags;
+      if (debugEnabled() && debugFlags.bypassJuryLlm) {
+        const poolIds = getCanonicalJurorIds(history.jury.pool ?? []).filter(isAvailable);
+        const seatedIds = poolIds.filter((id) => !canonicalStrikes.includes(id));
+        data = {
+          opponent_strikes: [],
+          seated_juror_ids: seatedIds,
+          judge_comment: 'Bypass LLM enabled: auto-approving strikes.',
+        };
+        logEvent('Bypass LLM enabled: auto-approving jury strikes.');
       } else {
         logEvent('Jury strikes request started.');
         const { parsed, rawText } = await requestLlmJson({
@@ -1539,9 +2265,11 @@ const useGameState = (options = {}) => {
           systemPrompt: getJuryStrikePrompt(
             buildDocketPromptCase(history.case),
             canonicalStrikes,
-            config.role
+            config.role,
+            excusedIds
           ),
           responseLabel: 'jury',
+          validate: (payload) => validateJuryStrikeResponse(payload, availableDocketIds),
         });
         setLastAction({ rawModelText: rawText });
         logEvent('Jury strikes request finished.');
@@ -1575,7 +2303,7 @@ const useGameState = (options = {}) => {
       setLastAction({ parsed: data });
 
       // The docket is the single source of truth for juror IDs; reject unknown or duplicate IDs.
-      const docketJurorIds = new Set(getCanonicalJurorIds(history.case?.jurors ?? []));
+      const docketJurorIds = new Set(availableDocketIds);
       const normalizedOpponentStrikes = normalizeStrikeIds(data.opponent_strikes);
       const normalizedSeatedIds = normalizeStrikeIds(data.seated_juror_ids);
       const opponentValidation = validateStrikeIds(data.opponent_strikes, [
@@ -1617,6 +2345,7 @@ const useGameState = (options = {}) => {
         const seatedIds = new Set(normalizedSeatedIds);
         const updatedPool =
           prev.jury?.pool?.map((juror) => {
+            if (juror.status === EXCUSED_FOR_CAUSE) return juror;
             let nextStatus = /** @type {JurorStatus} */ ('eligible');
             if (seatedIds.has(juror.id)) {
               nextStatus = 'seated';
@@ -1634,14 +2363,15 @@ const useGameState = (options = {}) => {
             ...prev.jury,
             myStrikes: canonicalStrikes,
             opponentStrikes: normalizedOpponentStrikes,
+            opponentReasoning: data.opponent_reasoning?.trim() || null,
             seatedIds: normalizedSeatedIds,
             comment: data.judge_comment,
             invalidStrike: false,
             pool: updatedPool,
             locked: true,
           },
-          motion: createMotionState(),
-          counselNotes: deriveJuryCounselNotes(seatedJurors, config.role),
+          motion: createMotionState(isCivilCase(prev.case)),
+          ...buildCounselNotesUpdate((role) => deriveJuryCounselNotes(seatedJurors, role)),
         };
       });
       finalizeAction({ result: 'success' });
@@ -1657,6 +2387,243 @@ const useGameState = (options = {}) => {
     }
   };
 
+  /**
+   * Object to one of the opponent's strikes as discriminatory. The judge weighs opposing
+   * counsel's stated reasons; a sustained objection reseats the juror.
+   *
+   * @param {number} jurorId - Juror the opponent struck.
+   * @param {string} argument - Why the strike is discriminatory.
+   * @returns {Promise<boolean>} Resolves with true when the ruling was recorded.
+   */
+  const raiseBatsonObjection = async (jurorId, argument) => {
+    const trimmedArgument = argument?.trim() ?? '';
+    const normalizedId = normalizeJurorId(jurorId);
+    if (!canRaiseBatson(history, normalizedId)) return false;
+    if (!trimmedArgument) {
+      setError('Explain why the strike is discriminatory.');
+      return false;
+    }
+    const juror = history.jury.pool.find((entry) => entry.id === normalizedId);
+    if (!juror) return false;
+
+    setError(null);
+    setLoadingMsg('The judge is reviewing the strike...');
+    try {
+      const { parsed } = await requestLlmJson({
+        userPrompt: 'Rule',
+        systemPrompt: getBatsonPrompt({
+          caseData: buildDocketPromptCase(history.case),
+          juror,
+          opponentReasoning: history.jury.opponentReasoning ?? '',
+          argument: trimmedArgument,
+          objectingRole: config.role,
+          difficulty: config.difficulty,
+        }),
+        responseLabel: 'batson',
+        validate: parseBatsonResponse,
+      });
+      const data = parseBatsonResponse(parsed);
+      const timestamp = new Date().toISOString();
+      const isSustained = data.ruling === BATSON_RULINGS.SUSTAINED;
+      logEvent(`Batson objection to juror ${normalizedId}: ${data.ruling}.`);
+
+      setHistory((prev) => {
+        const batsonChallenges = [
+          ...(prev.jury.batsonChallenges ?? []),
+          {
+            id: `batson-${normalizedId}-${Date.parse(timestamp)}`,
+            jurorId: normalizedId,
+            objectedBy: config.role,
+            argument: trimmedArgument,
+            ruling: data.ruling,
+            reasoning: data.reasoning,
+            docketEntry: data.docket_entry,
+            timestamp,
+          },
+        ];
+        if (!isSustained) {
+          return { ...prev, jury: { ...prev.jury, batsonChallenges } };
+        }
+        const pool = prev.jury.pool.map((entry) =>
+          entry.id === normalizedId ? updateJurorStatus(entry, 'seated') : entry
+        );
+        return {
+          ...prev,
+          jury: {
+            ...prev.jury,
+            pool,
+            opponentStrikes: (prev.jury.opponentStrikes ?? []).filter((id) => id !== normalizedId),
+            seatedIds: [...(prev.jury.seatedIds ?? []), normalizedId],
+            batsonChallenges,
+          },
+          counselNotes: deriveJuryCounselNotes(
+            pool.filter((entry) => entry.status === 'seated'),
+            config.role
+          ),
+        };
+      });
+      setLoadingMsg(null);
+      return true;
+    } catch (err) {
+      console.error(err);
+      setError(getLlmClientErrorMessage(err, 'The judge could not rule on the objection.'));
+      setLoadingMsg(null);
+      return false;
+    }
+  };
+
+  /**
+   * Accept the seated jury, closing Batson objections so opposing counsel may file its motion.
+   */
+  const closeJuryChallenges = () => {
+    if (!history.jury?.locked) return;
+    setError(null);
+    setHistory((prev) => ({ ...prev, jury: { ...prev.jury, challengesClosed: true } }));
+  };
+
+  /**
+   * In judge mode, have AI counsel exercise their peremptory strikes, defense first. The strikes
+   * wait on the player's review before the jury is seated.
+   *
+   * @returns {Promise<boolean>} Resolves with true when both sides' strikes were recorded.
+   */
+  const requestCounselStrikes = async () => {
+    if (!isJudgeRole(config.role)) return false;
+    if (!history.jury || history.jury.skipped || history.jury.locked) return false;
+    if (history.jury.strikesByRole) return false;
+    const excusedIds = getExcusedJurorIds(history.jury.pool);
+    const availableIds = getCanonicalJurorIds(history.case?.jurors ?? []).filter(
+      (id) => !excusedIds.includes(id)
+    );
+    const caseForStrikes = buildDocketPromptCase(history.case);
+
+    const requestStrikes = async (role, priorStrikes) => {
+      setLoadingMsg(`The ${getCounselTitle(role)} is striking jurors...`);
+      const remainingIds = availableIds.filter((id) => !priorStrikes.includes(id));
+      const { parsed } = await requestLlmJson({
+        userPrompt: 'Strike',
+        systemPrompt: getJuryStrikePrompt(
+          caseForStrikes,
+          priorStrikes,
+          getOpposingRole(role),
+          excusedIds,
+          { presiding: true }
+        ),
+        responseLabel: 'jury',
+        validate: (payload) => validateJuryStrikeResponse(payload, remainingIds),
+      });
+      const data = parseJuryResponse(parsed);
+      return {
+        strikes: normalizeStrikeIds(data.opponent_strikes),
+        reasoning: data.opponent_reasoning?.trim() || null,
+      };
+    };
+
+    setError(null);
+    try {
+      const [firstRole, secondRole] = COUNSEL_STRIKE_ORDER;
+      const first = await requestStrikes(firstRole, []);
+      const second = await requestStrikes(secondRole, first.strikes);
+      const strikesByRole = { [firstRole]: first.strikes, [secondRole]: second.strikes };
+      const allStrikes = [...first.strikes, ...second.strikes];
+      logEvent(`Counsel strikes recorded: [${allStrikes.join(', ')}]`);
+
+      setHistory((prev) => ({
+        ...prev,
+        jury: {
+          ...prev.jury,
+          pool: prev.jury.pool.map((juror) =>
+            allStrikes.includes(juror.id) ? updateJurorStatus(juror, 'struck_by_opponent') : juror
+          ),
+          myStrikes: [],
+          opponentStrikes: allStrikes,
+          strikesByRole,
+          strikeReasons: { [firstRole]: first.reasoning, [secondRole]: second.reasoning },
+        },
+      }));
+      setLoadingMsg(null);
+      return true;
+    } catch (err) {
+      console.error(err);
+      setError(getLlmClientErrorMessage(err, 'Counsel could not strike jurors.'));
+      setLoadingMsg(null);
+      return false;
+    }
+  };
+
+  /**
+   * In judge mode, rule on counsel's strikes and seat the jury. Each disallowed strike is docketed
+   * with the court's reason and its juror reseated; every other strike stands.
+   *
+   * @param {{jurorId: number, reason: string}[]} [disallowed] - Strikes the court disallows.
+   * @returns {boolean} True when the jury was seated.
+   */
+  const seatJury = (disallowed = []) => {
+    if (!isJudgeRole(config.role) || !history.jury?.strikesByRole || history.jury.locked) {
+      return false;
+    }
+    const strikes = getCounselStrikes(history.jury);
+    const rulings = disallowed.map(({ jurorId, reason }) => ({
+      strike: strikes.find((strike) => strike.jurorId === normalizeJurorId(jurorId)),
+      reason: reason?.trim() ?? '',
+    }));
+    if (rulings.some((ruling) => !ruling.strike)) {
+      setError('Only a strike counsel made can be disallowed.');
+      return false;
+    }
+    if (rulings.some((ruling) => !ruling.reason)) {
+      setError('State a reason for each disallowed strike.');
+      return false;
+    }
+
+    setError(null);
+    const timestamp = new Date().toISOString();
+    const disallowedIds = rulings.map((ruling) => ruling.strike.jurorId);
+    logEvent(`Jury seated; disallowed strikes: [${disallowedIds.join(', ')}]`);
+    setHistory((prev) => {
+      const standingStrikes = (prev.jury.opponentStrikes ?? []).filter(
+        (id) => !disallowedIds.includes(id)
+      );
+      const pool = prev.jury.pool.map((juror) => {
+        if (juror.status === EXCUSED_FOR_CAUSE) return juror;
+        return updateJurorStatus(
+          juror,
+          standingStrikes.includes(juror.id) ? 'struck_by_opponent' : 'seated'
+        );
+      });
+      const seatedIds = pool.filter((juror) => juror.status === 'seated').map((juror) => juror.id);
+      return {
+        ...prev,
+        jury: {
+          ...prev.jury,
+          pool,
+          opponentStrikes: standingStrikes,
+          seatedIds,
+          batsonChallenges: [
+            ...(prev.jury.batsonChallenges ?? []),
+            ...rulings.map(({ strike, reason }) =>
+              buildStrikeRuling(
+                pool.find((juror) => juror.id === strike.jurorId),
+                strike.struckBy,
+                reason,
+                timestamp
+              )
+            ),
+          ],
+          comment: disallowedIds.length
+            ? `The court disallows ${disallowedIds.length} strike${
+                disallowedIds.length === 1 ? '' : 's'
+              } and seats the panel.`
+            : "Counsel's strikes stand. The panel is seated.",
+          invalidStrike: false,
+          locked: true,
+        },
+        motion: createMotionState(false),
+      };
+    });
+    return true;
+  };
+
   /**
    * Submit the current motion exchange step for the player.
    *
@@ -1707,7 +2674,8 @@ const useGameState = (options = {}) => {
 
     const isMotionStep = history.motion.motionPhase === 'motion_submission';
     const expectedRole = isMotionStep ? history.motion.motionBy : history.motion.rebuttalBy;
-    if (expectedRole === config.role) return;
+    // Both sides are human in hot-seat mode.
+    if (config.players || expectedRole === config.role) return;
 
     setLoadingMsg(
       isMotionStep
@@ -1853,32 +2821,59 @@ const useGameState = (options = {}) => {
       return getFallbackCounselNotes(role, undefined, 'pending');
     }
     const ruling = verdict.final_ruling.toLowerCase();
-    const defenseWins =
-      ruling.includes('acquitt') || ruling.includes('not guilty') || ruling.includes('dismiss');
-    const prosecutionWins =
-      ruling.includes('guilty') || ruling.includes('liable') || ruling.includes('convict');
+    const respondentWins = [
+      'acquitt',
+      'not guilty',
+      'not liable',
+      'dismiss',
+      'for the defendant',
+    ].some((phrase) => ruling.includes(phrase));
+    const claimantWins =
+      !respondentWins &&
+      ['guilty', 'liable', 'convict', 'for the plaintiff'].some((phrase) =>
+        ruling.includes(phrase)
+      );
+    const isClaimant = isClaimantRole(role);
 
-    if (role === 'defense' && defenseWins) {
+    if (!isClaimant && respondentWins) {
       return normalizeCounselNotes('We can breathe after that verdict; the room heard our themes.');
     }
-    if (role === 'prosecution' && prosecutionWins) {
+    if (isClaimant && claimantWins) {
       return normalizeCounselNotes('We feel the verdict land our way; the narrative held.');
     }
-    if (role === 'defense' && prosecutionWins) {
+    if (!isClaimant && claimantWins) {
       return normalizeCounselNotes('We absorb the verdict and take notes for the next fight.');
     }
-    if (role === 'prosecution' && defenseWins) {
+    if (isClaimant && respondentWins) {
       return normalizeCounselNotes('We take the verdict in stride and log the gaps to fix.');
     }
     return getFallbackCounselNotes(role, undefined, verdict.final_ruling);
   };
 
+  /**
+   * Build the counsel-notes fields for a docket update. Hot-seat dockets keep private notes for
+   * each seat; single-player dockets keep the player's.
+   *
+   * @param {(role: string) => string} deriveNotes - Builds the note for one side.
+   * @returns {Pick<HistoryState, 'counselNotes' | 'counselNotesByRole'>} Fields to merge.
+   */
+  const buildCounselNotesUpdate = (deriveNotes) =>
+    config.players
+      ? {
+          counselNotesByRole: Object.fromEntries(
+            HOT_SEAT_ROLES.map((role) => [role, deriveNotes(role)])
+          ),
+        }
+      : { counselNotes: deriveNotes(config.role) };
+
   /**
    * Request the judge ruling after both motion texts are available.
    *
    * @returns {Promise<void>} Resolves once the ruling is stored.
    */
   const requestMotionRuling = async () => {
+    // In judge mode the player rules on the motion from the bench.
+    if (isJudgeRole(config.role)) return;
     if (!history.motion?.motionText || !history.motion?.rebuttalText) return;
     if (history.motion.motionPhase === 'motion_ruling_locked') return;
     setError(null);
@@ -1912,13 +2907,15 @@ const useGameState = (options = {}) => {
         history.motion.rebuttalText,
         docketRegistry
       );
-      const compliantMotionText = redactInvalidReferences(
-        history.motion.motionText,
-        motionValidation
+      const compliantMotionText = redactSustainedObjections(
+        redactInvalidReferences(history.motion.motionText, motionValidation),
+        history.objections,
+        'motion'
       );
-      const compliantRebuttalText = redactInvalidReferences(
-        history.motion.rebuttalText,
-        rebuttalValidation
+      const compliantRebuttalText = redactSustainedObjections(
+        redactInvalidReferences(history.motion.rebuttalText, rebuttalValidation),
+        history.objections,
+        'rebuttal'
       );
       const { parsed, rawText } = await requestLlmJson({
         userPrompt: 'Motion ruling',
@@ -1941,6 +2938,7 @@ const useGameState = (options = {}) => {
           })
         ),
         responseLabel: 'motion',
+        validate: (payload) => applyMotionRulingDiff(history, parseMotionResponse(payload)),
       });
       setLastAction({ rawModelText: rawText });
       /** @type {MotionResult} */
@@ -1979,7 +2977,7 @@ const useGameState = (options = {}) => {
           ...history.case,
           evidence: rulingDiff.evidence,
         },
-        counselNotes: deriveMotionCounselNotes(history.motion, data, config.role),
+        ...buildCounselNotesUpdate((role) => deriveMotionCounselNotes(history.motion, data, role)),
         trial: { ...history.trial, locked: false },
         sanctions: sanctionEntry ? [...(history.sanctions ?? []), sanctionEntry] : history.sanctions,
       };
@@ -1990,53 +2988,473 @@ const useGameState = (options = {}) => {
         durationMs: Date.parse(endedAt) - startedAtMs,
         result: 'success',
       });
-      setLoadingMsg(null);
-      completeRun({
-        verdict: null,
-        disposition: nextDisposition,
-        achievementId: null,
-        nextHistory,
-        sanctionsAfter: sanctionsState,
-        endedAt,
+      setLoadingMsg(null);
+      completeRun({
+        verdict: null,
+        disposition: nextDisposition,
+        achievementId: null,
+        nextHistory,
+        sanctionsAfter: sanctionsState,
+        endedAt,
+      });
+    } catch (err) {
+      console.error(err);
+      const endedAt = new Date().toISOString();
+      setLastAction({
+        endedAt,
+        durationMs: Date.parse(endedAt) - startedAtMs,
+        result: 'error',
+        rejectReason: 'validation_failed',
+        payload:
+          err instanceof LlmClientError
+            ? err.context ?? { message: err.message }
+            : { message: err?.message ?? 'Unknown error', error: err },
+      });
+      setError(getLlmClientErrorMessage(err, 'Motion ruling failed.'));
+      setLoadingMsg(null);
+    }
+  };
+
+  /**
+   * In judge mode, rule on the motion from the bench: the disposition, an admissibility call on
+   * each evidence item, and whether the case is dismissed. A dismissal ends the case and sends the
+   * rulings to appellate review.
+   *
+   * @param {object} params - Ruling entered by the player.
+   * @param {'GRANTED' | 'DENIED' | 'PARTIALLY GRANTED'} params.ruling - Disposition of the motion.
+   * @param {string} params.opinion - The court's reasoning.
+   * @param {Record<number, import('../lib/types').EvidenceStatus>} [params.evidenceStatuses] -
+   * Evidence statuses keyed by ID; items left out stay admissible.
+   * @param {{isDismissed: boolean, withPrejudice: boolean}} [params.dismissal] - Dismissal, if any.
+   * @returns {Promise<boolean>} Resolves with true when the ruling was entered.
+   */
+  const ruleOnMotion = async ({ ruling, opinion, evidenceStatuses = {}, dismissal }) => {
+    if (!isJudgeRole(config.role)) return false;
+    if (!history.motion?.motionText || !history.motion?.rebuttalText) return false;
+    if (history.motion.motionPhase === 'motion_ruling_locked') return false;
+    const trimmedOpinion = opinion?.trim() ?? '';
+    if (!trimmedOpinion) {
+      setError('Explain the ruling in a written opinion.');
+      return false;
+    }
+    const resolvedDismissal = dismissal ?? { isDismissed: false, withPrejudice: false };
+    if (resolvedDismissal.isDismissed && ruling !== 'GRANTED') {
+      setError('Only a granted motion can dismiss the case.');
+      return false;
+    }
+
+    setError(null);
+    try {
+      const data = buildBenchMotionRuling({
+        ruling,
+        opinion: trimmedOpinion,
+        evidenceStatuses: Object.fromEntries(
+          (history.case?.evidence ?? []).map((item) => [
+            item.id,
+            evidenceStatuses[item.id] ?? 'admissible',
+          ])
+        ),
+        dismissal: resolvedDismissal,
+      });
+      const rulingDiff = applyMotionRulingDiff(history, data);
+      const nextDisposition = deriveDispositionFromMotion({ ...history.motion, ruling: data });
+      const nextHistory = {
+        ...history,
+        motion: {
+          ...history.motion,
+          ruling: { ...data, docket_entries: rulingDiff.docketEntries },
+          motionPhase: 'motion_ruling_locked',
+          locked: true,
+        },
+        disposition: guardDisposition(history.disposition, nextDisposition),
+        case: { ...history.case, evidence: rulingDiff.evidence },
+        trial: { ...history.trial, locked: false },
+      };
+      setHistory(nextHistory);
+      logEvent(`Bench motion ruling entered: ${ruling}.`);
+      if (isTerminalDisposition(nextDisposition)) {
+        return requestJudicialReview(nextHistory);
+      }
+      return true;
+    } catch (err) {
+      console.error(err);
+      setError(getLlmClientErrorMessage(err, 'The ruling could not be entered.'));
+      return false;
+    }
+  };
+
+  /**
+   * Put one question to a witness and record the in-character answer in the transcript.
+   *
+   * @param {number} witnessNumber - 1-based witness number on the docket.
+   * @param {'direct' | 'cross'} examinationType - Examination mode.
+   * @param {string} question - Question text.
+   * @returns {Promise<boolean>} Resolves with true when the answer was recorded.
+   */
+  const examineWitness = async (witnessNumber, examinationType, question) => {
+    const witness = history.case?.witnesses?.[witnessNumber - 1];
+    const trimmedQuestion = question?.trim() ?? '';
+    if (!witness || !trimmedQuestion || history.examination?.locked) return false;
+    if (!Object.values(EXAMINATION_TYPES).includes(examinationType)) return false;
+    const priorEntries = getWitnessTranscript(history.examination?.transcript, witnessNumber);
+    if (priorEntries.length >= MAX_QUESTIONS_PER_WITNESS) {
+      setError(`${witness.name} has already answered ${MAX_QUESTIONS_PER_WITNESS} questions.`);
+      return false;
+    }
+
+    setError(null);
+    setLoadingMsg(`${witness.name} is answering...`);
+    try {
+      const { parsed } = await requestLlmJson({
+        userPrompt: 'Answer',
+        systemPrompt: getWitnessExaminationPrompt({
+          caseData: buildDocketPromptCase(history.case, { evidenceMode: 'admissible' }),
+          witness,
+          witnessNumber,
+          examinationType,
+          examinerRole: config.role,
+          question: trimmedQuestion,
+          priorTestimony: priorEntries.map(({ question: asked, answer }) => ({
+            question: asked,
+            answer,
+          })),
+          difficulty: config.difficulty,
+        }),
+        responseLabel: 'witness',
+        validate: parseWitnessResponse,
+      });
+      const data = parseWitnessResponse(parsed);
+      const timestamp = new Date().toISOString();
+
+      setHistory((prev) => ({
+        ...prev,
+        examination: {
+          ...(prev.examination ?? createExaminationState()),
+          transcript: [
+            ...(prev.examination?.transcript ?? []),
+            {
+              id: `testimony-${witnessNumber}-${Date.parse(timestamp)}`,
+              witnessNumber,
+              type: examinationType,
+              askedBy: config.role,
+              question: trimmedQuestion,
+              answer: data.answer,
+              timestamp,
+            },
+          ],
+        },
+        validationHistory: [
+          ...(prev.validationHistory ?? []),
+          createValidationRecord(
+            'examination',
+            config.role,
+            trimmedQuestion,
+            buildDocketRegistry(prev)
+          ),
+        ],
+      }));
+      setLoadingMsg(null);
+      return true;
+    } catch (err) {
+      console.error(err);
+      setError(getLlmClientErrorMessage(err, 'The witness could not answer.'));
+      setLoadingMsg(null);
+      return false;
+    }
+  };
+
+  /**
+   * Rest witness examination so closing arguments can begin. In hot-seat mode each seat rests in
+   * turn, and examination closes once both have.
+   */
+  const restExamination = () => {
+    setError(null);
+    setHistory((prev) => {
+      const examination = prev.examination ?? createExaminationState();
+      if (!config.players) {
+        return { ...prev, examination: { ...examination, locked: true } };
+      }
+      const restedBy = [...(examination.restedBy ?? []), config.role];
+      return {
+        ...prev,
+        examination: {
+          ...examination,
+          restedBy,
+          locked: HOT_SEAT_ROLES.every((role) => restedBy.includes(role)),
+        },
+      };
+    });
+  };
+
+  /**
+   * Object to a passage of an opposing submission and record the judge's ruling.
+   *
+   * @param {'motion' | 'rebuttal' | 'closing'} source - Submission objected to.
+   * @param {string} passage - Highlighted passage.
+   * @param {string} ground - Objection ground from `OBJECTION_GROUNDS`.
+   * @returns {Promise<boolean>} Resolves with true when the ruling was recorded.
+   */
+  const raiseObjection = async (source, passage, ground) => {
+    if (history.trial?.locked || isTerminalDisposition(history.disposition)) {
+      setError('The record is closed; the court is no longer hearing objections.');
+      return false;
+    }
+    const submissionText = getObjectableText(history, source, config.role);
+    const trimmedPassage = passage?.trim() ?? '';
+    if (!submissionText) {
+      setError('There is no opposing submission to object to.');
+      return false;
+    }
+    if (!OBJECTION_GROUNDS.some((entry) => entry.value === ground)) {
+      setError('Choose a ground for the objection.');
+      return false;
+    }
+    if (!isPassageInText(submissionText, trimmedPassage)) {
+      setError('Highlight a passage from the opposing submission to object to.');
+      return false;
+    }
+    const priorObjections = getObjectionsForSource(history.objections, source);
+    if (priorObjections.length >= MAX_OBJECTIONS_PER_SUBMISSION) {
+      setError(`You may raise only ${MAX_OBJECTIONS_PER_SUBMISSION} objections per submission.`);
+      return false;
+    }
+    if (priorObjections.some((entry) => entry.passage === trimmedPassage)) {
+      setError('That passage has already drawn an objection.');
+      return false;
+    }
+
+    setError(null);
+    setLoadingMsg('Approaching the bench...');
+    try {
+      const { parsed, rawText } = await requestLlmJson({
+        userPrompt: 'Objection ruling',
+        systemPrompt: getObjectionRulingPrompt({
+          caseData: buildDocketPromptCase(history.case, { evidenceMode: 'admissible' }),
+          source,
+          submissionText,
+          passage: trimmedPassage,
+          groundLabel: getObjectionGroundLabel(ground),
+          objectingRole: config.role,
+          difficulty: config.difficulty,
+        }),
+        responseLabel: 'objection',
+        validate: parseObjectionResponse,
+      });
+      setLastAction({ rawModelText: rawText });
+      const data = parseObjectionResponse(parsed);
+      const timestamp = new Date().toISOString();
+
+      setHistory((prev) => ({
+        ...prev,
+        objections: [
+          ...(prev.objections ?? []),
+          {
+            id: `objection-${source}-${Date.parse(timestamp)}`,
+            source,
+            passage: trimmedPassage,
+            ground,
+            raisedBy: config.role,
+            ruling: data.ruling,
+            reasoning: data.reasoning,
+            docketEntry: data.docket_entry,
+            timestamp,
+          },
+        ],
+      }));
+      setLoadingMsg(null);
+      return true;
+    } catch (err) {
+      console.error(err);
+      setError(getLlmClientErrorMessage(err, 'The judge could not rule on the objection.'));
+      setLoadingMsg(null);
+      return false;
+    }
+  };
+
+  /**
+   * Deliver the player's opening statement at the start of trial; opposing counsel opens in reply.
+   * In hot-seat mode each seat opens in turn and no AI counsel speaks.
+   *
+   * @param {string} text - Opening statement text.
+   * @returns {Promise<boolean>} Resolves with true when the opening was recorded.
+   */
+  const submitOpening = async (text) => {
+    const trimmed = text?.trim() ?? '';
+    if (!trimmed || !history.motion?.locked || isJudgeRole(config.role)) return false;
+    if (isTerminalDisposition(history.disposition) || history.trial?.openings?.[config.role]) {
+      return false;
+    }
+    const docketRegistry = buildDocketRegistry(history);
+    const openingRecord = createValidationRecord('opening', config.role, trimmed, docketRegistry);
+    const recordOpenings = (openings) =>
+      setHistory((prev) => ({
+        ...prev,
+        trial: { ...prev.trial, openings: { ...prev.trial?.openings, ...openings } },
+        validationHistory: [...(prev.validationHistory ?? []), openingRecord],
+      }));
+
+    setError(null);
+    if (config.players) {
+      recordOpenings({ [config.role]: trimmed });
+      return true;
+    }
+    const opposingRole = getOpposingRole(config.role);
+    setLoadingMsg('Opposing counsel is opening...');
+    try {
+      const { parsed } = await requestLlmJson({
+        userPrompt: 'Opening statement',
+        systemPrompt: getOpeningStatementPrompt({
+          caseData: buildDocketPromptCase(history.case, { evidenceMode: 'admissible' }),
+          role: opposingRole,
+          motionRuling: history.motion.ruling,
+          opposingOpening: redactInvalidReferences(trimmed, openingRecord),
+          difficulty: config.difficulty,
+        }),
+        responseLabel: 'opening',
+        validate: parseOpeningResponse,
+      });
+      recordOpenings({
+        [config.role]: trimmed,
+        [opposingRole]: parseOpeningResponse(parsed).text,
       });
+      setLoadingMsg(null);
+      return true;
     } catch (err) {
       console.error(err);
-      const endedAt = new Date().toISOString();
-      setLastAction({
-        endedAt,
-        durationMs: Date.parse(endedAt) - startedAtMs,
-        result: 'error',
-        rejectReason: 'validation_failed',
-        payload:
-          err instanceof LlmClientError
-            ? err.context ?? { message: err.message }
-            : { message: err?.message ?? 'Unknown error', error: err },
-      });
-      setError(getLlmClientErrorMessage(err, 'Motion ruling failed.'));
+      setError(getLlmClientErrorMessage(err, 'Opening statements failed.'));
       setLoadingMsg(null);
+      return false;
     }
   };
 
   /**
-   * Submit a closing argument and resolve the final verdict.
+   * Record the player's closing and have opposing counsel answer it. The player's rebuttal then
+   * sends the case to the verdict.
    *
    * @param {string} text - Closing argument text.
-   * @returns {Promise<void>} Resolves once the verdict is stored.
+   * @returns {Promise<void>} Resolves once the opposing closing is stored.
+   */
+  const deliverClosing = async (text) => {
+    const closingRecord = createValidationRecord(
+      'argument',
+      config.role,
+      text,
+      buildDocketRegistry(history)
+    );
+    const opposingRole = getOpposingRole(config.role);
+    setHistory((prev) => ({
+      ...prev,
+      trial: { ...prev.trial, text },
+      validationHistory: [...(prev.validationHistory ?? []), closingRecord],
+    }));
+    setError(null);
+    setLoadingMsg('Opposing counsel is closing...');
+    try {
+      const { parsed } = await requestLlmJson({
+        userPrompt: 'Closing argument',
+        systemPrompt: getClosingArgumentPrompt({
+          caseData: buildDocketPromptCase(history.case, { evidenceMode: 'admissible' }),
+          role: opposingRole,
+          motionRuling: history.motion.ruling,
+          testimony: buildTestimonyRecord(history.case?.witnesses, history.examination?.transcript),
+          opposingClosing: redactInvalidReferences(text, closingRecord),
+          difficulty: config.difficulty,
+        }),
+        responseLabel: 'closing',
+        validate: parseClosingResponse,
+      });
+      const opposingClosing = { text: parseClosingResponse(parsed).text, submittedBy: opposingRole };
+      setHistory((prev) => ({ ...prev, trial: { ...prev.trial, opposingClosing } }));
+      setLoadingMsg(null);
+    } catch (err) {
+      console.error(err);
+      setError(getLlmClientErrorMessage(err, 'Opposing counsel could not close.'));
+      setLoadingMsg(null);
+    }
+  };
+
+  /**
+   * Submit the player's next trial argument. The first submission is the closing, which opposing
+   * counsel answers; the second is the rebuttal, which resolves the final verdict on the whole
+   * exchange. In hot-seat mode the prosecution's closing is held until the defense answers, and the
+   * verdict weighs both.
+   *
+   * @param {string} text - Closing argument or rebuttal text.
+   * @returns {Promise<void>} Resolves once the argument, or the verdict, is stored.
    */
   const submitArgument = async (text) => {
     if (isTerminalDisposition(history.disposition)) {
       setError('This case has already reached a terminal disposition.');
       return;
     }
+    if (!isExaminationComplete(history)) {
+      setError('Rest witness examination before closing arguments.');
+      return;
+    }
+    const closings = config.players ? { ...history.trial?.closings, [config.role]: text } : null;
+    if (closings && HOT_SEAT_TRIAL_ORDER.some((role) => !closings[role])) {
+      setHistory((prev) => ({
+        ...prev,
+        trial: { ...prev.trial, closings },
+        validationHistory: [
+          ...(prev.validationHistory ?? []),
+          createValidationRecord('argument', config.role, text, buildDocketRegistry(prev)),
+        ],
+      }));
+      return;
+    }
+    const isRebuttal = isRebuttalStage(history.trial);
+    if (!closings && !isRebuttal) {
+      await deliverClosing(text);
+      return;
+    }
+    // The rebuttal leaves the closing on the record; the verdict weighs both with the reply between.
+    const trialArguments = {
+      text: isRebuttal ? history.trial.text : text,
+      ...(history.trial?.openings ? { openings: history.trial.openings } : {}),
+      ...(closings ? { closings } : {}),
+      ...(isRebuttal
+        ? { opposingClosing: history.trial.opposingClosing, rebuttal: text }
+        : {}),
+    };
     setLoadingMsg('The Court is deliberating...');
     try {
       const docketRegistry = buildDocketRegistry(history);
-      const argumentRecord = createValidationRecord('argument', config.role, text, docketRegistry);
-      const compliantArgument = redactInvalidReferences(text, argumentRecord);
+      const argumentRecord = createValidationRecord(
+        isRebuttal ? 'closing_rebuttal' : 'argument',
+        config.role,
+        text,
+        docketRegistry
+      );
+      const complianceRecord = isRebuttal
+        ? createValidationRecord(
+            'argument',
+            config.role,
+            `${trialArguments.text}\n\n${text}`,
+            docketRegistry
+          )
+        : argumentRecord;
+      const compliantArgument = redactOffDocketReferences(trialArguments.text, docketRegistry);
+      const compliantClosings =
+        closings &&
+        Object.fromEntries(
+          HOT_SEAT_TRIAL_ORDER.map((role) => [
+            role,
+            redactOffDocketReferences(closings[role], docketRegistry),
+          ])
+        );
+      const compliantOpenings =
+        trialArguments.openings &&
+        Object.fromEntries(
+          Object.entries(trialArguments.openings).map(([role, opening]) => [
+            role,
+            redactOffDocketReferences(opening, docketRegistry),
+          ])
+        );
 
       setHistory((prev) => ({
         ...prev,
-        trial: { ...prev.trial, text },
+        trial: { ...prev.trial, ...trialArguments },
         validationHistory: [...(prev.validationHistory ?? []), argumentRecord],
       }));
       /** @type {Juror[]} */
@@ -2046,6 +3464,13 @@ const useGameState = (options = {}) => {
       const caseForVerdict = buildDocketPromptCase(history.case, {
         evidenceMode: 'admissible',
       });
+      const isCivil = isCivilCase(history.case);
+      const verdictContext = {
+        isJuryTrial: history.case?.is_jury_trial,
+        isCivil,
+        seatedJurorIds: seatedJurors.map((juror) => juror.id),
+        docketJurorIds: (history.case?.jurors ?? []).map((juror) => juror.id),
+      };
       const { parsed } = await requestLlmJson({
         userPrompt: 'Verdict',
         systemPrompt: getFinalVerdictPrompt(
@@ -2054,22 +3479,53 @@ const useGameState = (options = {}) => {
           seatedJurors,
           compliantArgument,
           config.difficulty,
-          summarizeNonCompliance(argumentRecord),
+          summarizeNonCompliance(complianceRecord),
           buildSanctionPromptContext(sanctionsState, {
             caseType: config.caseType,
             lockedJurisdiction: config.jurisdiction,
-          })
+          }),
+          {
+            testimony: buildTestimonyRecord(
+              history.case?.witnesses,
+              history.examination?.transcript
+            ),
+            submissions: buildStrickenSubmissions(history),
+            objections: buildObjectionRecord(history.objections),
+            ...(compliantOpenings ? { openings: compliantOpenings } : {}),
+            ...(compliantClosings ? { closings: compliantClosings } : {}),
+            ...(isRebuttal
+              ? {
+                  opposingClosing: {
+                    submittedBy: trialArguments.opposingClosing.submittedBy,
+                    text: redactSustainedObjections(
+                      redactOffDocketReferences(trialArguments.opposingClosing.text, docketRegistry),
+                      history.objections,
+                      'closing'
+                    ),
+                  },
+                  rebuttal: redactOffDocketReferences(text, docketRegistry),
+                }
+              : {}),
+          }
         ),
         responseLabel: 'verdict',
+        validate: (payload) => parseVerdictResponse(payload, verdictContext),
       });
-      /** @type {VerdictResult} */
-      const data = parseVerdictResponse(parsed, {
-        isJuryTrial: history.case?.is_jury_trial,
-        seatedJurorIds: seatedJurors.map((juror) => juror.id),
-        docketJurorIds: (history.case?.jurors ?? []).map((juror) => juror.id),
+      const reportedVerdict = parseVerdictResponse(parsed, verdictContext);
+      const scoreBreakdown = computeVerdictScore({
+        motionScore: history.motion.ruling?.score,
+        verdict: reportedVerdict,
+        isJuryTrial: Boolean(history.case?.is_jury_trial) && !history.jury?.skipped,
       });
+      if (scoreBreakdown.discrepancy !== null) {
+        logEvent(
+          `Verdict score recomputed: model reported ${scoreBreakdown.reported}, court computed ${scoreBreakdown.computed}.`
+        );
+      }
+      /** @type {VerdictResult} */
+      const data = applyVerdictScore(reportedVerdict, scoreBreakdown);
       const sanctionEntry = buildSanctionEntryFromOutcome({ accountability: data.accountability });
-      const nextDisposition = deriveDispositionFromVerdict(data);
+      const nextDisposition = deriveVerdictDisposition(data, { isCivil });
       const hasTerminalDisposition = isTerminalDisposition(nextDisposition);
       const verdictText = [
         data.final_ruling,
@@ -2092,7 +3548,7 @@ const useGameState = (options = {}) => {
           ...prev,
           trial: {
             ...prev.trial,
-            text,
+            ...trialArguments,
             verdict: prev.trial?.verdict,
             locked: false,
             rejectedVerdicts: [
@@ -2116,7 +3572,7 @@ const useGameState = (options = {}) => {
           ...prev,
           trial: {
             ...prev.trial,
-            text,
+            ...trialArguments,
             verdict: prev.trial?.verdict,
             locked: false,
             rejectedVerdicts: [
@@ -2135,11 +3591,18 @@ const useGameState = (options = {}) => {
         setLoadingMsg(null);
         return;
       }
+      // Hot-seat cases end at the verdict; there is no single player to argue sentencing.
+      const needsSentencing = !config.players && requiresSentencing(nextDisposition);
       const nextHistory = {
         ...history,
-        trial: { text, verdict: data, locked: hasTerminalDisposition },
+        trial: {
+          ...trialArguments,
+          verdict: data,
+          locked: hasTerminalDisposition,
+        },
+        ...(needsSentencing ? { sentencing: createSentencingState() } : {}),
         disposition: guardDisposition(history.disposition, nextDisposition),
-        counselNotes: deriveVerdictCounselNotes(data, config.role),
+        ...buildCounselNotesUpdate((role) => deriveVerdictCounselNotes(data, role)),
         validationHistory: [...(history.validationHistory ?? []), verdictRecord],
         sanctions: sanctionEntry ? [...(history.sanctions ?? []), sanctionEntry] : history.sanctions,
       };
@@ -2162,7 +3625,8 @@ const useGameState = (options = {}) => {
       if (data.achievement_title) {
         appendAchievement(data.achievement_title);
       }
-      if (hasTerminalDisposition) {
+      // Guilty verdicts end the run after sentencing instead.
+      if (hasTerminalDisposition && !needsSentencing) {
         completeRun({
           verdict: data,
           disposition: nextDisposition,
@@ -2179,15 +3643,245 @@ const useGameState = (options = {}) => {
     }
   };
 
+  /**
+   * In judge mode, have AI counsel deliver closing arguments: the prosecution first, then the
+   * defense answering it.
+   *
+   * @returns {Promise<boolean>} Resolves with true when both closings were recorded.
+   */
+  const requestClosings = async () => {
+    if (!isJudgeRole(config.role) || !history.motion?.locked) return false;
+    if (history.trial?.closings || isTerminalDisposition(history.disposition)) return false;
+    const caseForClosing = buildDocketPromptCase(history.case, { evidenceMode: 'admissible' });
+    const testimony = buildTestimonyRecord(history.case?.witnesses, history.examination?.transcript);
+
+    const requestClosing = async (role, opposingClosing) => {
+      setLoadingMsg(`The ${getCounselTitle(role)} is closing...`);
+      const { parsed } = await requestLlmJson({
+        userPrompt: 'Closing argument',
+        systemPrompt: getClosingArgumentPrompt({
+          caseData: caseForClosing,
+          role,
+          motionRuling: history.motion.ruling,
+          testimony,
+          opposingClosing,
+          difficulty: config.difficulty,
+        }),
+        responseLabel: 'closing',
+        validate: parseClosingResponse,
+      });
+      return parseClosingResponse(parsed).text;
+    };
+
+    setError(null);
+    try {
+      const { claimant, respondent } = getCaseRoles(false);
+      const claimantClosing = await requestClosing(claimant, '');
+      const respondentClosing = await requestClosing(respondent, claimantClosing);
+      setHistory((prev) => ({
+        ...prev,
+        trial: {
+          ...prev.trial,
+          closings: { [claimant]: claimantClosing, [respondent]: respondentClosing },
+        },
+      }));
+      setLoadingMsg(null);
+      return true;
+    } catch (err) {
+      console.error(err);
+      setError(getLlmClientErrorMessage(err, 'Closing arguments failed.'));
+      setLoadingMsg(null);
+      return false;
+    }
+  };
+
+  /**
+   * Send the player's rulings from the bench to appellate review once the case reaches a terminal
+   * disposition, then complete the run with the score the court computes from the review. Exposed
+   * so a failed review can be retried.
+   *
+   * @param {HistoryState} [historyState] - Docket history at disposition.
+   * @returns {Promise<boolean>} Resolves with true when the review was recorded.
+   */
+  const requestJudicialReview = async (historyState = history) => {
+    if (!isJudgeRole(config.role) || historyState.review) return false;
+    if (!isTerminalDisposition(historyState.disposition)) return false;
+    const issues = getReviewIssues(historyState);
+
+    setError(null);
+    setLoadingMsg('The Supreme Court is reviewing your rulings...');
+    try {
+      const { parsed } = await requestLlmJson({
+        userPrompt: 'Review',
+        systemPrompt: getJudicialReviewPrompt({
+          caseData: buildDocketPromptCase(historyState.case),
+          record: buildJudicialReviewRecord(historyState),
+          issues,
+          jurisdiction: config.jurisdiction,
+          difficulty: config.difficulty,
+        }),
+        responseLabel: 'judicial_review',
+        validate: (payload) => parseJudicialReviewResponse(payload, issues),
+      });
+      const reportedReview = parseJudicialReviewResponse(parsed, issues);
+      const scoreBreakdown = computeReviewScore(reportedReview);
+      if (scoreBreakdown.discrepancy !== null) {
+        logEvent(
+          `Review score recomputed: reviewer reported ${scoreBreakdown.reported}, court computed ${scoreBreakdown.computed}.`
+        );
+      }
+      /** @type {import('../lib/types').JudicialReview} */
+      const review = applyReviewScore(reportedReview, scoreBreakdown);
+      const verdict = historyState.trial?.verdict
+        ? applyReviewToVerdict(historyState.trial.verdict, review)
+        : null;
+      const nextHistory = {
+        ...historyState,
+        review,
+        ...(verdict ? { trial: { ...historyState.trial, verdict } } : {}),
+      };
+      setHistory(nextHistory);
+      appendAchievement(review.achievement_title);
+      completeRun({
+        verdict,
+        disposition: historyState.disposition,
+        achievementId: review.achievement_title ?? null,
+        score: review.final_weighted_score,
+        nextHistory,
+      });
+      setLoadingMsg(null);
+      return true;
+    } catch (err) {
+      console.error(err);
+      setError(getLlmClientErrorMessage(err, 'Appellate review failed.'));
+      setLoadingMsg(null);
+      return false;
+    }
+  };
+
+  /**
+   * In judge mode, decide the case after closings and send the rulings to appellate review. The
+   * player's ruling enters judgment; jury trials do not deliberate in judge mode.
+   *
+   * @param {object} params - Judgment entered by the player.
+   * @param {string} params.finalRuling - One of `BENCH_VERDICTS`.
+   * @param {string} params.opinion - The court's written opinion.
+   * @returns {Promise<boolean>} Resolves with true when judgment and review were recorded.
+   */
+  const renderJudgment = async ({ finalRuling, opinion }) => {
+    if (!isJudgeRole(config.role) || !history.trial?.closings) return false;
+    if (isTerminalDisposition(history.disposition)) {
+      setError('This case has already reached a terminal disposition.');
+      return false;
+    }
+    if (!BENCH_VERDICTS.includes(finalRuling)) {
+      setError(`Enter a verdict of ${BENCH_VERDICTS.join(' or ')}.`);
+      return false;
+    }
+    const trimmedOpinion = opinion?.trim() ?? '';
+    if (!trimmedOpinion) {
+      setError('Explain the verdict in a written opinion.');
+      return false;
+    }
+    const verdict = buildBenchVerdict({ finalRuling, opinion: trimmedOpinion });
+    const nextDisposition = deriveVerdictDisposition(verdict);
+    const nextHistory = {
+      ...history,
+      trial: { ...history.trial, verdict, locked: true },
+      disposition: guardDisposition(history.disposition, nextDisposition),
+    };
+    setHistory(nextHistory);
+    logEvent(`Bench judgment entered: ${finalRuling}.`);
+    return requestJudicialReview(nextHistory);
+  };
+
+  /**
+   * File the player's sentencing memorandum, collect opposing counsel's, and have the judge
+   * pronounce sentence. Completes the run once the sentence is docketed.
+   *
+   * @param {string} text - Player's sentencing memorandum.
+   * @returns {Promise<boolean>} Resolves with true when the sentence was recorded.
+   */
+  const submitSentencingMemo = async (text) => {
+    const playerMemo = text?.trim() ?? '';
+    if (!isSentencingPending(history) || !playerMemo) return false;
+    const verdict = history.trial?.verdict;
+    const range = getSentencingRange(config.jurisdiction);
+    const opponentRole = getOpposingRole(config.role);
+    const caseForSentencing = buildDocketPromptCase(history.case, { evidenceMode: 'admissible' });
+
+    setError(null);
+    setLoadingMsg('Opposing counsel is filing a sentencing memorandum...');
+    try {
+      const { parsed: memoParsed } = await requestLlmJson({
+        userPrompt: 'Sentencing memorandum',
+        systemPrompt: getSentencingMemoPrompt({
+          caseData: caseForSentencing,
+          verdict,
+          role: opponentRole,
+          range,
+          difficulty: config.difficulty,
+        }),
+        responseLabel: 'sentencing_memo',
+        validate: parseSentencingMemoResponse,
+      });
+      const opposingMemo = parseSentencingMemoResponse(memoParsed).text;
+
+      setLoadingMsg('The Court is pronouncing sentence...');
+      const { parsed, rawText } = await requestLlmJson({
+        userPrompt: 'Sentence',
+        systemPrompt: getSentencingPrompt({
+          caseData: caseForSentencing,
+          verdict,
+          jurisdiction: config.jurisdiction,
+          range,
+          memoranda: {
+            [config.role]: playerMemo,
+            [opponentRole]: opposingMemo,
+          },
+          difficulty: config.difficulty,
+        }),
+        responseLabel: 'sentence',
+        validate: (payload) => parseSentenceResponse(payload, range),
+      });
+      setLastAction({ rawModelText: rawText });
+      const sentence = buildSentenceRecord(parseSentenceResponse(parsed, range), {
+        range,
+        playerRole: config.role,
+        baseScore:
+          typeof verdict?.final_weighted_score === 'number' ? verdict.final_weighted_score : null,
+      });
+      const nextHistory = {
+        ...history,
+        sentencing: { playerMemo, opposingMemo, sentence, locked: true },
+      };
+      setHistory(nextHistory);
+      completeRun({
+        verdict,
+        disposition: history.disposition,
+        achievementId: verdict?.achievement_title ?? null,
+        sentence,
+        nextHistory,
+      });
+      setLoadingMsg(null);
+      return true;
+    } catch (err) {
+      console.error(err);
+      setError(getLlmClientErrorMessage(err, 'Sentencing failed.'));
+      setLoadingMsg(null);
+      return false;
+    }
+  };
+
   /**
    * Generate a lightweight auto-drafted player submission for playtesting.
    *
    * @param {'legit' | 'absurd'} mode - Generation mode.
-   * @param {'motion' | 'argument'} stage - Submission stage.
+   * @param {'motion' | 'opening' | 'argument'} stage - Submission stage.
    * @returns {Promise<string>} Generated submission text.
    */
   const generateAutoSubmission = async (mode, stage) => {
-    if (!['legit', 'absurd'].includes(mode) || !['motion', 'argument'].includes(stage)) {
+    if (!['legit', 'absurd'].includes(mode) || !['motion', 'opening', 'argument'].includes(stage)) {
       return '';
     }
 
@@ -2196,7 +3890,12 @@ const useGameState = (options = {}) => {
         ? history.motion?.motionPhase === 'rebuttal_submission'
           ? history.motion?.motionText ?? ''
           : ''
-        : history.motion?.rebuttalText || history.motion?.motionText || '';
+        : stage === 'opening'
+        ? history.trial?.openings?.[getOpposingRole(config.role)] ?? ''
+        : history.trial?.opposingClosing?.text ||
+          history.motion?.rebuttalText ||
+          history.motion?.motionText ||
+          '';
 
     setError(null);
     setLoadingMsg(mode === 'absurd' ? 'Generating chaos...' : 'Generating draft argument...');
@@ -2223,180 +3922,169 @@ const useGameState = (options = {}) => {
     }
   };
 
-  const formatJurorLabel = (id, pool = []) => {
-    const juror = pool.find((entry) => entry.id === id);
-    if (juror?.name) return `${juror.name} (#${juror.id})`;
-    return `Juror #${id}`;
-  };
-
-  const formatJurorList = (ids = [], pool = []) =>
-    ids.map((id) => formatJurorLabel(id, pool)).join(', ');
-
-  const buildSanctionsSection = (sanctions = []) => {
-    if (!sanctions.length) return null;
-    const lines = sanctions.map((entry) => {
-        const state = entry.state ? entry.state.toUpperCase() : 'NOTICE';
-        return `- ${state}: ${entry.docket_text}`;
-      });
-    return `SANCTIONS/STATUS FLAGS:\n${lines.join('\n')}`;
-  };
-
-  const toJsonClone = (value) => JSON.parse(JSON.stringify(value));
-
-  const buildDocketSnapshot = (historyState) => {
-    const snapshot = {
-      case: toJsonClone(historyState.case ?? null),
-      jury: toJsonClone(historyState.jury ?? null),
-      motion: toJsonClone(historyState.motion ?? null),
-      trial: toJsonClone(historyState.trial ?? null),
-      disposition: toJsonClone(historyState.disposition ?? null),
-      sanctions: toJsonClone(historyState.sanctions ?? []),
-      counselNotes: historyState.counselNotes ?? '',
-      validationHistory: toJsonClone(historyState.validationHistory ?? []),
-    };
-
-    return {
-      generatedAt: new Date().toISOString(),
-      sections: {
-        case: snapshot.case,
-        header: {
-          title: snapshot.case?.title ?? null,
-          judge: snapshot.case?.judge?.name ?? null,
-        },
-        facts: snapshot.case?.facts ?? [],
-        jury: snapshot.jury,
-        motion: snapshot.motion,
-        trial: snapshot.trial,
-        disposition: snapshot.disposition,
-        sanctions: snapshot.sanctions,
-        counselNotes: snapshot.counselNotes,
-        validationHistory: snapshot.validationHistory,
-      },
-    };
-  };
-
   /**
    * Copy the full docket history to the clipboard.
    *
    * @param {number} [docketNumber] - Optional docket number to include in the header.
    */
   const handleCopyFull = async (docketNumber) => {
-    const sections = [];
-    const headerLines = [`DOCKET: ${history.case.title}`, `JUDGE: ${history.case.judge.name}`];
-    if (typeof docketNumber === 'number') {
-      headerLines.push(`DOCKET #: ${docketNumber}`);
-    }
-    sections.push(headerLines.join('\n'));
-
-    if (history.case.facts?.length) {
-      sections.push(`FACTS:\n${history.case.facts.join('\n')}`);
+    const log = formatDocketText(history, { docketNumber });
+    const didCopy = await copyToClipboard(log);
+    if (didCopy) {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } else {
+      setCopied(false);
     }
+  };
 
-    if (history.jury && !history.jury.skipped && history.jury.locked) {
-      const seatedJurors = history.jury.pool.filter((juror) => juror.status === 'seated');
-      const juryLines = [];
-      if (seatedJurors.length) {
-        juryLines.push(`Seated Jurors: ${formatJurorList(history.jury.seatedIds, history.jury.pool)}`);
-      }
-      if (history.jury.comment) {
-        juryLines.push(history.jury.comment);
-      }
-      const strikeLines = [];
-      if (history.jury.myStrikes?.length) {
-        strikeLines.push(`Player Strikes: ${formatJurorList(history.jury.myStrikes, history.jury.pool)}`);
-      }
-      if (history.jury.opponentStrikes?.length) {
-        strikeLines.push(
-          `Opponent Strikes: ${formatJurorList(history.jury.opponentStrikes, history.jury.pool)}`
-        );
-      }
-      if (strikeLines.length) {
-        juryLines.push(strikeLines.join('\n'));
-      }
-      if (juryLines.length) {
-        sections.push(`JURY SEATED (${seatedJurors.length}):\n${juryLines.join('\n')}`);
-      }
-    }
+  /**
+   * Download the docket as a Markdown or HTML filing, or as a JSON archive that can be imported
+   * back into a profile.
+   *
+   * @param {string} format - One of `DOCKET_EXPORT_FORMATS`.
+   * @param {number} [docketNumber] - Optional docket number for the caption.
+   * @returns {boolean} Whether the download was triggered.
+   */
+  const exportDocket = (format, docketNumber) => {
+    if (!history.case) return false;
+    const docketSnapshot = buildDocketSnapshot(history);
+    const exported = buildDocketExport(
+      {
+        caseName: history.case.title,
+        outcome: history.disposition?.type ?? null,
+        date: runMeta?.endedAt ?? new Date().toISOString(),
+        playerRole: runMeta?.players ? null : runMeta?.playerRole ?? config.role,
+        ...buildHotSeatResult(runMeta?.players, history.disposition),
+        difficulty: runMeta?.difficulty ?? config.difficulty,
+        jurisdiction: runMeta?.jurisdiction ?? config.jurisdiction,
+        courtType: runMeta?.courtType ?? config.courtType,
+        caseType: runMeta?.caseType ?? config.caseType,
+        retrialOf: runMeta?.retrialOf ?? null,
+        finalSanctionsCount: docketSnapshot.sections.sanctions.length,
+        docketNumber: typeof docketNumber === 'number' ? docketNumber : null,
+        docketSnapshot,
+      },
+      format
+    );
+    if (!exported) return false;
+    return downloadTextFile(exported.filename, exported.text, exported.mimeType);
+  };
 
-    if (history.motion) {
-      const motionLines = [];
-      const motionLabel =
-        history.motion.motionBy === 'prosecution' ? 'Prosecution Motion' : 'Defense Motion';
-      const rebuttalLabel =
-        history.motion.rebuttalBy === 'prosecution' ? 'Prosecution Rebuttal' : 'Defense Rebuttal';
-      if (history.motion.motionText) {
-        motionLines.push(`${motionLabel}:\n"${stripMarkdown(history.motion.motionText)}"`);
-      }
-      if (history.motion.rebuttalText) {
-        motionLines.push(`${rebuttalLabel}:\n"${stripMarkdown(history.motion.rebuttalText)}"`);
-      }
-      if (history.motion.ruling) {
-        motionLines.push(
-          `RULING: ${history.motion.ruling.ruling} - "${history.motion.ruling.outcome_text}"`
-        );
-      }
-      if (motionLines.length) {
-        sections.push(`PRE-TRIAL MOTIONS:\n${motionLines.join('\n\n')}`);
-      }
-    }
+  const buildRunCheckpoint = () => ({
+    gameState,
+    history,
+    config,
+    runMeta,
+    runStartSanctions: runStartSanctionsRef.current,
+  });
 
-    if (history.counselNotes?.trim()) {
-      sections.push(
-        `COUNSEL NOTES (NON-RECORD FLAVOR):\n${history.counselNotes.trim()}`
-      );
+  /**
+   * Run an action so a request in flight survives a closed tab. While the action runs, the
+   * autosave holds the checkpoint taken when it began, plus the action and its arguments. The
+   * arguments are saved as JSON, so callers pass plain data and never a DOM event.
+   */
+  const runResumable = useCallback(async (action, handler, args, checkpoint) => {
+    setPendingRequest({ action, args, checkpoint });
+    let result;
+    try {
+      result = await handler(...args);
+    } catch (err) {
+      setPendingRequest(null);
+      throw err;
     }
+    setPendingRequest(null);
+    return result;
+  }, []);
 
-    // Terminal motion outcomes (ex: dismissal) override later-phase export content.
-    const disposition = history.disposition;
-    const reachedTrial = Boolean(history.trial?.text?.trim());
-    const shouldStopAtDisposition =
-      disposition?.source === 'motion' && isTerminalDisposition(disposition);
+  const resumableGenerateCase = useCallback(
+    (...args) =>
+      runResumable('generateCase', generateCase, args, {
+        gameState: GAME_STATES.INITIALIZING,
+        history: { ...EMPTY_HISTORY },
+        config: { ...DEFAULT_GAME_CONFIG },
+        runMeta: null,
+        runStartSanctions: null,
+      }),
+    [generateCase, runResumable]
+  );
 
-    if (reachedTrial && !shouldStopAtDisposition) {
-      sections.push(`TRIAL ARGUMENT:\n"${stripMarkdown(history.trial.text)}"`);
-    }
+  const resumableActions = {
+    generateCase: resumableGenerateCase,
+    ...Object.fromEntries(
+      Object.entries({
+        requestPleaOffer,
+        proposePleaDeal,
+        acceptPleaDeal,
+        askVoirDire,
+        challengeForCause,
+        submitStrikes,
+        raiseBatsonObjection,
+        requestCounselStrikes,
+        submitMotionStep,
+        triggerAiMotionSubmission,
+        requestMotionRuling,
+        ruleOnMotion,
+        submitOpening,
+        examineWitness,
+        raiseObjection,
+        submitArgument,
+        requestClosings,
+        renderJudgment,
+        requestJudicialReview,
+        submitSentencingMemo,
+      }).map(([action, handler]) => [
+        action,
+        (...args) => runResumable(action, handler, args, buildRunCheckpoint()),
+      ])
+    ),
+  };
 
-    if (disposition) {
-      const dispositionLines = [];
-      if (disposition.summary) {
-        dispositionLines.push(`OUTCOME: ${disposition.summary}`);
-      }
-      if (disposition.details) {
-        dispositionLines.push(disposition.details);
-      }
-      sections.push(`FINAL DISPOSITION:\n${dispositionLines.join('\n')}`);
+  // Autosave the run after every transition; a finished run has nothing left to resume.
+  useEffect(() => {
+    if (runMeta?.endedAt) {
+      clearActiveRun(profileId);
+      return;
     }
-
-    if (!shouldStopAtDisposition && history.trial?.verdict) {
-      const verdict = history.trial.verdict;
-      const roundedScore = Math.round(verdict.final_weighted_score);
-      const baseScore = Math.min(100, Math.max(0, roundedScore));
-      const scoreLines = [`BASE SCORE: ${baseScore}/100`];
-      if (verdict.final_weighted_score > 100) {
-        scoreLines.push(
-          `OVERFLOW: ${verdict.overflow_reason_code} - ${verdict.overflow_explanation} (${roundedScore}/100)`
-        );
-      }
-      if (verdict.achievement_title) {
-        scoreLines.push(`ACHIEVEMENT: ${verdict.achievement_title}`);
-      }
-      sections.push(`SCORE + ACHIEVEMENT:\n${scoreLines.join('\n')}`);
+    if (pendingRequest) {
+      const { action, args, checkpoint } = pendingRequest;
+      saveActiveRun(
+        {
+          ...checkpoint,
+          docketNumber,
+          loadingMsg,
+          pendingRequest: { action, args },
+        },
+        profileId
+      );
+      return;
     }
+    if (!runMeta) return;
+    saveActiveRun(
+      {
+        gameState,
+        history,
+        config,
+        runMeta,
+        runStartSanctions: runStartSanctionsRef.current,
+        docketNumber,
+        loadingMsg: null,
+        pendingRequest: null,
+      },
+      profileId
+    );
+  }, [config, docketNumber, gameState, history, loadingMsg, pendingRequest, profileId, runMeta]);
 
-    const sanctionsSection = buildSanctionsSection(history.sanctions);
-    if (sanctionsSection) {
-      sections.push(sanctionsSection);
-    }
+  useEffect(() => {
+    resumableActionsRef.current = resumableActions;
+  });
 
-    const log = sections.join('\n\n');
-    const didCopy = await copyToClipboard(log);
-    if (didCopy) {
-      setCopied(true);
-      setTimeout(() => setCopied(false), 2000);
-    } else {
-      setCopied(false);
-    }
-  };
+  // Re-issue a resumed request once, from the first render of the restored docket.
+  useEffect(() => {
+    if (!resumeRequest || reissuedRequestRef.current === resumeRequest) return;
+    reissuedRequestRef.current = resumeRequest;
+    resumableActionsRef.current[resumeRequest.action]?.(...resumeRequest.args);
+  }, [resumeRequest]);
 
   return {
     gameState,
@@ -2408,15 +4096,17 @@ const useGameState = (options = {}) => {
     debugBanner,
     runOutcome,
     sanctionsState,
-    generateCase,
-    submitStrikes,
-    submitMotionStep,
-    triggerAiMotionSubmission,
-    requestMotionRuling,
-    submitArgument,
+    ...resumableActions,
+    declinePleaDeal,
+    seatJury,
+    closeJuryChallenges,
+    restExamination,
     generateAutoSubmission,
     handleCopyFull,
+    exportDocket,
     resetGame,
+    resumeRun,
+    takeSeat,
     toggleStrikeSelection,
   };
 };
@@ -0,0 +1,106 @@
+import { useState } from 'react';
+import { downloadTextFile } from '../lib/download';
+import {
+  applyProfileBackup,
+  buildProfileBackup,
+  buildProfileBackupExport,
+  PROFILE_BACKUP_MODES,
+  parseProfileBackup,
+  summarizeProfileBackup,
+} from '../lib/profileBackup';
+import {
+  loadPlayerProfile,
+  loadRunHistory,
+  savePlayerProfile,
+  saveRunHistory,
+} from '../lib/persistence';
+
+/** @typedef {import('../lib/types').ProfileBackup} ProfileBackup */
+/** @typedef {import('../lib/types').ProfileBackupSummary} ProfileBackupSummary */
+
+const loadStoredProfile = (profileId) => ({
+  profile: loadPlayerProfile(profileId),
+  runHistory: loadRunHistory(profileId),
+});
+
+/**
+ * Profile backup export and import: exports the whole profile to a file, and stages an imported
+ * backup with a diff summary until the player merges it, replaces the profile with it, or cancels.
+ *
+ * @param {string} profileId - Profile to export and restore into.
+ * @param {(profile: import('../lib/types').PlayerProfile) => void} [onRestored] - Called with the
+ * saved profile after a backup is applied.
+ * @returns {{
+ *   staged: { backup: ProfileBackup, summary: ProfileBackupSummary } | null,
+ *   message: string | null,
+ *   exportProfile: () => boolean,
+ *   readBackup: (text: string) => boolean,
+ *   applyBackup: (mode: string) => boolean,
+ *   cancel: () => void
+ * }} Backup state and actions.
+ */
+const useProfileBackup = (profileId, onRestored) => {
+  const [staged, setStaged] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const exportProfile = () => {
+    const exported = buildProfileBackupExport(buildProfileBackup(loadStoredProfile(profileId)));
+    return downloadTextFile(exported.filename, exported.text, exported.mimeType);
+  };
+
+  /**
+   * Validate a backup file and stage it with its diff summary.
+   *
+   * @param {string} text - File contents.
+   * @returns {boolean} True when the file is a readable backup.
+   */
+  const readBackup = (text) => {
+    const parsed = parseProfileBackup(text);
+    if (!parsed) {
+      setStaged(null);
+      setMessage('That file is not a Pocket Court profile backup.');
+      return false;
+    }
+    setStaged({
+      backup: parsed,
+      summary: summarizeProfileBackup(loadStoredProfile(profileId), parsed),
+    });
+    setMessage(null);
+    return true;
+  };
+
+  /**
+   * Save the staged backup by merging it or replacing the profile with it.
+   *
+   * @param {string} mode - One of `PROFILE_BACKUP_MODES`.
+   * @returns {boolean} True once the profile is saved.
+   */
+  const applyBackup = (mode) => {
+    if (!staged) return false;
+    const next = applyProfileBackup(loadStoredProfile(profileId), staged.backup, mode);
+    const savedProfile = savePlayerProfile(next.profile, profileId, {
+      replace: mode === PROFILE_BACKUP_MODES.REPLACE,
+    });
+    if (!savedProfile || !saveRunHistory(next.runHistory, profileId)) {
+      setMessage('The backup could not be saved. Check your browser storage and try again.');
+      return false;
+    }
+    setStaged(null);
+    setMessage(
+      `Profile ${mode === PROFILE_BACKUP_MODES.REPLACE ? 'replaced' : 'merged'}: ${
+        savedProfile.caseHistory?.length ?? 0
+      } saved cases.`
+    );
+    onRestored?.(savedProfile);
+    return true;
+  };
+
+  const cancel = () => {
+    setStaged(null);
+    setMessage(null);
+  };
+
+  return { staged, message, exportProfile, readBackup, applyBackup, cancel };
+};
+
+export default useProfileBackup;
@@ -1,6 +1,9 @@
 /**
  * Fetches JSON with retry and exponential backoff.
  *
+ * HTTP failures carry the response `status` on the thrown error so provider adapters can map
+ * them. Client errors (4xx other than 429) are not retried because repeating them cannot succeed.
+ *
  * @param {string} url - Request URL.
  * @param {RequestInit} options - Fetch options.
  * @param {number} [retries=3] - Remaining retries.
@@ -10,10 +13,15 @@
 export const fetchWithRetry = async (url, options, retries = 3, backoff = 1000) => {
   try {
     const response = await fetch(url, options);
-    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+    if (!response.ok) {
+      const error = new Error(`HTTP error! status: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
     return response.json();
   } catch (e) {
-    if (retries > 0) {
+    const isClientError = e?.status >= 400 && e?.status < 500 && e?.status !== 429;
+    if (retries > 0 && !isClientError) {
       await new Promise((resolve) => setTimeout(resolve, backoff));
       return fetchWithRetry(url, options, retries - 1, backoff * 2);
     }
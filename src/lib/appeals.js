@@ -0,0 +1,211 @@
+import { getCaseRoles, isCivilRole } from './civil';
+import { FINAL_DISPOSITIONS } from './constants';
+
+/**
+ * Appeal helpers shared by the appeal hook, shell screens, and prompts.
+ *
+ * A completed docket saved to the profile's `caseHistory` can be appealed once by the side that
+ * lost. The appellant cites errors in the recorded motion ruling, jury selection, or verdict, and
+ * a Supreme Court panel affirms, reverses, or remands. A remand starts a retrial run on the
+ * original case with the appellate ruling attached.
+ */
+
+/** Dispositions an appellate panel can reach. */
+export const APPEAL_OUTCOMES = Object.freeze({
+  AFFIRMED: 'affirmed',
+  REVERSED: 'reversed',
+  REMANDED: 'remanded',
+});
+
+/** Parts of the trial record an appellant can assign as error, in docket order. */
+export const APPEALABLE_ISSUES = Object.freeze([
+  Object.freeze({ value: 'motion_ruling', label: 'Motion ruling' }),
+  Object.freeze({ value: 'jury_selection', label: 'Jury selection' }),
+  Object.freeze({ value: 'verdict', label: 'Verdict' }),
+]);
+
+const RESPONDENT_LOSSES = new Set([
+  FINAL_DISPOSITIONS.GUILTY,
+  FINAL_DISPOSITIONS.JUDGMENT_FOR_PLAINTIFF,
+]);
+const CLAIMANT_LOSSES = new Set([
+  FINAL_DISPOSITIONS.NOT_GUILTY,
+  FINAL_DISPOSITIONS.JUDGMENT_FOR_DEFENDANT,
+  FINAL_DISPOSITIONS.DISMISSED,
+  FINAL_DISPOSITIONS.DISMISSED_WITH_PREJUDICE,
+  FINAL_DISPOSITIONS.DISMISSED_WITHOUT_PREJUDICE,
+]);
+
+/**
+ * Look up the display label for an appealable issue.
+ *
+ * @param {string} issue - Issue value from `APPEALABLE_ISSUES`.
+ * @returns {string} Label, or the raw value when unknown.
+ */
+export const getAppealIssueLabel = (issue) =>
+  APPEALABLE_ISSUES.find((option) => option.value === issue)?.label ?? issue;
+
+/**
+ * Determine which side lost a case. Mistrials have no loser and cannot be appealed; a dismissed
+ * civil suit is the plaintiff's loss.
+ *
+ * @param {string | null} outcome - Final disposition type.
+ * @param {{isCivil?: boolean}} [options] - Whether the case was a civil suit.
+ * @returns {import('./types').PlayerRole | null} Losing side, if any.
+ */
+export const getLosingSide = (outcome, { isCivil = false } = {}) => {
+  const { claimant, respondent } = getCaseRoles(isCivil);
+  if (RESPONDENT_LOSSES.has(outcome)) return respondent;
+  if (CLAIMANT_LOSSES.has(outcome)) return claimant;
+  return null;
+};
+
+/**
+ * Determine which side lost a saved case.
+ *
+ * @param {import('./types').CaseHistoryEntry | null} entry - Saved case history entry.
+ * @returns {import('./types').PlayerRole | null} Losing side, if any.
+ */
+export const getEntryLosingSide = (entry) =>
+  getLosingSide(entry?.outcome ?? null, { isCivil: isCivilRole(entry?.playerRole) });
+
+/**
+ * List the issues the saved docket actually records a ruling on.
+ *
+ * @param {import('./types').CaseHistoryEntry | null} entry - Saved case history entry.
+ * @returns {string[]} Appealable issue values, in docket order.
+ */
+export const getAppealableIssues = (entry) => {
+  const sections = entry?.docketSnapshot?.sections ?? {};
+  const available = {
+    motion_ruling: Boolean(sections.motion?.ruling),
+    jury_selection: Boolean(sections.jury?.locked && !sections.jury.skipped),
+    verdict: Boolean(sections.trial?.verdict),
+  };
+  return APPEALABLE_ISSUES.map((option) => option.value).filter((issue) => available[issue]);
+};
+
+/**
+ * Whether the player may appeal a saved case: they lost, the docket was recorded, and no appeal
+ * has been filed yet. Entries saved before roles were recorded cannot be appealed, nor can cases
+ * imported from a docket archive, which this profile did not play.
+ *
+ * @param {import('./types').CaseHistoryEntry | null} entry - Saved case history entry.
+ * @returns {boolean} True when an appeal can be filed.
+ */
+export const canAppeal = (entry) =>
+  Boolean(entry?.docketSnapshot?.sections?.case) &&
+  !entry.imported &&
+  !entry.appeal &&
+  Boolean(entry.playerRole) &&
+  getEntryLosingSide(entry) === entry.playerRole &&
+  getAppealableIssues(entry).length > 0;
+
+/**
+ * Extract the parts of the trial record the appellate panel reviews.
+ *
+ * @param {import('./types').CaseHistoryEntry} entry - Saved case history entry.
+ * @returns {object} Record keyed by issue value, plus the final disposition.
+ */
+export const buildAppealRecord = (entry) => {
+  const sections = entry.docketSnapshot?.sections ?? {};
+  const record = { disposition: sections.disposition?.summary ?? entry.outcome };
+  const { motion, jury, trial } = sections;
+  if (motion?.ruling) {
+    record.motion_ruling = {
+      motionBy: motion.motionBy ?? null,
+      motion: motion.motionText ?? '',
+      rebuttal: motion.rebuttalText ?? '',
+      ruling: motion.ruling.ruling,
+      opinion: motion.ruling.decision?.opinion ?? motion.ruling.outcome_text ?? '',
+    };
+  }
+  if (jury?.locked && !jury.skipped) {
+    const pool = jury.pool ?? [];
+    const describe = (ids = []) =>
+      ids.map((id) => {
+        const juror = pool.find((candidate) => candidate.id === id);
+        return juror ? `#${id} ${juror.name} (${juror.job})` : `#${id}`;
+      });
+    record.jury_selection = {
+      seated: describe(jury.seatedIds),
+      playerStrikes: describe(jury.myStrikes),
+      opponentStrikes: describe(jury.opponentStrikes),
+      judgeComment: jury.comment ?? '',
+    };
+  }
+  if (trial?.verdict) {
+    record.verdict = {
+      finalRuling: trial.verdict.final_ruling,
+      juryVerdict: trial.verdict.jury_verdict ?? null,
+      juryReasoning: trial.verdict.jury_reasoning ?? null,
+      judgeOpinion: trial.verdict.judge_opinion,
+    };
+  }
+  return record;
+};
+
+/**
+ * Turn the panel's payload into the appellate ruling stored on the case history entry.
+ *
+ * @param {{disposition: string, errors_found: {issue: string, finding: string}[],
+ * opinion: string, remand_instructions: string | null, docket_entry: string}} payload - Parsed
+ * appeal response.
+ * @returns {import('./types').AppellateRuling} Appellate ruling.
+ */
+export const buildAppellateRuling = (payload) => ({
+  disposition: payload.disposition,
+  errorsFound: payload.errors_found.map(({ issue, finding }) => ({ issue, finding })),
+  opinion: payload.opinion,
+  remandInstructions: payload.remand_instructions ?? null,
+  docketEntry: payload.docket_entry,
+});
+
+/**
+ * Attach a filed appeal to its case history entry.
+ *
+ * @param {import('./types').PlayerProfile} profile - Player profile.
+ * @param {string} caseId - Case history entry ID.
+ * @param {import('./types').AppealRecord} appeal - Filed appeal with the panel's ruling.
+ * @returns {import('./types').PlayerProfile} Updated profile.
+ */
+export const recordAppeal = (profile, caseId, appeal) => ({
+  ...profile,
+  caseHistory: (profile.caseHistory ?? []).map((entry) =>
+    entry.id === caseId ? { ...entry, appeal } : entry
+  ),
+});
+
+/**
+ * Build the run start payload for a retrial on remand: the original case with its evidence
+ * rulings cleared (evidence goes back to plain docket text) and the appellate ruling attached.
+ *
+ * @param {import('./types').CaseHistoryEntry} entry - Remanded case history entry.
+ * @returns {{role: string, difficulty: string, jurisdiction: string, courtType: string,
+ * retrial: {sourceCaseId: string, caseData: import('./types').CaseData}}} Run start payload.
+ */
+export const buildRetrialPayload = (entry) => {
+  const originalCase = entry.docketSnapshot.sections.case;
+  const ruling = entry.appeal.ruling;
+  return {
+    role: entry.playerRole,
+    difficulty: entry.difficulty,
+    jurisdiction: entry.jurisdiction,
+    courtType: entry.courtType,
+    retrial: {
+      sourceCaseId: entry.id,
+      caseData: {
+        ...originalCase,
+        evidence: (originalCase.evidence ?? []).map((item) =>
+          typeof item === 'string' ? item : item.text
+        ),
+        appellate_ruling: {
+          disposition: ruling.disposition,
+          opinion: ruling.opinion,
+          remand_instructions: ruling.remandInstructions,
+          errors_found: ruling.errorsFound,
+        },
+      },
+    },
+  };
+};
@@ -0,0 +1,179 @@
+import { DEFAULT_PROFILE_ID } from './constants';
+
+/**
+ * IndexedDB archive for docket snapshots and run history.
+ *
+ * Local storage is small, so only the profile and run history indexes live there once the archive
+ * is open; each case's docket snapshot is kept here under its case history ID, and each profile's
+ * full run history is kept as one record. `persistence.js` owns the archive and caches what it
+ * loads, so reads stay synchronous.
+ */
+
+export const ARCHIVE_DB_NAME = 'pocketcourt';
+export const ARCHIVE_DB_VERSION = 1;
+// How long the first render waits on the archive before falling back to local storage.
+export const ARCHIVE_OPEN_TIMEOUT_MS = 3000;
+
+const DOCKETS_STORE = 'dockets';
+const RECORDS_STORE = 'records';
+const RUN_HISTORY_RECORD_KEY = 'runHistory';
+
+// The first profile keeps the original record key.
+const buildRunHistoryRecordKey = (profileId) =>
+  profileId === DEFAULT_PROFILE_ID
+    ? RUN_HISTORY_RECORD_KEY
+    : `${RUN_HISTORY_RECORD_KEY}:${profileId}`;
+
+const readRunHistoryProfileId = (recordKey) => {
+  if (recordKey === RUN_HISTORY_RECORD_KEY) return DEFAULT_PROFILE_ID;
+  const prefix = `${RUN_HISTORY_RECORD_KEY}:`;
+  return typeof recordKey === 'string' && recordKey.startsWith(prefix)
+    ? recordKey.slice(prefix.length)
+    : null;
+};
+
+/**
+ * Archive backend used by `persistence.js`.
+ *
+ * @typedef {object} DocketArchiveStore
+ * @property {string} name - Backend name.
+ * @property {() => Promise<{ snapshots: Map<string, object>, runs: Map<string, import('./types').RunHistoryEntry[]> }>} loadAll -
+ * Load every docket snapshot and each profile's archived run history, keyed by profile ID.
+ * @property {(entries: [string, object][]) => Promise<void>} putSnapshots - Store docket snapshots
+ * keyed by case history ID.
+ * @property {(ids: string[]) => Promise<void>} deleteSnapshots - Remove docket snapshots.
+ * @property {(profileId: string, runs: import('./types').RunHistoryEntry[]) => Promise<void>} putRuns -
+ * Replace a profile's archived run history.
+ * @property {(profileId: string) => Promise<void>} deleteRuns - Remove a profile's run history.
+ */
+
+/**
+ * Whether a storage error means the browser's quota is used up.
+ *
+ * @param {unknown} error - Error thrown by local storage or IndexedDB.
+ * @returns {boolean} True for quota errors across browsers.
+ */
+export const isQuotaError = (error) =>
+  error?.name === 'QuotaExceededError' ||
+  error?.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+  error?.code === 22;
+
+const requestResult = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const transactionDone = (transaction) =>
+  new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error ?? new Error('Archive write aborted.'));
+  });
+
+/**
+ * Open the archive database. Opening fails rather than waits when another tab holding an older
+ * version blocks the upgrade or the browser does not answer in time; a connection that arrives
+ * after that is closed so it cannot block later upgrades. Once open, the connection closes itself
+ * when another tab needs to upgrade the database.
+ *
+ * @param {IDBFactory} factory - IndexedDB factory.
+ * @param {number} timeoutMs - How long to wait for the database to open.
+ * @returns {Promise<IDBDatabase>} Open database.
+ */
+const openDatabase = (factory, timeoutMs) =>
+  new Promise((resolve, reject) => {
+    let settled = false;
+    const fail = (error) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      reject(error);
+    };
+    const timer = setTimeout(
+      () => fail(new Error('Docket archive did not open in time.')),
+      timeoutMs
+    );
+    const request = factory.open(ARCHIVE_DB_NAME, ARCHIVE_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(DOCKETS_STORE)) db.createObjectStore(DOCKETS_STORE);
+      if (!db.objectStoreNames.contains(RECORDS_STORE)) db.createObjectStore(RECORDS_STORE);
+    };
+    request.onblocked = () => fail(new Error('Docket archive is blocked by another open tab.'));
+    request.onerror = () => fail(request.error);
+    request.onsuccess = () => {
+      const db = request.result;
+      if (settled) {
+        db.close();
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+  });
+
+/**
+ * Open the IndexedDB archive.
+ *
+ * @param {IDBFactory | undefined} [factory] - IndexedDB factory; defaults to the browser's.
+ * @param {{timeoutMs?: number}} [options] - How long to wait for the database to open.
+ * @returns {Promise<DocketArchiveStore | null>} The archive, or null when IndexedDB is unavailable.
+ */
+export const openIndexedDbArchive = async (
+  factory = globalThis.indexedDB,
+  { timeoutMs = ARCHIVE_OPEN_TIMEOUT_MS } = {}
+) => {
+  if (!factory) return null;
+  const db = await openDatabase(factory, timeoutMs);
+
+  const write = (storeName, apply) => {
+    const transaction = db.transaction(storeName, 'readwrite');
+    apply(transaction.objectStore(storeName));
+    return transactionDone(transaction);
+  };
+
+  return {
+    name: 'indexeddb',
+    loadAll: async () => {
+      const transaction = db.transaction([DOCKETS_STORE, RECORDS_STORE], 'readonly');
+      const dockets = transaction.objectStore(DOCKETS_STORE);
+      const records = transaction.objectStore(RECORDS_STORE);
+      const [ids, snapshots, recordKeys, recordValues] = await Promise.all([
+        requestResult(dockets.getAllKeys()),
+        requestResult(dockets.getAll()),
+        requestResult(records.getAllKeys()),
+        requestResult(records.getAll()),
+      ]);
+      const runs = new Map();
+      recordKeys.forEach((recordKey, index) => {
+        const profileId = readRunHistoryProfileId(recordKey);
+        if (profileId && Array.isArray(recordValues[index])) {
+          runs.set(profileId, recordValues[index]);
+        }
+      });
+      return {
+        snapshots: new Map(ids.map((id, index) => [id, snapshots[index]])),
+        runs,
+      };
+    },
+    putSnapshots: (entries) =>
+      write(DOCKETS_STORE, (store) => {
+        entries.forEach(([id, snapshot]) => store.put(snapshot, id));
+      }),
+    deleteSnapshots: (snapshotIds) =>
+      write(DOCKETS_STORE, (store) => {
+        snapshotIds.forEach((id) => store.delete(id));
+      }),
+    putRuns: (profileId, runs) =>
+      write(RECORDS_STORE, (store) => {
+        store.put(runs, buildRunHistoryRecordKey(profileId));
+      }),
+    deleteRuns: (profileId) =>
+      write(RECORDS_STORE, (store) => {
+        store.delete(buildRunHistoryRecordKey(profileId));
+      }),
+  };
+};
@@ -0,0 +1,104 @@
+import { CASE_TYPES, PLAYER_ROLES } from './constants';
+
+/**
+ * Civil litigation helpers shared by the game hook, prompts, and docket UI.
+ *
+ * Criminal cases pit the prosecution against the defense; civil cases pit the plaintiff against
+ * the defendant. The plaintiff must prove liability by a preponderance of the evidence, and a
+ * finding of liability comes with a damages award. The prosecution and the plaintiff are the
+ * claimants: they bring the case, carry the burden, and answer the defense's pre-trial motion.
+ */
+
+/** Player roles on a civil docket. */
+export const CIVIL_ROLES = Object.freeze([PLAYER_ROLES.PLAINTIFF, PLAYER_ROLES.DEFENDANT]);
+
+const OPPOSING_ROLES = Object.freeze({
+  [PLAYER_ROLES.DEFENSE]: PLAYER_ROLES.PROSECUTION,
+  [PLAYER_ROLES.PROSECUTION]: PLAYER_ROLES.DEFENSE,
+  [PLAYER_ROLES.PLAINTIFF]: PLAYER_ROLES.DEFENDANT,
+  [PLAYER_ROLES.DEFENDANT]: PLAYER_ROLES.PLAINTIFF,
+});
+
+const ROLE_LABELS = Object.freeze({
+  [PLAYER_ROLES.DEFENSE]: 'Defense',
+  [PLAYER_ROLES.PROSECUTION]: 'Prosecution',
+  [PLAYER_ROLES.PLAINTIFF]: 'Plaintiff',
+  [PLAYER_ROLES.DEFENDANT]: 'Defendant',
+  [PLAYER_ROLES.JUDGE]: 'Judge',
+});
+
+const COUNSEL_TITLES = Object.freeze({
+  [PLAYER_ROLES.DEFENSE]: 'Defense Attorney',
+  [PLAYER_ROLES.PROSECUTION]: 'Prosecutor',
+  [PLAYER_ROLES.PLAINTIFF]: "Plaintiff's Counsel",
+  [PLAYER_ROLES.DEFENDANT]: "Defendant's Counsel",
+});
+
+/**
+ * Whether a player role belongs to a civil case.
+ *
+ * @param {string | null | undefined} role - Player role.
+ * @returns {boolean} True for the plaintiff or the defendant.
+ */
+export const isCivilRole = (role) => CIVIL_ROLES.includes(role);
+
+/**
+ * Whether a docket case is a civil suit.
+ *
+ * @param {import('./types').CaseData | null | undefined} caseData - Docket case data.
+ * @returns {boolean} True when the case was generated as a civil case.
+ */
+export const isCivilCase = (caseData) => caseData?.case_type === CASE_TYPES.CIVIL;
+
+/**
+ * Whether a role brought the case: the prosecution or the plaintiff.
+ *
+ * @param {string | null | undefined} role - Player role.
+ * @returns {boolean} True for the side that carries the burden of proof.
+ */
+export const isClaimantRole = (role) =>
+  role === PLAYER_ROLES.PROSECUTION || role === PLAYER_ROLES.PLAINTIFF;
+
+/**
+ * Return the claimant and respondent roles for a case.
+ *
+ * @param {boolean} isCivil - Whether the case is a civil suit.
+ * @returns {{claimant: string, respondent: string}} Roles on each side of the caption.
+ */
+export const getCaseRoles = (isCivil) =>
+  isCivil
+    ? { claimant: PLAYER_ROLES.PLAINTIFF, respondent: PLAYER_ROLES.DEFENDANT }
+    : { claimant: PLAYER_ROLES.PROSECUTION, respondent: PLAYER_ROLES.DEFENSE };
+
+/**
+ * Return the role on the other side of the case.
+ *
+ * @param {string} role - Player role.
+ * @returns {string} Opposing role; unknown roles are treated as the defense.
+ */
+export const getOpposingRole = (role) => OPPOSING_ROLES[role] ?? PLAYER_ROLES.PROSECUTION;
+
+/**
+ * Display label for a role, e.g. "Plaintiff".
+ *
+ * @param {string | null | undefined} role - Player role.
+ * @returns {string} Capitalized role label; unknown roles read as the defense.
+ */
+export const getRoleLabel = (role) => ROLE_LABELS[role] ?? ROLE_LABELS[PLAYER_ROLES.DEFENSE];
+
+/**
+ * Title of the lawyer arguing for a role, as used in prompts, e.g. "Plaintiff's Counsel".
+ *
+ * @param {string | null | undefined} role - Player role.
+ * @returns {string} Counsel title; unknown roles read as the defense.
+ */
+export const getCounselTitle = (role) =>
+  COUNSEL_TITLES[role] ?? COUNSEL_TITLES[PLAYER_ROLES.DEFENSE];
+
+/**
+ * Format a damages amount for the docket, e.g. "$12,500".
+ *
+ * @param {number} amount - Damages in whole currency units.
+ * @returns {string} Formatted amount.
+ */
+export const formatDamages = (amount) => `$${Math.round(amount).toLocaleString('en-US')}`;
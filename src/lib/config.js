@@ -88,7 +88,8 @@ export const JURISDICTION_OPTIONS = [
  * @type {{value: string, label: string}[]}
  */
 export const CASE_TYPE_OPTIONS = [
-  { value: CASE_TYPES.STANDARD, label: 'Standard' },
+  { value: CASE_TYPES.STANDARD, label: 'Criminal' },
+  { value: CASE_TYPES.CIVIL, label: 'Civil' },
   { value: CASE_TYPES.PUBLIC_DEFENDER, label: 'Public Defender' },
 ];
 
@@ -103,4 +104,5 @@ export const DEFAULT_GAME_CONFIG = {
   courtType: COURT_TYPES.NIGHT_COURT,
   role: 'defense',
   caseType: CASE_TYPES.STANDARD,
+  players: null,
 };
@@ -14,8 +14,11 @@ export const GAME_PHASES = Object.freeze({
   SETUP: 'setup',
   JURY_SELECTION: 'jury_selection',
   PRETRIAL: 'pretrial',
+  OPENING_STATEMENTS: 'opening_statements',
+  WITNESS_EXAMINATION: 'witness_examination',
   TRIAL: 'trial',
   VERDICT: 'verdict',
+  SENTENCING: 'sentencing',
   ENDED: 'ended',
 });
 
@@ -27,10 +30,27 @@ export const FINAL_DISPOSITIONS = Object.freeze({
   DISMISSED: 'dismissed',
   DISMISSED_WITH_PREJUDICE: 'dismissed_with_prejudice',
   DISMISSED_WITHOUT_PREJUDICE: 'dismissed_without_prejudice',
+  PLEA_DEAL: 'plea_deal',
+  JUDGMENT_FOR_PLAINTIFF: 'judgment_for_plaintiff',
+  JUDGMENT_FOR_DEFENDANT: 'judgment_for_defendant',
 });
 
 export const TERMINAL_DISPOSITIONS = new Set(Object.values(FINAL_DISPOSITIONS));
 
+/**
+ * Outcomes a verdict may record in its `disposition` field. Whether a dismissal is with prejudice
+ * comes from the verdict's `dismissal` flags, as it does for a motion decision.
+ */
+export const VERDICT_DISPOSITIONS = Object.freeze([
+  FINAL_DISPOSITIONS.GUILTY,
+  FINAL_DISPOSITIONS.NOT_GUILTY,
+  FINAL_DISPOSITIONS.JUDGMENT_FOR_PLAINTIFF,
+  FINAL_DISPOSITIONS.JUDGMENT_FOR_DEFENDANT,
+  FINAL_DISPOSITIONS.DISMISSED,
+  FINAL_DISPOSITIONS.MISTRIAL_HUNG_JURY,
+  FINAL_DISPOSITIONS.MISTRIAL_CONDUCT,
+]);
+
 export const SANCTION_STATES = Object.freeze({
   CLEAN: 'clean',
   WARNED: 'warned',
@@ -72,6 +92,15 @@ export const SANCTION_VISIBILITY = Object.freeze({
 export const CASE_TYPES = Object.freeze({
   STANDARD: 'standard',
   PUBLIC_DEFENDER: 'public_defender',
+  CIVIL: 'civil',
+});
+
+export const PLAYER_ROLES = Object.freeze({
+  DEFENSE: 'defense',
+  PROSECUTION: 'prosecution',
+  PLAINTIFF: 'plaintiff',
+  DEFENDANT: 'defendant',
+  JUDGE: 'judge',
 });
 
 export const COURT_TYPES = Object.freeze({
@@ -100,6 +129,19 @@ export const PROFILE_STORAGE_KEY = 'pocketcourt.profile.v1';
 export const RUN_HISTORY_STORAGE_KEY = 'pocketcourt.runHistory.v1';
 export const PROFILE_SCHEMA_VERSION = 1;
 export const RUN_HISTORY_SCHEMA_VERSION = 2;
+export const ACTIVE_RUN_STORAGE_KEY = 'pocketcourt.activeRun.v1';
+export const ACTIVE_RUN_SCHEMA_VERSION = 1;
+export const PROFILE_REGISTRY_STORAGE_KEY = 'pocketcourt.profiles.v1';
+export const PROFILE_REGISTRY_SCHEMA_VERSION = 1;
+export const DEFAULT_PROFILE_ID = 'default';
+export const PROFILE_NAME_MAX_LENGTH = 32;
+export const RUN_LOCK_STORAGE_KEY = 'pocketcourt.runLock.v1';
+
+// Background tabs may only run timers once a minute, so a lock outlives a throttled heartbeat.
+export const RUN_LOCK_TIMERS_MS = Object.freeze({
+  HEARTBEAT: 30 * 1000,
+  STALE: 2 * 60 * 1000,
+});
 
 const isCanonicalValue = (value, values) => values.includes(value);
 
@@ -1,8 +1,10 @@
 const MAX_EVENTS = 50;
+const MAX_REPAIR_ATTEMPTS = 20;
 const DEBUG_OVERRIDE_FLAG = '__COURTGAME_DEBUG__';
 
 const createInitialState = () => ({
   events: [],
+  repairAttempts: [],
   lastAction: null,
   flags: {
     bypassJuryLlm: false,
@@ -49,6 +51,18 @@ export const logEvent = (message, { verbose = false } = {}) => {
   });
 };
 
+export const recordRepairAttempt = (entry) => {
+  if (!debugEnabled()) return;
+  debugState = {
+    ...debugState,
+    repairAttempts: [
+      ...debugState.repairAttempts,
+      { ...entry, timestamp: new Date().toISOString() },
+    ].slice(-MAX_REPAIR_ATTEMPTS),
+  };
+  emitChange();
+};
+
 export const setLastAction = (partial) => {
   if (!debugEnabled()) return;
   debugState = {
@@ -72,6 +86,7 @@ export const setDebugFlag = (flag, value) => {
 
 export const getDebugState = () => ({
   events: [...debugState.events],
+  repairAttempts: [...debugState.repairAttempts],
   lastAction: debugState.lastAction ? { ...debugState.lastAction } : null,
   flags: { ...debugState.flags },
 });
@@ -0,0 +1,144 @@
+/**
+ * Jury deliberation helpers shared by the verdict parser, disposition derivation, and docket UI.
+ *
+ * The verdict model records deliberation as numbered rounds of per-juror votes. Holdouts may flip
+ * between rounds; the final round's tally decides the jury verdict, and a split final round is a
+ * hung jury no matter what the verdict text says. Criminal juries vote guilty or not guilty; civil
+ * juries vote liable or not liable.
+ */
+
+export const JURY_VOTES = Object.freeze({
+  GUILTY: 'guilty',
+  NOT_GUILTY: 'not_guilty',
+  LIABLE: 'liable',
+  NOT_LIABLE: 'not_liable',
+});
+
+export const JURY_VOTE_LABELS = Object.freeze({
+  [JURY_VOTES.GUILTY]: 'Guilty',
+  [JURY_VOTES.NOT_GUILTY]: 'Not Guilty',
+  [JURY_VOTES.LIABLE]: 'Liable',
+  [JURY_VOTES.NOT_LIABLE]: 'Not Liable',
+});
+
+/** Rounds the jury may deliberate before a split panel is declared hung. */
+export const MAX_DELIBERATION_ROUNDS = 3;
+
+/**
+ * Return the last recorded deliberation round.
+ *
+ * @param {import('./types').DeliberationRound[] | null | undefined} deliberation - Rounds in order.
+ * @returns {import('./types').DeliberationRound | null} Final round, or null when none recorded.
+ */
+export const getFinalRound = (deliberation) =>
+  Array.isArray(deliberation) && deliberation.length ? deliberation[deliberation.length - 1] : null;
+
+/**
+ * The two votes a juror may cast, the vote for the claimant first.
+ *
+ * @param {boolean} isCivil - Whether the jury is deciding a civil case.
+ * @returns {string[]} Vote values from `JURY_VOTES`.
+ */
+export const getJuryVoteOptions = (isCivil) =>
+  isCivil
+    ? [JURY_VOTES.LIABLE, JURY_VOTES.NOT_LIABLE]
+    : [JURY_VOTES.GUILTY, JURY_VOTES.NOT_GUILTY];
+
+const isCivilRound = (round) =>
+  (round?.votes ?? []).some(
+    (vote) => vote.vote === JURY_VOTES.LIABLE || vote.vote === JURY_VOTES.NOT_LIABLE
+  );
+
+/**
+ * Count the votes in one round.
+ *
+ * @param {import('./types').DeliberationRound | null} round - Deliberation round.
+ * @returns {{vote: string, count: number}[]} Counts for the claimant's vote, then the
+ * respondent's.
+ */
+export const tallyRound = (round) => {
+  const votes = round?.votes ?? [];
+  return getJuryVoteOptions(isCivilRound(round)).map((option) => ({
+    vote: option,
+    count: votes.filter((vote) => vote.vote === option).length,
+  }));
+};
+
+/**
+ * Derive the jury verdict from the final round: unanimous panels decide the case, anything
+ * else is hung.
+ *
+ * @param {import('./types').DeliberationRound[] | null | undefined} deliberation - Rounds in order.
+ * @returns {'Guilty' | 'Not Guilty' | 'Liable' | 'Not Liable' | 'Hung' | null} Jury verdict, or
+ * null without a tally.
+ */
+export const deriveJuryVerdict = (deliberation) => {
+  const finalRound = getFinalRound(deliberation);
+  if (!finalRound?.votes?.length) return null;
+  const [claimant, respondent] = tallyRound(finalRound);
+  if (respondent.count === 0) return JURY_VOTE_LABELS[claimant.vote];
+  if (claimant.count === 0) return JURY_VOTE_LABELS[respondent.vote];
+  return 'Hung';
+};
+
+/**
+ * Whether the recorded deliberation ended with a split panel.
+ *
+ * @param {import('./types').DeliberationRound[] | null | undefined} deliberation - Rounds in order.
+ * @returns {boolean} True for a hung jury.
+ */
+export const isHungJury = (deliberation) => deriveJuryVerdict(deliberation) === 'Hung';
+
+/**
+ * Format the final tally for docket text, e.g. "Guilty 4, Not Guilty 2 (Hung) after 3 rounds".
+ *
+ * @param {import('./types').DeliberationRound[] | null | undefined} deliberation - Rounds in order.
+ * @returns {string | null} Tally summary, or null without a tally.
+ */
+export const formatDeliberationTally = (deliberation) => {
+  const verdict = deriveJuryVerdict(deliberation);
+  if (!verdict) return null;
+  const counts = tallyRound(getFinalRound(deliberation))
+    .map(({ vote, count }) => `${JURY_VOTE_LABELS[vote]} ${count}`)
+    .join(', ');
+  const rounds = deliberation.length;
+  return `${counts} (${verdict}) after ${rounds} round${rounds === 1 ? '' : 's'}`;
+};
+
+/**
+ * Collect each juror's vote across rounds, in seating order.
+ *
+ * @param {import('./types').DeliberationRound[] | null | undefined} deliberation - Rounds in order.
+ * @returns {{jurorId: number, votes: string[], rationale: string, flipped: boolean}[]} Per-juror
+ * vote history with their final-round rationale.
+ */
+export const getJurorVoteHistory = (deliberation) => {
+  const finalRound = getFinalRound(deliberation);
+  if (!finalRound) return [];
+  return finalRound.votes.map((finalVote) => {
+    const votes = deliberation.map(
+      (round) => round.votes.find((vote) => vote.juror_id === finalVote.juror_id)?.vote ?? null
+    );
+    return {
+      jurorId: finalVote.juror_id,
+      votes,
+      rationale: finalVote.rationale,
+      flipped: votes.some((vote) => vote && vote !== finalVote.vote),
+    };
+  });
+};
+
+/**
+ * Format each juror's votes and final rationale for the copied docket.
+ *
+ * @param {import('./types').DeliberationRound[] | null | undefined} deliberation - Rounds in order.
+ * @param {import('./types').Juror[]} jurors - Juror pool, used to name jurors and reveal biases.
+ * @returns {string[]} Docket lines, empty when no vote was recorded.
+ */
+export const buildDeliberationDocketLines = (deliberation, jurors) =>
+  getJurorVoteHistory(deliberation).map((entry) => {
+    const juror = (jurors ?? []).find((candidate) => candidate.id === entry.jurorId);
+    const votes = entry.votes.map((vote) => JURY_VOTE_LABELS[vote] ?? 'Absent').join(' -> ');
+    const bias = juror?.hidden_bias ? ` [Bias: ${juror.hidden_bias}]` : '';
+    return `${juror?.name ?? 'Juror'} (#${entry.jurorId}): ${votes} - "${entry.rationale}"${bias}`;
+  });
@@ -2,8 +2,31 @@ import {
   FINAL_DISPOSITIONS,
   TERMINAL_DISPOSITIONS,
 } from './constants';
+import { formatDamages } from './civil';
+import { deriveJuryVerdict, formatDeliberationTally } from './deliberation';
+
+// Civil judgments name the prevailing party or the liability finding; "not liable" is checked
+// first because it contains "liable".
+const normalizeCivilJudgmentText = (normalized) => {
+  const forDefendant =
+    /\bnot\s+liable\b/.test(normalized) ||
+    /\b(?:judg(?:ment)?\s+(?:entered\s+)?|finds?\s+|found\s+)(?:for|in favor of)\s+(?:the\s+)?defendants?\b/.test(
+      normalized
+    ) ||
+    /\bdefendants?\s+(?:prevails?|wins?)\b/.test(normalized);
+  if (forDefendant) return FINAL_DISPOSITIONS.JUDGMENT_FOR_DEFENDANT;
+  const forPlaintiff =
+    /\bliable\b/.test(normalized) ||
+    /\b(?:judg(?:ment)?\s+(?:entered\s+)?|finds?\s+|found\s+)(?:for|in favor of)\s+(?:the\s+)?plaintiffs?\b/.test(
+      normalized
+    ) ||
+    /\bplaintiffs?\s+(?:prevails?|wins?)\b/.test(normalized);
+  return forPlaintiff ? FINAL_DISPOSITIONS.JUDGMENT_FOR_PLAINTIFF : null;
+};
 
-const normalizeDispositionText = (text) => {
+// Fallback only: infers the outcome from free text for verdicts saved before the structured
+// `disposition` was required.
+const normalizeDispositionText = (text, { isCivil = false } = {}) => {
   if (!text) return null;
   const normalized = text.toLowerCase();
   const hasNegatedDismissal = /\b(?:not|no)\s+dismiss(?:ed|al)?\b/.test(normalized);
@@ -36,6 +59,10 @@ const normalizeDispositionText = (text) => {
     return FINAL_DISPOSITIONS.MISTRIAL_CONDUCT;
   }
 
+  if (isCivil) {
+    return normalizeCivilJudgmentText(normalized);
+  }
+
   if (normalized.includes('not guilty') || normalized.includes('acquit') || impliesAcquittal) {
     return FINAL_DISPOSITIONS.NOT_GUILTY;
   }
@@ -68,6 +95,12 @@ const buildDispositionLabel = (type, source) => {
       return 'Not Guilty';
     case FINAL_DISPOSITIONS.GUILTY:
       return 'Guilty';
+    case FINAL_DISPOSITIONS.PLEA_DEAL:
+      return 'Plea Deal';
+    case FINAL_DISPOSITIONS.JUDGMENT_FOR_PLAINTIFF:
+      return 'Judgment for Plaintiff';
+    case FINAL_DISPOSITIONS.JUDGMENT_FOR_DEFENDANT:
+      return 'Judgment for Defendant';
     default:
       return 'Final Disposition';
   }
@@ -103,19 +136,85 @@ export const deriveDispositionFromMotion = (motion) => {
   };
 };
 
-export const deriveDispositionFromVerdict = (verdict) => {
+// A verdict's structured disposition is authoritative; dismissals take their prejudice from the
+// dismissal flags, as motion decisions do.
+const resolveStructuredDisposition = (verdict) => {
+  const disposition = verdict?.disposition;
+  if (!disposition) return null;
+  if (disposition !== FINAL_DISPOSITIONS.DISMISSED) return disposition;
+  return verdict.dismissal?.withPrejudice === true
+    ? FINAL_DISPOSITIONS.DISMISSED_WITH_PREJUDICE
+    : FINAL_DISPOSITIONS.DISMISSED_WITHOUT_PREJUDICE;
+};
+
+const DISMISSAL_DISPOSITIONS = new Set([
+  FINAL_DISPOSITIONS.DISMISSED,
+  FINAL_DISPOSITIONS.DISMISSED_WITH_PREJUDICE,
+  FINAL_DISPOSITIONS.DISMISSED_WITHOUT_PREJUDICE,
+]);
+
+// Text that only says "dismissed" is silent on prejudice, so it agrees with either dismissal.
+const isTextConsistentWithDisposition = (textType, structuredType) =>
+  textType === structuredType ||
+  (textType === FINAL_DISPOSITIONS.DISMISSED && DISMISSAL_DISPOSITIONS.has(structuredType));
+
+// When a verdict records a deliberation tally, the tally (not the ruling text) decides whether the
+// jury hung. Older verdicts without a tally fall back to the text.
+const TALLY_DISPOSITIONS = Object.freeze({
+  Guilty: FINAL_DISPOSITIONS.GUILTY,
+  'Not Guilty': FINAL_DISPOSITIONS.NOT_GUILTY,
+  Liable: FINAL_DISPOSITIONS.JUDGMENT_FOR_PLAINTIFF,
+  'Not Liable': FINAL_DISPOSITIONS.JUDGMENT_FOR_DEFENDANT,
+  Hung: FINAL_DISPOSITIONS.MISTRIAL_HUNG_JURY,
+});
+
+/**
+ * Find the outcome a verdict's ruling text implies when it disagrees with the structured
+ * disposition. The structured disposition still decides the outcome.
+ *
+ * @param {import('./types').VerdictResult} verdict - Verdict with a structured disposition.
+ * @param {{isCivil?: boolean}} [options] - Case options.
+ * @returns {string | null} Disposition the text implies, or null when it agrees or is silent.
+ */
+export const findDispositionTextConflict = (verdict, { isCivil = false } = {}) => {
+  const structuredType = resolveStructuredDisposition(verdict);
   const finalRuling = verdict?.final_ruling?.trim();
-  if (!finalRuling) return null;
-  const type = normalizeDispositionText(finalRuling);
+  if (!structuredType || !finalRuling) return null;
+  const textType = normalizeDispositionText(finalRuling, { isCivil });
+  return textType && !isTextConsistentWithDisposition(textType, structuredType) ? textType : null;
+};
+
+export const deriveDispositionFromVerdict = (verdict, { isCivil = false } = {}) => {
+  const finalRuling = verdict?.final_ruling?.trim();
+  const tallyType = TALLY_DISPOSITIONS[deriveJuryVerdict(verdict?.deliberation)] ?? null;
+  const isHungByTally = tallyType === FINAL_DISPOSITIONS.MISTRIAL_HUNG_JURY;
+  const structuredType = resolveStructuredDisposition(verdict);
+  if (!finalRuling && !isHungByTally && !structuredType) return null;
+  const textType =
+    finalRuling && !structuredType ? normalizeDispositionText(finalRuling, { isCivil }) : null;
+  let type = isHungByTally ? tallyType : structuredType ?? textType;
+  if (tallyType && type === FINAL_DISPOSITIONS.MISTRIAL_HUNG_JURY) {
+    type = tallyType;
+  }
   if (!type) return null;
 
   const details = [];
   if (verdict.jury_verdict && verdict.jury_verdict !== 'N/A') {
     details.push(`JURY VERDICT: ${verdict.jury_verdict}`);
+    const tally = formatDeliberationTally(verdict.deliberation);
+    if (tally) {
+      details.push(`JURY VOTE: ${tally}`);
+    }
     if (verdict.jury_reasoning) {
       details.push(`JURY REASONING: "${verdict.jury_reasoning}"`);
     }
   }
+  if (
+    type === FINAL_DISPOSITIONS.JUDGMENT_FOR_PLAINTIFF &&
+    typeof verdict.damages_awarded === 'number'
+  ) {
+    details.push(`DAMAGES: ${formatDamages(verdict.damages_awarded)}`);
+  }
   if (verdict.judge_opinion) {
     details.push(`JUDGE OPINION: "${verdict.judge_opinion}"`);
   }
@@ -123,7 +222,7 @@ export const deriveDispositionFromVerdict = (verdict) => {
   return {
     type,
     source: 'verdict',
-    summary: finalRuling,
+    summary: isHungByTally || !finalRuling ? buildDispositionLabel(type, 'verdict') : finalRuling,
     details: details.join('\n'),
   };
 };
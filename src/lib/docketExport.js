@@ -0,0 +1,710 @@
+import { getAppealIssueLabel } from './appeals';
+import { formatDamages, getCaseRoles, getCounselTitle, getRoleLabel, isCivilCase } from './civil';
+import { COURT_TYPES } from './constants';
+import { buildDeliberationDocketLines } from './deliberation';
+import { isTerminalDisposition } from './disposition';
+import { COUNSEL_STRIKE_ORDER } from './judgeMode';
+import { buildChallengeDocketLines, getExcusedJurorIds } from './juryChallenges';
+import { buildPleaDocketLines } from './pleaBargain';
+import { SCORE_PHASE_LABELS } from './scoring';
+import { formatSentenceTerm } from './sentencing';
+import { getOpeningOrder } from './trialArguments';
+import { getVoirDireTranscript } from './voirDire';
+import { buildTestimonyRecord } from './witnessExamination';
+
+/**
+ * Docket export helpers shared by the game hook and the profile drawer.
+ *
+ * A docket record is a history-shaped object: the live run's history, or the `sections` of a saved
+ * case's `docketSnapshot`. It renders as plain text for the clipboard, as Markdown, or as a
+ * standalone HTML filing with a case caption and signature blocks. The JSON archive carries the
+ * case history entry itself, so an exported case can be imported back into a profile.
+ */
+
+export const DOCKET_EXPORT_FORMATS = Object.freeze({
+  MARKDOWN: 'markdown',
+  HTML: 'html',
+  ARCHIVE: 'archive',
+});
+
+export const DOCKET_EXPORT_LABELS = Object.freeze({
+  [DOCKET_EXPORT_FORMATS.MARKDOWN]: 'Markdown',
+  [DOCKET_EXPORT_FORMATS.HTML]: 'HTML',
+  [DOCKET_EXPORT_FORMATS.ARCHIVE]: 'JSON',
+});
+
+/** Identifies a Pocket Court docket archive. */
+export const DOCKET_ARCHIVE_FORMAT = 'pocket-court-docket';
+
+/** Current docket archive version. */
+export const DOCKET_ARCHIVE_VERSION = 1;
+
+const EXPORT_FILE_TYPES = Object.freeze({
+  [DOCKET_EXPORT_FORMATS.MARKDOWN]: { extension: 'md', mimeType: 'text/markdown' },
+  [DOCKET_EXPORT_FORMATS.HTML]: { extension: 'html', mimeType: 'text/html' },
+  [DOCKET_EXPORT_FORMATS.ARCHIVE]: { extension: 'json', mimeType: 'application/json' },
+});
+
+const COURT_NAMES = Object.freeze({
+  [COURT_TYPES.STANDARD]: 'Trial Court',
+  [COURT_TYPES.NIGHT_COURT]: 'Night Court',
+  [COURT_TYPES.SUPREME_COURT]: 'Supreme Court',
+});
+
+const ARCHIVED_ENTRY_FIELDS = Object.freeze([
+  'caseName',
+  'outcome',
+  'date',
+  'playerRole',
+  'players',
+  'winner',
+  'difficulty',
+  'jurisdiction',
+  'courtType',
+  'caseType',
+  'retrialOf',
+  'finalSanctionsCount',
+  'appeal',
+]);
+
+/**
+ * Reduce Markdown to plain text for the clipboard docket.
+ *
+ * @param {string} [text=''] - Markdown text.
+ * @returns {string} Text without Markdown syntax.
+ */
+export const stripMarkdown = (text = '') => {
+  if (!text) return '';
+  let output = text.replace(/\r\n/g, '\n');
+
+  output = output.replace(/```[\s\S]*?```/g, (block) =>
+    block.replace(/```[^\n]*\n?/g, '').replace(/```/g, '')
+  );
+  output = output.replace(/`([^`]+)`/g, '$1');
+  output = output.replace(/!\[([^\]]*)\]\([^)]+\)/g, '$1');
+  output = output.replace(/\[([^\]]+)\]\([^)]+\)/g, '$1');
+  output = output.replace(/^\s{0,3}>\s?/gm, '');
+  output = output.replace(/^\s{0,3}#{1,6}\s+/gm, '');
+  output = output.replace(/^\s*([-*+])\s+/gm, '');
+  output = output.replace(/^\s*\d+\.\s+/gm, '');
+  output = output.replace(/(\*\*|__)(.*?)\1/g, '$2');
+  output = output.replace(/(\*|_)(.*?)\1/g, '$2');
+  output = output.replace(/~~(.*?)~~/g, '$1');
+
+  return output;
+};
+
+const formatJurorLabel = (id, pool = []) => {
+  const juror = pool.find((entry) => entry.id === id);
+  if (juror?.name) return `${juror.name} (#${juror.id})`;
+  return `Juror #${id}`;
+};
+
+const formatJurorList = (ids = [], pool = []) =>
+  ids.map((id) => formatJurorLabel(id, pool)).join(', ');
+
+const toJsonClone = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Snapshot the docket for a case history entry.
+ *
+ * @param {import('./types').HistoryState} historyState - Docket state to snapshot.
+ * @returns {{generatedAt: string, sections: object}} JSON-safe copy of the docket sections.
+ */
+export const buildDocketSnapshot = (historyState) => {
+  const snapshot = {
+    case: toJsonClone(historyState.case ?? null),
+    jury: toJsonClone(historyState.jury ?? null),
+    motion: toJsonClone(historyState.motion ?? null),
+    plea: toJsonClone(historyState.plea ?? null),
+    examination: toJsonClone(historyState.examination ?? null),
+    objections: toJsonClone(historyState.objections ?? []),
+    sentencing: toJsonClone(historyState.sentencing ?? null),
+    trial: toJsonClone(historyState.trial ?? null),
+    review: toJsonClone(historyState.review ?? null),
+    disposition: toJsonClone(historyState.disposition ?? null),
+    sanctions: toJsonClone(historyState.sanctions ?? []),
+    counselNotes: historyState.counselNotes ?? '',
+    validationHistory: toJsonClone(historyState.validationHistory ?? []),
+  };
+
+  return {
+    generatedAt: new Date().toISOString(),
+    sections: {
+      case: snapshot.case,
+      header: {
+        title: snapshot.case?.title ?? null,
+        judge: snapshot.case?.judge?.name ?? null,
+      },
+      facts: snapshot.case?.facts ?? [],
+      jury: snapshot.jury,
+      motion: snapshot.motion,
+      plea: snapshot.plea,
+      examination: snapshot.examination,
+      objections: snapshot.objections,
+      sentencing: snapshot.sentencing,
+      trial: snapshot.trial,
+      review: snapshot.review,
+      disposition: snapshot.disposition,
+      sanctions: snapshot.sanctions,
+      counselNotes: snapshot.counselNotes,
+      validationHistory: snapshot.validationHistory,
+    },
+  };
+};
+
+const buildJurySection = (jury) => {
+  const seatedJurors = jury.pool.filter((juror) => juror.status === 'seated');
+  const juryLines = [];
+  if (seatedJurors.length) {
+    juryLines.push(`Seated Jurors: ${formatJurorList(jury.seatedIds, jury.pool)}`);
+  }
+  if (jury.comment) {
+    juryLines.push(jury.comment);
+  }
+  const voirDireLines = getVoirDireTranscript(jury.questions, jury.pool).map((entry) =>
+    [
+      `Q: ${entry.question}`,
+      ...entry.answers.map((answer) => `${answer.name} (#${answer.jurorId}): ${answer.answer}`),
+    ].join('\n')
+  );
+  if (voirDireLines.length) {
+    juryLines.push(`Voir Dire:\n${voirDireLines.join('\n')}`);
+  }
+  const excusedIds = getExcusedJurorIds(jury.pool);
+  if (excusedIds.length) {
+    juryLines.push(`Excused for Cause: ${formatJurorList(excusedIds, jury.pool)}`);
+  }
+  const challengeLines = buildChallengeDocketLines(jury);
+  if (challengeLines.length) {
+    juryLines.push(`Jury Challenges:\n${challengeLines.join('\n\n')}`);
+  }
+  const strikeLines = COUNSEL_STRIKE_ORDER.filter(
+    (role) => jury.strikesByRole?.[role]?.length
+  ).map(
+    (role) => `${getRoleLabel(role)} Strikes: ${formatJurorList(jury.strikesByRole[role], jury.pool)}`
+  );
+  if (jury.myStrikes?.length) {
+    strikeLines.push(`Player Strikes: ${formatJurorList(jury.myStrikes, jury.pool)}`);
+  }
+  if (jury.opponentStrikes?.length && !jury.strikesByRole) {
+    strikeLines.push(`Opponent Strikes: ${formatJurorList(jury.opponentStrikes, jury.pool)}`);
+  }
+  if (strikeLines.length) {
+    juryLines.push(strikeLines.join('\n'));
+  }
+  if (!juryLines.length) return null;
+  return { title: `JURY SEATED (${seatedJurors.length}):`, body: juryLines.join('\n') };
+};
+
+const buildMotionSection = (motion) => {
+  const motionLines = [];
+  if (motion.motionText) {
+    motionLines.push(
+      `${getRoleLabel(motion.motionBy)} Motion:\n"${stripMarkdown(motion.motionText)}"`
+    );
+  }
+  if (motion.rebuttalText) {
+    motionLines.push(
+      `${getRoleLabel(motion.rebuttalBy)} Rebuttal:\n"${stripMarkdown(motion.rebuttalText)}"`
+    );
+  }
+  if (motion.ruling) {
+    motionLines.push(`RULING: ${motion.ruling.ruling} - "${motion.ruling.outcome_text}"`);
+  }
+  if (!motionLines.length) return null;
+  return { title: 'PRE-TRIAL MOTIONS:', body: motionLines.join('\n\n') };
+};
+
+const buildScoreSection = (verdict, sentence) => {
+  const roundedScore = Math.round(verdict.final_weighted_score);
+  const baseScore = Math.min(100, Math.max(0, roundedScore));
+  const scoreLines = [`BASE SCORE: ${baseScore}/100`];
+  const breakdown = verdict.score_breakdown;
+  if (breakdown) {
+    const terms = breakdown.components.map(
+      ({ phase, score, weight }) =>
+        `${SCORE_PHASE_LABELS[phase]} ${score} x ${Math.round(weight * 100)}%`
+    );
+    scoreLines.push(`BREAKDOWN: ${terms.join(' + ')}`);
+    if (breakdown.discrepancy !== null) {
+      scoreLines.push(`MODEL REPORTED: ${breakdown.reported} (recomputed by the court)`);
+    }
+  }
+  if (verdict.final_weighted_score > 100) {
+    scoreLines.push(
+      `OVERFLOW: ${verdict.overflow_reason_code} - ${verdict.overflow_explanation} (${roundedScore}/100)`
+    );
+  }
+  if (sentence) {
+    const sign = sentence.scoreAdjustment > 0 ? '+' : '';
+    scoreLines.push(
+      `SENTENCING ADJUSTMENT: ${sign}${sentence.scoreAdjustment} (ADJUSTED SCORE: ${Math.round(sentence.adjustedScore)})`
+    );
+  }
+  if (verdict.achievement_title) {
+    scoreLines.push(`ACHIEVEMENT: ${verdict.achievement_title}`);
+  }
+  return { title: 'SCORE + ACHIEVEMENT:', body: scoreLines.join('\n') };
+};
+
+/**
+ * Build the docket sections in filing order. The header section has no title; every other section
+ * has its title line as the plain-text docket prints it.
+ *
+ * @param {import('./types').HistoryState} record - Live history or a snapshot's sections.
+ * @param {import('./types').DocketExportMeta} [meta] - Export details outside the record.
+ * @returns {{title: string | null, body: string}[]} Docket sections.
+ */
+export const buildDocketSections = (record, meta = {}) => {
+  const sections = [];
+  const caseData = record.case;
+  const headerLines = [`DOCKET: ${caseData.title}`, `JUDGE: ${caseData.judge.name}`];
+  if (typeof meta.docketNumber === 'number') {
+    headerLines.push(`DOCKET #: ${meta.docketNumber}`);
+  }
+  if (isCivilCase(caseData)) {
+    headerLines.push(
+      `CIVIL: ${caseData.plaintiff} v. ${caseData.defendant}`,
+      `CLAIM: ${caseData.charge}`,
+      `DAMAGES SOUGHT: ${formatDamages(caseData.damages_sought ?? 0)}`
+    );
+  }
+  sections.push({ title: null, body: headerLines.join('\n') });
+
+  if (caseData.facts?.length) {
+    sections.push({ title: 'FACTS:', body: caseData.facts.join('\n') });
+  }
+
+  const appellateRuling = caseData.appellate_ruling;
+  if (appellateRuling) {
+    sections.push({
+      title: `ON REMAND: ${appellateRuling.disposition.toUpperCase()}`,
+      body: [
+        appellateRuling.opinion,
+        `Instructions: ${appellateRuling.remand_instructions ?? 'None'}`,
+      ].join('\n'),
+    });
+  }
+
+  const pleaLines = buildPleaDocketLines(record.plea);
+  if (pleaLines.length) {
+    sections.push({ title: 'PLEA NEGOTIATIONS:', body: pleaLines.join('\n') });
+  }
+
+  if (record.jury && !record.jury.skipped && record.jury.locked) {
+    const jurySection = buildJurySection(record.jury);
+    if (jurySection) sections.push(jurySection);
+  }
+
+  if (record.motion) {
+    const motionSection = buildMotionSection(record.motion);
+    if (motionSection) sections.push(motionSection);
+  }
+
+  if (record.objections?.length) {
+    const objectionLines = record.objections.map(
+      (entry) => `${entry.docketEntry}\nPassage: "${entry.passage}"\nReasoning: ${entry.reasoning}`
+    );
+    sections.push({ title: 'OBJECTIONS:', body: objectionLines.join('\n\n') });
+  }
+
+  const openings = record.trial?.openings;
+  const openingLines = getOpeningOrder(caseData)
+    .filter((role) => openings?.[role])
+    .map((role) => `${getRoleLabel(role)} Opening:\n"${stripMarkdown(openings[role])}"`);
+  if (openingLines.length) {
+    sections.push({ title: 'OPENING STATEMENTS:', body: openingLines.join('\n\n') });
+  }
+
+  const testimonyRecord = buildTestimonyRecord(caseData.witnesses, record.examination?.transcript);
+  if (testimonyRecord.length) {
+    const testimonyLines = testimonyRecord.map((witness) => {
+      const answers = witness.answers.map(
+        (entry) => `[${entry.type.toUpperCase()}] Q: ${entry.question}\nA: ${entry.answer}`
+      );
+      return `${witness.citation} (${witness.name}, ${witness.role}):\n${answers.join('\n')}`;
+    });
+    sections.push({ title: 'WITNESS TESTIMONY:', body: testimonyLines.join('\n\n') });
+  }
+
+  if (record.counselNotes?.trim()) {
+    sections.push({
+      title: 'COUNSEL NOTES (NON-RECORD FLAVOR):',
+      body: record.counselNotes.trim(),
+    });
+  }
+
+  // Terminal motion outcomes (ex: dismissal) override later-phase export content.
+  const disposition = record.disposition;
+  const reachedTrial = Boolean(record.trial?.text?.trim());
+  const shouldStopAtDisposition =
+    disposition?.source === 'motion' && isTerminalDisposition(disposition);
+
+  if (reachedTrial && !shouldStopAtDisposition) {
+    const argumentLines = [`"${stripMarkdown(record.trial.text)}"`];
+    const { opposingClosing, rebuttal } = record.trial;
+    if (opposingClosing?.text) {
+      argumentLines.push(
+        `${getRoleLabel(opposingClosing.submittedBy)} Closing:\n"${stripMarkdown(opposingClosing.text)}"`
+      );
+    }
+    if (rebuttal) {
+      argumentLines.push(`Rebuttal:\n"${stripMarkdown(rebuttal)}"`);
+    }
+    sections.push({ title: 'TRIAL ARGUMENT:', body: argumentLines.join('\n\n') });
+  }
+
+  const closings = record.trial?.closings;
+  if (closings) {
+    const closingLines = Object.entries(closings).map(
+      ([role, text]) => `${getRoleLabel(role)} Closing:\n"${stripMarkdown(text)}"`
+    );
+    sections.push({ title: 'CLOSING ARGUMENTS:', body: closingLines.join('\n\n') });
+  }
+
+  if (disposition) {
+    const dispositionLines = [];
+    if (disposition.summary) {
+      dispositionLines.push(`OUTCOME: ${disposition.summary}`);
+    }
+    if (disposition.details) {
+      dispositionLines.push(disposition.details);
+    }
+    sections.push({ title: 'FINAL DISPOSITION:', body: dispositionLines.join('\n') });
+  }
+
+  const deliberationLines = shouldStopAtDisposition
+    ? []
+    : buildDeliberationDocketLines(record.trial?.verdict?.deliberation, record.jury?.pool);
+  if (deliberationLines.length) {
+    sections.push({ title: 'JURY DELIBERATION:', body: deliberationLines.join('\n') });
+  }
+
+  const sentence = record.sentencing?.sentence;
+  if (sentence) {
+    sections.push({
+      title: 'SENTENCE:',
+      body: [
+        sentence.docketEntry,
+        `TERM: ${formatSentenceTerm(sentence)} (range ${sentence.range.min}-${sentence.range.max})`,
+        `REASONING: ${sentence.reasoning}`,
+      ].join('\n'),
+    });
+  }
+
+  if (!shouldStopAtDisposition && record.trial?.verdict) {
+    sections.push(buildScoreSection(record.trial.verdict, sentence));
+  }
+
+  if (record.review) {
+    const reviewLines = record.review.rulings.map(
+      (ruling) =>
+        `${getAppealIssueLabel(ruling.issue)}: ${ruling.score}/100 (${
+          ruling.sound ? 'Sound' : 'Error'
+        }) - ${ruling.critique}`
+    );
+    reviewLines.push(record.review.opinion);
+    if (!record.trial?.verdict) {
+      reviewLines.push(`SCORE: ${Math.round(record.review.final_weighted_score)}/100`);
+    }
+    sections.push({ title: 'APPELLATE REVIEW:', body: reviewLines.join('\n') });
+  }
+
+  if (record.sanctions?.length) {
+    const sanctionLines = record.sanctions.map((entry) => {
+      const state = entry.state ? entry.state.toUpperCase() : 'NOTICE';
+      return `- ${state}: ${entry.docket_text}`;
+    });
+    sections.push({ title: 'SANCTIONS/STATUS FLAGS:', body: sanctionLines.join('\n') });
+  }
+
+  return sections;
+};
+
+/**
+ * Format the docket as the plain text copied to the clipboard.
+ *
+ * @param {import('./types').HistoryState} record - Live history or a snapshot's sections.
+ * @param {import('./types').DocketExportMeta} [meta] - Export details outside the record.
+ * @returns {string} Plain-text docket.
+ */
+export const formatDocketText = (record, meta) =>
+  buildDocketSections(record, meta)
+    .map(({ title, body }) => (title ? `${title}\n${body}` : body))
+    .join('\n\n');
+
+const getSectionHeading = (title) => title.replace(/:$/, '');
+
+/**
+ * Build the case caption: the court, the parties, and the docket details.
+ *
+ * @param {import('./types').HistoryState} record - Live history or a snapshot's sections.
+ * @param {import('./types').DocketExportMeta} [meta] - Export details outside the record.
+ * @returns {{court: string, parties: string[], details: string[]}} Caption lines.
+ */
+export const buildDocketCaption = (record, meta = {}) => {
+  const caseData = record.case;
+  const courtName = COURT_NAMES[meta.courtType] ?? COURT_NAMES[COURT_TYPES.STANDARD];
+  const describeParty = (name, label) => (name ? `${name}, ${label}` : label);
+  const parties = [
+    isCivilCase(caseData) ? describeParty(caseData.plaintiff, 'Plaintiff') : 'The State',
+    describeParty(caseData.defendant, 'Defendant'),
+  ];
+  const details = [
+    ...(typeof meta.docketNumber === 'number' ? [`Docket No. ${meta.docketNumber}`] : []),
+    `${isCivilCase(caseData) ? 'Claim' : 'Charge'}: ${caseData.charge}`,
+    `Before: ${caseData.judge.name}`,
+  ];
+  return {
+    court: meta.jurisdiction ? `In the ${courtName} · ${meta.jurisdiction}` : `In the ${courtName}`,
+    parties,
+    details,
+  };
+};
+
+/**
+ * Build the signature blocks closing a filed docket: the presiding judge, then counsel for each
+ * side. Hot-seat dockets sign with the players' names.
+ *
+ * @param {import('./types').HistoryState} record - Live history or a snapshot's sections.
+ * @param {import('./types').DocketExportMeta} [meta] - Export details outside the record.
+ * @returns {{name: string, title: string}[]} Signatories.
+ */
+export const buildSignatureBlocks = (record, meta = {}) => {
+  const { claimant, respondent } = getCaseRoles(isCivilCase(record.case));
+  return [
+    { name: record.case.judge.name, title: 'Presiding Judge' },
+    ...[claimant, respondent].map((role) => ({
+      name: meta.players?.[role] ?? '',
+      title: getCounselTitle(role),
+    })),
+  ];
+};
+
+/**
+ * Format the docket as a Markdown document.
+ *
+ * @param {import('./types').HistoryState} record - Live history or a snapshot's sections.
+ * @param {import('./types').DocketExportMeta} [meta] - Export details outside the record.
+ * @returns {string} Markdown docket.
+ */
+export const formatDocketMarkdown = (record, meta) => {
+  const caption = buildDocketCaption(record, meta);
+  const withLineBreaks = (text) => text.split('\n').join('  \n');
+  const lines = [
+    `# ${record.case.title}`,
+    '',
+    `**${caption.court}**`,
+    '',
+    withLineBreaks(caption.parties.join('\nv.\n')),
+    '',
+    withLineBreaks(caption.details.join('\n')),
+  ];
+  buildDocketSections(record, meta)
+    .filter(({ title }) => title)
+    .forEach(({ title, body }) => {
+      lines.push('', `## ${getSectionHeading(title)}`, '', withLineBreaks(body));
+    });
+  lines.push('', '---');
+  buildSignatureBlocks(record, meta).forEach(({ name, title }) => {
+    lines.push('', `/s/ ${name || '____________________'}  `, title);
+  });
+  return `${lines.join('\n')}\n`;
+};
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const formatHtmlParagraphs = (text) =>
+  text
+    .split('\n\n')
+    .map((paragraph) => `<p>${paragraph.split('\n').map(escapeHtml).join('<br>')}</p>`)
+    .join('\n');
+
+const DOCKET_HTML_STYLES = `
+  body { margin: 0; background: #f1f5f9; color: #0f172a; }
+  main { max-width: 8.5in; margin: 2rem auto; padding: 1in; background: #fff;
+    font-family: 'Times New Roman', Times, serif; font-size: 12pt; line-height: 1.5; }
+  .court { text-align: center; text-transform: uppercase; font-weight: bold; letter-spacing: 0.05em; }
+  .caption { display: flex; margin: 1.5rem 0; }
+  .parties { flex: 1; padding-right: 1rem; border-right: 1px solid #0f172a; }
+  .parties p { margin: 0.25rem 0; }
+  .details { flex: 1; padding-left: 1rem; align-self: center; }
+  .details p { margin: 0.25rem 0; }
+  h1 { text-align: center; text-transform: uppercase; font-size: 14pt; margin: 2rem 0 1rem; }
+  h2 { text-transform: uppercase; font-size: 12pt; border-bottom: 1px solid #cbd5e1; margin-top: 1.5rem; }
+  .signatures { display: flex; flex-wrap: wrap; gap: 2rem; margin-top: 3rem; }
+  .signature { flex: 1 1 30%; }
+  .signature .line { border-top: 1px solid #0f172a; margin-top: 2.5rem; padding-top: 0.25rem; }
+  .signature p { margin: 0; }
+  @media print { body { background: #fff; } main { margin: 0; padding: 0; } }
+`;
+
+/**
+ * Format the docket as a standalone HTML filing: a caption, the docket sections, and signature
+ * blocks, typeset like a court document.
+ *
+ * @param {import('./types').HistoryState} record - Live history or a snapshot's sections.
+ * @param {import('./types').DocketExportMeta} [meta] - Export details outside the record.
+ * @returns {string} HTML document.
+ */
+export const formatDocketHtml = (record, meta) => {
+  const caption = buildDocketCaption(record, meta);
+  const sections = buildDocketSections(record, meta)
+    .filter(({ title }) => title)
+    .map(
+      ({ title, body }) =>
+        `<section>\n<h2>${escapeHtml(getSectionHeading(title))}</h2>\n${formatHtmlParagraphs(body)}\n</section>`
+    );
+  const signatures = buildSignatureBlocks(record, meta).map(
+    ({ name, title }) =>
+      `<div class="signature">\n<p class="line">${escapeHtml(name)}</p>\n<p>${escapeHtml(title)}</p>\n</div>`
+  );
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(record.case.title)}</title>`,
+    `<style>${DOCKET_HTML_STYLES}</style>`,
+    '</head>',
+    '<body>',
+    '<main>',
+    `<p class="court">${escapeHtml(caption.court)}</p>`,
+    '<div class="caption">',
+    `<div class="parties">${caption.parties
+      .map((party) => `<p>${escapeHtml(party)}</p>`)
+      .join('<p>v.</p>')}</div>`,
+    `<div class="details">${caption.details.map((line) => `<p>${escapeHtml(line)}</p>`).join('')}</div>`,
+    '</div>',
+    `<h1>${escapeHtml(record.case.title)}</h1>`,
+    ...sections,
+    `<div class="signatures">\n${signatures.join('\n')}\n</div>`,
+    '</main>',
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n');
+};
+
+/**
+ * Build a re-importable JSON archive of a case history entry.
+ *
+ * @param {import('./types').CaseHistoryEntry} entry - Case to archive.
+ * @returns {import('./types').DocketArchive} Docket archive.
+ */
+export const buildDocketArchive = (entry) => ({
+  format: DOCKET_ARCHIVE_FORMAT,
+  version: DOCKET_ARCHIVE_VERSION,
+  exportedAt: new Date().toISOString(),
+  docketNumber: typeof entry.docketNumber === 'number' ? entry.docketNumber : null,
+  case: Object.fromEntries(
+    ARCHIVED_ENTRY_FIELDS.filter((field) => entry[field] !== undefined).map((field) => [
+      field,
+      entry[field],
+    ])
+  ),
+  docketSnapshot: entry.docketSnapshot,
+});
+
+/**
+ * Read a docket archive back into a case history entry. The entry gets a fresh ID and is flagged
+ * as imported; sanctions stay with the profile that earned them.
+ *
+ * @param {string} text - Archive file contents.
+ * @returns {import('./types').CaseHistoryEntry | null} Imported entry, or null when the file is
+ * not a docket archive this version can read.
+ */
+export const parseDocketArchive = (text) => {
+  let archive;
+  try {
+    archive = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (
+    archive?.format !== DOCKET_ARCHIVE_FORMAT ||
+    !Number.isInteger(archive.version) ||
+    archive.version > DOCKET_ARCHIVE_VERSION
+  ) {
+    return null;
+  }
+  const sections = archive.docketSnapshot?.sections;
+  if (typeof sections?.case?.title !== 'string' || typeof sections.case.judge?.name !== 'string') {
+    return null;
+  }
+  const archivedCase = archive.case && typeof archive.case === 'object' ? archive.case : {};
+  return {
+    ...Object.fromEntries(
+      ARCHIVED_ENTRY_FIELDS.filter((field) => archivedCase[field] !== undefined).map((field) => [
+        field,
+        archivedCase[field],
+      ])
+    ),
+    id: `case-${Date.now()}-${Math.random().toString(16).slice(2)}`,
+    caseName: typeof archivedCase.caseName === 'string' ? archivedCase.caseName : sections.case.title,
+    outcome: archivedCase.outcome ?? null,
+    date: archivedCase.date ?? archive.exportedAt ?? null,
+    finalSanctionsCount: Array.isArray(sections.sanctions) ? sections.sanctions.length : 0,
+    docketNumber: typeof archive.docketNumber === 'number' ? archive.docketNumber : null,
+    docketSnapshot: archive.docketSnapshot,
+    sanctionsState: null,
+    imported: true,
+  };
+};
+
+/**
+ * Add an imported case to the front of a profile's case history.
+ *
+ * @param {import('./types').PlayerProfile} profile - Player profile.
+ * @param {import('./types').CaseHistoryEntry} entry - Entry from `parseDocketArchive`.
+ * @returns {import('./types').PlayerProfile} Updated profile.
+ */
+export const recordImportedDocket = (profile, entry) => ({
+  ...profile,
+  caseHistory: [entry, ...(profile.caseHistory ?? [])],
+});
+
+const slugify = (text) =>
+  String(text ?? '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40) || 'case';
+
+/**
+ * Render a case for download in one of the export formats.
+ *
+ * @param {import('./types').CaseHistoryEntry} entry - Saved case, or the live run shaped like one.
+ * @param {string} format - One of `DOCKET_EXPORT_FORMATS`.
+ * @returns {{filename: string, text: string, mimeType: string} | null} File to download, or null
+ * for an unknown format or a case without a docket.
+ */
+export const buildDocketExport = (entry, format) => {
+  const fileType = EXPORT_FILE_TYPES[format];
+  const record = entry?.docketSnapshot?.sections;
+  if (!fileType || !record?.case) return null;
+  const meta = {
+    docketNumber: entry.docketNumber ?? null,
+    jurisdiction: entry.jurisdiction ?? null,
+    courtType: entry.courtType ?? null,
+    players: entry.players ?? null,
+  };
+  const renderers = {
+    [DOCKET_EXPORT_FORMATS.MARKDOWN]: () => formatDocketMarkdown(record, meta),
+    [DOCKET_EXPORT_FORMATS.HTML]: () => formatDocketHtml(record, meta),
+    [DOCKET_EXPORT_FORMATS.ARCHIVE]: () => JSON.stringify(buildDocketArchive(entry), null, 2),
+  };
+  const numberPart = typeof meta.docketNumber === 'number' ? `${meta.docketNumber}-` : '';
+  return {
+    filename: `pocketcourt-docket-${numberPart}${slugify(entry.caseName ?? record.case.title)}.${fileType.extension}`,
+    text: renderers[format](),
+    mimeType: fileType.mimeType,
+  };
+};
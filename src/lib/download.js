@@ -0,0 +1,27 @@
+/**
+ * Saves text to a file through a temporary object URL.
+ *
+ * @param {string} filename - Suggested file name.
+ * @param {string} text - File contents.
+ * @param {string} [mimeType='application/json'] - MIME type for the blob.
+ * @returns {boolean} Whether the download was triggered.
+ */
+export const downloadTextFile = (filename, text, mimeType = 'application/json') => {
+  if (typeof document === 'undefined' || typeof URL?.createObjectURL !== 'function') {
+    return false;
+  }
+  try {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+    return true;
+  } catch (err) {
+    console.error('File download failed', err);
+    return false;
+  }
+};
@@ -0,0 +1,127 @@
+import { getLosingSide } from './appeals';
+import { getOpposingRole, getRoleLabel } from './civil';
+import { PLAYER_ROLES } from './constants';
+import { isTerminalDisposition } from './disposition';
+import { areOpeningsComplete } from './trialArguments';
+import { isExaminationComplete } from './witnessExamination';
+
+/**
+ * Hot-seat helpers shared by the game hook, docket UI, and prompts.
+ *
+ * In hot-seat mode two people share one device on a criminal case, one arguing the defense and one
+ * the prosecution. The AI only judges and deliberates. The seats take turns: each strikes jurors,
+ * the defense moves and the prosecution rebuts, both open, each examines the witnesses and rests,
+ * and both deliver closings. Between turns a handoff screen covers the docket, so neither player
+ * sees the other's private counsel notes.
+ */
+
+/** Seats at a hot-seat table. */
+export const HOT_SEAT_ROLES = Object.freeze([PLAYER_ROLES.DEFENSE, PLAYER_ROLES.PROSECUTION]);
+
+/**
+ * Order in which the seats present at trial. The prosecution opens, examines witnesses, and closes
+ * first; the defense answers.
+ */
+export const HOT_SEAT_TRIAL_ORDER = Object.freeze([PLAYER_ROLES.PROSECUTION, PLAYER_ROLES.DEFENSE]);
+
+const DEFAULT_PLAYER_NAMES = Object.freeze({
+  [PLAYER_ROLES.DEFENSE]: 'Player 1',
+  [PLAYER_ROLES.PROSECUTION]: 'Player 2',
+});
+
+const MAX_PLAYER_NAME_LENGTH = 24;
+
+/**
+ * Normalize the names entered for each seat, falling back to numbered players.
+ *
+ * @param {Partial<import('./types').HotSeatPlayers> | null | undefined} players - Entered names.
+ * @returns {import('./types').HotSeatPlayers} Display name for each seat.
+ */
+export const normalizeHotSeatPlayers = (players) =>
+  Object.fromEntries(
+    HOT_SEAT_ROLES.map((role) => {
+      const name = typeof players?.[role] === 'string' ? players[role].trim() : '';
+      return [role, name.slice(0, MAX_PLAYER_NAME_LENGTH) || DEFAULT_PLAYER_NAMES[role]];
+    })
+  );
+
+/**
+ * Find the seat that must act next. Returns null while the court is working (ruling on the motion
+ * or deliberating) and once the case is closed.
+ *
+ * @param {import('./types').HistoryState} history - Current docket state.
+ * @returns {import('./types').PlayerRole | null} Seat whose turn it is.
+ */
+export const getActiveSeat = (history) => {
+  if (!history?.case || isTerminalDisposition(history.disposition)) return null;
+  const { jury, motion, examination, trial } = history;
+  if (jury && !jury.skipped && !jury.locked) {
+    return jury.strikesByRole?.[PLAYER_ROLES.DEFENSE]
+      ? PLAYER_ROLES.PROSECUTION
+      : PLAYER_ROLES.DEFENSE;
+  }
+  if (!motion?.motionPhase) return null;
+  if (!motion.locked) {
+    if (!motion.motionText) return motion.motionBy;
+    if (!motion.rebuttalText) return motion.rebuttalBy;
+    return null;
+  }
+  if (!areOpeningsComplete(history)) {
+    return HOT_SEAT_TRIAL_ORDER.find((role) => !history.trial?.openings?.[role]) ?? null;
+  }
+  if (!isExaminationComplete(history)) {
+    return HOT_SEAT_TRIAL_ORDER.find((role) => !examination?.restedBy?.includes(role)) ?? null;
+  }
+  if (!trial || trial.locked) return null;
+  return HOT_SEAT_TRIAL_ORDER.find((role) => !trial.closings?.[role]) ?? null;
+};
+
+/**
+ * Name the seat that won a closed case. Mistrials and unresolved outcomes have no winner.
+ *
+ * @param {import('./types').DispositionRecord | null | undefined} disposition - Final disposition.
+ * @returns {import('./types').PlayerRole | null} Winning seat, if any.
+ */
+export const getHotSeatWinner = (disposition) => {
+  const loser = getLosingSide(disposition?.type ?? null);
+  return loser ? getOpposingRole(loser) : null;
+};
+
+/**
+ * Build the fields a hot-seat run adds to its run history and case history entries. Single-player
+ * runs add none.
+ *
+ * @param {import('./types').HotSeatPlayers | null | undefined} players - Names at each seat.
+ * @param {import('./types').DispositionRecord | null | undefined} disposition - Final disposition.
+ * @returns {{players?: import('./types').HotSeatPlayers, winner?: import('./types').PlayerRole | null}}
+ * Both players and the winning seat.
+ */
+export const buildHotSeatResult = (players, disposition) =>
+  players ? { players, winner: getHotSeatWinner(disposition) } : {};
+
+/**
+ * Describe a hot-seat result for the profile and post-run screens.
+ *
+ * @param {{players?: import('./types').HotSeatPlayers, winner?: import('./types').PlayerRole | null}} result
+ * - Run or case entry carrying the hot-seat fields.
+ * @returns {{matchup: string, winner: string} | null} Labels, or null for single-player runs.
+ */
+export const formatHotSeatResult = (result) => {
+  const players = result?.players;
+  if (!players) return null;
+  const describeSeat = (role) => `${players[role]} (${getRoleLabel(role)})`;
+  return {
+    matchup: HOT_SEAT_ROLES.map(describeSeat).join(' vs. '),
+    winner: result.winner ? describeSeat(result.winner) : 'No winner',
+  };
+};
+
+/**
+ * Read the counsel notes written for one seat. Single-player dockets keep one set of notes.
+ *
+ * @param {import('./types').HistoryState} history - Current docket state.
+ * @param {import('./types').PlayerRole} role - Seat reading the notes.
+ * @returns {string} That seat's private notes.
+ */
+export const getSeatCounselNotes = (history, role) =>
+  history?.counselNotesByRole?.[role] ?? history?.counselNotes ?? '';
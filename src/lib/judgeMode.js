@@ -0,0 +1,267 @@
+import { buildAppealRecord, getAppealableIssues } from './appeals';
+import { FINAL_DISPOSITIONS, PLAYER_ROLES } from './constants';
+import { isLegendaryScore, weighPhaseScores } from './scoring';
+
+/**
+ * Judge mode helpers shared by the game hook, docket UI, and prompts.
+ *
+ * In judge mode the player presides over a criminal case and AI counsel argue both sides: each
+ * strikes jurors, the defense moves and the prosecution rebuts, and both deliver closings. The
+ * player settles disputed strikes, rules on the motion with an admissibility call on every
+ * evidence item, and decides the case in a written opinion. Once the case reaches a terminal
+ * disposition an appellate reviewer scores each ruling for legal soundness, using the same issues
+ * an appeal can raise and the usual phase weights.
+ */
+
+/** Order in which AI counsel strike jurors; the prosecution sees the defense's strikes. */
+export const COUNSEL_STRIKE_ORDER = Object.freeze([PLAYER_ROLES.DEFENSE, PLAYER_ROLES.PROSECUTION]);
+
+/** Rulings the player may enter at the end of a bench-presided trial. */
+export const BENCH_VERDICTS = Object.freeze(['Guilty', 'Not Guilty']);
+
+/**
+ * Weight of each reviewed ruling in the final score, matching the pre-trial, jury, and judge
+ * weights used when scoring counsel. Weights of rulings the case never reached are spread over the
+ * rest.
+ */
+export const REVIEW_WEIGHTS = Object.freeze({
+  motion_ruling: 20,
+  jury_selection: 35,
+  verdict: 45,
+});
+
+/** Verdict phase each reviewed ruling is weighed as, so the review breaks down like a verdict. */
+const REVIEW_ISSUE_PHASES = Object.freeze({
+  motion_ruling: 'motion',
+  jury_selection: 'jury',
+  verdict: 'judge',
+});
+
+/**
+ * Whether a role presides over the case instead of arguing it.
+ *
+ * @param {string | null | undefined} role - Player role.
+ * @returns {boolean} True for the judge.
+ */
+export const isJudgeRole = (role) => role === PLAYER_ROLES.JUDGE;
+
+/**
+ * List counsel's strikes in striking order.
+ *
+ * @param {import('./types').JuryState | undefined} jury - Jury selection state.
+ * @returns {{jurorId: number, struckBy: import('./types').PlayerRole}[]} Strikes by both sides.
+ */
+export const getCounselStrikes = (jury) =>
+  COUNSEL_STRIKE_ORDER.flatMap((role) =>
+    (jury?.strikesByRole?.[role] ?? []).map((jurorId) => ({ jurorId, struckBy: role }))
+  );
+
+/**
+ * Record the court disallowing a strike. Stored with the Batson rulings, since a disallowed strike
+ * reseats the juror the same way a sustained objection does.
+ *
+ * @param {import('./types').Juror} juror - Struck juror.
+ * @param {import('./types').PlayerRole} struckBy - Side that made the strike.
+ * @param {string} reason - The court's reason for disallowing it.
+ * @param {string} timestamp - ISO timestamp for the ruling.
+ * @returns {import('./types').BatsonChallenge} Sustained ruling raised by the court.
+ */
+export const buildStrikeRuling = (juror, struckBy, reason, timestamp) => ({
+  id: `batson-${juror.id}-${Date.parse(timestamp)}`,
+  jurorId: juror.id,
+  objectedBy: PLAYER_ROLES.JUDGE,
+  argument: reason,
+  ruling: 'sustained',
+  reasoning: '',
+  docketEntry: `The court disallows the ${struckBy}'s strike of Juror #${juror.id} (${juror.name}); the juror is reseated.`,
+  timestamp,
+});
+
+/**
+ * Build the motion ruling the player entered from the bench. It has the same shape as a model
+ * ruling so the evidence diff, dispositions, and docket read it unchanged; the score is left for
+ * the appellate reviewer.
+ *
+ * @param {object} params - Ruling inputs.
+ * @param {'GRANTED' | 'DENIED' | 'PARTIALLY GRANTED'} params.ruling - Disposition of the motion.
+ * @param {string} params.opinion - The court's reasoning.
+ * @param {Record<number, import('./types').EvidenceStatus>} params.evidenceStatuses - Status of
+ * every evidence item, keyed by ID.
+ * @param {{isDismissed: boolean, withPrejudice: boolean}} params.dismissal - Whether the ruling
+ * dismisses the case.
+ * @returns {import('./types').MotionResult} Motion ruling.
+ */
+export const buildBenchMotionRuling = ({ ruling, opinion, evidenceStatuses, dismissal }) => {
+  const updates = Object.entries(evidenceStatuses).map(([id, status]) => ({
+    id: Number(id),
+    status,
+  }));
+  const suppressedIds = updates
+    .filter((update) => update.status === 'suppressed')
+    .map((update) => update.id);
+  const decisionRuling = dismissal.isDismissed
+    ? 'dismissed'
+    : ruling.toLowerCase().replace(' ', '_');
+  return {
+    ruling,
+    decision: {
+      ruling: decisionRuling,
+      dismissal: {
+        isDismissed: dismissal.isDismissed,
+        withPrejudice: dismissal.isDismissed && dismissal.withPrejudice,
+      },
+      opinion,
+    },
+    outcome_text: opinion,
+    score: null,
+    evidence_status_updates: updates,
+    accountability: { sanction_recommended: false, severity: null, target: null, reason: null },
+    breakdown: {
+      issues: [
+        {
+          id: 'bench-ruling',
+          label: 'Ruling from the bench',
+          disposition: ruling,
+          reasoning: opinion,
+          affectedEvidenceIds: suppressedIds,
+        },
+      ],
+      docket_entries: suppressedIds.map((id) => `Evidence #${id} suppressed.`),
+    },
+  };
+};
+
+/**
+ * Build the verdict the player entered from the bench. Scores are filled in by the appellate
+ * review once it comes back.
+ *
+ * @param {object} params - Verdict inputs.
+ * @param {string} params.finalRuling - One of `BENCH_VERDICTS`.
+ * @param {string} params.opinion - The court's written opinion.
+ * @returns {import('./types').VerdictResult} Verdict without scores.
+ */
+export const buildBenchVerdict = ({ finalRuling, opinion }) => ({
+  jury_verdict: 'N/A',
+  jury_reasoning: 'N/A',
+  jury_score: 0,
+  deliberation: null,
+  damages_awarded: null,
+  judge_score: null,
+  judge_opinion: opinion,
+  final_ruling: finalRuling,
+  disposition:
+    finalRuling === 'Guilty' ? FINAL_DISPOSITIONS.GUILTY : FINAL_DISPOSITIONS.NOT_GUILTY,
+  dismissal: { isDismissed: false, withPrejudice: false },
+  is_jnov: false,
+  final_weighted_score: null,
+  overflow_reason_code: null,
+  overflow_explanation: null,
+  achievement_title: null,
+  accountability: { sanction_recommended: false, severity: null, target: null, reason: null },
+});
+
+/**
+ * List the rulings the appellate reviewer scores, in the order an appeal lists them.
+ *
+ * @param {import('./types').HistoryState} historyState - Docket history at disposition.
+ * @returns {string[]} Issue values from `APPEALABLE_ISSUES`.
+ */
+export const getReviewIssues = (historyState) =>
+  getAppealableIssues({ docketSnapshot: { sections: historyState } });
+
+/**
+ * Extract the record the appellate reviewer weighs: the appeal record, plus the evidence calls,
+ * each side's strikes and reasons, the strikes the court disallowed, and both closings.
+ *
+ * @param {import('./types').HistoryState} historyState - Docket history at disposition.
+ * @returns {object} Record keyed by issue value, plus the final disposition.
+ */
+export const buildJudicialReviewRecord = (historyState) => {
+  const record = buildAppealRecord({
+    docketSnapshot: { sections: historyState },
+    outcome: historyState.disposition?.type ?? null,
+  });
+  const { jury, motion, trial } = historyState;
+  if (record.motion_ruling) {
+    record.motion_ruling.dismissal = motion.ruling.decision?.dismissal ?? null;
+    record.motion_ruling.evidence = (historyState.case?.evidence ?? []).map((item) => ({
+      id: item.id,
+      text: item.text,
+      status: item.status,
+    }));
+  }
+  if (record.jury_selection) {
+    const { playerStrikes, opponentStrikes, ...jurySelection } = record.jury_selection;
+    record.jury_selection = {
+      ...jurySelection,
+      strikes: COUNSEL_STRIKE_ORDER.map((role) => ({
+        side: role,
+        jurorIds: jury.strikesByRole?.[role] ?? [],
+        reasons: jury.strikeReasons?.[role] ?? null,
+      })),
+      disallowedStrikes: (jury.batsonChallenges ?? []).map((entry) => ({
+        ruling: entry.docketEntry,
+        reason: entry.argument,
+      })),
+      struckCount: playerStrikes.length + opponentStrikes.length,
+    };
+  }
+  if (record.verdict) {
+    record.verdict.closings = trial.closings ?? null;
+  }
+  return record;
+};
+
+/**
+ * Compute the review's weighted score from the ruling scores, with `REVIEW_WEIGHTS` spread over
+ * the rulings the case reached.
+ *
+ * @param {import('./types').JudicialReview} review - Parsed appellate review.
+ * @returns {import('./types').ScoreBreakdown} Per-ruling contributions, the computed score, and
+ * any disagreement with the score the reviewer reported.
+ */
+export const computeReviewScore = (review) => {
+  const phaseScores = {};
+  const weights = {};
+  review.rulings.forEach(({ issue, score }) => {
+    phaseScores[REVIEW_ISSUE_PHASES[issue]] = score;
+    weights[REVIEW_ISSUE_PHASES[issue]] = REVIEW_WEIGHTS[issue];
+  });
+  return weighPhaseScores(phaseScores, weights, review.final_weighted_score);
+};
+
+/**
+ * Replace the reviewer's weighted score with the court's. Overflow details are kept only when the
+ * computed score is legendary.
+ *
+ * @param {import('./types').JudicialReview} review - Parsed appellate review.
+ * @param {import('./types').ScoreBreakdown} breakdown - Score computed by `computeReviewScore`.
+ * @returns {import('./types').JudicialReview} Review scored by the court.
+ */
+export const applyReviewScore = (review, breakdown) => {
+  const hasOverflow = isLegendaryScore(breakdown.computed);
+  return {
+    ...review,
+    final_weighted_score: breakdown.computed,
+    overflow_reason_code: hasOverflow ? (review.overflow_reason_code ?? null) : null,
+    overflow_explanation: hasOverflow ? (review.overflow_explanation ?? null) : null,
+    score_breakdown: breakdown,
+  };
+};
+
+/**
+ * Merge the appellate review's scores into the bench verdict for display and run history.
+ *
+ * @param {import('./types').VerdictResult} verdict - Bench verdict.
+ * @param {import('./types').JudicialReview} review - Appellate review scored by the court.
+ * @returns {import('./types').VerdictResult} Scored verdict.
+ */
+export const applyReviewToVerdict = (verdict, review) => ({
+  ...verdict,
+  judge_score: review.rulings.find((entry) => entry.issue === 'verdict')?.score ?? null,
+  final_weighted_score: review.final_weighted_score,
+  overflow_reason_code: review.overflow_reason_code ?? null,
+  overflow_explanation: review.overflow_explanation ?? null,
+  achievement_title: review.achievement_title ?? null,
+  ...(review.score_breakdown ? { score_breakdown: review.score_breakdown } : {}),
+});
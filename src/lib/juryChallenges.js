@@ -0,0 +1,94 @@
+/**
+ * Jury challenge helpers shared by the game hook, docket UI, and prompts.
+ *
+ * Challenges for cause are unlimited but each needs a stated reason and a judge ruling; a granted
+ * challenge excuses the juror before strikes. After strikes, the player may object to any of the
+ * opponent's strikes as discriminatory (a Batson objection); a sustained objection reseats the
+ * juror. Both leave their mark in the juror's `status_history`.
+ */
+
+/** Juror status for a juror excused by a granted challenge for cause. */
+export const EXCUSED_FOR_CAUSE = 'excused_for_cause';
+
+export const CAUSE_RULINGS = Object.freeze({
+  GRANTED: 'granted',
+  DENIED: 'denied',
+});
+
+export const BATSON_RULINGS = Object.freeze({
+  SUSTAINED: 'sustained',
+  OVERRULED: 'overruled',
+});
+
+/**
+ * Collect the IDs of jurors excused for cause.
+ *
+ * @param {import('./types').Juror[]} pool - Current juror pool.
+ * @returns {number[]} Excused juror IDs, in pool order.
+ */
+export const getExcusedJurorIds = (pool) =>
+  (pool ?? []).filter((juror) => juror.status === EXCUSED_FOR_CAUSE).map((juror) => juror.id);
+
+/**
+ * Whether a juror can be challenged for cause: strikes are still open and the juror has not been
+ * excused. A denied challenge may be renewed, for example after more voir dire.
+ *
+ * @param {import('./types').JuryState | undefined} jury - Jury selection state.
+ * @param {number} jurorId - Juror being challenged.
+ * @returns {boolean} True when the challenge may be made.
+ */
+export const canChallengeForCause = (jury, jurorId) => {
+  if (!jury || jury.skipped || jury.locked) return false;
+  const juror = (jury.pool ?? []).find((entry) => entry.id === jurorId);
+  return Boolean(juror) && juror.status !== EXCUSED_FOR_CAUSE;
+};
+
+/**
+ * Whether Batson objections are still open: strikes are in, an opposing strike is still
+ * unchallenged, the player has not accepted the jury, and no motion has been filed yet. Opposing
+ * counsel holds its motion while the window is open.
+ *
+ * @param {import('./types').HistoryState} historyState - Current docket history.
+ * @returns {boolean} True while the opponent's strikes may be challenged.
+ */
+export const isBatsonWindowOpen = (historyState) => {
+  const jury = historyState?.jury;
+  if (!jury?.locked || jury.skipped || jury.challengesClosed) return false;
+  if (historyState.motion?.motionText) return false;
+  return (jury.opponentStrikes ?? []).some(
+    (jurorId) => !(jury.batsonChallenges ?? []).some((challenge) => challenge.jurorId === jurorId)
+  );
+};
+
+/**
+ * Whether the player may object to the opponent's strike of a juror.
+ *
+ * @param {import('./types').HistoryState} historyState - Current docket history.
+ * @param {number} jurorId - Juror struck by the opponent.
+ * @returns {boolean} True when the strike stands and has not drawn an objection yet.
+ */
+export const canRaiseBatson = (historyState, jurorId) =>
+  isBatsonWindowOpen(historyState) &&
+  (historyState.jury.opponentStrikes ?? []).includes(jurorId) &&
+  !(historyState.jury.batsonChallenges ?? []).some((challenge) => challenge.jurorId === jurorId);
+
+/**
+ * Format the challenge rulings for the copied docket.
+ *
+ * @param {import('./types').JuryState} jury - Jury selection state.
+ * @returns {string[]} Docket lines, empty when no challenges were made.
+ */
+export const buildChallengeDocketLines = (jury) => {
+  const lines = [];
+  (jury?.causeChallenges ?? []).forEach((challenge) => {
+    lines.push(
+      `${challenge.docketEntry}\nReason: ${challenge.reason}\nRuling: ${challenge.reasoning}`
+    );
+  });
+  (jury?.batsonChallenges ?? []).forEach((challenge) => {
+    lines.push(
+      `${challenge.docketEntry}\nObjection: ${challenge.argument}\nRuling: ${challenge.reasoning}`
+    );
+  });
+  return lines;
+};
@@ -1,8 +1,25 @@
 import { fetchWithRetry } from './api';
-import { getActiveApiKey } from './runtimeConfig';
+import { logEvent, recordRepairAttempt } from './debugStore';
+import { recordFixtureEntry } from './llmFixtures';
+import { getProviderAdapter } from './llmProviders';
+import { getRepairPrompt } from './prompts';
+import { RESPONSE_SCHEMAS } from './responseSchemas';
+import { deriveDispositionFromVerdict } from './disposition';
+import { MAX_DELIBERATION_ROUNDS, deriveJuryVerdict, getJuryVoteOptions } from './deliberation';
+import { FINAL_DISPOSITIONS } from './constants';
+import {
+  getActiveApiKey,
+  getActiveProvider,
+  getProviderOption,
+  getProviderSettings,
+  getRepairAttemptBudget,
+} from './runtimeConfig';
 
-const GEMINI_ENDPOINT =
-  'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent';
+/**
+ * Error codes raised by response validation. Only these trigger a self-repair follow-up;
+ * configuration and transport failures are surfaced immediately.
+ */
+const REPAIRABLE_ERROR_CODES = new Set(['INVALID_JSON', 'INVALID_RESPONSE', 'INVALID_MOTION_RULING']);
 
 /**
  * Standardized error thrown by the LLM client and response parsers.
@@ -48,14 +65,15 @@ export const getLlmClientErrorMessage = (error, fallback) => {
 };
 
 /**
- * Extract the raw text response from the Gemini API payload.
+ * Extract the raw text response from a provider payload.
  *
+ * @param {import('./llmProviders').ProviderAdapter} adapter - Adapter for the active provider.
  * @param {object} response - API response JSON.
  * @param {string} responseLabel - Context label for error messages.
  * @returns {string} Raw JSON string emitted by the model.
  */
-const extractResponseText = (response, responseLabel) => {
-  const candidateText = response?.candidates?.[0]?.content?.parts?.[0]?.text;
+const extractResponseText = (adapter, response, responseLabel) => {
+  const candidateText = adapter.extractText(response);
   if (typeof candidateText !== 'string') {
     throw createLlmError(`Missing text content in ${responseLabel} response.`, {
       code: 'INVALID_RESPONSE',
@@ -86,102 +104,150 @@ const parseResponseJson = (text, responseLabel) => {
   }
 };
 
+const DEFAULT_VALIDATION_MESSAGE = 'The AI returned an incomplete response. Please try again.';
+
 /**
- * Ensure a value is a non-empty string for response validation.
+ * Describe what a schema node expects, for validation error messages.
  *
- * @param {unknown} value - Value to validate.
- * @param {string} field - Field name for error context.
- * @param {string} responseLabel - Response label for user messaging.
+ * @param {import('./responseSchemas').ResponseSchema} schema - Schema node.
+ * @returns {string} Human-readable expectation.
  */
-const assertString = (value, field, responseLabel) => {
-  if (typeof value !== 'string' || value.trim().length === 0) {
-    throw createLlmError(`Expected ${field} to be a non-empty string.`, {
-      code: 'INVALID_RESPONSE',
-      userMessage: 'The AI returned an incomplete response. Please try again.',
-      context: { field, responseLabel, value },
-    });
+const describeExpectation = (schema) => {
+  if (schema.enum) return `one of ${schema.enum.join(', ')}`;
+  switch (schema.type) {
+    case 'string':
+      return 'a non-empty string';
+    case 'number':
+      return 'a number';
+    case 'boolean':
+      return 'a boolean';
+    case 'array':
+      return 'an array';
+    default:
+      return 'an object';
   }
 };
 
 /**
- * Ensure a value is an array for response validation.
+ * Check a value against a schema node's type and enum constraints (not its children).
  *
- * @param {unknown} value - Value to validate.
- * @param {string} field - Field name for error context.
- * @param {string} responseLabel - Response label for user messaging.
+ * @param {unknown} value - Value to check.
+ * @param {import('./responseSchemas').ResponseSchema} schema - Schema node.
+ * @returns {boolean} Whether the value matches.
  */
-const assertArray = (value, field, responseLabel) => {
-  if (!Array.isArray(value)) {
-    throw createLlmError(`Expected ${field} to be an array.`, {
-      code: 'INVALID_RESPONSE',
-      userMessage: 'The AI returned an incomplete response. Please try again.',
-      context: { field, responseLabel, value },
-    });
-  }
+const matchesSchemaType = (value, schema) => {
+  let matchesType;
+  switch (schema.type) {
+    case 'string':
+      matchesType = typeof value === 'string' && value.trim().length > 0;
+      break;
+    case 'number':
+      matchesType = typeof value === 'number' && !Number.isNaN(value);
+      break;
+    case 'boolean':
+      matchesType = typeof value === 'boolean';
+      break;
+    case 'array':
+      matchesType = Array.isArray(value);
+      break;
+    default:
+      matchesType = Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  }
+  return matchesType && (!schema.enum || schema.enum.includes(value));
 };
 
 /**
- * Ensure a value is a number for response validation.
+ * Validate a value against a response schema node, recursing into objects and arrays.
+ *
+ * Optional properties are skipped when absent or null; present values must still match. A value
+ * that fails its node's type may still pass as one of the node's `alternatives`; a `lenient` node
+ * accepts anything.
  *
  * @param {unknown} value - Value to validate.
- * @param {string} field - Field name for error context.
- * @param {string} responseLabel - Response label for user messaging.
+ * @param {import('./responseSchemas').ResponseSchema} schema - Schema node.
+ * @param {string} path - Dot/bracket path of the value (empty for the root payload).
+ * @param {string} responseLabel - Response label for error context.
+ * @param {string} userMessage - User-facing message for failures.
  */
-const assertNumber = (value, field, responseLabel) => {
-  if (typeof value !== 'number' || Number.isNaN(value)) {
-    throw createLlmError(`Expected ${field} to be a number.`, {
+const validateSchemaNode = (value, schema, path, responseLabel, userMessage) => {
+  if (schema.lenient || (value === null && schema.nullable)) return;
+  if (!matchesSchemaType(value, schema)) {
+    const alternative = schema.alternatives?.find((candidate) =>
+      matchesSchemaType(value, candidate)
+    );
+    if (alternative) {
+      validateSchemaNode(value, alternative, path, responseLabel, userMessage);
+      return;
+    }
+    const field = path || `${responseLabel} response`;
+    throw createLlmError(`Expected ${field} to be ${describeExpectation(schema)}.`, {
       code: 'INVALID_RESPONSE',
-      userMessage: 'The AI returned an incomplete response. Please try again.',
+      userMessage,
       context: { field, responseLabel, value },
     });
   }
-};
 
-/**
- * Ensure a value is a boolean for response validation.
- *
- * @param {unknown} value - Value to validate.
- * @param {string} field - Field name for error context.
- * @param {string} responseLabel - Response label for user messaging.
- */
-const assertBoolean = (value, field, responseLabel) => {
-  if (typeof value !== 'boolean') {
-    throw createLlmError(`Expected ${field} to be a boolean.`, {
-      code: 'INVALID_RESPONSE',
-      userMessage: 'The AI returned an incomplete response. Please try again.',
-      context: { field, responseLabel, value },
+  if (schema.type === 'array') {
+    value.forEach((item, index) =>
+      validateSchemaNode(item, schema.items, `${path}[${index}]`, responseLabel, userMessage)
+    );
+    return;
+  }
+
+  if (schema.type === 'object') {
+    const required = new Set(schema.required ?? []);
+    Object.entries(schema.properties ?? {}).forEach(([key, childSchema]) => {
+      const childValue = value[key];
+      if ((childValue === undefined || childValue === null) && !required.has(key)) return;
+      const childPath = path ? `${path}.${key}` : key;
+      validateSchemaNode(childValue, childSchema, childPath, responseLabel, userMessage);
     });
   }
 };
 
 /**
- * Ensure a value is either undefined/null or a non-empty string.
+ * Validate a full response payload against its declared schema.
  *
- * @param {unknown} value - Value to validate.
- * @param {string} field - Field name for error context.
- * @param {string} responseLabel - Response label for user messaging.
+ * @param {unknown} payload - Parsed JSON payload.
+ * @param {string} responseLabel - Response label whose schema applies.
  */
-const assertOptionalString = (value, field, responseLabel) => {
-  if (value === undefined || value === null) return;
-  assertString(value, field, responseLabel);
+const validateResponseSchema = (payload, responseLabel) => {
+  const schema = RESPONSE_SCHEMAS[responseLabel];
+  validateSchemaNode(
+    payload,
+    schema,
+    '',
+    responseLabel,
+    schema.userMessage ?? DEFAULT_VALIDATION_MESSAGE
+  );
 };
 
 /**
- * Ensure a value is either undefined/null or a number.
+ * Require a property that the schema marks optional but a cross-field rule makes mandatory
+ * (for example jurors on jury trials).
  *
- * @param {unknown} value - Value to validate.
- * @param {string} field - Field name for error context.
- * @param {string} responseLabel - Response label for user messaging.
+ * @param {object} payload - Parsed JSON payload.
+ * @param {string} responseLabel - Response label whose schema applies.
+ * @param {string} key - Property to require.
  */
-const assertOptionalNumber = (value, field, responseLabel) => {
-  if (value === undefined || value === null) return;
-  assertNumber(value, field, responseLabel);
+const requireSchemaProperty = (payload, responseLabel, key) => {
+  const schema = RESPONSE_SCHEMAS[responseLabel];
+  validateSchemaNode(
+    payload[key],
+    { ...schema.properties[key], nullable: false },
+    key,
+    responseLabel,
+    schema.userMessage ?? DEFAULT_VALIDATION_MESSAGE
+  );
 };
 
 /**
- * Validate accountability output for sanctions tracking.
+ * Normalize accountability output for sanctions tracking.
  *
- * @param {unknown} value - Accountability payload to validate.
+ * Types and enums are enforced by the response schema; this adds the rule that a recommended
+ * sanction must name its severity, target, and reason.
+ *
+ * @param {unknown} value - Schema-validated accountability payload.
  * @param {string} responseLabel - Response label for user messaging.
  * @returns {{sanction_recommended: boolean, severity: string | null, target: string | null, reason: string | null}}
  */
@@ -194,64 +260,25 @@ const parseAccountability = (value, responseLabel) => {
       reason: null,
     };
   }
-  if (typeof value !== 'object' || Array.isArray(value)) {
-    throw createLlmError('Accountability payload is missing or invalid.', {
-      code: 'INVALID_RESPONSE',
-      userMessage: 'The AI returned an incomplete response. Please try again.',
-      context: { field: 'accountability', responseLabel, value },
-    });
-  }
   const { sanction_recommended, severity, target, reason } = value;
-  assertBoolean(sanction_recommended, 'accountability.sanction_recommended', responseLabel);
-
-  let normalizedSeverity = null;
-  if (severity !== undefined && severity !== null) {
-    assertString(severity, 'accountability.severity', responseLabel);
-    if (!['warning', 'sanction', 'disbarment'].includes(severity)) {
-      throw createLlmError('Accountability severity is invalid.', {
-        code: 'INVALID_RESPONSE',
-        userMessage: 'The AI returned an incomplete response. Please try again.',
-        context: { severity, responseLabel },
-      });
-    }
-    normalizedSeverity = severity;
-  }
-
-  let normalizedTarget = null;
-  if (target !== undefined && target !== null) {
-    assertString(target, 'accountability.target', responseLabel);
-    if (!['prosecution', 'defense'].includes(target)) {
-      throw createLlmError('Accountability target is invalid.', {
-        code: 'INVALID_RESPONSE',
-        userMessage: 'The AI returned an incomplete response. Please try again.',
-        context: { target, responseLabel },
-      });
-    }
-    normalizedTarget = target;
-  }
-
-  let normalizedReason = null;
-  if (reason !== undefined && reason !== null) {
-    assertString(reason, 'accountability.reason', responseLabel);
-    normalizedReason = reason.trim();
-  }
+  const normalized = {
+    sanction_recommended,
+    severity: severity ?? null,
+    target: target ?? null,
+    reason: typeof reason === 'string' ? reason.trim() : null,
+  };
 
   if (sanction_recommended) {
-    if (!normalizedSeverity || !normalizedTarget || !normalizedReason) {
+    if (!normalized.severity || !normalized.target || !normalized.reason) {
       throw createLlmError('Accountability details are required when sanctions are recommended.', {
         code: 'INVALID_RESPONSE',
-        userMessage: 'The AI returned an incomplete response. Please try again.',
+        userMessage: DEFAULT_VALIDATION_MESSAGE,
         context: { value, responseLabel },
       });
     }
   }
 
-  return {
-    sanction_recommended,
-    severity: normalizedSeverity,
-    target: normalizedTarget,
-    reason: normalizedReason,
-  };
+  return normalized;
 };
 
 /**
@@ -262,44 +289,6 @@ const parseAccountability = (value, responseLabel) => {
  */
 const normalizeProfileField = (value) => (typeof value === 'string' ? value.trim() : '');
 
-/**
- * Ensure an array contains only numbers for response validation.
- *
- * @param {unknown} value - Value to validate.
- * @param {string} field - Field name for error context.
- * @param {string} responseLabel - Response label for user messaging.
- */
-const assertNumberArray = (value, field, responseLabel) => {
-  assertArray(value, field, responseLabel);
-  const invalidEntry = value.find((item) => typeof item !== 'number' || Number.isNaN(item));
-  if (invalidEntry !== undefined) {
-    throw createLlmError(`Expected ${field} entries to be numbers.`, {
-      code: 'INVALID_RESPONSE',
-      userMessage: 'The AI returned an incomplete response. Please try again.',
-      context: { field, responseLabel, invalidEntry, value },
-    });
-  }
-};
-
-/**
- * Ensure an array contains only non-empty strings for response validation.
- *
- * @param {unknown} value - Value to validate.
- * @param {string} field - Field name for error context.
- * @param {string} responseLabel - Response label for user messaging.
- */
-const assertStringArray = (value, field, responseLabel) => {
-  assertArray(value, field, responseLabel);
-  const invalidEntry = value.find((item) => typeof item !== 'string' || item.trim().length === 0);
-  if (invalidEntry !== undefined) {
-    throw createLlmError(`Expected ${field} entries to be non-empty strings.`, {
-      code: 'INVALID_RESPONSE',
-      userMessage: 'The AI returned an incomplete response. Please try again.',
-      context: { field, responseLabel, invalidEntry, value },
-    });
-  }
-};
-
 /**
  * Normalize evidence entries into docket-ready objects.
  *
@@ -325,85 +314,161 @@ const normalizeEvidenceItems = (value) => {
 };
 
 /**
- * Request JSON from the Gemini API using a system prompt and user prompt string.
+ * Send one prompt pair to the provider and return the raw response text.
  *
- * @param {{systemPrompt: string, userPrompt: string, responseLabel?: string}} params - Prompt configuration.
- * @returns {Promise<{parsed: object, rawText: string}>} Parsed JSON payload and raw response text.
+ * @param {{provider: string, adapter: import('./llmProviders').ProviderAdapter, apiKey: string, systemPrompt: string, userPrompt: string, responseLabel: string, responseSchema?: import('./responseSchemas').ResponseSchema}} params - Request configuration.
+ * @returns {Promise<string>} Raw response text.
  */
-export const requestLlmJson = async ({ systemPrompt, userPrompt, responseLabel = 'response' }) => {
-  const apiKey = getActiveApiKey();
-  if (!apiKey) {
-    throw createLlmError('Missing Gemini API key.', {
-      code: 'CONFIG_MISSING',
-      userMessage: 'LLM API key is missing. Please check configuration.',
-      context: { responseLabel },
-    });
-  }
-
+const fetchResponseText = async ({
+  provider,
+  adapter,
+  apiKey,
+  systemPrompt,
+  userPrompt,
+  responseLabel,
+  responseSchema,
+}) => {
   try {
-    const response = await fetchWithRetry(`${GEMINI_ENDPOINT}?key=${apiKey}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: userPrompt }] }],
-        systemInstruction: { parts: [{ text: systemPrompt }] },
-        generationConfig: { responseMimeType: 'application/json' },
-      }),
-    });
+    let response;
+    if (adapter.respond) {
+      response = await adapter.respond({ systemPrompt, userPrompt, responseLabel });
+    } else {
+      const { url, options } = adapter.buildRequest({
+        systemPrompt,
+        userPrompt,
+        apiKey,
+        responseSchema,
+        ...getProviderSettings(provider),
+      });
+      response = await fetchWithRetry(url, options);
+    }
 
-    const responseText = extractResponseText(response, responseLabel);
-    return {
-      parsed: parseResponseJson(responseText, responseLabel),
-      rawText: responseText,
-    };
+    const responseText = extractResponseText(adapter, response, responseLabel);
+    recordFixtureEntry({ responseLabel, systemPrompt, userPrompt, rawText: responseText, provider });
+    return responseText;
   } catch (error) {
     if (error instanceof LlmClientError) {
       throw error;
     }
+    const mapped = adapter.mapError(error);
     throw createLlmError(`LLM request failed for ${responseLabel}.`, {
-      code: 'REQUEST_FAILED',
-      userMessage: 'The AI request failed. Please try again.',
+      code: mapped?.code ?? 'REQUEST_FAILED',
+      userMessage: mapped?.userMessage ?? 'The AI request failed. Please try again.',
       cause: error,
-      context: { responseLabel },
+      context: { responseLabel, provider },
     });
   }
 };
 
 /**
- * Validate and return a case generation response.
+ * Request JSON from the active LLM provider using a system prompt and user prompt string.
  *
- * @param {object} payload - Parsed JSON payload.
- * @returns {object} Sanitized case payload.
+ * The provider adapter owns the wire format, JSON mode, and transport error mapping; this
+ * wrapper keeps key checks, JSON parsing, and error shapes identical across providers. Offline
+ * adapters answer through `respond` instead of the network, and every raw response is offered to
+ * the fixture recorder before parsing so malformed replies can be reproduced too.
+ *
+ * The response schema registered for `responseLabel` is forwarded to adapters that support
+ * structured output.
+ *
+ * When the reply is malformed JSON, or `validate` throws a validation `LlmClientError`, the
+ * client sends a repair follow-up containing the rejected output and the exact failure, up to
+ * `maxRepairAttempts` times. `validate` receives a copy of the payload, so callers still parse
+ * the returned `parsed` value themselves. Every attempt is recorded in the debug store.
+ *
+ * @param {{systemPrompt: string, userPrompt: string, responseLabel?: string, responseSchema?: import('./responseSchemas').ResponseSchema, validate?: (payload: object) => unknown, maxRepairAttempts?: number}} params - Prompt configuration.
+ * @returns {Promise<{parsed: object, rawText: string}>} Parsed JSON payload and raw text of the
+ * accepted response.
  */
-export const parseCaseResponse = (payload) => {
-  if (!payload || typeof payload !== 'object') {
-    throw createLlmError('Case response is not an object.', {
-      code: 'INVALID_RESPONSE',
-      userMessage: 'The AI returned an incomplete case. Please try again.',
-      context: { payload },
+export const requestLlmJson = async ({
+  systemPrompt,
+  userPrompt,
+  responseLabel = 'response',
+  responseSchema = RESPONSE_SCHEMAS[responseLabel],
+  validate,
+  maxRepairAttempts = getRepairAttemptBudget(),
+}) => {
+  const provider = getActiveProvider();
+  const providerOption = getProviderOption(provider);
+  const adapter = getProviderAdapter(provider);
+  const apiKey = getActiveApiKey(provider);
+  if (providerOption.requiresApiKey && !apiKey) {
+    throw createLlmError(`Missing ${providerOption.label} API key.`, {
+      code: 'CONFIG_MISSING',
+      userMessage: 'LLM API key is missing. Please check configuration.',
+      context: { responseLabel, provider },
     });
   }
 
-  assertString(payload.title, 'title', 'case');
-  assertArray(payload.facts, 'facts', 'case');
-  assertBoolean(payload.is_jury_trial, 'is_jury_trial', 'case');
-
-  if (!payload.judge || typeof payload.judge !== 'object') {
-    throw createLlmError('Missing judge in case response.', {
-      code: 'INVALID_RESPONSE',
-      userMessage: 'The AI returned an incomplete case. Please try again.',
-      context: { payload },
-    });
+  const request = { provider, adapter, apiKey, systemPrompt, responseLabel, responseSchema };
+  let attemptPrompt = userPrompt;
+  for (let attempt = 0; ; attempt += 1) {
+    const rawText = await fetchResponseText({ ...request, userPrompt: attemptPrompt });
+    try {
+      const parsed = parseResponseJson(rawText, responseLabel);
+      validate?.(structuredClone(parsed));
+      if (attempt > 0) {
+        recordRepairAttempt({
+          responseLabel,
+          attempt: attempt + 1,
+          maxAttempts: maxRepairAttempts + 1,
+          outcome: 'repaired',
+        });
+        logEvent(`LLM ${responseLabel} response repaired after ${attempt} attempt(s).`);
+      }
+      return { parsed, rawText };
+    } catch (error) {
+      if (!(error instanceof LlmClientError) || !REPAIRABLE_ERROR_CODES.has(error.code)) {
+        throw error;
+      }
+      const canRetry = attempt < maxRepairAttempts;
+      recordRepairAttempt({
+        responseLabel,
+        attempt: attempt + 1,
+        maxAttempts: maxRepairAttempts + 1,
+        code: error.code,
+        failure: error.message,
+        rawText,
+        outcome: canRetry ? 'retrying' : 'exhausted',
+      });
+      if (!canRetry) {
+        throw error;
+      }
+      logEvent(
+        `LLM ${responseLabel} response rejected (${error.code}); requesting repair ${attempt + 1}/${maxRepairAttempts}.`
+      );
+      attemptPrompt = getRepairPrompt({ userPrompt, rawText, failure: error.message });
+    }
   }
+};
 
-  assertString(payload.judge.name, 'judge.name', 'case');
+/**
+ * Validate and return a case generation response. Civil cases must name the plaintiff and the
+ * damages they seek.
+ *
+ * @param {object} payload - Parsed JSON payload.
+ * @param {{isCivil?: boolean}} [options] - Whether a civil case was requested.
+ * @returns {object} Sanitized case payload.
+ */
+export const parseCaseResponse = (payload, { isCivil = false } = {}) => {
+  validateResponseSchema(payload, 'case');
+
+  if (isCivil) {
+    const plaintiff = typeof payload.plaintiff === 'string' ? payload.plaintiff.trim() : '';
+    if (!plaintiff || !(payload.damages_sought > 0)) {
+      throw createLlmError('Civil case is missing the plaintiff or the damages sought.', {
+        code: 'INVALID_RESPONSE',
+        userMessage: 'The AI returned an incomplete case. Please try again.',
+        context: { plaintiff: payload.plaintiff, damagesSought: payload.damages_sought },
+      });
+    }
+  }
 
   if (payload.is_jury_trial) {
-    assertArray(payload.jurors, 'jurors', 'case');
+    requireSchemaProperty(payload, 'case', 'jurors');
     const seenJurorIds = new Set();
     payload.jurors.forEach((juror, index) => {
       const fieldLabel = `jurors[${index}].id`;
-      assertNumber(juror?.id, fieldLabel, 'case');
       if (seenJurorIds.has(juror.id)) {
         throw createLlmError(`Duplicate juror id at ${fieldLabel}.`, {
           code: 'INVALID_RESPONSE',
@@ -418,7 +483,9 @@ export const parseCaseResponse = (payload) => {
   const opposingCounselPayload = payload.opposing_counsel;
   const opposingStatement = normalizeProfileField(payload.opposing_statement);
   const hasOpposingCounsel =
-    opposingCounselPayload && typeof opposingCounselPayload === 'object' && !Array.isArray(opposingCounselPayload);
+    Boolean(opposingCounselPayload) &&
+    typeof opposingCounselPayload === 'object' &&
+    !Array.isArray(opposingCounselPayload);
   const hasOpposingStatement = opposingStatement.length > 0;
 
   if (!hasOpposingCounsel && !hasOpposingStatement) {
@@ -451,18 +518,60 @@ export const parseCaseResponse = (payload) => {
  * @returns {object} Sanitized jury response payload.
  */
 export const parseJuryResponse = (payload) => {
-  if (!payload || typeof payload !== 'object') {
-    throw createLlmError('Jury response is not an object.', {
+  validateResponseSchema(payload, 'jury');
+  return payload;
+};
+
+/**
+ * Validate and return voir dire answers. Every questioned juror must answer exactly once, and
+ * no one else may.
+ *
+ * @param {object} payload - Parsed JSON payload.
+ * @param {number[]} jurorIds - IDs of the questioned jurors.
+ * @returns {{answers: {juror_id: number, answer: string}[]}} Answers in questioned-juror order.
+ */
+export const parseVoirDireResponse = (payload, jurorIds) => {
+  validateResponseSchema(payload, 'voir_dire');
+  const answered = payload.answers.map((entry) => entry.juror_id);
+  const unexpected = answered.filter((id) => !jurorIds.includes(id));
+  const missing = jurorIds.filter((id) => !answered.includes(id));
+  if (unexpected.length > 0 || missing.length > 0 || answered.length !== jurorIds.length) {
+    throw createLlmError('Voir dire answers did not match the questioned jurors.', {
       code: 'INVALID_RESPONSE',
-      userMessage: 'The AI returned an incomplete jury response. Please try again.',
-      context: { payload },
+      userMessage: 'The jurors did not all answer the question. Please retry.',
+      context: { answered, jurorIds },
     });
   }
+  payload.answers = jurorIds.map((id) => {
+    const entry = payload.answers.find((candidate) => candidate.juror_id === id);
+    return { juror_id: id, answer: entry.answer.trim() };
+  });
+  return payload;
+};
 
-  assertNumberArray(payload.opponent_strikes, 'opponent_strikes', 'jury');
-  assertNumberArray(payload.seated_juror_ids, 'seated_juror_ids', 'jury');
-  assertString(payload.judge_comment, 'judge_comment', 'jury');
+/**
+ * Validate and return a ruling on a challenge for cause.
+ *
+ * @param {object} payload - Parsed JSON payload.
+ * @returns {{ruling: 'granted' | 'denied', reasoning: string, docket_entry: string}} Ruling.
+ */
+export const parseCauseChallengeResponse = (payload) => {
+  validateResponseSchema(payload, 'cause_challenge');
+  payload.reasoning = payload.reasoning.trim();
+  payload.docket_entry = payload.docket_entry.trim();
+  return payload;
+};
 
+/**
+ * Validate and return a ruling on a Batson objection to an opposing strike.
+ *
+ * @param {object} payload - Parsed JSON payload.
+ * @returns {{ruling: 'sustained' | 'overruled', reasoning: string, docket_entry: string}} Ruling.
+ */
+export const parseBatsonResponse = (payload) => {
+  validateResponseSchema(payload, 'batson');
+  payload.reasoning = payload.reasoning.trim();
+  payload.docket_entry = payload.docket_entry.trim();
   return payload;
 };
 
@@ -473,191 +582,186 @@ export const parseJuryResponse = (payload) => {
  * @returns {object} Sanitized motion response payload.
  */
 export const parseMotionResponse = (payload) => {
-  if (!payload || typeof payload !== 'object') {
-    throw createLlmError('Motion response is not an object.', {
-      code: 'INVALID_RESPONSE',
-      userMessage: 'The AI returned an incomplete motion ruling. Please try again.',
-      context: { payload },
-    });
-  }
+  validateResponseSchema(payload, 'motion');
+  payload.outcome_text = payload.decision.opinion;
+  payload.accountability = parseAccountability(payload.accountability, 'motion');
 
-  assertString(payload.ruling, 'ruling', 'motion');
-  if (!['GRANTED', 'DENIED', 'PARTIALLY GRANTED'].includes(payload.ruling)) {
-    throw createLlmError('Motion response has an invalid ruling disposition.', {
-      code: 'INVALID_RESPONSE',
-      userMessage: 'The AI returned an incomplete motion ruling. Please try again.',
-      context: { ruling: payload.ruling },
-    });
-  }
-  if (!payload.decision || typeof payload.decision !== 'object') {
-    throw createLlmError('Motion response is missing a structured decision.', {
-      code: 'INVALID_RESPONSE',
-      userMessage: 'The AI returned an incomplete motion ruling. Please try again.',
-      context: { decision: payload.decision },
-    });
-  }
+  return payload;
+};
 
-  if (!['granted', 'denied', 'partially_granted', 'dismissed'].includes(payload.decision.ruling)) {
-    throw createLlmError('Motion decision has an invalid ruling.', {
-      code: 'INVALID_RESPONSE',
-      userMessage: 'The AI returned an incomplete motion ruling. Please try again.',
-      context: { decision: payload.decision },
-    });
-  }
+/**
+ * Validate and return a witness examination answer.
+ *
+ * @param {object} payload - Parsed JSON payload.
+ * @returns {{answer: string}} Sanitized witness answer payload.
+ */
+export const parseWitnessResponse = (payload) => {
+  validateResponseSchema(payload, 'witness');
+  payload.answer = payload.answer.trim();
+  return payload;
+};
 
-  if (!payload.decision.dismissal || typeof payload.decision.dismissal !== 'object') {
-    throw createLlmError('Motion decision is missing dismissal metadata.', {
-      code: 'INVALID_RESPONSE',
-      userMessage: 'The AI returned an incomplete motion ruling. Please try again.',
-      context: { decision: payload.decision },
-    });
-  }
+/**
+ * Validate and return an objection ruling response.
+ *
+ * @param {object} payload - Parsed JSON payload.
+ * @returns {{ruling: 'sustained' | 'overruled', reasoning: string, docket_entry: string}} Ruling.
+ */
+export const parseObjectionResponse = (payload) => {
+  validateResponseSchema(payload, 'objection');
+  payload.reasoning = payload.reasoning.trim();
+  payload.docket_entry = payload.docket_entry.trim();
+  return payload;
+};
 
-  if (typeof payload.decision.dismissal.isDismissed !== 'boolean') {
-    throw createLlmError('Motion decision dismissal.isDismissed must be boolean.', {
-      code: 'INVALID_RESPONSE',
-      userMessage: 'The AI returned an incomplete motion ruling. Please try again.',
-      context: { decision: payload.decision },
-    });
-  }
+/**
+ * Validate and return a motion text response.
+ *
+ * @param {object} payload - Parsed JSON payload.
+ * @returns {object} Sanitized motion text payload.
+ */
+export const parseMotionTextResponse = (payload) => {
+  validateResponseSchema(payload, 'motion_text');
+  return payload;
+};
+
+/**
+ * Determine whether an optional jury field carries a real value on a bench trial.
+ *
+ * @param {unknown} value - Jury field value.
+ * @returns {boolean} True when the value is more than an "N/A" placeholder.
+ */
+const hasJuryOutput = (value) => {
+  if (typeof value === 'number') return value !== 0;
+  if (typeof value !== 'string') return false;
+  const normalized = value.trim().toLowerCase();
+  return normalized.length > 0 && !['n/a', 'na'].includes(normalized);
+};
 
-  if (typeof payload.decision.dismissal.withPrejudice !== 'boolean') {
-    throw createLlmError('Motion decision dismissal.withPrejudice must be boolean.', {
+/**
+ * Validate the jury's deliberation rounds: numbered in order, at most `MAX_DELIBERATION_ROUNDS`,
+ * and each with exactly one vote and rationale from every seated juror.
+ *
+ * @param {unknown} deliberation - Deliberation rounds from the verdict payload.
+ * @param {number[]} seatedJurorIds - IDs of the seated jurors.
+ * @param {boolean} isCivil - Whether jurors vote liable/not liable instead of guilty/not guilty.
+ * @returns {import('./types').DeliberationRound[]} Sanitized rounds.
+ */
+const parseDeliberation = (deliberation, seatedJurorIds, isCivil) => {
+  const fail = (message, context) => {
+    throw createLlmError(message, {
       code: 'INVALID_RESPONSE',
-      userMessage: 'The AI returned an incomplete motion ruling. Please try again.',
-      context: { decision: payload.decision },
+      userMessage: 'The jury did not record a complete vote. Please retry.',
+      context,
     });
+  };
+  if (!Array.isArray(deliberation) || deliberation.length === 0) {
+    fail('Jury verdict is missing deliberation rounds.', { deliberation });
   }
-
-  assertString(payload.decision.opinion, 'decision.opinion', 'motion');
-  payload.outcome_text = payload.decision.opinion;
-  assertNumber(payload.score, 'score', 'motion');
-  assertArray(payload.evidence_status_updates, 'evidence_status_updates', 'motion');
-
-  payload.evidence_status_updates.forEach((update, index) => {
-    if (!update || typeof update !== 'object') {
-      throw createLlmError(`Evidence status update ${index + 1} is not an object.`, {
-        code: 'INVALID_RESPONSE',
-        userMessage: 'The AI returned an incomplete motion ruling. Please try again.',
-        context: { update, index },
-      });
-    }
-    assertNumber(update.id, `evidence_status_updates[${index}].id`, 'motion');
-    if (update.status !== 'admissible' && update.status !== 'suppressed') {
-      throw createLlmError(
-        `Evidence status update ${index + 1} has invalid status.`,
-        {
-          code: 'INVALID_RESPONSE',
-          userMessage: 'The AI returned an incomplete motion ruling. Please try again.',
-          context: { update, index },
-        }
-      );
-    }
-  });
-
-  if (!payload.breakdown || typeof payload.breakdown !== 'object') {
-    throw createLlmError('Motion response is missing a breakdown object.', {
-      code: 'INVALID_RESPONSE',
-      userMessage: 'The AI returned an incomplete motion ruling. Please try again.',
-      context: { breakdown: payload.breakdown },
+  if (deliberation.length > MAX_DELIBERATION_ROUNDS) {
+    fail(`Jury deliberated for more than ${MAX_DELIBERATION_ROUNDS} rounds.`, {
+      rounds: deliberation.length,
     });
   }
-
-  assertArray(payload.breakdown.issues, 'breakdown.issues', 'motion');
-  payload.breakdown.issues.forEach((issue, index) => {
-    if (!issue || typeof issue !== 'object') {
-      throw createLlmError(`Breakdown issue ${index + 1} is not an object.`, {
-        code: 'INVALID_RESPONSE',
-        userMessage: 'The AI returned an incomplete motion ruling. Please try again.',
-        context: { issue, index },
+  const voteOptions = getJuryVoteOptions(isCivil);
+  return deliberation.map((round, index) => {
+    const votes = Array.isArray(round?.votes) ? round.votes : [];
+    const voterIds = votes.map((vote) => vote?.juror_id);
+    const strayVote = votes.find((vote) => !voteOptions.includes(vote?.vote));
+    if (strayVote) {
+      fail(`Deliberation round ${index + 1} votes must be ${voteOptions.join(' or ')}.`, {
+        vote: strayVote.vote,
       });
     }
-    assertString(issue.id, `breakdown.issues[${index}].id`, 'motion');
-    assertString(issue.label, `breakdown.issues[${index}].label`, 'motion');
-    assertString(issue.reasoning, `breakdown.issues[${index}].reasoning`, 'motion');
-    if (!['GRANTED', 'DENIED', 'PARTIALLY GRANTED'].includes(issue.disposition)) {
-      throw createLlmError(`Breakdown issue ${index + 1} has invalid disposition.`, {
-        code: 'INVALID_RESPONSE',
-        userMessage: 'The AI returned an incomplete motion ruling. Please try again.',
-        context: { issue, index },
+    const isComplete =
+      votes.length === seatedJurorIds.length &&
+      seatedJurorIds.every((id) => voterIds.includes(id)) &&
+      votes.every((vote) => typeof vote.rationale === 'string' && vote.rationale.trim());
+    if (!isComplete) {
+      fail(`Deliberation round ${index + 1} does not have one vote per seated juror.`, {
+        voterIds,
+        seatedJurorIds,
       });
     }
-    if (issue.affectedEvidenceIds !== undefined && issue.affectedEvidenceIds !== null) {
-      assertNumberArray(
-        issue.affectedEvidenceIds,
-        `breakdown.issues[${index}].affectedEvidenceIds`,
-        'motion'
-      );
-    }
+    return {
+      round: index + 1,
+      votes: seatedJurorIds.map((id) => {
+        const vote = votes.find((candidate) => candidate.juror_id === id);
+        return { juror_id: id, vote: vote.vote, rationale: vote.rationale.trim() };
+      }),
+    };
   });
-
-  assertStringArray(payload.breakdown.docket_entries, 'breakdown.docket_entries', 'motion');
-  payload.accountability = parseAccountability(payload.accountability, 'motion');
-
-  return payload;
 };
 
+const CRIMINAL_VERDICT_DISPOSITIONS = new Set([
+  FINAL_DISPOSITIONS.GUILTY,
+  FINAL_DISPOSITIONS.NOT_GUILTY,
+]);
+const CIVIL_VERDICT_DISPOSITIONS = new Set([
+  FINAL_DISPOSITIONS.JUDGMENT_FOR_PLAINTIFF,
+  FINAL_DISPOSITIONS.JUDGMENT_FOR_DEFENDANT,
+]);
+
 /**
- * Validate and return a motion text response.
+ * Validate a verdict's structured disposition against its dismissal flags, the case type, and the
+ * jury tally. The enum itself is enforced by the response schema. Ruling text that reads as a
+ * different outcome is not an error: the structured disposition decides.
  *
- * @param {object} payload - Parsed JSON payload.
- * @returns {object} Sanitized motion text payload.
+ * @param {object} payload - Schema-validated verdict payload.
+ * @param {boolean} isCivil - Whether the case is a civil suit.
+ * @param {boolean} hasTally - Whether `jury_verdict` was derived from a deliberation tally.
  */
-export const parseMotionTextResponse = (payload) => {
-  if (!payload || typeof payload !== 'object') {
-    throw createLlmError('Motion text response is not an object.', {
+const parseVerdictDisposition = (payload, isCivil, hasTally) => {
+  const { disposition, dismissal } = payload;
+  const fail = (message) => {
+    throw createLlmError(message, {
       code: 'INVALID_RESPONSE',
-      userMessage: 'The AI returned an incomplete motion. Please try again.',
-      context: { payload },
+      userMessage: 'The AI returned an inconsistent verdict. Please retry.',
+      context: { disposition, dismissal, finalRuling: payload.final_ruling },
     });
+  };
+  const wrongCaseType = isCivil ? CRIMINAL_VERDICT_DISPOSITIONS : CIVIL_VERDICT_DISPOSITIONS;
+  if (wrongCaseType.has(disposition)) {
+    fail(`A ${isCivil ? 'civil' : 'criminal'} verdict cannot resolve to ${disposition}.`);
+  }
+  const isDismissal = disposition === FINAL_DISPOSITIONS.DISMISSED;
+  if (dismissal.isDismissed !== isDismissal || (dismissal.withPrejudice && !isDismissal)) {
+    fail('Verdict dismissal flags contradict its disposition.');
+  }
+  if (
+    hasTally &&
+    disposition === FINAL_DISPOSITIONS.MISTRIAL_HUNG_JURY &&
+    payload.jury_verdict !== 'Hung'
+  ) {
+    fail('Verdict disposition declared a hung jury but the final tally was unanimous.');
   }
-
-  assertString(payload.text, 'text', 'motion_text');
-
-  return payload;
 };
 
 /**
- * Validate and return a final verdict response.
+ * Validate and return a final verdict response. Civil verdicts must award damages (zero on a
+ * judgment for the defendant); criminal verdicts must not award any. The structured `disposition`
+ * must agree with the dismissal flags, case type, and jury tally.
  *
  * @param {object} payload - Parsed JSON payload.
- * @param {{isJuryTrial?: boolean, seatedJurorIds?: number[], docketJurorIds?: number[]}} [context] - Docket context.
+ * @param {{isJuryTrial?: boolean, isCivil?: boolean, seatedJurorIds?: number[], docketJurorIds?: number[]}} [context] - Docket context.
  * @returns {object} Sanitized verdict response payload.
  */
 export const parseVerdictResponse = (payload, context = {}) => {
-  if (!payload || typeof payload !== 'object') {
-    throw createLlmError('Verdict response is not an object.', {
-      code: 'INVALID_RESPONSE',
-      userMessage: 'The AI returned an incomplete verdict. Please try again.',
-      context: { payload },
-    });
-  }
-
-  assertString(payload.final_ruling, 'final_ruling', 'verdict');
-  assertNumber(payload.final_weighted_score, 'final_weighted_score', 'verdict');
-  assertString(payload.judge_opinion, 'judge_opinion', 'verdict');
-  assertOptionalString(payload.overflow_reason_code, 'overflow_reason_code', 'verdict');
-  assertOptionalString(payload.overflow_explanation, 'overflow_explanation', 'verdict');
+  validateResponseSchema(payload, 'verdict');
 
   const isJuryTrial = context.isJuryTrial === true;
+  const isCivil = context.isCivil === true;
   if (isJuryTrial) {
-    assertString(payload.jury_verdict, 'jury_verdict', 'verdict');
-    assertString(payload.jury_reasoning, 'jury_reasoning', 'verdict');
-    assertNumber(payload.jury_score, 'jury_score', 'verdict');
+    ['jury_verdict', 'jury_reasoning', 'jury_score'].forEach((key) =>
+      requireSchemaProperty(payload, 'verdict', key)
+    );
   } else if (context.isJuryTrial === false) {
-    assertOptionalString(payload.jury_verdict, 'jury_verdict', 'verdict');
-    assertOptionalString(payload.jury_reasoning, 'jury_reasoning', 'verdict');
-    assertOptionalNumber(payload.jury_score, 'jury_score', 'verdict');
-    const juryVerdict = typeof payload.jury_verdict === 'string' ? payload.jury_verdict.trim() : '';
-    const hasNonBenchVerdict =
-      juryVerdict.length > 0 && !['n/a', 'na'].includes(juryVerdict.toLowerCase());
-    const hasNonBenchReasoning =
-      typeof payload.jury_reasoning === 'string' &&
-      payload.jury_reasoning.trim().length > 0 &&
-      !['n/a', 'na'].includes(payload.jury_reasoning.trim().toLowerCase());
-    const hasNonBenchScore =
-      typeof payload.jury_score === 'number' && payload.jury_score !== 0;
-    if (hasNonBenchVerdict || hasNonBenchReasoning || hasNonBenchScore) {
+    if (
+      hasJuryOutput(payload.jury_verdict) ||
+      hasJuryOutput(payload.jury_reasoning) ||
+      hasJuryOutput(payload.jury_score) ||
+      (Array.isArray(payload.deliberation) && payload.deliberation.length > 0)
+    ) {
       throw createLlmError('Bench trials must not include jury-only outputs.', {
         code: 'INVALID_RESPONSE',
         userMessage: 'The AI returned an invalid verdict. Please retry.',
@@ -678,17 +782,231 @@ export const parseVerdictResponse = (payload, context = {}) => {
     }
   }
 
-  if (payload.final_weighted_score > 100) {
-    if (!payload.overflow_reason_code || !payload.overflow_explanation) {
-      throw createLlmError('Overflow scoring requires a reason code and explanation.', {
+  const seatedJurorIds = Array.isArray(context.seatedJurorIds) ? context.seatedJurorIds : [];
+  if (isJuryTrial && seatedJurorIds.length > 0) {
+    payload.deliberation = parseDeliberation(payload.deliberation, seatedJurorIds, isCivil);
+    payload.jury_verdict = deriveJuryVerdict(payload.deliberation);
+  }
+
+  parseVerdictDisposition(payload, isCivil, isJuryTrial && seatedJurorIds.length > 0);
+
+  const hasDamages = typeof payload.damages_awarded === 'number';
+  if (isCivil) {
+    const judgment = deriveDispositionFromVerdict(payload, { isCivil })?.type ?? null;
+    const isValidAward =
+      hasDamages &&
+      payload.damages_awarded >= 0 &&
+      (judgment !== FINAL_DISPOSITIONS.JUDGMENT_FOR_DEFENDANT || payload.damages_awarded === 0);
+    if (!isValidAward) {
+      throw createLlmError('Civil verdict has a missing or inconsistent damages award.', {
         code: 'INVALID_RESPONSE',
         userMessage: 'The AI returned an incomplete verdict. Please retry.',
-        context: { payload },
+        context: { judgment, damagesAwarded: payload.damages_awarded },
       });
     }
+  } else if (hasDamages) {
+    throw createLlmError('Criminal verdicts must not award damages.', {
+      code: 'INVALID_RESPONSE',
+      userMessage: 'The AI returned an invalid verdict. Please retry.',
+      context: { damagesAwarded: payload.damages_awarded },
+    });
   }
 
   payload.accountability = parseAccountability(payload.accountability, 'verdict');
 
   return payload;
 };
+
+/**
+ * Validate and return a sentencing memorandum response.
+ *
+ * @param {object} payload - Parsed JSON payload.
+ * @returns {{text: string}} Sentencing memorandum payload.
+ */
+export const parseSentencingMemoResponse = (payload) => {
+  validateResponseSchema(payload, 'sentencing_memo');
+  return payload;
+};
+
+/**
+ * Validate and return a sentence, enforcing the jurisdiction's sentencing range.
+ *
+ * @param {object} payload - Parsed JSON payload.
+ * @param {{min: number, max: number}} range - Sentencing range the judge must stay within.
+ * @returns {{term: number, sentence_text: string, reasoning: string, docket_entry: string}}
+ * Sanitized sentence payload with a whole-number term.
+ */
+export const parseSentenceResponse = (payload, range) => {
+  validateResponseSchema(payload, 'sentence');
+  const term = Math.round(payload.term);
+  if (term < range.min || term > range.max) {
+    throw createLlmError(
+      `Sentence term ${payload.term} is outside the range ${range.min}-${range.max}.`,
+      {
+        code: 'INVALID_RESPONSE',
+        userMessage: 'The AI returned a sentence outside the permitted range. Please retry.',
+        context: { term: payload.term, range },
+      }
+    );
+  }
+  payload.term = term;
+  return payload;
+};
+
+/**
+ * Validate and return opposing counsel's answer in a plea negotiation. Counter-offers must stay
+ * within the sentencing range, an opening request must be answered with an offer, and a side that
+ * is out of rounds may only accept or reject.
+ *
+ * @param {object} payload - Parsed JSON payload.
+ * @param {object} context - Negotiation context.
+ * @param {{min: number, max: number}} context.range - Sentencing range for the agreed term.
+ * @param {boolean} context.canOffer - Whether a (counter-)offer is allowed.
+ * @param {boolean} [context.mustOffer] - Whether only an offer will do (the opening offer).
+ * @returns {{action: string, charge: string, term: number, message: string, docket_entry: string}}
+ * Sanitized plea payload with a whole-number term.
+ */
+export const parsePleaResponse = (payload, { range, canOffer, mustOffer = false }) => {
+  validateResponseSchema(payload, 'plea');
+  const invalid = (message, context) =>
+    createLlmError(message, {
+      code: 'INVALID_RESPONSE',
+      userMessage: 'Opposing counsel answered the plea offer out of turn. Please retry.',
+      context,
+    });
+  if (mustOffer && payload.action !== 'offer') {
+    throw invalid('Opening plea request must be answered with an offer.', {
+      action: payload.action,
+    });
+  }
+  if (!canOffer && payload.action === 'offer') {
+    throw invalid('Plea counter-offer made after the final round.', { action: payload.action });
+  }
+  const term = Math.round(payload.term);
+  if (payload.action === 'offer' && (term < range.min || term > range.max)) {
+    throw invalid(`Plea term ${payload.term} is outside the range ${range.min}-${range.max}.`, {
+      term: payload.term,
+      range,
+    });
+  }
+  return {
+    ...payload,
+    charge: payload.charge.trim(),
+    term,
+    message: payload.message.trim(),
+    docket_entry: payload.docket_entry.trim(),
+  };
+};
+
+/**
+ * Validate and return the client's decision on a deal counsel recommended.
+ *
+ * @param {object} payload - Parsed JSON payload.
+ * @returns {{decision: 'accept' | 'reject', statement: string}} Sanitized client payload.
+ */
+export const parsePleaClientResponse = (payload) => {
+  validateResponseSchema(payload, 'plea_client');
+  return { ...payload, statement: payload.statement.trim() };
+};
+
+/**
+ * Validate and return an appellate ruling. Errors may only be found in issues the appellant
+ * raised, a reversal or remand must find at least one, and a remand must instruct the trial court.
+ *
+ * @param {object} payload - Parsed JSON payload.
+ * @param {string[]} issues - Issues cited in the appellate brief.
+ * @returns {object} Sanitized appeal payload.
+ */
+export const parseAppealResponse = (payload, issues) => {
+  validateResponseSchema(payload, 'appeal');
+  const uncited = payload.errors_found
+    .map((error) => error.issue)
+    .filter((issue) => !issues.includes(issue));
+  if (uncited.length > 0) {
+    throw createLlmError(`Appellate panel ruled on issues not raised: ${uncited.join(', ')}.`, {
+      code: 'INVALID_RESPONSE',
+      userMessage: 'The appellate panel ruled on an issue the brief did not raise. Please retry.',
+      context: { uncited, issues },
+    });
+  }
+  if (payload.disposition !== 'affirmed' && payload.errors_found.length === 0) {
+    throw createLlmError(`Appellate panel ${payload.disposition} without finding error.`, {
+      code: 'INVALID_RESPONSE',
+      userMessage: 'The appellate panel did not explain its ruling. Please retry.',
+      context: { disposition: payload.disposition },
+    });
+  }
+  const remandInstructions = payload.remand_instructions?.trim() || null;
+  if (payload.disposition === 'remanded' && !remandInstructions) {
+    throw createLlmError('Appellate remand is missing instructions for the trial court.', {
+      code: 'INVALID_RESPONSE',
+      userMessage: 'The appellate panel remanded without instructions. Please retry.',
+      context: { disposition: payload.disposition },
+    });
+  }
+  payload.remand_instructions = remandInstructions;
+  payload.opinion = payload.opinion.trim();
+  payload.docket_entry = payload.docket_entry.trim();
+  return payload;
+};
+
+/**
+ * Validate and return an opening statement delivered by AI counsel.
+ *
+ * @param {object} payload - Parsed JSON payload.
+ * @returns {{text: string}} Opening statement payload.
+ */
+export const parseOpeningResponse = (payload) => {
+  validateResponseSchema(payload, 'opening');
+  return { ...payload, text: payload.text.trim() };
+};
+
+/**
+ * Validate and return a closing argument drafted by AI counsel.
+ *
+ * @param {object} payload - Parsed JSON payload.
+ * @returns {{text: string}} Closing argument payload.
+ */
+export const parseClosingResponse = (payload) => {
+  validateResponseSchema(payload, 'closing');
+  return { ...payload, text: payload.text.trim() };
+};
+
+/**
+ * Validate and return an appellate review of the player's rulings from the bench. Every reviewed
+ * issue must be scored exactly once on the 0-100 scale; the court computes the weighted score.
+ *
+ * @param {object} payload - Parsed JSON payload.
+ * @param {string[]} issues - Issues the docket records a ruling on.
+ * @returns {object} Sanitized review payload.
+ */
+export const parseJudicialReviewResponse = (payload, issues) => {
+  validateResponseSchema(payload, 'judicial_review');
+  const scored = payload.rulings.map((ruling) => ruling.issue);
+  const missing = issues.filter((issue) => !scored.includes(issue));
+  const unexpected = scored.filter(
+    (issue, index) => !issues.includes(issue) || scored.indexOf(issue) !== index
+  );
+  if (missing.length > 0 || unexpected.length > 0) {
+    throw createLlmError('Judicial review must score each ruling on the docket exactly once.', {
+      code: 'INVALID_RESPONSE',
+      userMessage: 'The reviewing court skipped or repeated a ruling. Please retry.',
+      context: { missing, unexpected, issues },
+    });
+  }
+  const outOfRange = payload.rulings.filter((ruling) => ruling.score < 0 || ruling.score > 100);
+  if (outOfRange.length > 0) {
+    throw createLlmError('Judicial review scores must fall between 0 and 100.', {
+      code: 'INVALID_RESPONSE',
+      userMessage: 'The reviewing court returned an invalid score. Please retry.',
+      context: { scores: outOfRange.map(({ issue, score }) => ({ issue, score })) },
+    });
+  }
+  payload.rulings = payload.rulings.map((ruling) => ({
+    ...ruling,
+    score: Math.round(ruling.score),
+    critique: ruling.critique.trim(),
+  }));
+  payload.opinion = payload.opinion.trim();
+  return payload;
+};
@@ -1,4 +1,5 @@
 import { describe, expect, it } from 'vitest';
+import { __testables as debugTestables, getDebugState } from './debugStore';
 import {
   getLlmClientErrorMessage,
   LlmClientError,
@@ -39,6 +40,37 @@ describe('llmClient response parsers', () => {
     });
   });
 
+  it('accepts object evidence items the case normalizer understands', () => {
+    const payload = { ...baseCase, evidence: [{ id: 4, text: 'Receipt' }, 'Camera still'] };
+
+    expect(parseCaseResponse(payload).evidence).toEqual([
+      { id: 4, text: 'Receipt', status: 'admissible' },
+      { id: 2, text: 'Camera still', status: 'admissible' },
+    ]);
+    expect(() => parseCaseResponse({ ...baseCase, evidence: [{ id: 1 }] })).toThrow(
+      LlmClientError
+    );
+  });
+
+  it('tolerates descriptive case fields in any shape, as the docket views do', () => {
+    const payload = {
+      ...baseCase,
+      charge: null,
+      defendant: 42,
+      judge: { name: 'Hon. Ada Lovelace', philosophy: null, bias: ['strict'] },
+      jurors: [{ id: 1, name: null, age: '30s' }],
+      facts: ['A dispute occurred.', null],
+      opposing_counsel: { name: null, bio: 7 },
+      opposing_statement: 'The state will press every count.',
+    };
+
+    expect(parseCaseResponse(payload).opposing_counsel).toMatchObject({
+      name: '',
+      bio: 'The state will press every count.',
+    });
+    expect(() => parseCaseResponse({ ...payload, jurors: [{ id: '1' }] })).toThrow(LlmClientError);
+  });
+
   it('rejects an invalid case response', () => {
     expect(() => parseCaseResponse({ ...baseCase, title: '' })).toThrow(LlmClientError);
   });
@@ -173,6 +205,8 @@ describe('llmClient response parsers', () => {
   it('accepts a valid verdict response for bench trials', () => {
     const payload = {
       final_ruling: 'Not guilty',
+      disposition: 'not_guilty',
+      dismissal: { isDismissed: false, withPrejudice: false },
       final_weighted_score: 82.5,
       judge_opinion: 'Compelling defense argument.',
       accountability: baseAccountability,
@@ -183,6 +217,8 @@ describe('llmClient response parsers', () => {
   it('accepts a valid verdict response for jury trials', () => {
     const payload = {
       final_ruling: 'Guilty',
+      disposition: 'guilty',
+      dismissal: { isDismissed: false, withPrejudice: false },
       final_weighted_score: 91,
       judge_opinion: 'The evidence was strong.',
       jury_verdict: 'Guilty',
@@ -196,6 +232,8 @@ describe('llmClient response parsers', () => {
   it('accepts a verdict response with overflow details when score exceeds 100', () => {
     const payload = {
       final_ruling: 'Not guilty',
+      disposition: 'not_guilty',
+      dismissal: { isDismissed: false, withPrejudice: false },
       final_weighted_score: 112,
       judge_opinion: 'Exceptional advocacy.',
       overflow_reason_code: 'LEGENDARY_ARGUMENT',
@@ -205,14 +243,78 @@ describe('llmClient response parsers', () => {
     expect(parseVerdictResponse(payload, { isJuryTrial: false })).toEqual(payload);
   });
 
-  it('rejects overflow scores missing a reason code or explanation', () => {
+  it('accepts overflow scores missing a reason code or explanation', () => {
     const payload = {
       final_ruling: 'Not guilty',
+      disposition: 'not_guilty',
+      dismissal: { isDismissed: false, withPrejudice: false },
       final_weighted_score: 105,
       judge_opinion: 'Exceptional advocacy.',
       accountability: baseAccountability,
     };
-    expect(() => parseVerdictResponse(payload, { isJuryTrial: false })).toThrow(LlmClientError);
+    expect(parseVerdictResponse(payload, { isJuryTrial: false })).toEqual(payload);
+  });
+
+  it('accepts a structured disposition that matches its dismissal flags', () => {
+    const payload = {
+      final_ruling: 'Dismissed with prejudice.',
+      disposition: 'dismissed',
+      dismissal: { isDismissed: true, withPrejudice: true },
+      final_weighted_score: 60,
+      judge_opinion: 'The State abused the process.',
+      accountability: baseAccountability,
+    };
+    expect(parseVerdictResponse(payload, { isJuryTrial: false })).toEqual(payload);
+  });
+
+  it('accepts ruling text that disagrees with the structured disposition without logging', () => {
+    debugTestables.resetDebugState();
+    const payload = {
+      final_ruling: 'Guilty on the charge of dismissing an officer.',
+      disposition: 'guilty',
+      dismissal: { isDismissed: false, withPrejudice: false },
+      final_weighted_score: 55,
+      judge_opinion: 'The State proved its case.',
+      accountability: baseAccountability,
+    };
+
+    expect(parseVerdictResponse(payload, { isJuryTrial: false })).toEqual(payload);
+    expect(getDebugState().events).toEqual([]);
+  });
+
+  it('rejects structured dispositions that contradict the flags or the case type', () => {
+    const base = {
+      final_ruling: 'Not guilty',
+      final_weighted_score: 70,
+      judge_opinion: 'Reasonable doubt.',
+      accountability: baseAccountability,
+    };
+    const cleanDismissal = { isDismissed: false, withPrejudice: false };
+
+    expect(() => parseVerdictResponse(base, { isJuryTrial: false })).toThrow(
+      'Expected disposition to be one of'
+    );
+    expect(() =>
+      parseVerdictResponse({ ...base, disposition: 'not_guilty' }, { isJuryTrial: false })
+    ).toThrow('Expected dismissal to be an object.');
+    expect(() =>
+      parseVerdictResponse(
+        { ...base, disposition: 'not_guilty', dismissal: { isDismissed: true, withPrejudice: false } },
+        { isJuryTrial: false }
+      )
+    ).toThrow('Verdict dismissal flags contradict its disposition.');
+    expect(() =>
+      parseVerdictResponse(
+        { ...base, disposition: 'judgment_for_defendant', dismissal: cleanDismissal },
+        { isJuryTrial: false }
+      )
+    ).toThrow('A criminal verdict cannot resolve to judgment_for_defendant.');
+    expect(() =>
+      parseVerdictResponse(
+        { ...base, disposition: 'acquitted', dismissal: cleanDismissal },
+        { isJuryTrial: false }
+      )
+    ).toThrow(LlmClientError);
   });
 });
 
@@ -0,0 +1,177 @@
+import { logEvent } from './debugStore';
+
+/** Current fixture file format version. */
+export const LLM_FIXTURE_VERSION = 1;
+
+/**
+ * @typedef {object} LlmFixtureEntry
+ * @property {string} responseLabel - Response label passed to `requestLlmJson`.
+ * @property {string} systemPrompt - System prompt sent to the provider.
+ * @property {string} userPrompt - User prompt sent to the provider.
+ * @property {string} rawText - Raw model text returned by the provider.
+ * @property {string} [provider] - Provider that produced the response.
+ */
+
+/**
+ * @typedef {object} LlmFixture
+ * @property {number} version - Fixture format version.
+ * @property {string} recordedAt - ISO timestamp when recording started.
+ * @property {LlmFixtureEntry[]} entries - Recorded prompt/response pairs in request order.
+ */
+
+/** @type {LlmFixture | null} */
+let recording = null;
+let isRecording = false;
+const recordingListeners = new Set();
+/** @type {{fixture: LlmFixture, cursor: number} | null} */
+let replay = null;
+
+const emitRecordingChange = () => {
+  recordingListeners.forEach((listener) => listener());
+};
+
+/**
+ * Start capturing every successful provider response into a new fixture, replacing the previous
+ * recording.
+ */
+export const startFixtureRecording = () => {
+  recording = {
+    version: LLM_FIXTURE_VERSION,
+    recordedAt: new Date().toISOString(),
+    entries: [],
+  };
+  isRecording = true;
+  emitRecordingChange();
+};
+
+/**
+ * Stop capturing responses. The recorded fixture stays available for download until the next
+ * recording starts.
+ */
+export const stopFixtureRecording = () => {
+  isRecording = false;
+  emitRecordingChange();
+};
+
+/**
+ * Check whether responses are currently being recorded.
+ *
+ * @returns {boolean} True while recording.
+ */
+export const isFixtureRecording = () => isRecording;
+
+/**
+ * Append a prompt/response pair to the active recording, if any.
+ *
+ * @param {LlmFixtureEntry} entry - Captured request and response.
+ */
+export const recordFixtureEntry = (entry) => {
+  if (!isRecording) return;
+  recording = { ...recording, entries: [...recording.entries, { ...entry }] };
+  emitRecordingChange();
+};
+
+/**
+ * Count the responses in the latest recording.
+ *
+ * @returns {number} Recorded entries, 0 when nothing has been recorded.
+ */
+export const getRecordedEntryCount = () => recording?.entries.length ?? 0;
+
+/**
+ * Listen for recording changes: started, stopped, or a response captured.
+ *
+ * @param {() => void} listener - Called after each change.
+ * @returns {() => void} Unsubscribe function.
+ */
+export const subscribeToFixtureRecording = (listener) => {
+  recordingListeners.add(listener);
+  return () => recordingListeners.delete(listener);
+};
+
+/**
+ * Read a copy of the latest recording, whether or not it is still running.
+ *
+ * @returns {LlmFixture | null} Recorded fixture, or null when nothing has been recorded.
+ */
+export const getRecordedFixture = () =>
+  recording ? { ...recording, entries: recording.entries.map((entry) => ({ ...entry })) } : null;
+
+/**
+ * Validate a fixture payload loaded from disk.
+ *
+ * @param {unknown} fixture - Parsed fixture file.
+ * @returns {LlmFixture} The validated fixture.
+ * @throws {Error} When the payload is not a usable fixture.
+ */
+const validateFixture = (fixture) => {
+  if (!fixture || typeof fixture !== 'object' || fixture.version !== LLM_FIXTURE_VERSION) {
+    throw new Error('Unsupported fixture file version.');
+  }
+  if (!Array.isArray(fixture.entries) || fixture.entries.length === 0) {
+    throw new Error('Fixture file has no recorded responses.');
+  }
+  fixture.entries.forEach((entry, index) => {
+    if (typeof entry?.responseLabel !== 'string' || typeof entry?.rawText !== 'string') {
+      throw new Error(`Fixture entry ${index + 1} is missing a response label or text.`);
+    }
+  });
+  return fixture;
+};
+
+/**
+ * Load a recorded fixture for deterministic replay through the mock provider.
+ *
+ * @param {unknown} fixture - Parsed fixture file.
+ * @returns {number} Number of recorded responses available for replay.
+ * @throws {Error} When the payload is not a usable fixture.
+ */
+export const loadReplayFixture = (fixture) => {
+  const validated = validateFixture(fixture);
+  replay = { fixture: validated, cursor: 0 };
+  return validated.entries.length;
+};
+
+/**
+ * Drop the loaded replay fixture so the mock provider falls back to canned responses.
+ */
+export const clearReplayFixture = () => {
+  replay = null;
+};
+
+/**
+ * Check whether a replay fixture is loaded.
+ *
+ * @returns {boolean} True when replay is active.
+ */
+export const hasReplayFixture = () => replay !== null;
+
+/**
+ * Take the next recorded response for a label.
+ *
+ * Entries are consumed strictly in recorded order. A `case` request starts a new run, so when no
+ * later case entry exists the replay wraps back to the first one; this lets a single-run fixture
+ * be replayed any number of times.
+ *
+ * @param {string} responseLabel - Response label being requested.
+ * @param {{systemPrompt?: string, userPrompt?: string}} [prompts] - Prompts for mismatch logging.
+ * @returns {LlmFixtureEntry | null} Recorded entry, or null when the fixture is exhausted.
+ */
+export const takeReplayEntry = (responseLabel, prompts = {}) => {
+  if (!replay) return null;
+  const { entries } = replay.fixture;
+  const findFrom = (start) =>
+    entries.findIndex((entry, index) => index >= start && entry.responseLabel === responseLabel);
+  let index = findFrom(replay.cursor);
+  if (index === -1 && responseLabel === 'case') {
+    index = findFrom(0);
+  }
+  if (index === -1) return null;
+
+  replay = { ...replay, cursor: index + 1 };
+  const entry = entries[index];
+  if (prompts.systemPrompt !== undefined && entry.systemPrompt !== prompts.systemPrompt) {
+    logEvent(`Replay prompt mismatch for ${responseLabel} (fixture entry ${index + 1}).`);
+  }
+  return entry;
+};
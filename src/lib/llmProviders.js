@@ -0,0 +1,260 @@
+import { hasReplayFixture, takeReplayEntry } from './llmFixtures';
+import { buildCannedResponse } from './mockResponses';
+import { toProviderSchema } from './responseSchemas';
+
+const GEMINI_ENDPOINT =
+  'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-09-2025:generateContent';
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const OPENAI_MODEL = 'gpt-4o-mini';
+const ANTHROPIC_ENDPOINT = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_MODEL = 'claude-3-5-haiku-latest';
+const ANTHROPIC_VERSION = '2023-06-01';
+const ANTHROPIC_MAX_TOKENS = 4096;
+const LOCAL_BASE_URL = 'http://localhost:11434/v1';
+const LOCAL_MODEL = 'llama3.1';
+
+/**
+ * @typedef {object} ProviderRequestInput
+ * @property {string} systemPrompt - System instruction text.
+ * @property {string} userPrompt - User prompt text.
+ * @property {string} apiKey - API key for the provider (may be empty for local servers).
+ * @property {string} [baseUrl] - Endpoint override from the environment.
+ * @property {string} [model] - Model override from the environment.
+ * @property {import('./responseSchemas').ResponseSchema} [responseSchema] - Declared response
+ * schema, for providers with structured output.
+ */
+
+/**
+ * @typedef {object} ProviderErrorMapping
+ * @property {string} code - `LlmClientError` code to surface.
+ * @property {string} userMessage - User-facing message.
+ */
+
+/**
+ * @typedef {object} ProviderAdapter
+ * @property {string} id - Provider id (matches `AI_PROVIDERS` in runtimeConfig).
+ * @property {string} label - Human-readable provider name.
+ * @property {(input: ProviderRequestInput) => {url: string, options: RequestInit}} [buildRequest] - Build the HTTP request, including JSON-mode flags.
+ * @property {(input: {systemPrompt: string, userPrompt: string, responseLabel: string}) => object} [respond] - Answer without a network request (offline providers only).
+ * @property {(response: object) => string | undefined} extractText - Pull the model's JSON text out of the provider payload.
+ * @property {(error: Error) => ProviderErrorMapping | null} mapError - Map transport failures to client error codes.
+ */
+
+/**
+ * Remove trailing slashes so endpoint paths can be appended safely.
+ *
+ * @param {string} url - Base URL.
+ * @returns {string} URL without trailing slashes.
+ */
+const trimTrailingSlash = (url) => url.replace(/\/+$/, '');
+
+/**
+ * Map HTTP status codes shared by every hosted provider.
+ *
+ * @param {string} label - Provider label for messaging.
+ * @param {Error & {status?: number}} error - Error thrown by `fetchWithRetry`.
+ * @returns {ProviderErrorMapping | null} Mapped error, or null to use the default.
+ */
+const mapHttpError = (label, error) => {
+  if (error?.status === 401 || error?.status === 403) {
+    return {
+      code: 'CONFIG_MISSING',
+      userMessage: `The ${label} API key was rejected. Please check configuration.`,
+    };
+  }
+  if (error?.status === 404) {
+    return {
+      code: 'REQUEST_FAILED',
+      userMessage: `The ${label} endpoint or model was not found. Please check configuration.`,
+    };
+  }
+  if (error?.status === 429) {
+    return {
+      code: 'REQUEST_FAILED',
+      userMessage: `${label} is rate limiting requests. Please wait a moment and try again.`,
+    };
+  }
+  return null;
+};
+
+/**
+ * Build an OpenAI-style chat completion request.
+ *
+ * @param {ProviderRequestInput} input - Prompt and endpoint configuration.
+ * @param {{baseUrl: string, model: string}} defaults - Adapter defaults.
+ * @returns {{url: string, options: RequestInit}} Request configuration.
+ */
+const buildChatCompletionRequest = ({ systemPrompt, userPrompt, apiKey, baseUrl, model }, defaults) => ({
+  url: `${trimTrailingSlash(baseUrl || defaults.baseUrl)}/chat/completions`,
+  options: {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+    },
+    body: JSON.stringify({
+      model: model || defaults.model,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt },
+      ],
+      response_format: { type: 'json_object' },
+    }),
+  },
+});
+
+/**
+ * Read the assistant message from an OpenAI-style chat completion.
+ *
+ * @param {object} response - Chat completion payload.
+ * @returns {string | undefined} Message content.
+ */
+const extractChatCompletionText = (response) => response?.choices?.[0]?.message?.content;
+
+/**
+ * Gemini enforces the declared response schema server-side via `generationConfig.responseSchema`.
+ *
+ * @type {ProviderAdapter}
+ */
+const geminiAdapter = {
+  id: 'gemini',
+  label: 'Gemini',
+  buildRequest: ({ systemPrompt, userPrompt, apiKey, baseUrl, responseSchema }) => ({
+    url: `${baseUrl || GEMINI_ENDPOINT}?key=${apiKey}`,
+    options: {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        contents: [{ parts: [{ text: userPrompt }] }],
+        systemInstruction: { parts: [{ text: systemPrompt }] },
+        generationConfig: {
+          responseMimeType: 'application/json',
+          ...(responseSchema ? { responseSchema: toProviderSchema(responseSchema) } : {}),
+        },
+      }),
+    },
+  }),
+  extractText: (response) => response?.candidates?.[0]?.content?.parts?.[0]?.text,
+  mapError: (error) => mapHttpError('Gemini', error),
+};
+
+/** @type {ProviderAdapter} */
+const openAiAdapter = {
+  id: 'openai',
+  label: 'OpenAI-compatible',
+  buildRequest: (input) =>
+    buildChatCompletionRequest(input, { baseUrl: OPENAI_BASE_URL, model: OPENAI_MODEL }),
+  extractText: extractChatCompletionText,
+  mapError: (error) => mapHttpError('OpenAI-compatible', error),
+};
+
+/**
+ * Anthropic has no JSON response mode, so the request prefills the assistant turn with `{` and
+ * the adapter stitches it back onto the completion.
+ *
+ * @type {ProviderAdapter}
+ */
+const anthropicAdapter = {
+  id: 'anthropic',
+  label: 'Anthropic',
+  buildRequest: ({ systemPrompt, userPrompt, apiKey, baseUrl, model }) => ({
+    url: baseUrl || ANTHROPIC_ENDPOINT,
+    options: {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+        'anthropic-dangerous-direct-browser-access': 'true',
+      },
+      body: JSON.stringify({
+        model: model || ANTHROPIC_MODEL,
+        max_tokens: ANTHROPIC_MAX_TOKENS,
+        system: systemPrompt,
+        messages: [
+          { role: 'user', content: userPrompt },
+          { role: 'assistant', content: '{' },
+        ],
+      }),
+    },
+  }),
+  extractText: (response) => {
+    const block = response?.content?.find?.((entry) => entry?.type === 'text');
+    return typeof block?.text === 'string' ? `{${block.text}` : undefined;
+  },
+  mapError: (error) => mapHttpError('Anthropic', error),
+};
+
+/**
+ * Local servers (Ollama, llama.cpp) expose the OpenAI chat completion shape without auth.
+ *
+ * @type {ProviderAdapter}
+ */
+const localAdapter = {
+  id: 'local',
+  label: 'Local model server',
+  buildRequest: (input) =>
+    buildChatCompletionRequest(input, { baseUrl: LOCAL_BASE_URL, model: LOCAL_MODEL }),
+  extractText: extractChatCompletionText,
+  mapError: (error) => {
+    if (typeof error?.status !== 'number') {
+      return {
+        code: 'REQUEST_FAILED',
+        userMessage: 'Could not reach the local model server. Is it running?',
+      };
+    }
+    return mapHttpError('Local model server', error);
+  },
+};
+
+/**
+ * Offline provider: replays a loaded fixture when present, otherwise serves canned responses.
+ *
+ * @type {ProviderAdapter}
+ */
+const mockAdapter = {
+  id: 'mock',
+  label: 'Offline mock',
+  respond: ({ systemPrompt, userPrompt, responseLabel }) => {
+    if (hasReplayFixture()) {
+      const entry = takeReplayEntry(responseLabel, { systemPrompt, userPrompt });
+      if (!entry) {
+        throw Object.assign(new Error(`No recorded ${responseLabel} response left in fixture.`), {
+          mockReason: 'replay_exhausted',
+        });
+      }
+      return { text: entry.rawText };
+    }
+    const text = buildCannedResponse(responseLabel, { systemPrompt, userPrompt });
+    if (text === null) {
+      throw Object.assign(new Error(`No canned ${responseLabel} response.`), {
+        mockReason: 'no_canned_response',
+      });
+    }
+    return { text };
+  },
+  extractText: (response) => response?.text,
+  mapError: (error) => ({
+    code: 'REQUEST_FAILED',
+    userMessage:
+      error?.mockReason === 'replay_exhausted'
+        ? 'The replay fixture has no more recorded responses for this step.'
+        : 'The offline mock cannot answer this step.',
+  }),
+};
+
+const PROVIDER_ADAPTERS = Object.freeze({
+  gemini: geminiAdapter,
+  openai: openAiAdapter,
+  anthropic: anthropicAdapter,
+  local: localAdapter,
+  mock: mockAdapter,
+});
+
+/**
+ * Resolve the adapter for a provider id, defaulting to Gemini.
+ *
+ * @param {string} provider - Provider id.
+ * @returns {ProviderAdapter} Provider adapter.
+ */
+export const getProviderAdapter = (provider) => PROVIDER_ADAPTERS[provider] ?? geminiAdapter;
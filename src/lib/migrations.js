@@ -0,0 +1,70 @@
+/**
+ * Schema migrations for persisted records.
+ *
+ * Each registry maps a schema version to the step that upgrades a record from that version to the
+ * next one. Steps are chained until the record reaches the current version, so a schema bump only
+ * needs a step from the previous version. Records that cannot be upgraded are reported as failures
+ * and left for the caller to back up; they are never discarded here.
+ */
+
+/**
+ * Profile migration steps, keyed by the version they upgrade from.
+ *
+ * @type {Readonly<Record<number, (profile: object) => object>>}
+ */
+export const PROFILE_MIGRATIONS = Object.freeze({});
+
+/**
+ * Run history migration steps, keyed by the version they upgrade from.
+ *
+ * @type {Readonly<Record<number, (history: object) => object>>}
+ */
+export const RUN_HISTORY_MIGRATIONS = Object.freeze({
+  // v2 adds a sanctions snapshot delta to each run.
+  1: (history) => ({
+    ...history,
+    createdAt: history.createdAt ?? new Date().toISOString(),
+    runs: (history.runs ?? []).map((run) => ({
+      ...run,
+      sanctionDelta: run?.sanctionDelta ?? null,
+    })),
+  }),
+});
+
+/**
+ * Upgrade a stored record to the target schema version by chaining migration steps.
+ *
+ * @param {object} record - Stored record with a `schemaVersion`.
+ * @param {Readonly<Record<number, (record: object) => object>>} migrations - Migration registry.
+ * @param {number} targetVersion - Schema version the current build reads.
+ * @returns {{ value: object | null, error: Error | null }} The migrated record, or the reason the
+ * record could not be migrated.
+ */
+export const runMigrations = (record, migrations, targetVersion) => {
+  const fromVersion = record?.schemaVersion;
+  if (!Number.isInteger(fromVersion)) {
+    return { value: null, error: new Error('Stored data has no schema version.') };
+  }
+  if (fromVersion > targetVersion) {
+    return {
+      value: null,
+      error: new Error(`Stored data uses schema v${fromVersion}, newer than this version of the game.`),
+    };
+  }
+  let value = record;
+  for (let version = fromVersion; version < targetVersion; version += 1) {
+    const step = migrations[version];
+    if (!step) {
+      return {
+        value: null,
+        error: new Error(`No migration from schema v${version} to v${version + 1}.`),
+      };
+    }
+    try {
+      value = { ...step(value), schemaVersion: version + 1 };
+    } catch (error) {
+      return { value: null, error };
+    }
+  }
+  return { value, error: null };
+};
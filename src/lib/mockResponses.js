@@ -0,0 +1,544 @@
+/**
+ * Canned model responses for the offline "mock" provider.
+ *
+ * Each builder receives the full prompt text and returns a JSON-serializable payload that passes
+ * the matching parser in `llmClient.js`. Responses are deterministic: any variation is derived
+ * from a hash of the prompt, so the same inputs always produce the same game.
+ */
+
+import { FINAL_DISPOSITIONS } from './constants';
+import { getJuryVoteOptions } from './deliberation';
+
+const MOCK_CASE = Object.freeze({
+  title: 'People v. Dana Whitlock',
+  defendant: 'Dana Whitlock',
+  charge: 'Petty theft of a prize-winning garden gnome',
+  is_jury_trial: true,
+  judge: {
+    name: 'Hon. Miriam Okafor',
+    philosophy: 'Textualist with a soft spot for neighborhood disputes',
+    background: 'Twenty years on the municipal bench.',
+    bias: 'Distrusts testimony that cannot be corroborated.',
+  },
+  jurors: [
+    { id: 1, name: 'Alvin Reyes', age: 41, job: 'Postal carrier', bias_hint: 'Walks every street in town', hidden_bias: 'Has had his own lawn ornaments stolen.' },
+    { id: 2, name: 'Bea Lindqvist', age: 67, job: 'Retired librarian', bias_hint: 'Soft-spoken and precise', hidden_bias: 'Believes most neighbor disputes are exaggerated.' },
+    { id: 3, name: 'Corey Tan', age: 29, job: 'Barista', bias_hint: 'Friendly with regulars', hidden_bias: 'Knows the defendant from the coffee shop.' },
+    { id: 4, name: 'Delia Moss', age: 52, job: 'Garden center manager', bias_hint: 'Talks shop about perennials', hidden_bias: 'Values garden ornaments highly.' },
+    { id: 5, name: 'Eli Park', age: 35, job: 'Software tester', bias_hint: 'Asks about timelines', hidden_bias: 'Skeptical of eyewitness accounts.' },
+    { id: 6, name: 'Farah Nasser', age: 46, job: 'Nurse', bias_hint: 'Works night shifts', hidden_bias: 'Sympathetic to people under stress.' },
+    { id: 7, name: 'Gus Oyelaran', age: 58, job: 'Hardware store owner', bias_hint: 'Knows everyone on Main Street', hidden_bias: 'Sold the gnome to the complainant.' },
+    { id: 8, name: 'Hana Kobayashi', age: 24, job: 'Graduate student', bias_hint: 'Studies criminology', hidden_bias: 'Wary of small offenses being over-charged.' },
+  ],
+  facts: [
+    'The gnome disappeared from the complainant\'s front yard overnight on May 3.',
+    'A neighbor saw a person in a green raincoat near the yard around midnight.',
+    'The gnome was later found in the defendant\'s shed.',
+  ],
+  witnesses: [
+    { name: 'Harold Pike', role: 'Complainant', statement: 'The gnome was in the yard when I went to bed.' },
+    { name: 'June Alvarez', role: 'Neighbor', statement: 'I saw someone in a green raincoat around midnight.' },
+  ],
+  evidence: [
+    'Photo of the empty garden bed taken the morning of May 3.',
+    'The recovered gnome, found in the defendant\'s shed.',
+    'A green raincoat seized from the defendant\'s porch.',
+  ],
+  opposing_counsel: {
+    name: 'Roland Vance',
+    age_range: '40s',
+    bio: 'Veteran municipal litigator known for meticulous exhibits.',
+    style_tells: 'Taps the exhibit binder before every objection.',
+    current_posture: 'Confident but wary of the chain-of-custody gap.',
+  },
+});
+
+const MOCK_CIVIL_CASE = Object.freeze({
+  ...MOCK_CASE,
+  title: 'Pike v. Whitlock',
+  plaintiff: 'Harold Pike',
+  charge: 'Negligence: a collapsed fence that flattened a prize-winning garden',
+  damages_sought: 12500,
+  facts: [
+    'The fence between the two yards collapsed during a windstorm on May 3.',
+    'The plaintiff had written to the defendant twice about the leaning fence posts.',
+    'The plaintiff\'s garden was entered in the county show the following week.',
+  ],
+  witnesses: [
+    { name: 'Harold Pike', role: 'Plaintiff', statement: 'I warned Dana about those posts in March and again in April.' },
+    { name: 'June Alvarez', role: 'Neighbor', statement: 'Every fence on the street took a beating that night.' },
+  ],
+  evidence: [
+    'Two letters from the plaintiff about the leaning fence posts.',
+    'Photos of the flattened garden bed taken the morning of May 3.',
+    'A landscaper\'s estimate of $12,500 to restore the garden.',
+  ],
+});
+
+/**
+ * Hash prompt text into a small stable integer.
+ *
+ * @param {string} text - Prompt text.
+ * @returns {number} Non-negative hash.
+ */
+const hashPrompt = (text) => {
+  let hash = 0;
+  for (let index = 0; index < text.length; index += 1) {
+    hash = (hash * 31 + text.charCodeAt(index)) % 1000003;
+  }
+  return hash;
+};
+
+/**
+ * Parse the JSON value that follows a label on a single prompt line.
+ *
+ * @param {string} text - Prompt text.
+ * @param {RegExp} pattern - Pattern whose first group captures the JSON.
+ * @param {unknown} fallback - Value to use when parsing fails.
+ * @returns {unknown} Parsed JSON or the fallback.
+ */
+const readPromptJson = (text, pattern, fallback) => {
+  const match = text.match(pattern);
+  if (!match) return fallback;
+  try {
+    return JSON.parse(match[1]);
+  } catch {
+    return fallback;
+  }
+};
+
+/**
+ * Strike the two highest-numbered jurors the player left in the pool.
+ *
+ * @param {string} text - Jury strike prompt text.
+ * @returns {object} Jury response payload.
+ */
+const buildJuryResponse = (text) => {
+  const jurors = readPromptJson(text, /Jurors \(use these exact IDs\): (.*)\.\s*$/m, []);
+  const playerStrikes = readPromptJson(text, /struck IDs: (\[[^\]]*\])/, []);
+  const remaining = jurors
+    .map((juror) => juror?.id)
+    .filter((id) => typeof id === 'number' && !playerStrikes.includes(id));
+  const opponentStrikes = remaining.slice(-2);
+  return {
+    opponent_strikes: opponentStrikes,
+    opponent_reasoning: 'Counsel struck the jurors most likely to side with the other party.',
+    seated_juror_ids: remaining.filter((id) => !opponentStrikes.includes(id)),
+    judge_comment: 'The panel is seated. Let us proceed efficiently.',
+  };
+};
+
+/**
+ * Answer a voir dire question: each juror professes fairness, hedged by the outlook of their job.
+ *
+ * @param {string} text - Voir dire prompt text.
+ * @returns {{answers: {juror_id: number, answer: string}[]}} Voir dire payload.
+ */
+const buildVoirDireResponse = (text) => {
+  const jurors = readPromptJson(text, /Questioned Jurors: (\[.*\])\s*$/m, []);
+  return {
+    answers: jurors.map((juror) => {
+      const job = String(juror.job ?? 'juror').toLowerCase();
+      return {
+        juror_id: juror.id,
+        answer: `I would try to be fair, though my work as a ${job} colors how I see cases like this.`,
+      };
+    }),
+  };
+};
+
+/**
+ * Rule on a challenge for cause: granted once voir dire has put the juror's views on the record,
+ * denied when the reason rests on the profile alone.
+ *
+ * @param {string} text - Cause challenge prompt text.
+ * @returns {{ruling: string, reasoning: string, docket_entry: string}} Cause ruling payload.
+ */
+const buildCauseChallengeResponse = (text) => {
+  const juror = readPromptJson(text, /Juror Record: (\{.*\})\s*$/m, {});
+  const isGranted = (juror.voir_dire ?? []).length > 0;
+  return {
+    ruling: isGranted ? 'granted' : 'denied',
+    reasoning: isGranted
+      ? "The juror's own answers raise real doubt about their impartiality."
+      : 'Nothing the juror has said on the record shows they cannot be fair.',
+    docket_entry: `Challenge for cause to Juror #${juror.id}: ${isGranted ? 'Granted' : 'Denied'}.`,
+  };
+};
+
+/**
+ * Rule on a Batson objection: sustained when opposing counsel's stated reasons never mention the
+ * struck juror by name or occupation.
+ *
+ * @param {string} text - Batson prompt text.
+ * @returns {{ruling: string, reasoning: string, docket_entry: string}} Batson ruling payload.
+ */
+const buildBatsonResponse = (text) => {
+  const juror = readPromptJson(text, /Struck Juror: (\{.*\})\s*$/m, {});
+  const reasons = text.match(/stated reasons for its strikes: "(.*)"\s*$/m)?.[1] ?? '';
+  const isSpecific = [juror.name, juror.job]
+    .filter(Boolean)
+    .some((detail) => reasons.toLowerCase().includes(String(detail).toLowerCase()));
+  const ruling = isSpecific ? 'Overruled' : 'Sustained';
+  return {
+    ruling: ruling.toLowerCase(),
+    reasoning: isSpecific
+      ? "Counsel gave a specific, neutral reason tied to this juror's record."
+      : 'Counsel offered no reason specific to this juror; the strike cannot stand.',
+    docket_entry: `Batson objection to the strike of Juror #${juror.id}: ${ruling}.`,
+  };
+};
+
+/**
+ * Rule on the motion; partial grants suppress the last evidence item on the docket.
+ *
+ * @param {string} text - Motion ruling prompt text.
+ * @returns {object} Motion ruling payload.
+ */
+const buildMotionResponse = (text) => {
+  const evidence = readPromptJson(text, /Evidence Docket: (\[.*\])\s*$/m, []);
+  const rulings = ['GRANTED', 'DENIED', 'PARTIALLY GRANTED'];
+  const ruling = rulings[hashPrompt(text) % rulings.length];
+  const lastEvidenceId = evidence.at(-1)?.id;
+  const suppressedIds =
+    ruling !== 'DENIED' && typeof lastEvidenceId === 'number' ? [lastEvidenceId] : [];
+  const opinion =
+    ruling === 'DENIED'
+      ? 'The motion is denied. The evidence was lawfully obtained.'
+      : 'The motion is granted in part. The contested item is suppressed; the case proceeds.';
+  return {
+    ruling,
+    decision: {
+      ruling: ruling === 'PARTIALLY GRANTED' ? 'partially_granted' : ruling.toLowerCase(),
+      dismissal: { isDismissed: false, withPrejudice: false },
+      opinion,
+    },
+    outcome_text: opinion,
+    score: 40 + (hashPrompt(text) % 41),
+    evidence_status_updates: suppressedIds.map((id) => ({ id, status: 'suppressed' })),
+    accountability: { sanction_recommended: false, severity: null, target: null, reason: null },
+    breakdown: {
+      issues: [
+        {
+          id: 'issue-1',
+          label: 'Chain of custody',
+          disposition: ruling,
+          reasoning: opinion,
+          affectedEvidenceIds: suppressedIds,
+        },
+      ],
+      docket_entries: [`Motion ${ruling.toLowerCase()}.`],
+    },
+  };
+};
+
+/**
+ * Deliberate toward a unanimous verdict: in a panel of two or more, the first juror holds out in
+ * round one and comes around in round two.
+ *
+ * @param {object[]} jurors - Seated jurors read from the verdict prompt.
+ * @param {'Guilty' | 'Not Guilty' | 'Liable' | 'Not Liable'} ruling - Verdict the panel reaches.
+ * @param {boolean} isCivil - Whether the panel is deciding a civil case.
+ * @returns {object[] | null} Deliberation rounds, or null without a panel.
+ */
+const buildMockDeliberation = (jurors, ruling, isCivil) => {
+  if (!jurors.length) return null;
+  const finalVote = ruling.toLowerCase().replace(' ', '_');
+  const holdoutVote = getJuryVoteOptions(isCivil).find((vote) => vote !== finalVote);
+  const buildRound = (round, holdoutId) => ({
+    round,
+    votes: jurors.map((juror) => ({
+      juror_id: juror.id,
+      vote: juror.id === holdoutId ? holdoutVote : finalVote,
+      rationale:
+        juror.id === holdoutId
+          ? 'I am not there yet; walk me through the testimony again.'
+          : juror.hidden_bias
+          ? `Weighed against my own leanings (${juror.hidden_bias}), I vote ${ruling.toLowerCase()}.`
+          : `The record points me to ${ruling.toLowerCase()}.`,
+    })),
+  });
+  return jurors.length > 1
+    ? [buildRound(1, jurors[0].id), buildRound(2, null)]
+    : [buildRound(1, null)];
+};
+
+/**
+ * Deliver a verdict; the outcome flips on the prompt hash so both sides can win offline. Civil
+ * verdicts award the plaintiff 60% of the damages sought.
+ *
+ * @param {string} text - Verdict prompt text.
+ * @returns {object} Verdict payload.
+ */
+const buildVerdictResponse = (text) => {
+  const isBench = text.includes('Type: BENCH');
+  const isCivil = text.includes('CIVIL BURDEN');
+  const hash = hashPrompt(text);
+  const [claimantWins, respondentWins] = isCivil
+    ? ['Liable', 'Not Liable']
+    : ['Guilty', 'Not Guilty'];
+  const respondentPrevails = hash % 2 === 0;
+  const ruling = respondentPrevails ? respondentWins : claimantWins;
+  const disposition = isCivil
+    ? respondentPrevails
+      ? FINAL_DISPOSITIONS.JUDGMENT_FOR_DEFENDANT
+      : FINAL_DISPOSITIONS.JUDGMENT_FOR_PLAINTIFF
+    : respondentPrevails
+    ? FINAL_DISPOSITIONS.NOT_GUILTY
+    : FINAL_DISPOSITIONS.GUILTY;
+  const damagesSought = Number(text.match(/"damages_sought":(\d+)/)?.[1] ?? 0);
+  const judgeScore = 50 + (hash % 41);
+  const juryScore = isBench ? 0 : 45 + (hash % 46);
+  const jurors = isBench ? [] : readPromptJson(text, /^\s*Jury: (\[.*\])\s*$/m, []);
+  return {
+    jury_verdict: isBench ? 'NA' : ruling,
+    jury_reasoning: isBench ? 'NA' : 'The panel weighed the corroborating testimony carefully.',
+    jury_score: juryScore,
+    deliberation: buildMockDeliberation(jurors, ruling, isCivil),
+    judge_score: judgeScore,
+    judge_opinion: `The court finds the defendant ${ruling.toLowerCase()} on the record presented.`,
+    final_ruling: ruling,
+    disposition,
+    dismissal: { isDismissed: false, withPrejudice: false },
+    damages_awarded: isCivil ? (ruling === 'Liable' ? Math.round(damagesSought * 0.6) : 0) : null,
+    is_jnov: false,
+    final_weighted_score: Math.round(judgeScore * 0.65 + juryScore * 0.35),
+    overflow_reason_code: null,
+    overflow_explanation: null,
+    achievement_title: null,
+    accountability: { sanction_recommended: false, severity: null, target: null, reason: null },
+  };
+};
+
+/**
+ * Answer an examination question by restating the witness's sworn statement.
+ *
+ * @param {string} text - Witness examination prompt text.
+ * @returns {{answer: string}} Witness answer payload.
+ */
+const buildWitnessResponse = (text) => {
+  const statement =
+    text.match(/Your sworn statement: "(.*)"\s*$/m)?.[1] ?? 'I only know what I told the police.';
+  return {
+    answer: text.includes('CROSS-EXAMINATION')
+      ? `I can only tell you what I said before: ${statement}`
+      : `As I told the officers, ${statement.charAt(0).toLowerCase()}${statement.slice(1)}`,
+  };
+};
+
+/**
+ * Rule on an objection: leading objections are overruled (nobody is testifying in a
+ * submission); every other ground is sustained.
+ *
+ * @param {string} text - Objection ruling prompt text.
+ * @returns {{ruling: string, reasoning: string, docket_entry: string}} Objection ruling payload.
+ */
+const buildObjectionResponse = (text) => {
+  const ground = text.match(/Ground: (.+)\.$/m)?.[1] ?? 'Relevance';
+  const source = text.match(/passage of opposing counsel's (\w+)\./)?.[1] ?? 'submission';
+  const isSustained = ground !== 'Leading';
+  return {
+    ruling: isSustained ? 'sustained' : 'overruled',
+    reasoning: isSustained
+      ? `The passage is objectionable on ${ground.toLowerCase()} grounds and is stricken.`
+      : 'Counsel is not examining a witness; the objection does not apply.',
+    docket_entry: `Objection (${ground}) to the ${source}: ${isSustained ? 'Sustained' : 'Overruled'}.`,
+  };
+};
+
+/**
+ * Sentence in the lower quarter of the range quoted in the sentencing prompt.
+ *
+ * @param {string} text - Sentencing prompt text.
+ * @returns {{term: number, sentence_text: string, reasoning: string, docket_entry: string}}
+ * Sentence payload.
+ */
+const buildSentenceResponse = (text) => {
+  const [, min = '0', max = '120', unit = 'months'] =
+    text.match(/Sentencing Range: (\d+)-(\d+) ([^.]+)\./) ?? [];
+  const term = Math.round(Number(min) + (Number(max) - Number(min)) * 0.25);
+  return {
+    term,
+    sentence_text: `The defendant is sentenced to ${term} ${unit}.`,
+    reasoning: 'A first offense with no aggravating factors on the docket warrants restraint.',
+    docket_entry: `Sentence imposed: ${term} ${unit}.`,
+  };
+};
+
+/**
+ * Negotiate a plea: the prosecution opens at the midpoint of the range; either side accepts terms
+ * within a tenth of the range of its own last offer and otherwise splits the difference (or walks
+ * away in the final round).
+ *
+ * @param {string} text - Plea negotiation prompt text.
+ * @returns {object} Plea payload.
+ */
+const buildPleaResponse = (text) => {
+  const [, min = '0', max = '120', unit = 'months'] =
+    text.match(/Sentencing Range: (\d+)-(\d+) ([^.]+)\./) ?? [];
+  const span = Number(max) - Number(min);
+  const charge = text.match(/Charge: (.+?)\.$/m)?.[1] ?? 'the charged offense';
+  const offers = readPromptJson(text, /Offers So Far: (\[.*\])\s*$/m, []);
+  const ownRole = text.includes('Role: Prosecutor.') ? 'prosecution' : 'defense';
+  const latest = offers.at(-1);
+  const ownLast = offers.filter((offer) => offer.offeredBy === ownRole).at(-1);
+  const answer = (action, terms, message) => ({
+    action,
+    charge: terms.charge,
+    term: terms.term,
+    message,
+    docket_entry: `Plea ${action === 'offer' ? 'offer' : `offer ${action}ed`}: guilty to ${
+      terms.charge
+    }, ${terms.term} ${unit}.`,
+  });
+
+  if (!latest || text.includes('asks for an opening offer')) {
+    return answer(
+      'offer',
+      { charge, term: Math.round(Number(min) + span / 2) },
+      'The State will take a plea at the middle of the range.'
+    );
+  }
+  const gap = ownLast ? Math.abs(ownLast.term - latest.term) : span;
+  if (gap <= span / 10) {
+    return answer('accept', latest, 'We have a deal.');
+  }
+  if (text.includes('This is the final round.')) {
+    return answer('reject', latest, 'We will see you at trial.');
+  }
+  const openingTerm = Number(min) + span * (ownRole === 'defense' ? 0.25 : 0.75);
+  return answer(
+    'offer',
+    {
+      charge: latest.charge,
+      term: Math.round(ownLast ? (ownLast.term + latest.term) / 2 : openingTerm),
+    },
+    'Let us meet in the middle.'
+  );
+};
+
+/**
+ * Answer for a hostile client: take only deals in the bottom quarter of the range.
+ *
+ * @param {string} text - Client consultation prompt text.
+ * @returns {{decision: string, statement: string}} Client payload.
+ */
+const buildPleaClientResponse = (text) => {
+  const [, term = '0', min = '0', max = '120'] =
+    text.match(/for (\d+) .+ \(range (\d+)-(\d+)\)/) ?? [];
+  const isAcceptable = Number(term) <= Number(min) + (Number(max) - Number(min)) / 4;
+  return isAcceptable
+    ? { decision: 'accept', statement: 'Fine. Sign it before they change their minds.' }
+    : { decision: 'reject', statement: 'I did not do this, and I am not saying I did.' };
+};
+
+/**
+ * Rule on an appeal: errors in the motion ruling or jury selection are remanded for a new trial;
+ * a challenge to the verdict alone is affirmed.
+ *
+ * @param {string} text - Appeal prompt text.
+ * @returns {object} Appeal payload.
+ */
+const buildAppealResponse = (text) => {
+  const issues = readPromptJson(text, /Issues on Appeal: (\[.*\])\s*$/m, []);
+  const remandable = issues.filter((issue) => issue !== 'verdict');
+  if (remandable.length === 0) {
+    return {
+      disposition: 'affirmed',
+      errors_found: [],
+      opinion: 'The verdict rests on the record as tried. The judgment is affirmed.',
+      remand_instructions: null,
+      docket_entry: 'Appeal: Judgment affirmed.',
+    };
+  }
+  return {
+    disposition: 'remanded',
+    errors_found: remandable.map((issue) => ({
+      issue,
+      finding: `The trial court's handling of the ${issue.replace('_', ' ')} prejudiced the appellant.`,
+    })),
+    opinion: 'The error was not harmless. The judgment is vacated and the case remanded.',
+    remand_instructions: 'Retry the case before a fresh jury, revisiting the erroneous rulings.',
+    docket_entry: 'Appeal: Remanded for a new trial.',
+  };
+};
+
+/**
+ * Review rulings from the bench: every ruling is sound and scores 75.
+ *
+ * @param {string} text - Judicial review prompt text.
+ * @returns {object} Judicial review payload.
+ */
+const buildJudicialReviewResponse = (text) => {
+  const issues = readPromptJson(text, /Issues to Score: (\[.*\])\s*$/m, []);
+  return {
+    rulings: issues.map((issue) => ({
+      issue,
+      score: 75,
+      sound: true,
+      critique: `The ${issue.replace('_', ' ')} was within the court's discretion.`,
+    })),
+    final_weighted_score: 75,
+    overflow_reason_code: null,
+    overflow_explanation: null,
+    achievement_title: null,
+    opinion: 'The trial court applied the correct standards. Its rulings would survive appeal.',
+  };
+};
+
+const CANNED_RESPONSE_BUILDERS = Object.freeze({
+  case: (text) => (text.includes('Case Type: civil') ? MOCK_CIVIL_CASE : MOCK_CASE),
+  jury: buildJuryResponse,
+  voir_dire: buildVoirDireResponse,
+  cause_challenge: buildCauseChallengeResponse,
+  batson: buildBatsonResponse,
+  motion: buildMotionResponse,
+  motion_text: (text) => ({
+    text: text.includes('Draft a concise rebuttal') || text.includes('PRE-TRIAL MOTION REBUTTAL')
+      ? 'The motion should be denied; the evidence was collected in the ordinary course.'
+      : text.includes('Civil claim:')
+      ? 'The defendant moves to dismiss; the complaint pleads no facts showing the storm was foreseeable.'
+      : 'The defense moves to suppress the seized raincoat for lack of a valid warrant.',
+  }),
+  verdict: buildVerdictResponse,
+  witness: buildWitnessResponse,
+  objection: buildObjectionResponse,
+  sentencing_memo: (text) => ({
+    text: text.includes('Argue for leniency.')
+      ? 'The defendant has no prior record; the defense asks for the bottom of the range.'
+      : 'The offense targeted a vulnerable neighbor; the State asks for a mid-range term.',
+  }),
+  sentence: buildSentenceResponse,
+  plea: buildPleaResponse,
+  plea_client: buildPleaClientResponse,
+  appeal: buildAppealResponse,
+  opening: (text) => ({
+    text: text.includes('Role: Prosecutor')
+      ? 'The evidence will show the gnome left the yard at midnight and turned up in the defendant\'s shed.'
+      : 'The evidence will show a green raincoat and a shed anyone could reach. That is not proof.',
+  }),
+  closing: (text) => ({
+    text: text.includes('Role: Prosecutor')
+      ? "The raincoat and the neighbor's account place the defendant at the scene. Convict."
+      : 'The State never tied the defendant to the yard that night. Reasonable doubt remains.',
+  }),
+  judicial_review: buildJudicialReviewResponse,
+  auto_submission: (text) => ({
+    text: text.includes('Stage: PRE-TRIAL MOTION')
+      ? 'Counsel moves to suppress the raincoat; the seizure exceeded the scope of consent.'
+      : 'Nothing in the record places the defendant in the yard that night. Reasonable doubt remains.',
+  }),
+});
+
+/**
+ * Build the canned JSON text for a response label.
+ *
+ * @param {string} responseLabel - Response label passed to `requestLlmJson`.
+ * @param {{systemPrompt: string, userPrompt: string}} prompts - Prompt text for the request.
+ * @returns {string | null} JSON text, or null when no canned response exists for the label.
+ */
+export const buildCannedResponse = (responseLabel, { systemPrompt = '', userPrompt = '' } = {}) => {
+  const builder = CANNED_RESPONSE_BUILDERS[responseLabel];
+  if (!builder) return null;
+  return JSON.stringify(builder(`${systemPrompt}\n${userPrompt}`));
+};
@@ -0,0 +1,139 @@
+/**
+ * Objection helpers shared by the game hook, docket UI, and prompts.
+ *
+ * The player objects to a passage of an opposing submission. Sustained objections strike the
+ * passage from every later prompt, the same way off-docket references are redacted.
+ */
+
+export const OBJECTION_GROUNDS = Object.freeze([
+  { value: 'hearsay', label: 'Hearsay' },
+  { value: 'relevance', label: 'Relevance' },
+  { value: 'speculation', label: 'Speculation' },
+  { value: 'leading', label: 'Leading' },
+  { value: 'off_docket', label: 'Off-docket reference' },
+]);
+
+export const OBJECTION_RULINGS = Object.freeze({
+  SUSTAINED: 'sustained',
+  OVERRULED: 'overruled',
+});
+
+/** Objections the player may raise against each opposing submission. */
+export const MAX_OBJECTIONS_PER_SUBMISSION = 2;
+
+/** Placeholder left in prompt text where a sustained objection struck a passage. */
+export const STRICKEN_PASSAGE_TEXT = '[stricken: objection sustained]';
+
+/**
+ * Resolve the text and author of an objectionable submission, keyed by source.
+ * Closing arguments become objectionable once the opponent's closing is on the record.
+ */
+const SOURCE_RESOLVERS = Object.freeze({
+  motion: (historyState) => ({
+    text: historyState?.motion?.motionText,
+    submittedBy: historyState?.motion?.motionBy,
+  }),
+  rebuttal: (historyState) => ({
+    text: historyState?.motion?.rebuttalText,
+    submittedBy: historyState?.motion?.rebuttalBy,
+  }),
+  closing: (historyState) => ({
+    text: historyState?.trial?.opposingClosing?.text,
+    submittedBy: historyState?.trial?.opposingClosing?.submittedBy,
+  }),
+});
+
+export const OBJECTION_SOURCES = Object.freeze(Object.keys(SOURCE_RESOLVERS));
+
+/**
+ * Look up the display label for an objection ground.
+ *
+ * @param {string} ground - Ground identifier.
+ * @returns {string} Human-readable ground label.
+ */
+export const getObjectionGroundLabel = (ground) =>
+  OBJECTION_GROUNDS.find((entry) => entry.value === ground)?.label ?? ground;
+
+/**
+ * Find the opposing submission an objection targets.
+ *
+ * @param {import('./types').HistoryState} historyState - Current docket history.
+ * @param {string} source - Objection source (`motion`, `rebuttal`, or `closing`).
+ * @param {string} playerRole - Role of the objecting player.
+ * @returns {string | null} Submission text, or null when it is missing or the player's own.
+ */
+export const getObjectableText = (historyState, source, playerRole) => {
+  const resolved = SOURCE_RESOLVERS[source]?.(historyState);
+  if (!resolved?.text || resolved.submittedBy === playerRole) return null;
+  return resolved.text;
+};
+
+/**
+ * Collect the objections raised against one submission.
+ *
+ * @param {import('./types').ObjectionEntry[] | undefined} objections - Objection log.
+ * @param {string} source - Objection source.
+ * @returns {import('./types').ObjectionEntry[]} Matching objections, in order.
+ */
+export const getObjectionsForSource = (objections, source) =>
+  (objections ?? []).filter((entry) => entry.source === source);
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build a pattern for a highlighted passage. Highlights come from rendered markdown, so words
+ * may be separated by whitespace or emphasis markers in the raw submission text.
+ *
+ * @param {string} passage - Highlighted passage.
+ * @returns {RegExp | null} Case-insensitive global pattern, or null for an empty passage.
+ */
+const buildPassagePattern = (passage) => {
+  const words = (passage ?? '').trim().split(/\s+/).filter(Boolean);
+  if (!words.length) return null;
+  return new RegExp(words.map(escapeRegExp).join('[\\s*_`~]+'), 'gi');
+};
+
+/**
+ * Whether a highlighted passage appears in the submission text.
+ *
+ * @param {string} text - Submission text.
+ * @param {string} passage - Highlighted passage.
+ * @returns {boolean} True when the passage can be located (and therefore struck).
+ */
+export const isPassageInText = (text, passage) => {
+  const pattern = buildPassagePattern(passage);
+  return Boolean(text && pattern && pattern.test(text));
+};
+
+/**
+ * Strike passages covered by sustained objections from a submission.
+ *
+ * @param {string} text - Submission text.
+ * @param {import('./types').ObjectionEntry[] | undefined} objections - Objection log.
+ * @param {string} source - Objection source the text belongs to.
+ * @returns {string} Text with sustained passages replaced by a placeholder.
+ */
+export const redactSustainedObjections = (text, objections, source) => {
+  if (!text) return '';
+  return getObjectionsForSource(objections, source)
+    .filter((entry) => entry.ruling === OBJECTION_RULINGS.SUSTAINED)
+    .reduce((updated, entry) => {
+      const pattern = buildPassagePattern(entry.passage);
+      return pattern ? updated.replace(pattern, STRICKEN_PASSAGE_TEXT) : updated;
+    }, text);
+};
+
+/**
+ * Summarize objection rulings for the verdict prompt. Sustained passages are never repeated.
+ *
+ * @param {import('./types').ObjectionEntry[] | undefined} objections - Objection log.
+ * @returns {{source: string, ground: string, ruling: string, passage: string}[]} Ruling summary.
+ */
+export const buildObjectionRecord = (objections) =>
+  (objections ?? []).map((entry) => ({
+    source: entry.source,
+    ground: getObjectionGroundLabel(entry.ground),
+    ruling: entry.ruling,
+    passage:
+      entry.ruling === OBJECTION_RULINGS.SUSTAINED ? STRICKEN_PASSAGE_TEXT : entry.passage,
+  }));
@@ -1,12 +1,60 @@
 import {
+  ACTIVE_RUN_SCHEMA_VERSION,
+  ACTIVE_RUN_STORAGE_KEY,
+  DEFAULT_PROFILE_ID,
+  PROFILE_NAME_MAX_LENGTH,
+  PROFILE_REGISTRY_SCHEMA_VERSION,
+  PROFILE_REGISTRY_STORAGE_KEY,
   PROFILE_SCHEMA_VERSION,
   PROFILE_STORAGE_KEY,
   RUN_HISTORY_SCHEMA_VERSION,
   RUN_HISTORY_STORAGE_KEY,
+  RUN_LOCK_STORAGE_KEY,
+  RUN_LOCK_TIMERS_MS,
 } from './constants';
+import { isQuotaError, openIndexedDbArchive } from './archiveStore';
+import { PROFILE_MIGRATIONS, RUN_HISTORY_MIGRATIONS, runMigrations } from './migrations';
+import { mergeProfileRecords, reconcileProfileSanctions } from './profileSync';
 
 const LEGACY_SANCTIONS_STORAGE_KEY = 'courtgame.sanctions.state';
 
+// History kept when everything lives in local storage.
+const LOCAL_CASE_HISTORY_LIMIT = 30;
+const LOCAL_RUN_HISTORY_LIMIT = 20;
+
+const DEFAULT_PROFILE_NAME = 'Player 1';
+
+const ARCHIVE_CHANNEL_NAME = 'pocketcourt.archive';
+
+// Identifies this tab as the holder of a run lock.
+const TAB_ID = `tab-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const STORAGE_CHANGE_KINDS = Object.freeze({
+  PROFILE: 'profile',
+  RUN_HISTORY: 'runHistory',
+  ACTIVE_RUN: 'activeRun',
+  RUN_LOCK: 'runLock',
+  REGISTRY: 'registry',
+});
+
+// Once `initStorage` opens the archive, docket snapshots and each profile's full run history live
+// there and are cached here so loads stay synchronous. Local storage keeps only the index: the
+// profile without snapshots and the latest runs. A snapshot leaves local storage only once its
+// archive write has succeeded; until then, and after a failed write, local storage keeps it.
+let archive = null;
+let archivedSnapshots = new Map();
+let persistedSnapshotIds = new Set();
+let unsavedSnapshotIds = new Set();
+let archivedRuns = new Map();
+let quotaExceeded = false;
+let archiveWriteFailed = false;
+
+// Other tabs write the same keys. Storage events report their local storage writes, and the
+// archive channel carries the docket snapshots they archive, which storage events cannot.
+let archiveChannel = null;
+let isSyncingStorage = false;
+const storageListeners = new Set();
+
 const hasWindowStorage = () => {
   if (typeof window === 'undefined') return false;
   try {
@@ -46,17 +94,50 @@ const loadStoredObject = (key, label) => {
   }
 };
 
-const saveStoredObject = (key, payload) => {
-  if (!hasWindowStorage()) return false;
+const writeStoredObject = (key, payload) => {
   try {
     window.localStorage.setItem(key, JSON.stringify(payload));
-    return true;
+    return null;
   } catch (error) {
+    if (isQuotaError(error)) quotaExceeded = true;
+    return error;
+  }
+};
+
+const saveStoredObject = (key, payload) => {
+  if (!hasWindowStorage()) return false;
+  const error = writeStoredObject(key, payload);
+  if (error) {
     console.warn(`Failed to save ${key} to localStorage.`, error);
-    return false;
   }
+  return !error;
 };
 
+const removeStoredObject = (key) => {
+  try {
+    window.localStorage.removeItem(key);
+  } catch (error) {
+    console.warn(`Failed to clear ${key} from localStorage.`, error);
+  }
+};
+
+// Each profile's records live under their own keys. The first profile keeps the original keys, so
+// data saved before profiles existed stays where it was.
+const buildProfileKey = (key, profileId) =>
+  profileId === DEFAULT_PROFILE_ID ? key : `${key}:${profileId}`;
+
+// Resolves with whether the write reached IndexedDB.
+const writeArchive = (pending) =>
+  pending.then(
+    () => true,
+    (error) => {
+      if (isQuotaError(error)) quotaExceeded = true;
+      archiveWriteFailed = true;
+      console.warn('Failed to write the docket archive.', error);
+      return false;
+    }
+  );
+
 export const defaultPlayerProfile = () => {
   const timestamp = nowIso();
   return {
@@ -86,126 +167,780 @@ export const defaultRunHistory = () => {
   };
 };
 
-const normalizeProfile = (profile) => {
-  if (profile?.schemaVersion !== PROFILE_SCHEMA_VERSION) {
-    console.warn('Stored player profile schema mismatch. Resetting to defaults.');
-    const reset = defaultPlayerProfile();
-    saveStoredObject(PROFILE_STORAGE_KEY, reset);
-    return reset;
+// Records are backed up under their own key before a migration touches them, one backup per
+// schema version. The first backup of a version is kept. A record that cannot be migrated stays
+// in place, and the session runs on a stand-in that keeps its bar status but is never saved over
+// it, until the player restores the backup or starts the record over. A record that cannot be
+// read at all is backed up raw and left in place the same way.
+const MIGRATED_RECORDS = Object.freeze([
+  {
+    key: PROFILE_STORAGE_KEY,
+    schemaVersion: PROFILE_SCHEMA_VERSION,
+    startOver: (record) => ({
+      ...defaultPlayerProfile(),
+      sanctions: record?.sanctions ?? null,
+      pdStatus: record?.pdStatus ?? null,
+      reinstatement: record?.reinstatement ?? null,
+    }),
+  },
+  {
+    key: RUN_HISTORY_STORAGE_KEY,
+    schemaVersion: RUN_HISTORY_SCHEMA_VERSION,
+    startOver: () => defaultRunHistory(),
+  },
+]);
+
+// Keys whose failed migration was already reported this session.
+let reportedMigrationFailures = new Set();
+
+const findMigratedRecord = (storedKey) =>
+  MIGRATED_RECORDS.find(({ key }) => storedKey === key || storedKey?.startsWith(`${key}:`));
+
+const buildBackupKey = (key, version) => `${key}.backup.v${version ?? 'unknown'}`;
+const buildUnreadableBackupKey = (key) => `${key}.backup.unreadable`;
+
+const isMigrationBackupKey = (storedKey) =>
+  MIGRATED_RECORDS.some(
+    ({ key }) =>
+      storedKey?.startsWith(`${key}.backup.`) ||
+      (storedKey?.startsWith(`${key}:`) && storedKey.includes('.backup.'))
+  );
+
+// A stored record this build cannot read is left alone until the player decides what to do with it.
+const isUnmigratedRecord = (key, record) =>
+  Boolean(record) && record.schemaVersion !== findMigratedRecord(key)?.schemaVersion;
+
+const backupStoredObject = (backupKey, backup) => {
+  try {
+    if (window.localStorage.getItem(backupKey) !== null) return backupKey;
+  } catch {
+    return null;
   }
-  return profile;
-};
-
-const migrateRunHistory = (history) => {
-  if (!history || typeof history !== 'object') return null;
-  if (history.schemaVersion === RUN_HISTORY_SCHEMA_VERSION) return history;
-  if (history.schemaVersion === 1 && RUN_HISTORY_SCHEMA_VERSION === 2) {
-    const timestamp = nowIso();
-    return {
-      ...history,
-      schemaVersion: RUN_HISTORY_SCHEMA_VERSION,
-      createdAt: history.createdAt ?? timestamp,
-      updatedAt: timestamp,
-      runs: (history.runs ?? []).map((run) => ({
-        ...run,
-        sanctionDelta: run?.sanctionDelta ?? null,
-      })),
-    };
+  const saved = saveStoredObject(backupKey, {
+    ...backup,
+    backedUpAt: nowIso(),
+    acknowledged: false,
+  });
+  return saved ? backupKey : null;
+};
+
+const reportMigrationFailure = (key, message, error) => {
+  if (reportedMigrationFailures.has(key)) return;
+  reportedMigrationFailures.add(key);
+  console.warn(message, error);
+};
+
+const migrateStoredObject = ({ key, label, record, migrations }) => {
+  const { startOver, schemaVersion } = findMigratedRecord(key);
+  const { value, error } = runMigrations(record, migrations, schemaVersion);
+  const backupKey = backupStoredObject(buildBackupKey(key, record?.schemaVersion), {
+    key,
+    label,
+    fromVersion: record?.schemaVersion ?? null,
+    error: error ? error.message : null,
+    data: record,
+  });
+  if (error) {
+    reportMigrationFailure(
+      key,
+      backupKey
+        ? `Stored ${label} could not be migrated. Backed up to ${backupKey}; not saving over it.`
+        : `Stored ${label} could not be migrated or backed up. Not saving over it.`,
+      error
+    );
+    return startOver(record);
   }
-  return null;
+  const migrated = { ...value, updatedAt: nowIso() };
+  saveStoredObject(key, migrated);
+  return migrated;
+};
+
+// Backs up the raw text of a record that cannot be parsed and runs the session on a fresh
+// stand-in, which is never saved over the record.
+const setAsideUnreadableObject = (key, label, error) => {
+  let rawValue = null;
+  try {
+    rawValue = window.localStorage.getItem(key);
+  } catch {
+    rawValue = null;
+  }
+  const backupKey =
+    rawValue === null
+      ? null
+      : backupStoredObject(buildUnreadableBackupKey(key), {
+          key,
+          label,
+          fromVersion: null,
+          error: `Stored ${label} could not be read: ${error.message}`,
+          raw: rawValue,
+        });
+  reportMigrationFailure(
+    key,
+    backupKey
+      ? `Stored ${label} could not be read. Backed up to ${backupKey}; not saving over it.`
+      : `Stored ${label} could not be read or backed up. Not saving over it.`,
+    error
+  );
+  return findMigratedRecord(key).startOver(null);
+};
+
+// Whether saves must leave the stored record alone: it cannot be read, or cannot be migrated.
+const isRecordSetAside = (key, { value, error }) =>
+  Boolean(error) || isUnmigratedRecord(key, value);
+
+const normalizeProfile = (profile, key) => {
+  if (profile?.schemaVersion === PROFILE_SCHEMA_VERSION) return profile;
+  return migrateStoredObject({
+    key,
+    label: 'player profile',
+    record: profile,
+    migrations: PROFILE_MIGRATIONS,
+  });
+};
+
+const normalizeRunHistory = (history, key) => {
+  if (history?.schemaVersion === RUN_HISTORY_SCHEMA_VERSION) return history;
+  return migrateStoredObject({
+    key,
+    label: 'run history',
+    record: history,
+    migrations: RUN_HISTORY_MIGRATIONS,
+  });
 };
 
-const normalizeRunHistory = (history) => {
-  if (history?.schemaVersion !== RUN_HISTORY_SCHEMA_VERSION) {
-    const migrated = migrateRunHistory(history);
-    if (migrated) {
-      saveStoredObject(RUN_HISTORY_STORAGE_KEY, migrated);
-      return migrated;
+// Failed migrations stay listed until the player dismisses them.
+export const loadMigrationFailures = () => {
+  if (!hasWindowStorage()) return [];
+  const failures = [];
+  try {
+    for (let index = 0; index < window.localStorage.length; index += 1) {
+      const backupKey = window.localStorage.key(index);
+      if (!isMigrationBackupKey(backupKey)) continue;
+      const { value } = parseStoredJson(window.localStorage.getItem(backupKey));
+      if (!value?.error || value.acknowledged) continue;
+      failures.push({
+        backupKey,
+        label: value.label,
+        fromVersion: value.fromVersion,
+        error: value.error,
+        backedUpAt: value.backedUpAt,
+        unreadable: typeof value.raw === 'string',
+      });
     }
-    console.warn('Stored run history schema mismatch. Resetting to defaults.');
-    const reset = defaultRunHistory();
-    saveStoredObject(RUN_HISTORY_STORAGE_KEY, reset);
-    return reset;
+  } catch (error) {
+    console.warn('Failed to read migration backups.', error);
+  }
+  return failures;
+};
+
+// Starts the record over from its stand-in, bar status included, and keeps the backup.
+export const acknowledgeMigrationFailure = (backupKey) => {
+  const { value } = loadStoredObject(backupKey, 'migration backup');
+  if (!value) return false;
+  const loaded = loadStoredObject(value.key, value.label);
+  const record = findMigratedRecord(value.key);
+  if (record && isRecordSetAside(value.key, loaded)) {
+    if (!saveStoredObject(value.key, record.startOver(loaded.value))) return false;
   }
-  return history;
+  reportedMigrationFailures.delete(value.key);
+  return saveStoredObject(backupKey, { ...value, acknowledged: true });
+};
+
+// Puts the backed-up record back under its key. It is migrated again on the next load and backed
+// up again if that still fails.
+export const restoreMigrationBackup = (backupKey) => {
+  const { value } = loadStoredObject(backupKey, 'migration backup');
+  if (!value?.key || !value.data || !findMigratedRecord(value.key)) return false;
+  if (!saveStoredObject(value.key, value.data)) return false;
+  removeStoredObject(backupKey);
+  reportedMigrationFailures.delete(value.key);
+  return true;
 };
 
-export const loadPlayerProfile = () => {
+const loadStoredProfile = (profileId) => {
   if (!hasWindowStorage()) return defaultPlayerProfile();
 
-  const { value, error } = loadStoredObject(PROFILE_STORAGE_KEY, 'player profile');
-  if (error) {
-    const reset = defaultPlayerProfile();
-    saveStoredObject(PROFILE_STORAGE_KEY, reset);
-    return reset;
-  }
-  if (value) return normalizeProfile(value);
+  const key = buildProfileKey(PROFILE_STORAGE_KEY, profileId);
+  const { value, error } = loadStoredObject(key, 'player profile');
+  if (error) return setAsideUnreadableObject(key, 'player profile', error);
+  if (value) return normalizeProfile(value, key);
 
-  // Migration: pull legacy sanctions state into the profile when no v1 data exists.
-  const { value: legacySanctions, error: legacyError } = loadStoredObject(
-    LEGACY_SANCTIONS_STORAGE_KEY,
-    'legacy sanctions state',
-  );
+  // Migration: pull legacy sanctions state into the first profile when no v1 data exists.
+  const { value: legacySanctions, error: legacyError } =
+    profileId === DEFAULT_PROFILE_ID
+      ? loadStoredObject(LEGACY_SANCTIONS_STORAGE_KEY, 'legacy sanctions state')
+      : { value: null, error: null };
   if (legacyError) {
     const reset = defaultPlayerProfile();
-    saveStoredObject(PROFILE_STORAGE_KEY, reset);
+    saveStoredObject(key, reset);
     return reset;
   }
 
   if (legacySanctions) {
     const migrated = { ...defaultPlayerProfile(), sanctions: legacySanctions };
-    saveStoredObject(PROFILE_STORAGE_KEY, migrated);
+    saveStoredObject(key, migrated);
     return migrated;
   }
 
   const freshProfile = defaultPlayerProfile();
-  saveStoredObject(PROFILE_STORAGE_KEY, freshProfile);
+  saveStoredObject(key, freshProfile);
   return freshProfile;
 };
 
-export const savePlayerProfile = (profile) => {
+const withArchivedSnapshots = (profile) => {
+  if (!archive || !Array.isArray(profile?.caseHistory)) return profile;
+  return {
+    ...profile,
+    caseHistory: profile.caseHistory.map((entry) =>
+      archivedSnapshots.has(entry?.id)
+        ? { ...entry, docketSnapshot: archivedSnapshots.get(entry.id) }
+        : entry
+    ),
+  };
+};
+
+const stripArchivedSnapshots = (profile) => ({
+  ...profile,
+  caseHistory: profile.caseHistory.map((entry) => {
+    if (!persistedSnapshotIds.has(entry?.id)) return entry;
+    const { docketSnapshot: _archived, ...indexEntry } = entry;
+    return indexEntry;
+  }),
+});
+
+// Once the archive holds a profile's snapshots, drop them from its local storage index.
+const compactStoredProfile = (profileId) => {
+  const key = buildProfileKey(PROFILE_STORAGE_KEY, profileId);
+  const { value } = loadStoredObject(key, 'player profile');
+  if (!Array.isArray(value?.caseHistory)) return;
+  const hasArchivedCopies = value.caseHistory.some(
+    (entry) => entry?.docketSnapshot && persistedSnapshotIds.has(entry.id)
+  );
+  if (hasArchivedCopies) writeStoredObject(key, stripArchivedSnapshots(value));
+};
+
+const archiveSnapshots = (caseHistory, profileId) => {
+  const changed = caseHistory
+    .filter(
+      (entry) =>
+        entry?.id &&
+        entry.docketSnapshot &&
+        (archivedSnapshots.get(entry.id) !== entry.docketSnapshot || unsavedSnapshotIds.has(entry.id))
+    )
+    .map((entry) => [entry.id, entry.docketSnapshot]);
+  if (!changed.length) return;
+  changed.forEach(([id, snapshot]) => {
+    archivedSnapshots.set(id, snapshot);
+    persistedSnapshotIds.delete(id);
+  });
+  writeArchive(archive.putSnapshots(changed)).then((saved) => {
+    changed.forEach(([id]) => (saved ? unsavedSnapshotIds.delete(id) : unsavedSnapshotIds.add(id)));
+    if (!saved) return;
+    changed.forEach(([id]) => persistedSnapshotIds.add(id));
+    // Other tabs take the snapshots before the index without them reaches their storage events.
+    archiveChannel?.postMessage({ profileId, entries: changed });
+    compactStoredProfile(profileId);
+  });
+};
+
+// When local storage is full, give up the snapshots of the oldest cases before the profile.
+const saveProfileWithinQuota = (profile, key) => {
+  let candidate = profile;
+  for (;;) {
+    const error = writeStoredObject(key, candidate);
+    if (!error) return candidate;
+    const caseHistory = candidate.caseHistory ?? [];
+    const oldest = caseHistory.findLastIndex((entry) => entry?.docketSnapshot);
+    if (!isQuotaError(error) || oldest === -1) {
+      console.warn(`Failed to save ${key} to localStorage.`, error);
+      return null;
+    }
+    console.warn('Local storage is full. Dropping the docket snapshot of the oldest saved case.');
+    candidate = {
+      ...candidate,
+      caseHistory: caseHistory.map((entry, index) =>
+        index === oldest ? { ...entry, docketSnapshot: null } : entry
+      ),
+    };
+  }
+};
+
+export const loadPlayerProfile = (profileId = DEFAULT_PROFILE_ID) =>
+  withArchivedSnapshots(loadStoredProfile(profileId));
+
+// Another tab may have saved a sanction, a case, an achievement, or a stat since this profile was
+// loaded. The sanction is kept unless this save was derived from it, and the records are merged
+// in (see `profileSync.js`). `replace` skips the merge for a save meant to drop records, such as
+// restoring a backup over the profile.
+export const savePlayerProfile = (
+  profile,
+  profileId = DEFAULT_PROFILE_ID,
+  { replace = false } = {}
+) => {
   if (!hasWindowStorage()) return null;
+  const key = buildProfileKey(PROFILE_STORAGE_KEY, profileId);
+  const storedRecord = loadStoredObject(key, 'player profile');
+  if (!replace && isRecordSetAside(key, storedRecord)) return null;
+  const loaded = storedRecord.value;
+  const stored = loaded?.schemaVersion === PROFILE_SCHEMA_VERSION ? loaded : null;
   const timestamp = nowIso();
-  const payload = {
+  const next = {
     ...profile,
     schemaVersion: PROFILE_SCHEMA_VERSION,
     createdAt: profile?.createdAt ?? timestamp,
     updatedAt: timestamp,
   };
-  const saved = saveStoredObject(PROFILE_STORAGE_KEY, payload);
-  return saved ? payload : null;
+  const payload = reconcileProfileSanctions(
+    stored,
+    stored && !replace ? { ...next, ...mergeProfileRecords(next, stored) } : next
+  );
+  if (!Array.isArray(payload.caseHistory)) {
+    return saveProfileWithinQuota(payload, key);
+  }
+  if (!archive) {
+    return saveProfileWithinQuota(
+      { ...payload, caseHistory: payload.caseHistory.slice(0, LOCAL_CASE_HISTORY_LIMIT) },
+      key
+    );
+  }
+  archiveSnapshots(payload.caseHistory, profileId);
+  return saveProfileWithinQuota(stripArchivedSnapshots(payload), key)
+    ? withArchivedSnapshots(payload)
+    : null;
 };
 
-export const loadRunHistory = () => {
+const loadStoredRunHistory = (profileId) => {
   if (!hasWindowStorage()) return defaultRunHistory();
-  const { value, error } = loadStoredObject(RUN_HISTORY_STORAGE_KEY, 'run history');
-  if (error) {
-    const reset = defaultRunHistory();
-    saveStoredObject(RUN_HISTORY_STORAGE_KEY, reset);
-    return reset;
-  }
-  if (value) return normalizeRunHistory(value);
+  const key = buildProfileKey(RUN_HISTORY_STORAGE_KEY, profileId);
+  const { value, error } = loadStoredObject(key, 'run history');
+  if (error) return setAsideUnreadableObject(key, 'run history', error);
+  if (value) return normalizeRunHistory(value, key);
   const freshHistory = defaultRunHistory();
-  saveStoredObject(RUN_HISTORY_STORAGE_KEY, freshHistory);
+  saveStoredObject(key, freshHistory);
   return freshHistory;
 };
 
-export const saveRunHistory = (history) => {
+export const loadRunHistory = (profileId = DEFAULT_PROFILE_ID) => {
+  const history = loadStoredRunHistory(profileId);
+  return archive && archivedRuns.has(profileId)
+    ? { ...history, runs: archivedRuns.get(profileId) }
+    : history;
+};
+
+export const saveRunHistory = (history, profileId = DEFAULT_PROFILE_ID) => {
   if (!hasWindowStorage()) return null;
+  const key = buildProfileKey(RUN_HISTORY_STORAGE_KEY, profileId);
+  if (isRecordSetAside(key, loadStoredObject(key, 'run history'))) return null;
   const timestamp = nowIso();
+  const runs = Array.isArray(history?.runs) ? history.runs : [];
   const payload = {
     ...history,
     schemaVersion: RUN_HISTORY_SCHEMA_VERSION,
     createdAt: history?.createdAt ?? timestamp,
     updatedAt: timestamp,
+    runs,
+  };
+  const index = { ...payload, runs: runs.slice(-LOCAL_RUN_HISTORY_LIMIT) };
+  if (archive) {
+    archivedRuns.set(profileId, runs);
+    writeArchive(archive.putRuns(profileId, runs));
+  }
+  const saved = saveStoredObject(key, index);
+  if (!saved) return null;
+  return archive ? payload : index;
+};
+
+const mergeRuns = (archived, indexed) => {
+  const runsById = new Map(archived.map((run) => [run.id, run]));
+  indexed.forEach((run) => runsById.set(run.id, { ...runsById.get(run.id), ...run }));
+  return [...runsById.values()].sort((a, b) =>
+    String(a.startedAt ?? '').localeCompare(String(b.startedAt ?? ''))
+  );
+};
+
+// Opens the archive and moves docket snapshots and run history out of local storage. Until it
+// resolves, and whenever IndexedDB is unavailable, everything stays in local storage.
+export const initStorage = async (openArchive = openIndexedDbArchive) => {
+  if (archive || !hasWindowStorage()) return getStorageStatus();
+  try {
+    const opened = await openArchive();
+    if (!opened) return getStorageStatus();
+    const { snapshots, runs } = await opened.loadAll();
+    const stored = loadProfileRegistry().profiles.map(({ id }) => {
+      const runHistory = loadStoredRunHistory(id);
+      return {
+        id,
+        profile: loadStoredProfile(id),
+        runHistory,
+        runs: mergeRuns(runs.get(id) ?? [], runHistory.runs ?? []),
+      };
+    });
+    const localSnapshots = stored.flatMap(({ profile }) =>
+      (profile.caseHistory ?? [])
+        .filter((entry) => entry?.id && entry.docketSnapshot)
+        .map((entry) => [entry.id, entry.docketSnapshot])
+    );
+    if (localSnapshots.length) await opened.putSnapshots(localSnapshots);
+    for (const { id, runs: mergedRuns } of stored) {
+      await opened.putRuns(id, mergedRuns);
+      runs.set(id, mergedRuns);
+    }
+
+    localSnapshots.forEach(([id, snapshot]) => snapshots.set(id, snapshot));
+    archive = opened;
+    archivedSnapshots = snapshots;
+    persistedSnapshotIds = new Set(snapshots.keys());
+    archivedRuns = runs;
+    openArchiveChannel();
+    watchStorage();
+    // Rewrite the indexes now that the archive holds the snapshots.
+    stored.forEach(({ id, profile, runHistory, runs: mergedRuns }) => {
+      savePlayerProfile(profile, id);
+      const runHistoryKey = buildProfileKey(RUN_HISTORY_STORAGE_KEY, id);
+      if (isRecordSetAside(runHistoryKey, loadStoredObject(runHistoryKey, 'run history'))) {
+        return;
+      }
+      saveStoredObject(runHistoryKey, {
+        ...runHistory,
+        runs: mergedRuns.slice(-LOCAL_RUN_HISTORY_LIMIT),
+      });
+    });
+  } catch (error) {
+    if (isQuotaError(error)) quotaExceeded = true;
+    console.warn('Docket archive unavailable. Keeping dockets in local storage.', error);
+  }
+  return getStorageStatus();
+};
+
+export const getStorageStatus = () => ({
+  backend: archive ? archive.name : 'localStorage',
+  quotaExceeded,
+  archiveWriteFailed,
+});
+
+// The active run is autosaved after every transition so a closed tab can resume it. Each profile
+// saves one run at a time; it is cleared when the run ends.
+export const loadActiveRun = (profileId = DEFAULT_PROFILE_ID) => {
+  if (!hasWindowStorage()) return null;
+  const { value } = loadStoredObject(buildProfileKey(ACTIVE_RUN_STORAGE_KEY, profileId), 'active run');
+  if (!value) return null;
+  if (
+    value.schemaVersion !== ACTIVE_RUN_SCHEMA_VERSION ||
+    !value.history ||
+    typeof value.history !== 'object' ||
+    !value.config ||
+    typeof value.config !== 'object'
+  ) {
+    console.warn('Stored active run is unreadable. Discarding it.');
+    clearActiveRun(profileId);
+    return null;
+  }
+  return value;
+};
+
+export const saveActiveRun = (run, profileId = DEFAULT_PROFILE_ID) => {
+  if (!hasWindowStorage()) return null;
+  const payload = {
+    ...run,
+    schemaVersion: ACTIVE_RUN_SCHEMA_VERSION,
+    savedAt: nowIso(),
   };
-  const saved = saveStoredObject(RUN_HISTORY_STORAGE_KEY, payload);
+  const saved = saveStoredObject(buildProfileKey(ACTIVE_RUN_STORAGE_KEY, profileId), payload);
   return saved ? payload : null;
 };
 
+export const clearActiveRun = (profileId = DEFAULT_PROFILE_ID) => {
+  if (!hasWindowStorage()) return;
+  removeStoredObject(buildProfileKey(ACTIVE_RUN_STORAGE_KEY, profileId));
+};
+
+// The registry lists the profiles on this browser and which one is in use. Before profiles
+// existed there was one, stored under the original keys, so a missing registry starts with it.
+const defaultProfileRegistry = () => ({
+  schemaVersion: PROFILE_REGISTRY_SCHEMA_VERSION,
+  activeProfileId: DEFAULT_PROFILE_ID,
+  profiles: [{ id: DEFAULT_PROFILE_ID, name: DEFAULT_PROFILE_NAME, createdAt: nowIso() }],
+});
+
+const isProfileSlot = (slot) =>
+  Boolean(slot) && typeof slot.id === 'string' && slot.id !== '' && typeof slot.name === 'string';
+
+const normalizeProfileName = (name) =>
+  typeof name === 'string' ? name.trim().slice(0, PROFILE_NAME_MAX_LENGTH) : '';
+
+const buildProfileId = () =>
+  `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const saveProfileRegistry = (registry) =>
+  saveStoredObject(PROFILE_REGISTRY_STORAGE_KEY, registry) ? registry : null;
+
+export const loadProfileRegistry = () => {
+  if (!hasWindowStorage()) return defaultProfileRegistry();
+  const { value } = loadStoredObject(PROFILE_REGISTRY_STORAGE_KEY, 'profile list');
+  const profiles = Array.isArray(value?.profiles) ? value.profiles.filter(isProfileSlot) : [];
+  if (!profiles.length) {
+    const registry = defaultProfileRegistry();
+    saveProfileRegistry(registry);
+    return registry;
+  }
+  return {
+    ...value,
+    schemaVersion: PROFILE_REGISTRY_SCHEMA_VERSION,
+    activeProfileId: profiles.some((slot) => slot.id === value.activeProfileId)
+      ? value.activeProfileId
+      : profiles[0].id,
+    profiles,
+  };
+};
+
+export const setActiveProfile = (profileId) => {
+  if (!hasWindowStorage()) return null;
+  const registry = loadProfileRegistry();
+  if (!registry.profiles.some((slot) => slot.id === profileId)) return null;
+  return saveProfileRegistry({ ...registry, activeProfileId: profileId });
+};
+
+// New profiles start with a clean bar record and become the active profile.
+export const createProfile = (name) => {
+  const profileName = normalizeProfileName(name);
+  if (!hasWindowStorage() || !profileName) return null;
+  const registry = loadProfileRegistry();
+  const id = buildProfileId();
+  return saveProfileRegistry({
+    ...registry,
+    activeProfileId: id,
+    profiles: [...registry.profiles, { id, name: profileName, createdAt: nowIso() }],
+  });
+};
+
+export const renameProfile = (profileId, name) => {
+  const profileName = normalizeProfileName(name);
+  if (!hasWindowStorage() || !profileName) return null;
+  const registry = loadProfileRegistry();
+  if (!registry.profiles.some((slot) => slot.id === profileId)) return null;
+  return saveProfileRegistry({
+    ...registry,
+    profiles: registry.profiles.map((slot) =>
+      slot.id === profileId ? { ...slot, name: profileName } : slot
+    ),
+  });
+};
+
+const removeProfileRecords = (profileId) => {
+  const keys = [
+    PROFILE_STORAGE_KEY,
+    RUN_HISTORY_STORAGE_KEY,
+    ACTIVE_RUN_STORAGE_KEY,
+    RUN_LOCK_STORAGE_KEY,
+  ].map((key) => buildProfileKey(key, profileId));
+  const backupKeys = [];
+  try {
+    for (let index = 0; index < window.localStorage.length; index += 1) {
+      const storedKey = window.localStorage.key(index);
+      if (keys.some((key) => storedKey?.startsWith(`${key}.backup.`))) backupKeys.push(storedKey);
+    }
+  } catch (error) {
+    console.warn('Failed to read migration backups.', error);
+  }
+  [...keys, ...backupKeys].forEach(removeStoredObject);
+};
+
+// The copy takes the bar record with it, sanctions included, but not the autosaved run.
+export const duplicateProfile = (profileId, name) => {
+  if (!hasWindowStorage()) return null;
+  const registry = loadProfileRegistry();
+  const source = registry.profiles.find((slot) => slot.id === profileId);
+  const profileName = normalizeProfileName(name ?? `${source?.name} (copy)`);
+  if (!source || !profileName) return null;
+  const id = buildProfileId();
+  if (
+    !savePlayerProfile(loadPlayerProfile(profileId), id) ||
+    !saveRunHistory(loadRunHistory(profileId), id)
+  ) {
+    removeProfileRecords(id);
+    return null;
+  }
+  return saveProfileRegistry({
+    ...registry,
+    profiles: [...registry.profiles, { id, name: profileName, createdAt: nowIso() }],
+  });
+};
+
+// The last profile cannot be deleted, nor one with a case open in another tab. Docket snapshots are
+// shared by case ID with copies of the profile, so only the ones no other profile lists are
+// removed from the archive.
+export const deleteProfile = (profileId) => {
+  if (!hasWindowStorage() || isRunLockedElsewhere(profileId)) return null;
+  const registry = loadProfileRegistry();
+  const profiles = registry.profiles.filter((slot) => slot.id !== profileId);
+  if (!profiles.length || profiles.length === registry.profiles.length) return null;
+  const next = saveProfileRegistry({
+    ...registry,
+    activeProfileId:
+      registry.activeProfileId === profileId ? profiles[0].id : registry.activeProfileId,
+    profiles,
+  });
+  if (!next) return null;
+
+  if (archive) {
+    const keptIds = new Set(
+      profiles.flatMap(({ id }) => (loadStoredProfile(id).caseHistory ?? []).map((entry) => entry?.id))
+    );
+    const orphanedIds = (loadStoredProfile(profileId).caseHistory ?? [])
+      .map((entry) => entry?.id)
+      .filter((id) => id && !keptIds.has(id));
+    orphanedIds.forEach((id) => {
+      archivedSnapshots.delete(id);
+      persistedSnapshotIds.delete(id);
+    });
+    archivedRuns.delete(profileId);
+    if (orphanedIds.length) writeArchive(archive.deleteSnapshots(orphanedIds));
+    writeArchive(archive.deleteRuns(profileId));
+  }
+  removeProfileRecords(profileId);
+  return next;
+};
+
+// Only one tab at a time may run a case for a profile. The tab running it refreshes its lock
+// every `RUN_LOCK_TIMERS_MS.HEARTBEAT`; a lock left unrefreshed for `RUN_LOCK_TIMERS_MS.STALE`
+// belongs to a closed tab and is taken over.
+const buildRunLockKey = (profileId) => buildProfileKey(RUN_LOCK_STORAGE_KEY, profileId);
+
+const loadRunLock = (profileId) => loadStoredObject(buildRunLockKey(profileId), 'run lock').value;
+
+const isHeldElsewhere = (lock) =>
+  Boolean(lock) &&
+  lock.tabId !== TAB_ID &&
+  Date.parse(lock.refreshedAt) + RUN_LOCK_TIMERS_MS.STALE > Date.now();
+
+export const isRunLockedElsewhere = (profileId = DEFAULT_PROFILE_ID) =>
+  hasWindowStorage() && isHeldElsewhere(loadRunLock(profileId));
+
+// Takes the lock, or refreshes it when this tab already holds it. A lock that cannot be written
+// does not block play.
+export const acquireRunLock = (profileId = DEFAULT_PROFILE_ID) => {
+  if (!hasWindowStorage()) return true;
+  const lock = loadRunLock(profileId);
+  if (isHeldElsewhere(lock)) return false;
+  const timestamp = nowIso();
+  const saved = saveStoredObject(buildRunLockKey(profileId), {
+    tabId: TAB_ID,
+    acquiredAt: lock?.tabId === TAB_ID ? lock.acquiredAt : timestamp,
+    refreshedAt: timestamp,
+  });
+  // When two tabs race for a free lock, the last write wins and the other tab backs off.
+  return !saved || loadRunLock(profileId)?.tabId === TAB_ID;
+};
+
+export const releaseRunLock = (profileId = DEFAULT_PROFILE_ID) => {
+  if (!hasWindowStorage() || loadRunLock(profileId)?.tabId !== TAB_ID) return;
+  removeStoredObject(buildRunLockKey(profileId));
+};
+
+// Storage events carry only the run history index, which holds the latest runs of the full list
+// the other tab saved; older runs come from this tab's cache.
+const syncArchivedRuns = (profileId, rawIndex) => {
+  const indexRuns = parseStoredJson(rawIndex).value?.runs;
+  if (!archive || !Array.isArray(indexRuns)) return;
+  if (indexRuns.length < LOCAL_RUN_HISTORY_LIMIT) {
+    archivedRuns.set(profileId, indexRuns);
+    return;
+  }
+  const indexIds = new Set(indexRuns.map((run) => run.id));
+  const firstStartedAt = String(indexRuns[0]?.startedAt ?? '');
+  const olderRuns = (archivedRuns.get(profileId) ?? []).filter(
+    (run) => !indexIds.has(run.id) && String(run.startedAt ?? '') < firstStartedAt
+  );
+  archivedRuns.set(profileId, [...olderRuns, ...indexRuns]);
+};
+
+const STORAGE_CHANGE_KEYS = Object.freeze([
+  [PROFILE_STORAGE_KEY, STORAGE_CHANGE_KINDS.PROFILE],
+  [RUN_HISTORY_STORAGE_KEY, STORAGE_CHANGE_KINDS.RUN_HISTORY],
+  [ACTIVE_RUN_STORAGE_KEY, STORAGE_CHANGE_KINDS.ACTIVE_RUN],
+  [RUN_LOCK_STORAGE_KEY, STORAGE_CHANGE_KINDS.RUN_LOCK],
+]);
+
+const readStorageChange = (storedKey) => {
+  if (!storedKey || storedKey.includes('.backup.')) return null;
+  if (storedKey === PROFILE_REGISTRY_STORAGE_KEY) {
+    return { kind: STORAGE_CHANGE_KINDS.REGISTRY, profileId: null };
+  }
+  for (const [key, kind] of STORAGE_CHANGE_KEYS) {
+    if (storedKey === key) return { kind, profileId: DEFAULT_PROFILE_ID };
+    if (storedKey.startsWith(`${key}:`)) return { kind, profileId: storedKey.slice(key.length + 1) };
+  }
+  return null;
+};
+
+const notifyStorageChange = (change) => {
+  storageListeners.forEach((listener) => listener(change));
+};
+
+const handleStorageEvent = (event) => {
+  if (event.storageArea && event.storageArea !== window.localStorage) return;
+  const change = readStorageChange(event.key);
+  if (!change) return;
+  if (change.kind === STORAGE_CHANGE_KINDS.RUN_HISTORY) {
+    syncArchivedRuns(change.profileId, event.newValue);
+  }
+  notifyStorageChange(change);
+};
+
+const watchStorage = () => {
+  if (isSyncingStorage || !hasWindowStorage()) return;
+  window.addEventListener('storage', handleStorageEvent);
+  isSyncingStorage = true;
+};
+
+const openArchiveChannel = () => {
+  if (archiveChannel || typeof BroadcastChannel === 'undefined') return;
+  archiveChannel = new BroadcastChannel(ARCHIVE_CHANNEL_NAME);
+  archiveChannel.onmessage = ({ data }) => {
+    if (!Array.isArray(data?.entries)) return;
+    data.entries.forEach(([id, snapshot]) => {
+      archivedSnapshots.set(id, snapshot);
+      persistedSnapshotIds.add(id);
+    });
+    notifyStorageChange({ kind: STORAGE_CHANGE_KINDS.PROFILE, profileId: data.profileId });
+  };
+};
+
+// Listeners hear about records another tab changed, once this tab's caches have caught up.
+export const subscribeToStorageChanges = (listener) => {
+  watchStorage();
+  storageListeners.add(listener);
+  return () => {
+    storageListeners.delete(listener);
+  };
+};
+
+export const __testables = {
+  TAB_ID,
+  resetStorage: () => {
+    archive = null;
+    archivedSnapshots = new Map();
+    persistedSnapshotIds = new Set();
+    unsavedSnapshotIds = new Set();
+    archivedRuns = new Map();
+    quotaExceeded = false;
+    archiveWriteFailed = false;
+    reportedMigrationFailures = new Set();
+    archiveChannel?.close();
+    archiveChannel = null;
+    if (isSyncingStorage) window.removeEventListener('storage', handleStorageEvent);
+    isSyncingStorage = false;
+    storageListeners.clear();
+  },
+};
+
 export {
+  ACTIVE_RUN_STORAGE_KEY,
+  DEFAULT_PROFILE_ID,
+  PROFILE_REGISTRY_STORAGE_KEY,
   PROFILE_STORAGE_KEY,
   RUN_HISTORY_STORAGE_KEY,
+  RUN_LOCK_STORAGE_KEY,
   PROFILE_SCHEMA_VERSION,
   RUN_HISTORY_SCHEMA_VERSION,
 };
@@ -0,0 +1,157 @@
+import { FINAL_DISPOSITIONS } from './constants';
+
+/**
+ * Plea bargaining helpers shared by the game hook, docket UI, and prompts.
+ *
+ * Before the first motion is filed, the prosecution may offer a plea: a (usually reduced) charge
+ * and a term within the jurisdiction's sentencing range. The defense may counter each offer; the
+ * prosecution gets `MAX_PLEA_ROUNDS` offers in all. An accepted deal ends the case with the
+ * `PLEA_DEAL` disposition and is scored on where the agreed term falls in the range. In Public
+ * Defender mode the hostile client must sign off on any deal the player recommends, and may refuse.
+ */
+
+/** Offers the prosecution may make before it has to take or leave the defense's last counter. */
+export const MAX_PLEA_ROUNDS = 3;
+
+export const PLEA_STATUSES = Object.freeze({
+  OPEN: 'open',
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected',
+});
+
+/** Highest score a plea deal can earn; only a trial can reach the top of the scale. */
+export const MAX_PLEA_SCORE = 80;
+
+/** Lowest score a plea deal can earn. */
+export const MIN_PLEA_SCORE = 20;
+
+/**
+ * Build the initial plea negotiation state.
+ *
+ * @returns {import('./types').PleaState} Open negotiation with no offers.
+ */
+export const createPleaState = () => ({
+  offers: [],
+  clientRejections: [],
+  status: PLEA_STATUSES.OPEN,
+  acceptedOfferId: null,
+  docketEntry: null,
+});
+
+/**
+ * Return the most recent offer on the table.
+ *
+ * @param {import('./types').PleaState | undefined} plea - Plea negotiation state.
+ * @returns {import('./types').PleaOffer | null} Latest offer, or null before the first one.
+ */
+export const getLatestPleaOffer = (plea) => plea?.offers?.at(-1) ?? null;
+
+/**
+ * Current negotiation round: the number of offers the prosecution has made.
+ *
+ * @param {import('./types').PleaState | undefined} plea - Plea negotiation state.
+ * @returns {number} Round number, 0 before the opening offer.
+ */
+export const getPleaRound = (plea) =>
+  (plea?.offers ?? []).filter((offer) => offer.offeredBy === 'prosecution').length;
+
+/**
+ * Whether plea negotiations are open: the case is live, no motion has been filed, and the
+ * negotiation has not been accepted or broken off.
+ *
+ * @param {import('./types').HistoryState} historyState - Current docket history.
+ * @returns {boolean} True while offers may be made or answered.
+ */
+export const isPleaWindowOpen = (historyState) =>
+  historyState?.plea?.status === PLEA_STATUSES.OPEN &&
+  !historyState.disposition &&
+  !historyState.motion?.motionText;
+
+/**
+ * Whether it is the prosecution's turn to make an offer: no offer yet, or the defense has
+ * countered and rounds remain.
+ *
+ * @param {import('./types').PleaState | undefined} plea - Plea negotiation state.
+ * @returns {boolean} True when the prosecution may offer.
+ */
+export const canProsecutionOffer = (plea) =>
+  getLatestPleaOffer(plea)?.offeredBy !== 'prosecution' && getPleaRound(plea) < MAX_PLEA_ROUNDS;
+
+/**
+ * Whether the defense may counter: the latest offer came from the prosecution.
+ *
+ * @param {import('./types').PleaState | undefined} plea - Plea negotiation state.
+ * @returns {boolean} True when a counter-offer may be made.
+ */
+export const canDefenseCounter = (plea) => getLatestPleaOffer(plea)?.offeredBy === 'prosecution';
+
+/**
+ * Whether a role may accept the offer on the table: it must come from the other side, and the
+ * client must not already have refused it.
+ *
+ * @param {import('./types').PleaState | undefined} plea - Plea negotiation state.
+ * @param {'defense' | 'prosecution'} role - Role accepting.
+ * @returns {boolean} True when the latest offer may be accepted.
+ */
+export const canAcceptPleaOffer = (plea, role) => {
+  const offer = getLatestPleaOffer(plea);
+  if (!offer || offer.offeredBy === role) return false;
+  return !(plea.clientRejections ?? []).some((rejection) => rejection.offerId === offer.id);
+};
+
+/**
+ * Score for an accepted deal: linear in where the agreed term falls in the range, higher for the
+ * defense at the bottom and for the prosecution at the top.
+ *
+ * @param {'defense' | 'prosecution'} playerRole - Player role.
+ * @param {number} term - Agreed term in the range unit.
+ * @param {{min: number, max: number}} range - Sentencing range.
+ * @returns {number} Whole-number score between `MIN_PLEA_SCORE` and `MAX_PLEA_SCORE`.
+ */
+export const getPleaScore = (playerRole, term, range) => {
+  const span = range.max - range.min;
+  const severity = span > 0 ? Math.min(1, Math.max(0, (term - range.min) / span)) : 0.5;
+  const favorability = playerRole === 'defense' ? 1 - severity : severity;
+  return Math.round(MIN_PLEA_SCORE + favorability * (MAX_PLEA_SCORE - MIN_PLEA_SCORE));
+};
+
+/**
+ * Build the terminal disposition for an accepted deal.
+ *
+ * @param {import('./types').PleaOffer} offer - Accepted offer.
+ * @param {string} docketEntry - Docket entry recording the deal.
+ * @returns {import('./types').DispositionRecord} Plea deal disposition.
+ */
+export const buildPleaDisposition = (offer, docketEntry) => ({
+  type: FINAL_DISPOSITIONS.PLEA_DEAL,
+  source: 'plea',
+  summary: 'Plea Deal',
+  details: [
+    `PLEA: Guilty to ${offer.charge}`,
+    `TERM: ${offer.term} ${offer.unit}`,
+    docketEntry,
+  ].join('\n'),
+});
+
+/**
+ * Format the negotiation for the copied docket.
+ *
+ * @param {import('./types').PleaState | undefined} plea - Plea negotiation state.
+ * @returns {string[]} Docket lines, empty when no offer was made.
+ */
+export const buildPleaDocketLines = (plea) => {
+  const lines = (plea?.offers ?? []).map((offer) => {
+    const label = offer.offeredBy === 'prosecution' ? 'Prosecution offer' : 'Defense counter';
+    const message = offer.message ? ` - "${offer.message}"` : '';
+    return `Round ${offer.round} ${label}: Guilty to ${offer.charge}, ${offer.term} ${offer.unit}${message}`;
+  });
+  (plea?.clientRejections ?? []).forEach((rejection) => {
+    lines.push(
+      `Client refused: Guilty to ${rejection.charge}, ${rejection.term} ${rejection.unit} - "${
+        rejection.statement
+      }"`
+    );
+  });
+  if (plea?.docketEntry && plea.status !== PLEA_STATUSES.OPEN) lines.push(plea.docketEntry);
+  return lines;
+};
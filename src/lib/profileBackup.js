@@ -0,0 +1,204 @@
+import { PROFILE_SCHEMA_VERSION, RUN_HISTORY_SCHEMA_VERSION } from './constants';
+import { PROFILE_MIGRATIONS, RUN_HISTORY_MIGRATIONS, runMigrations } from './migrations';
+import {
+  getAchievementKey,
+  mergeProfileRecords,
+  pickStricterProfile,
+  unionBy,
+} from './profileSync';
+import { normalizeSanctionsState } from './sanctionsState';
+
+/**
+ * Whole-profile backups.
+ *
+ * A backup is one JSON file holding the player profile, including every archived docket snapshot,
+ * and the run history. Importing one either merges it into the current profile or replaces the
+ * profile with it. Either way the stricter sanctions state is kept, so a backup can never lift a
+ * suspension. Sanctions on both sides are compared as they stand now (`normalizeSanctionsState`),
+ * which expires only what has actually run out, so an expired term cannot outrank a live one.
+ */
+
+export const PROFILE_BACKUP_FORMAT = 'pocket-court-profile';
+export const PROFILE_BACKUP_VERSION = 1;
+
+export const PROFILE_BACKUP_MODES = Object.freeze({
+  MERGE: 'merge',
+  REPLACE: 'replace',
+});
+
+/** @typedef {import('./types').ProfileBackup} ProfileBackup */
+/** @typedef {import('./types').ProfileBackupSummary} ProfileBackupSummary */
+/** @typedef {{ profile: import('./types').PlayerProfile, runHistory: import('./types').RunHistory }} StoredProfile */
+
+/**
+ * Build a backup of the stored profile and run history.
+ *
+ * @param {StoredProfile} stored - Profile with its docket snapshots, and the run history.
+ * @param {string} [exportedAt] - ISO timestamp of the export.
+ * @returns {ProfileBackup} The backup.
+ */
+export const buildProfileBackup = ({ profile, runHistory }, exportedAt = new Date().toISOString()) => ({
+  format: PROFILE_BACKUP_FORMAT,
+  version: PROFILE_BACKUP_VERSION,
+  exportedAt,
+  profile,
+  runHistory,
+});
+
+/**
+ * Build the downloadable file for a backup.
+ *
+ * @param {ProfileBackup} backup - Backup from `buildProfileBackup`.
+ * @returns {{ filename: string, text: string, mimeType: string }} File to download.
+ */
+export const buildProfileBackupExport = (backup) => ({
+  filename: `pocketcourt-profile-${backup.exportedAt.slice(0, 10)}.json`,
+  text: JSON.stringify(backup, null, 2),
+  mimeType: 'application/json',
+});
+
+const isRecord = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const listOf = (value) => (Array.isArray(value) ? value.filter(isRecord) : []);
+
+const withCurrentSanctions = (profile, nowMs) => ({
+  ...profile,
+  sanctions: isRecord(profile.sanctions) ? normalizeSanctionsState(profile.sanctions, nowMs) : null,
+});
+
+/**
+ * Parse and validate a backup file. Profiles and run histories saved by older versions are
+ * upgraded with the same migrations as local storage.
+ *
+ * @param {string} text - File contents.
+ * @param {number} [nowMs] - Time the backup's sanctions are read at.
+ * @returns {ProfileBackup | null} The backup, or null when the file is not a readable backup.
+ */
+export const parseProfileBackup = (text, nowMs = Date.now()) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (
+    !isRecord(backup) ||
+    backup.format !== PROFILE_BACKUP_FORMAT ||
+    backup.version !== PROFILE_BACKUP_VERSION ||
+    !isRecord(backup.profile) ||
+    !isRecord(backup.runHistory)
+  ) {
+    return null;
+  }
+  const { value: profile } = runMigrations(
+    backup.profile,
+    PROFILE_MIGRATIONS,
+    PROFILE_SCHEMA_VERSION
+  );
+  const { value: runHistory } = runMigrations(
+    backup.runHistory,
+    RUN_HISTORY_MIGRATIONS,
+    RUN_HISTORY_SCHEMA_VERSION
+  );
+  if (!profile || !runHistory) return null;
+  return {
+    ...backup,
+    profile: {
+      ...withCurrentSanctions(profile, nowMs),
+      achievements: listOf(profile.achievements),
+      caseHistory: listOf(profile.caseHistory).filter((entry) => entry.id),
+    },
+    runHistory: { ...runHistory, runs: listOf(runHistory.runs).filter((run) => run.id) },
+  };
+};
+
+const countAdded = (currentItems, incomingItems, getKey) => {
+  const currentKeys = new Set(currentItems.map(getKey));
+  return incomingItems.filter((item) => !currentKeys.has(getKey(item))).length;
+};
+
+/**
+ * Summarize how a backup differs from the current profile.
+ *
+ * @param {StoredProfile} current - Current profile and run history.
+ * @param {ProfileBackup} backup - Parsed backup.
+ * @param {number} [nowMs] - Time both sides' sanctions are compared at.
+ * @returns {ProfileBackupSummary} Counts on each side, what a merge would add, and the sanctions
+ * state either import would keep.
+ */
+export const summarizeProfileBackup = (current, backup, nowMs = Date.now()) => {
+  const currentProfile = withCurrentSanctions(current.profile, nowMs);
+  const backupProfile = withCurrentSanctions(backup.profile, nowMs);
+  const currentCases = current.profile.caseHistory ?? [];
+  const currentAchievements = current.profile.achievements ?? [];
+  const currentRuns = current.runHistory.runs ?? [];
+  const { caseHistory, achievements } = backup.profile;
+  const { runs } = backup.runHistory;
+  return {
+    exportedAt: backup.exportedAt ?? null,
+    cases: {
+      current: currentCases.length,
+      incoming: caseHistory.length,
+      added: countAdded(currentCases, caseHistory, (entry) => entry.id),
+    },
+    achievements: {
+      current: currentAchievements.length,
+      incoming: achievements.length,
+      added: countAdded(currentAchievements, achievements, getAchievementKey),
+    },
+    runs: {
+      current: currentRuns.length,
+      incoming: runs.length,
+      added: countAdded(currentRuns, runs, (run) => run.id),
+    },
+    sanctions: {
+      current: currentProfile.sanctions,
+      incoming: backupProfile.sanctions,
+      kept: pickStricterProfile(currentProfile, backupProfile).sanctions ?? null,
+    },
+  };
+};
+
+/**
+ * Apply a backup to the current profile.
+ *
+ * Merging keeps the current profile and adds the backup's cases, achievements, and runs that it
+ * lacks; each stat keeps the higher count. Replacing takes everything from the backup. Both keep
+ * the stricter sanctions state, with its public defender and reinstatement snapshots.
+ *
+ * @param {StoredProfile} current - Current profile and run history.
+ * @param {ProfileBackup} backup - Parsed backup.
+ * @param {string} mode - One of `PROFILE_BACKUP_MODES`.
+ * @param {number} [nowMs] - Time both sides' sanctions are compared at.
+ * @returns {StoredProfile} Profile and run history to save.
+ */
+export const applyProfileBackup = (current, backup, mode, nowMs = Date.now()) => {
+  const currentProfile = withCurrentSanctions(current.profile, nowMs);
+  const backupProfile = withCurrentSanctions(backup.profile, nowMs);
+  const stricter = pickStricterProfile(currentProfile, backupProfile);
+  const sanctionFields = {
+    sanctions: stricter.sanctions ?? null,
+    pdStatus: stricter.pdStatus ?? null,
+    reinstatement: stricter.reinstatement ?? null,
+  };
+  if (mode === PROFILE_BACKUP_MODES.REPLACE) {
+    return {
+      profile: { ...backupProfile, ...sanctionFields },
+      runHistory: backup.runHistory,
+    };
+  }
+
+  return {
+    profile: {
+      ...currentProfile,
+      ...sanctionFields,
+      ...mergeProfileRecords(currentProfile, backupProfile),
+    },
+    runHistory: {
+      ...current.runHistory,
+      runs: unionBy(current.runHistory.runs ?? [], backup.runHistory.runs, (run) => run.id).sort(
+        (a, b) => String(a.startedAt ?? '').localeCompare(String(b.startedAt ?? ''))
+      ),
+    },
+  };
+};
@@ -0,0 +1,130 @@
+import { SANCTION_LEVELS } from './constants';
+
+/**
+ * Conflict rules for profile writes from more than one tab.
+ *
+ * Each tab keeps its own copy of the sanctions state, so a tab that has not seen the latest
+ * misconduct could otherwise save an older, lighter state over a sanction another tab just
+ * recorded. A write may only lower the stored sanctions when it was derived from them: it carries
+ * the same latest misconduct and its state started no earlier. Expiry (`normalizeSanctionsState`)
+ * and a public defender acquittal both keep `lastMisconductAt`, so they qualify. A tab that never
+ * saw the stored misconduct records its own later misconduct instead, and keeps the stricter
+ * state.
+ *
+ * The records a profile accumulates only grow, so a write never drops them: achievements and case
+ * history are unioned with the stored copies, and each stat counter keeps the higher value.
+ */
+
+/** @typedef {import('./types').PlayerSanctionsState} PlayerSanctionsState */
+
+const toTimestampMs = (value) => {
+  const parsed = Date.parse(value ?? '');
+  return Number.isNaN(parsed) ? Number.NEGATIVE_INFINITY : parsed;
+};
+
+const getSanctionsLevel = (sanctions) =>
+  sanctions ? SANCTION_LEVELS[sanctions.state] ?? 0 : -1;
+
+export const getAchievementKey = (achievement) => `${achievement.title}|${achievement.awardedAt}`;
+
+// Entries already in `currentItems` win over their copies in `incomingItems`.
+export const unionBy = (currentItems, incomingItems, getKey) => {
+  const currentKeys = new Set(currentItems.map(getKey));
+  return [...currentItems, ...incomingItems.filter((item) => !currentKeys.has(getKey(item)))];
+};
+
+/**
+ * Merge the accumulated records of two copies of a profile.
+ *
+ * @param {import('./types').PlayerProfile} current - Copy whose entries win when both hold one.
+ * @param {import('./types').PlayerProfile} incoming - Copy whose missing entries are added.
+ * @returns {Pick<import('./types').PlayerProfile, 'stats' | 'achievements' | 'caseHistory'>}
+ * Stats with the higher count of each, the union of achievements, and the union of case history,
+ * newest first.
+ */
+export const mergeProfileRecords = (current, incoming) => {
+  const currentStats = current.stats ?? {};
+  const incomingStats = incoming.stats ?? {};
+  const stats = { ...incomingStats, ...currentStats };
+  Object.keys(incomingStats).forEach((key) => {
+    if (typeof incomingStats[key] === 'number' && typeof currentStats[key] === 'number') {
+      stats[key] = Math.max(currentStats[key], incomingStats[key]);
+    }
+  });
+  return {
+    stats,
+    achievements: unionBy(
+      current.achievements ?? [],
+      incoming.achievements ?? [],
+      getAchievementKey
+    ),
+    caseHistory: unionBy(
+      current.caseHistory ?? [],
+      incoming.caseHistory ?? [],
+      (entry) => entry.id
+    ).sort((a, b) => String(b.date ?? '').localeCompare(String(a.date ?? ''))),
+  };
+};
+
+/**
+ * Pick the profile with the stricter sanctions: the higher tier wins; on a tie, the one that runs
+ * longer.
+ *
+ * @template {{ sanctions?: PlayerSanctionsState | null }} T
+ * @param {T} current - Profile already held.
+ * @param {T} incoming - Profile being compared.
+ * @returns {T} The profile with the stricter sanctions, `current` when they are equal.
+ */
+export const pickStricterProfile = (current, incoming) => {
+  const currentLevel = getSanctionsLevel(current.sanctions);
+  const incomingLevel = getSanctionsLevel(incoming.sanctions);
+  if (incomingLevel !== currentLevel) return incomingLevel > currentLevel ? incoming : current;
+  const currentExpiry = current.sanctions?.expiresAt ?? '';
+  const incomingExpiry = incoming.sanctions?.expiresAt ?? '';
+  return incomingExpiry > currentExpiry ? incoming : current;
+};
+
+/**
+ * Whether a sanctions state was derived from another: it records the same latest misconduct and
+ * started no earlier.
+ *
+ * @param {PlayerSanctionsState} next - Sanctions state being written.
+ * @param {PlayerSanctionsState} previous - Sanctions state it would replace.
+ * @returns {boolean} True when `next` may replace `previous` even if it is lighter.
+ */
+export const isSanctionsSuccessor = (next, previous) =>
+  toTimestampMs(next.lastMisconductAt) === toTimestampMs(previous.lastMisconductAt) &&
+  toTimestampMs(next.startedAt) >= toTimestampMs(previous.startedAt);
+
+/**
+ * Resolve the sanctions state to keep when one copy replaces another.
+ *
+ * @param {PlayerSanctionsState | null} stored - State already stored, or held by this tab.
+ * @param {PlayerSanctionsState | null} incoming - State being written, or seen from another tab.
+ * @returns {PlayerSanctionsState | null} `incoming` when it follows `stored`, otherwise the
+ * stricter of the two.
+ */
+export const reconcileSanctions = (stored, incoming) => {
+  if (!stored || !incoming) return incoming ?? stored ?? null;
+  if (isSanctionsSuccessor(incoming, stored)) return incoming;
+  return pickStricterProfile({ sanctions: stored }, { sanctions: incoming }).sanctions;
+};
+
+/**
+ * Reconcile the sanctions fields of a profile about to be saved with the stored profile. The
+ * public defender and reinstatement snapshots follow the sanctions state they belong to.
+ *
+ * @param {import('./types').PlayerProfile | null} stored - Profile already stored.
+ * @param {import('./types').PlayerProfile} incoming - Profile being saved.
+ * @returns {import('./types').PlayerProfile} `incoming`, with the sanctions fields to keep.
+ */
+export const reconcileProfileSanctions = (stored, incoming) => {
+  const sanctions = reconcileSanctions(stored?.sanctions ?? null, incoming.sanctions ?? null);
+  if (!stored || sanctions === (incoming.sanctions ?? null)) return incoming;
+  return {
+    ...incoming,
+    sanctions,
+    pdStatus: stored.pdStatus ?? null,
+    reinstatement: stored.reinstatement ?? null,
+  };
+};
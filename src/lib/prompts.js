@@ -1,5 +1,39 @@
 import { normalizeCourtType, normalizeDifficulty } from './config';
-import { CASE_TYPES, COURT_TYPES, SANCTION_STATES } from './constants';
+import {
+  formatDamages,
+  getCaseRoles,
+  getCounselTitle,
+  getOpposingRole,
+  isCivilCase,
+} from './civil';
+import {
+  CASE_TYPES,
+  COURT_TYPES,
+  FINAL_DISPOSITIONS,
+  SANCTION_STATES,
+  VERDICT_DISPOSITIONS,
+} from './constants';
+import { MAX_DELIBERATION_ROUNDS, getJuryVoteOptions } from './deliberation';
+import { REVIEW_WEIGHTS, isJudgeRole } from './judgeMode';
+import { RESPONSE_SCHEMAS, renderResponseTemplate } from './responseSchemas';
+import { MAX_OVERFLOW_PHASE_SCORE, VERDICT_WEIGHTS } from './scoring';
+import { buildVoirDireRecord } from './voirDire';
+
+/**
+ * Docket line naming what the case is about: the charge, or for civil suits the claim, the
+ * parties, the burden, and the damages sought.
+ *
+ * @param {object} caseData - Docket case data.
+ * @returns {string} Charge or claim line.
+ */
+const buildChargeLine = (caseData) => {
+  if (!isCivilCase(caseData)) return `Charge: ${caseData.charge}.`;
+  const damages =
+    typeof caseData.damages_sought === 'number'
+      ? ` Damages sought: ${formatDamages(caseData.damages_sought)}.`
+      : '';
+  return `Civil claim: ${caseData.plaintiff} v. ${caseData.defendant} for ${caseData.charge}. Burden: preponderance of the evidence.${damages}`;
+};
 
 /**
  * Builds the system prompt for generating a new case docket.
@@ -7,7 +41,8 @@ import { CASE_TYPES, COURT_TYPES, SANCTION_STATES } from './constants';
  * @param {string} difficulty - Difficulty mode identifier.
  * @param {string} jurisdiction - Jurisdiction name.
  * @param {string} courtType - Court type identifier.
- * @param {string} playerRole - Player role (defense/prosecution).
+ * @param {string} playerRole - Player role (defense/prosecution, or plaintiff/defendant for civil
+ * cases).
  * @param {object} [sanctionContext] - Optional sanctions metadata.
  * @param {string} [sanctionContext.state] - Sanctions state identifier.
  * @param {string} [sanctionContext.caseType] - Case type identifier.
@@ -125,15 +160,46 @@ export const getGeneratorPrompt = (
     - Achievements and "wins" should be rarer and harder-earned.
     `
     : '';
+  const civilGuidance =
+    caseType === CASE_TYPES.CIVIL
+      ? `
+    CIVIL CASE CONSTRAINTS:
+    - This is a lawsuit, not a prosecution: the plaintiff sues the defendant.
+    - Set plaintiff to the suing party and charge to the cause of action (e.g. "Negligence").
+    - Set damages_sought to the whole-dollar amount the plaintiff claims.
+    - The plaintiff must prove liability by a preponderance of the evidence.
+    `
+      : '';
+  const judgeGuidance = isJudgeRole(playerRole)
+    ? `
+    JUDGE MODE CONSTRAINTS:
+    - The player presides; AI counsel argue both sides, so keep the record genuinely balanced.
+    - Include at least one evidence item whose admissibility is contestable.
+    - The judge profile describes the seat the player takes; counsel will play to it.
+    `
+    : '';
+  const hotSeatGuidance = sanctionContext.isHotSeat
+    ? `
+    TWO-PLAYER CONSTRAINTS:
+    - Two players argue this case against each other; keep the record genuinely balanced.
+    - Give each side at least one strong fact or evidence item to build on.
+    `
+    : '';
+  const playerLine = sanctionContext.isHotSeat
+    ? 'Two players share this case: one is **DEFENSE**, the other **PROSECUTION**.'
+    : `Player is **${playerRole.toUpperCase()}**.`;
 
   return `
-    You are a creative legal scenario generator. Player is **${playerRole.toUpperCase()}**.
+    You are a creative legal scenario generator. ${playerLine}
     Jurisdiction: ${jurisdiction}.
     Court Type: ${courtTypeLabel}.
     Case Type: ${caseType}.
     ${sanctionStatusBlock}
     Narrative tone should be ${tone}
     ${sanctionsGuidance}
+    ${civilGuidance}
+    ${judgeGuidance}
+    ${hotSeatGuidance}
     ${courtTypeGuidance}
     
     1. DETERMINE TRIAL TYPE:
@@ -144,56 +210,197 @@ export const getGeneratorPrompt = (
     - Name, age, job, and a HIDDEN BIAS.
     
     Return ONLY valid JSON:
-    {
-      "title": "Case Name",
-      "defendant": "Name",
-      "charge": "Charge",
-      "is_jury_trial": boolean,
-      "judge": { "name": "Name", "philosophy": "Style", "background": "History", "bias": "Bias" },
-      "jurors": [
-        {"id": 1, "name": "Name", "age": 30, "job": "Job", "bias_hint": "Public description", "hidden_bias": "Secret bias"}
-      ],
-      "facts": ["Fact 1", "Fact 2", "Fact 3"],
-      "witnesses": [{"name": "Name", "role": "Role", "statement": "Statement"}],
-      "evidence": ["Item 1", "Item 2"],
-      "opposing_counsel": {
-        "name": "Name",
-        "age_range": "Optional age range",
-        "bio": "Background and reputation",
-        "style_tells": "Notable courtroom habits or tactics",
-        "current_posture": "What they're signaling about this case"
-      }
-    }
+    ${renderResponseTemplate(RESPONSE_SCHEMAS.case, { indent: '    ' })}
   `;
 };
 
+/**
+ * Builds the system prompt for prospective jurors answering one voir dire question in character.
+ *
+ * @param {object} params - Prompt parameters.
+ * @param {object} params.caseData - Docket case data.
+ * @param {import('./types').Juror[]} params.jurors - Questioned jurors, with earlier answers.
+ * @param {string} params.question - Question put to the jurors.
+ * @param {import('./types').PlayerRole} params.askerRole - Role asking the question.
+ * @param {string} params.difficulty - Difficulty mode identifier.
+ * @returns {string} Prompt text for the voir dire model.
+ */
+export const getVoirDirePrompt = ({ caseData, jurors, question, askerRole, difficulty }) => {
+  const questionedJurors = jurors.map((juror) => ({
+    id: juror.id,
+    name: juror.name,
+    age: juror.age,
+    job: juror.job,
+    bias_hint: juror.bias_hint,
+    hidden_bias: juror.hidden_bias,
+    earlier_answers: (juror.voir_dire ?? []).map(({ question: asked, answer }) => ({
+      question: asked,
+      answer,
+    })),
+  }));
+  return `
+    Phase: VOIR DIRE QUESTIONING. Case: ${caseData.title}.
+    ${buildChargeLine(caseData)}
+    ${isJudgeRole(askerRole) ? 'Questioning: the presiding judge.' : `Questioning counsel: ${askerRole}.`}
+    Difficulty: ${normalizeDifficulty(difficulty)}.
+
+    Answer as each prospective juror, in character, 1-2 sentences apiece.
+    Let each juror's hidden_bias color the answer so attentive counsel could infer it,
+    but never state the hidden bias outright or quote it.
+    Never contradict a juror's earlier answers.
+    Docket rule: If it is not recorded in the docket, it is not true.
+    Do not introduce new facts, evidence, or people that are not in the docket inputs.
+    Every questioned juror answers exactly once, using their exact ID.
+
+    Question: "${question}"
+    Questioned Jurors: ${JSON.stringify(questionedJurors)}
+
+    Return JSON:
+    ${renderResponseTemplate(RESPONSE_SCHEMAS.voir_dire, { indent: '    ' })}
+  `;
+};
+
+/**
+ * Public juror record for the judge: profile and voir dire answers, never the hidden bias.
+ *
+ * @param {import('./types').Juror} juror - Juror on the docket.
+ * @returns {object} Juror record for challenge prompts.
+ */
+const buildPublicJurorRecord = (juror) => ({
+  id: juror.id,
+  name: juror.name,
+  age: juror.age,
+  job: juror.job,
+  bias_hint: juror.bias_hint,
+  voir_dire: (juror.voir_dire ?? []).map(({ question, answer }) => ({ question, answer })),
+});
+
+/**
+ * Builds the system prompt for the judge ruling on a challenge for cause.
+ *
+ * @param {object} params - Prompt parameters.
+ * @param {object} params.caseData - Docket case data, including the judge.
+ * @param {import('./types').Juror} params.juror - Challenged juror, with voir dire answers.
+ * @param {string} params.reason - Reason counsel gave for the challenge.
+ * @param {import('./types').PlayerRole} params.challengerRole - Role making the challenge.
+ * @param {string} params.difficulty - Difficulty mode identifier.
+ * @returns {string} Prompt text for the cause challenge model.
+ */
+export const getCauseChallengePrompt = ({
+  caseData,
+  juror,
+  reason,
+  challengerRole,
+  difficulty,
+}) => `
+    Phase: CHALLENGE FOR CAUSE. Case: ${caseData.title}.
+    ${buildChargeLine(caseData)}
+    Judge: ${caseData.judge?.name ?? 'The Court'} (${caseData.judge?.philosophy ?? 'no stated philosophy'}).
+    Difficulty: ${normalizeDifficulty(difficulty)}.
+
+    The ${challengerRole} challenges Juror #${juror.id} for cause.
+    Reason given: "${reason}"
+    Juror Record: ${JSON.stringify(buildPublicJurorRecord(juror))}
+
+    Rule as the judge, in character with your philosophy.
+    Grant only if the juror's own answers or profile show they cannot be fair and impartial;
+    a hunch, a stereotype, or a reason unsupported by the record is denied.
+    Docket rule: If it is not recorded in the docket, it is not true.
+    The docket entry is one sentence naming the juror and the ruling.
+
+    Return JSON:
+    ${renderResponseTemplate(RESPONSE_SCHEMAS.cause_challenge, { indent: '    ' })}
+  `;
+
+/**
+ * Builds the system prompt for the judge ruling on a Batson objection to an opposing strike.
+ *
+ * @param {object} params - Prompt parameters.
+ * @param {object} params.caseData - Docket case data, including the judge.
+ * @param {import('./types').Juror} params.juror - Juror the opponent struck.
+ * @param {string} params.opponentReasoning - Reasons opposing counsel gave for its strikes.
+ * @param {string} params.argument - Why the objecting side says the strike is discriminatory.
+ * @param {import('./types').PlayerRole} params.objectingRole - Role raising the objection.
+ * @param {string} params.difficulty - Difficulty mode identifier.
+ * @returns {string} Prompt text for the Batson ruling model.
+ */
+export const getBatsonPrompt = ({
+  caseData,
+  juror,
+  opponentReasoning,
+  argument,
+  objectingRole,
+  difficulty,
+}) => `
+    Phase: BATSON OBJECTION. Case: ${caseData.title}.
+    Judge: ${caseData.judge?.name ?? 'The Court'} (${caseData.judge?.philosophy ?? 'no stated philosophy'}).
+    Difficulty: ${normalizeDifficulty(difficulty)}.
+
+    The ${objectingRole} objects that opposing counsel struck Juror #${juror.id} for
+    discriminatory reasons.
+    Struck Juror: ${JSON.stringify(buildPublicJurorRecord(juror))}
+    Opposing counsel's stated reasons for its strikes: "${opponentReasoning || 'None given.'}"
+    Objection: "${argument}"
+
+    Rule as the judge, in character with your philosophy.
+    Overrule if the stated reasons give a specific, neutral explanation that fits this juror.
+    Sustain if the reasons are missing, generic, or a pretext; sustaining reseats the juror.
+    Docket rule: If it is not recorded in the docket, it is not true.
+    The docket entry is one sentence naming the juror and the ruling.
+
+    Return JSON:
+    ${renderResponseTemplate(RESPONSE_SCHEMAS.batson, { indent: '    ' })}
+  `;
+
 /**
  * Builds the system prompt for the opponent's jury strikes.
  *
- * @param {object} caseData - Case metadata and jury pool.
+ * @param {object} caseData - Case metadata and jury pool, with any voir dire answers.
  * @param {number[]} playerStrikes - Juror IDs struck by the player.
- * @param {string} playerRole - Player role (defense/prosecution).
+ * @param {string} playerRole - Player role (defense/prosecution or plaintiff/defendant).
+ * @param {number[]} [excusedIds] - Juror IDs excused for cause, who may not be struck or seated.
+ * @param {object} [options] - Judge mode options.
+ * @param {boolean} [options.presiding] - Whether the player presides, so `playerRole` names the
+ * other AI counsel and the player rules on every strike.
  * @returns {string} Prompt text for the jury strike model.
  */
-export const getJuryStrikePrompt = (caseData, playerStrikes, playerRole) => {
-  const opponentRole = playerRole === 'defense' ? 'Prosecutor' : 'Defense Attorney';
-  const jurorList = JSON.stringify(caseData.jurors ?? []);
+export const getJuryStrikePrompt = (
+  caseData,
+  playerStrikes,
+  playerRole,
+  excusedIds = [],
+  { presiding = false } = {}
+) => {
+  const opponentRole = getCounselTitle(getOpposingRole(playerRole));
+  const strikerLine = presiding
+    ? `Opposing counsel (${playerRole}) struck IDs: ${JSON.stringify(playerStrikes)}.`
+    : `Player (${playerRole}) struck IDs: ${JSON.stringify(playerStrikes)}.`;
+  const reviewLine = presiding
+    ? 'Give a specific reason for each strike; the player presides and disallows pretextual strikes.'
+    : 'Give a specific reason for each strike; the judge may review them for discrimination.';
+  const civilGuidance = isCivilCase(caseData)
+    ? 'This is a civil suit: weigh attitudes toward lawsuits, corporations, and large damages awards.'
+    : '';
+  const jurors = (caseData.jurors ?? []).filter((juror) => !excusedIds.includes(juror.id));
+  // Answers are listed once, under Voir Dire Answers; undefined fields drop out of the JSON.
+  const jurorList = JSON.stringify(jurors.map((juror) => ({ ...juror, voir_dire: undefined })));
+  const voirDireRecord = buildVoirDireRecord(jurors);
   return `
     Phase: VOIR DIRE. Case: ${caseData.title}.
     Jurors (use these exact IDs): ${jurorList}.
-    Player (${playerRole}) struck IDs: ${JSON.stringify(playerStrikes)}.
+    Voir Dire Answers: ${voirDireRecord.length ? JSON.stringify(voirDireRecord) : 'None'}
+    ${strikerLine}
+    Excused for cause (not in the pool): ${JSON.stringify(excusedIds)}.
     
     As AI ${opponentRole}, strike 2 jurors who hurt YOUR case.
+    ${civilGuidance}
+    Weigh what jurors said under questioning alongside their profiles.
+    ${reviewLine}
     Docket rule: If it is not recorded in the docket, it is not true.
     Do not introduce jurors, facts, or entities not present in the docket inputs.
     
     Return ONLY valid JSON:
-    {
-      "opponent_strikes": [id1, id2],
-      "opponent_reasoning": "Why the AI struck these jurors.",
-      "seated_juror_ids": [list of remaining ids],
-      "judge_comment": "Judge's brief comment on the final jury."
-    }
+    ${renderResponseTemplate(RESPONSE_SCHEMAS.jury, { indent: '    ' })}
   `;
 };
 
@@ -206,9 +413,9 @@ export const getJuryStrikePrompt = (caseData, playerStrikes, playerRole) => {
  */
 export const getMotionDraftPrompt = (caseData, difficulty) => `
     Phase: PRE-TRIAL MOTION.
-    Role: Defense Attorney.
+    Role: ${getCounselTitle(getCaseRoles(isCivilCase(caseData)).respondent)}.
     Case: ${caseData.title}.
-    Charge: ${caseData.charge}.
+    ${buildChargeLine(caseData)}
     Facts: ${JSON.stringify(caseData.facts)}
     Judge: ${caseData.judge.name} (${caseData.judge.philosophy}).
     Difficulty: ${normalizeDifficulty(difficulty)}.
@@ -218,9 +425,10 @@ export const getMotionDraftPrompt = (caseData, difficulty) => `
     Draft a concise motion to Dismiss or Suppress Evidence.
     
     Return JSON:
-    {
-      "text": "Motion text"
-    }
+    ${renderResponseTemplate(RESPONSE_SCHEMAS.motion_text, {
+      indent: '    ',
+      examples: { text: 'Motion text' },
+    })}
 `;
 
 /**
@@ -233,9 +441,9 @@ export const getMotionDraftPrompt = (caseData, difficulty) => `
  */
 export const getMotionRebuttalPrompt = (caseData, motionText, difficulty) => `
     Phase: PRE-TRIAL MOTION REBUTTAL.
-    Role: Prosecutor.
+    Role: ${getCounselTitle(getCaseRoles(isCivilCase(caseData)).claimant)}.
     Case: ${caseData.title}.
-    Charge: ${caseData.charge}.
+    ${buildChargeLine(caseData)}
     Motion: "${motionText}"
     Judge: ${caseData.judge.name} (${caseData.judge.philosophy}).
     Difficulty: ${normalizeDifficulty(difficulty)}.
@@ -245,9 +453,10 @@ export const getMotionRebuttalPrompt = (caseData, motionText, difficulty) => `
     Draft a concise rebuttal responding to the motion.
     
     Return JSON:
-    {
-      "text": "Rebuttal text"
-    }
+    ${renderResponseTemplate(RESPONSE_SCHEMAS.motion_text, {
+      indent: '    ',
+      examples: { text: 'Rebuttal text' },
+    })}
 `;
 
 /**
@@ -256,7 +465,7 @@ export const getMotionRebuttalPrompt = (caseData, motionText, difficulty) => `
  * @param {object} caseData - Case metadata including judge profile.
  * @param {string} difficulty - Difficulty mode identifier.
  * @param {'motion_submission' | 'rebuttal_submission'} phase - Motion exchange phase.
- * @param {'defense' | 'prosecution'} opponentRole - Opposing counsel role.
+ * @param {import('./types').PlayerRole} opponentRole - Opposing counsel role.
  * @param {string} [motionText] - Motion text to rebut when in rebuttal phase.
  * @param {object} [sanctionContext] - Optional sanctions metadata.
  * @returns {string} Prompt text for the opposing counsel model.
@@ -266,6 +475,12 @@ const buildVisibilityContextLine = (visibilityContext = {}) => {
   return `Visibility Context (judge + counsel only): ${JSON.stringify(visibilityContext)}.`;
 };
 
+const buildAppellateRulingLine = (caseData) => {
+  const ruling = caseData?.appellate_ruling;
+  if (!ruling) return '';
+  return `On Remand: The Supreme Court ${ruling.disposition} the prior judgment. Opinion: "${ruling.opinion}" Instructions: "${ruling.remand_instructions ?? 'None'}" Do not repeat the errors it found.`;
+};
+
 export const getOpposingCounselPrompt = (
   caseData,
   difficulty,
@@ -276,7 +491,7 @@ export const getOpposingCounselPrompt = (
   sanctionContext = {}
 ) => {
   const normalizedDifficulty = normalizeDifficulty(difficulty);
-  const roleLabel = opponentRole === 'defense' ? 'Defense Attorney' : 'Prosecutor';
+  const roleLabel = getCounselTitle(opponentRole);
   const isMotionPhase = phase === 'motion_submission';
   const visibilityLine = buildVisibilityContextLine(visibilityContext);
   const sanctionStatusBlock = buildSanctionContextBlock(sanctionContext);
@@ -284,7 +499,7 @@ export const getOpposingCounselPrompt = (
     sanctionContext.state
   );
   const prosecutionGuidance =
-    roleLabel === 'Prosecutor' && isSanctionedMode
+    opponentRole === 'prosecution' && isSanctionedMode
       ? `
     Prosecution Expectation: The defense is on a short leash; press procedural rigor and deterrence.
     `
@@ -293,7 +508,7 @@ export const getOpposingCounselPrompt = (
     Phase: PRE-TRIAL MOTION.
     Role: ${roleLabel}.
     Case: ${caseData.title}.
-    Charge: ${caseData.charge}.
+    ${buildChargeLine(caseData)}
     Facts: ${JSON.stringify(caseData.facts)}
     Judge: ${caseData.judge.name} (${caseData.judge.philosophy}).
     Difficulty: ${normalizedDifficulty}.
@@ -310,9 +525,10 @@ export const getOpposingCounselPrompt = (
       Draft a concise motion to Dismiss or Suppress Evidence.
 
       Return JSON:
-      {
-        "text": "Motion text"
-      }
+      ${renderResponseTemplate(RESPONSE_SCHEMAS.motion_text, {
+        indent: '      ',
+        examples: { text: 'Motion text' },
+      })}
     `;
   }
 
@@ -323,9 +539,10 @@ export const getOpposingCounselPrompt = (
     Draft a concise rebuttal responding to the motion.
 
     Return JSON:
-    {
-      "text": "Rebuttal text"
-    }
+    ${renderResponseTemplate(RESPONSE_SCHEMAS.motion_text, {
+      indent: '    ',
+      examples: { text: 'Rebuttal text' },
+    })}
   `;
 };
 
@@ -336,9 +553,9 @@ export const getOpposingCounselPrompt = (
  * @param {string} motionText - Defense motion text.
  * @param {string} rebuttalText - Prosecution rebuttal text.
  * @param {string} difficulty - Difficulty mode identifier.
- * @param {'defense' | 'prosecution'} motionBy - Role that filed the motion.
- * @param {'defense' | 'prosecution'} rebuttalBy - Role that filed the rebuttal.
- * @param {'defense' | 'prosecution'} playerRole - Player role for context.
+ * @param {import('./types').PlayerRole} motionBy - Role that filed the motion.
+ * @param {import('./types').PlayerRole} rebuttalBy - Role that filed the rebuttal.
+ * @param {import('./types').PlayerRole} playerRole - Player role for context.
  * @param {object} [complianceContext] - Submission compliance metadata.
  * @param {object} [sanctionContext] - Optional sanctions metadata.
  * @returns {string} Prompt text for the motion ruling model.
@@ -384,6 +601,7 @@ export const getMotionPrompt = (
     Evidence Docket: ${JSON.stringify(evidenceSnapshot)}
     Submission Compliance: ${JSON.stringify(complianceContext)}
     ${visibilityLine}
+    ${buildAppellateRulingLine(caseData)}
     Scoring rule: The score reflects the legal quality of the motion, not the procedural outcome.
     
     Docket rule: If it is not recorded in the docket, it is not true.
@@ -394,43 +612,110 @@ export const getMotionPrompt = (
     Include evidence_status_updates entries for every evidence item (even if admissible).
     Valid dispositions: "GRANTED", "DENIED", "PARTIALLY GRANTED".
     Return JSON:
-    {
-      "ruling": "GRANTED", "DENIED", or "PARTIALLY GRANTED",
-      "decision": {
-        "ruling": "granted" | "denied" | "partially_granted" | "dismissed",
-        "dismissal": {
-          "isDismissed": boolean,
-          "withPrejudice": boolean
-        },
-        "opinion": "Judge reasoning text."
-      },
-      "outcome_text": "Same as decision.opinion.",
-      "score": number (0-100),
-      "evidence_status_updates": [
-        { "id": number, "status": "admissible" or "suppressed" }
-      ],
-      "accountability": {
-        "sanction_recommended": boolean,
-        "severity": "warning" | "sanction" | "disbarment" | null,
-        "target": "prosecution" | "defense" | null,
-        "reason": "short reason phrase" | null
-      },
-      "breakdown": {
-        "issues": [
-          {
-            "id": "string",
-            "label": "short label",
-            "disposition": "GRANTED", "DENIED", or "PARTIALLY GRANTED",
-            "reasoning": "Concise reasoning grounded in docket facts.",
-            "affectedEvidenceIds": [number]
-          }
-        ],
-        "docket_entries": ["string"]
-      }
-    }
+    ${renderResponseTemplate(RESPONSE_SCHEMAS.motion, { indent: '    ' })}
   `;
 };
 
+/**
+ * Builds the system prompt for a witness answering one examination question in character.
+ *
+ * @param {object} params - Prompt parameters.
+ * @param {object} params.caseData - Docket case data (facts, admissible evidence).
+ * @param {{name: string, role: string, statement: string}} params.witness - Witness on the stand.
+ * @param {number} params.witnessNumber - 1-based docket number of the witness.
+ * @param {'direct' | 'cross'} params.examinationType - Examination mode.
+ * @param {import('./types').PlayerRole} params.examinerRole - Role asking the question.
+ * @param {string} params.question - Question put to the witness.
+ * @param {{question: string, answer: string}[]} [params.priorTestimony] - Earlier answers from
+ * this witness, for consistency.
+ * @param {string} params.difficulty - Difficulty mode identifier.
+ * @returns {string} Prompt text for the witness model.
+ */
+export const getWitnessExaminationPrompt = ({
+  caseData,
+  witness,
+  witnessNumber,
+  examinationType,
+  examinerRole,
+  question,
+  priorTestimony = [],
+  difficulty,
+}) => {
+  const normalizedDifficulty = normalizeDifficulty(difficulty);
+  const isCross = examinationType === 'cross';
+  const demeanorGuidance = isCross
+    ? 'This is CROSS-EXAMINATION: answer only what is asked, guardedly, and concede points your statement cannot support.'
+    : 'This is DIRECT EXAMINATION: answer openly and in your own words.';
+  return `
+    Phase: WITNESS EXAMINATION. Case: ${caseData.title}.
+    ${buildChargeLine(caseData)}
+    Facts: ${JSON.stringify(caseData.facts ?? [])}
+    Evidence: ${JSON.stringify(caseData.evidence ?? [])}
+    You are Witness #${witnessNumber}: ${witness.name} (${witness.role}).
+    Your sworn statement: "${witness.statement}"
+    Earlier testimony from you: ${JSON.stringify(priorTestimony)}
+    Examining counsel: ${examinerRole}.
+    Difficulty: ${normalizedDifficulty}.
+
+    ${demeanorGuidance}
+    Stay in character and ground every answer in your statement and the docket.
+    Never contradict earlier testimony; if you do not know, say so.
+    Docket rule: If it is not recorded in the docket, it is not true.
+    Do not introduce new facts, evidence, or people that are not in the docket inputs.
+    Keep the answer to 1-3 sentences.
+
+    Question: "${question}"
+
+    Return JSON:
+    ${renderResponseTemplate(RESPONSE_SCHEMAS.witness, { indent: '    ' })}
+  `;
+};
+
+/**
+ * Builds the system prompt for the judge ruling on an objection to an opposing submission.
+ *
+ * @param {object} params - Prompt parameters.
+ * @param {object} params.caseData - Docket case data, including the judge.
+ * @param {'motion' | 'rebuttal' | 'closing'} params.source - Submission objected to.
+ * @param {string} params.submissionText - Full text of the opposing submission.
+ * @param {string} params.passage - Passage the objection targets.
+ * @param {string} params.groundLabel - Human-readable objection ground.
+ * @param {import('./types').PlayerRole} params.objectingRole - Role raising the objection.
+ * @param {string} params.difficulty - Difficulty mode identifier.
+ * @returns {string} Prompt text for the objection ruling model.
+ */
+export const getObjectionRulingPrompt = ({
+  caseData,
+  source,
+  submissionText,
+  passage,
+  groundLabel,
+  objectingRole,
+  difficulty,
+}) => `
+    Phase: OBJECTION. Case: ${caseData.title}.
+    Judge: ${caseData.judge?.name ?? 'The Court'} (${caseData.judge?.philosophy ?? 'no stated philosophy'}).
+    Facts: ${JSON.stringify(caseData.facts ?? [])}
+    Evidence: ${JSON.stringify(caseData.evidence ?? [])}
+    Witnesses: ${JSON.stringify(caseData.witnesses ?? [])}
+    Difficulty: ${normalizeDifficulty(difficulty)}.
+
+    The ${objectingRole} objects to a passage of opposing counsel's ${source}.
+    Ground: ${groundLabel}.
+    Full ${source}: "${submissionText}"
+    Objected passage: "${passage}"
+
+    Rule as the judge, in character with your philosophy.
+    Sustain only if the passage actually suffers from the stated ground; otherwise overrule.
+    An off-docket objection is sustained when the passage relies on facts, evidence, or people
+    not recorded in the docket. Docket rule: If it is not recorded in the docket, it is not true.
+    A sustained passage is stricken from the record and may not be weighed later.
+    The docket entry is one sentence naming the ground, the ${source}, and the ruling.
+
+    Return JSON:
+    ${renderResponseTemplate(RESPONSE_SCHEMAS.objection, { indent: '    ' })}
+  `;
+
 /**
  * Builds the system prompt for the final verdict phase.
  *
@@ -441,6 +726,18 @@ export const getMotionPrompt = (
  * @param {string} difficulty - Difficulty mode identifier.
  * @param {object} [complianceContext] - Submission compliance metadata.
  * @param {object} [sanctionContext] - Optional sanctions metadata.
+ * @param {object} [trialRecord] - Record made at trial before closing.
+ * @param {object[]} [trialRecord.testimony] - Witness testimony from examination, grouped by
+ * witness and citable as "Witness #N testimony".
+ * @param {{source: string, submittedBy: string, text: string}[]} [trialRecord.submissions] -
+ * Pre-trial submissions with sustained objections already stricken.
+ * @param {object[]} [trialRecord.objections] - Objection rulings made during the case.
+ * @param {{prosecution: string, defense: string}} [trialRecord.closings] - Both sides' closings
+ * in hot-seat mode, argued in place of the single player argument.
+ * @param {Record<string, string>} [trialRecord.openings] - Both sides' opening statements.
+ * @param {{text: string, submittedBy: string}} [trialRecord.opposingClosing] - Opposing counsel's
+ * closing, with sustained objections already stricken.
+ * @param {string} [trialRecord.rebuttal] - The player's rebuttal to the opposing closing.
  * @returns {string} Prompt text for the verdict model.
  */
 export const getFinalVerdictPrompt = (
@@ -450,10 +747,26 @@ export const getFinalVerdictPrompt = (
   argument,
   difficulty,
   complianceContext = {},
-  sanctionContext = {}
+  sanctionContext = {},
+  trialRecord = {}
 ) => {
   const normalizedDifficulty = normalizeDifficulty(difficulty);
   const isBench = !caseData.is_jury_trial;
+  const isCivil = isCivilCase(caseData);
+  const { claimant, respondent } = getCaseRoles(isCivil);
+  const voteOptions = getJuryVoteOptions(isCivil);
+  const otherCaseTypeOutcomes = isCivil
+    ? [FINAL_DISPOSITIONS.GUILTY, FINAL_DISPOSITIONS.NOT_GUILTY]
+    : [FINAL_DISPOSITIONS.JUDGMENT_FOR_PLAINTIFF, FINAL_DISPOSITIONS.JUDGMENT_FOR_DEFENDANT];
+  const dispositionOptions = VERDICT_DISPOSITIONS.filter(
+    (disposition) => !otherCaseTypeOutcomes.includes(disposition)
+  );
+  const burdenGuidance = isCivil
+    ? `CIVIL BURDEN: The plaintiff must prove liability by a preponderance of the evidence.
+    final_ruling finds the defendant "liable" or "not liable" and enters judgment for that party.
+    Set damages_awarded to the whole-dollar award on a liability finding (at most the damages
+    sought), or 0 on a judgment for the defendant.`
+    : 'CRIMINAL BURDEN: Guilt must be proven beyond a reasonable doubt. damages_awarded is null.';
   const complianceGuidance =
     normalizedDifficulty === 'nuance'
       ? 'Non-compliance is a severe credibility hit; treat it as throwing or babbling.'
@@ -468,23 +781,65 @@ export const getFinalVerdictPrompt = (
     : sanctionContext.state === SANCTION_STATES.RECENTLY_REINSTATED
     ? 'Narrative Framing: Balance accountability with cautious redemption for reinstated counsel.'
     : '';
+  const testimony = trialRecord.testimony ?? [];
+  const testimonyBlock = testimony.length
+    ? `Witness Testimony (sworn, on the record): ${JSON.stringify(testimony)}
+    Weigh this testimony: credible, consistent answers strengthen the side they support; admissions on cross weaken the side that called the witness.`
+    : 'Witness Testimony: none taken.';
+  const submissions = trialRecord.submissions ?? [];
+  const submissionsBlock = submissions.length
+    ? `Pre-Trial Record (stricken passages removed): ${JSON.stringify(submissions)}`
+    : '';
+  const objections = trialRecord.objections ?? [];
+  const objectionsBlock = objections.length
+    ? `Objection Rulings: ${JSON.stringify(objections)}
+    Stricken passages are not part of the record; do not infer or weigh what they said.`
+    : '';
+  const openings = trialRecord.openings ?? null;
+  const openingsBlock = openings
+    ? `Opening Statements (compliant-only): ${JSON.stringify(openings)}
+    Openings preview the evidence; they are not evidence.`
+    : '';
+  const closings = trialRecord.closings ?? null;
+  const opposingClosing = trialRecord.opposingClosing ?? null;
+  const argumentBlock = closings
+    ? `Closing Arguments (compliant-only): ${JSON.stringify(closings)}
+    Both sides are argued by players. Weigh the closings even-handedly; the JUDGE SCORE rates the advocacy of the side that prevails.`
+    : opposingClosing
+    ? `Argument (compliant-only): "${argument}"
+    Opposing Closing (${getCounselTitle(opposingClosing.submittedBy)}, stricken passages removed): "${opposingClosing.text}"
+    Rebuttal (compliant-only): "${trialRecord.rebuttal ?? ''}"
+    The argument and rebuttal are the player's; the opposing closing is AI counsel's. Weigh the whole exchange, not one side: the rebuttal counts only where it answers the opposing closing.`
+    : `Argument (compliant-only): "${argument}"`;
   return `
     Phase: VERDICT. Type: ${isBench ? 'BENCH' : 'JURY'}.
     Case: ${JSON.stringify(caseData)}
     Motion Result: ${motionResult.ruling} (${motionResult.score})
     Jury: ${JSON.stringify(seatedJurors)}
-    Argument (compliant-only): "${argument}"
+    ${buildAppellateRulingLine(caseData)}
+    ${submissionsBlock}
+    ${objectionsBlock}
+    ${openingsBlock}
+    ${testimonyBlock}
+    ${argumentBlock}
     Submission Compliance: ${JSON.stringify(complianceContext)}
     ${sanctionStatusBlock}
     ${narrativeGuidance}
+    ${burdenGuidance}
     
     1. JUDGE SCORE (0-100) based on Difficulty ${normalizedDifficulty}.
-    ${!isBench ? '2. JURY DELIBERATION: Do biases align? Vote Guilty/Not Guilty. 2v2=Hung.' : ''}
-    3. WEIGHTS: Pre-Trial 20%, Judge 45%, Jury 35% (jury score is 0 for bench trials).
+    ${!isBench ? `2. JURY DELIBERATION: Every seated juror votes ${voteOptions.join(' or ')} in each round,
+       driven by the record and their hidden_bias, with a one-sentence rationale in their own voice.
+       Deliberate for up to ${MAX_DELIBERATION_ROUNDS} rounds; holdouts may flip when the record
+       persuades them. Stop at the first unanimous round. A split final round is a hung jury:
+       set jury_verdict to "Hung" and declare a hung-jury mistrial in final_ruling.` : ''}
+    3. WEIGHTS: Pre-Trial ${VERDICT_WEIGHTS.motion}%, Judge ${VERDICT_WEIGHTS.judge}%, Jury ${VERDICT_WEIGHTS.jury}% (bench trials spread the jury's weight over the
+       rest). The court recomputes final_weighted_score from the phase scores; report the same arithmetic.
     4. MERIT SCORING: Procedural outcomes (dismissed/suppressed/delayed/JNOV) must NOT change merit scores.
-    5. LEGENDARY CHECK (100+ score).
+    5. LEGENDARY CHECK: judge_score and jury_score may exceed 100 (up to ${MAX_OVERFLOW_PHASE_SCORE}) only for a
+       legendary performance, and only with an overflow reason; otherwise they are capped at 100.
     6. Docket rule: If it is not recorded in the docket, it is not true.
-    7. Only docket facts/evidence/witnesses/jurors/rulings count as true.
+    7. Only docket facts/evidence/witnesses/witness testimony/jurors/rulings count as true.
     8. Do not introduce facts or entities not present in the docket inputs.
     9. JUDICIAL VOCABULARY (these phrases have mechanical consequences):
        - Use them only when you intend the consequence; do not force outcomes.
@@ -493,32 +848,332 @@ export const getFinalVerdictPrompt = (
        - "mistrial due to misconduct" — ends trial AND triggers sanction review.
        - "procedural violation" — logged as minor infraction.
        - When dismissing a case due to attorney behavior (frivolous arguments, abuse of process, etc.),
-         use: "dismissed with prejudice due to [prosecution/defense] misconduct".
+         use: "dismissed with prejudice due to [${claimant}/${respondent}] misconduct".
     10. Accountability rule: sanctions are recorded ONLY via the accountability object below, not by
         keyword matching in narrative text.
     11. ${complianceGuidance}
     12. If final_weighted_score exceeds 100, include overflow_reason_code and overflow_explanation.
+    13. DISPOSITION: Set disposition to the outcome (${dispositionOptions.join(', ')}). It decides the
+        case; final_ruling states the same outcome in words. Set dismissal.isDismissed only when
+        disposition is dismissed, and dismissal.withPrejudice only when the dismissal bars refiling.
     
     Return JSON:
-    {
-      "jury_verdict": "Guilty/Not Guilty/Hung/NA",
-      "jury_reasoning": "Reasoning...",
-      "jury_score": number (or 0 if N/A),
-      "judge_score": number,
-      "judge_opinion": "Opinion...",
-      "final_ruling": "Outcome",
-      "is_jnov": boolean,
-      "final_weighted_score": number,
-      "overflow_reason_code": "CODE or null",
-      "overflow_explanation": "Short explanation or null",
-      "achievement_title": "Title or null",
-      "accountability": {
-        "sanction_recommended": boolean,
-        "severity": "warning" | "sanction" | "disbarment" | null,
-        "target": "prosecution" | "defense" | null,
-        "reason": "short reason phrase" | null
-      }
+    ${renderResponseTemplate(RESPONSE_SCHEMAS.verdict, { indent: '    ' })}
+  `;
+};
+
+/**
+ * Builds the system prompt for opposing counsel's sentencing memorandum after a guilty verdict.
+ *
+ * @param {object} params - Prompt parameters.
+ * @param {object} params.caseData - Docket case data.
+ * @param {object} params.verdict - Guilty verdict payload.
+ * @param {'defense' | 'prosecution'} params.role - Role drafting the memorandum.
+ * @param {{unit: string, min: number, max: number, guidance: string}} params.range - Sentencing
+ * range for the jurisdiction.
+ * @param {string} params.difficulty - Difficulty mode identifier.
+ * @returns {string} Prompt text for the memorandum drafting model.
+ */
+export const getSentencingMemoPrompt = ({ caseData, verdict, role, range, difficulty }) => `
+    Phase: SENTENCING MEMORANDUM.
+    Role: ${role === 'defense' ? 'Defense Attorney' : 'Prosecutor'}.
+    Case: ${caseData.title}.
+    ${buildChargeLine(caseData)}
+    Facts: ${JSON.stringify(caseData.facts ?? [])}
+    Verdict: ${verdict.final_ruling}. Judge opinion: "${verdict.judge_opinion}"
+    Sentencing Range: ${range.min}-${range.max} ${range.unit}. ${range.guidance}
+    Judge: ${caseData.judge?.name ?? 'The Court'} (${caseData.judge?.philosophy ?? 'no stated philosophy'}).
+    Difficulty: ${normalizeDifficulty(difficulty)}.
+    Docket rule: If it is not recorded in the docket, it is not true.
+    Do not introduce facts, evidence, or entities not present in the docket inputs.
+
+    Draft a concise sentencing memorandum recommending a specific term within the range.
+    ${role === 'defense' ? 'Argue for leniency.' : 'Argue for a sentence that reflects the gravity of the offense.'}
+
+    Return JSON:
+    ${renderResponseTemplate(RESPONSE_SCHEMAS.sentencing_memo, { indent: '    ' })}
+`;
+
+/**
+ * Builds the system prompt for the judge pronouncing sentence after a guilty verdict.
+ *
+ * @param {object} params - Prompt parameters.
+ * @param {object} params.caseData - Docket case data, including the judge.
+ * @param {object} params.verdict - Guilty verdict payload.
+ * @param {string} params.jurisdiction - Jurisdiction name.
+ * @param {{unit: string, min: number, max: number, guidance: string}} params.range - Sentencing
+ * range for the jurisdiction.
+ * @param {{defense: string, prosecution: string}} params.memoranda - Sentencing memoranda.
+ * @param {string} params.difficulty - Difficulty mode identifier.
+ * @returns {string} Prompt text for the sentencing model.
+ */
+export const getSentencingPrompt = ({
+  caseData,
+  verdict,
+  jurisdiction,
+  range,
+  memoranda,
+  difficulty,
+}) => `
+    Phase: SENTENCING. Jurisdiction: ${jurisdiction}.
+    Case: ${caseData.title}. Charge: ${caseData.charge}.
+    Facts: ${JSON.stringify(caseData.facts ?? [])}
+    Verdict: ${verdict.final_ruling}. Judge opinion: "${verdict.judge_opinion}"
+    Judge: ${caseData.judge?.name ?? 'The Court'}. Philosophy: ${caseData.judge?.philosophy ?? 'None stated'}. Bias: ${caseData.judge?.bias ?? 'None stated'}.
+    Sentencing Range: ${range.min}-${range.max} ${range.unit}. ${range.guidance}
+    Defense Sentencing Memorandum: "${memoranda.defense}"
+    Prosecution Sentencing Memorandum: "${memoranda.prosecution}"
+    Difficulty: ${normalizeDifficulty(difficulty)}.
+
+    1. Impose a single term between ${range.min} and ${range.max} ${range.unit}; "term" is that number.
+    2. Apply your judicial philosophy and weigh both memoranda on their merits.
+    3. Docket rule: If it is not recorded in the docket, it is not true.
+    4. Do not introduce facts or entities not present in the docket inputs.
+    5. The docket entry is one sentence recording the sentence imposed.
+
+    Return JSON:
+    ${renderResponseTemplate(RESPONSE_SCHEMAS.sentence, { indent: '    ' })}
+  `;
+
+/**
+ * Builds the system prompt for opposing counsel answering a plea negotiation: opening with an
+ * offer, or accepting, rejecting, or countering the player's latest terms.
+ *
+ * @param {object} params - Prompt parameters.
+ * @param {object} params.caseData - Docket case data.
+ * @param {import('./types').PleaOffer[]} params.offers - Offers so far, oldest first.
+ * @param {'defense' | 'prosecution'} params.role - Role answering (opposing counsel).
+ * @param {{unit: string, min: number, max: number, guidance: string}} params.range - Sentencing
+ * range for the jurisdiction.
+ * @param {boolean} params.canOffer - Whether a (counter-)offer is still allowed.
+ * @param {boolean} params.mustOffer - Whether the prosecution is being asked for an opening offer.
+ * @param {string} params.difficulty - Difficulty mode identifier.
+ * @returns {string} Prompt text for the plea negotiation model.
+ */
+export const getPleaPrompt = ({ caseData, offers, role, range, canOffer, mustOffer, difficulty }) => {
+  const instruction = mustOffer
+    ? 'The defense asks for an opening offer. Make one: action "offer".'
+    : canOffer
+    ? 'Answer the latest offer: "accept" it as written, "reject" it and go to trial, or "offer" new terms.'
+    : 'This is the final round. Answer the latest offer with "accept" or "reject" only.';
+  return `
+    Phase: PLEA NEGOTIATION.
+    Role: ${role === 'defense' ? 'Defense Attorney (speaking for the defendant)' : 'Prosecutor'}.
+    Case: ${caseData.title}. Charge: ${caseData.charge}.
+    Facts: ${JSON.stringify(caseData.facts ?? [])}
+    Evidence: ${JSON.stringify(caseData.evidence ?? [])}
+    Sentencing Range: ${range.min}-${range.max} ${range.unit}. ${range.guidance}
+    Offers So Far: ${JSON.stringify(
+      offers.map(({ round, offeredBy, charge, term, message }) => ({
+        round,
+        offeredBy,
+        charge,
+        term,
+        message,
+      }))
+    )}
+    Difficulty: ${normalizeDifficulty(difficulty)}.
+
+    1. ${instruction}
+    2. ${
+      role === 'defense'
+        ? 'Weigh the risk of conviction at trial against the terms; accept only a deal better than your odds.'
+        : 'Weigh the strength of the evidence; concede less when the case is strong.'
     }
+    3. An offer is a charge the defendant pleads guilty to (the original or a reduced one) and a term between ${range.min} and ${range.max} ${range.unit}.
+    4. When accepting or rejecting, repeat the latest offer's charge and term.
+    5. Docket rule: If it is not recorded in the docket, it is not true.
+    6. The docket entry is one sentence recording your answer and its terms.
+
+    Return JSON:
+    ${renderResponseTemplate(RESPONSE_SCHEMAS.plea, { indent: '    ' })}
+  `;
+};
+
+/**
+ * Builds the system prompt for a hostile Public Defender client deciding whether to take the deal
+ * their counsel recommends.
+ *
+ * @param {object} params - Prompt parameters.
+ * @param {object} params.caseData - Docket case data.
+ * @param {import('./types').PleaOffer} params.offer - Deal counsel recommends.
+ * @param {{unit: string, min: number, max: number}} params.range - Sentencing range.
+ * @returns {string} Prompt text for the client model.
+ */
+export const getPleaClientPrompt = ({ caseData, offer, range }) => `
+    Phase: PLEA NEGOTIATION - CLIENT CONSULTATION.
+    You are the defendant in "${caseData.title}", charged with ${caseData.charge}.
+    Facts: ${JSON.stringify(caseData.facts ?? [])}
+    Your public defender recommends pleading guilty to ${offer.charge} for ${offer.term} ${range.unit} (range ${range.min}-${range.max}).
+
+    You are hostile, distrustful of your appointed counsel, and convinced you can beat the case.
+    Refuse deals that feel like a betrayal; accept only when the terms are hard to argue with.
+    Answer in one or two sentences, in your own voice.
+
+    Return JSON:
+    ${renderResponseTemplate(RESPONSE_SCHEMAS.plea_client, { indent: '    ' })}
+`;
+
+/**
+ * Builds the system prompt for a Supreme Court panel reviewing an appeal from a saved docket.
+ *
+ * @param {object} params - Prompt parameters.
+ * @param {object} params.caseData - Case data from the saved docket.
+ * @param {object} params.record - Trial record under review, keyed by issue.
+ * @param {import('./types').PlayerRole} params.appellant - Side that lost and is appealing.
+ * @param {string} params.brief - Appellant's brief.
+ * @param {string[]} params.issues - Issues the brief assigns as error.
+ * @param {string} params.jurisdiction - Jurisdiction name.
+ * @param {string} params.difficulty - Difficulty mode identifier.
+ * @returns {string} Prompt text for the appellate panel model.
+ */
+export const getAppealPrompt = ({
+  caseData,
+  record,
+  appellant,
+  brief,
+  issues,
+  jurisdiction,
+  difficulty,
+}) => `
+    Phase: APPEAL. Court: SUPREME COURT. Jurisdiction: ${jurisdiction}.
+    You are a panel of three justices reviewing the trial record of ${caseData.title}.
+    ${buildChargeLine(caseData)} Trial judge: ${caseData.judge?.name ?? 'The Court'}.
+    Facts: ${JSON.stringify(caseData.facts ?? [])}
+    Evidence: ${JSON.stringify(caseData.evidence ?? [])}
+    Trial Record: ${JSON.stringify(record)}
+    Appellant: ${appellant}.
+    Issues on Appeal: ${JSON.stringify(issues)}
+    Appellant's Brief: "${brief}"
+    Difficulty: ${normalizeDifficulty(difficulty)}.
+
+    1. Review only the issues on appeal, and only against the trial record.
+    2. Defer to the trial court unless the brief identifies an error that likely changed the outcome.
+    3. "affirmed" leaves the judgment standing. "reversed" enters judgment for the appellant.
+       "remanded" vacates the judgment and orders a new trial; give remand_instructions.
+    4. errors_found lists each issue where the trial court erred, including harmless errors.
+    5. Docket rule: If it is not recorded in the docket, it is not true.
+    6. The docket entry is one sentence recording the panel's disposition.
+
+    Return JSON:
+    ${renderResponseTemplate(RESPONSE_SCHEMAS.appeal, { indent: '    ' })}
+  `;
+
+/**
+ * Builds the system prompt for opposing counsel's opening statement, delivered after the player's.
+ *
+ * @param {object} params - Prompt parameters.
+ * @param {object} params.caseData - Docket case data, admissible evidence only.
+ * @param {import('./types').PlayerRole} params.role - Role delivering the opening.
+ * @param {import('./types').MotionResult | null} params.motionRuling - Pre-trial motion ruling.
+ * @param {string} params.opposingOpening - Opening the player already delivered.
+ * @param {string} params.difficulty - Difficulty mode identifier.
+ * @returns {string} Prompt text for the opening statement model.
+ */
+export const getOpeningStatementPrompt = ({
+  caseData,
+  role,
+  motionRuling,
+  opposingOpening,
+  difficulty,
+}) => `
+    Phase: OPENING STATEMENT.
+    Role: ${getCounselTitle(role)}.
+    Case: ${caseData.title}.
+    ${buildChargeLine(caseData)}
+    Facts: ${JSON.stringify(caseData.facts ?? [])}
+    Evidence (admissible only): ${JSON.stringify(caseData.evidence ?? [])}
+    Witnesses: ${JSON.stringify(caseData.witnesses ?? [])}
+    Motion Ruling: ${motionRuling ? `${motionRuling.ruling} - "${motionRuling.outcome_text}"` : 'None'}
+    Opposing Opening: "${opposingOpening}"
+    Judge: ${caseData.judge?.name ?? 'The Court'}.
+    Difficulty: ${normalizeDifficulty(difficulty)}.
+
+    1. Preview what the record will show for your side in two to four sentences.
+    2. An opening is not argument: tell the story of the evidence, citing the docket by number.
+    3. Docket rule: If it is not recorded in the docket, it is not true.
+    4. Do not introduce facts, evidence, or entities not present in the docket inputs.
+
+    Return JSON:
+    ${renderResponseTemplate(RESPONSE_SCHEMAS.opening, { indent: '    ' })}
+  `;
+
+/**
+ * Builds the system prompt for AI counsel's closing argument: both sides' closings when the player
+ * presides, or opposing counsel answering the player's closing.
+ *
+ * @param {object} params - Prompt parameters.
+ * @param {object} params.caseData - Docket case data, admissible evidence only.
+ * @param {import('./types').PlayerRole} params.role - Role delivering the closing.
+ * @param {import('./types').MotionResult | null} params.motionRuling - Pre-trial motion ruling.
+ * @param {object[]} params.testimony - Witness testimony from examination.
+ * @param {string} [params.opposingClosing] - Closing the other side already delivered.
+ * @param {string} params.difficulty - Difficulty mode identifier.
+ * @returns {string} Prompt text for the closing argument model.
+ */
+export const getClosingArgumentPrompt = ({
+  caseData,
+  role,
+  motionRuling,
+  testimony,
+  opposingClosing = '',
+  difficulty,
+}) => `
+    Phase: CLOSING ARGUMENT.
+    Role: ${getCounselTitle(role)}.
+    Case: ${caseData.title}.
+    ${buildChargeLine(caseData)}
+    Facts: ${JSON.stringify(caseData.facts ?? [])}
+    Evidence (admissible only): ${JSON.stringify(caseData.evidence ?? [])}
+    Motion Ruling: ${motionRuling ? `${motionRuling.ruling} - "${motionRuling.outcome_text}"` : 'None'}
+    Witness Testimony: ${testimony.length ? JSON.stringify(testimony) : 'None taken.'}
+    Opposing Closing: "${opposingClosing || 'Not yet delivered.'}"
+    Judge: ${caseData.judge?.name ?? 'The Court'}.
+    Difficulty: ${normalizeDifficulty(difficulty)}.
+
+    1. Argue for your side in three to five sentences, citing the docket by number.
+    2. ${opposingClosing ? 'Answer the opposing closing directly.' : 'Anticipate the other side.'}
+    3. Docket rule: If it is not recorded in the docket, it is not true.
+    4. Do not introduce facts, evidence, or entities not present in the docket inputs.
+
+    Return JSON:
+    ${renderResponseTemplate(RESPONSE_SCHEMAS.closing, { indent: '    ' })}
+  `;
+
+/**
+ * Builds the system prompt for an appellate court scoring the rulings the player made from the
+ * bench in judge mode.
+ *
+ * @param {object} params - Prompt parameters.
+ * @param {object} params.caseData - Docket case data.
+ * @param {object} params.record - Rulings under review, keyed by issue.
+ * @param {string[]} params.issues - Issues the docket records a ruling on.
+ * @param {string} params.jurisdiction - Jurisdiction name.
+ * @param {string} params.difficulty - Difficulty mode identifier.
+ * @returns {string} Prompt text for the reviewing court model.
+ */
+export const getJudicialReviewPrompt = ({ caseData, record, issues, jurisdiction, difficulty }) => {
+  const weights = issues.map((issue) => `${issue} ${REVIEW_WEIGHTS[issue]}`).join(', ');
+  return `
+    Phase: JUDICIAL REVIEW. Court: SUPREME COURT. Jurisdiction: ${jurisdiction}.
+    You are a panel of three justices grading the trial judge's rulings in ${caseData.title}.
+    ${buildChargeLine(caseData)}
+    Facts: ${JSON.stringify(caseData.facts ?? [])}
+    Evidence: ${JSON.stringify(caseData.evidence ?? [])}
+    Rulings Under Review: ${JSON.stringify(record)}
+    Issues to Score: ${JSON.stringify(issues)}
+    Difficulty: ${normalizeDifficulty(difficulty)}.
+
+    1. Score each issue to score exactly once, 0-100, for legal soundness against the record.
+    2. Grade the reasoning, not the outcome: a well-reasoned ruling for either side scores well.
+    3. Evidence calls: suppression needs a recorded basis; admitting tainted evidence is error.
+    4. Jury selection: disallowing a legitimate strike, or letting a pretextual one stand, is error.
+    5. WEIGHTS: ${weights} (relative; rescale to 100 over the issues scored). The court
+       recomputes final_weighted_score from the issue scores; report the same arithmetic.
+    6. Docket rule: If it is not recorded in the docket, it is not true.
+
+    Return JSON:
+    ${renderResponseTemplate(RESPONSE_SCHEMAS.judicial_review, { indent: '    ' })}
   `;
 };
 
@@ -526,7 +1181,7 @@ export const getFinalVerdictPrompt = (
  * Builds a lightweight prompt for auto-generating player submissions during playtesting.
  *
  * @param {object} params - Prompt parameters.
- * @param {'motion' | 'argument'} params.stage - Current submission stage.
+ * @param {'motion' | 'opening' | 'argument'} params.stage - Current submission stage.
  * @param {'legit' | 'absurd'} params.mode - Generation mode.
  * @param {object} params.caseData - Current docket case data.
  * @param {string} params.playerRole - Current player role.
@@ -540,7 +1195,12 @@ export const getAutoSubmissionPrompt = ({
   playerRole,
   opposingArgument = '',
 }) => {
-  const stageLabel = stage === 'motion' ? 'PRE-TRIAL MOTION' : 'FINAL ARGUMENT';
+  const stageLabel =
+    stage === 'motion'
+      ? 'PRE-TRIAL MOTION'
+      : stage === 'opening'
+      ? 'OPENING STATEMENT'
+      : 'FINAL ARGUMENT';
   const modeGuidance =
     mode === 'absurd'
       ? `
@@ -558,14 +1218,40 @@ export const getAutoSubmissionPrompt = ({
     Stage: ${stageLabel}.
     Player Role: ${playerRole}.
     Case Title: ${caseData?.title ?? 'Untitled Case'}.
-    Charge: ${caseData?.charge ?? 'Unspecified charge'}.
+    ${isCivilCase(caseData) ? buildChargeLine(caseData) : `Charge: ${caseData?.charge ?? 'Unspecified charge'}.`}
     Facts: ${JSON.stringify(caseData?.facts ?? [])}.
     Evidence: ${JSON.stringify(caseData?.evidence ?? [])}.
     Opposing Counsel Argument: "${opposingArgument || 'None provided yet.'}"
     ${modeGuidance}
     Keep it brief (2-4 sentences) and return only valid JSON:
-    {
-      "text": "Generated submission text"
-    }
+    ${renderResponseTemplate(RESPONSE_SCHEMAS.auto_submission, {
+      indent: '    ',
+      examples: { text: 'Generated submission text' },
+    })}
   `;
 };
+
+/**
+ * Builds the follow-up user prompt asking the model to repair a rejected response.
+ *
+ * The original system prompt is resent unchanged, so this only needs the previous output and
+ * the exact validation failure.
+ *
+ * @param {object} params - Repair inputs.
+ * @param {string} params.userPrompt - Original user prompt.
+ * @param {string} params.rawText - Raw model output that failed validation.
+ * @param {string} params.failure - Developer-facing validation message.
+ * @returns {string} Prompt text for the repair request.
+ */
+export const getRepairPrompt = ({ userPrompt, rawText, failure }) => `
+    ${userPrompt}
+
+    Your previous response was rejected by the court clerk:
+    ${failure}
+
+    Previous response:
+    ${rawText}
+
+    Return ONLY the corrected JSON object in the same format. Fix the problem above, keep every
+    other field consistent with the docket, and do not add commentary.
+  `;
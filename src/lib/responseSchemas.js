@@ -0,0 +1,435 @@
+import { VERDICT_DISPOSITIONS } from './constants';
+
+/**
+ * Declarative JSON schemas for every structured model response.
+ *
+ * One definition per `responseLabel` drives three consumers:
+ * - `renderResponseTemplate` builds the "Return JSON" block embedded in prompts.
+ * - `toProviderSchema` converts it to the OpenAPI subset Gemini accepts as `responseSchema`.
+ * - `validateResponseSchema` in `llmClient.js` walks it to validate payloads with
+ *   path-precise errors (e.g. `breakdown.issues[0].label`).
+ *
+ * Schemas use a small OpenAPI-style vocabulary: `type`, `properties`, `required`, `items`,
+ * `enum`, `nullable`, and `description`. Three keys are local to Pocket Court and are stripped
+ * before reaching a provider: `example` (the value shown in prompt templates), `alternatives`
+ * (other shapes a value may take, for fields whose parser normalizes more than one form), and
+ * `lenient` (skip validation, for descriptive fields the parsers and views tolerate in any
+ * shape). Rules that span several fields, such as jury-only verdict fields, stay in the parsers.
+ */
+
+/**
+ * @typedef {object} ResponseSchema
+ * @property {'object' | 'array' | 'string' | 'number' | 'boolean'} type - JSON type.
+ * @property {string} [description] - Field description shared with the provider.
+ * @property {Record<string, ResponseSchema>} [properties] - Object properties.
+ * @property {string[]} [required] - Required object properties.
+ * @property {ResponseSchema} [items] - Array item schema.
+ * @property {string[]} [enum] - Allowed string values.
+ * @property {boolean} [nullable] - Whether `null` is accepted.
+ * @property {unknown} [example] - Value rendered in prompt templates.
+ * @property {ResponseSchema[]} [alternatives] - Other schemas a value may match instead.
+ * @property {boolean} [lenient] - Whether validation accepts any value here.
+ * @property {string} [userMessage] - User-facing message for validation failures (root only).
+ */
+
+const stringField = (example, options = {}) => ({ type: 'string', example, ...options });
+const numberField = (description, options = {}) => ({ type: 'number', description, ...options });
+const booleanField = (description) => ({ type: 'boolean', description });
+const enumField = (values, options = {}) => ({ type: 'string', enum: values, ...options });
+const arrayField = (items, options = {}) => ({ type: 'array', items, ...options });
+const objectField = (properties, required = Object.keys(properties), options = {}) => ({
+  type: 'object',
+  properties,
+  required,
+  ...options,
+});
+
+const MOTION_DISPOSITIONS = ['GRANTED', 'DENIED', 'PARTIALLY GRANTED'];
+
+const ACCOUNTABILITY_SCHEMA = objectField(
+  {
+    sanction_recommended: booleanField('Whether counsel conduct warrants a sanction.'),
+    severity: enumField(['warning', 'sanction', 'disbarment'], { nullable: true }),
+    target: enumField(['prosecution', 'defense', 'plaintiff', 'defendant'], { nullable: true }),
+    reason: stringField('short reason phrase', { nullable: true }),
+  },
+  ['sanction_recommended']
+);
+
+const TEXT_RESPONSE_SCHEMA = objectField(
+  { text: stringField('Submission text') },
+  ['text'],
+  { userMessage: 'The AI returned an incomplete motion. Please try again.' }
+);
+
+/** @type {Readonly<Record<string, ResponseSchema>>} */
+export const RESPONSE_SCHEMAS = Object.freeze({
+  case: objectField(
+    {
+      title: stringField('Case Name'),
+      defendant: stringField('Name', { lenient: true }),
+      charge: stringField('Charge', { lenient: true }),
+      plaintiff: stringField('Plaintiff name (civil cases only)', { nullable: true }),
+      damages_sought: numberField('Damages claimed in whole dollars (civil cases only)', {
+        nullable: true,
+      }),
+      is_jury_trial: booleanField('True for jury trials, false for bench trials.'),
+      judge: objectField(
+        {
+          name: stringField('Name'),
+          philosophy: stringField('Style', { lenient: true }),
+          background: stringField('History', { lenient: true }),
+          bias: stringField('Bias', { lenient: true }),
+        },
+        ['name']
+      ),
+      jurors: arrayField(
+        objectField(
+          {
+            id: numberField('Unique juror number.', { example: 1 }),
+            name: stringField('Name', { lenient: true }),
+            age: numberField('Age in years.', { example: 30, lenient: true }),
+            job: stringField('Job', { lenient: true }),
+            bias_hint: stringField('Public description', { lenient: true }),
+            hidden_bias: stringField('Secret bias', { lenient: true }),
+          },
+          ['id']
+        )
+      ),
+      facts: arrayField(stringField('Fact', { lenient: true }), {
+        example: ['Fact 1', 'Fact 2', 'Fact 3'],
+      }),
+      witnesses: arrayField(
+        objectField(
+          {
+            name: stringField('Name'),
+            role: stringField('Role'),
+            statement: stringField('Statement'),
+          },
+          []
+        )
+      ),
+      evidence: arrayField(
+        stringField('Item', {
+          alternatives: [
+            objectField({ id: numberField('Evidence number.'), text: stringField('Item') }, [
+              'text',
+            ]),
+          ],
+        }),
+        { example: ['Item 1', 'Item 2'] }
+      ),
+      // The parser rebuilds the profile from whatever fields are usable.
+      opposing_counsel: objectField(
+        {
+          name: stringField('Name'),
+          age_range: stringField('Optional age range'),
+          bio: stringField('Background and reputation'),
+          style_tells: stringField('Notable courtroom habits or tactics'),
+          current_posture: stringField("What they're signaling about this case"),
+        },
+        [],
+        { lenient: true }
+      ),
+    },
+    ['title', 'facts', 'is_jury_trial', 'judge'],
+    { userMessage: 'The AI returned an incomplete case. Please try again.' }
+  ),
+  jury: objectField(
+    {
+      opponent_strikes: arrayField(numberField('juror id'), { example: ['id1', 'id2'] }),
+      opponent_reasoning: stringField('Why the AI struck these jurors.'),
+      seated_juror_ids: arrayField(numberField('juror id'), {
+        example: ['list of remaining ids'],
+      }),
+      judge_comment: stringField("Judge's brief comment on the final jury."),
+    },
+    ['opponent_strikes', 'seated_juror_ids', 'judge_comment'],
+    { userMessage: 'The AI returned an incomplete jury response. Please try again.' }
+  ),
+  voir_dire: objectField(
+    {
+      answers: arrayField(
+        objectField({
+          juror_id: numberField('juror id'),
+          answer: stringField('In-character answer'),
+        })
+      ),
+    },
+    ['answers'],
+    { userMessage: 'The jurors gave an incomplete answer. Please try again.' }
+  ),
+  cause_challenge: objectField(
+    {
+      ruling: enumField(['granted', 'denied']),
+      reasoning: stringField('One or two sentences grounded in the juror record.'),
+      docket_entry: stringField('Challenge for cause to Juror #N: Granted.'),
+    },
+    ['ruling', 'reasoning', 'docket_entry'],
+    { userMessage: 'The judge did not rule on the challenge. Please try again.' }
+  ),
+  batson: objectField(
+    {
+      ruling: enumField(['sustained', 'overruled']),
+      reasoning: stringField("One or two sentences weighing counsel's stated reasons."),
+      docket_entry: stringField('Batson objection to the strike of Juror #N: Sustained.'),
+    },
+    ['ruling', 'reasoning', 'docket_entry'],
+    { userMessage: 'The judge did not rule on the objection. Please try again.' }
+  ),
+  motion_text: TEXT_RESPONSE_SCHEMA,
+  auto_submission: TEXT_RESPONSE_SCHEMA,
+  witness: objectField(
+    { answer: stringField('In-character answer') },
+    ['answer'],
+    { userMessage: 'The witness gave an incomplete answer. Please try again.' }
+  ),
+  objection: objectField(
+    {
+      ruling: enumField(['sustained', 'overruled']),
+      reasoning: stringField('One or two sentences grounded in the objected passage.'),
+      docket_entry: stringField('Objection (ground) to the motion: Sustained.'),
+    },
+    ['ruling', 'reasoning', 'docket_entry'],
+    { userMessage: 'The judge did not rule on the objection. Please try again.' }
+  ),
+  motion: objectField(
+    {
+      ruling: enumField(MOTION_DISPOSITIONS),
+      decision: objectField({
+        ruling: enumField(['granted', 'denied', 'partially_granted', 'dismissed']),
+        dismissal: objectField({
+          isDismissed: booleanField('Whether the case is dismissed.'),
+          withPrejudice: booleanField('Whether the dismissal bars refiling.'),
+        }),
+        opinion: stringField('Judge reasoning text.'),
+      }),
+      outcome_text: stringField('Same as decision.opinion.'),
+      score: numberField('0-100'),
+      evidence_status_updates: arrayField(
+        objectField({
+          id: numberField('evidence id'),
+          status: enumField(['admissible', 'suppressed']),
+        })
+      ),
+      accountability: ACCOUNTABILITY_SCHEMA,
+      breakdown: objectField({
+        issues: arrayField(
+          objectField(
+            {
+              id: stringField('string'),
+              label: stringField('short label'),
+              disposition: enumField(MOTION_DISPOSITIONS),
+              reasoning: stringField('Concise reasoning grounded in docket facts.'),
+              affectedEvidenceIds: arrayField(numberField('evidence id'), { nullable: true }),
+            },
+            ['id', 'label', 'disposition', 'reasoning']
+          )
+        ),
+        docket_entries: arrayField(stringField('string')),
+      }),
+    },
+    ['ruling', 'decision', 'score', 'evidence_status_updates', 'breakdown'],
+    { userMessage: 'The AI returned an incomplete motion ruling. Please try again.' }
+  ),
+  sentencing_memo: objectField(
+    { text: stringField('Sentencing memorandum text') },
+    ['text'],
+    { userMessage: 'The AI returned an incomplete sentencing memorandum. Please try again.' }
+  ),
+  sentence: objectField(
+    {
+      term: numberField('sentence length in the range unit'),
+      sentence_text: stringField('The sentence as pronounced from the bench.'),
+      reasoning: stringField('How the memoranda and your philosophy shaped the sentence.'),
+      docket_entry: stringField('Sentence imposed: ...'),
+    },
+    ['term', 'sentence_text', 'reasoning', 'docket_entry'],
+    { userMessage: 'The AI returned an incomplete sentence. Please try again.' }
+  ),
+  plea: objectField(
+    {
+      action: enumField(['offer', 'accept', 'reject']),
+      charge: stringField('Charge the defendant pleads guilty to (repeat it when accepting).'),
+      term: numberField('agreed term in the range unit'),
+      message: stringField('One or two sentences to opposing counsel.'),
+      docket_entry: stringField('Plea offer: guilty to ..., N months.'),
+    },
+    ['action', 'charge', 'term', 'message', 'docket_entry'],
+    { userMessage: 'Opposing counsel did not answer the plea offer. Please try again.' }
+  ),
+  plea_client: objectField(
+    {
+      decision: enumField(['accept', 'reject']),
+      statement: stringField("The client's answer, in their own voice."),
+    },
+    ['decision', 'statement'],
+    { userMessage: 'The client did not answer. Please try again.' }
+  ),
+  appeal: objectField(
+    {
+      disposition: enumField(['affirmed', 'reversed', 'remanded']),
+      errors_found: arrayField(
+        objectField({
+          issue: enumField(['motion_ruling', 'jury_selection', 'verdict']),
+          finding: stringField('What the trial court got wrong and why it mattered.'),
+        })
+      ),
+      opinion: stringField('The panel opinion, two to four sentences.'),
+      remand_instructions: stringField('What the trial court must do differently on retrial.', {
+        nullable: true,
+      }),
+      docket_entry: stringField('Appeal: Remanded for a new trial.'),
+    },
+    ['disposition', 'errors_found', 'opinion', 'docket_entry'],
+    { userMessage: 'The appellate panel returned an incomplete ruling. Please try again.' }
+  ),
+  opening: objectField(
+    { text: stringField('Opening statement text') },
+    ['text'],
+    { userMessage: 'The AI returned an incomplete opening statement. Please try again.' }
+  ),
+  closing: objectField(
+    { text: stringField('Closing argument text') },
+    ['text'],
+    { userMessage: 'The AI returned an incomplete closing argument. Please try again.' }
+  ),
+  judicial_review: objectField(
+    {
+      rulings: arrayField(
+        objectField({
+          issue: enumField(['motion_ruling', 'jury_selection', 'verdict']),
+          score: numberField('0-100 for legal soundness'),
+          sound: booleanField('Whether the ruling would survive appeal.'),
+          critique: stringField('What the trial judge got right or wrong, one or two sentences.'),
+        })
+      ),
+      final_weighted_score: numberField('weighted total; may exceed 100'),
+      overflow_reason_code: stringField('CODE or null', { nullable: true }),
+      overflow_explanation: stringField('Short explanation or null', { nullable: true }),
+      achievement_title: stringField('Title or null', { nullable: true }),
+      opinion: stringField('The reviewing court opinion, two to four sentences.'),
+    },
+    ['rulings', 'final_weighted_score', 'opinion'],
+    { userMessage: 'The reviewing court returned an incomplete review. Please try again.' }
+  ),
+  verdict: objectField(
+    {
+      jury_verdict: stringField('Guilty/Not Guilty/Liable/Not Liable/Hung/NA', { nullable: true }),
+      jury_reasoning: stringField('Reasoning...', { nullable: true }),
+      jury_score: numberField('or 0 if N/A', { nullable: true }),
+      deliberation: arrayField(
+        objectField({
+          round: numberField('1-3'),
+          votes: arrayField(
+            objectField({
+              juror_id: numberField('seated juror id'),
+              vote: enumField(['guilty', 'not_guilty', 'liable', 'not_liable']),
+              rationale: stringField("One sentence in the juror's voice, driven by their bias."),
+            })
+          ),
+        }),
+        { nullable: true }
+      ),
+      damages_awarded: numberField('Damages awarded, 0 if not liable (civil cases only)', {
+        nullable: true,
+      }),
+      judge_score: numberField('0-100'),
+      judge_opinion: stringField('Opinion...'),
+      final_ruling: stringField('Outcome'),
+      disposition: enumField([...VERDICT_DISPOSITIONS]),
+      dismissal: objectField({
+        isDismissed: booleanField('Whether the case is dismissed.'),
+        withPrejudice: booleanField('Whether the dismissal bars refiling.'),
+      }),
+      is_jnov: booleanField('Whether the judge overrode the jury.'),
+      final_weighted_score: numberField('weighted total; may exceed 100'),
+      overflow_reason_code: stringField('CODE or null', { nullable: true }),
+      overflow_explanation: stringField('Short explanation or null', { nullable: true }),
+      achievement_title: stringField('Title or null', { nullable: true }),
+      accountability: ACCOUNTABILITY_SCHEMA,
+    },
+    ['final_ruling', 'disposition', 'dismissal', 'final_weighted_score', 'judge_opinion'],
+    { userMessage: 'The AI returned an incomplete verdict. Please try again.' }
+  ),
+});
+
+/**
+ * Render a single schema node as prompt template text.
+ *
+ * @param {ResponseSchema} schema - Schema node.
+ * @param {string} indent - Indentation for nested lines.
+ * @param {unknown} [exampleOverride] - Example to use instead of the schema's own.
+ * @param {Record<string, unknown>} [childExamples] - Example overrides for object properties.
+ * @returns {string} Template text.
+ */
+const renderNode = (schema, indent, exampleOverride, childExamples = {}) => {
+  const example = exampleOverride ?? schema.example;
+  const nullSuffix = schema.nullable ? ' | null' : '';
+  if (schema.enum) {
+    return `${schema.enum.map((value) => JSON.stringify(value)).join(' | ')}${nullSuffix}`;
+  }
+  switch (schema.type) {
+    case 'object': {
+      const innerIndent = `${indent}  `;
+      const lines = Object.entries(schema.properties ?? {}).map(
+        ([key, child]) =>
+          `${innerIndent}${JSON.stringify(key)}: ${renderNode(child, innerIndent, childExamples[key])}`
+      );
+      return `{\n${lines.join(',\n')}\n${indent}}`;
+    }
+    case 'array': {
+      if (Array.isArray(example)) {
+        const values = example.map((value) =>
+          typeof value === 'string' && schema.items?.type === 'number' ? value : JSON.stringify(value)
+        );
+        return `[${values.join(', ')}]${nullSuffix}`;
+      }
+      if (schema.items?.type === 'object') {
+        const innerIndent = `${indent}  `;
+        return `[\n${innerIndent}${renderNode(schema.items, innerIndent)}\n${indent}]${nullSuffix}`;
+      }
+      return `[${renderNode(schema.items, indent)}]${nullSuffix}`;
+    }
+    case 'number':
+      if (typeof example === 'number') return `${example}${nullSuffix}`;
+      return `number${schema.description ? ` (${schema.description})` : ''}${nullSuffix}`;
+    case 'boolean':
+      return `boolean${nullSuffix}`;
+    default:
+      return `${JSON.stringify(example ?? schema.description ?? 'string')}${nullSuffix}`;
+  }
+};
+
+/**
+ * Render the JSON template shown to the model in a prompt's "Return JSON" block.
+ *
+ * @param {ResponseSchema} schema - Root response schema.
+ * @param {{indent?: string, examples?: Record<string, unknown>}} [options] - Leading indentation
+ * for continuation lines, and per-property example overrides for the top level.
+ * @returns {string} Template text.
+ */
+export const renderResponseTemplate = (schema, { indent = '', examples = {} } = {}) =>
+  renderNode(schema, indent, undefined, examples);
+
+/**
+ * Convert a response schema into the OpenAPI subset accepted by Gemini's `responseSchema`.
+ *
+ * @param {ResponseSchema} schema - Schema node.
+ * @returns {object} Provider schema.
+ */
+export const toProviderSchema = (schema) => {
+  const providerSchema = { type: schema.type.toUpperCase() };
+  if (schema.description) providerSchema.description = schema.description;
+  if (schema.enum) providerSchema.enum = [...schema.enum];
+  if (schema.nullable) providerSchema.nullable = true;
+  if (schema.items) providerSchema.items = toProviderSchema(schema.items);
+  if (schema.properties) {
+    providerSchema.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, child]) => [key, toProviderSchema(child)])
+    );
+    providerSchema.propertyOrdering = Object.keys(schema.properties);
+    if (schema.required?.length) providerSchema.required = [...schema.required];
+  }
+  return providerSchema;
+};
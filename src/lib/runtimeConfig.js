@@ -1,62 +1,204 @@
 const GEMINI_STORAGE_KEY = 'pocketcourt.geminiKey';
+const PROVIDER_STORAGE_KEY = 'pocketcourt.aiProvider';
+const DEFAULT_PROVIDER = 'gemini';
+const DEFAULT_REPAIR_ATTEMPTS = 2;
+const MAX_REPAIR_ATTEMPTS = 5;
 
 /**
  * Supported AI providers for runtime selection.
  *
- * @type {{value: string, label: string}[]}
+ * `envPrefix` names the Vite variables for the provider (`<prefix>_API_KEY`, `<prefix>_BASE_URL`,
+ * `<prefix>_MODEL`). Local servers and the offline mock do not require a key.
+ *
+ * @type {{value: string, label: string, envPrefix: string, requiresApiKey: boolean}[]}
+ */
+export const AI_PROVIDERS = [
+  { value: 'gemini', label: 'Gemini', envPrefix: 'VITE_GEMINI', requiresApiKey: true },
+  {
+    value: 'openai',
+    label: 'OpenAI-compatible',
+    envPrefix: 'VITE_OPENAI',
+    requiresApiKey: true,
+  },
+  { value: 'anthropic', label: 'Anthropic', envPrefix: 'VITE_ANTHROPIC', requiresApiKey: true },
+  {
+    value: 'local',
+    label: 'Local (Ollama / llama.cpp)',
+    envPrefix: 'VITE_LOCAL_LLM',
+    requiresApiKey: false,
+  },
+  { value: 'mock', label: 'Offline mock', envPrefix: 'VITE_MOCK_LLM', requiresApiKey: false },
+];
+
+/** @type {Record<string, string>} */
+let runtimeApiKeys = {};
+let activeProvider = DEFAULT_PROVIDER;
+
+/**
+ * Normalize a provider id, falling back to the default provider.
+ *
+ * @param {unknown} provider - Candidate provider id.
+ * @returns {string} Supported provider id.
+ */
+const normalizeProvider = (provider) =>
+  AI_PROVIDERS.some((option) => option.value === provider) ? provider : DEFAULT_PROVIDER;
+
+/**
+ * Look up the metadata for a provider.
+ *
+ * @param {string} [provider] - Provider id (defaults to the active provider).
+ * @returns {{value: string, label: string, envPrefix: string, requiresApiKey: boolean}} Provider metadata.
+ */
+export const getProviderOption = (provider = activeProvider) => {
+  const normalized = normalizeProvider(provider);
+  return AI_PROVIDERS.find((option) => option.value === normalized);
+};
+
+/**
+ * Read the provider currently used for LLM requests.
+ *
+ * @returns {string} Active provider id.
  */
-export const AI_PROVIDERS = [{ value: 'gemini', label: 'Gemini' }];
+export const getActiveProvider = () => activeProvider;
 
-let runtimeApiKey = '';
+/**
+ * Switch the provider used for LLM requests and remember the choice on this device.
+ *
+ * @param {string} provider - Provider id to activate.
+ * @returns {string} The normalized provider id.
+ */
+export const setActiveProvider = (provider) => {
+  activeProvider = normalizeProvider(provider);
+  if (typeof window === 'undefined') return activeProvider;
+  try {
+    window.localStorage.setItem(PROVIDER_STORAGE_KEY, activeProvider);
+  } catch (error) {
+    if (import.meta.env.DEV) {
+      console.warn('Failed to save AI provider to localStorage.', error);
+    }
+  }
+  return activeProvider;
+};
+
+/**
+ * Load the remembered provider choice and make it active.
+ *
+ * @returns {string} The active provider id.
+ */
+export const loadStoredProvider = () => {
+  if (typeof window === 'undefined') return activeProvider;
+  try {
+    const storedProvider = window.localStorage.getItem(PROVIDER_STORAGE_KEY);
+    if (storedProvider) {
+      activeProvider = normalizeProvider(storedProvider);
+    }
+  } catch (error) {
+    if (import.meta.env.DEV) {
+      console.warn('Failed to read AI provider from localStorage.', error);
+    }
+  }
+  return activeProvider;
+};
 
 /**
  * Set the runtime API key for the current session.
  *
  * @param {string} key - API key provided by the user.
+ * @param {string} [provider] - Provider the key belongs to (defaults to the active provider).
  */
-export const setRuntimeApiKey = (key) => {
-  runtimeApiKey = typeof key === 'string' ? key.trim() : '';
+export const setRuntimeApiKey = (key, provider = activeProvider) => {
+  runtimeApiKeys = {
+    ...runtimeApiKeys,
+    [normalizeProvider(provider)]: typeof key === 'string' ? key.trim() : '',
+  };
 };
 
 /**
  * Read the runtime API key that overrides environment config.
  *
+ * @param {string} [provider] - Provider id (defaults to the active provider).
  * @returns {string} The current runtime API key, or an empty string.
  */
-export const getRuntimeApiKey = () => runtimeApiKey;
+export const getRuntimeApiKey = (provider = activeProvider) =>
+  runtimeApiKeys[normalizeProvider(provider)] ?? '';
 
 /**
- * Resolve the Gemini API key from the build-time environment.
+ * Read a provider-scoped variable from the build-time environment.
  *
- * @returns {string} The environment API key, or an empty string.
+ * @param {string} provider - Provider id.
+ * @param {string} suffix - Variable suffix (e.g. `API_KEY`).
+ * @returns {string} The environment value, or an empty string.
  */
-const getEnvApiKey = () => import.meta.env.VITE_GEMINI_API_KEY ?? '';
+const getEnvValue = (provider, suffix) =>
+  import.meta.env[`${getProviderOption(provider).envPrefix}_${suffix}`] ?? '';
 
 /**
  * Retrieve the active API key (runtime overrides env).
  *
+ * @param {string} [provider] - Provider id (defaults to the active provider).
  * @returns {string} The API key to use for requests.
  */
-export const getActiveApiKey = () => runtimeApiKey || getEnvApiKey();
+export const getActiveApiKey = (provider = activeProvider) =>
+  getRuntimeApiKey(provider) || getEnvValue(provider, 'API_KEY');
+
+/**
+ * Resolve endpoint and model overrides for a provider from the environment.
+ *
+ * @param {string} [provider] - Provider id (defaults to the active provider).
+ * @returns {{baseUrl: string, model: string}} Overrides; empty strings mean "use the adapter default".
+ */
+export const getProviderSettings = (provider = activeProvider) => ({
+  baseUrl: getEnvValue(provider, 'BASE_URL'),
+  model: getEnvValue(provider, 'MODEL'),
+});
+
+/**
+ * Read how many self-repair follow-ups the LLM client may send after a rejected response.
+ *
+ * Configured with `VITE_LLM_REPAIR_ATTEMPTS`; `0` disables repair.
+ *
+ * @returns {number} Repair attempt budget between 0 and 5.
+ */
+export const getRepairAttemptBudget = () => {
+  const rawValue = import.meta.env.VITE_LLM_REPAIR_ATTEMPTS;
+  if (rawValue === undefined || rawValue === '') return DEFAULT_REPAIR_ATTEMPTS;
+  const parsed = Number.parseInt(rawValue, 10);
+  if (!Number.isFinite(parsed)) return DEFAULT_REPAIR_ATTEMPTS;
+  return Math.min(Math.max(parsed, 0), MAX_REPAIR_ATTEMPTS);
+};
+
+/**
+ * Expose the storage key for tests and diagnostics.
+ *
+ * Gemini keeps its original key so keys remembered before multi-provider support still load.
+ *
+ * @param {string} [provider] - Provider id (defaults to the active provider).
+ * @returns {string} The localStorage key used for persistence.
+ */
+export const getApiKeyStorageKey = (provider = activeProvider) => {
+  const normalized = normalizeProvider(provider);
+  return normalized === 'gemini' ? GEMINI_STORAGE_KEY : `pocketcourt.${normalized}Key`;
+};
 
 /**
  * Load the remembered API key from localStorage, if available.
  *
+ * @param {string} [provider] - Provider id (defaults to the active provider).
  * @returns {string} The stored key, or an empty string.
  */
-export const loadStoredApiKey = () => {
+export const loadStoredApiKey = (provider = activeProvider) => {
   if (typeof window === 'undefined') return '';
   try {
-    const storedKey = window.localStorage.getItem(GEMINI_STORAGE_KEY) ?? '';
+    const storedKey = window.localStorage.getItem(getApiKeyStorageKey(provider)) ?? '';
     if (storedKey) {
-      runtimeApiKey = storedKey;
+      setRuntimeApiKey(storedKey, provider);
     }
     return storedKey;
   } catch (error) {
     if (import.meta.env.DEV) {
       console.warn('Failed to read API key from localStorage.', error);
     }
-    return runtimeApiKey;
+    return getRuntimeApiKey(provider);
   }
 };
 
@@ -65,15 +207,17 @@ export const loadStoredApiKey = () => {
  *
  * @param {string} key - API key to persist.
  * @param {boolean} remember - Whether to persist the key on this device.
+ * @param {string} [provider] - Provider the key belongs to (defaults to the active provider).
  */
-export const persistApiKey = (key, remember) => {
+export const persistApiKey = (key, remember, provider = activeProvider) => {
   const sanitizedKey = typeof key === 'string' ? key.trim() : '';
-  runtimeApiKey = sanitizedKey;
+  const storageKey = getApiKeyStorageKey(provider);
+  setRuntimeApiKey(sanitizedKey, provider);
   if (typeof window === 'undefined') return;
 
   if (remember && sanitizedKey) {
     try {
-      window.localStorage.setItem(GEMINI_STORAGE_KEY, sanitizedKey);
+      window.localStorage.setItem(storageKey, sanitizedKey);
     } catch (error) {
       if (import.meta.env.DEV) {
         console.warn('Failed to save API key to localStorage.', error);
@@ -84,7 +228,7 @@ export const persistApiKey = (key, remember) => {
   }
 
   try {
-    window.localStorage.removeItem(GEMINI_STORAGE_KEY);
+    window.localStorage.removeItem(storageKey);
   } catch (error) {
     if (import.meta.env.DEV) {
       console.warn('Failed to remove API key from localStorage.', error);
@@ -92,10 +236,3 @@ export const persistApiKey = (key, remember) => {
     return;
   }
 };
-
-/**
- * Expose the storage key for tests and diagnostics.
- *
- * @returns {string} The localStorage key used for persistence.
- */
-export const getApiKeyStorageKey = () => GEMINI_STORAGE_KEY;
@@ -0,0 +1,148 @@
+import {
+  SANCTION_LEVELS,
+  SANCTION_STATES,
+  SANCTIONS_TIMERS_MS,
+  normalizeSanctionState,
+} from './constants';
+
+/**
+ * The player's sanctions state on its own terms: a fresh clean record, a state entered at a given
+ * time with its expiry, and the same state read back later, with whatever has run out since
+ * expired. The game hook escalates it from docketed misconduct; profile sync and backups compare
+ * it as it stands now.
+ */
+
+/** @typedef {import('./types').PlayerSanctionsState} PlayerSanctionsState */
+
+// Real-time windows for sanction expiry and cooldown resets across sessions.
+const COOLDOWN_RESET_MS = SANCTIONS_TIMERS_MS.COOLDOWN_RESET;
+const WARNING_DURATION_MS = SANCTIONS_TIMERS_MS.WARNING_DURATION;
+const SANCTION_DURATION_MS = SANCTIONS_TIMERS_MS.SANCTION_DURATION;
+const PUBLIC_DEFENDER_DURATION_MS = SANCTIONS_TIMERS_MS.PUBLIC_DEFENDER_DURATION;
+const REINSTATEMENT_GRACE_MS = SANCTIONS_TIMERS_MS.REINSTATEMENT_GRACE;
+
+/**
+ * Parse an ISO timestamp.
+ *
+ * @param {string | null | undefined} isoString - Timestamp to parse.
+ * @returns {number | null} Milliseconds since the epoch, or null when missing or invalid.
+ */
+export const toTimestampMs = (isoString) => {
+  if (!isoString) return null;
+  const parsed = Date.parse(isoString);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+/**
+ * Build a clean sanctions record.
+ *
+ * @param {number} [nowMs] - Time the record starts.
+ * @returns {PlayerSanctionsState} Clean sanctions state.
+ */
+export const buildDefaultSanctionsState = (nowMs = Date.now()) => ({
+  state: SANCTION_STATES.CLEAN,
+  level: SANCTION_LEVELS[SANCTION_STATES.CLEAN],
+  startedAt: new Date(nowMs).toISOString(),
+  expiresAt: null,
+  lastMisconductAt: null,
+  recidivismCount: 0,
+  recentlyReinstatedUntil: null,
+});
+
+/**
+ * When a sanctions state entered at `nowMs` runs out.
+ *
+ * @param {string} state - Sanctions state from `SANCTION_STATES`.
+ * @param {number} nowMs - Time the state is entered.
+ * @returns {number | null} Expiry in milliseconds, or null for a state that does not expire.
+ */
+export const getStateExpiryMs = (state, nowMs) => {
+  if (state === SANCTION_STATES.WARNED) return nowMs + WARNING_DURATION_MS;
+  if (state === SANCTION_STATES.SANCTIONED) return nowMs + SANCTION_DURATION_MS;
+  if (state === SANCTION_STATES.PUBLIC_DEFENDER) return nowMs + PUBLIC_DEFENDER_DURATION_MS;
+  if (state === SANCTION_STATES.RECENTLY_REINSTATED) return nowMs + REINSTATEMENT_GRACE_MS;
+  return null;
+};
+
+/**
+ * Enter a sanctions state at `nowMs`, with its level and expiry.
+ *
+ * @param {string} state - Sanctions state from `SANCTION_STATES`.
+ * @param {number} nowMs - Time the state is entered.
+ * @param {Partial<PlayerSanctionsState>} [overrides] - Fields carried over from the prior state.
+ * @returns {PlayerSanctionsState} Sanctions state.
+ */
+export const buildSanctionsState = (state, nowMs, overrides = {}) => {
+  const normalizedState = normalizeSanctionState(state);
+  return {
+    ...overrides,
+    state: normalizedState,
+    level: SANCTION_LEVELS[normalizedState] ?? 0,
+    startedAt: new Date(nowMs).toISOString(),
+    expiresAt:
+      normalizedState === SANCTION_STATES.CLEAN
+        ? null
+        : new Date(getStateExpiryMs(normalizedState, nowMs)).toISOString(),
+    recentlyReinstatedUntil:
+      normalizedState === SANCTION_STATES.RECENTLY_REINSTATED
+        ? new Date(nowMs + REINSTATEMENT_GRACE_MS).toISOString()
+        : null,
+  };
+};
+
+/**
+ * Read a stored sanctions state as it stands at `nowMs`: missing fields are filled in, a warning,
+ * sanction, or reinstatement grace period that has run out returns to a clean record, and the
+ * recidivism count resets once the cooldown has passed.
+ *
+ * @param {PlayerSanctionsState | null} state - Stored sanctions state.
+ * @param {number} nowMs - Current time.
+ * @returns {PlayerSanctionsState} Current sanctions state.
+ */
+export const normalizeSanctionsState = (state, nowMs) => {
+  if (!state) return buildDefaultSanctionsState(nowMs);
+
+  const hydratedState = {
+    ...buildDefaultSanctionsState(nowMs),
+    ...state,
+  };
+  hydratedState.state = normalizeSanctionState(hydratedState.state);
+
+  const expiresAtMs = toTimestampMs(hydratedState.expiresAt);
+  const reinstatedUntilMs = toTimestampMs(hydratedState.recentlyReinstatedUntil);
+  const lastMisconductMs = toTimestampMs(hydratedState.lastMisconductAt);
+  const shouldResetCooldown =
+    lastMisconductMs !== null && nowMs - lastMisconductMs > COOLDOWN_RESET_MS;
+
+  if (
+    hydratedState.state === SANCTION_STATES.RECENTLY_REINSTATED &&
+    reinstatedUntilMs &&
+    nowMs >= reinstatedUntilMs
+  ) {
+    return buildSanctionsState(SANCTION_STATES.CLEAN, nowMs, {
+      lastMisconductAt: hydratedState.lastMisconductAt,
+      recidivismCount: 0,
+    });
+  }
+
+  if (
+    (hydratedState.state === SANCTION_STATES.WARNED ||
+      hydratedState.state === SANCTION_STATES.SANCTIONED) &&
+    expiresAtMs &&
+    nowMs >= expiresAtMs
+  ) {
+    return buildSanctionsState(SANCTION_STATES.CLEAN, nowMs, {
+      lastMisconductAt: hydratedState.lastMisconductAt,
+      recidivismCount: 0,
+    });
+  }
+
+  if (shouldResetCooldown) {
+    return {
+      ...hydratedState,
+      recidivismCount: 0,
+    };
+  }
+
+  return hydratedState;
+};
@@ -0,0 +1,132 @@
+/**
+ * Verdict scoring helpers shared by the game hook and verdict UI.
+ *
+ * The court computes the final weighted score itself from the phase scores on the record: the
+ * motion ruling's `score`, the verdict's `judge_score`, and, in jury trials, its `jury_score`. The
+ * model's `final_weighted_score` is kept only to flag arithmetic that disagrees with the court's.
+ */
+
+/**
+ * Weight of each scored phase. Bench trials have no jury score, so its weight is spread over the
+ * motion and judge scores.
+ */
+export const VERDICT_WEIGHTS = Object.freeze({
+  motion: 20,
+  judge: 45,
+  jury: 35,
+});
+
+export const SCORE_PHASE_LABELS = Object.freeze({
+  motion: 'Pre-Trial Motion',
+  judge: 'Judge',
+  jury: 'Jury',
+});
+
+/** Highest phase score for an ordinary performance. */
+export const MAX_PHASE_SCORE = 100;
+
+/**
+ * Highest phase score for a legendary performance. The judge and jury may score above 100 only
+ * when the verdict explains the overflow; the motion score never overflows.
+ */
+export const MAX_OVERFLOW_PHASE_SCORE = 120;
+
+/**
+ * Weighted score an outcome must exceed to be legendary. Only a legendary score keeps the
+ * verdict's overflow reason.
+ */
+export const LEGENDARY_SCORE = 100;
+
+/** Points the model's score may differ from the court's before the difference is flagged. */
+export const SCORE_DISCREPANCY_TOLERANCE = 1;
+
+const roundScore = (value) => Math.round(value * 100) / 100;
+
+const clampPhaseScore = (score, max) =>
+  typeof score === 'number' && Number.isFinite(score) ? Math.min(max, Math.max(0, score)) : 0;
+
+/**
+ * Weigh phase scores into a score breakdown. The weights of phases left out are spread over the
+ * rest.
+ *
+ * @param {Partial<Record<'motion' | 'judge' | 'jury', number>>} phaseScores - Clamped score of
+ * each weighed phase.
+ * @param {Partial<Record<'motion' | 'judge' | 'jury', number>>} weights - Relative phase weights.
+ * @param {number | null | undefined} reportedScore - Weighted score the model reported.
+ * @returns {import('./types').ScoreBreakdown} Per-phase contributions, the computed score, and any
+ * disagreement with the reported score.
+ */
+export const weighPhaseScores = (phaseScores, weights, reportedScore) => {
+  const phases = Object.keys(phaseScores);
+  const totalWeight = phases.reduce((sum, phase) => sum + weights[phase], 0);
+  const components = phases.map((phase) => {
+    const weight = weights[phase] / totalWeight;
+    return {
+      phase,
+      score: phaseScores[phase],
+      weight: roundScore(weight),
+      points: roundScore(phaseScores[phase] * weight),
+    };
+  });
+  const computed = roundScore(
+    phases.reduce((sum, phase) => sum + (phaseScores[phase] * weights[phase]) / totalWeight, 0)
+  );
+  const reported = typeof reportedScore === 'number' ? reportedScore : null;
+  return {
+    components,
+    computed,
+    reported,
+    discrepancy:
+      reported !== null && Math.abs(reported - computed) > SCORE_DISCREPANCY_TOLERANCE
+        ? roundScore(reported - computed)
+        : null,
+  };
+};
+
+/**
+ * Compute the weighted verdict score from the phase scores. A phase without a score counts as 0.
+ *
+ * @param {object} params - Scoring inputs.
+ * @param {number | null | undefined} params.motionScore - Motion ruling score.
+ * @param {import('./types').VerdictResult} params.verdict - Parsed verdict payload.
+ * @param {boolean} params.isJuryTrial - Whether the jury score is weighed.
+ * @returns {import('./types').ScoreBreakdown} Per-phase contributions, the computed score, and any
+ * disagreement with the score the model reported.
+ */
+export const computeVerdictScore = ({ motionScore, verdict, isJuryTrial }) => {
+  const hasOverflowReason = Boolean(verdict.overflow_reason_code && verdict.overflow_explanation);
+  const overflowMax = hasOverflowReason ? MAX_OVERFLOW_PHASE_SCORE : MAX_PHASE_SCORE;
+  const phaseScores = {
+    motion: clampPhaseScore(motionScore, MAX_PHASE_SCORE),
+    judge: clampPhaseScore(verdict.judge_score, overflowMax),
+    ...(isJuryTrial ? { jury: clampPhaseScore(verdict.jury_score, overflowMax) } : {}),
+  };
+  return weighPhaseScores(phaseScores, VERDICT_WEIGHTS, verdict.final_weighted_score);
+};
+
+/**
+ * Replace the model's weighted score with the court's. Overflow details are kept only when the
+ * computed score is legendary.
+ *
+ * @param {import('./types').VerdictResult} verdict - Parsed verdict payload.
+ * @param {import('./types').ScoreBreakdown} breakdown - Score computed by `computeVerdictScore`.
+ * @returns {import('./types').VerdictResult} Verdict scored by the court.
+ */
+export const applyVerdictScore = (verdict, breakdown) => {
+  const hasOverflow = isLegendaryScore(breakdown.computed);
+  return {
+    ...verdict,
+    final_weighted_score: breakdown.computed,
+    overflow_reason_code: hasOverflow ? verdict.overflow_reason_code : null,
+    overflow_explanation: hasOverflow ? verdict.overflow_explanation : null,
+    score_breakdown: breakdown,
+  };
+};
+
+/**
+ * Whether a weighted score earns a legendary outcome.
+ *
+ * @param {number | null | undefined} score - Final weighted score.
+ * @returns {boolean} True above the legendary threshold.
+ */
+export const isLegendaryScore = (score) => typeof score === 'number' && score > LEGENDARY_SCORE;
@@ -0,0 +1,130 @@
+import { FINAL_DISPOSITIONS, JURISDICTIONS, normalizeJurisdiction } from './constants';
+
+/**
+ * Sentencing helpers shared by the game hook, docket UI, and prompts.
+ *
+ * A guilty verdict opens a sentencing hearing instead of ending the run. The judge sentences
+ * within the jurisdiction's range, and where the sentence falls in that range adjusts the run
+ * score: lenient sentences reward the defense, harsh ones reward the prosecution.
+ */
+
+/** Sentencing ranges by jurisdiction, in the unit the court sentences in. */
+export const SENTENCING_RANGES = Object.freeze({
+  [JURISDICTIONS.USA]: Object.freeze({
+    unit: 'months',
+    min: 0,
+    max: 120,
+    guidance: 'Guideline range; probation (0 months) is available for first offenses.',
+  }),
+  [JURISDICTIONS.CANADA]: Object.freeze({
+    unit: 'months',
+    min: 0,
+    max: 96,
+    guidance: 'Criminal Code range; conditional sentences served in the community are available.',
+  }),
+  [JURISDICTIONS.FICTIONAL]: Object.freeze({
+    unit: 'months',
+    min: 0,
+    max: 60,
+    guidance: 'Realm statute; restitution may be ordered in lieu of confinement.',
+  }),
+  [JURISDICTIONS.MUNICIPAL_NIGHT_COURT]: Object.freeze({
+    unit: 'hours of community service',
+    min: 0,
+    max: 200,
+    guidance: 'Night court penalties are fines and community service; no confinement.',
+  }),
+});
+
+/** Largest score swing a sentence can produce, in either direction. */
+export const MAX_SENTENCING_ADJUSTMENT = 15;
+
+/**
+ * Look up the sentencing range for a jurisdiction.
+ *
+ * @param {string} jurisdiction - Jurisdiction name.
+ * @returns {{unit: string, min: number, max: number, guidance: string}} Sentencing range.
+ */
+export const getSentencingRange = (jurisdiction) =>
+  SENTENCING_RANGES[normalizeJurisdiction(jurisdiction)];
+
+/**
+ * Build the initial sentencing state for a guilty verdict.
+ *
+ * @returns {import('./types').SentencingState} Empty, unlocked sentencing state.
+ */
+export const createSentencingState = () => ({
+  playerMemo: '',
+  opposingMemo: '',
+  sentence: null,
+  locked: false,
+});
+
+/**
+ * Whether a disposition sends the case to a sentencing hearing.
+ *
+ * @param {import('./types').DispositionRecord | null} disposition - Final disposition.
+ * @returns {boolean} True for guilty verdicts.
+ */
+export const requiresSentencing = (disposition) =>
+  disposition?.type === FINAL_DISPOSITIONS.GUILTY && disposition?.source === 'verdict';
+
+/**
+ * Whether the sentencing hearing is still open.
+ *
+ * @param {import('./types').HistoryState} historyState - Current docket history.
+ * @returns {boolean} True when a sentence is pending.
+ */
+export const isSentencingPending = (historyState) =>
+  Boolean(historyState?.sentencing) && !historyState.sentencing.locked;
+
+/**
+ * Score adjustment for a sentence: linear in where the term falls in the range, positive for
+ * the defense below the midpoint and for the prosecution above it.
+ *
+ * @param {'defense' | 'prosecution'} playerRole - Player role.
+ * @param {number} term - Sentence term in the range unit.
+ * @param {{min: number, max: number}} range - Sentencing range.
+ * @returns {number} Whole-number adjustment within ±`MAX_SENTENCING_ADJUSTMENT`.
+ */
+export const getSentencingScoreAdjustment = (playerRole, term, range) => {
+  const span = range.max - range.min;
+  const severity = span > 0 ? Math.min(1, Math.max(0, (term - range.min) / span)) : 0.5;
+  const defenseAdjustment = Math.round((0.5 - severity) * 2 * MAX_SENTENCING_ADJUSTMENT);
+  const adjustment = playerRole === 'defense' ? defenseAdjustment : -defenseAdjustment;
+  return adjustment === 0 ? 0 : adjustment;
+};
+
+/**
+ * Turn the judge's sentencing payload into the docketed sentence record.
+ *
+ * @param {{term: number, sentence_text: string, reasoning: string, docket_entry: string}} payload
+ * - Parsed sentencing response.
+ * @param {object} context - Scoring context.
+ * @param {{unit: string, min: number, max: number}} context.range - Sentencing range applied.
+ * @param {'defense' | 'prosecution'} context.playerRole - Player role.
+ * @param {number | null} context.baseScore - Verdict `final_weighted_score`, if any.
+ * @returns {import('./types').SentenceRecord} Sentence record with score adjustment.
+ */
+export const buildSentenceRecord = (payload, { range, playerRole, baseScore }) => {
+  const scoreAdjustment = getSentencingScoreAdjustment(playerRole, payload.term, range);
+  return {
+    term: payload.term,
+    unit: range.unit,
+    range: { min: range.min, max: range.max },
+    text: payload.sentence_text,
+    reasoning: payload.reasoning,
+    docketEntry: payload.docket_entry,
+    scoreAdjustment,
+    adjustedScore: typeof baseScore === 'number' ? Math.max(0, baseScore + scoreAdjustment) : null,
+    salvaged: playerRole === 'defense' && scoreAdjustment > 0,
+  };
+};
+
+/**
+ * Format a sentence term with its unit.
+ *
+ * @param {{term: number, unit: string}} sentence - Sentence record.
+ * @returns {string} Display text, e.g. "18 months".
+ */
+export const formatSentenceTerm = (sentence) => `${sentence.term} ${sentence.unit}`;
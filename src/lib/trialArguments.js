@@ -0,0 +1,39 @@
+import { getCaseRoles, isCivilCase } from './civil';
+
+/**
+ * Trial argument helpers shared by the game hook, docket UI, and prompts.
+ *
+ * Trial opens with both sides' opening statements, the side carrying the burden first. After the
+ * evidence the player closes, opposing counsel answers, and the player has the last word in
+ * rebuttal before the case goes to the jury.
+ */
+
+/**
+ * Order in which the sides open: the prosecution or plaintiff first.
+ *
+ * @param {import('./types').CaseData | undefined} caseData - Case metadata.
+ * @returns {import('./types').PlayerRole[]} Roles in speaking order.
+ */
+export const getOpeningOrder = (caseData) => {
+  const { claimant, respondent } = getCaseRoles(isCivilCase(caseData));
+  return [claimant, respondent];
+};
+
+/**
+ * Whether witness examination may begin: both sides have delivered opening statements.
+ *
+ * @param {import('./types').HistoryState} historyState - Current docket history.
+ * @returns {boolean} True once every side's opening is on the record.
+ */
+export const areOpeningsComplete = (historyState) =>
+  getOpeningOrder(historyState?.case).every((role) =>
+    Boolean(historyState?.trial?.openings?.[role])
+  );
+
+/**
+ * Whether the player's next argument is the rebuttal: opposing counsel has answered the closing.
+ *
+ * @param {import('./types').TrialState | undefined} trial - Trial phase data.
+ * @returns {boolean} True when the opposing closing is on the record.
+ */
+export const isRebuttalStage = (trial) => Boolean(trial?.opposingClosing?.text);
@@ -12,12 +12,13 @@
  * @typedef {typeof import('./constants').JURISDICTIONS[keyof typeof import('./constants').JURISDICTIONS]} Jurisdiction
  * @typedef {typeof import('./constants').FINAL_DISPOSITIONS[keyof typeof import('./constants').FINAL_DISPOSITIONS]} FinalDisposition
  * @typedef {typeof import('./constants').SANCTION_STATES[keyof typeof import('./constants').SANCTION_STATES]} SanctionsState
+ * @typedef {typeof import('./constants').PLAYER_ROLES[keyof typeof import('./constants').PLAYER_ROLES]} PlayerRole
  */
 
 /**
  * A juror in the generated jury pool.
  *
- * @typedef {'eligible' | 'struck_by_player' | 'struck_by_opponent' | 'seated'} JurorStatus
+ * @typedef {'eligible' | 'excused_for_cause' | 'struck_by_player' | 'struck_by_opponent' | 'seated'} JurorStatus
  *
  * @typedef {object} Juror
  * @property {number} id - Unique juror identifier.
@@ -28,6 +29,27 @@
  * @property {string} [hidden_bias] - Hidden bias revealed to the model only.
  * @property {JurorStatus} status - Current juror status for voir dire tracking.
  * @property {JurorStatus[]} [status_history] - Optional status transition history.
+ * @property {VoirDireAnswer[]} [voir_dire] - Answers the juror gave during voir dire.
+ */
+
+/**
+ * One juror's answer to a voir dire question.
+ *
+ * @typedef {object} VoirDireAnswer
+ * @property {string} questionId - ID of the question in `JuryState.questions`.
+ * @property {string} question - Question text.
+ * @property {string} answer - In-character answer.
+ */
+
+/**
+ * A question put to one juror or the whole panel during voir dire.
+ *
+ * @typedef {object} VoirDireQuestion
+ * @property {string} id - Unique question identifier.
+ * @property {number | 'panel'} target - Questioned juror ID, or `panel` for every juror.
+ * @property {PlayerRole} askedBy - Role that asked the question.
+ * @property {string} question - Question text.
+ * @property {string} timestamp - ISO timestamp for when the answers were recorded.
  */
 
 /**
@@ -54,7 +76,10 @@
  * @typedef {object} CaseData
  * @property {string} title - Case title for the docket.
  * @property {string} defendant - Defendant name.
- * @property {string} charge - Primary charge or claim.
+ * @property {string} charge - Primary charge, or the cause of action in a civil suit.
+ * @property {CaseType} [case_type] - `civil` for civil suits; absent on criminal cases.
+ * @property {string | null} [plaintiff] - Plaintiff name in a civil suit.
+ * @property {number | null} [damages_sought] - Damages the plaintiff claims, in whole dollars.
  * @property {boolean} is_jury_trial - Whether the case proceeds as a jury trial.
  * @property {{name: string, philosophy: string, background: string, bias: string}} judge - Judge profile.
  * @property {Juror[]} jurors - Jury pool for jury trials.
@@ -62,6 +87,9 @@
  * @property {{name: string, role: string, statement: string}[]} witnesses - Witness roster.
  * @property {EvidenceItem[]} evidence - Evidence list.
  * @property {OpposingCounsel} opposing_counsel - Opposing counsel profile.
+ * @property {{disposition: string, opinion: string, remand_instructions: string | null,
+ * errors_found: {issue: string, finding: string}[]}} [appellate_ruling] - Supreme Court ruling
+ * that remanded the case, present on retrials.
  */
 
 /**
@@ -70,14 +98,54 @@
  * @typedef {object} JuryState
  * @property {boolean} [skipped] - Whether jury selection is skipped for bench trials.
  * @property {Juror[]} [pool] - Full juror pool for the case.
+ * @property {VoirDireQuestion[]} [questions] - Voir dire questions asked before strikes.
+ * @property {CauseChallenge[]} [causeChallenges] - Challenges for cause, in order.
+ * @property {string | null} [opponentReasoning] - Reasons opposing counsel gave for its strikes.
+ * @property {BatsonChallenge[]} [batsonChallenges] - Objections to opposing strikes, in order.
+ * @property {boolean} [challengesClosed] - Whether the player accepted the jury, closing Batson
+ * objections.
  * @property {number[]} [myStrikes] - Player-selected strike IDs.
- * @property {number[]} [opponentStrikes] - Opposing counsel strike IDs.
+ * @property {number[]} [opponentStrikes] - Opposing counsel strike IDs; in judge mode, both
+ * sides' strikes.
+ * @property {Record<string, number[]>} [strikesByRole] - Each side's strikes in judge and hot-seat
+ * modes, keyed by role.
+ * @property {Record<string, string | null>} [strikeReasons] - Reasons each side gave for its
+ * strikes in judge mode.
  * @property {number[]} [seatedIds] - Juror IDs seated for trial.
  * @property {string} [comment] - Judge comment on the seated jury.
  * @property {boolean} [invalidStrike] - Whether the last strike submission was rejected.
  * @property {boolean} [locked] - Whether jury selection is finalized.
  */
 
+/**
+ * A challenge for cause and the judge's ruling on it.
+ *
+ * @typedef {object} CauseChallenge
+ * @property {string} id - Unique challenge identifier.
+ * @property {number} jurorId - Challenged juror ID.
+ * @property {PlayerRole} challengedBy - Role that made the challenge.
+ * @property {string} reason - Stated reason for the challenge.
+ * @property {'granted' | 'denied'} ruling - Judge ruling; a granted challenge excuses the juror.
+ * @property {string} reasoning - Judge reasoning.
+ * @property {string} docketEntry - One-line docket entry for the ruling.
+ * @property {string} timestamp - ISO timestamp for when the ruling was recorded.
+ */
+
+/**
+ * A Batson objection to an opposing strike and the judge's ruling on it.
+ *
+ * @typedef {object} BatsonChallenge
+ * @property {string} id - Unique objection identifier.
+ * @property {number} jurorId - Juror the opponent struck.
+ * @property {PlayerRole} objectedBy - Role that raised the objection; `judge` when a presiding
+ * player disallowed the strike.
+ * @property {string} argument - Why the strike is said to be discriminatory.
+ * @property {'sustained' | 'overruled'} ruling - Judge ruling; sustaining reseats the juror.
+ * @property {string} reasoning - Judge reasoning.
+ * @property {string} docketEntry - One-line docket entry for the ruling.
+ * @property {string} timestamp - ISO timestamp for when the ruling was recorded.
+ */
+
 /**
  * Judge ruling payload for a pre-trial motion.
  *
@@ -104,7 +172,8 @@
  *   opinion: string
  * }} decision - Structured judge decision consumed by game logic.
  * @property {string} outcome_text - Judge explanation text mirrored from decision.opinion for display compatibility.
- * @property {number} score - Required motion score used in final weighting.
+ * @property {number | null} score - Required motion score used in final weighting; null for a
+ * ruling entered from the bench in judge mode.
  * @property {EvidenceStatusUpdate[]} evidence_status_updates - Required updates for every evidence ID in the docket.
  * @property {MotionRulingBreakdown} breakdown - Required per-issue breakdown for the ruling.
  * @property {AccountabilityDecision} accountability - Structured accountability decision for sanctions tracking.
@@ -122,14 +191,132 @@
  *
  * @typedef {object} MotionState
  * @property {string} motionText - Defense motion text.
- * @property {'defense' | 'prosecution'} motionBy - Role that filed the motion.
+ * @property {PlayerRole} motionBy - Role that filed the motion.
  * @property {string} rebuttalText - Prosecution rebuttal text.
- * @property {'defense' | 'prosecution'} rebuttalBy - Role that filed the rebuttal.
+ * @property {PlayerRole} rebuttalBy - Role that filed the rebuttal.
  * @property {MotionResult | null} ruling - Judge ruling on the motion exchange.
  * @property {MotionPhase} motionPhase - Current phase of the motion exchange.
  * @property {boolean} locked - Whether the motion phase is finalized.
  */
 
+/**
+ * One question and answer from witness examination.
+ *
+ * @typedef {object} TestimonyEntry
+ * @property {string} id - Unique transcript entry id.
+ * @property {number} witnessNumber - 1-based witness number on the docket.
+ * @property {'direct' | 'cross'} type - Examination mode.
+ * @property {PlayerRole} askedBy - Role that asked the question.
+ * @property {string} question - Question put to the witness.
+ * @property {string} answer - Witness answer, in character.
+ * @property {string} timestamp - ISO timestamp when the answer was recorded.
+ */
+
+/**
+ * State for the witness examination phase between pre-trial motions and closing.
+ *
+ * @typedef {object} ExaminationState
+ * @property {TestimonyEntry[]} transcript - Testimony taken so far.
+ * @property {boolean} locked - Whether the player has rested examination.
+ * @property {PlayerRole[]} [restedBy] - Seats that have rested in hot-seat mode; examination
+ * locks once both have.
+ */
+
+/**
+ * Sentence imposed at a sentencing hearing, with its effect on the run score.
+ *
+ * @typedef {object} SentenceRecord
+ * @property {number} term - Sentence term in `unit`.
+ * @property {string} unit - Range unit (e.g. "months").
+ * @property {{min: number, max: number}} range - Jurisdiction range the term was imposed within.
+ * @property {string} text - Sentence as pronounced from the bench.
+ * @property {string} reasoning - Judge's sentencing reasoning.
+ * @property {string} docketEntry - Docket entry recording the sentence.
+ * @property {number} scoreAdjustment - Score change from where the term falls in the range.
+ * @property {number | null} adjustedScore - Verdict score after the adjustment.
+ * @property {boolean} salvaged - Whether a defense player's lenient sentence offset the loss.
+ */
+
+/**
+ * State for the sentencing hearing that follows a guilty verdict.
+ *
+ * @typedef {object} SentencingState
+ * @property {string} playerMemo - Player's sentencing memorandum.
+ * @property {string} opposingMemo - Opposing counsel's sentencing memorandum.
+ * @property {SentenceRecord | null} sentence - Sentence imposed, once pronounced.
+ * @property {boolean} locked - Whether sentence has been pronounced.
+ */
+
+/**
+ * An objection raised against a passage of an opposing submission, with the judge's ruling.
+ *
+ * @typedef {object} ObjectionEntry
+ * @property {string} id - Unique objection id.
+ * @property {'motion' | 'rebuttal' | 'closing'} source - Submission objected to.
+ * @property {string} passage - Highlighted passage the objection targets.
+ * @property {'hearsay' | 'relevance' | 'speculation' | 'leading' | 'off_docket'} ground - Ground.
+ * @property {PlayerRole} raisedBy - Role that objected.
+ * @property {'sustained' | 'overruled'} ruling - Judge's ruling.
+ * @property {string} reasoning - Judge's short explanation.
+ * @property {string} docketEntry - Docket entry recording the ruling.
+ * @property {string} timestamp - ISO timestamp when the ruling was recorded.
+ */
+
+/**
+ * One offer or counter-offer in a plea negotiation.
+ *
+ * @typedef {object} PleaOffer
+ * @property {string} id - Offer identifier.
+ * @property {number} round - Negotiation round (the prosecution's offer count).
+ * @property {'defense' | 'prosecution'} offeredBy - Side that made the offer.
+ * @property {string} charge - Charge the defendant would plead guilty to.
+ * @property {number} term - Agreed term in `unit`.
+ * @property {string} unit - Sentencing range unit (e.g. "months").
+ * @property {string} message - Counsel's note accompanying the offer.
+ * @property {string} docketEntry - Docket entry recording the offer.
+ * @property {string} timestamp - ISO timestamp when the offer was made.
+ */
+
+/**
+ * A Public Defender client's refusal of terms counsel recommended.
+ *
+ * @typedef {object} PleaClientRejection
+ * @property {string | null} offerId - Offer the player tried to accept, or null for a counter.
+ * @property {string} charge - Refused charge.
+ * @property {number} term - Refused term.
+ * @property {string} unit - Sentencing range unit.
+ * @property {string} statement - Client's answer, in their own voice.
+ */
+
+/**
+ * Plea negotiation state, open until a motion is filed.
+ *
+ * @typedef {object} PleaState
+ * @property {PleaOffer[]} offers - Offers in the order made.
+ * @property {PleaClientRejection[]} clientRejections - Terms the client refused.
+ * @property {'open' | 'accepted' | 'rejected'} status - Negotiation status.
+ * @property {string | null} acceptedOfferId - Offer entered as the deal.
+ * @property {string | null} docketEntry - Docket entry recording how negotiations ended.
+ * @property {number} [score] - Run score for an accepted deal.
+ */
+
+/**
+ * One seated juror's vote in a deliberation round.
+ *
+ * @typedef {object} DeliberationVote
+ * @property {number} juror_id - Seated juror ID.
+ * @property {'guilty' | 'not_guilty'} vote - Juror's vote this round.
+ * @property {string} rationale - One-sentence rationale shaped by the juror's hidden bias.
+ */
+
+/**
+ * A round of jury deliberation; the final round's tally decides the jury verdict.
+ *
+ * @typedef {object} DeliberationRound
+ * @property {number} round - Round number, starting at 1.
+ * @property {DeliberationVote[]} votes - One vote per seated juror, in seating order.
+ */
+
 /**
  * Final verdict payload for the trial phase.
  *
@@ -137,15 +324,47 @@
  * @property {string} jury_verdict - Jury verdict string (or N/A).
  * @property {string} jury_reasoning - Jury rationale text.
  * @property {number} jury_score - Jury score (0 if N/A).
- * @property {number} judge_score - Judge score for legal soundness.
+ * @property {DeliberationRound[] | null} [deliberation] - Jury deliberation rounds (null for bench
+ * trials); `jury_verdict` is derived from the final round.
+ * @property {number | null} [damages_awarded] - Damages awarded in a civil case; null for
+ * criminal cases.
+ * @property {number | null} judge_score - Judge score for legal soundness; null for a bench
+ * verdict until it is reviewed.
  * @property {string} judge_opinion - Judge's written opinion.
  * @property {string} final_ruling - Final ruling text.
+ * @property {string} [disposition] - Structured outcome, one of `VERDICT_DISPOSITIONS`; decides
+ * the case over `final_ruling`, which is read only when this is missing.
+ * @property {{isDismissed: boolean, withPrejudice: boolean}} [dismissal] - Dismissal flags
+ * accompanying `disposition`.
  * @property {boolean} is_jnov - Whether a JNOV occurred.
- * @property {number} final_weighted_score - Weighted score across phases.
+ * @property {number | null} final_weighted_score - Weighted score across phases; null for a
+ * bench verdict until it is reviewed.
  * @property {string | null} overflow_reason_code - Reason code when score exceeds 100.
  * @property {string | null} overflow_explanation - Short explanation when score exceeds 100.
  * @property {string | null} achievement_title - Optional achievement title.
  * @property {AccountabilityDecision} accountability - Structured accountability decision for sanctions tracking.
+ * @property {ScoreBreakdown} [score_breakdown] - How the court computed `final_weighted_score`.
+ */
+
+/**
+ * One phase's share of the weighted verdict score.
+ *
+ * @typedef {object} ScoreComponent
+ * @property {'motion' | 'judge' | 'jury'} phase - Scored phase.
+ * @property {number} score - Phase score after clamping.
+ * @property {number} weight - Share of the total, 0-1.
+ * @property {number} points - Points the phase contributes.
+ */
+
+/**
+ * Weighted verdict score computed by the court.
+ *
+ * @typedef {object} ScoreBreakdown
+ * @property {ScoreComponent[]} components - Contribution of each scored phase.
+ * @property {number} computed - Weighted score computed from the phase scores.
+ * @property {number | null} reported - Weighted score the model reported.
+ * @property {number | null} discrepancy - Reported minus computed, when they disagree by more than
+ * the tolerance; null otherwise.
  */
 
 /**
@@ -159,8 +378,8 @@
  *
  * @typedef {object} SubmissionValidation
  * @property {string} id - Unique identifier for the validation record.
- * @property {'motion' | 'rebuttal' | 'argument' | 'verdict'} phase - Submission phase.
- * @property {'defense' | 'prosecution' | 'judge'} submitted_by - Actor for the submission.
+ * @property {'motion' | 'rebuttal' | 'examination' | 'argument' | 'verdict'} phase - Submission phase.
+ * @property {PlayerRole | 'judge'} submitted_by - Actor for the submission.
  * @property {string} text - Submitted text captured for validation.
  * @property {{
  *   facts: {found: number[], missing: number[]},
@@ -224,27 +443,63 @@
  * @property {AccountabilityDecision} [accountability] - Structured accountability decision if available.
  */
 
+/**
+ * Appellate score for one of the player's rulings in judge mode.
+ *
+ * @typedef {object} ReviewedRuling
+ * @property {'motion_ruling' | 'jury_selection' | 'verdict'} issue - Ruling reviewed.
+ * @property {number} score - Legal soundness score (0-100).
+ * @property {boolean} sound - Whether the ruling would survive appeal.
+ * @property {string} critique - The reviewing court's critique.
+ *
+ * Appellate review of the player's rulings once a judge-mode case closes.
+ *
+ * @typedef {object} JudicialReview
+ * @property {ReviewedRuling[]} rulings - One entry per ruling the case reached.
+ * @property {number} final_weighted_score - Weighted score across the rulings.
+ * @property {string | null} overflow_reason_code - Reason code when score exceeds 100.
+ * @property {string | null} overflow_explanation - Short explanation when score exceeds 100.
+ * @property {string | null} achievement_title - Optional achievement title.
+ * @property {string} opinion - The reviewing court's opinion.
+ * @property {ScoreBreakdown} [score_breakdown] - How the court computed `final_weighted_score`.
+ */
+
 /**
  * Full living docket history state.
  *
  * @typedef {object} DispositionRecord
  * @property {FinalDisposition} type - Canonical disposition identifier.
- * @property {'motion' | 'verdict'} source - Lifecycle source of the disposition.
+ * @property {'motion' | 'verdict' | 'plea'} source - Lifecycle source of the disposition.
  * @property {string} summary - Display-friendly summary of the disposition.
  * @property {string} details - Display-friendly details for the disposition.
  *
+ * @typedef {object} TrialState
+ * @property {Record<string, string>} [openings] - Each side's opening statement, keyed by role.
+ * @property {string} [text] - The player's closing argument.
+ * @property {{text: string, submittedBy: PlayerRole}} [opposingClosing] - Opposing counsel's
+ * closing, answering the player's.
+ * @property {string} [rebuttal] - The player's rebuttal to the opposing closing.
+ * @property {{prosecution: string, defense: string}} [closings] - Both sides' closings in judge
+ * and hot-seat modes.
+ * @property {VerdictResult} [verdict] - Final verdict.
+ * @property {VerdictRejection[]} [rejectedVerdicts] - Verdicts rejected by docket validation.
+ * @property {boolean} [locked] - Whether the trial phase is finalized.
+ *
  * @typedef {object} HistoryState
  * @property {CaseData} [case] - Current case metadata.
  * @property {JuryState} [jury] - Jury selection state.
  * @property {MotionState} [motion] - Motion phase data.
+ * @property {PleaState} [plea] - Plea negotiation before the first motion.
+ * @property {ExaminationState} [examination] - Witness examination transcript.
+ * @property {ObjectionEntry[]} [objections] - Objections to opposing submissions, in order.
+ * @property {SentencingState} [sentencing] - Sentencing hearing, present after a guilty verdict.
  * @property {string} [counselNotes] - Optional counsel notes captured during play.
+ * @property {Record<string, string>} [counselNotesByRole] - Each seat's private counsel notes in
+ * hot-seat mode, keyed by role.
  * @property {DispositionRecord | null} [disposition] - Canonical final disposition record.
- * @property {{
- *   text?: string,
- *   verdict?: VerdictResult,
- *   rejectedVerdicts?: VerdictRejection[],
- *   locked?: boolean
- * }} [trial] - Trial phase data.
+ * @property {JudicialReview | null} [review] - Appellate review of the player's rulings in judge
+ * mode.
+ * @property {TrialState} [trial] - Trial phase data.
  * @property {SanctionRecord[]} [sanctions] - Explicit docketed sanction acknowledgments.
  * @property {SubmissionValidation[]} [validationHistory] - Docket validation history.
  */
@@ -315,6 +570,173 @@
  * @property {ReinstatementStatus | null} reinstatement - Reinstatement grace snapshot.
  * @property {PlayerStats} stats - Aggregated player stats.
  * @property {PlayerAchievement[]} achievements - Awarded achievements.
+ * @property {CaseHistoryEntry[]} caseHistory - Completed dockets, newest first.
+ */
+
+/**
+ * Ruling of the Supreme Court panel on an appeal.
+ *
+ * @typedef {object} AppellateRuling
+ * @property {'affirmed' | 'reversed' | 'remanded'} disposition - Panel disposition.
+ * @property {{issue: string, finding: string}[]} errorsFound - Errors found, by cited issue.
+ * @property {string} opinion - Panel opinion.
+ * @property {string | null} remandInstructions - Instructions for the retrial court on remand.
+ * @property {string} docketEntry - One-line docket entry.
+ */
+
+/**
+ * Appeal filed from a saved case.
+ *
+ * @typedef {object} AppealRecord
+ * @property {string} filedAt - ISO timestamp when the appeal was filed.
+ * @property {PlayerRole} appellant - Side that appealed.
+ * @property {string[]} issues - Issues the brief assigned as error.
+ * @property {string} brief - Appellate brief text.
+ * @property {AppellateRuling} ruling - The panel's ruling.
+ */
+
+/**
+ * Names of the two players sharing the device in hot-seat mode, keyed by seat.
+ *
+ * @typedef {object} HotSeatPlayers
+ * @property {string} defense - Player arguing the defense.
+ * @property {string} prosecution - Player arguing the prosecution.
+ */
+
+/**
+ * Completed docket saved to the player profile.
+ *
+ * @typedef {object} CaseHistoryEntry
+ * @property {string} id - Unique case history identifier.
+ * @property {string} caseName - Case title.
+ * @property {FinalDisposition | null} outcome - Final disposition type.
+ * @property {string} date - ISO timestamp when the run ended.
+ * @property {PlayerRole | null} [playerRole] - Player role for the run; null for hot-seat runs.
+ * @property {HotSeatPlayers} [players] - Both players in a hot-seat run.
+ * @property {PlayerRole | null} [winner] - Winning seat in a hot-seat run.
+ * @property {string} [difficulty] - Difficulty setting for the run.
+ * @property {string} [jurisdiction] - Jurisdiction for the run.
+ * @property {string} [courtType] - Court type for the run.
+ * @property {CaseType} [caseType] - Case type for the run.
+ * @property {string | null} [retrialOf] - Case history ID of the remanded case this retried.
+ * @property {number} finalSanctionsCount - Sanctions docketed during the run.
+ * @property {object | null} docketSnapshot - Snapshot of the docket sections; null when local
+ * storage ran out of room for it.
+ * @property {PlayerSanctionsState | null} sanctionsState - Sanctions state after the run.
+ * @property {AppealRecord} [appeal] - Appeal filed from this case, if any.
+ * @property {number | null} [docketNumber] - Docket number carried by an imported archive.
+ * @property {boolean} [imported] - Whether the case was imported from a docket archive.
+ */
+
+/**
+ * Details a docket export prints outside the docket record itself.
+ *
+ * @typedef {object} DocketExportMeta
+ * @property {number | null} [docketNumber] - Docket number for the header and caption.
+ * @property {string | null} [jurisdiction] - Jurisdiction named in the caption.
+ * @property {string | null} [courtType] - Court type named in the caption.
+ * @property {HotSeatPlayers | null} [players] - Players signing for counsel in a hot-seat run.
+ */
+
+/**
+ * Re-importable JSON archive of one case.
+ *
+ * @typedef {object} DocketArchive
+ * @property {'pocket-court-docket'} format - Archive format marker.
+ * @property {number} version - Archive version.
+ * @property {string} exportedAt - ISO timestamp of the export.
+ * @property {number | null} docketNumber - Docket number, when the run had one.
+ * @property {Partial<CaseHistoryEntry>} case - Case history fields, without sanctions state.
+ * @property {object} docketSnapshot - Snapshot of the docket sections.
+ */
+
+/**
+ * LLM request that was in flight when the active run was last saved.
+ *
+ * @typedef {object} PendingRunRequest
+ * @property {string} action - Name of the game action that issued the request.
+ * @property {unknown[]} args - Arguments the action was called with.
+ */
+
+/**
+ * Autosaved state of the run in progress, restored by "Resume Case".
+ *
+ * @typedef {object} ActiveRunSave
+ * @property {number} schemaVersion - Active run schema version.
+ * @property {string} savedAt - ISO timestamp of the save.
+ * @property {string} gameState - Game state to restore.
+ * @property {HistoryState} history - Docket history to restore.
+ * @property {object} config - Run configuration to restore.
+ * @property {object | null} runMeta - Run metadata, or null while the case is being generated.
+ * @property {PlayerSanctionsState | null} runStartSanctions - Sanctions state when the run began.
+ * @property {number | null} docketNumber - Docket number shown in the run header.
+ * @property {string | null} loadingMsg - Loading message of the in-flight request, if any.
+ * @property {PendingRunRequest | null} pendingRequest - Request to re-issue on resume. When set,
+ * the saved state is the one from just before the request began.
+ */
+
+/**
+ * Named profile on this browser. Each profile has its own bar record, stats, achievements, case
+ * history, run history, and autosaved run.
+ *
+ * @typedef {object} ProfileSlot
+ * @property {string} id - Profile ID used to namespace its storage keys.
+ * @property {string} name - Display name.
+ * @property {string} createdAt - ISO timestamp of creation.
+ */
+
+/**
+ * Profiles saved on this browser and the one in use.
+ *
+ * @typedef {object} ProfileRegistry
+ * @property {number} schemaVersion - Registry schema version.
+ * @property {string} activeProfileId - ID of the profile in use.
+ * @property {ProfileSlot[]} profiles - Saved profiles, oldest first.
+ */
+
+/**
+ * Saved record that could not be migrated to the current schema, or could not be read at all, as
+ * listed from its backup.
+ *
+ * @typedef {object} MigrationFailure
+ * @property {string} backupKey - Local storage key holding the pre-migration record.
+ * @property {string} label - Kind of record, e.g. "player profile".
+ * @property {number | null} fromVersion - Schema version of the stored record.
+ * @property {string} error - Why the migration failed.
+ * @property {string} backedUpAt - ISO timestamp of the backup.
+ * @property {boolean} unreadable - Whether the backup holds raw text that could not be parsed.
+ */
+
+/**
+ * Whole-profile backup file.
+ *
+ * @typedef {object} ProfileBackup
+ * @property {'pocket-court-profile'} format - Backup format marker.
+ * @property {number} version - Backup version.
+ * @property {string} exportedAt - ISO timestamp of the export.
+ * @property {PlayerProfile} profile - Player profile, with every docket snapshot.
+ * @property {RunHistory} runHistory - Run history.
+ */
+
+/**
+ * Counts of one kind of record in the current profile and in a backup.
+ *
+ * @typedef {object} ProfileBackupCount
+ * @property {number} current - Records in the current profile.
+ * @property {number} incoming - Records in the backup.
+ * @property {number} added - Backup records a merge would add.
+ */
+
+/**
+ * How a profile backup differs from the current profile.
+ *
+ * @typedef {object} ProfileBackupSummary
+ * @property {string | null} exportedAt - ISO timestamp of the backup.
+ * @property {ProfileBackupCount} cases - Saved cases.
+ * @property {ProfileBackupCount} achievements - Achievements.
+ * @property {ProfileBackupCount} runs - Run history entries.
+ * @property {{ current: PlayerSanctionsState | null, incoming: PlayerSanctionsState | null, kept: PlayerSanctionsState | null }} sanctions -
+ * Sanctions state on each side and the stricter one an import keeps.
  */
 
 /**
@@ -327,11 +749,15 @@
  * @property {string} jurisdiction - Jurisdiction selected for the run.
  * @property {string} difficulty - Difficulty setting for the run.
  * @property {string} courtType - Court type selected for the run.
- * @property {string} playerRole - Player role for the run.
+ * @property {string | null} playerRole - Player role for the run; null for hot-seat runs.
+ * @property {HotSeatPlayers} [players] - Both players in a hot-seat run.
+ * @property {PlayerRole | null} [winner] - Winning seat in a hot-seat run, once it ends.
+ * @property {CaseType} [caseType] - Case type for the run.
  * @property {string | null} caseTitle - Case title for the run.
  * @property {string | null} judgeName - Presiding judge for the run.
  * @property {string | null} outcome - Final outcome type when available.
  * @property {number | null} score - Final weighted score when a verdict is reached.
+ * @property {number | null} [damages] - Damages awarded in a civil judgment for the plaintiff.
  * @property {string | null} achievementId - Achievement identifier when awarded.
  * @property {SanctionsDelta | null} sanctionDelta - Sanctions snapshot delta for the run.
  */
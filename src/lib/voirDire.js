@@ -0,0 +1,92 @@
+/**
+ * Voir dire helpers shared by the game hook, docket UI, and prompts.
+ *
+ * Before strikes, counsel may question one juror or the whole panel. Each answer is appended to
+ * the questioned juror's `voir_dire` entry on the docket, so the opposing strike prompt sees the
+ * same record the player does.
+ */
+
+import { normalizeJurorId } from './juryIds';
+
+/** Target value for a question put to every juror in the pool at once. */
+export const VOIR_DIRE_PANEL = 'panel';
+
+/** Questions the player may ask during voir dire, whether to one juror or the panel. */
+export const MAX_VOIR_DIRE_QUESTIONS = 4;
+
+/**
+ * Resolve the jurors a voir dire question is addressed to.
+ *
+ * @param {import('./types').Juror[]} pool - Current juror pool.
+ * @param {number | string} target - Juror ID, or `VOIR_DIRE_PANEL` for the whole pool.
+ * @returns {import('./types').Juror[]} Questioned jurors; empty when the target is unknown.
+ */
+export const getVoirDireTargets = (pool, target) => {
+  const jurors = Array.isArray(pool) ? pool : [];
+  if (target === VOIR_DIRE_PANEL) return jurors;
+  const jurorId = normalizeJurorId(target);
+  return jurors.filter((juror) => juror.id === jurorId);
+};
+
+/**
+ * Append one question's answers to each questioned juror's docket entry.
+ *
+ * @param {import('./types').Juror[]} jurors - Jurors to update (docket roster or pool).
+ * @param {import('./types').VoirDireQuestion} question - Recorded question.
+ * @param {{juror_id: number, answer: string}[]} answers - Answers keyed by juror ID.
+ * @returns {import('./types').Juror[]} Jurors with the answers recorded.
+ */
+export const recordVoirDireAnswers = (jurors, question, answers) => {
+  const answersById = new Map(answers.map((entry) => [entry.juror_id, entry.answer]));
+  return (jurors ?? []).map((juror) =>
+    answersById.has(juror.id)
+      ? {
+          ...juror,
+          voir_dire: [
+            ...(juror.voir_dire ?? []),
+            {
+              questionId: question.id,
+              question: question.question,
+              answer: answersById.get(juror.id),
+            },
+          ],
+        }
+      : juror
+  );
+};
+
+/**
+ * Pair each voir dire question with the answers recorded on the jurors it reached.
+ *
+ * @param {import('./types').VoirDireQuestion[]} questions - Questions in the order asked.
+ * @param {import('./types').Juror[]} jurors - Jurors carrying `voir_dire` entries.
+ * @returns {{id: string, target: number | string, question: string, answers: {jurorId: number, name: string, answer: string}[]}[]}
+ * Transcript entries in question order.
+ */
+export const getVoirDireTranscript = (questions, jurors) =>
+  (questions ?? []).map((question) => ({
+    id: question.id,
+    target: question.target,
+    question: question.question,
+    answers: (jurors ?? []).flatMap((juror) =>
+      (juror.voir_dire ?? [])
+        .filter((entry) => entry.questionId === question.id)
+        .map((entry) => ({ jurorId: juror.id, name: juror.name, answer: entry.answer }))
+    ),
+  }));
+
+/**
+ * Summarize each juror's voir dire answers for the strike prompt.
+ *
+ * @param {import('./types').Juror[]} jurors - Docket jurors.
+ * @returns {{id: number, name: string, answers: {question: string, answer: string}[]}[]} Answers
+ * for jurors who were questioned.
+ */
+export const buildVoirDireRecord = (jurors) =>
+  (jurors ?? [])
+    .filter((juror) => juror.voir_dire?.length)
+    .map((juror) => ({
+      id: juror.id,
+      name: juror.name,
+      answers: juror.voir_dire.map(({ question, answer }) => ({ question, answer })),
+    }));
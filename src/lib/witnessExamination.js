@@ -0,0 +1,82 @@
+/**
+ * Witness examination helpers shared by the game hook, docket UI, and prompts.
+ *
+ * Witnesses are numbered by their 1-based position in `case.witnesses`, matching the docket
+ * registry, so testimony is cited as "Witness #N testimony".
+ */
+
+export const EXAMINATION_TYPES = Object.freeze({
+  DIRECT: 'direct',
+  CROSS: 'cross',
+});
+
+/** Questions the player may put to each witness before resting. */
+export const MAX_QUESTIONS_PER_WITNESS = 3;
+
+/**
+ * Build the initial examination state for a run.
+ *
+ * @returns {import('./types').ExaminationState} Empty, unlocked examination state.
+ */
+export const createExaminationState = () => ({
+  transcript: [],
+  locked: false,
+});
+
+/**
+ * Whether the case has any witnesses to examine.
+ *
+ * @param {import('./types').CaseData | undefined} caseData - Case metadata.
+ * @returns {boolean} True when at least one witness is on the docket.
+ */
+export const hasWitnesses = (caseData) =>
+  Array.isArray(caseData?.witnesses) && caseData.witnesses.length > 0;
+
+/**
+ * Whether closing arguments may begin: examination rested, or no witnesses to call.
+ *
+ * @param {import('./types').HistoryState} historyState - Current docket history.
+ * @returns {boolean} True when the examination phase is finished or skipped.
+ */
+export const isExaminationComplete = (historyState) =>
+  !hasWitnesses(historyState?.case) || historyState?.examination?.locked === true;
+
+/**
+ * Format the docket citation for a witness's testimony.
+ *
+ * @param {number} witnessNumber - 1-based witness number.
+ * @returns {string} Citation label.
+ */
+export const formatTestimonyCitation = (witnessNumber) => `Witness #${witnessNumber} testimony`;
+
+/**
+ * Collect the transcript entries for one witness.
+ *
+ * @param {import('./types').TestimonyEntry[]} transcript - Full examination transcript.
+ * @param {number} witnessNumber - 1-based witness number.
+ * @returns {import('./types').TestimonyEntry[]} Entries for that witness, in order.
+ */
+export const getWitnessTranscript = (transcript, witnessNumber) =>
+  (transcript ?? []).filter((entry) => entry.witnessNumber === witnessNumber);
+
+/**
+ * Group the transcript by witness for the verdict prompt and docket export.
+ *
+ * @param {object[]} witnesses - Case witness roster.
+ * @param {import('./types').TestimonyEntry[]} transcript - Full examination transcript.
+ * @returns {{citation: string, name: string, role: string, answers: {type: string, question: string, answer: string}[]}[]}
+ * Testimony records for witnesses who answered at least one question.
+ */
+export const buildTestimonyRecord = (witnesses, transcript) =>
+  (witnesses ?? [])
+    .map((witness, index) => ({
+      citation: formatTestimonyCitation(index + 1),
+      name: witness?.name ?? `Witness ${index + 1}`,
+      role: witness?.role ?? '',
+      answers: getWitnessTranscript(transcript, index + 1).map((entry) => ({
+        type: entry.type,
+        question: entry.question,
+        answer: entry.answer,
+      })),
+    }))
+    .filter((record) => record.answers.length > 0);